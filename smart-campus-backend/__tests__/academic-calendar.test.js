@@ -0,0 +1,329 @@
+/**
+ * Academic Calendar Tests
+ * Term dates, holidays and exceptions, and the UNTIL/EXDATE/RDATE values they give exports
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn((callback) => callback({ query: jest.fn() })),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const { getWeeklyRecurrence } = require('../src/components/academic-calendar/academic.calendar.service');
+const IcsCalendarService = require('../src/components/timetable/timetable.ics.service');
+const { slotToCalendarEvent } = require('../src/components/calendar/calendar.service');
+const { DEFAULT_BELL_SCHEDULE } = require('../src/components/timetable/timetable.periods');
+
+const groupId = '123e4567-e89b-12d3-a456-426614174000';
+const termId = '223e4567-e89b-12d3-a456-426614174000';
+const exceptionId = '323e4567-e89b-12d3-a456-426614174000';
+
+// Term starts on a Wednesday; the exam week and the rescheduled Monday fall inside it
+const term = {
+  id: termId,
+  academic_year: '2026-27',
+  semester_type: 'odd',
+  start_date: '2026-07-22',
+  end_date: '2026-11-20'
+};
+
+const exceptions = [
+  { id: 'e1', exception_type: 'holiday', title: 'Independence Day', start_date: '2026-08-15', end_date: '2026-08-15', rescheduled_to: null },
+  { id: 'e2', exception_type: 'exam', title: 'Mid-term exams', start_date: '2026-09-14', end_date: '2026-09-18', rescheduled_to: null },
+  { id: 'e3', exception_type: 'rescheduled', title: 'Sports day', start_date: '2026-10-05', end_date: '2026-10-05', rescheduled_to: '2026-10-10' },
+  { id: 'e4', exception_type: 'holiday', title: 'Winter break', start_date: '2026-12-20', end_date: '2026-12-31', rescheduled_to: null }
+];
+
+const academicCalendar = { term, exceptions };
+
+const mondaySlot = {
+  id: '123e4567-e89b-12d3-a456-426614174001',
+  day_of_week: 'Monday',
+  period_number: 1,
+  subject_code: 'CS101',
+  subject_name: 'Data Structures',
+  course_type: 'Theory',
+  teacher_name: 'Dr. Smith',
+  room_code: 'R301',
+  room_name: 'Room 301',
+  group_name: 'CSE-A',
+  academic_year: '2026-27',
+  semester_type: 'odd'
+};
+
+describe('Academic Calendar', () => {
+  let adminToken;
+  let studentToken;
+
+  beforeAll(() => {
+    adminToken = generateToken({ id: 1, email: 'admin@example.com', role: 'admin' });
+    studentToken = generateToken({ id: 2, email: 'student@example.com', role: 'student' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  describe('getWeeklyRecurrence', () => {
+    test('runs from the first class of the term to its end, skipping exceptions', () => {
+      expect(getWeeklyRecurrence('Monday', academicCalendar, '2026-01-05')).toEqual({
+        firstDate: '2026-07-27',
+        untilDate: '2026-11-20',
+        excludedDates: ['2026-09-14', '2026-10-05'],
+        extraDates: ['2026-10-10']
+      });
+    });
+
+    test('only excludes exceptions on the class weekday', () => {
+      const saturday = getWeeklyRecurrence('Saturday', academicCalendar, '2026-01-05');
+
+      expect(saturday.firstDate).toBe('2026-07-25');
+      expect(saturday.excludedDates).toEqual(['2026-08-15']);
+      expect(saturday.extraDates).toEqual([]);
+    });
+
+    test('is open-ended from the fallback date without a term', () => {
+      const recurrence = getWeeklyRecurrence('Monday', { term: null, exceptions }, '2026-10-05');
+
+      expect(recurrence.firstDate).toBe('2026-10-05');
+      expect(recurrence.untilDate).toBeNull();
+      expect(recurrence.excludedDates).toEqual(['2026-10-05', '2026-12-21', '2026-12-28']);
+    });
+  });
+
+  describe('GET /api/academic-calendar', () => {
+    test('returns the term and the exceptions inside it', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [term] })
+        .mockResolvedValueOnce({ rows: exceptions.slice(0, 3) });
+
+      const res = await request(app)
+        .get('/api/academic-calendar')
+        .query({ academic_year: '2026-27', semester_type: 'odd' })
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.term).toEqual(term);
+      expect(res.body.data.exceptions).toHaveLength(3);
+      expect(query.mock.calls[0][1]).toEqual(['2026-27', 'odd']);
+      expect(query.mock.calls[1][1]).toEqual(['2026-07-22', '2026-11-20']);
+    });
+
+    test('falls back to upcoming exceptions without a term', async () => {
+      const res = await request(app)
+        .get('/api/academic-calendar')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.term).toBeNull();
+      expect(query.mock.calls[0][0]).toContain('end_date >= $1');
+      expect(query.mock.calls[1][0]).toContain('end_date >= $1');
+    });
+
+    test('requires authentication', async () => {
+      const res = await request(app).get('/api/academic-calendar');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('Terms', () => {
+    test('admins can save term dates', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: termId }] })
+        .mockResolvedValueOnce({ rows: [term] });
+
+      const res = await request(app)
+        .put('/api/academic-calendar/terms')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ academic_year: '2026-27', semester_type: 'odd', start_date: '2026-07-22', end_date: '2026-11-20' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.term).toEqual(term);
+      expect(query.mock.calls[0][0]).toContain('ON CONFLICT (academic_year, semester_type)');
+      expect(query.mock.calls[0][1]).toEqual(['2026-27', 'odd', '2026-07-22', '2026-11-20', 1]);
+    });
+
+    test('rejects a term that ends before it starts', async () => {
+      const res = await request(app)
+        .put('/api/academic-calendar/terms')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ academic_year: '2026-27', semester_type: 'odd', start_date: '2026-11-20', end_date: '2026-07-22' });
+
+      expect(res.status).toBe(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    test('students cannot change term dates', async () => {
+      const res = await request(app)
+        .put('/api/academic-calendar/terms')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ academic_year: '2026-27', semester_type: 'odd', start_date: '2026-07-22', end_date: '2026-11-20' });
+
+      expect(res.status).toBe(403);
+    });
+
+    test('deleting an unknown term returns 404', async () => {
+      const res = await request(app)
+        .delete(`/api/academic-calendar/terms/${termId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Exceptions', () => {
+    test('admins can add a holiday spanning several days', async () => {
+      const holiday = { id: exceptionId, exception_type: 'holiday', title: 'Diwali break', start_date: '2026-11-07', end_date: '2026-11-11', rescheduled_to: null };
+      query
+        .mockResolvedValueOnce({ rows: [{ id: exceptionId }] })
+        .mockResolvedValueOnce({ rows: [holiday] });
+
+      const res = await request(app)
+        .post('/api/academic-calendar/exceptions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ exception_type: 'holiday', title: 'Diwali break', start_date: '2026-11-07', end_date: '2026-11-11' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.exception).toEqual(holiday);
+      expect(query.mock.calls[0][1]).toEqual(['holiday', 'Diwali break', '2026-11-07', '2026-11-11', null, 1]);
+    });
+
+    test('a one-off day defaults its end date to the start date', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: exceptionId }] });
+
+      await request(app)
+        .post('/api/academic-calendar/exceptions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ exception_type: 'cancelled', title: 'Power shutdown', start_date: '2026-09-02' });
+
+      expect(query.mock.calls[0][1]).toEqual(['cancelled', 'Power shutdown', '2026-09-02', '2026-09-02', null, 1]);
+    });
+
+    test('a rescheduled day needs a make-up date', async () => {
+      const res = await request(app)
+        .post('/api/academic-calendar/exceptions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ exception_type: 'rescheduled', title: 'Sports day', start_date: '2026-10-05' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toContain('rescheduled_to');
+    });
+
+    test('a rescheduled day covers a single date', async () => {
+      const res = await request(app)
+        .post('/api/academic-calendar/exceptions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ exception_type: 'rescheduled', title: 'Sports day', start_date: '2026-10-05', end_date: '2026-10-06', rescheduled_to: '2026-10-10' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toContain('"end_date" must equal "start_date"');
+    });
+
+    test('only rescheduled days take a make-up date', async () => {
+      const res = await request(app)
+        .post('/api/academic-calendar/exceptions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ exception_type: 'holiday', title: 'Holi', start_date: '2027-03-22', rescheduled_to: '2027-03-27' });
+
+      expect(res.status).toBe(400);
+    });
+
+    test('lists exceptions with filters', async () => {
+      query.mockResolvedValueOnce({ rows: exceptions.slice(0, 1) });
+
+      const res = await request(app)
+        .get('/api/academic-calendar/exceptions')
+        .query({ exception_type: 'holiday', from: '2026-08-01', to: '2026-08-31' })
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.count).toBe(1);
+      expect(query.mock.calls[0][1]).toEqual(['holiday', '2026-08-01', '2026-08-31']);
+    });
+
+    test('updating an unknown exception returns 404', async () => {
+      const res = await request(app)
+        .put(`/api/academic-calendar/exceptions/${exceptionId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ exception_type: 'holiday', title: 'Holi', start_date: '2027-03-22' });
+
+      expect(res.status).toBe(404);
+    });
+
+    test('admins can delete an exception', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: exceptionId }] });
+
+      const res = await request(app)
+        .delete(`/api/academic-calendar/exceptions/${exceptionId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+    });
+  });
+
+  describe('Exports', () => {
+    test('group iCal export stops at the term end and skips exception days', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [mondaySlot] })
+        .mockResolvedValueOnce({ rows: [] }) // bell schedule (default)
+        .mockResolvedValueOnce({ rows: [term] })
+        .mockResolvedValueOnce({ rows: exceptions.slice(0, 3) });
+
+      const res = await request(app)
+        .get(`/api/timetable/group/${groupId}/ical`)
+        .query({ academic_year: '2026-27', semester_type: 'odd' });
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('DTSTART:20260727T090000Z');
+      expect(res.text).toContain('DTEND:20260727T095000Z');
+      expect(res.text).toContain('RRULE:FREQ=WEEKLY;UNTIL=20261120T235959Z');
+      expect(res.text).toContain('EXDATE:20260914T090000Z,20261005T090000Z');
+      expect(res.text).toContain('RDATE:20261010T090000Z');
+    });
+
+    test('group iCal export keeps a fixed count without term dates', async () => {
+      query.mockResolvedValueOnce({ rows: [mondaySlot] });
+
+      const res = await request(app).get(`/api/timetable/group/${groupId}/ical`);
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('RRULE:FREQ=WEEKLY;COUNT=16');
+      expect(res.text).not.toContain('EXDATE');
+    });
+
+    test('IcsCalendarService emits a bounded weekly rule', () => {
+      const ics = IcsCalendarService.generateIcs([mondaySlot], 'CSE-A', '2026-27', DEFAULT_BELL_SCHEDULE, academicCalendar);
+
+      expect(ics).toContain('DTSTART:20260727T090000');
+      expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20261120T235959');
+      expect(ics).toContain('EXDATE:20260914T090000,20261005T090000');
+      expect(ics).toContain('RDATE:20261010T090000');
+    });
+
+    test('Google Calendar events follow the academic calendar', () => {
+      const event = slotToCalendarEvent(mondaySlot, DEFAULT_BELL_SCHEDULE, academicCalendar);
+
+      expect(event.start).toEqual({ dateTime: '2026-07-27T09:00:00', timeZone: 'Asia/Kolkata' });
+      expect(event.end).toEqual({ dateTime: '2026-07-27T09:50:00', timeZone: 'Asia/Kolkata' });
+      expect(event.recurrence).toEqual([
+        'RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20261120T235959Z',
+        'EXDATE;TZID=Asia/Kolkata:20260914T090000,20261005T090000',
+        'RDATE;TZID=Asia/Kolkata:20261010T090000'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,303 @@
+/**
+ * Bell Schedule Tests
+ * Configurable period timings read by exporters, availability, the generator and suggestions
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn((callback) => callback({ query: jest.fn() })),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const timetableJobs = require('../src/components/timetable/timetable.jobs');
+const IcsCalendarService = require('../src/components/timetable/timetable.ics.service');
+const { SuggestionEngine } = require('../src/components/timetable/suggestion.engine');
+const {
+  DEFAULT_BELL_SCHEDULE,
+  normalizeBellSchedule,
+  getPeriodTimes,
+  findPeriodAt
+} = require('../src/components/timetable/timetable.periods');
+
+const groupId = '123e4567-e89b-12d3-a456-426614174000';
+
+// Early start, five periods with lunch as period 3, no Saturday classes
+const bellSchedule = {
+  working_days: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+  periods: [
+    { number: 1, start: '08:00', end: '08:45' },
+    { number: 2, start: '08:50', end: '09:35' },
+    { number: 3, start: '09:40', end: '10:25' },
+    { number: 4, start: '10:30', end: '11:15' },
+    { number: 5, start: '11:20', end: '12:05' }
+  ],
+  lunch_break_period: 3
+};
+
+const mockBellSchedule = (schedule = bellSchedule) =>
+  query.mockResolvedValueOnce({ rows: [{ bell_schedule: schedule }] });
+
+describe('Bell Schedule', () => {
+  let adminToken;
+  let studentToken;
+
+  beforeAll(() => {
+    adminToken = generateToken({ id: 1, email: 'admin@example.com', role: 'admin' });
+    studentToken = generateToken({ id: 2, email: 'student@example.com', role: 'student' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  describe('Period helpers', () => {
+    test('fall back to the default schedule when none is stored', () => {
+      expect(normalizeBellSchedule(null)).toEqual(DEFAULT_BELL_SCHEDULE);
+      expect(normalizeBellSchedule({ periods: [] }).periods).toHaveLength(8);
+    });
+
+    test('map clock times onto the configured periods, skipping lunch', () => {
+      expect(findPeriodAt('08:10', bellSchedule)).toBe(1);
+      expect(findPeriodAt('09:00', bellSchedule)).toBe(2);
+      expect(findPeriodAt('10:00', bellSchedule)).toBeNull(); // lunch period
+      expect(findPeriodAt('12:30', bellSchedule)).toBeNull();
+      expect(getPeriodTimes(bellSchedule, 4)).toEqual({ start: '10:30', end: '11:15' });
+      expect(getPeriodTimes(bellSchedule, 6)).toBeNull();
+    });
+
+    test('time ICS events from the schedule', () => {
+      expect(IcsCalendarService.getPeriodTiming(2, bellSchedule)).toEqual({
+        start: { hour: 8, minute: 50 },
+        end: { hour: 9, minute: 35 }
+      });
+    });
+
+    test('suggest over the default grid when no constraints are given', async () => {
+      const engine = new SuggestionEngine([], null, {}, {}, {});
+
+      expect(engine.days).toEqual(DEFAULT_BELL_SCHEDULE.working_days);
+      expect(engine.periodsPerDay).toBe(DEFAULT_BELL_SCHEDULE.periods.length);
+    });
+  });
+
+  describe('GET /api/settings/bell-schedule', () => {
+    test('returns the stored schedule to any signed-in user', async () => {
+      mockBellSchedule();
+
+      const res = await request(app)
+        .get('/api/settings/bell-schedule')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.bell_schedule).toEqual(bellSchedule);
+    });
+
+    test('returns the default schedule before one is saved', async () => {
+      const res = await request(app)
+        .get('/api/settings/bell-schedule')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.bell_schedule).toEqual(DEFAULT_BELL_SCHEDULE);
+    });
+  });
+
+  describe('PUT /api/settings/bell-schedule', () => {
+    test('saves a valid schedule', async () => {
+      mockBellSchedule();
+
+      const res = await request(app)
+        .put('/api/settings/bell-schedule')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...bellSchedule, periods: [...bellSchedule.periods].reverse() });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.bell_schedule).toEqual(bellSchedule);
+      const [sql, values] = query.mock.calls[0];
+      expect(sql).toContain('ON CONFLICT (id)');
+      expect(JSON.parse(values[3])).toEqual(bellSchedule);
+      expect(values[4]).toBe(1);
+    });
+
+    test('rejects overlapping periods', async () => {
+      const periods = bellSchedule.periods.map(p => (p.number === 2 ? { ...p, start: '08:30' } : p));
+
+      const res = await request(app)
+        .put('/api/settings/bell-schedule')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...bellSchedule, periods });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toContain('Period 2 starts before period 1 ends');
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    test('rejects gaps in period numbers and a lunch break outside the periods', async () => {
+      const res = await request(app)
+        .put('/api/settings/bell-schedule')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          working_days: ['Monday'],
+          periods: [
+            { number: 1, start: '09:00', end: '09:50' },
+            { number: 3, start: '10:00', end: '10:50' }
+          ],
+          lunch_break_period: 4
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toContain('numbered 1 to 2');
+      expect(res.body.message).toContain('lunch_break_period');
+    });
+
+    test('is admin only', async () => {
+      const res = await request(app)
+        .put('/api/settings/bell-schedule')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send(bellSchedule);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('Readers of the schedule', () => {
+    test('room availability uses the configured periods and working days', async () => {
+      mockBellSchedule();
+
+      const res = await request(app)
+        .get('/api/classrooms/availability')
+        .query({ date: '2026-10-20', time: '09:00' })
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        day_of_week: 'Tuesday',
+        period_number: 2,
+        start_time: '08:50',
+        end_time: '09:35'
+      });
+    });
+
+    test('room availability treats non-working days as free', async () => {
+      mockBellSchedule();
+
+      const res = await request(app)
+        .get('/api/classrooms/availability')
+        .query({ date: '2026-10-24', period: 2 }) // Saturday
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.period_number).toBeNull();
+      expect(res.body.message).toBe('No class period is scheduled at this time');
+    });
+
+    test('iCal export times events from the schedule and skips unknown periods', async () => {
+      query.mockResolvedValueOnce({
+        rows: [
+          { id: 'slot-1', day_of_week: 'Monday', period_number: 2, subject_code: 'CS101', subject_name: 'Data Structures', teacher_name: 'Dr. Smith', room_name: 'Room 301' },
+          { id: 'slot-2', day_of_week: 'Monday', period_number: 7, subject_code: 'CS102', subject_name: 'Algorithms', teacher_name: 'Dr. Rao', room_name: 'Room 302' }
+        ]
+      });
+      mockBellSchedule();
+
+      const res = await request(app).get(`/api/timetable/group/${groupId}/ical`);
+
+      expect(res.status).toBe(200);
+      expect(res.text).toMatch(/DTSTART:\d{8}T085000Z/);
+      expect(res.text).toMatch(/DTEND:\d{8}T093500Z/);
+      expect(res.text).not.toContain('CS102');
+    });
+
+    test('timetable config defaults come from the schedule', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+      mockBellSchedule();
+
+      const res = await request(app).get('/api/timetable/config');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        defaultDays: bellSchedule.working_days,
+        defaultPeriodsPerDay: 5,
+        defaultLunchBreak: 3,
+        bellSchedule
+      });
+    });
+
+    test('generation falls back to the schedule grid', async () => {
+      const createJob = jest.spyOn(timetableJobs, 'createJob').mockReturnValue({ id: 'job-1', status: 'queued' });
+      mockBellSchedule();
+
+      const res = await request(app)
+        .post('/api/timetable/generate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ groups: [{ id: groupId }], academic_year: '2025-26', semester_type: 'odd' });
+
+      expect(res.status).toBe(202);
+      expect(createJob.mock.calls[0][0].constraints).toMatchObject({
+        days: bellSchedule.working_days,
+        periods_per_day: 5,
+        lunch_break_period: 3
+      });
+      createJob.mockRestore();
+    });
+
+    test('generation rejects days outside the schedule', async () => {
+      const createJob = jest.spyOn(timetableJobs, 'createJob');
+      mockBellSchedule();
+
+      const res = await request(app)
+        .post('/api/timetable/generate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          groups: [{ id: groupId }],
+          academic_year: '2025-26',
+          semester_type: 'odd',
+          days: ['Monday', 'Saturday'],
+          periods_per_day: 5
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Saturday is not a working day in the bell schedule');
+      expect(createJob).not.toHaveBeenCalled();
+      createJob.mockRestore();
+    });
+
+    test('generation rejects more periods than the schedule has', async () => {
+      const createJob = jest.spyOn(timetableJobs, 'createJob');
+      mockBellSchedule();
+
+      const res = await request(app)
+        .post('/api/timetable/generate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          groups: [{ id: groupId }],
+          academic_year: '2025-26',
+          semester_type: 'odd',
+          days: ['Monday'],
+          periods_per_day: 8
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('The bell schedule only has 5 periods');
+      expect(createJob).not.toHaveBeenCalled();
+      createJob.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Classroom Availability Tests
+ * Date/time → day/period mapping and room occupancy from the published timetable
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn((callback) => callback({ query: jest.fn() })),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const { findPeriodAt, dayOfWeekFor } = require('../src/components/timetable/timetable.periods');
+
+const room = (overrides = {}) => ({
+  id: '123e4567-e89b-12d3-a456-426614174020',
+  room_code: 'A-101',
+  room_name: 'Lecture Hall 1',
+  room_type: 'Classroom',
+  capacity: 60,
+  building: 'A',
+  floor_number: 1,
+  has_projector: true,
+  has_computer: false,
+  is_available: true,
+  slot_id: null,
+  subject_name: null,
+  teacher_name: null,
+  group_name: null,
+  booking_id: null,
+  booking_title: null,
+  booking_purpose: null,
+  ...overrides
+});
+
+describe('Classroom Availability', () => {
+  let studentToken;
+
+  beforeAll(() => {
+    studentToken = generateToken({ id: 2, email: 'student@example.com', role: 'student' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  describe('Period mapping', () => {
+    test('should map clock times onto teaching periods', () => {
+      expect(findPeriodAt('09:00')).toBe(1);
+      expect(findPeriodAt('12:49')).toBe(4);
+      expect(findPeriodAt('14:10')).toBe(5);
+      expect(findPeriodAt('13:15')).toBeNull(); // lunch
+      expect(findPeriodAt('08:00')).toBeNull();
+      expect(findPeriodAt('09:55')).toBeNull(); // between periods
+    });
+
+    test('should map dates onto timetable days', () => {
+      expect(dayOfWeekFor('2026-10-19')).toBe('Monday');
+      expect(dayOfWeekFor('2026-10-24')).toBe('Saturday');
+      expect(dayOfWeekFor('2026-10-18')).toBeNull(); // Sunday
+    });
+  });
+
+  describe('GET /api/classrooms/availability', () => {
+    test('should return free and occupied rooms for a date and time', async () => {
+      query.mockResolvedValueOnce({ rows: [] }); // bell schedule (defaults)
+      query.mockResolvedValueOnce({
+        rows: [
+          room(),
+          room({
+            id: '123e4567-e89b-12d3-a456-426614174021',
+            room_code: 'A-102',
+            is_available: false,
+            slot_id: '123e4567-e89b-12d3-a456-426614174030',
+            subject_name: 'Data Structures',
+            teacher_name: 'Dr. Rao',
+            group_name: 'CSE-3A'
+          })
+        ]
+      });
+
+      const response = await request(app)
+        .get('/api/classrooms/availability')
+        .query({ date: '2026-10-20', time: '11:30' })
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        day_of_week: 'Tuesday',
+        period_number: 3,
+        start_time: '11:00',
+        end_time: '11:50',
+        count: 2,
+        available_count: 1,
+        occupied_count: 1
+      });
+      expect(response.body.data.rooms[0].occupied_by).toBeNull();
+      expect(response.body.data.rooms[1].occupied_by).toEqual({
+        slot_id: '123e4567-e89b-12d3-a456-426614174030',
+        subject_name: 'Data Structures',
+        teacher_name: 'Dr. Rao',
+        group_name: 'CSE-3A'
+      });
+      expect(query.mock.calls[1][0]).toContain("tv.status = 'published'");
+      expect(query.mock.calls[1][1]).toEqual(['Tuesday', 3, '2026-10-20']);
+    });
+
+    test('should accept a period number instead of a time', async () => {
+      const response = await request(app)
+        .get('/api/classrooms/availability')
+        .query({ date: '2026-10-19', period: 6 })
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.period_number).toBe(6);
+      expect(query.mock.calls[1][1]).toEqual(['Monday', 6, '2026-10-19']);
+    });
+
+    test('should apply room filters', async () => {
+      const response = await request(app)
+        .get('/api/classrooms/availability')
+        .query({
+          date: '2026-10-19',
+          period: 2,
+          room_type: 'Lab',
+          min_capacity: 40,
+          building: 'B',
+          has_projector: true,
+          has_computer: 'false'
+        })
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      const [sql, values] = query.mock.calls[1];
+      expect(sql).toContain('r.room_type = $4');
+      expect(sql).toContain('r.capacity >= $5');
+      expect(sql).toContain('LOWER(r.building) = LOWER($6)');
+      expect(sql).toContain('r.has_projector = $7');
+      expect(sql).toContain('r.has_computer = $8');
+      expect(values).toEqual(['Monday', 2, '2026-10-19', 'Lab', 40, 'B', true, false]);
+    });
+
+    test('should report every room as free outside teaching periods', async () => {
+      query.mockResolvedValueOnce({ rows: [] }); // bell schedule (defaults)
+      query.mockResolvedValueOnce({ rows: [room()] });
+
+      const response = await request(app)
+        .get('/api/classrooms/availability')
+        .query({ date: '2026-10-20', time: '13:15' })
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.period_number).toBeNull();
+      expect(response.body.data.available_count).toBe(1);
+      expect(response.body.message).toBe('No class period is scheduled at this time');
+    });
+
+    test('should reject time and period together', async () => {
+      const response = await request(app)
+        .get('/api/classrooms/availability')
+        .query({ date: '2026-10-20', time: '10:00', period: 2 })
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    test('should reject malformed times', async () => {
+      const response = await request(app)
+        .get('/api/classrooms/availability')
+        .query({ time: '9am' })
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should require authentication', async () => {
+      const response = await request(app).get('/api/classrooms/availability');
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,438 @@
+/**
+ * Club Membership Tests
+ * Join requests, member lists, club roles and delegated event management
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const notificationService = require('../src/services/notification.service');
+const activityService = require('../src/services/activity.service');
+
+const club = { id: 3, name: 'Robotics Club' };
+
+const membership = (overrides = {}) => ({
+  id: 21,
+  club_id: 3,
+  user_id: 1,
+  role: 'member',
+  status: 'active',
+  ...overrides
+});
+
+describe('Club Memberships', () => {
+  let studentToken;
+  let adminToken;
+
+  beforeAll(() => {
+    studentToken = generateToken({ id: 1, email: 'student@example.com', role: 'student' });
+    adminToken = generateToken({ id: 2, email: 'admin@example.com', role: 'admin' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+    jest.spyOn(notificationService, 'createNotificationsForUsers').mockResolvedValue({ created: 0, emailed: 0 });
+    jest.spyOn(notificationService, 'notifyRole').mockResolvedValue({ created: 0, emailed: 0 });
+    jest.spyOn(activityService, 'logActivity').mockResolvedValue(null);
+  });
+
+  describe('GET /api/clubs', () => {
+    test("should include member counts and the caller's membership", async () => {
+      query.mockResolvedValueOnce({
+        rows: [{ ...club, member_count: 12, my_role: 'coordinator', my_status: 'active', total_count: '1' }]
+      });
+
+      const response = await request(app)
+        .get('/api/clubs')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.clubs[0]).toMatchObject({ member_count: 12, my_role: 'coordinator' });
+      expect(query.mock.calls[0][0]).toContain('member_count');
+      expect(query.mock.calls[0][1][0]).toBe(1);
+    });
+  });
+
+  describe('GET /api/clubs/my', () => {
+    test("should list the user's clubs and pending requests", async () => {
+      query.mockResolvedValueOnce({
+        rows: [
+          { ...club, my_role: 'member', my_status: 'active', member_count: 12 },
+          { id: 4, name: 'Drama Club', my_role: 'member', my_status: 'pending', member_count: 8 }
+        ]
+      });
+
+      const response = await request(app)
+        .get('/api/clubs/my')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.clubs).toHaveLength(2);
+      expect(query.mock.calls[0][1]).toEqual([1]);
+    });
+  });
+
+  describe('POST /api/clubs/:id/join', () => {
+    test('should create a pending request and notify the officers', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [club] })
+        .mockResolvedValueOnce({ rows: [membership({ status: 'pending' })] })
+        .mockResolvedValueOnce({ rows: [{ id: 5, email: 'president@example.com' }] });
+
+      const response = await request(app)
+        .post('/api/clubs/3/join')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.membership.status).toBe('pending');
+      expect(notificationService.createNotificationsForUsers).toHaveBeenCalledWith(expect.objectContaining({
+        users: [{ id: 5, email: 'president@example.com' }],
+        eventType: 'CLUB_JOIN_REQUESTED'
+      }));
+    });
+
+    test('should reject a second request', async () => {
+      query.mockResolvedValueOnce({ rows: [club] });
+
+      const response = await request(app)
+        .post('/api/clubs/3/join')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should return 404 for a missing club', async () => {
+      const response = await request(app)
+        .post('/api/clubs/99/join')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/clubs/:id/membership', () => {
+    test('should withdraw a pending request', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [membership({ status: 'pending' })] })
+        .mockResolvedValueOnce({ rows: [membership({ status: 'pending' })] });
+
+      const response = await request(app)
+        .delete('/api/clubs/3/membership')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Join request withdrawn');
+      expect(query.mock.calls[1][0]).toContain('DELETE FROM club_members');
+    });
+
+    test('should stop the only president from leaving', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [membership({ role: 'president' })] })
+        .mockResolvedValueOnce({ rows: [{ count: 1 }] });
+
+      const response = await request(app)
+        .delete('/api/clubs/3/membership')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(400);
+      expect(query).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('GET /api/clubs/:id/members', () => {
+    test('should list active members', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [club] })
+        .mockResolvedValueOnce({ rows: [{ user_id: 5, full_name: 'Asha Rao', role: 'president' }] });
+
+      const response = await request(app)
+        .get('/api/clubs/3/members')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.count).toBe(1);
+      expect(query.mock.calls[1][1]).toEqual([3, 'active']);
+    });
+
+    test('should hide join requests from ordinary members', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [club] })
+        .mockResolvedValueOnce({ rows: [membership()] });
+
+      const response = await request(app)
+        .get('/api/clubs/3/members?status=pending')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/clubs/:id/members/:userId/approve', () => {
+    test('should let a coordinator approve a request', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [membership({ role: 'coordinator' })] })
+        .mockResolvedValueOnce({ rows: [club] })
+        .mockResolvedValueOnce({ rows: [membership({ user_id: 9 })] });
+
+      const response = await request(app)
+        .post('/api/clubs/3/members/9/approve')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[2][1]).toEqual([3, 9, 1]);
+      expect(notificationService.createNotificationsForUsers).toHaveBeenCalledWith(
+        expect.objectContaining({ users: [{ id: 9 }], eventType: 'CLUB_JOIN_APPROVED' })
+      );
+    });
+
+    test('should reject ordinary members', async () => {
+      query.mockResolvedValueOnce({ rows: [membership()] });
+
+      const response = await request(app)
+        .post('/api/clubs/3/members/9/approve')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(403);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('DELETE /api/clubs/:id/members/:userId', () => {
+    test('should not let a coordinator remove another officer', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [membership({ role: 'coordinator' })] })
+        .mockResolvedValueOnce({ rows: [membership({ user_id: 9, role: 'coordinator' })] })
+        .mockResolvedValueOnce({ rows: [membership({ role: 'coordinator' })] });
+
+      const response = await request(app)
+        .delete('/api/clubs/3/members/9')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should let an admin reject a request', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [membership({ user_id: 9, status: 'pending' })] })
+        .mockResolvedValueOnce({ rows: [membership({ user_id: 9, status: 'pending' })] });
+
+      const response = await request(app)
+        .delete('/api/clubs/3/members/9')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Join request rejected');
+    });
+  });
+
+  describe('PUT /api/clubs/:id/members/:userId/role', () => {
+    test('should let the president appoint a coordinator', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [membership({ role: 'president' })] })
+        .mockResolvedValueOnce({ rows: [club] })
+        .mockResolvedValueOnce({ rows: [membership({ role: 'president' })] })
+        .mockResolvedValueOnce({ rows: [membership({ user_id: 9 })] })
+        .mockResolvedValueOnce({ rows: [membership({ user_id: 9, role: 'coordinator' })] });
+
+      const response = await request(app)
+        .put('/api/clubs/3/members/9/role')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ role: 'coordinator' });
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[4][1]).toEqual([3, 9, 'coordinator']);
+    });
+
+    test('should not let a coordinator change roles', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [membership({ role: 'coordinator' })] })
+        .mockResolvedValueOnce({ rows: [club] })
+        .mockResolvedValueOnce({ rows: [membership({ role: 'coordinator' })] });
+
+      const response = await request(app)
+        .put('/api/clubs/3/members/9/role')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ role: 'president' });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should keep at least one president', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [club] })
+        .mockResolvedValueOnce({ rows: [membership({ user_id: 9, role: 'president' })] })
+        .mockResolvedValueOnce({ rows: [{ count: 1 }] });
+
+      const response = await request(app)
+        .put('/api/clubs/3/members/9/role')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'member' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject an unknown role', async () => {
+      const response = await request(app)
+        .put('/api/clubs/3/members/9/role')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'treasurer' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('club-delegated event management', () => {
+    const newEvent = {
+      title: 'Robot Wars',
+      description: 'Annual robotics battle',
+      location: 'Main Hall',
+      start_time: '2030-01-08T10:00:00.000Z',
+      end_time: '2030-01-08T12:00:00.000Z',
+      club_id: 3
+    };
+
+    test('should let a coordinator create an event for their club', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [membership({ role: 'coordinator' })] })
+        .mockResolvedValueOnce({ rows: [membership({ role: 'coordinator' })] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, ...newEvent }] });
+
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send(newEvent);
+
+      expect(response.status).toBe(201);
+      expect(query.mock.calls[0][1]).toEqual([1, ['president', 'coordinator']]);
+      expect(query.mock.calls[1][1]).toEqual([3, 1]);
+    });
+
+    test('should not let a coordinator create events for another club', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [membership({ role: 'coordinator' })] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ ...newEvent, club_id: 4 });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should not let a coordinator move an event out of their club', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [membership({ role: 'coordinator' })] })
+        .mockResolvedValueOnce({ rows: [{ club_id: 3 }] })
+        .mockResolvedValueOnce({ rows: [membership({ role: 'coordinator' })] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .put('/api/events/7')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ ...newEvent, club_id: 4 });
+
+      expect(response.status).toBe(403);
+      expect(query.mock.calls[3][1]).toEqual([4, 1]);
+    });
+
+    test('should refuse uploads from users who manage no club before parsing them', async () => {
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .field('title', newEvent.title)
+        .field('club_id', '3')
+        .attach('image', Buffer.from('not really an image'), 'poster.png');
+
+      expect(response.status).toBe(403);
+      expect(query).toHaveBeenCalledTimes(1);
+      expect(query.mock.calls[0][0]).toContain('FROM club_members WHERE user_id = $1');
+    });
+
+    test('should not let a coordinator feature a new event', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [membership({ role: 'coordinator' })] })
+        .mockResolvedValueOnce({ rows: [membership({ role: 'coordinator' })] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, ...newEvent, status: 'pending_review' }] });
+
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ ...newEvent, is_featured: true });
+
+      expect(response.status).toBe(201);
+      expect(query.mock.calls[2][1][7]).toBe(false);
+    });
+
+    test('should send an approved event back for review when a coordinator edits it', async () => {
+      const broadcast = jest.spyOn(notificationService, 'broadcast').mockImplementation(() => {});
+      query
+        .mockResolvedValueOnce({ rows: [membership({ role: 'coordinator' })] })
+        .mockResolvedValueOnce({ rows: [{ club_id: 3 }] })
+        .mockResolvedValueOnce({ rows: [membership({ role: 'coordinator' })] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, title: 'Robot Wars', status: 'approved', club_id: 3, submitted_by: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, ...newEvent, title: 'Robot Wars Finals', status: 'pending_review' }] });
+
+      const response = await request(app)
+        .put('/api/events/7')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ ...newEvent, title: 'Robot Wars Finals', is_featured: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Event updated and sent back for review');
+      const [sql, values] = query.mock.calls[4];
+      expect(sql).toContain('status=');
+      expect(sql).not.toContain('is_featured');
+      expect(values).toContain('pending_review');
+      expect(notificationService.notifyRole).toHaveBeenCalledTimes(1);
+      expect(notificationService.notifyRole).toHaveBeenCalledWith(
+        expect.objectContaining({ role: 'admin', eventType: 'EVENT_SUBMITTED' })
+      );
+      expect(broadcast).not.toHaveBeenCalled();
+    });
+
+    test('should leave an unpublished event in its status when a coordinator edits it', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [membership({ role: 'coordinator' })] })
+        .mockResolvedValueOnce({ rows: [{ club_id: 3 }] })
+        .mockResolvedValueOnce({ rows: [membership({ role: 'coordinator' })] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, title: 'Robot Wars', status: 'draft', club_id: 3, submitted_by: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, ...newEvent, status: 'draft' }] });
+
+      const response = await request(app)
+        .put('/api/events/7')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send(newEvent);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Event updated successfully');
+      expect(query.mock.calls[4][0]).not.toContain('status=');
+      expect(notificationService.notifyRole).not.toHaveBeenCalled();
+    });
+
+    test('should keep event deletion admin-only', async () => {
+      const response = await request(app)
+        .delete('/api/events/7')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(403);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Elective Allocation Report Tests
+ * Dry-run previews, allocation statistics and immutable CSV reports
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query, transaction } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const notificationService = require('../src/services/notification.service');
+const reportService = require('../src/components/electives/elective.report.service');
+
+const STUDENTS = [
+  { id: 7, full_name: 'Student A', email: 'a@example.com', cgpa: '9.10' },
+  { id: 8, full_name: 'Student B', email: 'b@example.com', cgpa: '8.40' },
+  { id: 9, full_name: 'Student C', email: 'c@example.com', cgpa: '7.90' }
+];
+
+const ELECTIVES = [
+  { id: 1, subject_name: 'ML', max_students: 2, seats_available: 2 },
+  { id: 2, subject_name: 'AI', max_students: 1, seats_available: 1 }
+];
+
+// Everyone ranks ML first and AI second
+const mockAllocationData = (client, { round = null } = {}) => {
+  client.query.mockImplementation(async (sql) => {
+    if (round && sql.includes('FROM elective_rounds WHERE id')) return { rows: [round] };
+    if (sql.includes('FROM users')) return { rows: STUDENTS };
+    if (sql.includes('seats_available') && !sql.includes('ORDER BY e.id')) return { rows: ELECTIVES };
+    if (sql.startsWith('SELECT elective_id FROM student_choices')) {
+      return { rows: [{ elective_id: 1 }, { elective_id: 2 }] };
+    }
+    if (sql.startsWith('SELECT elective_id, preference_rank')) {
+      return { rows: [{ elective_id: 1, preference_rank: 1 }, { elective_id: 2, preference_rank: 2 }] };
+    }
+    if (sql.includes('INSERT INTO elective_allocation_reports')) {
+      return { rows: [{ id: 12, round_id: null, allocation_round: 1, run_by: 2 }] };
+    }
+    return { rows: [], rowCount: 0 };
+  });
+};
+
+const writes = (client) => client.query.mock.calls
+  .map(([sql]) => sql.trim())
+  .filter((sql) => /^(INSERT|UPDATE|DELETE)/.test(sql));
+
+describe('Elective Allocation Reports', () => {
+  let studentToken, adminToken, mockClient;
+
+  beforeAll(() => {
+    studentToken = generateToken({ id: 1, email: 'student@example.com', role: 'student' });
+    adminToken = generateToken({ id: 2, email: 'admin@example.com', role: 'admin' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+    mockClient = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }) };
+    transaction.mockImplementation(async (callback) => callback(mockClient));
+    jest.spyOn(notificationService, 'createNotificationsForUsers').mockResolvedValue();
+  });
+
+  describe('POST /api/electives/allocate with dry_run', () => {
+    test('should preview the allocation with statistics and write nothing', async () => {
+      mockAllocationData(mockClient);
+
+      const response = await request(app)
+        .post('/api/electives/allocate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ dry_run: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.dry_run).toBe(true);
+      expect(response.body.data.report).toBeNull();
+      expect(response.body.data.statistics).toEqual({
+        total_students: 3,
+        allocated_count: 3,
+        unallocated_count: 0,
+        waitlisted_count: 0,
+        rank_distribution: [{ preference_rank: 1, count: 2 }, { preference_rank: 2, count: 1 }],
+        electives: [
+          { elective_id: 1, subject_name: 'ML', capacity: 2, allocated: 2, seats_left: 0, fill_rate: 100, cgpa_cutoff: 8.4 },
+          { elective_id: 2, subject_name: 'AI', capacity: 1, allocated: 1, seats_left: 0, fill_rate: 100, cgpa_cutoff: 7.9 }
+        ],
+        unallocated: []
+      });
+
+      expect(writes(mockClient)).toEqual([]);
+      expect(notificationService.createNotificationsForUsers).not.toHaveBeenCalled();
+    });
+
+    test('should preview a round that is still open without locking it', async () => {
+      mockAllocationData(mockClient, {
+        round: { id: 4, round_number: 2, status: 'open', has_ended: false }
+      });
+
+      const response = await request(app)
+        .post('/api/electives/allocate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ round_id: 4, dry_run: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.allocationResults).toHaveLength(3);
+      expect(mockClient.query.mock.calls[0][0]).not.toContain('FOR UPDATE');
+      expect(writes(mockClient)).toEqual([]);
+    });
+  });
+
+  describe('POST /api/electives/allocate', () => {
+    test('should save a committed run as a report', async () => {
+      mockAllocationData(mockClient);
+
+      const response = await request(app)
+        .post('/api/electives/allocate')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.dry_run).toBe(false);
+      expect(response.body.data.report.id).toBe(12);
+
+      const [, values] = mockClient.query.mock.calls
+        .find(([sql]) => sql.includes('INSERT INTO elective_allocation_reports'));
+      expect(values[0]).toBeNull();
+      expect(values[1]).toBe(1);
+      expect(JSON.parse(values[2]).allocated_count).toBe(3);
+      expect(JSON.parse(values[3])).toHaveLength(3);
+      expect(values[4]).toBe(2);
+    });
+  });
+
+  describe('buildAllocationStatistics', () => {
+    test('should count earlier rounds in the fill rate and list unallocated students', () => {
+      const statistics = reportService.buildAllocationStatistics({
+        results: [
+          { student_id: 7, student_name: 'Student A', cgpa: '9.10', elective_id: 1, preference_rank: 2 },
+          { student_id: 8, student_name: 'Student B', cgpa: '8.40', elective_id: null, preference_rank: null }
+        ],
+        electives: [
+          { id: 1, subject_name: 'ML', max_students: 4, seats_available: 2 },
+          { id: 2, subject_name: 'AI', max_students: 3, seats_available: 0 }
+        ],
+        waitlisted: 1
+      });
+
+      expect(statistics.electives).toEqual([
+        { elective_id: 1, subject_name: 'ML', capacity: 4, allocated: 1, seats_left: 1, fill_rate: 75, cgpa_cutoff: 9.1 },
+        { elective_id: 2, subject_name: 'AI', capacity: 3, allocated: 0, seats_left: 0, fill_rate: 100, cgpa_cutoff: null }
+      ]);
+      expect(statistics.rank_distribution).toEqual([{ preference_rank: 2, count: 1 }]);
+      expect(statistics.unallocated).toEqual([{ student_id: 8, student_name: 'Student B', cgpa: '8.40' }]);
+      expect(statistics.waitlisted_count).toBe(1);
+    });
+  });
+
+  describe('GET /api/electives/allocation-reports (Admin)', () => {
+    test('should list committed runs', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 12, allocation_round: 1 }] });
+
+      const response = await request(app)
+        .get('/api/electives/allocation-reports')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.count).toBe(1);
+    });
+
+    test('should be admin only', async () => {
+      const response = await request(app)
+        .get('/api/electives/allocation-reports')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should return 404 for an unknown report', async () => {
+      const response = await request(app)
+        .get('/api/electives/allocation-reports/99')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/electives/allocation-reports/:id/csv (Admin)', () => {
+    test('should download the per-student results as CSV', async () => {
+      query.mockResolvedValueOnce({
+        rows: [{
+          id: 12,
+          results: [
+            { student_id: 7, student_name: 'Doe, "Jo"', cgpa: '9.10', allocated_elective: 'ML', preference_rank: 1 },
+            { student_id: 8, student_name: 'Student B', cgpa: '8.40', allocated_elective: 'None (No seat available)', preference_rank: null }
+          ]
+        }]
+      });
+
+      const response = await request(app)
+        .get('/api/electives/allocation-reports/12/csv')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="allocation-report-12.csv"');
+      expect(response.text.split('\n')).toEqual([
+        'Student ID,Student Name,CGPA,Allocated Elective,Preference Rank',
+        '7,"Doe, ""Jo""",9.10,ML,1',
+        '8,Student B,8.40,None (No seat available),'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * Elective Allocation Strategy Tests
+ * CGPA priority, CGPA-band lottery, rank-maximal and reserved-seat policies,
+ * seeded tie-breaking and how the chosen strategy is recorded
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query, transaction } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const notificationService = require('../src/services/notification.service');
+const { runStrategy, STRATEGY_NAMES } = require('../src/components/electives/elective.strategies');
+const { validationSchemas } = require('../src/middleware/validation');
+const { createRandom } = require('../src/utils/random');
+
+const student = (id, cgpa, department = 'Computer Science') => ({ id, cgpa, department });
+
+const allocate = (strategy, { students, choices, seats, seed = 1, options = {} }) => {
+  const assignments = runStrategy(strategy, {
+    students,
+    choices: new Map(Object.entries(choices).map(([id, list]) => [Number(id), list])),
+    seats,
+    isEligible: () => true,
+    random: createRandom(seed),
+    options
+  });
+  return Object.fromEntries(assignments);
+};
+
+describe('Elective Allocation Strategies', () => {
+  describe('cgpa', () => {
+    test('should serve students in CGPA order', () => {
+      expect(allocate('cgpa', {
+        students: [student(1, '7.50'), student(2, '9.20')],
+        choices: { 1: [10, 20], 2: [10, 20] },
+        seats: { 10: 1, 20: 1 }
+      })).toEqual({ 1: 20, 2: 10 });
+    });
+
+    test('should break CGPA ties by the seed, the same way every time', () => {
+      const input = {
+        students: [1, 2, 3, 4, 5, 6].map((id) => student(id, '8.00')),
+        choices: { 1: [10], 2: [10], 3: [10], 4: [10], 5: [10], 6: [10] },
+        seats: { 10: 1 }
+      };
+      const winners = [1, 2, 3, 4, 5].map((seed) => Object.keys(allocate('cgpa', { ...input, seed }))[0]);
+
+      expect(new Set(winners).size).toBeGreaterThan(1);
+      expect(allocate('cgpa', { ...input, seed: 3 })).toEqual(allocate('cgpa', { ...input, seed: 3 }));
+      // The database may return tied students in any order
+      expect(allocate('cgpa', { ...input, students: [...input.students].reverse(), seed: 3 }))
+        .toEqual(allocate('cgpa', { ...input, seed: 3 }));
+    });
+  });
+
+  describe('cgpa_band_lottery', () => {
+    test('should let higher bands choose first and draw lots within a band', () => {
+      const input = {
+        students: [student(1, '8.10'), student(2, '8.45'), student(3, '9.60')],
+        choices: { 1: [10], 2: [10], 3: [10] },
+        seats: { 10: 2 },
+        options: { band_width: 0.5 }
+      };
+      const bandWinners = new Set();
+
+      for (let seed = 1; seed <= 10; seed++) {
+        const result = allocate('cgpa_band_lottery', { ...input, seed });
+        expect(result[3]).toBe(10);
+        bandWinners.add(result[1] ? 1 : 2);
+      }
+
+      // 8.10 and 8.45 share the 8.0–8.49 band, so either can win the last seat
+      expect([...bandWinners].sort()).toEqual([1, 2]);
+    });
+  });
+
+  describe('rank_maximal', () => {
+    test('should maximise first choices, then second choices', () => {
+      // CGPA priority gives A their first choice and leaves B with nothing
+      const input = {
+        students: [student(1, '9.00'), student(2, '8.00')],
+        choices: { 1: [10, 20], 2: [10] },
+        seats: { 10: 1, 20: 1 }
+      };
+
+      expect(allocate('cgpa', input)).toEqual({ 1: 10 });
+      expect(allocate('rank_maximal', input)).toEqual({ 1: 20, 2: 10 });
+    });
+
+    test('should prefer higher-CGPA students between equally good assignments', () => {
+      expect(allocate('rank_maximal', {
+        students: [student(1, '7.00'), student(2, '9.00')],
+        choices: { 1: [10], 2: [10] },
+        seats: { 10: 1 }
+      })).toEqual({ 2: 10 });
+    });
+
+    test('should never exceed an elective\'s seats', () => {
+      const students = Array.from({ length: 12 }, (_, index) => student(index + 1, (6 + index * 0.3).toFixed(2)));
+      const choices = Object.fromEntries(students.map(({ id }) => [id, [10, 20, 30]]));
+      const result = allocate('rank_maximal', { students, choices, seats: { 10: 3, 20: 2, 30: 4 } });
+      const taken = Object.values(result).reduce((counts, id) => ({ ...counts, [id]: (counts[id] || 0) + 1 }), {});
+
+      expect(taken).toEqual({ 10: 3, 20: 2, 30: 4 });
+    });
+  });
+
+  describe('reserved_seats', () => {
+    test('should hold reserved seats for the department', () => {
+      expect(allocate('reserved_seats', {
+        students: [student(1, '9.50'), student(2, '9.00'), student(3, '6.00', 'Mechanical')],
+        choices: { 1: [10], 2: [10], 3: [10] },
+        seats: { 10: 2 },
+        options: { reserved_seats: [{ elective_id: 10, department: 'Mechanical', seats: 1 }] }
+      })).toEqual({ 1: 10, 3: 10 });
+    });
+
+    test('should release reserved seats nobody from the department claimed', () => {
+      expect(allocate('reserved_seats', {
+        students: [student(1, '9.50'), student(2, '9.00')],
+        choices: { 1: [10], 2: [10] },
+        seats: { 10: 2 },
+        options: { reserved_seats: [{ elective_id: 10, department: 'Mechanical', seats: 1 }] }
+      })).toEqual({ 1: 10, 2: 10 });
+    });
+  });
+
+  describe('POST /api/electives/allocate with a strategy', () => {
+    let studentToken, adminToken, mockClient;
+
+    beforeAll(() => {
+      studentToken = generateToken({ id: 1, email: 'student@example.com', role: 'student' });
+      adminToken = generateToken({ id: 2, email: 'admin@example.com', role: 'admin' });
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      query.mockResolvedValue({ rows: [], rowCount: 0 });
+      mockClient = { query: jest.fn() };
+      mockClient.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM users')) {
+          return {
+            rows: [
+              { id: 7, full_name: 'Student A', email: 'a@example.com', cgpa: '9.00' },
+              { id: 8, full_name: 'Student B', email: 'b@example.com', cgpa: '8.00' }
+            ]
+          };
+        }
+        if (sql.includes('seats_available') && !sql.includes('ORDER BY e.id')) {
+          return {
+            rows: [
+              { id: 1, subject_name: 'ML', max_students: 1, seats_available: 1 },
+              { id: 2, subject_name: 'AI', max_students: 1, seats_available: 1 }
+            ]
+          };
+        }
+        if (sql.startsWith('SELECT elective_id FROM student_choices')) {
+          return { rows: [{ elective_id: 1 }, { elective_id: 2 }] };
+        }
+        if (sql.includes('INSERT INTO elective_allocation_reports')) return { rows: [{ id: 12 }] };
+        return { rows: [], rowCount: 0 };
+      });
+      transaction.mockImplementation(async (callback) => callback(mockClient));
+      jest.spyOn(notificationService, 'createNotificationsForUsers').mockResolvedValue();
+    });
+
+    test('should return the strategy and seed used', async () => {
+      const response = await request(app)
+        .post('/api/electives/allocate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ dry_run: true, strategy: 'cgpa_band_lottery', seed: 42 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.allocation).toEqual({
+        strategy: 'cgpa_band_lottery',
+        seed: 42,
+        options: { band_width: 0.5 }
+      });
+    });
+
+    test('should pick and return a seed when none is given', async () => {
+      const response = await request(app)
+        .post('/api/electives/allocate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ dry_run: true });
+
+      expect(response.body.data.allocation.strategy).toBe('cgpa');
+      expect(Number.isInteger(response.body.data.allocation.seed)).toBe(true);
+    });
+
+    test('should record the strategy, options and seed with the report', async () => {
+      const reserved_seats = [{ elective_id: 1, department: 'Mechanical', seats: 1 }];
+
+      const response = await request(app)
+        .post('/api/electives/allocate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ strategy: 'reserved_seats', seed: 7, reserved_seats });
+
+      expect(response.status).toBe(200);
+
+      const [, values] = mockClient.query.mock.calls
+        .find(([sql]) => sql.includes('INSERT INTO elective_allocation_reports'));
+      expect(values.slice(5)).toEqual(['reserved_seats', JSON.stringify({ reserved_seats }), 7]);
+      // Nobody from Mechanical applied, so the reserved ML seat is released to Student B
+      expect(response.body.data.allocationResults).toEqual([
+        expect.objectContaining({ student_id: 7, allocated_elective: 'AI', preference_rank: 2 }),
+        expect.objectContaining({ student_id: 8, allocated_elective: 'ML', preference_rank: 1 })
+      ]);
+    });
+
+    test('should require reservations for the reserved seats strategy', async () => {
+      const response = await request(app)
+        .post('/api/electives/allocate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ strategy: 'reserved_seats' });
+
+      expect(response.status).toBe(400);
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    test('should reject options that belong to another strategy', async () => {
+      const response = await request(app)
+        .post('/api/electives/allocate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ strategy: 'rank_maximal', band_width: 0.5 });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should accept exactly the registered strategies', async () => {
+      STRATEGY_NAMES.forEach(strategy => {
+        const { error } = validationSchemas.allocateElectives.validate({ strategy, reserved_seats: [] });
+        expect(error && error.details[0].path).not.toEqual(['strategy']);
+      });
+
+      const response = await request(app)
+        .post('/api/electives/allocate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ strategy: 'first_come' });
+
+      expect(response.status).toBe(400);
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    test('should be admin only', async () => {
+      const response = await request(app)
+        .post('/api/electives/allocate')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ strategy: 'rank_maximal' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,499 @@
+/**
+ * Elective Change Request Tests
+ * Student drops and swaps, the swap market, admin approval rules and
+ * refilling freed seats from the waitlist
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query, transaction } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const notificationService = require('../src/services/notification.service');
+
+const ELECTIVES = {
+  10: { id: 10, subject_name: 'Machine Learning', max_students: 30, exclusive_elective_ids: [] },
+  20: { id: 20, subject_name: 'Cloud Computing', max_students: 30, exclusive_elective_ids: [] }
+};
+
+const changeRequest = (overrides = {}) => ({
+  id: 100,
+  student_id: 1,
+  student_name: 'Student A',
+  student_email: 'student@example.com',
+  request_type: 'swap',
+  from_elective_id: 10,
+  from_elective_name: 'Machine Learning',
+  to_elective_id: 20,
+  to_elective_name: 'Cloud Computing',
+  status: 'open',
+  matched_request_id: null,
+  ...overrides
+});
+
+describe('Elective Change Requests', () => {
+  let studentToken, adminToken, mockClient, db;
+
+  beforeAll(() => {
+    studentToken = generateToken({ id: 1, email: 'student@example.com', role: 'student' });
+    adminToken = generateToken({ id: 2, email: 'admin@example.com', role: 'admin' });
+  });
+
+  // A small in-memory stand-in for the tables the change flow touches
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db = {
+      rules: null,
+      allocation: { elective_id: 10, subject_name: 'Machine Learning' },
+      active: [],
+      requests: new Map(),
+      partner: null,
+      seats: { 10: 0, 20: 0 },
+      waitlist: { 10: [], 20: [] },
+      listings: []
+    };
+
+    query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('elective_change_rules')) {
+        return { rows: db.rules ? [{ elective_change_rules: db.rules }] : [] };
+      }
+      if (sql.includes('FROM electives WHERE id = $1')) {
+        return { rows: ELECTIVES[params[0]] ? [ELECTIVES[params[0]]] : [] };
+      }
+      if (sql.includes('AS wants_your_elective')) return { rows: db.listings };
+      return { rows: [], rowCount: 0 };
+    });
+
+    mockClient = { query: jest.fn() };
+    mockClient.query.mockImplementation(async (sql, params = []) => {
+      if (sql.includes('FOR UPDATE OF ae')) {
+        return { rows: db.allocation ? [db.allocation] : [] };
+      }
+      if (sql.includes('status = ANY($2)')) return { rows: db.active };
+      if (sql.includes('INSERT INTO elective_change_requests')) {
+        const [student_id, request_type, from_elective_id, to_elective_id] = params;
+        db.requests.set(100, changeRequest({
+          student_id,
+          request_type,
+          from_elective_id,
+          to_elective_id,
+          to_elective_name: to_elective_id ? ELECTIVES[to_elective_id].subject_name : null
+        }));
+        return { rows: [{ id: 100 }] };
+      }
+      if (sql.includes('JOIN allocated_electives ae ON ae.student_id = cr.student_id')) {
+        return { rows: db.partner ? [db.partner] : [] };
+      }
+      if (sql.includes('WHERE cr.id = $1')) {
+        const found = db.requests.get(params[0]);
+        return { rows: found ? [{ ...found }] : [] };
+      }
+      if (sql.includes('SET status = $1')) {
+        db.requests.get(params[3]).status = params[0];
+        return { rowCount: 1 };
+      }
+      if (sql.includes('SET status = \'open\', matched_request_id = NULL')) {
+        db.requests.get(params[0]).status = 'open';
+        return { rowCount: 1 };
+      }
+      if (sql.includes('max_students - (')) {
+        return { rows: [{ seats_available: db.seats[params[0]] }] };
+      }
+      if (sql.includes('UPDATE allocated_electives')) return { rowCount: 1 };
+      if (sql.includes('DELETE FROM allocated_electives')) {
+        db.seats[params[1]] += 1;
+        return { rowCount: 1 };
+      }
+      if (sql.includes('e.max_students - COUNT(ae.id)::int AS seats_available')) {
+        const electiveId = params[0];
+        return { rows: [{ ...ELECTIVES[electiveId], seats_available: db.seats[electiveId] }] };
+      }
+      if (sql.includes('FROM elective_waitlist ew')) return { rows: db.waitlist[params[0]] };
+      if (sql.includes('INSERT INTO allocated_electives')) {
+        return { rows: [{ id: 1 }], rowCount: 1 };
+      }
+      return { rows: [], rowCount: 0 };
+    });
+
+    transaction.mockImplementation(async (callback) => callback(mockClient));
+    jest.spyOn(notificationService, 'createNotificationsForUsers').mockResolvedValue();
+    jest.spyOn(notificationService, 'notifyRole').mockResolvedValue();
+  });
+
+  const allocationUpdates = () => mockClient.query.mock.calls
+    .filter(([sql]) => sql.includes('UPDATE allocated_electives'))
+    .map(([, params]) => params);
+
+  const notifiedEvents = () => notificationService.createNotificationsForUsers.mock.calls
+    .map(([notice]) => [notice.eventType, notice.users.map((user) => user.id)]);
+
+  describe('POST /api/electives/change-requests', () => {
+    test('should hold a drop for approval by default', async () => {
+      const response = await request(app)
+        .post('/api/electives/change-requests')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ request_type: 'drop' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.changeRequest.status).toBe('pending_approval');
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('DELETE FROM allocated_electives'))).toBe(false);
+      expect(notifiedEvents()).toEqual([['ELECTIVE_CHANGE_PENDING', [1]]]);
+      expect(notificationService.notifyRole).toHaveBeenCalledWith(
+        expect.objectContaining({ role: 'admin', eventType: 'ELECTIVE_CHANGE_REVIEW_NEEDED' })
+      );
+    });
+
+    test('should drop straight away and promote the waitlist when no approval is needed', async () => {
+      db.rules = { drop_requires_approval: false };
+      db.waitlist[10] = [{ id: 5, student_id: 9, preference_rank: 1, full_name: 'Student W', email: 'w@example.com' }];
+
+      const response = await request(app)
+        .post('/api/electives/change-requests')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ request_type: 'drop', reason: 'Clashes with a lab' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.message).toBe('Elective change completed');
+      expect(response.body.data.changeRequest.status).toBe('completed');
+      expect(notifiedEvents()).toEqual([
+        ['ELECTIVE_CHANGE_COMPLETED', [1]],
+        ['WAITLIST_PROMOTED', [9]]
+      ]);
+    });
+
+    test('should move into an elective with a free seat', async () => {
+      db.seats[20] = 1;
+
+      const response = await request(app)
+        .post('/api/electives/change-requests')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ request_type: 'swap', to_elective_id: 20 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.changeRequest.status).toBe('completed');
+      expect(allocationUpdates()).toEqual([[20, 1, 10]]);
+      // The seat left behind is offered to the waitlist
+      expect(mockClient.query.mock.calls.some(([sql, params]) =>
+        sql.includes('COUNT(ae.id)::int AS seats_available') && params[0] === 10)).toBe(true);
+    });
+
+    test('should trade seats with a student asking for the reverse swap', async () => {
+      db.partner = changeRequest({
+        id: 50,
+        student_id: 7,
+        student_email: 'b@example.com',
+        from_elective_id: 20,
+        from_elective_name: 'Cloud Computing',
+        to_elective_id: 10,
+        to_elective_name: 'Machine Learning'
+      });
+      db.requests.set(50, db.partner);
+
+      const response = await request(app)
+        .post('/api/electives/change-requests')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ request_type: 'swap', to_elective_id: 20 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.changeRequest.status).toBe('completed');
+      expect(db.requests.get(50).status).toBe('completed');
+      expect(allocationUpdates()).toEqual([[20, 1, 10], [10, 7, 20]]);
+      expect(notifiedEvents()).toEqual([
+        ['ELECTIVE_CHANGE_COMPLETED', [1]],
+        ['ELECTIVE_CHANGE_COMPLETED', [7]]
+      ]);
+    });
+
+    test('should hold a matched swap for approval when the rules ask for it', async () => {
+      db.rules = { swap_requires_approval: true };
+      db.partner = changeRequest({ id: 50, student_id: 7, from_elective_id: 20, to_elective_id: 10 });
+      db.requests.set(50, db.partner);
+
+      const response = await request(app)
+        .post('/api/electives/change-requests')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ request_type: 'swap', to_elective_id: 20 });
+
+      expect(response.body.data.changeRequest.status).toBe('pending_approval');
+      expect(db.requests.get(50).status).toBe('pending_approval');
+      expect(allocationUpdates()).toEqual([]);
+    });
+
+    test('should leave a swap into a full elective open on the market', async () => {
+      const response = await request(app)
+        .post('/api/electives/change-requests')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ request_type: 'swap', to_elective_id: 20 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.message).toBe('Elective change request submitted');
+      expect(response.body.data.changeRequest.status).toBe('open');
+      expect(allocationUpdates()).toEqual([]);
+      expect(notificationService.createNotificationsForUsers).not.toHaveBeenCalled();
+    });
+
+    test('should reject changes while they are closed', async () => {
+      db.rules = { changes_open: false };
+
+      const response = await request(app)
+        .post('/api/electives/change-requests')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ request_type: 'drop' });
+
+      expect(response.status).toBe(403);
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    test('should require an allocated elective', async () => {
+      db.allocation = null;
+
+      const response = await request(app)
+        .post('/api/electives/change-requests')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ request_type: 'drop' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe('You have no allocated elective to change');
+    });
+
+    test('should allow one request in progress at a time', async () => {
+      db.active = [{ id: 99 }];
+
+      const response = await request(app)
+        .post('/api/electives/change-requests')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ request_type: 'drop' });
+
+      expect(response.status).toBe(409);
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO elective_change_requests'))).toBe(false);
+    });
+
+    test('should refuse a swap into an elective the student is not eligible for', async () => {
+      ELECTIVES[20].min_cgpa = '9.50';
+
+      try {
+        const response = await request(app)
+          .post('/api/electives/change-requests')
+          .set('Authorization', `Bearer ${studentToken}`)
+          .send({ request_type: 'swap', to_elective_id: 20 });
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('You are not eligible for Cloud Computing: Requires a CGPA of at least 9.50');
+      } finally {
+        delete ELECTIVES[20].min_cgpa;
+      }
+    });
+
+    test('should validate the target elective against the request type', async () => {
+      const missingTarget = await request(app)
+        .post('/api/electives/change-requests')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ request_type: 'swap' });
+      const dropWithTarget = await request(app)
+        .post('/api/electives/change-requests')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ request_type: 'drop', to_elective_id: 20 });
+
+      expect(missingTarget.status).toBe(400);
+      expect(dropWithTarget.status).toBe(400);
+    });
+
+    test('should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/electives/change-requests')
+        .send({ request_type: 'drop' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('PUT /api/electives/change-requests/:id/review', () => {
+    test('should approve a drop and refill the freed seat', async () => {
+      db.requests.set(100, changeRequest({ request_type: 'drop', to_elective_id: null, status: 'pending_approval' }));
+      db.waitlist[10] = [{ id: 5, student_id: 9, preference_rank: 1, full_name: 'Student W', email: 'w@example.com' }];
+
+      const response = await request(app)
+        .put('/api/electives/change-requests/100/review')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ decision: 'approve', note: 'Approved by the department' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.changeRequest.status).toBe('completed');
+
+      const [, params] = mockClient.query.mock.calls.find(([sql]) => sql.includes('SET status = $1'));
+      expect(params).toEqual(['completed', 2, 'Approved by the department', 100]);
+      expect(notifiedEvents()).toEqual([
+        ['ELECTIVE_CHANGE_COMPLETED', [1]],
+        ['WAITLIST_PROMOTED', [9]]
+      ]);
+    });
+
+    test('should send the partner of a rejected swap back to the market', async () => {
+      db.requests.set(100, changeRequest({ status: 'pending_approval', matched_request_id: 50 }));
+      db.requests.set(50, changeRequest({
+        id: 50,
+        student_id: 7,
+        from_elective_id: 20,
+        to_elective_id: 10,
+        status: 'pending_approval',
+        matched_request_id: 100
+      }));
+
+      const response = await request(app)
+        .put('/api/electives/change-requests/100/review')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ decision: 'reject' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.changeRequest.status).toBe('rejected');
+      expect(db.requests.get(50).status).toBe('open');
+      expect(allocationUpdates()).toEqual([]);
+      expect(notifiedEvents()).toEqual([
+        ['ELECTIVE_CHANGE_REJECTED', [1]],
+        ['ELECTIVE_SWAP_REOPENED', [7]]
+      ]);
+    });
+
+    test('should not approve a move once the seat has gone', async () => {
+      db.requests.set(100, changeRequest({ status: 'pending_approval' }));
+
+      const response = await request(app)
+        .put('/api/electives/change-requests/100/review')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ decision: 'approve' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe('Cloud Computing has no free seat any more');
+      expect(notificationService.createNotificationsForUsers).not.toHaveBeenCalled();
+    });
+
+    test('should only review requests awaiting approval', async () => {
+      db.requests.set(100, changeRequest());
+
+      const response = await request(app)
+        .put('/api/electives/change-requests/100/review')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ decision: 'approve' });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should be admin only', async () => {
+      const response = await request(app)
+        .put('/api/electives/change-requests/100/review')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ decision: 'approve' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PUT /api/electives/my/change-requests/:id/cancel', () => {
+    test('should cancel the student\'s own request', async () => {
+      db.requests.set(100, changeRequest());
+
+      const response = await request(app)
+        .put('/api/electives/my/change-requests/100/cancel')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.changeRequest.status).toBe('cancelled');
+    });
+
+    test('should not reveal other students\' requests', async () => {
+      db.requests.set(100, changeRequest({ student_id: 7 }));
+
+      const response = await request(app)
+        .put('/api/electives/my/change-requests/100/cancel')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/electives/swap-market', () => {
+    test('should list open swaps without naming students', async () => {
+      db.listings = [{
+        from_elective_id: 20,
+        from_elective_name: 'Cloud Computing',
+        to_elective_id: 10,
+        to_elective_name: 'Machine Learning',
+        open_requests: 2,
+        wants_your_elective: true
+      }];
+
+      const response = await request(app)
+        .get('/api/electives/swap-market')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.listings).toEqual(db.listings);
+
+      const [sql, params] = query.mock.calls.find(([text]) => text.includes('AS wants_your_elective'));
+      expect(sql).toContain('cr.student_id <> $1');
+      expect(params).toEqual([1]);
+    });
+  });
+
+  describe('/api/electives/change-rules', () => {
+    test('should fall back to the default rules', async () => {
+      const response = await request(app)
+        .get('/api/electives/change-rules')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.rules).toEqual({
+        changes_open: true,
+        drop_requires_approval: true,
+        move_requires_approval: false,
+        swap_requires_approval: false
+      });
+    });
+
+    test('should let admins update the rules', async () => {
+      const rules = {
+        changes_open: true,
+        drop_requires_approval: false,
+        move_requires_approval: true,
+        swap_requires_approval: true
+      };
+      query.mockResolvedValueOnce({ rows: [{ elective_change_rules: rules }] });
+
+      const response = await request(app)
+        .put('/api/electives/change-rules')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(rules);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.rules).toEqual(rules);
+      expect(query.mock.calls[0][1][3]).toBe(JSON.stringify(rules));
+    });
+
+    test('should not let students update the rules', async () => {
+      const response = await request(app)
+        .put('/api/electives/change-rules')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({
+          changes_open: false,
+          drop_requires_approval: false,
+          move_requires_approval: false,
+          swap_requires_approval: false
+        });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Elective Eligibility Tests
+ * Department, semester range, minimum CGPA, prerequisite and exclusion rules
+ * at listing, submission and allocation
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query, transaction } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const notificationService = require('../src/services/notification.service');
+const eligibilityService = require('../src/components/electives/elective.eligibility.service');
+
+const SUBJECTS = [
+  { subject_code: 'CS201', subject_name: 'Data Structures', department: 'Computer Science', semester: 3 },
+  { subject_code: 'ME201', subject_name: 'Thermodynamics', department: 'Mechanical', semester: 3 }
+];
+
+const elective = (overrides = {}) => ({
+  id: 1,
+  subject_name: 'Machine Learning',
+  max_students: 50,
+  eligible_departments: [],
+  min_semester: null,
+  max_semester: null,
+  min_cgpa: null,
+  prerequisite_subject_codes: [],
+  exclusive_elective_ids: [],
+  ...overrides
+});
+
+const student = { department: 'Computer Science', semester: 5, cgpa: '8.20' };
+
+const profile = (overrides = {}, held = []) =>
+  eligibilityService.buildStudentProfile({ ...student, ...overrides }, SUBJECTS, held);
+
+const subjectNames = new Map(SUBJECTS.map((subject) => [subject.subject_code, subject.subject_name]));
+
+describe('Elective Eligibility', () => {
+  let studentToken, adminToken, mockClient;
+
+  beforeAll(() => {
+    studentToken = generateToken({ id: 1, email: 'student@example.com', role: 'student' });
+    adminToken = generateToken({ id: 2, email: 'admin@example.com', role: 'admin' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+    mockClient = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }) };
+    transaction.mockImplementation(async (callback) => callback(mockClient));
+    jest.spyOn(notificationService, 'createNotificationsForUsers').mockResolvedValue();
+  });
+
+  describe('checkEligibility', () => {
+    test('should accept an elective without rules', () => {
+      expect(eligibilityService.checkEligibility(elective(), profile())).toEqual([]);
+    });
+
+    test('should explain every rule the student fails', () => {
+      const reasons = eligibilityService.checkEligibility(
+        elective({
+          eligible_departments: ['Mechanical'],
+          min_semester: 6,
+          max_semester: 8,
+          min_cgpa: '8.50',
+          prerequisite_subject_codes: ['ME201']
+        }),
+        profile(),
+        subjectNames
+      );
+
+      expect(reasons).toEqual([
+        'Only for Mechanical students',
+        'Semester 6–8 only',
+        'Requires a CGPA of at least 8.50',
+        'Requires Thermodynamics'
+      ]);
+    });
+
+    test('should count earlier semesters of the own department as completed', () => {
+      const rules = elective({ prerequisite_subject_codes: ['CS201'] });
+
+      expect(eligibilityService.checkEligibility(rules, profile(), subjectNames)).toEqual([]);
+      expect(eligibilityService.checkEligibility(rules, profile({ semester: 3 }), subjectNames))
+        .toEqual(['Requires Data Structures']);
+    });
+
+    test('should apply exclusions from either side', () => {
+      const held = [{ id: 2, subject_name: 'Deep Learning', exclusive_elective_ids: [1] }];
+
+      expect(eligibilityService.checkEligibility(elective(), profile({}, held)))
+        .toEqual(['Cannot be taken with Deep Learning']);
+      expect(eligibilityService.areExclusive(elective({ exclusive_elective_ids: [2] }), { id: 2 })).toBe(true);
+    });
+  });
+
+  describe('GET /api/electives', () => {
+    test('should show a signed-in student why an elective is ineligible', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [elective(), elective({ id: 3, subject_name: 'Robotics', min_semester: 7 })] })
+        .mockResolvedValueOnce({ rows: [student] })
+        .mockResolvedValueOnce({ rows: SUBJECTS })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/api/electives')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.electives[0].eligibility).toEqual({ eligible: true, reasons: [] });
+      expect(response.body.data.electives[1].eligibility).toEqual({ eligible: false, reasons: ['From semester 7'] });
+    });
+
+    test('should stay public without eligibility for guests', async () => {
+      query.mockResolvedValueOnce({ rows: [elective()] });
+
+      const response = await request(app).get('/api/electives');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.electives[0].eligibility).toBeUndefined();
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('POST /api/electives (Admin)', () => {
+    test('should save eligibility rules', async () => {
+      query.mockResolvedValueOnce({ rows: [elective({ min_cgpa: '7.00' })] });
+
+      const response = await request(app)
+        .post('/api/electives')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          subject_name: 'Machine Learning',
+          eligible_departments: ['Computer Science'],
+          min_semester: 5,
+          min_cgpa: 7,
+          prerequisite_subject_codes: ['CS201']
+        });
+
+      expect(response.status).toBe(201);
+      expect(query.mock.calls[0][1].slice(5)).toEqual([['Computer Science'], 5, null, 7, ['CS201'], []]);
+    });
+
+    test('should reject a semester range that ends before it starts', async () => {
+      const response = await request(app)
+        .post('/api/electives')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ subject_name: 'Machine Learning', min_semester: 6, max_semester: 4 });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/electives/choices', () => {
+    const openRound = () => query
+      .mockResolvedValueOnce({ rows: [{ id: 4, is_open: true }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    test('should reject an elective the student is not eligible for', async () => {
+      openRound()
+        .mockResolvedValueOnce({ rows: [elective(), elective({ id: 3, subject_name: 'Robotics', min_cgpa: '9.00' })] })
+        .mockResolvedValueOnce({ rows: [student] })
+        .mockResolvedValueOnce({ rows: SUBJECTS })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/electives/choices')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ choices: [{ elective_id: 1, preference_rank: 1 }, { elective_id: 3, preference_rank: 2 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('You are not eligible for Robotics: Requires a CGPA of at least 9.00');
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    test('should reject two mutually exclusive electives', async () => {
+      openRound()
+        .mockResolvedValueOnce({
+          rows: [elective(), elective({ id: 2, subject_name: 'Deep Learning', exclusive_elective_ids: [1] })]
+        })
+        .mockResolvedValueOnce({ rows: [student] })
+        .mockResolvedValueOnce({ rows: SUBJECTS })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/electives/choices')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ choices: [{ elective_id: 1, preference_rank: 1 }, { elective_id: 2, preference_rank: 2 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Machine Learning and Deep Learning cannot both be chosen');
+    });
+  });
+
+  describe('POST /api/electives/allocate', () => {
+    test('should skip and not waitlist electives a student no longer qualifies for', async () => {
+      mockClient.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM users WHERE role')) {
+          return { rows: [{ id: 7, full_name: 'Student A', email: 'a@example.com', ...student }] };
+        }
+        if (sql.includes('seats_available') && !sql.includes('ORDER BY e.id')) {
+          return {
+            rows: [
+              elective({ id: 1, min_cgpa: '9.00', seats_available: 5 }),
+              elective({ id: 2, subject_name: 'Cloud Computing', seats_available: 0 })
+            ]
+          };
+        }
+        if (sql.includes('FROM subjects')) return { rows: SUBJECTS };
+        if (sql.startsWith('SELECT elective_id FROM student_choices')) {
+          return { rows: [{ elective_id: 1 }, { elective_id: 2 }] };
+        }
+        if (sql.startsWith('SELECT elective_id, preference_rank')) {
+          return { rows: [{ elective_id: 1, preference_rank: 1 }, { elective_id: 2, preference_rank: 2 }] };
+        }
+        return { rows: [], rowCount: 0 };
+      });
+
+      const response = await request(app)
+        .post('/api/electives/allocate')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.allocationResults[0].preference_rank).toBeNull();
+
+      const waitlisted = mockClient.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO elective_waitlist'));
+      expect(waitlisted.map(([, values]) => values[1])).toEqual([2]);
+    });
+  });
+
+  describe('POST /api/electives/waitlist/process (Admin)', () => {
+    test('should skip waiting students who no longer qualify', async () => {
+      mockClient.query.mockImplementation(async (sql) => {
+        if (sql.includes('seats_available')) {
+          return { rows: [elective({ min_cgpa: '8.00', seats_available: 1 })] };
+        }
+        if (sql.includes('FROM elective_waitlist ew')) {
+          return {
+            rows: [
+              { id: 21, student_id: 7, preference_rank: 1, full_name: 'Student A', email: 'a@example.com', ...student, cgpa: '7.10' },
+              { id: 22, student_id: 8, preference_rank: 1, full_name: 'Student B', email: 'b@example.com', ...student }
+            ]
+          };
+        }
+        if (sql.includes('FROM subjects')) return { rows: SUBJECTS };
+        if (sql.includes('INSERT INTO allocated_electives')) return { rows: [{ id: 30 }], rowCount: 1 };
+        return { rows: [], rowCount: 0 };
+      });
+
+      const response = await request(app)
+        .post('/api/electives/waitlist/process')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.promotedCount).toBe(1);
+
+      const allocated = mockClient.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO allocated_electives'));
+      expect(allocated.map(([, values]) => values[0])).toEqual([8]);
+      const skipped = mockClient.query.mock.calls.filter(([sql]) => sql.includes('SET status = \'skipped\''));
+      expect(skipped.map(([, values]) => values[0])).toEqual([21]);
+    });
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * Elective Round Tests
+ * Admin-managed selection windows, submission gating and multi-round allocation
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query, transaction } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const notificationService = require('../src/services/notification.service');
+
+const round = (overrides = {}) => ({
+  id: 4,
+  name: 'Round 2',
+  round_number: 2,
+  opens_at: '2026-03-01T09:00:00.000Z',
+  closes_at: '2026-03-08T17:00:00.000Z',
+  semesters: [5],
+  departments: [],
+  status: 'open',
+  ...overrides
+});
+
+const choices = [{ elective_id: 1, preference_rank: 1 }];
+
+describe('Elective Rounds', () => {
+  let studentToken, adminToken, mockClient;
+
+  beforeAll(() => {
+    studentToken = generateToken({ id: 1, email: 'student@example.com', role: 'student' });
+    adminToken = generateToken({ id: 2, email: 'admin@example.com', role: 'admin' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+    mockClient = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }) };
+    transaction.mockImplementation(async (callback) => callback(mockClient));
+    jest.spyOn(notificationService, 'createNotificationsForUsers').mockResolvedValue();
+  });
+
+  describe('POST /api/electives/rounds (Admin)', () => {
+    test('should create the next numbered round', async () => {
+      query.mockResolvedValueOnce({ rows: [round()] });
+
+      const response = await request(app)
+        .post('/api/electives/rounds')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Round 2',
+          opens_at: '2026-03-01T09:00:00.000Z',
+          closes_at: '2026-03-08T17:00:00.000Z',
+          semesters: [5]
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.round.round_number).toBe(2);
+      expect(query.mock.calls[0][0]).toContain('COALESCE(MAX(round_number), 0) + 1');
+      expect(query.mock.calls[0][1]).toEqual([
+        'Round 2',
+        new Date('2026-03-01T09:00:00.000Z'),
+        new Date('2026-03-08T17:00:00.000Z'),
+        [5],
+        [],
+        2
+      ]);
+    });
+
+    test('should reject a round that closes before it opens', async () => {
+      const response = await request(app)
+        .post('/api/electives/rounds')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Round 2', opens_at: '2026-03-08T09:00:00.000Z', closes_at: '2026-03-01T09:00:00.000Z' });
+
+      expect(response.status).toBe(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    test('should be admin only', async () => {
+      const response = await request(app)
+        .get('/api/electives/rounds')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PUT /api/electives/rounds/:id (Admin)', () => {
+    test('should close a round early', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [round()] })
+        .mockResolvedValueOnce({ rows: [round({ status: 'closed' })] });
+
+      const response = await request(app)
+        .put('/api/electives/rounds/4')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'closed' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.round.status).toBe('closed');
+      expect(query.mock.calls[1][1][5]).toBe('closed');
+    });
+
+    test('should not change an allocated round', async () => {
+      query.mockResolvedValueOnce({ rows: [round({ status: 'allocated' })] });
+
+      const response = await request(app)
+        .put('/api/electives/rounds/4')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'open' });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should not allow marking a round allocated by hand', async () => {
+      const response = await request(app)
+        .put('/api/electives/rounds/4')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'allocated' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/electives/rounds/current (Student)', () => {
+    test('should return the open round with the server time for the countdown', async () => {
+      query.mockResolvedValueOnce({ rows: [round({ is_open: true })] });
+
+      const response = await request(app)
+        .get('/api/electives/rounds/current')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.round.is_open).toBe(true);
+      expect(response.body.data.server_time).toBeDefined();
+      expect(query.mock.calls[0][0]).toContain('u.semester = ANY(r.semesters)');
+      expect(query.mock.calls[0][1]).toEqual([1]);
+    });
+  });
+
+  describe('POST /api/electives/choices', () => {
+    test('should reject submissions when no round is open', async () => {
+      const response = await request(app)
+        .post('/api/electives/choices')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ choices });
+
+      expect(response.status).toBe(403);
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    test('should reject submissions before the round opens', async () => {
+      query.mockResolvedValueOnce({ rows: [round({ is_open: false })] });
+
+      const response = await request(app)
+        .post('/api/electives/choices')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ choices });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should reject students already holding a seat', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [round({ is_open: true })] })
+        .mockResolvedValueOnce({ rows: [{ id: 30 }] });
+
+      const response = await request(app)
+        .post('/api/electives/choices')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ choices });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should record the round the choices were made in', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [round({ is_open: true })] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      const response = await request(app)
+        .post('/api/electives/choices')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ choices });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.round.id).toBe(4);
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('round_id'),
+        [1, 1, 1, 4]
+      );
+    });
+  });
+
+  describe('POST /api/electives/allocate with a round', () => {
+    test('should refuse a round that is still open', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [round({ has_ended: false })] });
+
+      const response = await request(app)
+        .post('/api/electives/allocate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ round_id: 4 });
+
+      expect(response.status).toBe(409);
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse a round that was already allocated', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [round({ status: 'allocated', has_ended: true })] });
+
+      const response = await request(app)
+        .post('/api/electives/allocate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ round_id: 4 });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should only allocate unassigned students into the seats left', async () => {
+      mockClient.query.mockImplementation(async (sql) => {
+        if (sql.includes('FOR UPDATE')) return { rows: [round({ status: 'closed', has_ended: false })] };
+        if (sql.includes('FROM users u')) {
+          return {
+            rows: [
+              { id: 7, full_name: 'Student A', email: 'a@example.com', cgpa: 9.1 },
+              { id: 8, full_name: 'Student B', email: 'b@example.com', cgpa: 8.4 }
+            ]
+          };
+        }
+        // The waitlist pass orders by e.id; the allocation's own capacity query does not
+        if (sql.includes('seats_available') && !sql.includes('ORDER BY e.id')) {
+          return {
+            rows: [
+              { id: 1, subject_name: 'ML', seats_available: 0 },
+              { id: 2, subject_name: 'AI', seats_available: 1 }
+            ]
+          };
+        }
+        if (sql.startsWith('SELECT elective_id FROM student_choices')) {
+          return { rows: [{ elective_id: 1 }, { elective_id: 2 }] };
+        }
+        if (sql.startsWith('SELECT elective_id, preference_rank')) {
+          return { rows: [{ elective_id: 1, preference_rank: 1 }, { elective_id: 2, preference_rank: 2 }] };
+        }
+        if (sql.includes('UPDATE elective_rounds')) return { rows: [round({ status: 'allocated' })] };
+        return { rows: [], rowCount: 0 };
+      });
+
+      const response = await request(app)
+        .post('/api/electives/allocate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ round_id: 4 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.round.status).toBe('allocated');
+      expect(response.body.data.allocationResults).toEqual([
+        expect.objectContaining({ student_id: 7, allocated_elective: 'AI', preference_rank: 2 }),
+        expect.objectContaining({ student_id: 8, preference_rank: null })
+      ]);
+
+      const sqls = mockClient.query.mock.calls.map(([sql]) => sql);
+      expect(sqls.some((sql) => sql === 'DELETE FROM allocated_electives')).toBe(false);
+      expect(sqls.find((sql) => sql.includes('FROM users u'))).toContain('NOT EXISTS (SELECT 1 FROM allocated_electives');
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO allocated_electives (student_id, elective_id, allocation_round)'),
+        [7, 2, 2]
+      );
+      expect(notificationService.createNotificationsForUsers).toHaveBeenCalledWith(
+        expect.objectContaining({
+          users: [expect.objectContaining({ id: 7 }), expect.objectContaining({ id: 8 })]
+        })
+      );
+    });
+  });
+});
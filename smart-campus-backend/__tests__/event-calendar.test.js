@@ -0,0 +1,195 @@
+/**
+ * Event Calendar Export Tests
+ * Single-event .ics downloads and the token-authenticated subscription feed
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+
+const FEED_TOKEN = 'a'.repeat(48);
+
+const event = (overrides = {}) => ({
+  id: 7,
+  title: 'Hackathon; Finals, Day 1',
+  description: 'Bring a laptop\nand a charger',
+  location: 'Main Hall',
+  start_time: new Date('2026-03-02T04:30:00Z'),
+  end_time: new Date('2026-03-02T12:30:00Z'),
+  club_name: 'Coding Club',
+  tags: ['tech'],
+  recurrence_rule: null,
+  ...overrides
+});
+
+const lines = (response) => response.text.split('\r\n');
+
+describe('Event Calendar Export', () => {
+  let studentToken;
+
+  beforeAll(() => {
+    studentToken = generateToken({ id: 1, email: 'student@example.com', role: 'student' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  describe('GET /api/events/:id/ics', () => {
+    test('should export the event with escaped text and UTC times', async () => {
+      query.mockResolvedValueOnce({ rows: [event()] });
+
+      const response = await request(app).get('/api/events/7/ics');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/calendar');
+      expect(response.headers['content-disposition']).toContain('event-7.ics');
+      expect(lines(response)).toEqual(expect.arrayContaining([
+        'BEGIN:VCALENDAR',
+        'UID:event-7@smart-campus-utility-hub',
+        'DTSTART:20260302T043000Z',
+        'DTEND:20260302T123000Z',
+        'SUMMARY:Hackathon\\; Finals\\, Day 1',
+        'DESCRIPTION:Bring a laptop\\nand a charger\\n\\nHosted by Coding Club',
+        'CATEGORIES:tech',
+        'END:VCALENDAR'
+      ]));
+      expect(response.text).not.toContain('RRULE');
+    });
+
+    test('should export a series with cancelled and edited occurrences', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [event({ recurrence_rule: 'FREQ=WEEKLY;BYDAY=MO;UNTIL=20260330' })] })
+        .mockResolvedValueOnce({
+          rows: [
+            { event_id: 7, occurrence_start: new Date('2026-03-09T04:30:00Z'), is_cancelled: true },
+            {
+              event_id: 7,
+              occurrence_start: new Date('2026-03-16T04:30:00Z'),
+              is_cancelled: false,
+              location: 'Lab 2',
+              start_time: null,
+              end_time: null
+            }
+          ]
+        });
+
+      const response = await request(app).get('/api/events/7/ics');
+
+      expect(response.status).toBe(200);
+      expect(lines(response)).toEqual(expect.arrayContaining([
+        'RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20260330T235959Z',
+        'EXDATE:20260309T043000Z',
+        'RECURRENCE-ID:20260316T043000Z',
+        'DTSTART:20260316T043000Z',
+        'DTEND:20260316T123000Z',
+        'LOCATION:Lab 2'
+      ]));
+      expect(response.text.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    });
+
+    test('should return 404 for a missing event', async () => {
+      const response = await request(app).get('/api/events/99/ics');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/events/calendar-feed', () => {
+    test('should create a feed token on first use', async () => {
+      query.mockResolvedValueOnce({ rows: [{ calendar_feed_token: null }] });
+
+      const response = await request(app)
+        .get('/api/events/calendar-feed')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      const [sql, values] = query.mock.calls[1];
+      expect(sql).toContain('UPDATE users SET calendar_feed_token');
+      expect(values[0]).toMatch(/^[0-9a-f]{48}$/);
+      expect(response.body.data.feed_url).toMatch(new RegExp(`/api/events/calendar-feed/${values[0]}\\.ics$`));
+      expect(response.body.data.webcal_url).toMatch(/^webcal:\/\//);
+    });
+
+    test('should reuse an existing token', async () => {
+      query.mockResolvedValueOnce({ rows: [{ calendar_feed_token: FEED_TOKEN }] });
+
+      const response = await request(app)
+        .get('/api/events/calendar-feed')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.feed_url).toContain(FEED_TOKEN);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should replace the token on reset', async () => {
+      const response = await request(app)
+        .post('/api/events/calendar-feed/reset')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[0][1][1]).toBe(1);
+      expect(response.body.data.feed_url).not.toContain(FEED_TOKEN);
+    });
+
+    test('should require authentication', async () => {
+      const response = await request(app).get('/api/events/calendar-feed');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/events/calendar-feed/:token.ics', () => {
+    test("should list the user's saved and RSVP'd events", async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 1, full_name: 'Asha Rao' }] })
+        .mockResolvedValueOnce({
+          rows: [
+            event({ rsvp_status: 'confirmed' }),
+            event({ id: 8, title: 'Career Fair', rsvp_status: 'waitlisted' }),
+            event({ id: 9, title: 'Film Night', rsvp_status: null })
+          ]
+        });
+
+      const response = await request(app).get(`/api/events/calendar-feed/${FEED_TOKEN}.ics`);
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[0][1]).toEqual([FEED_TOKEN]);
+      expect(query.mock.calls[1][0]).toContain('saved_events');
+      expect(query.mock.calls[1][1][0]).toBe(1);
+      expect(response.text).toContain('X-WR-CALNAME:Campus Events - Asha Rao');
+      expect(response.text.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+      expect(response.text.match(/STATUS:TENTATIVE/g)).toHaveLength(1);
+    });
+
+    test('should return 404 for an unknown token', async () => {
+      const response = await request(app).get(`/api/events/calendar-feed/${'b'.repeat(48)}.ics`);
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should reject a malformed token without querying', async () => {
+      const response = await request(app).get('/api/events/calendar-feed/not-a-token.ics');
+
+      expect(response.status).toBe(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+});
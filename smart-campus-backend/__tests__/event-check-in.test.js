@@ -0,0 +1,379 @@
+/**
+ * Event Check-in Tests
+ * Signed QR passes, organiser check-in and attendance reports
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const checkInService = require('../src/components/campus-events/event.checkin.service');
+
+const rsvp = (overrides = {}) => ({
+  id: 11,
+  user_id: 1,
+  event_id: 7,
+  status: 'confirmed',
+  checked_in_at: null,
+  full_name: 'Asha Rao',
+  email: 'asha@example.com',
+  ...overrides
+});
+
+// Weekly on Mondays, 10:00-12:00 UTC
+const series = {
+  start_time: '2020-01-06T10:00:00.000Z',
+  end_time: '2020-01-06T12:00:00.000Z',
+  recurrence_rule: 'FREQ=WEEKLY;BYDAY=MO'
+};
+const occurrenceStart = '2020-01-13T10:00:00.000Z';
+
+describe('Event Check-in', () => {
+  let studentToken;
+  let adminToken;
+
+  beforeAll(() => {
+    studentToken = generateToken({ id: 1, email: 'student@example.com', role: 'student' });
+    adminToken = generateToken({ id: 2, email: 'admin@example.com', role: 'admin' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  describe('check-in tokens', () => {
+    test('should round-trip a signed token', () => {
+      const token = checkInService.createToken({ id: 11, event_id: 7 });
+
+      expect(token).toMatch(/^11\.7\./);
+      expect(checkInService.parseToken(token)).toEqual({ rsvpId: 11, eventId: 7, occurrenceStart: null });
+    });
+
+    test('should carry the occurrence of a series', () => {
+      const token = checkInService.createToken({ id: 11, event_id: 7 }, occurrenceStart);
+
+      expect(checkInService.parseToken(token)).toEqual({ rsvpId: 11, eventId: 7, occurrenceStart });
+    });
+
+    test('should reject a token whose ids were changed', () => {
+      const signature = checkInService.createToken({ id: 11, event_id: 7 }).split('.')[2];
+
+      expect(checkInService.parseToken(`12.7.${signature}`)).toBeNull();
+      expect(checkInService.parseToken('not-a-token')).toBeNull();
+    });
+  });
+
+  describe('GET /api/events/:id/check-in-pass', () => {
+    test('should return a QR code for a confirmed RSVP', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 11, status: 'confirmed', checked_in_at: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, start_time: '2030-01-08T10:00:00.000Z', recurrence_rule: null }] });
+
+      const response = await request(app)
+        .get('/api/events/7/check-in-pass')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.qr_code).toMatch(/^data:image\/png;base64,/);
+      expect(response.body.data.occurrence).toBeNull();
+      expect(checkInService.parseToken(response.body.data.token)).toEqual({ rsvpId: 11, eventId: 7, occurrenceStart: null });
+    });
+
+    test('should issue a series pass for the next occurrence by default', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 11, status: 'confirmed', checked_in_at: '2020-01-06T10:05:00.000Z' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, ...series }] });
+
+      const response = await request(app)
+        .get('/api/events/7/check-in-pass')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      const { occurrence, token, checked_in_at: checkedInAt } = response.body.data;
+      expect(new Date(occurrence.end_time).getTime()).toBeGreaterThan(Date.now());
+      expect(new Date(occurrence.start_time).getUTCDay()).toBe(1);
+      expect(checkInService.parseToken(token).occurrenceStart).toBe(occurrence.occurrence_start);
+      // The series' first check-in is not this occurrence's
+      expect(checkedInAt).toBeNull();
+    });
+
+    test('should issue a series pass for a requested occurrence', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 11, status: 'confirmed', checked_in_at: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, ...series }] });
+
+      const response = await request(app)
+        .get(`/api/events/7/check-in-pass?occurrence_start=${occurrenceStart}`)
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.occurrence.occurrence_start).toBe(occurrenceStart);
+      expect(checkInService.parseToken(response.body.data.token).occurrenceStart).toBe(occurrenceStart);
+    });
+
+    test('should refuse a pass for a time that is not an occurrence', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 11, status: 'confirmed', checked_in_at: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, ...series }] });
+
+      const response = await request(app)
+        .get('/api/events/7/check-in-pass?occurrence_start=2020-01-14T10:00:00.000Z')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should refuse a pass while the user is waitlisted', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 12, status: 'waitlisted', waitlist_position: 1 }] });
+
+      const response = await request(app)
+        .get('/api/events/7/check-in-pass')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 404 without an RSVP', async () => {
+      const response = await request(app)
+        .get('/api/events/7/check-in-pass')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/events/:id/check-in (Admin only)', () => {
+    const token = () => checkInService.createToken({ id: 11, event_id: 7 });
+
+    test('should mark the attendee as checked in', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [rsvp()] })
+        .mockResolvedValueOnce({ rows: [rsvp({ checked_in_at: '2030-01-08T10:05:00.000Z' })] });
+
+      const response = await request(app)
+        .post('/api/events/7/check-in')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ token: token() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Asha Rao checked in');
+      expect(query.mock.calls[1][0]).toContain('checked_in_at IS NULL');
+      expect(query.mock.calls[1][1]).toEqual([11, 2]);
+    });
+
+    test('should reject a second scan', async () => {
+      query.mockResolvedValueOnce({ rows: [rsvp({ checked_in_at: '2030-01-08T10:05:00.000Z' })] });
+
+      const response = await request(app)
+        .post('/api/events/7/check-in')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ token: token() });
+
+      expect(response.status).toBe(409);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should check in to one occurrence of a series', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [rsvp({ ...series, checked_in_at: '2020-01-06T10:05:00.000Z' })] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({
+          rows: [rsvp({ occurrence_start: occurrenceStart, checked_in_at: '2020-01-13T10:05:00.000Z' })]
+        });
+
+      const response = await request(app)
+        .post('/api/events/7/check-in')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ token: checkInService.createToken({ id: 11, event_id: 7 }, occurrenceStart) });
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[2][0]).toContain('event_occurrence_check_ins');
+      expect(query.mock.calls[2][1]).toEqual([11, occurrenceStart, 2]);
+    });
+
+    test('should reject a second scan for the same occurrence', async () => {
+      query.mockResolvedValueOnce({ rows: [rsvp(series)] });
+
+      const response = await request(app)
+        .post('/api/events/7/check-in')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ token: checkInService.createToken({ id: 11, event_id: 7 }, occurrenceStart) });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should reject a cancelled occurrence', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [rsvp(series)] })
+        .mockResolvedValueOnce({ rows: [{ event_id: 7, occurrence_start: occurrenceStart, is_cancelled: true }] });
+
+      const response = await request(app)
+        .post('/api/events/7/check-in')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ token: checkInService.createToken({ id: 11, event_id: 7 }, occurrenceStart) });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('This occurrence was cancelled');
+      expect(query).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject a series code without an occurrence', async () => {
+      query.mockResolvedValueOnce({ rows: [rsvp(series)] });
+
+      const response = await request(app)
+        .post('/api/events/7/check-in')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ token: token() });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('out of date');
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject a code for another event', async () => {
+      const response = await request(app)
+        .post('/api/events/8/check-in')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ token: token() });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('different event');
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    test('should reject a forged code', async () => {
+      const response = await request(app)
+        .post('/api/events/7/check-in')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ token: '11.7.forged' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Invalid check-in code');
+    });
+
+    test('should return 404 once the RSVP was cancelled', async () => {
+      const response = await request(app)
+        .post('/api/events/7/check-in')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ token: token() });
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should reject students', async () => {
+      const response = await request(app)
+        .post('/api/events/7/check-in')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ token: token() });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/events/:id/attendance (Admin only)', () => {
+    test('should report attendance and no-shows for a past event', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 7, title: 'Hackathon', start_time: '2020-01-08T10:00:00.000Z' }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 11, full_name: 'Asha Rao', checked_in_at: '2020-01-08T10:05:00.000Z' },
+            { id: 12, full_name: 'Ravi Kumar', checked_in_at: '2020-01-08T10:07:00.000Z' },
+            { id: 13, full_name: 'Meera Shah', checked_in_at: null },
+            { id: 14, full_name: 'Dev Patel', checked_in_at: null }
+          ]
+        });
+
+      const response = await request(app)
+        .get('/api/events/7/attendance')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary).toEqual({
+        confirmed: 4,
+        checked_in: 2,
+        no_shows: 2,
+        attendance_rate: 50,
+        no_show_rate: 50,
+        has_started: true
+      });
+    });
+
+    test('should not count no-shows before the event starts', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 7, title: 'Hackathon', start_time: '2099-01-08T10:00:00.000Z' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 11, full_name: 'Asha Rao', checked_in_at: null }] });
+
+      const response = await request(app)
+        .get('/api/events/7/attendance')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary.no_shows).toBe(0);
+      expect(response.body.data.summary.no_show_rate).toBeNull();
+    });
+
+    test('should report attendance for one occurrence of a series', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 7, title: 'Weekly Meetup', ...series }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 11, full_name: 'Asha Rao', checked_in_at: '2020-01-13T10:05:00.000Z' },
+            { id: 12, full_name: 'Ravi Kumar', checked_in_at: null }
+          ]
+        })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get(`/api/events/7/attendance?occurrence_start=${occurrenceStart}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[2][1]).toEqual([7, occurrenceStart]);
+      expect(response.body.data.occurrence.occurrence_start).toBe(occurrenceStart);
+      expect(response.body.data.summary).toMatchObject({ confirmed: 2, checked_in: 1, no_shows: 1 });
+      expect(response.body.data.occurrences.length).toBeGreaterThan(0);
+    });
+
+    test('should count check-ins for each started occurrence and the next one', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ occurrence_start: new Date(occurrenceStart), checked_in: 3 }] });
+
+      const occurrences = await checkInService.summariseOccurrences(
+        { id: 7, ...series },
+        new Date('2020-01-15T00:00:00.000Z')
+      );
+
+      expect(occurrences.map(o => [o.occurrence_start, o.checked_in])).toEqual([
+        ['2020-01-06T10:00:00.000Z', 0],
+        [occurrenceStart, 3],
+        ['2020-01-20T10:00:00.000Z', 0]
+      ]);
+    });
+
+    test('should return 404 for a missing event', async () => {
+      const response = await request(app)
+        .get('/api/events/99/attendance')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Event Feedback Tests
+ * Attendee ratings inside the feedback window, organiser summaries and
+ * club average ratings
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const activityService = require('../src/services/activity.service');
+const feedbackService = require('../src/components/campus-events/event.feedback.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const event = (endedDaysAgo, overrides = {}) => ({
+  id: 7,
+  title: 'Hackathon',
+  start_time: new Date(Date.now() - endedDaysAgo * DAY_MS - 3 * 60 * 60 * 1000).toISOString(),
+  end_time: new Date(Date.now() - endedDaysAgo * DAY_MS).toISOString(),
+  recurrence_rule: null,
+  ...overrides
+});
+
+const attended = { status: 'confirmed', checked_in_at: '2026-03-01T10:05:00.000Z', attendance_tracked: true };
+
+describe('Event Feedback', () => {
+  let studentToken;
+  let adminToken;
+
+  beforeAll(() => {
+    studentToken = generateToken({ id: 1, email: 'student@example.com', role: 'student' });
+    adminToken = generateToken({ id: 2, email: 'admin@example.com', role: 'admin' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+    jest.spyOn(activityService, 'logActivity').mockResolvedValue();
+  });
+
+  describe('getFeedbackWindow', () => {
+    const now = new Date('2026-03-10T12:00:00.000Z');
+
+    test('should stay closed until the event ends', async () => {
+      const window = await feedbackService.getFeedbackWindow(
+        { end_time: '2026-03-10T15:00:00.000Z', recurrence_rule: null },
+        now
+      );
+
+      expect(window).toEqual({ opens_at: '2026-03-10T15:00:00.000Z', closes_at: null, is_open: false });
+    });
+
+    test('should close seven days after the event ends', async () => {
+      const window = await feedbackService.getFeedbackWindow(
+        { end_time: '2026-03-02T12:00:00.000Z', recurrence_rule: null },
+        now
+      );
+
+      expect(window.closes_at).toBe('2026-03-09T12:00:00.000Z');
+      expect(window.is_open).toBe(false);
+    });
+
+    test('should follow the latest ended occurrence of a series', async () => {
+      const window = await feedbackService.getFeedbackWindow(
+        {
+          id: 7,
+          start_time: '2026-01-05T10:00:00.000Z',
+          end_time: '2026-01-05T11:00:00.000Z',
+          recurrence_rule: 'FREQ=WEEKLY;BYDAY=MO'
+        },
+        now
+      );
+
+      expect(window).toEqual({
+        opens_at: '2026-03-09T11:00:00.000Z',
+        closes_at: '2026-03-16T11:00:00.000Z',
+        is_open: true
+      });
+    });
+  });
+
+  describe('hasAttended', () => {
+    test('should accept confirmed RSVPs when attendance was not tracked', () => {
+      expect(feedbackService.hasAttended({ status: 'confirmed', checked_in_at: null, attendance_tracked: false })).toBe(true);
+    });
+
+    test('should require a check-in once attendance was tracked', () => {
+      expect(feedbackService.hasAttended({ status: 'confirmed', checked_in_at: null, attendance_tracked: true })).toBe(false);
+      expect(feedbackService.hasAttended(attended)).toBe(true);
+    });
+
+    test('should reject waitlisted and missing RSVPs', () => {
+      expect(feedbackService.hasAttended({ status: 'waitlisted', checked_in_at: null, attendance_tracked: false })).toBe(false);
+      expect(feedbackService.hasAttended(null)).toBe(false);
+    });
+  });
+
+  describe('PUT /api/events/:id/feedback', () => {
+    test('should save an attendee rating', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [event(2)] })
+        .mockResolvedValueOnce({ rows: [attended] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, event_id: 7, rating: 4, comment: 'Great talks' }] });
+
+      const response = await request(app)
+        .put('/api/events/7/feedback')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ rating: 4, comment: 'Great talks' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.feedback.rating).toBe(4);
+      expect(query.mock.calls[2][0]).toContain('ON CONFLICT (event_id, user_id)');
+      expect(query.mock.calls[2][1]).toEqual([7, 1, 4, 'Great talks']);
+    });
+
+    test('should reject users who did not attend', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [event(2)] })
+        .mockResolvedValueOnce({ rows: [{ status: 'confirmed', checked_in_at: null, attendance_tracked: true }] });
+
+      const response = await request(app)
+        .put('/api/events/7/feedback')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ rating: 5 });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should reject feedback after the window closes', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [event(30)] })
+        .mockResolvedValueOnce({ rows: [attended] });
+
+      const response = await request(app)
+        .put('/api/events/7/feedback')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ rating: 5 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('closed');
+    });
+
+    test('should reject feedback before the event ends', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [event(-1)] })
+        .mockResolvedValueOnce({ rows: [attended] });
+
+      const response = await request(app)
+        .put('/api/events/7/feedback')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ rating: 5 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('ended');
+    });
+
+    test('should reject ratings outside 1 to 5', async () => {
+      const response = await request(app)
+        .put('/api/events/7/feedback')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ rating: 6 });
+
+      expect(response.status).toBe(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for unpublished events', async () => {
+      const response = await request(app)
+        .put('/api/events/7/feedback')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ rating: 3 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/events/:id/feedback/me', () => {
+    test('should report the window and existing rating', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [event(2)] })
+        .mockResolvedValueOnce({ rows: [attended] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, rating: 4, comment: null }] });
+
+      const response = await request(app)
+        .get('/api/events/7/feedback/me')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.can_submit).toBe(true);
+      expect(response.body.data.window.is_open).toBe(true);
+      expect(response.body.data.feedback.rating).toBe(4);
+    });
+  });
+
+  describe('GET /api/events/:id/feedback (organisers)', () => {
+    test('should summarise ratings and list comments', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 7, title: 'Hackathon' }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 3, rating: 5, comment: 'Loved it', full_name: 'Asha Rao' },
+            { id: 4, rating: 4, comment: null, full_name: 'Ravi Kumar' },
+            { id: 5, rating: 2, comment: 'Too long', full_name: 'Meera Shah' }
+          ]
+        });
+
+      const response = await request(app)
+        .get('/api/events/7/feedback')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary).toEqual({
+        count: 3,
+        average_rating: 3.67,
+        distribution: { 1: 0, 2: 1, 3: 0, 4: 1, 5: 1 }
+      });
+      expect(response.body.data.feedback).toHaveLength(3);
+    });
+
+    test('should not be available to attendees', async () => {
+      const response = await request(app)
+        .get('/api/events/7/feedback')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/clubs/:id', () => {
+    test('should include the club average rating', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 4, name: 'Robotics', member_count: 12, average_rating: 4.25, rating_count: 8 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get('/api/clubs/4');
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[0][0]).toContain('AS average_rating');
+      expect(response.body.data.club.average_rating).toBe(4.25);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Event Image Tests
+ * Resizing, EXIF stripping, responsive URL sets and orphan cleanup
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-images-'));
+process.env.UPLOADS_DIR = uploadsDir;
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const notificationService = require('../src/services/notification.service');
+const activityService = require('../src/services/activity.service');
+const imageService = require('../src/services/image.service');
+const { runImageCleanup } = require('../src/jobs/imageCleanup.job');
+
+const photo = ({ width = 2000, height = 1000 } = {}) =>
+  sharp({ create: { width, height, channels: 3, background: { r: 40, g: 120, b: 200 } } })
+    .jpeg()
+    .withMetadata({ exif: { IFD0: { Copyright: 'Jane Doe', Make: 'PhoneCam' } } })
+    .toBuffer();
+
+const uploads = () => fs.readdirSync(uploadsDir).sort();
+
+const touch = (filename, ageMs = 0) => {
+  const filePath = path.join(uploadsDir, filename);
+  fs.writeFileSync(filePath, 'x');
+  const time = new Date(Date.now() - ageMs);
+  fs.utimesSync(filePath, time, time);
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Event Images', () => {
+  let adminToken;
+
+  beforeAll(() => {
+    adminToken = generateToken({ id: 2, email: 'admin@example.com', role: 'admin' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+    jest.spyOn(notificationService, 'notifyRole').mockResolvedValue();
+    jest.spyOn(notificationService, 'broadcast').mockImplementation(() => {});
+    jest.spyOn(activityService, 'logActivity').mockResolvedValue();
+    for (const file of fs.readdirSync(uploadsDir)) {
+      fs.rmSync(path.join(uploadsDir, file));
+    }
+  });
+
+  afterAll(() => {
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+  });
+
+  describe('processEventImage', () => {
+    test('should write every size as WebP without EXIF', async () => {
+      const filename = await imageService.processEventImage(await photo());
+
+      expect(filename).toMatch(/^event-[\w-]+-large\.webp$/);
+      const base = filename.replace(/-large\.webp$/, '');
+      expect(uploads()).toEqual([`${base}-large.webp`, `${base}-medium.webp`, `${base}-thumbnail.webp`]);
+
+      const thumbnail = await sharp(path.join(uploadsDir, `${base}-thumbnail.webp`)).metadata();
+      expect(thumbnail.format).toBe('webp');
+      expect(thumbnail.width).toBe(320);
+      expect(thumbnail.exif).toBeUndefined();
+
+      const large = await sharp(path.join(uploadsDir, filename)).metadata();
+      expect(large.width).toBe(1600);
+    });
+
+    test('should not upscale small images', async () => {
+      const filename = await imageService.processEventImage(await photo({ width: 500, height: 300 }));
+
+      const medium = await sharp(path.join(uploadsDir, filename.replace('-large', '-medium'))).metadata();
+      expect(medium.width).toBe(500);
+    });
+
+    test('should reject files that are not images and leave nothing behind', async () => {
+      await expect(imageService.processEventImage(Buffer.from('not an image'))).rejects.toMatchObject({
+        statusCode: 400
+      });
+      expect(uploads()).toEqual([]);
+    });
+  });
+
+  describe('buildImageSet', () => {
+    test('should list every size with a srcset', () => {
+      const set = imageService.buildImageSet('http://api.test/uploads/event-1-abc-large.webp');
+
+      expect(set).toEqual({
+        thumbnail: 'http://api.test/uploads/event-1-abc-thumbnail.webp',
+        medium: 'http://api.test/uploads/event-1-abc-medium.webp',
+        large: 'http://api.test/uploads/event-1-abc-large.webp',
+        srcset:
+          'http://api.test/uploads/event-1-abc-thumbnail.webp 320w, ' +
+          'http://api.test/uploads/event-1-abc-medium.webp 800w, ' +
+          'http://api.test/uploads/event-1-abc-large.webp 1600w'
+      });
+    });
+
+    test('should fall back to the original for older uploads', () => {
+      const url = 'http://api.test/uploads/event-1-123.jpg';
+
+      expect(imageService.buildImageSet(url)).toEqual({ thumbnail: url, medium: url, large: url, srcset: null });
+      expect(imageService.buildImageSet(null)).toBeNull();
+    });
+  });
+
+  describe('removeOrphanedImages', () => {
+    test('should delete old unreferenced images only', async () => {
+      ['thumbnail', 'medium', 'large'].forEach(size => touch(`event-1-kept-${size}.webp`, 2 * DAY_MS));
+      touch('event-2-legacy.jpg', 2 * DAY_MS);
+      touch('event-3-gone-large.webp', 2 * DAY_MS);
+      touch('event-4-saving-large.webp');
+      touch('avatar-5.png', 2 * DAY_MS);
+
+      const removed = await imageService.removeOrphanedImages([
+        'http://api.test/uploads/event-1-kept-large.webp',
+        'http://api.test/uploads/event-2-legacy.jpg'
+      ]);
+
+      expect(removed).toEqual(['event-3-gone-large.webp']);
+      expect(uploads()).toEqual([
+        'avatar-5.png',
+        'event-1-kept-large.webp',
+        'event-1-kept-medium.webp',
+        'event-1-kept-thumbnail.webp',
+        'event-2-legacy.jpg',
+        'event-4-saving-large.webp'
+      ]);
+    });
+
+    test('should release images of long-deleted events first', async () => {
+      touch('event-6-old-large.webp', 2 * DAY_MS);
+      query
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await runImageCleanup();
+
+      expect(query.mock.calls[0][0]).toContain('SET image_url = NULL');
+      expect(query.mock.calls[0][1]).toEqual([30]);
+      expect(uploads()).toEqual([]);
+    });
+  });
+
+  describe('event uploads', () => {
+    test('should store a resized image when creating an event', async () => {
+      query.mockImplementation(async (sql, values) =>
+        sql.includes('INSERT INTO events')
+          ? { rows: [{ id: 9, title: values[0], status: 'approved', image_url: values[9] }] }
+          : { rows: [] }
+      );
+
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .field('title', 'Robotics Expo')
+        .field('description', 'Robots everywhere')
+        .field('location', 'Main Hall')
+        .field('start_time', '2026-04-01T10:00:00.000Z')
+        .field('end_time', '2026-04-01T12:00:00.000Z')
+        .attach('image', await photo(), 'expo.jpg');
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.event.image_url).toMatch(/\/uploads\/event-[\w-]+-large\.webp$/);
+      expect(response.body.data.event.image_set.srcset).toContain('320w');
+      expect(uploads()).toHaveLength(3);
+    });
+
+    test('should remove the previous image when it is replaced', async () => {
+      const previous = await imageService.processEventImage(await photo());
+      query.mockImplementation(async (sql, values) => {
+        if (sql.startsWith('SELECT image_url')) {
+          return { rows: [{ image_url: `http://api.test/uploads/${previous}` }] };
+        }
+        if (sql.startsWith('UPDATE events')) {
+          return { rows: [{ id: 9, title: 'Robotics Expo', status: 'draft', image_url: values[values.length - 2] }] };
+        }
+        return { rows: [] };
+      });
+
+      const response = await request(app)
+        .put('/api/events/9')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('image', await photo(), 'new.jpg');
+
+      expect(response.status).toBe(200);
+      expect(uploads()).toHaveLength(3);
+      expect(uploads()).not.toContain(previous);
+      expect(response.body.data.event.image_url).toContain(uploads()[0].replace('-large.webp', ''));
+    });
+
+    test('should not keep the new image when the event is missing', async () => {
+      const response = await request(app)
+        .put('/api/events/99')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('image', await photo(), 'new.jpg');
+
+      expect(response.status).toBe(404);
+      expect(uploads()).toEqual([]);
+    });
+  });
+});
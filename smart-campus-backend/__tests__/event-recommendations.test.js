@@ -0,0 +1,237 @@
+/**
+ * Event Recommendation Tests
+ * Ranking upcoming events by department, past interests, club affinity and
+ * popularity, with a reason for each pick
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const recommendationService = require('../src/components/campus-events/event.recommendation.service');
+
+const NOW = new Date('2026-03-02T09:00:00.000Z');
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+const upcoming = (overrides = {}) => ({
+  id: 20,
+  title: 'Campus Fair',
+  start_time: '2026-03-10T10:00:00.000Z',
+  end_time: '2026-03-10T12:00:00.000Z',
+  recurrence_rule: null,
+  target_department: null,
+  tags: [],
+  club_id: null,
+  club_name: null,
+  confirmed_count: 0,
+  saved_count: 0,
+  ...overrides
+});
+
+const profile = (overrides = {}) => ({
+  department: 'Computer Science',
+  tags: new Map(),
+  clubs: new Map(),
+  memberOf: new Set(),
+  ...overrides
+});
+
+describe('Event Recommendations', () => {
+  let studentToken;
+
+  beforeAll(() => {
+    studentToken = generateToken({ id: 1, email: 'student@example.com', role: 'student' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  describe('buildProfile', () => {
+    test('should count tags and clubs of saved and attended events', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ department: 'Computer Science' }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 1, tags: ['AI', 'Workshop'], club_id: 4, club_name: 'Robotics', is_saved: true, status: null },
+            { id: 2, tags: ['ai'], club_id: null, is_saved: true, status: null },
+            { id: 3, tags: ['AI'], club_id: 4, club_name: 'Robotics', is_saved: false, status: 'confirmed', attendance_tracked: false }
+          ]
+        })
+        .mockResolvedValueOnce({ rows: [{ club_id: 9 }] });
+
+      const result = await recommendationService.buildProfile(1, NOW);
+
+      expect(result.department).toBe('Computer Science');
+      expect(result.tags.get('ai')).toEqual({ count: 3, saved: 2, attended: 1 });
+      expect(result.tags.get('workshop')).toEqual({ count: 1, saved: 1, attended: 0 });
+      expect(result.clubs.get(4)).toEqual({ count: 2, saved: 1, attended: 1 });
+      expect(result.memberOf).toEqual(new Set([9]));
+      expect(query.mock.calls[1][0]).toContain('e.end_time <= $2');
+      expect(query.mock.calls[1][1]).toEqual([1, NOW]);
+    });
+
+    test('should not count no-shows at events that tracked check-in', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ department: null }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 1, tags: ['AI'], club_id: 4, is_saved: false, status: 'confirmed', checked_in_at: '2026-01-10T10:05:00.000Z', attendance_tracked: true },
+            { id: 2, tags: ['AI'], club_id: 4, is_saved: false, status: 'confirmed', checked_in_at: null, attendance_tracked: true },
+            { id: 3, tags: ['AI'], club_id: null, is_saved: true, status: 'confirmed', checked_in_at: null, attendance_tracked: true }
+          ]
+        })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await recommendationService.buildProfile(1, NOW);
+
+      expect(result.tags.get('ai')).toEqual({ count: 2, saved: 1, attended: 1 });
+      expect(result.clubs.get(4)).toEqual({ count: 1, saved: 0, attended: 1 });
+    });
+  });
+
+  describe('scoreEvent', () => {
+    test('should explain a tag match with the saved events behind it', () => {
+      const result = recommendationService.scoreEvent(
+        upcoming({ tags: ['AI'] }),
+        profile({ tags: new Map([['ai', { count: 3, saved: 3, attended: 0 }]]) })
+      );
+
+      expect(result).toEqual({ score: 3, reason: 'Because you saved 3 AI events' });
+    });
+
+    test('should cap how much one interest contributes', () => {
+      const result = recommendationService.scoreEvent(
+        upcoming({ tags: ['AI'] }),
+        profile({ tags: new Map([['ai', { count: 12, saved: 6, attended: 6 }]]) })
+      );
+
+      expect(result).toEqual({ score: 3, reason: 'Because you saved or attended 12 AI events' });
+    });
+
+    test('should recommend events for the student department', () => {
+      const result = recommendationService.scoreEvent(
+        upcoming({ target_department: 'Computer Science' }),
+        profile()
+      );
+
+      expect(result).toEqual({ score: 3, reason: 'For Computer Science students' });
+    });
+
+    test('should prefer club membership over past club events', () => {
+      const result = recommendationService.scoreEvent(
+        upcoming({ club_id: 4, club_name: 'Robotics Club' }),
+        profile({
+          memberOf: new Set([4]),
+          clubs: new Map([[4, { count: 1, saved: 0, attended: 1 }]])
+        })
+      );
+
+      expect(result).toEqual({ score: 3, reason: "Because you're a member of Robotics Club" });
+    });
+
+    test('should fall back to popularity', () => {
+      const result = recommendationService.scoreEvent(
+        upcoming({ confirmed_count: 80, saved_count: 19 }),
+        profile()
+      );
+
+      expect(result).toEqual({ score: 2, reason: 'Popular: 99 students are interested' });
+    });
+
+    test('should still list events with no signal', () => {
+      expect(recommendationService.scoreEvent(upcoming(), profile())).toEqual({ score: 0, reason: 'Coming up soon' });
+    });
+  });
+
+  describe('recommendEvents', () => {
+    test('should rank by score and show a series once at its next date', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ department: 'Computer Science' }] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 1, tags: ['AI'], club_id: null, is_saved: true, status: null }]
+        })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({
+          rows: [
+            upcoming({ id: 20 }),
+            upcoming({ id: 21, title: 'AI Meetup', tags: ['AI'], start_time: '2026-03-20T10:00:00.000Z', end_time: '2026-03-20T11:00:00.000Z' }),
+            upcoming({
+              id: 22,
+              title: 'Weekly Coding Club',
+              target_department: 'Computer Science',
+              start_time: '2026-01-05T16:00:00.000Z',
+              end_time: '2026-01-05T17:00:00.000Z',
+              recurrence_rule: 'FREQ=WEEKLY;BYDAY=MO'
+            })
+          ]
+        })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const events = await recommendationService.recommendEvents(1, { now: NOW });
+
+      expect(events.map(event => event.id)).toEqual([22, 21, 20]);
+      expect(events[0].start_time).toBe('2026-03-02T16:00:00.000Z');
+      expect(events[1].recommendation).toEqual({ score: 1, reason: 'Because you saved 1 AI event' });
+      expect(query.mock.calls[3][0]).toContain('e.target_department IS NULL OR e.target_department = $4');
+      expect(query.mock.calls[3][1][3]).toBe('Computer Science');
+    });
+  });
+
+  describe('GET /api/events/recommended', () => {
+    test('should return recommended events with reasons', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ department: null }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [upcoming({ start_time: inDays(5), end_time: inDays(5.1), confirmed_count: 4 })] });
+
+      const response = await request(app)
+        .get('/api/events/recommended')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.events).toHaveLength(1);
+      expect(response.body.data.events[0].recommendation.reason).toBe('Popular: 4 students are interested');
+    });
+
+    test('should not be shadowed by /:id', async () => {
+      const response = await request(app)
+        .get('/api/events/recommended?limit=5')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.events).toEqual([]);
+    });
+
+    test('should reject an oversized limit', async () => {
+      const response = await request(app)
+        .get('/api/events/recommended?limit=500')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should require authentication', async () => {
+      const response = await request(app).get('/api/events/recommended');
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
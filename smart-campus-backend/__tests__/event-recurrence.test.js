@@ -0,0 +1,339 @@
+/**
+ * Recurring Event Tests
+ * Rule parsing, occurrence expansion and single-occurrence edits
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const notificationService = require('../src/services/notification.service');
+const recurrence = require('../src/components/campus-events/event.recurrence');
+
+// Mondays 10:00-11:00 UTC from 5 Jan 2026
+const series = (overrides = {}) => ({
+  id: 7,
+  title: 'Robotics Club Meetup',
+  description: 'Weekly build session',
+  location: 'Lab 2',
+  start_time: '2026-01-05T10:00:00.000Z',
+  end_time: '2026-01-05T11:00:00.000Z',
+  recurrence_rule: 'FREQ=WEEKLY;BYDAY=MO',
+  status: 'approved',
+  total_count: '1',
+  ...overrides
+});
+
+const starts = (occurrences) => occurrences.map(({ start }) => start.toISOString().slice(0, 10));
+
+describe('Recurring Events', () => {
+  let studentToken;
+  let adminToken;
+
+  beforeAll(() => {
+    studentToken = generateToken({ id: 1, email: 'student@example.com', role: 'student' });
+    adminToken = generateToken({ id: 2, email: 'admin@example.com', role: 'admin' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+    jest.spyOn(notificationService, 'notifyRole').mockResolvedValue([]);
+  });
+
+  describe('recurrence rules', () => {
+    test('should store equivalent rules the same way', () => {
+      const rule = recurrence.parseRule('rrule:freq=weekly;byday=we,mo;interval=1;until=20260331');
+
+      expect(recurrence.formatRule(rule)).toBe('FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20260331');
+    });
+
+    test('should reject unsupported or conflicting parts', () => {
+      expect(() => recurrence.parseRule('FREQ=MONTHLY')).toThrow('FREQ must be DAILY or WEEKLY');
+      expect(() => recurrence.parseRule('FREQ=DAILY;BYDAY=MO')).toThrow('BYDAY');
+      expect(() => recurrence.parseRule('FREQ=DAILY;COUNT=3;UNTIL=20260301')).toThrow('UNTIL or COUNT');
+      expect(() => recurrence.parseRule('FREQ=WEEKLY;BYMONTH=2')).toThrow('unsupported BYMONTH');
+    });
+
+    test('should expand weekly days within the window', () => {
+      const occurrences = recurrence.expandOccurrences(
+        series({ recurrence_rule: 'FREQ=WEEKLY;BYDAY=MO,TH' }),
+        new Date('2026-01-06T00:00:00Z'),
+        new Date('2026-01-16T00:00:00Z')
+      );
+
+      expect(starts(occurrences)).toEqual(['2026-01-08', '2026-01-12', '2026-01-15']);
+      expect(occurrences[0].end.toISOString()).toBe('2026-01-08T11:00:00.000Z');
+    });
+
+    test('should honour INTERVAL, COUNT and UNTIL', () => {
+      const window = [new Date('2026-01-01T00:00:00Z'), new Date('2026-03-01T00:00:00Z')];
+
+      expect(starts(recurrence.expandOccurrences(series({ recurrence_rule: 'FREQ=WEEKLY;INTERVAL=2;COUNT=3' }), ...window)))
+        .toEqual(['2026-01-05', '2026-01-19', '2026-02-02']);
+      expect(starts(recurrence.expandOccurrences(series({ recurrence_rule: 'FREQ=DAILY;UNTIL=20260107' }), ...window)))
+        .toEqual(['2026-01-05', '2026-01-06', '2026-01-07']);
+    });
+
+    test('should only match generated starts as occurrences', () => {
+      expect(recurrence.isOccurrence(series(), '2026-01-12T10:00:00.000Z')).toBe(true);
+      expect(recurrence.isOccurrence(series(), '2026-01-13T10:00:00.000Z')).toBe(false);
+      expect(recurrence.isOccurrence(series(), '2026-01-12T09:00:00.000Z')).toBe(false);
+    });
+  });
+
+  describe('GET /api/events with a date window', () => {
+    test('should return one row per occurrence with edits and cancellations applied', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [series()] })
+        .mockResolvedValueOnce({
+          rows: [
+            { event_id: 7, occurrence_start: new Date('2026-01-12T10:00:00Z'), is_cancelled: true },
+            {
+              event_id: 7,
+              occurrence_start: new Date('2026-01-19T10:00:00Z'),
+              is_cancelled: false,
+              location: 'Main Hall',
+              start_time: new Date('2026-01-20T14:00:00Z'),
+              end_time: new Date('2026-01-20T15:00:00Z')
+            }
+          ]
+        });
+
+      const response = await request(app)
+        .get('/api/events?from=2026-01-01T00:00:00Z&to=2026-01-27T00:00:00Z');
+
+      expect(response.status).toBe(200);
+      const { events, pagination } = response.body.data;
+      expect(events.map(event => event.start_time)).toEqual([
+        '2026-01-05T10:00:00.000Z',
+        '2026-01-20T14:00:00.000Z',
+        '2026-01-26T10:00:00.000Z'
+      ]);
+      expect(events[1]).toMatchObject({
+        location: 'Main Hall',
+        occurrence_start: '2026-01-19T10:00:00.000Z',
+        is_recurring: true,
+        is_modified: true
+      });
+      expect(events[0].total_count).toBeUndefined();
+      expect(pagination.total).toBe(3);
+      expect(query.mock.calls[1][1]).toEqual([[7]]);
+    });
+
+    test('should keep one-off events in the window', async () => {
+      query.mockResolvedValueOnce({
+        rows: [series({ id: 8, recurrence_rule: null, start_time: '2026-01-10T09:00:00.000Z', end_time: '2026-01-10T12:00:00.000Z' })]
+      });
+
+      const response = await request(app)
+        .get('/api/events?from=2026-01-01T00:00:00Z&to=2026-01-31T00:00:00Z');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.events).toHaveLength(1);
+      expect(response.body.data.events[0].is_recurring).toBe(false);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject a window over a year long', async () => {
+      const response = await request(app)
+        .get('/api/events?from=2026-01-01T00:00:00Z&to=2027-06-01T00:00:00Z');
+
+      expect(response.status).toBe(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/events with a recurrence rule', () => {
+    test('should store the normalised rule', async () => {
+      query.mockResolvedValueOnce({ rows: [series()] });
+
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          title: 'Robotics Club Meetup',
+          description: 'Weekly build session',
+          location: 'Lab 2',
+          start_time: '2026-01-05T10:00:00.000Z',
+          end_time: '2026-01-05T11:00:00.000Z',
+          recurrence_rule: 'freq=weekly;byday=mo'
+        });
+
+      expect(response.status).toBe(201);
+      expect(query.mock.calls[0][1][11]).toBe('FREQ=WEEKLY;BYDAY=MO');
+    });
+
+    test('should reject an unsupported rule', async () => {
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          title: 'Robotics Club Meetup',
+          description: 'Weekly build session',
+          location: 'Lab 2',
+          start_time: '2026-01-05T10:00:00.000Z',
+          end_time: '2026-01-05T11:00:00.000Z',
+          recurrence_rule: 'FREQ=YEARLY'
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('Invalid recurrence_rule');
+    });
+  });
+
+  describe('GET /api/events/:id/occurrences (Admin only)', () => {
+    test('should list occurrences of one series in the window', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [series()] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/api/events/7/occurrences?from=2026-01-10T00:00:00Z&to=2026-01-31T00:00:00Z')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.occurrences.map(occurrence => occurrence.occurrence_start)).toEqual([
+        '2026-01-12T10:00:00.000Z',
+        '2026-01-19T10:00:00.000Z',
+        '2026-01-26T10:00:00.000Z'
+      ]);
+    });
+
+    test('should reject a window that ends before it starts', async () => {
+      const response = await request(app)
+        .get('/api/events/7/occurrences?from=2026-02-01T00:00:00Z&to=2026-01-01T00:00:00Z')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('PUT /api/events/:id/occurrences (Admin only)', () => {
+    test('should save an edit for one occurrence', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [series()] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, event_id: 7, location: 'Main Hall' }] });
+
+      const response = await request(app)
+        .put('/api/events/7/occurrences')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ occurrence_start: '2026-01-12T10:00:00.000Z', location: 'Main Hall' });
+
+      expect(response.status).toBe(200);
+      const [sql, values] = query.mock.calls[1];
+      expect(sql).toContain('ON CONFLICT (event_id, occurrence_start)');
+      expect(values).toEqual([7, new Date('2026-01-12T10:00:00.000Z'), false, null, null, 'Main Hall', null, null, 2]);
+      expect(notificationService.notifyRole).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'EVENT_UPDATED' }));
+    });
+
+    test('should keep the duration when only the start moves', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [series()] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      const response = await request(app)
+        .put('/api/events/7/occurrences')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ occurrence_start: '2026-01-12T10:00:00.000Z', start_time: '2026-01-13T15:00:00.000Z' });
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[1][1].slice(6, 8)).toEqual([
+        new Date('2026-01-13T15:00:00.000Z'),
+        new Date('2026-01-13T16:00:00.000Z')
+      ]);
+    });
+
+    test('should reject a start that is not an occurrence', async () => {
+      query.mockResolvedValueOnce({ rows: [series()] });
+
+      const response = await request(app)
+        .put('/api/events/7/occurrences')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ occurrence_start: '2026-01-13T10:00:00.000Z', location: 'Main Hall' });
+
+      expect(response.status).toBe(400);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject moving an occurrence by more than a week', async () => {
+      query.mockResolvedValueOnce({ rows: [series()] });
+
+      const response = await request(app)
+        .put('/api/events/7/occurrences')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ occurrence_start: '2026-01-12T10:00:00.000Z', start_time: '2026-02-12T10:00:00.000Z' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject one-off events', async () => {
+      query.mockResolvedValueOnce({ rows: [series({ recurrence_rule: null })] });
+
+      const response = await request(app)
+        .put('/api/events/7/occurrences')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ occurrence_start: '2026-01-05T10:00:00.000Z', location: 'Main Hall' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('does not repeat');
+    });
+
+    test('should reject students', async () => {
+      const response = await request(app)
+        .put('/api/events/7/occurrences')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ occurrence_start: '2026-01-12T10:00:00.000Z', location: 'Main Hall' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('DELETE /api/events/:id/occurrences (Admin only)', () => {
+    test('should cancel one occurrence', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [series()] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, is_cancelled: true }] });
+
+      const response = await request(app)
+        .delete('/api/events/7/occurrences?occurrence_start=2026-01-19T10:00:00.000Z')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[1][1].slice(0, 3)).toEqual([7, new Date('2026-01-19T10:00:00.000Z'), true]);
+      expect(notificationService.notifyRole).toHaveBeenCalledWith(
+        expect.objectContaining({ eventType: 'EVENT_OCCURRENCE_CANCELLED' })
+      );
+    });
+
+    test('should return 404 for a missing event', async () => {
+      const response = await request(app)
+        .delete('/api/events/99/occurrences?occurrence_start=2026-01-19T10:00:00.000Z')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should require occurrence_start', async () => {
+      const response = await request(app)
+        .delete('/api/events/7/occurrences')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
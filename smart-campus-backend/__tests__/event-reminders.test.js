@@ -0,0 +1,213 @@
+/**
+ * Event Reminder Tests
+ * Due-reminder selection, send-once claims, recurring occurrences and
+ * per-event opt-outs
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query, logger } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const notificationService = require('../src/services/notification.service');
+const reminderService = require('../src/components/campus-events/event.reminder.service');
+const { runEventReminders } = require('../src/jobs/eventReminders.job');
+
+const NOW = new Date('2026-03-02T09:00:00.000Z');
+
+const event = (overrides = {}) => ({
+  id: 7,
+  title: 'Hackathon',
+  location: 'Main Hall',
+  start_time: '2026-03-03T08:55:00.000Z',
+  end_time: '2026-03-03T12:00:00.000Z',
+  recurrence_rule: null,
+  ...overrides
+});
+
+const recipients = [
+  { event_id: 7, id: 1, email: 'one@example.com' },
+  { event_id: 7, id: 2, email: 'two@example.com' }
+];
+
+describe('Event Reminders', () => {
+  let studentToken;
+
+  beforeAll(() => {
+    studentToken = generateToken({ id: 1, email: 'student@example.com', role: 'student' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+    jest.spyOn(notificationService, 'createNotificationsForUsers').mockResolvedValue({ created: 0, emailed: 0 });
+  });
+
+  describe('parseOffsets', () => {
+    test('should sort valid minute offsets largest first', () => {
+      expect(reminderService.parseOffsets('60, 1440, soon, -5, 60')).toEqual([1440, 60]);
+    });
+
+    test('should fall back to 24 hours and 1 hour', () => {
+      expect(reminderService.parseOffsets(undefined)).toEqual([1440, 60]);
+      expect(reminderService.parseOffsets('abc')).toEqual([1440, 60]);
+    });
+  });
+
+  describe('sendDueReminders', () => {
+    test('should send the 24 hour reminder to users not yet reminded', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [event()] })
+        .mockResolvedValueOnce({ rows: recipients })
+        .mockResolvedValueOnce({ rows: [{ user_id: 1 }] });
+
+      const result = await reminderService.sendDueReminders({ now: NOW, offsets: [1440, 60] });
+
+      expect(result).toEqual({ sent: 1 });
+      expect(query.mock.calls[2][0]).toContain('ON CONFLICT (event_id, user_id, occurrence_start, offset_minutes) DO NOTHING');
+      expect(query.mock.calls[2][1]).toEqual([7, [1, 2], '2026-03-03T08:55:00.000Z', 1440]);
+      expect(notificationService.createNotificationsForUsers).toHaveBeenCalledWith(
+        expect.objectContaining({
+          users: [{ id: 1, email: 'one@example.com' }],
+          eventType: 'EVENT_REMINDER',
+          message: 'Hackathon starts in 24 hours at Main Hall',
+          sendEmail: true,
+        })
+      );
+    });
+
+    test('should not send again once every reminder is claimed', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [event()] })
+        .mockResolvedValueOnce({ rows: recipients })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await reminderService.sendDueReminders({ now: NOW, offsets: [1440, 60] });
+
+      expect(result).toEqual({ sent: 0 });
+      expect(notificationService.createNotificationsForUsers).not.toHaveBeenCalled();
+    });
+
+    test('should skip events between reminder offsets', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [event({ start_time: '2026-03-02T12:00:00.000Z', end_time: '2026-03-02T13:00:00.000Z' })] })
+        .mockResolvedValueOnce({ rows: recipients });
+
+      const result = await reminderService.sendDueReminders({ now: NOW, offsets: [1440, 60] });
+
+      expect(result).toEqual({ sent: 0 });
+      expect(query).toHaveBeenCalledTimes(2);
+    });
+
+    test('should remind about the next occurrence of a recurring event', async () => {
+      const series = event({
+        start_time: '2026-01-05T10:00:00.000Z',
+        end_time: '2026-01-05T11:00:00.000Z',
+        recurrence_rule: 'FREQ=WEEKLY;BYDAY=MO',
+      });
+      query
+        .mockResolvedValueOnce({ rows: [series] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [recipients[0]] })
+        .mockResolvedValueOnce({ rows: [{ user_id: 1 }] });
+
+      const result = await reminderService.sendDueReminders({ now: NOW, offsets: [1440, 60] });
+
+      expect(result).toEqual({ sent: 1 });
+      expect(query.mock.calls[3][1]).toEqual([7, [1], '2026-03-02T10:00:00.000Z', 60]);
+      expect(notificationService.createNotificationsForUsers).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Hackathon starts in 1 hour at Main Hall' })
+      );
+    });
+
+    test('should only look at published events', async () => {
+      await reminderService.sendDueReminders({ now: NOW, offsets: [60] });
+
+      expect(query).toHaveBeenCalledTimes(1);
+      expect(query.mock.calls[0][0]).toContain("e.status = 'approved'");
+    });
+
+    test('should log rather than throw when a scheduled run fails', async () => {
+      query.mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(runEventReminders()).resolves.toBeUndefined();
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('connection lost'));
+    });
+  });
+
+  describe('GET /api/events/:id/reminders', () => {
+    test('should report reminders as on without an opt-out', async () => {
+      const response = await request(app)
+        .get('/api/events/7/reminders')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.enabled).toBe(true);
+      expect(query.mock.calls[0][1]).toEqual([7, 1]);
+    });
+
+    test('should require authentication', async () => {
+      const response = await request(app).get('/api/events/7/reminders');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('PUT /api/events/:id/reminders', () => {
+    test('should opt the user out of one event', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 7 }] });
+
+      const response = await request(app)
+        .put('/api/events/7/reminders')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ enabled: false });
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[1][0]).toContain('INSERT INTO event_reminder_opt_outs');
+      expect(query.mock.calls[1][1]).toEqual([7, 1]);
+    });
+
+    test('should opt back in', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 7 }] });
+
+      const response = await request(app)
+        .put('/api/events/7/reminders')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ enabled: true });
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[1][0]).toContain('DELETE FROM event_reminder_opt_outs');
+    });
+
+    test('should require enabled', async () => {
+      const response = await request(app)
+        .put('/api/events/7/reminders')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 404 for a missing event', async () => {
+      const response = await request(app)
+        .put('/api/events/99/reminders')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ enabled: false });
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,338 @@
+/**
+ * Event Review Workflow Tests
+ * Organiser submissions, admin approval and rejection, cancellation and
+ * hiding unpublished events from students
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query, transaction } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const notificationService = require('../src/services/notification.service');
+const activityService = require('../src/services/activity.service');
+
+const coordinator = { id: 21, club_id: 3, user_id: 1, role: 'coordinator', status: 'active' };
+
+const event = (overrides = {}) => ({
+  id: 7,
+  title: 'Robot Wars',
+  club_id: 3,
+  status: 'pending_review',
+  submitted_by: 1,
+  ...overrides
+});
+
+const newEvent = {
+  title: 'Robot Wars',
+  description: 'Arena battles',
+  location: 'Main Hall',
+  start_time: '2026-03-01T10:00:00.000Z',
+  end_time: '2026-03-01T12:00:00.000Z',
+  club_id: 3
+};
+
+describe('Event Review Workflow', () => {
+  let studentToken;
+  let adminToken;
+
+  beforeAll(() => {
+    studentToken = generateToken({ id: 1, email: 'student@example.com', role: 'student' });
+    adminToken = generateToken({ id: 2, email: 'admin@example.com', role: 'admin' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+    jest.spyOn(notificationService, 'createNotificationsForUsers').mockResolvedValue({ created: 0, emailed: 0 });
+    jest.spyOn(notificationService, 'notifyRole').mockResolvedValue({ created: 0, emailed: 0 });
+    jest.spyOn(notificationService, 'broadcast').mockImplementation(() => {});
+    jest.spyOn(activityService, 'logActivity').mockResolvedValue(null);
+  });
+
+  describe('POST /api/events', () => {
+    test('should queue a club organiser event for review', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [coordinator] })
+        .mockResolvedValueOnce({ rows: [coordinator] })
+        .mockResolvedValueOnce({ rows: [event()] });
+
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send(newEvent);
+
+      expect(response.status).toBe(201);
+      expect(response.body.message).toBe('Event submitted for review');
+      expect(query.mock.calls[2][1].slice(-2)).toEqual(['pending_review', 1]);
+      expect(notificationService.notifyRole).toHaveBeenCalledTimes(1);
+      expect(notificationService.notifyRole).toHaveBeenCalledWith(
+        expect.objectContaining({ role: 'admin', eventType: 'EVENT_SUBMITTED' })
+      );
+    });
+
+    test('should publish admin events directly', async () => {
+      query.mockResolvedValueOnce({ rows: [event({ status: 'approved', submitted_by: 2 })] });
+
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(newEvent);
+
+      expect(response.status).toBe(201);
+      expect(query.mock.calls[0][1].slice(-2)).toEqual(['approved', 2]);
+      expect(notificationService.notifyRole).toHaveBeenCalledWith(
+        expect.objectContaining({ role: 'student', eventType: 'EVENT_CREATED' })
+      );
+    });
+
+    test('should keep drafts quiet', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [coordinator] })
+        .mockResolvedValueOnce({ rows: [coordinator] })
+        .mockResolvedValueOnce({ rows: [event({ status: 'draft' })] });
+
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ ...newEvent, status: 'draft' });
+
+      expect(response.status).toBe(201);
+      expect(query.mock.calls[2][1].slice(-2)).toEqual(['draft', 1]);
+      expect(notificationService.notifyRole).not.toHaveBeenCalled();
+    });
+
+    test('should not let organisers publish on create', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [coordinator] })
+        .mockResolvedValueOnce({ rows: [coordinator] });
+
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ ...newEvent, status: 'approved' });
+
+      expect(response.status).toBe(400);
+      expect(query).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Visibility', () => {
+    test('should list only approved events to students', async () => {
+      const response = await request(app)
+        .get('/api/events')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[0][0]).toContain("e.status = 'approved'");
+    });
+
+    test('should let admins filter by status', async () => {
+      const response = await request(app)
+        .get('/api/events?status=pending_review')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[0][0]).not.toContain("e.status = 'approved'");
+      expect(query.mock.calls[0][1]).toEqual([2, 'pending_review', 10, 0]);
+    });
+
+    test('should hide unpublished events from other users', async () => {
+      const response = await request(app).get('/api/events/7');
+
+      expect(response.status).toBe(404);
+      expect(query.mock.calls[0][0]).toContain("e.status = 'approved' OR");
+      expect(query.mock.calls[0][0]).toContain('e.submitted_by = $1');
+    });
+
+    test('should only search approved events', async () => {
+      const response = await request(app)
+        .get('/api/search?q=robot')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[0][0]).toContain("status = 'approved'");
+    });
+
+    test('should refuse RSVPs to unpublished events', async () => {
+      const client = { query: jest.fn().mockResolvedValueOnce({ rows: [] }) };
+      transaction.mockImplementationOnce(callback => callback(client));
+
+      const response = await request(app)
+        .post('/api/events/7/rsvp')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(404);
+      expect(client.query.mock.calls[0][0]).toContain("status = 'approved'");
+    });
+
+    test("should list the organiser's submissions", async () => {
+      query.mockResolvedValueOnce({ rows: [event({ status: 'draft' })] });
+
+      const response = await request(app)
+        .get('/api/events/submissions?status=draft')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.count).toBe(1);
+      expect(query.mock.calls[0][1]).toEqual([1, 'draft']);
+    });
+  });
+
+  describe('POST /api/events/:id/review (Admin only)', () => {
+    test('should approve, announce and tell the submitter', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [event()] })
+        .mockResolvedValueOnce({ rows: [event({ status: 'approved' })] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, email: 'student@example.com' }] });
+
+      const response = await request(app)
+        .post('/api/events/7/review')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'approved' });
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[1][0]).toContain('reviewed_at = NOW()');
+      expect(query.mock.calls[1][1]).toEqual(['approved', 2, null, 7, ['pending_review']]);
+      expect(notificationService.createNotificationsForUsers).toHaveBeenCalledWith(
+        expect.objectContaining({
+          users: [{ id: 1, email: 'student@example.com' }],
+          eventType: 'EVENT_STATUS_CHANGED',
+          metadata: { eventId: 7, status: 'approved', comment: null },
+        })
+      );
+      expect(notificationService.notifyRole).toHaveBeenCalledWith(
+        expect.objectContaining({ role: 'student', eventType: 'EVENT_CREATED' })
+      );
+      expect(activityService.logActivity).toHaveBeenCalledWith(expect.objectContaining({ action: 'APPROVE_EVENT' }));
+    });
+
+    test('should pass the reviewer comment on a rejection', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [event()] })
+        .mockResolvedValueOnce({ rows: [event({ status: 'rejected' })] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, email: 'student@example.com' }] });
+
+      const response = await request(app)
+        .post('/api/events/7/review')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'rejected', comment: 'Clashes with exams' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Event rejected');
+      expect(notificationService.createNotificationsForUsers).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Robot Wars is now rejected: Clashes with exams' })
+      );
+      expect(notificationService.notifyRole).not.toHaveBeenCalled();
+    });
+
+    test('should require a comment to reject', async () => {
+      const response = await request(app)
+        .post('/api/events/7/review')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'rejected' });
+
+      expect(response.status).toBe(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    test('should only review events awaiting review', async () => {
+      query.mockResolvedValueOnce({ rows: [event({ status: 'approved' })] });
+
+      const response = await request(app)
+        .post('/api/events/7/review')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'approved' });
+
+      expect(response.status).toBe(409);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject non-admin reviewers', async () => {
+      const response = await request(app)
+        .post('/api/events/7/review')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ status: 'approved' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/events/:id/submit', () => {
+    test('should resubmit a rejected event', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ club_id: 3 }] })
+        .mockResolvedValueOnce({ rows: [coordinator] })
+        .mockResolvedValueOnce({ rows: [event({ status: 'rejected' })] })
+        .mockResolvedValueOnce({ rows: [event()] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, email: 'student@example.com' }] });
+
+      const response = await request(app)
+        .post('/api/events/7/submit')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[3][1]).toEqual(['pending_review', 7, ['draft', 'rejected']]);
+      // The submitter made the change, so only reviewers hear about it
+      expect(notificationService.createNotificationsForUsers).not.toHaveBeenCalled();
+      expect(notificationService.notifyRole).toHaveBeenCalledWith(
+        expect.objectContaining({ role: 'admin', eventType: 'EVENT_SUBMITTED' })
+      );
+    });
+
+    test('should reject users who do not organise the club', async () => {
+      query.mockResolvedValueOnce({ rows: [{ club_id: 3 }] });
+
+      const response = await request(app)
+        .post('/api/events/7/submit')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/events/:id/cancel', () => {
+    test('should tell attendees and the submitter when a published event is cancelled', async () => {
+      const attendees = [{ id: 5, email: 'a@example.com' }, { id: 6, email: 'b@example.com' }];
+      query
+        .mockResolvedValueOnce({ rows: [event({ status: 'approved' })] })
+        .mockResolvedValueOnce({ rows: [event({ status: 'cancelled' })] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, email: 'student@example.com' }] })
+        .mockResolvedValueOnce({ rows: attendees });
+
+      const response = await request(app)
+        .post('/api/events/7/cancel')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ comment: 'Venue unavailable' });
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[1][1]).toEqual(['cancelled', 'Venue unavailable', 7, ['draft', 'pending_review', 'approved']]);
+      expect(notificationService.createNotificationsForUsers).toHaveBeenCalledWith(
+        expect.objectContaining({ users: attendees, eventType: 'EVENT_CANCELLED' })
+      );
+    });
+
+    test('should not cancel twice', async () => {
+      query.mockResolvedValueOnce({ rows: [event({ status: 'cancelled' })] });
+
+      const response = await request(app)
+        .post('/api/events/7/cancel')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+    });
+  });
+});
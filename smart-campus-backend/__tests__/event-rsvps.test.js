@@ -0,0 +1,338 @@
+/**
+ * Event RSVP Tests
+ * Capacity, waitlist promotion and the organiser attendee list
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query, transaction } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const notificationService = require('../src/services/notification.service');
+
+const event = (overrides = {}) => ({ id: 7, title: 'Hackathon', max_capacity: 2, ...overrides });
+
+/** Run the next transaction against a client answering queries in order. */
+const mockTransaction = (...results) => {
+  const client = { query: jest.fn() };
+  results.forEach(result => client.query.mockResolvedValueOnce(result));
+  transaction.mockImplementationOnce(callback => callback(client));
+  return client;
+};
+
+describe('Event RSVPs', () => {
+  let studentToken;
+  let adminToken;
+
+  beforeAll(() => {
+    studentToken = generateToken({ id: 1, email: 'student@example.com', role: 'student' });
+    adminToken = generateToken({ id: 2, email: 'admin@example.com', role: 'admin' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+    jest.spyOn(notificationService, 'notifyRole').mockResolvedValue({ created: 1, emailed: 0 });
+    jest.spyOn(notificationService, 'createNotificationsForUsers').mockResolvedValue({ created: 1, emailed: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/events/:id/rsvp', () => {
+    test('should confirm a seat while the event has room', async () => {
+      const client = mockTransaction(
+        { rows: [event()] },
+        { rows: [] },
+        { rows: [{ total: 1 }] },
+        { rows: [{ id: 11, status: 'confirmed' }] }
+      );
+
+      const response = await request(app)
+        .post('/api/events/7/rsvp')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.rsvp.status).toBe('confirmed');
+      expect(client.query.mock.calls[0][0]).toContain('FOR UPDATE');
+      expect(client.query.mock.calls[3][1]).toEqual([1, 7, 'confirmed']);
+    });
+
+    test('should waitlist the user once the event is full', async () => {
+      const client = mockTransaction(
+        { rows: [event()] },
+        { rows: [] },
+        { rows: [{ total: 2 }] },
+        { rows: [{ id: 12, status: 'waitlisted' }] }
+      );
+
+      const response = await request(app)
+        .post('/api/events/7/rsvp')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(201);
+      expect(response.body.message).toMatch(/waitlist/);
+      expect(client.query.mock.calls[3][1]).toEqual([1, 7, 'waitlisted']);
+    });
+
+    test('should confirm without counting seats when the event has no limit', async () => {
+      const client = mockTransaction(
+        { rows: [event({ max_capacity: null })] },
+        { rows: [] },
+        { rows: [{ id: 13, status: 'confirmed' }] }
+      );
+
+      const response = await request(app)
+        .post('/api/events/7/rsvp')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(201);
+      expect(client.query).toHaveBeenCalledTimes(3);
+      expect(client.query.mock.calls[2][1]).toEqual([1, 7, 'confirmed']);
+    });
+
+    test('should reject a second RSVP from the same user', async () => {
+      mockTransaction({ rows: [event()] }, { rows: [{ id: 11, status: 'waitlisted' }] });
+
+      const response = await request(app)
+        .post('/api/events/7/rsvp')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('waitlisted');
+    });
+
+    test('should return 404 for a missing event', async () => {
+      mockTransaction({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/events/99/rsvp')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/events/:id/rsvp', () => {
+    test('should promote the oldest waitlisted user and notify them', async () => {
+      const client = mockTransaction(
+        { rows: [event()] },
+        { rows: [{ id: 11, status: 'confirmed' }] },
+        { rows: [{ total: 1 }] },
+        { rows: [{ id: 12, user_id: 5, event_id: 7, status: 'confirmed', email: 'next@example.com' }] }
+      );
+
+      const response = await request(app)
+        .delete('/api/events/7/rsvp')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(client.query.mock.calls[3][0]).toContain('ORDER BY created_at ASC, id ASC');
+      expect(client.query.mock.calls[3][1]).toEqual([7, 1]);
+      expect(notificationService.createNotificationsForUsers).toHaveBeenCalledWith(
+        expect.objectContaining({
+          users: [{ id: 5, email: 'next@example.com' }],
+          eventType: 'EVENT_WAITLIST_PROMOTED',
+          metadata: { eventId: 7 },
+          sendEmail: true
+        })
+      );
+    });
+
+    test('should not promote anyone when a waitlisted user cancels', async () => {
+      const client = mockTransaction({ rows: [event()] }, { rows: [{ id: 12, status: 'waitlisted' }] });
+
+      const response = await request(app)
+        .delete('/api/events/7/rsvp')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(client.query).toHaveBeenCalledTimes(2);
+      expect(notificationService.createNotificationsForUsers).not.toHaveBeenCalled();
+    });
+
+    test('should skip promotion when the event is still over capacity', async () => {
+      const client = mockTransaction(
+        { rows: [event()] },
+        { rows: [{ id: 11, status: 'confirmed' }] },
+        { rows: [{ total: 2 }] }
+      );
+
+      const response = await request(app)
+        .delete('/api/events/7/rsvp')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(client.query).toHaveBeenCalledTimes(3);
+      expect(notificationService.createNotificationsForUsers).not.toHaveBeenCalled();
+    });
+
+    test('should reject cancelling without an RSVP', async () => {
+      mockTransaction({ rows: [event()] }, { rows: [] });
+
+      const response = await request(app)
+        .delete('/api/events/7/rsvp')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/events', () => {
+    test('should include the caller\'s RSVP status and seat counts', async () => {
+      query.mockResolvedValueOnce({
+        rows: [{ id: 7, title: 'Hackathon', confirmed_count: 2, waitlist_count: 1, rsvp_status: 'waitlisted', total_count: '1' }]
+      });
+
+      const response = await request(app)
+        .get('/api/events')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.events[0].rsvp_status).toBe('waitlisted');
+      expect(query.mock.calls[0][0]).toContain('r.user_id = $1');
+      expect(query.mock.calls[0][1][0]).toBe(1);
+    });
+
+    test('should bind a null user for anonymous visitors', async () => {
+      const response = await request(app).get('/api/events');
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[0][1]).toEqual([null, 10, 0]);
+    });
+  });
+
+  describe('GET /api/events/:id/rsvp', () => {
+    test('should return the user\'s waitlist position', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 12, status: 'waitlisted', waitlist_position: 3 }] });
+
+      const response = await request(app)
+        .get('/api/events/7/rsvp')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.rsvp.waitlist_position).toBe(3);
+      expect(query.mock.calls[0][1]).toEqual([7, 1]);
+    });
+
+    test('should return null when the user has not registered', async () => {
+      const response = await request(app)
+        .get('/api/events/7/rsvp')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.rsvp).toBeNull();
+    });
+  });
+
+  describe('GET /api/events/:id/rsvps (Admin only)', () => {
+    test('should split attendees and the waitlist', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [event()] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 11, user_id: 1, full_name: 'Asha', status: 'confirmed' },
+            { id: 12, user_id: 3, full_name: 'Ravi', status: 'confirmed' },
+            { id: 13, user_id: 4, full_name: 'Meera', status: 'waitlisted' }
+          ]
+        });
+
+      const response = await request(app)
+        .get('/api/events/7/rsvps')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.confirmed.map(rsvp => rsvp.full_name)).toEqual(['Asha', 'Ravi']);
+      expect(response.body.data.waitlisted.map(rsvp => rsvp.full_name)).toEqual(['Meera']);
+      expect(response.body.data.counts).toEqual({ confirmed: 2, waitlisted: 1 });
+    });
+
+    test('should reject students', async () => {
+      const response = await request(app)
+        .get('/api/events/7/rsvps')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Event capacity', () => {
+    const eventBody = {
+      title: 'Hackathon',
+      start_time: '2030-01-08T10:00:00.000Z',
+      end_time: '2030-01-08T18:00:00.000Z',
+      club_id: 1
+    };
+
+    test('should store max_capacity on create', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 7, title: 'Hackathon', max_capacity: 100 }] });
+
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...eventBody, max_capacity: '100' });
+
+      expect(response.status).toBe(201);
+      expect(query.mock.calls[0][0]).toContain('max_capacity');
+      expect(query.mock.calls[0][1][10]).toBe(100);
+    });
+
+    test('should reject an invalid max_capacity', async () => {
+      const response = await request(app)
+        .post('/api/events')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...eventBody, max_capacity: '0' });
+
+      expect(response.status).toBe(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    test('should promote waitlisted users when capacity is raised', async () => {
+      query.mockResolvedValueOnce({ rows: [event({ max_capacity: 3 })] });
+      const client = mockTransaction(
+        { rows: [event({ max_capacity: 3 })] },
+        { rows: [{ total: 2 }] },
+        { rows: [{ id: 13, user_id: 4, event_id: 7, status: 'confirmed', email: 'meera@example.com' }] }
+      );
+
+      const response = await request(app)
+        .put('/api/events/7')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...eventBody, max_capacity: 3 });
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[0][0]).toContain('max_capacity=$10');
+      expect(client.query.mock.calls[2][1]).toEqual([7, 1]);
+      expect(notificationService.createNotificationsForUsers).toHaveBeenCalledWith(
+        expect.objectContaining({ users: [{ id: 4, email: 'meera@example.com' }] })
+      );
+    });
+
+    test('should leave capacity untouched when the form omits it', async () => {
+      query.mockResolvedValueOnce({ rows: [event()] });
+
+      const response = await request(app)
+        .put('/api/events/7')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(eventBody);
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[0][0]).not.toContain('max_capacity');
+      expect(transaction).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Faculty Portal API Tests
+ * Tests the self-service endpoints for logged-in teachers
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+
+const TEACHER_ID = '550e8400-e29b-41d4-a716-446655440000';
+
+describe('Faculty Portal API Tests', () => {
+  let facultyToken, studentToken;
+
+  beforeAll(() => {
+    facultyToken = generateToken({ id: 7, email: 'teacher@example.com', role: 'faculty' });
+    studentToken = generateToken({ id: 1, email: 'student@example.com', role: 'student' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  test('should reject students', async () => {
+    const response = await request(app)
+      .get('/api/faculty/me/timetable')
+      .set('Authorization', `Bearer ${studentToken}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should return the linked teacher timetable', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ id: TEACHER_ID, full_name: 'Dr. Rao' }] })
+      .mockResolvedValueOnce({
+        rows: [
+          { day_of_week: 'Monday', period_number: 1, subject_name: 'DBMS', group_name: 'CSE-5A', room_name: 'R101' }
+        ]
+      });
+
+    const response = await request(app)
+      .get('/api/faculty/me/timetable')
+      .set('Authorization', `Bearer ${facultyToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.teacher_id).toBe(TEACHER_ID);
+    expect(response.body.data.count).toBe(1);
+    expect(query.mock.calls[1][1]).toEqual([TEACHER_ID]);
+  });
+
+  test('should link an unlinked teacher by email on first lookup', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: TEACHER_ID, user_id: 7 }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'sub-1', subject_name: 'DBMS' }] });
+
+    const response = await request(app)
+      .get('/api/faculty/me/subjects')
+      .set('Authorization', `Bearer ${facultyToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.subjects).toHaveLength(1);
+    expect(query.mock.calls[1][1]).toEqual([7, 'teacher@example.com']);
+  });
+
+  test('should not link a teacher to an admin account by email', async () => {
+    const adminToken = generateToken({ id: 2, email: 'teacher@example.com', role: 'admin' });
+
+    const response = await request(app)
+      .get('/api/faculty/me')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(404);
+    expect(query).toHaveBeenCalledTimes(1);
+    expect(query.mock.calls.some(([sql]) => sql.includes('UPDATE teachers'))).toBe(false);
+  });
+
+  test('should let admins give an account the faculty role', async () => {
+    const adminToken = generateToken({ id: 2, email: 'admin@example.com', role: 'admin' });
+    query.mockResolvedValueOnce({ rows: [{ id: 7, full_name: 'Dr. Rao', role: 'faculty' }] });
+
+    const response = await request(app)
+      .put('/api/users/7')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'faculty' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.user.role).toBe('faculty');
+  });
+
+  test('should return 404 when no teacher record matches the account', async () => {
+    const response = await request(app)
+      .get('/api/faculty/me/groups')
+      .set('Authorization', `Bearer ${facultyToken}`);
+
+    expect(response.status).toBe(404);
+    expect(response.body.success).toBe(false);
+  });
+});
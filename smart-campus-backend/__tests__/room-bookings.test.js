@@ -0,0 +1,404 @@
+/**
+ * Room Booking Tests
+ * Request → approve/reject/cancel workflow and conflict checks
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn((callback) => callback({ query: jest.fn() })),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query, transaction } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const notificationService = require('../src/services/notification.service');
+
+const roomId = '123e4567-e89b-12d3-a456-426614174020';
+const bookingId = '123e4567-e89b-12d3-a456-426614174040';
+const otherBookingId = '123e4567-e89b-12d3-a456-426614174041';
+const TUESDAY = '2030-01-08';
+
+const room = { id: roomId, room_code: 'A-101', room_name: 'Lecture Hall 1', room_type: 'Classroom', capacity: 40 };
+
+const booking = (overrides = {}) => ({
+  id: bookingId,
+  room_id: roomId,
+  room_code: 'A-101',
+  room_name: 'Lecture Hall 1',
+  booked_by: 2,
+  booked_by_name: 'Student User',
+  booked_by_email: 'student@example.com',
+  title: 'Robotics club meeting',
+  purpose: 'club_meeting',
+  booking_date: TUESDAY,
+  start_period: 2,
+  end_period: 3,
+  expected_attendees: 25,
+  status: 'pending',
+  ...overrides
+});
+
+const bookingRequest = (overrides = {}) => ({
+  room_id: roomId,
+  title: 'Robotics club meeting',
+  purpose: 'club_meeting',
+  booking_date: TUESDAY,
+  start_period: 2,
+  end_period: 3,
+  expected_attendees: 25,
+  ...overrides
+});
+
+describe('Room Bookings', () => {
+  let adminToken;
+  let studentToken;
+  let otherStudentToken;
+
+  beforeAll(() => {
+    adminToken = generateToken({ id: 1, email: 'admin@example.com', role: 'admin' });
+    studentToken = generateToken({ id: 2, email: 'student@example.com', role: 'student' });
+    otherStudentToken = generateToken({ id: 3, email: 'other@example.com', role: 'student' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+    jest.spyOn(notificationService, 'notifyRole').mockResolvedValue({ created: 1, emailed: 0 });
+    jest.spyOn(notificationService, 'createNotificationsForUsers').mockResolvedValue({ created: 1, emailed: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/classrooms/bookings', () => {
+    test('should create a pending booking and notify admins', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] }) // bell schedule (default)
+        .mockResolvedValueOnce({ rows: [room] }) // room
+        .mockResolvedValueOnce({ rows: [] }) // timetable slots
+        .mockResolvedValueOnce({ rows: [] }) // approved bookings
+        .mockResolvedValueOnce({ rows: [{ id: bookingId }] }) // insert
+        .mockResolvedValueOnce({ rows: [booking()] });
+
+      const response = await request(app)
+        .post('/api/classrooms/bookings')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send(bookingRequest());
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.booking.status).toBe('pending');
+      expect(response.body.data.warnings).toEqual([]);
+      expect(query.mock.calls[2][1]).toEqual([roomId, 'Tuesday', 2, 3]);
+      expect(query.mock.calls[4][1]).toEqual([roomId, 2, 'Robotics club meeting', 'club_meeting', null, TUESDAY, 2, 3, 25]);
+      expect(notificationService.notifyRole).toHaveBeenCalledWith(
+        expect.objectContaining({ role: 'admin', eventType: 'ROOM_BOOKING_REQUESTED' })
+      );
+    });
+
+    test('should reject a booking that clashes with the published timetable', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [room] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 'slot-1', period_number: 3, subject_name: 'Data Structures', group_name: 'CSE-3A' }]
+        })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/classrooms/bookings')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send(bookingRequest());
+
+      expect(response.status).toBe(409);
+      expect(response.body.data.conflicts).toHaveLength(1);
+      expect(response.body.data.conflicts[0]).toMatchObject({
+        type: 'ROOM_CONFLICT',
+        severity: 'HIGH',
+        period: 3,
+        occupied_by: [{ source: 'timetable', slot_id: 'slot-1', subject_name: 'Data Structures', group_name: 'CSE-3A' }]
+      });
+      expect(query).toHaveBeenCalledTimes(4);
+      expect(notificationService.notifyRole).not.toHaveBeenCalled();
+    });
+
+    test('should reject a booking that overlaps an approved booking', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [room] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({
+          rows: [{ id: otherBookingId, title: 'Mid-term exam', start_period: 1, end_period: 2 }]
+        });
+
+      const response = await request(app)
+        .post('/api/classrooms/bookings')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send(bookingRequest());
+
+      expect(response.status).toBe(409);
+      expect(response.body.data.conflicts.map(c => c.period)).toEqual([2]);
+      expect(response.body.data.conflicts[0].occupied_by[0]).toEqual({
+        source: 'booking',
+        booking_id: otherBookingId,
+        title: 'Mid-term exam'
+      });
+    });
+
+    test('should only warn when attendance exceeds the room capacity', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [room] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: bookingId }] })
+        .mockResolvedValueOnce({ rows: [booking({ expected_attendees: 80 })] });
+
+      const response = await request(app)
+        .post('/api/classrooms/bookings')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send(bookingRequest({ expected_attendees: 80 }));
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.warnings).toHaveLength(1);
+      expect(response.body.data.warnings[0].type).toBe('CAPACITY_CONFLICT');
+    });
+
+    test('should skip the timetable check on Sundays', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [room] })
+        .mockResolvedValueOnce({ rows: [] }) // approved bookings
+        .mockResolvedValueOnce({ rows: [{ id: bookingId }] })
+        .mockResolvedValueOnce({ rows: [booking({ booking_date: '2030-01-06' })] });
+
+      const response = await request(app)
+        .post('/api/classrooms/bookings')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send(bookingRequest({ booking_date: '2030-01-06' }));
+
+      expect(response.status).toBe(201);
+      expect(query.mock.calls[2][0]).toContain('FROM room_bookings');
+    });
+
+    test('should reject past dates and inverted period ranges', async () => {
+      const past = await request(app)
+        .post('/api/classrooms/bookings')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send(bookingRequest({ booking_date: '2020-01-07' }));
+      const inverted = await request(app)
+        .post('/api/classrooms/bookings')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send(bookingRequest({ start_period: 4, end_period: 2 }));
+
+      expect(past.status).toBe(400);
+      expect(inverted.status).toBe(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    test('should reject periods the bell schedule does not have', async () => {
+      const sixPeriods = [1, 2, 3, 4, 5, 6].map(number => ({
+        number,
+        start: `${String(8 + number).padStart(2, '0')}:00`,
+        end: `${String(8 + number).padStart(2, '0')}:50`
+      }));
+      query.mockResolvedValueOnce({ rows: [{ bell_schedule: { working_days: ['Monday', 'Tuesday'], periods: sixPeriods } }] });
+
+      const response = await request(app)
+        .post('/api/classrooms/bookings')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send(bookingRequest({ start_period: 5, end_period: 7 }));
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('The bell schedule only has 6 periods');
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should return 404 for an unknown room', async () => {
+      const response = await request(app)
+        .post('/api/classrooms/bookings')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send(bookingRequest());
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/classrooms/bookings', () => {
+    test('should scope non-admins to their own bookings', async () => {
+      query.mockResolvedValueOnce({ rows: [booking()] });
+
+      const response = await request(app)
+        .get('/api/classrooms/bookings')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.count).toBe(1);
+      expect(query.mock.calls[0][0]).toContain('rb.booked_by = $1');
+      expect(query.mock.calls[0][1]).toEqual([2]);
+    });
+
+    test('should let admins filter every booking by status', async () => {
+      const response = await request(app)
+        .get('/api/classrooms/bookings')
+        .query({ status: 'pending' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[0][0]).not.toContain('rb.booked_by = $');
+      expect(query.mock.calls[0][1]).toEqual(['pending']);
+    });
+
+    test('should hide other users\' bookings', async () => {
+      query.mockResolvedValueOnce({ rows: [booking()] });
+
+      const response = await request(app)
+        .get(`/api/classrooms/bookings/${bookingId}`)
+        .set('Authorization', `Bearer ${otherStudentToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Admin review', () => {
+    test('POST /bookings/:id/approve - re-checks conflicts and notifies the requester', async () => {
+      query.mockResolvedValueOnce({ rows: [booking()] });
+      const client = { query: jest.fn() };
+      client.query
+        .mockResolvedValueOnce({ rows: [room] }) // lock room
+        .mockResolvedValueOnce({ rows: [] }) // timetable slots
+        .mockResolvedValueOnce({ rows: [] }) // approved bookings
+        .mockResolvedValueOnce({ rows: [{ id: bookingId }] }) // update
+        .mockResolvedValueOnce({ rows: [booking({ status: 'approved' })] });
+      transaction.mockImplementationOnce((callback) => callback(client));
+
+      const response = await request(app)
+        .post(`/api/classrooms/bookings/${bookingId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.booking.status).toBe('approved');
+      expect(client.query.mock.calls[0][0]).toContain('FOR UPDATE');
+      expect(client.query.mock.calls[2][1]).toEqual([roomId, TUESDAY, 2, 3, bookingId]);
+      expect(notificationService.createNotificationsForUsers).toHaveBeenCalledWith(
+        expect.objectContaining({
+          users: [{ id: 2, email: 'student@example.com' }],
+          eventType: 'ROOM_BOOKING_APPROVED'
+        })
+      );
+    });
+
+    test('POST /bookings/:id/approve - refuses when the room has been taken meanwhile', async () => {
+      query.mockResolvedValueOnce({ rows: [booking()] });
+      const client = { query: jest.fn() };
+      client.query
+        .mockResolvedValueOnce({ rows: [room] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({
+          rows: [{ id: otherBookingId, title: 'Mid-term exam', start_period: 3, end_period: 4 }]
+        });
+      transaction.mockImplementationOnce((callback) => callback(client));
+
+      const response = await request(app)
+        .post(`/api/classrooms/bookings/${bookingId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+      expect(response.body.data.conflicts[0].period).toBe(3);
+      expect(client.query).toHaveBeenCalledTimes(3);
+      expect(notificationService.createNotificationsForUsers).not.toHaveBeenCalled();
+    });
+
+    test('POST /bookings/:id/approve - only pending bookings can be approved', async () => {
+      query.mockResolvedValueOnce({ rows: [booking({ status: 'cancelled' })] });
+
+      const response = await request(app)
+        .post(`/api/classrooms/bookings/${bookingId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    test('POST /bookings/:id/approve - rejects non-admins', async () => {
+      const response = await request(app)
+        .post(`/api/classrooms/bookings/${bookingId}/approve`)
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('POST /bookings/:id/reject - rejects with a note and notifies the requester', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: bookingId }] }) // update
+        .mockResolvedValueOnce({ rows: [booking({ status: 'rejected', review_note: 'Room under maintenance' })] });
+
+      const response = await request(app)
+        .post(`/api/classrooms/bookings/${bookingId}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ note: 'Room under maintenance' });
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[0][1]).toEqual([bookingId, 'rejected', 1, true, 'Room under maintenance', ['pending']]);
+      expect(notificationService.createNotificationsForUsers).toHaveBeenCalledWith(
+        expect.objectContaining({
+          eventType: 'ROOM_BOOKING_REJECTED',
+          message: expect.stringContaining('Room under maintenance')
+        })
+      );
+    });
+  });
+
+  describe('POST /api/classrooms/bookings/:id/cancel', () => {
+    test('should let the requester cancel without notifying themselves', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [booking({ status: 'approved' })] })
+        .mockResolvedValueOnce({ rows: [{ id: bookingId }] })
+        .mockResolvedValueOnce({ rows: [booking({ status: 'cancelled' })] });
+
+      const response = await request(app)
+        .post(`/api/classrooms/bookings/${bookingId}/cancel`)
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.booking.status).toBe('cancelled');
+      expect(notificationService.createNotificationsForUsers).not.toHaveBeenCalled();
+    });
+
+    test('should notify the requester when an admin cancels', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [booking({ status: 'approved' })] })
+        .mockResolvedValueOnce({ rows: [{ id: bookingId }] })
+        .mockResolvedValueOnce({ rows: [booking({ status: 'cancelled' })] });
+
+      const response = await request(app)
+        .post(`/api/classrooms/bookings/${bookingId}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(notificationService.createNotificationsForUsers).toHaveBeenCalledWith(
+        expect.objectContaining({ eventType: 'ROOM_BOOKING_CANCELLED' })
+      );
+    });
+
+    test('should not let other users cancel', async () => {
+      query.mockResolvedValueOnce({ rows: [booking()] });
+
+      const response = await request(app)
+        .post(`/api/classrooms/bookings/${bookingId}/cancel`)
+        .set('Authorization', `Bearer ${otherStudentToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -172,6 +172,98 @@ describe('Timetable API Tests', () => {
       expect(response.status).toBe(403);
     });
   });
+
+  describe('Teacher unavailability (Admin)', () => {
+    const teacherId = '123e4567-e89b-12d3-a456-426614174000';
+
+    test('should add a permanent blocked period', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] }) // Default bell schedule
+        .mockResolvedValueOnce({ rows: [{ id: teacherId }] }) // Teacher exists
+        .mockResolvedValueOnce({ rows: [] }) // No overlap
+        .mockResolvedValueOnce({
+          rows: [{ id: 'e1', teacher_id: teacherId, day_of_week: 'Monday', period_number: 2, is_permanent: true }]
+        });
+
+      const response = await request(app)
+        .post(`/api/timetable/teachers/${teacherId}/unavailability`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ day_of_week: 'Monday', period_number: 2, start_date: '2026-01-01' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.unavailability.is_permanent).toBe(true);
+      // Dates are dropped for permanent entries
+      expect(query.mock.calls[3][1].slice(4)).toEqual([true, null, null]);
+    });
+
+    test('should require a date range for temporary entries', async () => {
+      const response = await request(app)
+        .post(`/api/timetable/teachers/${teacherId}/unavailability`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ day_of_week: 'Monday', period_number: 2, is_permanent: false, start_date: '2026-01-05' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject a period the bell schedule does not have', async () => {
+      const sixPeriods = [1, 2, 3, 4, 5, 6].map(number => ({
+        number,
+        start: `${String(8 + number).padStart(2, '0')}:00`,
+        end: `${String(8 + number).padStart(2, '0')}:50`
+      }));
+      query.mockResolvedValueOnce({ rows: [{ bell_schedule: { working_days: ['Monday'], periods: sixPeriods } }] });
+
+      const response = await request(app)
+        .post(`/api/timetable/teachers/${teacherId}/unavailability`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ day_of_week: 'Monday', period_number: 7 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('The bell schedule only has 6 periods');
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject an overlapping entry', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: teacherId }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'e1' }] });
+
+      const response = await request(app)
+        .post(`/api/timetable/teachers/${teacherId}/unavailability`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          day_of_week: 'Monday',
+          period_number: 2,
+          is_permanent: false,
+          start_date: '2026-01-05',
+          end_date: '2026-01-09'
+        });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should list entries for a teacher', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: teacherId }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'e1' }, { id: 'e2' }] });
+
+      const response = await request(app)
+        .get(`/api/timetable/teachers/${teacherId}/unavailability`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.count).toBe(2);
+    });
+
+    test('should return 404 when deleting a missing entry', async () => {
+      const response = await request(app)
+        .delete(`/api/timetable/teachers/${teacherId}/unavailability/123e4567-e89b-12d3-a456-426614174999`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
 });
 
 describe('Electives API Tests', () => {
@@ -237,6 +329,8 @@ describe('Electives API Tests', () => {
         return await callback(mockClient);
       });
 
+      query.mockResolvedValueOnce({ rows: [{ id: 4, round_number: 1, is_open: true }] }); // open round
+      query.mockResolvedValueOnce({ rows: [] }); // no allocation yet
       query.mockResolvedValueOnce({
         rows: [{ id: 1 }, { id: 2 }, { id: 3 }]
       });
@@ -385,6 +479,7 @@ describe('Electives API Tests', () => {
         .mockResolvedValueOnce({
           rows: [{ id: 7, student_id: 1, preference_rank: 1, full_name: 'Student A', email: 'student@example.com' }],
         })
+        .mockResolvedValueOnce({ rows: [] })
         .mockResolvedValueOnce({ rowCount: 1, rows: [{ id: 11 }] })
         .mockResolvedValueOnce({ rowCount: 1, rows: [] })
         .mockResolvedValueOnce({ rowCount: 1, rows: [] });
@@ -257,6 +257,7 @@ describe('Complete Timetable Generation System Tests', () => {
       query.mockResolvedValueOnce({ rows: [] }); // teachers
       query.mockResolvedValueOnce({ rows: [] }); // subjects
       query.mockResolvedValueOnce({ rows: [] }); // rooms
+      query.mockResolvedValueOnce({ rows: [] }); // bell schedule
 
       const response = await request(app).get('/api/timetable/config');
 
@@ -463,6 +464,311 @@ describe('Timetable Generation Algorithm Tests', () => {
     const hasLunchBreak = slots.some(slot => slot.period === 3);
     expect(hasLunchBreak).toBe(false);
   });
+
+  test('Should stop solving once the abort signal fires', async () => {
+    const { TimetableSolver } = require('../src/components/timetable/timetable.service');
+    const controller = new AbortController();
+    controller.abort();
+
+    const solver = new TimetableSolver(
+      { groups: [], days: ['Monday'], periods_per_day: 4 },
+      { signal: controller.signal }
+    );
+
+    await expect(solver.solve(solver.generateTimeSlots(), 0)).resolves.toBe(false);
+    expect(solver.isCancelled()).toBe(true);
+    expect(solver.currentIteration).toBe(0);
+  });
+});
+
+describe('Soft-Constraint Scoring & Optimisation', () => {
+  const { SoftConstraintScorer, DEFAULT_WEIGHTS } = require('../src/components/timetable/soft.constraints');
+  const { TimetableSolver } = require('../src/components/timetable/timetable.service');
+
+  const teacher = { id: 't1', unavailableSlots: new Set() };
+  const theory = { id: 's1', course_type: 'Theory', hours_per_week: 2 };
+  const lab = { id: 's2', course_type: 'Lab', hours_per_week: 2 };
+  const group = { id: 'g1', group_code: 'G1', strength: 30 };
+  const roomA = { id: 'r1', capacity: 40, room_type: 'Classroom' };
+  const roomB = { id: 'r2', capacity: 40, room_type: 'Lab' };
+
+  const lesson = (day, period, overrides = {}) => ({
+    teacher, subject: theory, group, room: roomA, day, period, ...overrides
+  });
+
+  const constraints = { days: ['Monday', 'Tuesday'], periods_per_day: 5, lunch_break_period: 3 };
+
+  test('Should score a clean timetable as zero', () => {
+    const scorer = new SoftConstraintScorer(constraints);
+    const result = scorer.score([lesson('Monday', 1), lesson('Tuesday', 1)]);
+
+    expect(result.total).toBe(0);
+    expect(Object.keys(result.breakdown)).toEqual(Object.keys(DEFAULT_WEIGHTS));
+  });
+
+  test('Should count teacher idle gaps without counting lunch', () => {
+    const scorer = new SoftConstraintScorer(constraints);
+    const result = scorer.score([
+      lesson('Monday', 1),
+      lesson('Monday', 5, { group: { id: 'g2' }, subject: { id: 's3', course_type: 'Theory' } })
+    ]);
+
+    // Periods 2 and 4 are idle; period 3 is lunch
+    expect(result.breakdown.teacher_idle_gaps).toEqual({
+      violations: 2,
+      weight: DEFAULT_WEIGHTS.teacher_idle_gaps,
+      penalty: 2 * DEFAULT_WEIGHTS.teacher_idle_gaps
+    });
+  });
+
+  test('Should penalise piling a subject onto one day', () => {
+    const scorer = new SoftConstraintScorer(constraints);
+    const result = scorer.score([lesson('Monday', 1), lesson('Monday', 2)]);
+
+    expect(result.breakdown.subject_spread.violations).toBe(1);
+  });
+
+  test('Should penalise isolated lab periods but not lab blocks', () => {
+    const scorer = new SoftConstraintScorer(constraints);
+
+    const split = scorer.score([
+      lesson('Monday', 1, { subject: lab, room: roomB }),
+      lesson('Monday', 4, { subject: lab, room: roomB })
+    ]);
+    const block = scorer.score([
+      lesson('Monday', 1, { subject: lab, room: roomB }),
+      lesson('Monday', 2, { subject: lab, room: roomB })
+    ]);
+
+    expect(split.breakdown.consecutive_labs.violations).toBe(2);
+    expect(block.breakdown.consecutive_labs.violations).toBe(0);
+  });
+
+  test('Should count room changes between back-to-back periods only', () => {
+    const scorer = new SoftConstraintScorer(constraints);
+    const result = scorer.score([
+      lesson('Monday', 1),
+      lesson('Monday', 2, { subject: lab, room: roomB }),
+      lesson('Monday', 4)
+    ]);
+
+    expect(result.breakdown.room_changes.violations).toBe(1);
+  });
+
+  test('Should apply custom weights', () => {
+    const scorer = new SoftConstraintScorer(constraints, { subject_spread: 10 });
+    const result = scorer.score([lesson('Monday', 1), lesson('Monday', 2)]);
+
+    expect(result.breakdown.subject_spread.penalty).toBe(10);
+    expect(result.total).toBe(10);
+  });
+
+  test('Should improve a feasible timetable without breaking hard constraints', async () => {
+    const solver = new TimetableSolver({
+      ...constraints,
+      groups: [group.id],
+      preferences: { optimization_iterations: 500, seed: 7 }
+    });
+    solver.initializeGrid();
+    solver.cache.groups[group.id] = group;
+    solver.cache.suitableRooms[`Theory_${group.strength}`] = [roomA];
+    constraints.days.forEach(day => {
+      solver.subjectPeriodsCounter[day][group.id] = { [theory.id]: 0 };
+    });
+
+    // Both theory periods on Monday: one excess period for subject spread
+    solver.makeAssignment(teacher, theory, group, roomA, 'Monday', 1);
+    solver.makeAssignment(teacher, theory, group, roomA, 'Monday', 2);
+
+    const quality = await solver.optimize(solver.generateTimeSlots());
+
+    expect(quality.initial_total).toBeGreaterThan(0);
+    expect(quality.total).toBe(0);
+    expect(quality.improvements).toBeGreaterThan(0);
+
+    const assignments = solver.getAssignments();
+    expect(assignments).toHaveLength(2);
+    expect(new Set(assignments.map(a => a.day))).toEqual(new Set(['Monday', 'Tuesday']));
+    expect(assignments.some(a => a.period === constraints.lunch_break_period)).toBe(false);
+  });
+
+  test('Should skip optimisation when disabled', async () => {
+    const solver = new TimetableSolver({ ...constraints, groups: [], preferences: { optimize: false } });
+    solver.initializeGrid();
+
+    const quality = await solver.optimize(solver.generateTimeSlots());
+
+    expect(quality.iterations).toBe(0);
+    expect(quality.total).toBe(0);
+  });
+});
+
+describe('Background Timetable Generation Jobs', () => {
+  const timetableService = require('../src/components/timetable/timetable.service');
+  const timetableJobs = require('../src/components/timetable/timetable.jobs');
+  const notificationService = require('../src/services/notification.service');
+
+  const payload = {
+    groups: [{ id: 'abc12345-e89b-12d3-a456-426614174002' }],
+    days: ['Monday', 'Tuesday'],
+    periods_per_day: 6,
+    academic_year: '2025-2026',
+    semester_type: 'odd'
+  };
+
+  // Resolves like the real solver does once the job's signal is aborted
+  const waitForAbort = (constraints, { signal }) => new Promise(resolve => {
+    signal.addEventListener('abort', () => resolve({
+      success: false,
+      cancelled: true,
+      error: 'Generation cancelled',
+      message: 'Generation was cancelled after 0 iterations'
+    }));
+  });
+
+  const waitForStatus = async (token, jobId, status) => {
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const response = await request(app)
+        .get(`/api/timetable/jobs/${jobId}`)
+        .set('Authorization', `Bearer ${token}`);
+      if (response.body.data.job.status === status) return response;
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    throw new Error(`Job ${jobId} never reached ${status}`);
+  };
+
+  const draftVersion = { id: '123e4567-e89b-12d3-a456-426614174100', version_number: 2, status: 'draft' };
+
+  let adminToken;
+
+  beforeAll(() => {
+    adminToken = generateToken({ id: 1, email: 'admin@example.com', role: 'admin' });
+  });
+
+  beforeEach(() => {
+    // No stored bell schedule, so the default Monday-Saturday, 8-period grid applies
+    query.mockResolvedValue({ rows: [] });
+    jest.spyOn(notificationService, 'sendToRoom').mockImplementation(() => {});
+    jest.spyOn(notificationService, 'notifyRole').mockResolvedValue({ created: 0, emailed: 0 });
+    jest.spyOn(timetableService, 'saveTimetableToDatabase').mockResolvedValue(draftVersion);
+  });
+
+  afterEach(() => {
+    timetableJobs.clearJobs();
+    jest.restoreAllMocks();
+  });
+
+  test('POST /api/timetable/generate - returns 202 with a job and saves a draft in the background', async () => {
+    const statistics = { totalSlots: 1, iterations: 42 };
+    jest.spyOn(timetableService, 'generateTimetable').mockImplementation(async (constraints, { onProgress }) => {
+      onProgress({ iteration: 1000, maxIterations: 100000, placed: 1, total: 2, percent: 50 });
+      return { success: true, timetable: [{ day: 'Monday', period: 1 }], statistics };
+    });
+
+    const response = await request(app)
+      .post('/api/timetable/generate')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(payload);
+
+    expect(response.status).toBe(202);
+    expect(response.body.data.job.status).toBe('queued');
+    const jobId = response.body.data.job.id;
+    expect(response.body.data.room).toBe(`timetable-job:${jobId}`);
+
+    const status = await waitForStatus(adminToken, jobId, 'completed');
+    expect(status.body.data.job.result.statistics).toEqual(statistics);
+    expect(status.body.data.job.progress.percent).toBe(50);
+    expect(status.body.data.job.result.version).toEqual(draftVersion);
+    expect(timetableService.saveTimetableToDatabase).toHaveBeenCalledWith(
+      [{ day: 'Monday', period: 1 }], '2025-2026', 'odd', { createdBy: 1, quality: undefined }
+    );
+    expect(notificationService.sendToRoom).toHaveBeenCalledWith(
+      `timetable-job:${jobId}`, 'TIMETABLE_JOB_PROGRESS', expect.objectContaining({ jobId })
+    );
+    expect(notificationService.sendToRoom).toHaveBeenCalledWith(
+      `timetable-job:${jobId}`, 'TIMETABLE_JOB_COMPLETED', expect.objectContaining({ statistics })
+    );
+    // Students only hear about it once the draft is published
+    expect(notificationService.notifyRole).not.toHaveBeenCalled();
+  });
+
+  test('Should record solver failures on the job without saving', async () => {
+    jest.spyOn(timetableService, 'generateTimetable').mockResolvedValue({
+      success: false,
+      error: 'No solution found',
+      message: 'Could not generate timetable'
+    });
+
+    const response = await request(app)
+      .post('/api/timetable/generate')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(payload);
+
+    const status = await waitForStatus(adminToken, response.body.data.job.id, 'failed');
+    expect(status.body.data.job.error.error).toBe('No solution found');
+    expect(timetableService.saveTimetableToDatabase).not.toHaveBeenCalled();
+  });
+
+  test('Should reject a second job while one is running', async () => {
+    jest.spyOn(timetableService, 'generateTimetable').mockImplementation(waitForAbort);
+
+    const first = await request(app)
+      .post('/api/timetable/generate')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(payload);
+    expect(first.status).toBe(202);
+
+    const second = await request(app)
+      .post('/api/timetable/generate')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(payload);
+    expect(second.status).toBe(409);
+  });
+
+  test('POST /api/timetable/jobs/:id/cancel - cancels a running job', async () => {
+    jest.spyOn(timetableService, 'generateTimetable').mockImplementation(waitForAbort);
+
+    const response = await request(app)
+      .post('/api/timetable/generate')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(payload);
+    const jobId = response.body.data.job.id;
+    await waitForStatus(adminToken, jobId, 'running');
+
+    const cancel = await request(app)
+      .post(`/api/timetable/jobs/${jobId}/cancel`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(cancel.status).toBe(200);
+
+    await waitForStatus(adminToken, jobId, 'cancelled');
+    expect(timetableService.saveTimetableToDatabase).not.toHaveBeenCalled();
+    expect(notificationService.sendToRoom).toHaveBeenCalledWith(
+      `timetable-job:${jobId}`, 'TIMETABLE_JOB_CANCELLED', expect.objectContaining({ jobId })
+    );
+
+    const again = await request(app)
+      .post(`/api/timetable/jobs/${jobId}/cancel`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(again.status).toBe(409);
+  });
+
+  test('GET /api/timetable/jobs/:id - returns 404 for unknown jobs', async () => {
+    const response = await request(app)
+      .get('/api/timetable/jobs/123e4567-e89b-12d3-a456-426614174999')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(404);
+  });
+
+  test('Should reject job status requests from non-admins', async () => {
+    const studentToken = generateToken({ id: 2, email: 'student@example.com', role: 'student' });
+
+    const response = await request(app)
+      .get('/api/timetable/jobs/123e4567-e89b-12d3-a456-426614174999')
+      .set('Authorization', `Bearer ${studentToken}`);
+
+    expect(response.status).toBe(403);
+  });
 });
 
 describe('Conflict Detection & Smart Suggestion Engine - Issue #96', () => {
@@ -0,0 +1,343 @@
+/**
+ * Timetable Slot Editor Tests
+ * Pre-save conflict checks and suggestions for drag-and-drop slot moves
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn((callback) => callback({ query: jest.fn() })),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const { buildScheduleState } = require('../src/components/timetable/timetable.service');
+const { SuggestionEngine } = require('../src/components/timetable/suggestion.engine');
+
+const slotId = '123e4567-e89b-12d3-a456-426614174050';
+const versionId = '123e4567-e89b-12d3-a456-426614174010';
+const groupId = '123e4567-e89b-12d3-a456-426614174000';
+const teacherId = '123e4567-e89b-12d3-a456-426614174001';
+const subjectId = '123e4567-e89b-12d3-a456-426614174002';
+const roomId = '123e4567-e89b-12d3-a456-426614174020';
+
+const slot = (overrides = {}) => ({
+  id: slotId,
+  version_id: versionId,
+  day_of_week: 'Monday',
+  period_number: 1,
+  teacher_id: teacherId,
+  subject_id: subjectId,
+  group_id: groupId,
+  room_id: roomId,
+  academic_year: '2025-26',
+  semester_type: 'odd',
+  ...overrides
+});
+
+// Mon/Wed only, five periods, lunch in period 3
+const bellSchedule = {
+  working_days: ['Monday', 'Wednesday'],
+  periods: [
+    { number: 1, start: '09:00', end: '09:50' },
+    { number: 2, start: '10:00', end: '10:50' },
+    { number: 3, start: '11:00', end: '11:50' },
+    { number: 4, start: '12:00', end: '12:50' },
+    { number: 5, start: '13:00', end: '13:50' }
+  ],
+  lunch_break_period: 3
+};
+
+// Queries run by checkSlotMove: the slot, its timetable, the bell schedule, then the four resources
+const mockSlotCheck = (timetable) => {
+  query
+    .mockResolvedValueOnce({ rows: [slot()] })
+    .mockResolvedValueOnce({ rows: timetable })
+    .mockResolvedValueOnce({ rows: [{ bell_schedule: bellSchedule }] })
+    .mockResolvedValueOnce({ rows: [{ id: teacherId, full_name: 'Dr. Smith' }] })
+    .mockResolvedValueOnce({ rows: [{ id: subjectId, subject_name: 'Databases', course_type: 'Theory' }] })
+    .mockResolvedValueOnce({ rows: [{ id: groupId, group_name: 'CSE-A', strength: 30 }] })
+    .mockResolvedValueOnce({ rows: [{ id: roomId, room_name: 'Room 101', room_type: 'Classroom', capacity: 40 }] });
+};
+
+describe('Timetable Slot Editor', () => {
+  let adminToken;
+  let studentToken;
+
+  beforeAll(() => {
+    adminToken = generateToken({ id: 1, email: 'admin@example.com', role: 'admin' });
+    studentToken = generateToken({ id: 2, email: 'student@example.com', role: 'student' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  describe('POST /api/timetable/slots/:id/check', () => {
+    test('allows a move to a free cell', async () => {
+      mockSlotCheck([
+        slot(),
+        slot({ id: 'other', period_number: 2, teacher_id: 'other-teacher', room_id: 'other-room' })
+      ]);
+
+      const res = await request(app)
+        .post(`/api/timetable/slots/${slotId}/check`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ day_of_week: 'Wednesday', period_number: 1 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.can_save).toBe(true);
+      expect(res.body.data.conflicts).toEqual([]);
+      expect(res.body.data.suggestions).toEqual([]);
+      expect(res.body.data.target).toEqual({ day_of_week: 'Wednesday', period_number: 1, room_id: roomId });
+      expect(query.mock.calls[1][0]).toContain('version_id = $1');
+      expect(query.mock.calls[1][1]).toEqual([versionId]);
+    });
+
+    test('does not treat the slot\'s own cell as a clash', async () => {
+      mockSlotCheck([slot()]);
+
+      const res = await request(app)
+        .post(`/api/timetable/slots/${slotId}/check`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ day_of_week: 'Monday', period_number: 1 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.can_save).toBe(true);
+    });
+
+    test('reports clashes and up to three free alternatives', async () => {
+      const timetable = [
+        slot(),
+        slot({ id: 'blocker', period_number: 2, teacher_id: 'other-teacher', room_id: 'other-room' }),
+        slot({ id: 'wednesday', day_of_week: 'Wednesday', period_number: 4, teacher_id: 'other-teacher', room_id: 'other-room' })
+      ];
+      mockSlotCheck(timetable);
+
+      const res = await request(app)
+        .post(`/api/timetable/slots/${slotId}/check`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ day_of_week: 'Monday', period_number: 2 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.can_save).toBe(false);
+      expect(res.body.data.conflicts.map(c => c.type)).toEqual(['GROUP_CONFLICT']);
+      expect(res.body.data.suggestions.length).toBeGreaterThan(0);
+      expect(res.body.data.suggestions.length).toBeLessThanOrEqual(3);
+      res.body.data.suggestions.forEach(suggestion => {
+        expect(['Monday', 'Wednesday']).toContain(suggestion.day);
+        expect(suggestion.period).not.toBe(3);
+        expect(suggestion.period).toBeLessThanOrEqual(5);
+        expect(suggestion.day === 'Monday' && suggestion.period === 2).toBe(false);
+      });
+    });
+
+    test('checks an alternative room when one is given', async () => {
+      const otherRoomId = '123e4567-e89b-12d3-a456-426614174021';
+      const otherSlot = slot({ id: 'other', group_id: 'other-group', teacher_id: 'other-teacher', room_id: otherRoomId, day_of_week: 'Tuesday' });
+      query
+        .mockResolvedValueOnce({ rows: [slot()] })
+        .mockResolvedValueOnce({ rows: [slot(), otherSlot] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: teacherId, full_name: 'Dr. Smith' }] })
+        .mockResolvedValueOnce({ rows: [{ id: subjectId, subject_name: 'Databases', course_type: 'Theory' }] })
+        .mockResolvedValueOnce({ rows: [{ id: groupId, group_name: 'CSE-A', strength: 30 }] })
+        .mockResolvedValueOnce({ rows: [{ id: otherRoomId, room_name: 'Room 102', room_type: 'Classroom', capacity: 40 }] });
+
+      const res = await request(app)
+        .post(`/api/timetable/slots/${slotId}/check`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ day_of_week: 'Tuesday', period_number: 1, room_id: otherRoomId });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.conflicts.map(c => c.type)).toEqual(['ROOM_CONFLICT']);
+      expect(res.body.data.target.room_id).toBe(otherRoomId);
+    });
+
+    test('warns without blocking on medium-severity issues', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [slot()] })
+        .mockResolvedValueOnce({ rows: [slot()] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: teacherId, full_name: 'Dr. Smith' }] })
+        .mockResolvedValueOnce({ rows: [{ id: subjectId, subject_name: 'Databases', course_type: 'Theory' }] })
+        .mockResolvedValueOnce({ rows: [{ id: groupId, group_name: 'CSE-A', strength: 60 }] })
+        .mockResolvedValueOnce({ rows: [{ id: roomId, room_name: 'Room 101', room_type: 'Classroom', capacity: 40 }] });
+
+      const res = await request(app)
+        .post(`/api/timetable/slots/${slotId}/check`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ day_of_week: 'Tuesday', period_number: 1 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.can_save).toBe(true);
+      expect(res.body.data.conflicts.map(c => c.type)).toEqual(['CAPACITY_CONFLICT']);
+    });
+
+    test('uses the term for slots saved before versioning', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [slot({ version_id: null })] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .post(`/api/timetable/slots/${slotId}/check`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ day_of_week: 'Tuesday', period_number: 1 });
+
+      expect(query.mock.calls[1][0]).toContain('version_id IS NULL');
+      expect(query.mock.calls[1][1]).toEqual(['2025-26', 'odd']);
+    });
+
+    test('returns 404 for an unknown slot', async () => {
+      const res = await request(app)
+        .post(`/api/timetable/slots/${slotId}/check`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ day_of_week: 'Tuesday', period_number: 1 });
+
+      expect(res.status).toBe(404);
+    });
+
+    test('returns 400 when a resource of the slot no longer exists', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [slot()] })
+        .mockResolvedValueOnce({ rows: [slot()] });
+
+      const res = await request(app)
+        .post(`/api/timetable/slots/${slotId}/check`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ day_of_week: 'Tuesday', period_number: 1 });
+
+      expect(res.status).toBe(400);
+    });
+
+    test('validates the target cell', async () => {
+      const res = await request(app)
+        .post(`/api/timetable/slots/${slotId}/check`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ day_of_week: 'Sunday', period_number: 9 });
+
+      expect(res.status).toBe(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    test('rejects a day or period the bell schedule does not have', async () => {
+      // The check stops after loading the bell schedule
+      const mockUntilBellSchedule = () => query
+        .mockResolvedValueOnce({ rows: [slot()] })
+        .mockResolvedValueOnce({ rows: [slot()] })
+        .mockResolvedValueOnce({ rows: [{ bell_schedule: bellSchedule }] });
+
+      mockUntilBellSchedule();
+      const offDay = await request(app)
+        .post(`/api/timetable/slots/${slotId}/check`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ day_of_week: 'Tuesday', period_number: 1 });
+
+      mockUntilBellSchedule();
+      const latePeriod = await request(app)
+        .post(`/api/timetable/slots/${slotId}/check`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ day_of_week: 'Monday', period_number: 6 });
+
+      expect(offDay.status).toBe(400);
+      expect(offDay.body.message).toBe('Tuesday is not a working day in the bell schedule');
+      expect(latePeriod.status).toBe(400);
+      expect(latePeriod.body.message).toBe('The bell schedule only has 5 periods');
+    });
+
+    test('is admin only', async () => {
+      const res = await request(app)
+        .post(`/api/timetable/slots/${slotId}/check`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ day_of_week: 'Tuesday', period_number: 1 });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('PUT /api/timetable/slots/:id', () => {
+    test('rejects an empty update', async () => {
+      const res = await request(app)
+        .put(`/api/timetable/slots/${slotId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      expect(res.status).toBe(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    test('moves a draft slot', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [slot({ day_of_week: 'Tuesday', period_number: 2 })] })
+        .mockResolvedValueOnce({ rows: [{ id: versionId, status: 'draft' }] });
+
+      const res = await request(app)
+        .put(`/api/timetable/slots/${slotId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ day_of_week: 'Tuesday', period_number: 2 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.slot.day_of_week).toBe('Tuesday');
+      expect(query.mock.calls[1][1].slice(0, 2)).toEqual(['Tuesday', 2]);
+    });
+
+    test('refuses a period past the end of the bell schedule', async () => {
+      query.mockResolvedValueOnce({ rows: [{ bell_schedule: bellSchedule }] });
+
+      const res = await request(app)
+        .put(`/api/timetable/slots/${slotId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ period_number: 7 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('The bell schedule only has 5 periods');
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('buildScheduleState', () => {
+    test('maps the other slots and carries the grid constraints', () => {
+      const constraints = { days: ['Monday'], periods_per_day: 4, lunch_break_period: null };
+      const state = buildScheduleState([
+        slot(),
+        slot({ id: 'b', day_of_week: 'Friday', period_number: 5 }),
+        slot({ id: 'c', day_of_week: 'Monday', period_number: 2 })
+      ], slotId, constraints);
+
+      expect(state.constraints).toBe(constraints);
+      expect(state.groupSchedule.Monday[1]).toBeUndefined();
+      expect(state.groupSchedule.Monday[2].has(groupId)).toBe(true);
+      expect(state.teacherSchedule.Friday[5].has(teacherId)).toBe(true);
+      expect(state.timetable.map(s => s.id)).toEqual(['b', 'c']);
+    });
+  });
+
+  describe('SuggestionEngine constraints', () => {
+    test('only suggests days and periods from the constraints, skipping lunch', async () => {
+      const engine = new SuggestionEngine([], {
+        days: ['Tuesday'],
+        periods_per_day: 4,
+        lunch_break_period: 2
+      }, {}, {}, {});
+
+      const suggestions = await engine.getSuggestions(
+        { id: 'T1' }, { id: 'S1', course_type: 'Theory' }, { id: 'G1', strength: 30 },
+        { id: 'R1', capacity: 40, room_type: 'Classroom' }, 'Tuesday', 1
+      );
+
+      expect(suggestions.map(s => `${s.day}-${s.period}`).sort()).toEqual(['Tuesday-3', 'Tuesday-4']);
+    });
+  });
+});
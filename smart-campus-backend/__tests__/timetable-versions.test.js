@@ -0,0 +1,348 @@
+/**
+ * Timetable Versioning Tests
+ * Draft → publish → rollback workflow and published-only reads
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+
+// Mock the database
+jest.mock('../src/config/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn((callback) => callback({ query: jest.fn() })),
+  testConnection: jest.fn().mockResolvedValue(true),
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { query, transaction } = require('../src/config/db');
+const { generateToken } = require('../src/middleware/auth.middleware');
+const notificationService = require('../src/services/notification.service');
+const { diffVersionSlots } = require('../src/components/timetable/timetable.read.service');
+const { saveTimetableToDatabase } = require('../src/components/timetable/timetable.service');
+
+const groupId = '123e4567-e89b-12d3-a456-426614174000';
+const teacherId = '123e4567-e89b-12d3-a456-426614174001';
+const draftId = '123e4567-e89b-12d3-a456-426614174010';
+const publishedId = '123e4567-e89b-12d3-a456-426614174011';
+
+const version = (overrides = {}) => ({
+  id: draftId,
+  academic_year: '2025-26',
+  semester_type: 'odd',
+  version_number: 2,
+  status: 'draft',
+  ...overrides
+});
+
+const slot = (overrides = {}) => ({
+  group_id: groupId,
+  day_of_week: 'Monday',
+  period_number: 1,
+  teacher_id: teacherId,
+  subject_id: 'subject-1',
+  room_id: 'room-1',
+  ...overrides
+});
+
+describe('Timetable Versions', () => {
+  let adminToken;
+  let studentToken;
+
+  beforeAll(() => {
+    adminToken = generateToken({ id: 1, email: 'admin@example.com', role: 'admin' });
+    studentToken = generateToken({ id: 2, email: 'student@example.com', role: 'student' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+    jest.spyOn(notificationService, 'notifyRole').mockResolvedValue({ created: 0, emailed: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Published-only reads', () => {
+    test('GET /api/timetable/group/:groupId - serves only the published version', async () => {
+      const response = await request(app).get(`/api/timetable/group/${groupId}`);
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[0][0]).toContain("tv.status = 'published'");
+      expect(query.mock.calls[0][1]).toEqual([groupId]);
+    });
+
+    test('GET /api/timetable/teacher/:teacherId - serves only the published version', async () => {
+      const response = await request(app).get(`/api/timetable/teacher/${teacherId}`);
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[0][0]).toContain("tv.status = 'published'");
+    });
+
+    test('should let admins read a draft by version_id', async () => {
+      const response = await request(app)
+        .get(`/api/timetable/group/${groupId}`)
+        .query({ version_id: draftId, academic_year: '2025-26' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[0][0]).not.toContain("tv.status = 'published'");
+      expect(query.mock.calls[0][0]).toContain('ts.version_id = $3');
+      expect(query.mock.calls[0][1]).toEqual([groupId, '2025-26', draftId]);
+    });
+
+    test('should reject version_id from non-admins', async () => {
+      const asStudent = await request(app)
+        .get(`/api/timetable/teacher/${teacherId}`)
+        .query({ version_id: draftId })
+        .set('Authorization', `Bearer ${studentToken}`);
+      const anonymous = await request(app)
+        .get(`/api/timetable/group/${groupId}`)
+        .query({ version_id: draftId });
+
+      expect(asStudent.status).toBe(403);
+      expect(anonymous.status).toBe(403);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Saving generated timetables', () => {
+    test('should save a generation as a new draft version without clearing slots', async () => {
+      const client = { query: jest.fn() };
+      client.query
+        .mockResolvedValueOnce({ rows: [version()] }) // create version
+        .mockResolvedValueOnce({ rows: [] }); // bulk insert
+      transaction.mockImplementationOnce((callback) => callback(client));
+
+      const entry = {
+        day: 'Monday',
+        period: 1,
+        teacher: { id: teacherId },
+        subject: { id: 'subject-1' },
+        group: { id: groupId },
+        room: { id: 'room-1' }
+      };
+      const saved = await saveTimetableToDatabase([entry], '2025-26', 'odd', { createdBy: 1, quality: { total: 4 } });
+
+      expect(saved).toEqual(version());
+      expect(client.query.mock.calls[0][0]).toContain('INSERT INTO timetable_versions');
+      expect(client.query.mock.calls[0][1]).toEqual(['2025-26', 'odd', 1, JSON.stringify({ total: 4 })]);
+      expect(client.query.mock.calls[1][1]).toContain(draftId);
+      expect(query.mock.calls.some(([sql]) => sql.includes('DELETE FROM timetable_slots'))).toBe(false);
+    });
+  });
+
+  describe('Admin version management', () => {
+    test('GET /api/timetable/versions - lists versions', async () => {
+      query.mockResolvedValueOnce({ rows: [version({ slot_count: 30 })] });
+
+      const response = await request(app)
+        .get('/api/timetable/versions')
+        .query({ academic_year: '2025-26' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.versions).toHaveLength(1);
+      expect(query.mock.calls[0][1]).toEqual(['2025-26']);
+    });
+
+    test('GET /api/timetable/versions - rejects non-admins', async () => {
+      const response = await request(app)
+        .get('/api/timetable/versions')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('GET /api/timetable/versions/:id/diff - diffs against the published version by default', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [version()] }) // draft
+        .mockResolvedValueOnce({ rows: [version({ id: publishedId, status: 'published', version_number: 1 })] })
+        .mockResolvedValueOnce({ rows: [slot(), slot({ period_number: 2 })] }) // published slots
+        .mockResolvedValueOnce({ rows: [slot(), slot({ period_number: 2, room_id: 'room-2' }), slot({ period_number: 4 })] });
+
+      const response = await request(app)
+        .get(`/api/timetable/versions/${draftId}/diff`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.against.id).toBe(publishedId);
+      expect(response.body.data.diff.added).toHaveLength(1);
+      expect(response.body.data.diff.changed).toHaveLength(1);
+      expect(response.body.data.diff.removed).toHaveLength(0);
+      expect(response.body.data.diff.unchanged_count).toBe(1);
+    });
+
+    test('POST /api/timetable/versions/:id/publish - publishes a draft and archives the old version', async () => {
+      query.mockResolvedValueOnce({ rows: [version()] });
+      const client = { query: jest.fn() };
+      client.query
+        .mockResolvedValueOnce({ rows: [version()] }) // lock target
+        .mockResolvedValueOnce({ rows: [version({ id: publishedId, status: 'archived' })] })
+        .mockResolvedValueOnce({ rows: [version({ status: 'published' })] });
+      transaction.mockImplementationOnce((callback) => callback(client));
+
+      const response = await request(app)
+        .post(`/api/timetable/versions/${draftId}/publish`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.version.status).toBe('published');
+      expect(response.body.data.previous.id).toBe(publishedId);
+      expect(client.query.mock.calls[1][1]).toEqual(['2025-26', 'odd', draftId]);
+      expect(notificationService.notifyRole).toHaveBeenCalledWith(
+        expect.objectContaining({ role: 'student', eventType: 'TIMETABLE_PUBLISHED' })
+      );
+    });
+
+    test('POST /api/timetable/versions/:id/publish - rejects an already published version', async () => {
+      query.mockResolvedValueOnce({ rows: [version({ status: 'published' })] });
+
+      const response = await request(app)
+        .post(`/api/timetable/versions/${draftId}/publish`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    test('POST /api/timetable/versions/rollback - republishes the previously published version', async () => {
+      query.mockResolvedValueOnce({
+        rows: [version({ id: publishedId, status: 'archived', version_number: 1, published_at: '2025-07-01T00:00:00Z' })]
+      });
+      const client = { query: jest.fn() };
+      client.query
+        .mockResolvedValueOnce({ rows: [version({ id: publishedId, status: 'archived' })] })
+        .mockResolvedValueOnce({ rows: [version({ status: 'archived' })] })
+        .mockResolvedValueOnce({ rows: [version({ id: publishedId, status: 'published', version_number: 1 })] });
+      transaction.mockImplementationOnce((callback) => callback(client));
+
+      const response = await request(app)
+        .post('/api/timetable/versions/rollback')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ academic_year: '2025-26', semester_type: 'odd' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.version.id).toBe(publishedId);
+      expect(response.body.message).toBe('Rolled back to version 1');
+    });
+
+    test('POST /api/timetable/versions/rollback - keeps going back on repeated rollbacks', async () => {
+      // v1, v2 and v3 were published in turn; v3 is live
+      const versions = [1, 2, 3].map((number) => version({
+        id: `123e4567-e89b-12d3-a456-42661417402${number}`,
+        version_number: number,
+        status: number === 3 ? 'published' : 'archived',
+        published_at: new Date(Date.UTC(2025, 6, number)).toISOString()
+      }));
+      let clock = Date.UTC(2025, 7, 1);
+
+      // Applies the lookup's filter and ordering as written in its SQL
+      query.mockImplementation(async (sql) => {
+        if (!sql.includes("status = 'archived' AND published_at IS NOT NULL")) return { rows: [] };
+        const live = versions.find((entry) => entry.status === 'published');
+        const byNumber = sql.includes('ORDER BY version_number DESC');
+        const candidates = versions
+          .filter((entry) => entry.status === 'archived' && entry.published_at)
+          .filter((entry) => !sql.includes('version_number <') || !live || entry.version_number < live.version_number)
+          .sort((a, b) => (byNumber
+            ? b.version_number - a.version_number
+            : Date.parse(b.published_at) - Date.parse(a.published_at)));
+        return { rows: candidates.slice(0, 1) };
+      });
+      const publishInMemory = (callback) => callback({
+        query: jest.fn(async (sql, params) => {
+          if (sql.startsWith('SELECT')) return { rows: [versions.find((entry) => entry.id === params[0])] };
+          if (sql.includes("SET status = 'archived'")) {
+            const live = versions.filter((entry) => entry.status === 'published' && entry.id !== params[2]);
+            live.forEach((entry) => { entry.status = 'archived'; });
+            return { rows: live };
+          }
+          const target = versions.find((entry) => entry.id === params[0]);
+          clock += 1000;
+          Object.assign(target, { status: 'published', published_at: new Date(clock).toISOString() });
+          return { rows: [target] };
+        })
+      });
+      transaction.mockImplementationOnce(publishInMemory).mockImplementationOnce(publishInMemory);
+
+      const rollback = () => request(app)
+        .post('/api/timetable/versions/rollback')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ academic_year: '2025-26', semester_type: 'odd' });
+
+      expect((await rollback()).body.message).toBe('Rolled back to version 2');
+      expect((await rollback()).body.message).toBe('Rolled back to version 1');
+      expect((await rollback()).status).toBe(404);
+    });
+
+    test('POST /api/timetable/versions/rollback - rolls back to a chosen version', async () => {
+      const target = version({ id: publishedId, status: 'archived', version_number: 1, published_at: '2025-07-01T00:00:00Z' });
+      query.mockResolvedValueOnce({ rows: [target] });
+      const client = { query: jest.fn() };
+      client.query
+        .mockResolvedValueOnce({ rows: [target] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ ...target, status: 'published' }] });
+      transaction.mockImplementationOnce((callback) => callback(client));
+
+      const response = await request(app)
+        .post('/api/timetable/versions/rollback')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ academic_year: '2025-26', semester_type: 'odd', version_id: publishedId });
+
+      expect(response.status).toBe(200);
+      expect(query.mock.calls[0][0]).toContain('WHERE id = $1');
+    });
+
+    test('POST /api/timetable/versions/rollback - refuses a version that was never published', async () => {
+      query.mockResolvedValueOnce({ rows: [version()] });
+
+      const response = await request(app)
+        .post('/api/timetable/versions/rollback')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ academic_year: '2025-26', semester_type: 'odd', version_id: draftId });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('POST /api/timetable/versions/rollback - returns 404 when nothing was published before', async () => {
+      const response = await request(app)
+        .post('/api/timetable/versions/rollback')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ academic_year: '2025-26', semester_type: 'odd' });
+
+      expect(response.status).toBe(404);
+    });
+
+    test('DELETE /api/timetable/versions/:id - only deletes drafts', async () => {
+      query.mockResolvedValueOnce({ rows: [version({ status: 'published' })] });
+
+      const response = await request(app)
+        .delete(`/api/timetable/versions/${draftId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('diffVersionSlots', () => {
+    test('should report added, removed and changed lessons', () => {
+      const diff = diffVersionSlots(
+        [slot(), slot({ period_number: 2 }), slot({ period_number: 3 })],
+        [slot({ teacher_id: 'other-teacher' }), slot({ period_number: 2 }), slot({ day_of_week: 'Friday' })]
+      );
+
+      expect(diff.changed).toHaveLength(1);
+      expect(diff.changed[0].to.teacher_id).toBe('other-teacher');
+      expect(diff.added).toEqual([slot({ day_of_week: 'Friday' })]);
+      expect(diff.removed).toEqual([slot({ period_number: 3 })]);
+      expect(diff.unchanged_count).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Migration: Academic calendar (term dates, holidays, exam weeks, cancelled and rescheduled days).
+ * Run with: node sql/migrate_academic_calendar.js
+ */
+
+require('dotenv').config();
+const { query } = require('../src/config/db');
+
+async function migrate() {
+  try {
+    console.log('--- Academic Calendar Migration ---');
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS academic_terms (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        academic_year VARCHAR(10) NOT NULL,
+        semester_type VARCHAR(10) NOT NULL,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(academic_year, semester_type),
+        CHECK (end_date >= start_date)
+      );
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS academic_calendar_exceptions (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        exception_type VARCHAR(20) NOT NULL
+          CHECK (exception_type IN ('holiday', 'exam', 'cancelled', 'rescheduled')),
+        title VARCHAR(150) NOT NULL,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        rescheduled_to DATE,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (end_date >= start_date),
+        CHECK ((exception_type = 'rescheduled') = (rescheduled_to IS NOT NULL))
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_academic_calendar_exceptions_dates
+        ON academic_calendar_exceptions(start_date, end_date);
+    `);
+
+    console.log('✅ academic_terms and academic_calendar_exceptions tables created');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
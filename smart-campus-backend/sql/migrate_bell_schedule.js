@@ -0,0 +1,26 @@
+/**
+ * Migration: Configurable bell schedule (period timings, lunch break, working days).
+ * Run with: node sql/migrate_bell_schedule.js
+ */
+
+require('dotenv').config();
+const { query } = require('../src/config/db');
+
+async function migrate() {
+  try {
+    console.log('--- Bell Schedule Migration ---');
+
+    // NULL keeps the built-in default schedule
+    await query('ALTER TABLE system_settings ADD COLUMN IF NOT EXISTS bell_schedule JSONB;');
+
+    console.log('✅ system_settings.bell_schedule column added');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
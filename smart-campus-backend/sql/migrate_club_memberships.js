@@ -0,0 +1,40 @@
+/**
+ * Migration: Club membership requests and club roles.
+ * Run with: node sql/migrate_club_memberships.js
+ */
+
+require('dotenv').config();
+const { query } = require('../src/config/db');
+
+async function migrate() {
+  try {
+    console.log('--- Club Memberships Migration ---');
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS club_members (
+        id SERIAL PRIMARY KEY,
+        club_id INTEGER NOT NULL REFERENCES clubs(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('president', 'coordinator', 'member')),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active')),
+        requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        joined_at TIMESTAMP,
+        decided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        UNIQUE (club_id, user_id)
+      );
+    `);
+
+    await query('CREATE INDEX IF NOT EXISTS idx_club_members_user ON club_members(user_id);');
+    await query('CREATE INDEX IF NOT EXISTS idx_club_members_club_status ON club_members(club_id, status);');
+
+    console.log('✅ club_members table created');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
@@ -0,0 +1,53 @@
+/**
+ * Migration: Elective allocation reports — an immutable record of every committed allocation run.
+ * Run with: node sql/migrate_elective_allocation_reports.js
+ */
+
+require('dotenv').config();
+const { query } = require('../src/config/db');
+
+async function migrate() {
+  try {
+    console.log('--- Elective Allocation Reports Migration ---');
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS elective_allocation_reports (
+        id SERIAL PRIMARY KEY,
+        round_id INTEGER REFERENCES elective_rounds(id),
+        allocation_round INTEGER NOT NULL,
+        statistics JSONB NOT NULL,
+        results JSONB NOT NULL,
+        run_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    await query('CREATE INDEX IF NOT EXISTS idx_elective_allocation_reports_created ON elective_allocation_reports(created_at DESC);');
+
+    // Reports are an audit trail: once written they can neither change nor disappear
+    await query(`
+      CREATE OR REPLACE FUNCTION prevent_allocation_report_changes()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        RAISE EXCEPTION 'Elective allocation reports are immutable';
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+    await query('DROP TRIGGER IF EXISTS elective_allocation_reports_immutable ON elective_allocation_reports;');
+    await query(`
+      CREATE TRIGGER elective_allocation_reports_immutable
+        BEFORE UPDATE OR DELETE ON elective_allocation_reports
+        FOR EACH ROW EXECUTE FUNCTION prevent_allocation_report_changes();
+    `);
+
+    console.log('✅ elective_allocation_reports table created');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
@@ -0,0 +1,32 @@
+/**
+ * Migration: Elective allocation strategies — record the strategy, its options and the tie-break seed of each run.
+ * Run with: node sql/migrate_elective_allocation_strategies.js
+ */
+
+require('dotenv').config();
+const { query } = require('../src/config/db');
+
+async function migrate() {
+  try {
+    console.log('--- Elective Allocation Strategies Migration ---');
+
+    // Reports saved before strategies existed were all strict CGPA priority
+    await query(`
+      ALTER TABLE elective_allocation_reports
+        ADD COLUMN IF NOT EXISTS strategy VARCHAR(30) NOT NULL DEFAULT 'cgpa'
+          CHECK (strategy IN ('cgpa', 'cgpa_band_lottery', 'rank_maximal', 'reserved_seats')),
+        ADD COLUMN IF NOT EXISTS strategy_options JSONB NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS seed INTEGER;
+    `);
+
+    console.log('✅ elective_allocation_reports strategy columns added');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
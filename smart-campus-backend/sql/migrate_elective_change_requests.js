@@ -0,0 +1,62 @@
+/**
+ * Migration: Student elective change requests (drops and swaps) and the admin approval rules for them.
+ * Run with: node sql/migrate_elective_change_requests.js
+ */
+
+require('dotenv').config();
+const { query } = require('../src/config/db');
+
+async function migrate() {
+  try {
+    console.log('--- Elective Change Requests Migration ---');
+
+    // A drop has no target elective; a swap always has one
+    await query(`
+      CREATE TABLE IF NOT EXISTS elective_change_requests (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        request_type VARCHAR(10) NOT NULL CHECK (request_type IN ('drop', 'swap')),
+        from_elective_id INTEGER NOT NULL REFERENCES electives(id) ON DELETE CASCADE,
+        to_elective_id INTEGER REFERENCES electives(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'open'
+          CHECK (status IN ('open', 'pending_approval', 'completed', 'rejected', 'cancelled')),
+        matched_request_id INTEGER REFERENCES elective_change_requests(id) ON DELETE SET NULL,
+        reason TEXT,
+        review_note TEXT,
+        reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK ((request_type = 'drop') = (to_elective_id IS NULL)),
+        CHECK (to_elective_id IS NULL OR to_elective_id <> from_elective_id)
+      );
+    `);
+    console.log('✅ elective_change_requests table created');
+
+    // One request in flight per student
+    await query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_elective_change_requests_active_student
+      ON elective_change_requests(student_id)
+      WHERE status IN ('open', 'pending_approval');
+    `);
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_elective_change_requests_market
+      ON elective_change_requests(from_elective_id, to_elective_id, created_at)
+      WHERE status = 'open';
+    `);
+    console.log('✅ elective_change_requests indexes created');
+
+    // NULL keeps the built-in default rules
+    await query('ALTER TABLE system_settings ADD COLUMN IF NOT EXISTS elective_change_rules JSONB;');
+    console.log('✅ system_settings.elective_change_rules column added');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
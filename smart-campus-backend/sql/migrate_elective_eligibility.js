@@ -0,0 +1,35 @@
+/**
+ * Migration: Elective eligibility rules — departments, semester range, minimum
+ * CGPA, prerequisite subjects and mutually exclusive electives.
+ * Run with: node sql/migrate_elective_eligibility.js
+ */
+
+require('dotenv').config();
+const { query } = require('../src/config/db');
+
+async function migrate() {
+  try {
+    console.log('--- Elective Eligibility Migration ---');
+
+    // Empty lists and NULL bounds leave an elective open to every student
+    await query(`
+      ALTER TABLE electives
+        ADD COLUMN IF NOT EXISTS eligible_departments TEXT[] NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS min_semester INTEGER CHECK (min_semester BETWEEN 1 AND 8),
+        ADD COLUMN IF NOT EXISTS max_semester INTEGER CHECK (max_semester BETWEEN 1 AND 8),
+        ADD COLUMN IF NOT EXISTS min_cgpa DECIMAL(3,2) CHECK (min_cgpa >= 0 AND min_cgpa <= 10),
+        ADD COLUMN IF NOT EXISTS prerequisite_subject_codes TEXT[] NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS exclusive_elective_ids INTEGER[] NOT NULL DEFAULT '{}';
+    `);
+
+    console.log('✅ electives eligibility columns created');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
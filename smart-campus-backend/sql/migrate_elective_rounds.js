@@ -0,0 +1,50 @@
+/**
+ * Migration: Elective selection rounds — admin-managed windows for choices and allocation.
+ * Run with: node sql/migrate_elective_rounds.js
+ */
+
+require('dotenv').config();
+const { query } = require('../src/config/db');
+
+async function migrate() {
+  try {
+    console.log('--- Elective Rounds Migration ---');
+
+    // Empty semesters/departments arrays mean the round is open to everyone
+    await query(`
+      CREATE TABLE IF NOT EXISTS elective_rounds (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        round_number INTEGER UNIQUE NOT NULL,
+        opens_at TIMESTAMPTZ NOT NULL,
+        closes_at TIMESTAMPTZ NOT NULL,
+        semesters INTEGER[] NOT NULL DEFAULT '{}',
+        departments TEXT[] NOT NULL DEFAULT '{}',
+        status VARCHAR(20) NOT NULL DEFAULT 'open'
+          CHECK (status IN ('open', 'closed', 'allocated')),
+        allocated_at TIMESTAMPTZ,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (closes_at > opens_at)
+      );
+    `);
+
+    await query(`
+      ALTER TABLE student_choices
+        ADD COLUMN IF NOT EXISTS round_id INTEGER REFERENCES elective_rounds(id) ON DELETE SET NULL;
+    `);
+
+    await query('CREATE INDEX IF NOT EXISTS idx_elective_rounds_window ON elective_rounds(status, opens_at, closes_at);');
+
+    console.log('✅ elective_rounds table created');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
@@ -0,0 +1,29 @@
+/**
+ * Migration: Event check-in and attendance tracking on confirmed RSVPs.
+ * Run with: node sql/migrate_event_attendance.js
+ */
+
+require('dotenv').config();
+const { query } = require('../src/config/db');
+
+async function migrate() {
+  try {
+    console.log('--- Event Attendance Migration ---');
+
+    await query(`
+      ALTER TABLE event_rsvps
+      ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS checked_in_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+    `);
+
+    console.log('✅ event_rsvps.checked_in_at and checked_in_by added');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
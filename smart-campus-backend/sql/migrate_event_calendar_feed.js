@@ -0,0 +1,28 @@
+/**
+ * Migration: Per-user secret for the subscribable campus events calendar feed.
+ * Run with: node sql/migrate_event_calendar_feed.js
+ */
+
+require('dotenv').config();
+const { query } = require('../src/config/db');
+
+async function migrate() {
+  try {
+    console.log('--- Event Calendar Feed Migration ---');
+
+    await query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS calendar_feed_token VARCHAR(64) UNIQUE;
+    `);
+
+    console.log('✅ users.calendar_feed_token added');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
@@ -0,0 +1,59 @@
+/**
+ * Migration: Recurring events and per-occurrence edits or cancellations.
+ * Run with: node sql/migrate_event_recurrence.js
+ */
+
+require('dotenv').config();
+const { query } = require('../src/config/db');
+
+async function migrate() {
+  try {
+    console.log('--- Event Recurrence Migration ---');
+
+    // RRULE subset, e.g. FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20261231. NULL = one-off event
+    await query('ALTER TABLE events ADD COLUMN IF NOT EXISTS recurrence_rule TEXT;');
+
+    // One row per edited or cancelled occurrence, keyed by its original start.
+    // NULL columns inherit from the series.
+    await query(`
+      CREATE TABLE IF NOT EXISTS event_occurrence_overrides (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        occurrence_start TIMESTAMPTZ NOT NULL,
+        is_cancelled BOOLEAN NOT NULL DEFAULT false,
+        title VARCHAR(150),
+        description TEXT,
+        location VARCHAR(255),
+        start_time TIMESTAMPTZ,
+        end_time TIMESTAMPTZ,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(event_id, occurrence_start)
+      );
+    `);
+
+    // Check-ins for recurring events, one row per attended occurrence.
+    // event_rsvps.checked_in_at keeps the first check-in of the series.
+    await query(`
+      CREATE TABLE IF NOT EXISTS event_occurrence_check_ins (
+        id SERIAL PRIMARY KEY,
+        rsvp_id INTEGER NOT NULL REFERENCES event_rsvps(id) ON DELETE CASCADE,
+        occurrence_start TIMESTAMPTZ NOT NULL,
+        checked_in_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        checked_in_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        UNIQUE(rsvp_id, occurrence_start)
+      );
+    `);
+
+    console.log('✅ events.recurrence_rule, event_occurrence_overrides and event_occurrence_check_ins tables created');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
@@ -0,0 +1,45 @@
+/**
+ * Migration: Event reminders sent to saved and RSVP'd users, and per-event opt-outs.
+ * Run with: node sql/migrate_event_reminders.js
+ */
+
+require('dotenv').config();
+const { query } = require('../src/config/db');
+
+async function migrate() {
+  try {
+    console.log('--- Event Reminders Migration ---');
+
+    // One row per reminder sent; the unique key stops a reminder going out twice
+    await query(`
+      CREATE TABLE IF NOT EXISTS event_reminders_sent (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        occurrence_start TIMESTAMPTZ NOT NULL,
+        offset_minutes INTEGER NOT NULL,
+        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (event_id, user_id, occurrence_start, offset_minutes)
+      );
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS event_reminder_opt_outs (
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (event_id, user_id)
+      );
+    `);
+
+    console.log('✅ event_reminders_sent and event_reminder_opt_outs tables created');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
@@ -0,0 +1,37 @@
+/**
+ * Migration: Event review workflow for club-submitted events.
+ * Run with: node sql/migrate_event_review.js
+ */
+
+require('dotenv').config();
+const { query } = require('../src/config/db');
+
+async function migrate() {
+  try {
+    console.log('--- Event Review Migration ---');
+
+    // Existing events were published directly by admins, so they start approved
+    await query(`
+      ALTER TABLE events
+        ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'approved'
+          CHECK (status IN ('draft', 'pending_review', 'approved', 'rejected', 'cancelled')),
+        ADD COLUMN IF NOT EXISTS submitted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS review_comment TEXT;
+    `);
+
+    await query('CREATE INDEX IF NOT EXISTS idx_events_status ON events(status);');
+    await query('CREATE INDEX IF NOT EXISTS idx_events_submitted_by ON events(submitted_by);');
+
+    console.log('✅ events review columns created');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
@@ -0,0 +1,50 @@
+/**
+ * Migration: Event RSVPs with capacity and a first-come waitlist.
+ * Run with: node sql/migrate_event_rsvps.js
+ */
+
+require('dotenv').config();
+const { query } = require('../src/config/db');
+
+async function migrate() {
+  try {
+    console.log('--- Event RSVPs Migration ---');
+
+    // NULL means the event has no seat limit
+    await query(`
+      ALTER TABLE events
+      ADD COLUMN IF NOT EXISTS max_capacity INTEGER CHECK (max_capacity > 0);
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS event_rsvps (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'confirmed'
+          CHECK (status IN ('confirmed', 'waitlisted')),
+        promoted_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, event_id)
+      );
+    `);
+
+    // Waitlist promotion walks each event's queue oldest first
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_event_rsvps_event_status
+        ON event_rsvps(event_id, status, created_at);
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_event_rsvps_user ON event_rsvps(user_id);');
+
+    console.log('✅ events.max_capacity and event_rsvps table created');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
@@ -0,0 +1,41 @@
+/**
+ * Migration: Link teachers to faculty user accounts.
+ * Run with: node sql/migrate_faculty_link.js
+ */
+
+require('dotenv').config();
+const { query } = require('../src/config/db');
+
+async function migrate() {
+  try {
+    console.log('--- Faculty Link Migration ---');
+
+    await query(`
+      ALTER TABLE teachers
+        ADD COLUMN IF NOT EXISTS user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE SET NULL;
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_teachers_user ON teachers(user_id);');
+
+    console.log('✅ teachers.user_id column added');
+
+    // Backfill links for faculty accounts that share an email with a teacher record
+    const result = await query(`
+      UPDATE teachers t
+      SET user_id = u.id, updated_at = CURRENT_TIMESTAMP
+      FROM users u
+      WHERE t.user_id IS NULL
+        AND u.role = 'faculty'
+        AND LOWER(u.email) = LOWER(t.email)
+    `);
+
+    console.log(`✅ Linked ${result.rowCount} teacher record(s) to faculty accounts`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
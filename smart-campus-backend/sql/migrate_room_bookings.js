@@ -0,0 +1,54 @@
+/**
+ * Migration: Ad-hoc room bookings (make-up classes, club meetings, exams).
+ * Run with: node sql/migrate_room_bookings.js
+ */
+
+require('dotenv').config();
+const { query } = require('../src/config/db');
+
+async function migrate() {
+  try {
+    console.log('--- Room Bookings Migration ---');
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS room_bookings (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        room_id UUID NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+        booked_by INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        title VARCHAR(150) NOT NULL,
+        purpose VARCHAR(30) NOT NULL DEFAULT 'other'
+          CHECK (purpose IN ('make_up_class', 'club_meeting', 'exam', 'event', 'other')),
+        description TEXT,
+        booking_date DATE NOT NULL,
+        start_period INTEGER NOT NULL CHECK (start_period BETWEEN 1 AND 8),
+        end_period INTEGER NOT NULL CHECK (end_period BETWEEN 1 AND 8),
+        expected_attendees INTEGER CHECK (expected_attendees > 0),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+        reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMP,
+        review_note VARCHAR(500),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (end_period >= start_period)
+      );
+    `);
+
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_room_bookings_room_date
+        ON room_bookings(room_id, booking_date) WHERE status = 'approved';
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_room_bookings_booked_by ON room_bookings(booked_by);');
+    await query('CREATE INDEX IF NOT EXISTS idx_room_bookings_status ON room_bookings(status);');
+
+    console.log('✅ room_bookings table created');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
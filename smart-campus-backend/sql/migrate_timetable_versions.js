@@ -0,0 +1,102 @@
+/**
+ * Migration: Versioned timetables (draft → published → archived).
+ * Run with: node sql/migrate_timetable_versions.js
+ */
+
+require('dotenv').config();
+const { query } = require('../src/config/db');
+
+async function migrate() {
+  try {
+    console.log('--- Timetable Versions Migration ---');
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS timetable_versions (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        academic_year VARCHAR(10) NOT NULL,
+        semester_type VARCHAR(10) NOT NULL DEFAULT 'odd',
+        version_number INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'draft'
+          CHECK (status IN ('draft', 'published', 'archived')),
+        quality JSONB,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        published_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        published_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(academic_year, semester_type, version_number)
+      );
+    `);
+
+    // At most one published version per academic year and semester
+    await query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_timetable_versions_published
+        ON timetable_versions(academic_year, semester_type)
+        WHERE status = 'published';
+    `);
+
+    console.log('✅ timetable_versions table created');
+
+    await query(`
+      ALTER TABLE timetable_slots
+        ADD COLUMN IF NOT EXISTS version_id UUID REFERENCES timetable_versions(id) ON DELETE CASCADE;
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_timetable_slots_version ON timetable_slots(version_id);');
+
+    // Existing slots become version 1, published, of their year/semester
+    await query(`
+      INSERT INTO timetable_versions (academic_year, semester_type, version_number, status, published_at)
+      SELECT DISTINCT academic_year, COALESCE(semester_type, 'odd'), 1, 'published', CURRENT_TIMESTAMP
+      FROM timetable_slots
+      WHERE version_id IS NULL
+      ON CONFLICT DO NOTHING;
+    `);
+    const backfill = await query(`
+      UPDATE timetable_slots ts
+      SET version_id = tv.id
+      FROM timetable_versions tv
+      WHERE ts.version_id IS NULL
+        AND tv.academic_year = ts.academic_year
+        AND tv.semester_type = COALESCE(ts.semester_type, 'odd')
+        AND tv.version_number = 1;
+    `);
+
+    console.log(`✅ Attached ${backfill.rowCount} existing slot(s) to a published version`);
+
+    // Clash constraints now apply within a version instead of across the semester
+    await query(`
+      DO $$
+      DECLARE c record;
+      BEGIN
+        FOR c IN
+          SELECT conname FROM pg_constraint
+          WHERE conrelid = 'timetable_slots'::regclass AND contype = 'u'
+        LOOP
+          EXECUTE format('ALTER TABLE timetable_slots DROP CONSTRAINT %I', c.conname);
+        END LOOP;
+      END $$;
+    `);
+    await query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_timetable_slots_version_teacher
+        ON timetable_slots(version_id, day_of_week, period_number, teacher_id) WHERE is_active = true;
+    `);
+    await query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_timetable_slots_version_group
+        ON timetable_slots(version_id, day_of_week, period_number, group_id) WHERE is_active = true;
+    `);
+    await query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_timetable_slots_version_room
+        ON timetable_slots(version_id, day_of_week, period_number, room_id) WHERE is_active = true;
+    `);
+
+    console.log('✅ timetable_slots clash constraints scoped to versions');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  }
+}
+
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
@@ -1026,9 +1026,17 @@ async function seedDatabase() {
       }
     ];
     
+    // Seeded slots form the published version 1 of 2025-26 (odd)
+    const versionResult = await client.query(`
+      INSERT INTO timetable_versions (academic_year, semester_type, version_number, status, published_at)
+      VALUES ('2025-26', 'odd', 1, 'published', CURRENT_TIMESTAMP)
+      RETURNING id
+    `);
+    const versionId = versionResult.rows[0].id;
+
     const slotInsertQuery = `
-      INSERT INTO timetable_slots (day_of_week, period_number, teacher_id, subject_id, group_id, room_id, academic_year, semester_type)
-      VALUES ($1, $2, $3, $4, $5, $6, '2025-26', 'odd')
+      INSERT INTO timetable_slots (day_of_week, period_number, teacher_id, subject_id, group_id, room_id, academic_year, semester_type, version_id)
+      VALUES ($1, $2, $3, $4, $5, $6, '2025-26', 'odd', $7)
     `;
     
     for (const slot of timetableData) {
@@ -1038,7 +1046,8 @@ async function seedDatabase() {
         slot.teacher_id,
         slot.subject_id,
         slot.group_id,
-        slot.room_id
+        slot.room_id,
+        versionId
       ]);
       slotCount++;
     }
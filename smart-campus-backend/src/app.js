@@ -1,4 +1,3 @@
-const path = require('path');
 const express = require('express');
 const http = require('http');
 const cors = require('cors');
@@ -12,6 +11,9 @@ const { apiLimiter } = require('./middleware/rateLimiter.middleware');
 const { verifyToken, verifyAdmin } = require('./middleware/auth.middleware');
 const notificationService = require('./services/notification.service');
 const { initBackupJob } = require('./jobs/backup.job');
+const { initEventReminderJob } = require('./jobs/eventReminders.job');
+const { initImageCleanupJob } = require('./jobs/imageCleanup.job');
+const { UPLOADS_DIR } = require('./services/image.service');
 
 // =====================================================================
 // VALIDATE REQUIRED ENVIRONMENT VARIABLES (FAIL FAST)
@@ -44,6 +46,9 @@ const searchRoutes = require('./components/search/search.routes');
 const activityRoutes = require('./components/activities/activity.routes');
 const calendarRoutes = require('./components/calendar/calendar.routes');
 const feedbackRoutes = require('./components/feedback/feedback.routes');
+const facultyRoutes = require('./components/faculty/faculty.routes');
+const classroomRoutes = require('./components/classrooms/classroom.routes');
+const academicCalendarRoutes = require('./components/academic-calendar/academic.calendar.routes');
 
 // Create Express application
 const app = express();
@@ -98,7 +103,7 @@ app.use('/api/', apiLimiter);
 app.use(compression());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use('/uploads', express.static(path.join(__dirname, '..', 'uploads')));
+app.use('/uploads', express.static(UPLOADS_DIR));
 
 // Logging
 app.use((req, res, next) => {
@@ -147,6 +152,9 @@ app.use('/api/search', searchRoutes);
 app.use('/api/activities', activityRoutes);
 app.use('/api/calendar',   calendarRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/faculty', facultyRoutes);
+app.use('/api/classrooms', classroomRoutes);
+app.use('/api/academic-calendar', academicCalendarRoutes);
 
 // Test Socket endpoint
 app.get('/api/test-socket', verifyToken, verifyAdmin, (req, res) => {
@@ -181,6 +189,12 @@ const startServer = async () => {
 
       // Register automated daily database backup job (runs at midnight)
       initBackupJob();
+
+      // Remind saved and RSVP'd users before their events start (every 5 minutes)
+      initEventReminderJob();
+
+      // Remove event images no event refers to any more (daily at 03:30)
+      initImageCleanupJob();
     });
   } catch (error) {
     logger.error('Failed to start server:', error);
@@ -0,0 +1,150 @@
+const { asyncHandler, ApiError } = require('../../middleware/errorHandler');
+const { logger } = require('../../config/db');
+const academicCalendarService = require('./academic.calendar.service');
+
+/**
+ * Academic Calendar Controller
+ * Term dates and the days on which regular classes do not run
+ */
+
+/**
+ * Term and exceptions for a semester (or the current term)
+ * GET /api/academic-calendar?academic_year=2025-2026&semester_type=odd
+ */
+const getCalendar = asyncHandler(async (req, res) => {
+  const { academic_year, semester_type } = req.query;
+  const calendar = await academicCalendarService.getCalendar({
+    academicYear: academic_year,
+    semesterType: semester_type
+  });
+
+  res.json({
+    success: true,
+    data: calendar
+  });
+});
+
+/**
+ * List all terms, latest first
+ * GET /api/academic-calendar/terms
+ */
+const getTerms = asyncHandler(async (req, res) => {
+  const terms = await academicCalendarService.findTerms();
+
+  res.json({
+    success: true,
+    data: { terms, count: terms.length }
+  });
+});
+
+/**
+ * Create or update the dates of a term (Admin only)
+ * PUT /api/academic-calendar/terms
+ */
+const upsertTerm = asyncHandler(async (req, res) => {
+  const term = await academicCalendarService.upsertTerm(req.body, req.user.id);
+
+  logger.info('Academic term saved', { termId: term.id, updatedBy: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Term dates saved',
+    data: { term }
+  });
+});
+
+/**
+ * Delete a term (Admin only)
+ * DELETE /api/academic-calendar/terms/:id
+ */
+const deleteTerm = asyncHandler(async (req, res) => {
+  const deleted = await academicCalendarService.deleteTerm(req.params.id);
+  if (!deleted) {
+    throw new ApiError(404, 'Term not found');
+  }
+
+  logger.info('Academic term deleted', { termId: req.params.id, updatedBy: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Term deleted'
+  });
+});
+
+/**
+ * List holidays, exam weeks and cancelled or rescheduled days
+ * GET /api/academic-calendar/exceptions?exception_type=holiday&from=&to=
+ */
+const getExceptions = asyncHandler(async (req, res) => {
+  const { exception_type, from, to } = req.query;
+  const exceptions = await academicCalendarService.findExceptions({ type: exception_type, from, to });
+
+  res.json({
+    success: true,
+    data: { exceptions, count: exceptions.length }
+  });
+});
+
+/**
+ * Add a holiday, exam week or cancelled or rescheduled day (Admin only)
+ * POST /api/academic-calendar/exceptions
+ */
+const createException = asyncHandler(async (req, res) => {
+  const exception = await academicCalendarService.createException(req.body, req.user.id);
+
+  logger.info('Academic calendar exception created', { exceptionId: exception.id, updatedBy: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Calendar exception added',
+    data: { exception }
+  });
+});
+
+/**
+ * Update a calendar exception (Admin only)
+ * PUT /api/academic-calendar/exceptions/:id
+ */
+const updateException = asyncHandler(async (req, res) => {
+  const exception = await academicCalendarService.updateException(req.params.id, req.body);
+  if (!exception) {
+    throw new ApiError(404, 'Calendar exception not found');
+  }
+
+  logger.info('Academic calendar exception updated', { exceptionId: exception.id, updatedBy: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Calendar exception updated',
+    data: { exception }
+  });
+});
+
+/**
+ * Remove a calendar exception (Admin only)
+ * DELETE /api/academic-calendar/exceptions/:id
+ */
+const deleteException = asyncHandler(async (req, res) => {
+  const deleted = await academicCalendarService.deleteException(req.params.id);
+  if (!deleted) {
+    throw new ApiError(404, 'Calendar exception not found');
+  }
+
+  logger.info('Academic calendar exception deleted', { exceptionId: req.params.id, updatedBy: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Calendar exception deleted'
+  });
+});
+
+module.exports = {
+  getCalendar,
+  getTerms,
+  upsertTerm,
+  deleteTerm,
+  getExceptions,
+  createException,
+  updateException,
+  deleteException
+};
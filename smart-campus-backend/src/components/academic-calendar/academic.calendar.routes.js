@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const academicCalendarController = require('./academic.calendar.controller');
+const { verifyToken, verifyAdmin } = require('../../middleware/auth.middleware');
+const { validate, validationSchemas } = require('../../middleware/validation');
+
+/**
+ * Academic Calendar Routes
+ * Base path: /api/academic-calendar
+ */
+
+router.get(
+  '/',
+  verifyToken,
+  validate(validationSchemas.academicCalendarQuery, 'query'),
+  academicCalendarController.getCalendar
+);
+
+// Terms
+
+router.get('/terms', verifyToken, academicCalendarController.getTerms);
+
+router.put(
+  '/terms',
+  verifyToken,
+  verifyAdmin,
+  validate(validationSchemas.academicTerm),
+  academicCalendarController.upsertTerm
+);
+
+router.delete(
+  '/terms/:id',
+  verifyToken,
+  verifyAdmin,
+  validate(validationSchemas.uuidParam, 'params'),
+  academicCalendarController.deleteTerm
+);
+
+// Holidays, exam weeks, cancelled and rescheduled days
+
+router.get(
+  '/exceptions',
+  verifyToken,
+  validate(validationSchemas.academicCalendarQuery, 'query'),
+  academicCalendarController.getExceptions
+);
+
+router.post(
+  '/exceptions',
+  verifyToken,
+  verifyAdmin,
+  validate(validationSchemas.academicCalendarException),
+  academicCalendarController.createException
+);
+
+router.put(
+  '/exceptions/:id',
+  verifyToken,
+  verifyAdmin,
+  validate(validationSchemas.uuidParam, 'params'),
+  validate(validationSchemas.academicCalendarException),
+  academicCalendarController.updateException
+);
+
+router.delete(
+  '/exceptions/:id',
+  verifyToken,
+  verifyAdmin,
+  validate(validationSchemas.uuidParam, 'params'),
+  academicCalendarController.deleteException
+);
+
+module.exports = router;
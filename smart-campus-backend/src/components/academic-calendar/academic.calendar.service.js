@@ -0,0 +1,234 @@
+const { query } = require('../../config/db');
+const { dayOfWeekFor } = require('../timetable/timetable.periods');
+
+const TERM_SELECT = `
+  SELECT
+    id,
+    academic_year,
+    semester_type,
+    to_char(start_date, 'YYYY-MM-DD') AS start_date,
+    to_char(end_date, 'YYYY-MM-DD') AS end_date,
+    updated_by,
+    created_at,
+    updated_at
+  FROM academic_terms
+`;
+
+const EXCEPTION_SELECT = `
+  SELECT
+    id,
+    exception_type,
+    title,
+    to_char(start_date, 'YYYY-MM-DD') AS start_date,
+    to_char(end_date, 'YYYY-MM-DD') AS end_date,
+    to_char(rescheduled_to, 'YYYY-MM-DD') AS rescheduled_to,
+    created_by,
+    created_at,
+    updated_at
+  FROM academic_calendar_exceptions
+`;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const addDays = (date, days) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+};
+
+// ─── Terms ────────────────────────────────────────────────────────────────────
+
+const findTerms = async () => {
+  const result = await query(`${TERM_SELECT} ORDER BY start_date DESC`);
+  return result.rows;
+};
+
+/**
+ * Term for an academic year and semester. Without both, the term running
+ * today, or else the next one to start.
+ *
+ * @returns {Promise<object|null>}
+ */
+const findTerm = async ({ academicYear, semesterType } = {}) => {
+  if (academicYear && semesterType) {
+    const result = await query(
+      `${TERM_SELECT} WHERE academic_year = $1 AND semester_type = $2`,
+      [academicYear, semesterType]
+    );
+    return result.rows[0] || null;
+  }
+
+  const result = await query(
+    `${TERM_SELECT} WHERE end_date >= $1 ORDER BY start_date ASC LIMIT 1`,
+    [today()]
+  );
+  return result.rows[0] || null;
+};
+
+const upsertTerm = async ({ academic_year, semester_type, start_date, end_date }, updatedBy) => {
+  const result = await query(
+    `
+      INSERT INTO academic_terms (academic_year, semester_type, start_date, end_date, updated_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (academic_year, semester_type)
+      DO UPDATE SET
+        start_date = EXCLUDED.start_date,
+        end_date = EXCLUDED.end_date,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING id
+    `,
+    [academic_year, semester_type, start_date, end_date, updatedBy]
+  );
+
+  const term = await query(`${TERM_SELECT} WHERE id = $1`, [result.rows[0].id]);
+  return term.rows[0];
+};
+
+const deleteTerm = async (id) => {
+  const result = await query('DELETE FROM academic_terms WHERE id = $1 RETURNING id', [id]);
+  return result.rows.length > 0;
+};
+
+// ─── Exceptions ───────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} filters
+ * @param {string} [filters.type]
+ * @param {string} [filters.from] - 'YYYY-MM-DD'; exceptions ending before it are left out
+ * @param {string} [filters.to]   - 'YYYY-MM-DD'; exceptions starting after it are left out
+ */
+const findExceptions = async ({ type, from, to } = {}) => {
+  const values = [];
+  const conditions = [];
+
+  if (type) {
+    values.push(type);
+    conditions.push(`exception_type = $${values.length}`);
+  }
+  // Rescheduled days also matter when only their make-up date is in range
+  if (from) {
+    values.push(from);
+    conditions.push(`(end_date >= $${values.length} OR rescheduled_to >= $${values.length})`);
+  }
+  if (to) {
+    values.push(to);
+    conditions.push(`(start_date <= $${values.length} OR rescheduled_to <= $${values.length})`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await query(`${EXCEPTION_SELECT} ${where} ORDER BY start_date ASC, created_at ASC`, values);
+  return result.rows;
+};
+
+const findExceptionById = async (id) => {
+  const result = await query(`${EXCEPTION_SELECT} WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+const createException = async ({ exception_type, title, start_date, end_date, rescheduled_to }, createdBy) => {
+  const result = await query(
+    `
+      INSERT INTO academic_calendar_exceptions
+        (exception_type, title, start_date, end_date, rescheduled_to, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id
+    `,
+    [exception_type, title, start_date, end_date || start_date, rescheduled_to || null, createdBy]
+  );
+
+  return findExceptionById(result.rows[0].id);
+};
+
+const updateException = async (id, { exception_type, title, start_date, end_date, rescheduled_to }) => {
+  const result = await query(
+    `
+      UPDATE academic_calendar_exceptions
+      SET exception_type = $2, title = $3, start_date = $4, end_date = $5,
+          rescheduled_to = $6, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id
+    `,
+    [id, exception_type, title, start_date, end_date || start_date, rescheduled_to || null]
+  );
+
+  return result.rows.length > 0 ? findExceptionById(id) : null;
+};
+
+const deleteException = async (id) => {
+  const result = await query('DELETE FROM academic_calendar_exceptions WHERE id = $1 RETURNING id', [id]);
+  return result.rows.length > 0;
+};
+
+// ─── Calendar ─────────────────────────────────────────────────────────────────
+
+/**
+ * Term and exceptions that shape a timetable's calendar. Without a term the
+ * exceptions from today onwards are returned.
+ *
+ * @returns {Promise<{ term: object|null, exceptions: object[] }>}
+ */
+const getCalendar = async ({ academicYear, semesterType } = {}) => {
+  const term = await findTerm({ academicYear, semesterType });
+  const exceptions = await findExceptions(
+    term ? { from: term.start_date, to: term.end_date } : { from: today() }
+  );
+  return { term, exceptions };
+};
+
+/**
+ * Dates on which a weekly class actually meets, for building RRULE/EXDATE/RDATE.
+ * Within a term the class starts on the first matching weekday of the term and
+ * stops at its end; otherwise it starts on `fallbackStart` and is open-ended.
+ * Holidays, exam weeks and cancelled or rescheduled days falling on the class
+ * weekday are excluded; classes moved to another date are added back there.
+ *
+ * @param {string} dayOfWeek               - e.g. 'Monday'
+ * @param {{ term: object|null, exceptions: object[] }} calendar
+ * @param {string} fallbackStart           - 'YYYY-MM-DD', used when there is no term
+ * @returns {{ firstDate: string, untilDate: string|null, excludedDates: string[], extraDates: string[] }}
+ */
+const getWeeklyRecurrence = (dayOfWeek, { term, exceptions = [] } = {}, fallbackStart) => {
+  let firstDate = fallbackStart;
+  if (term) {
+    firstDate = term.start_date;
+    while (dayOfWeekFor(firstDate) !== dayOfWeek && firstDate <= term.end_date) {
+      firstDate = addDays(firstDate, 1);
+    }
+  }
+  const untilDate = term ? term.end_date : null;
+  const inRange = (date) => date >= firstDate && (!untilDate || date <= untilDate);
+
+  const excluded = new Set();
+  const extra = new Set();
+  exceptions.forEach(exception => {
+    for (let date = exception.start_date; date <= exception.end_date; date = addDays(date, 1)) {
+      if (dayOfWeekFor(date) === dayOfWeek && inRange(date)) excluded.add(date);
+    }
+    if (exception.exception_type === 'rescheduled' && exception.rescheduled_to &&
+        dayOfWeekFor(exception.start_date) === dayOfWeek && inRange(exception.start_date)) {
+      extra.add(exception.rescheduled_to);
+    }
+  });
+
+  return {
+    firstDate,
+    untilDate,
+    excludedDates: [...excluded].sort(),
+    extraDates: [...extra].filter(date => !excluded.has(date)).sort()
+  };
+};
+
+module.exports = {
+  findTerms,
+  findTerm,
+  upsertTerm,
+  deleteTerm,
+  findExceptions,
+  findExceptionById,
+  createException,
+  updateException,
+  deleteException,
+  getCalendar,
+  getWeeklyRecurrence
+};
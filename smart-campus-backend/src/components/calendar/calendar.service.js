@@ -1,19 +1,10 @@
 const { google } = require('googleapis');
 const { query } = require('../../config/db');
 const { logger } = require('../../config/db');
-
-// ─── Period → wall-clock time mapping ────────────────────────────────────────
-// Adjust these to match your institution's actual schedule.
-const PERIOD_TIMES = {
-  1: { start: '08:00', end: '08:55' },
-  2: { start: '09:00', end: '09:55' },
-  3: { start: '10:00', end: '10:55' },
-  4: { start: '11:00', end: '11:55' }, // lunch break handled in timetable
-  5: { start: '12:00', end: '12:55' },
-  6: { start: '13:00', end: '13:55' },
-  7: { start: '14:00', end: '14:55' },
-  8: { start: '15:00', end: '15:55' },
-};
+const { PUBLISHED_VERSION_JOIN } = require('../timetable/timetable.read.service');
+const { getPeriodTimes } = require('../timetable/timetable.periods');
+const settingsService = require('../settings/settings.service');
+const academicCalendarService = require('../academic-calendar/academic.calendar.service');
 
 // Maps day name → RFC 5545 BYDAY value used by Google Calendar recurring rules
 const DAY_TO_RRULE = {
@@ -26,6 +17,8 @@ const DAY_TO_RRULE = {
   Sunday: 'SU',
 };
 
+const TIME_ZONE = 'Asia/Kolkata';
+
 // Maps day name → ISO weekday number (0 = Sunday … 6 = Saturday)
 const DAY_TO_ISO_WEEKDAY = {
   Sunday: 0,
@@ -136,7 +129,7 @@ const getAuthorizedClient = async (userId) => {
 };
 
 /**
- * Fetch the timetable slots for a group from the DB.
+ * Fetch the published timetable slots for a group from the DB.
  */
 const fetchTimetableSlots = async (groupId, academicYear, semesterType) => {
   const result = await query(
@@ -153,6 +146,7 @@ const fetchTimetableSlots = async (groupId, academicYear, semesterType) => {
         ts.academic_year,
         ts.semester_type
       FROM timetable_slots ts
+      ${PUBLISHED_VERSION_JOIN}
       JOIN subjects       s  ON ts.subject_id = s.id
       JOIN teachers       t  ON ts.teacher_id = t.id
       JOIN rooms          r  ON ts.room_id    = r.id
@@ -167,35 +161,69 @@ const fetchTimetableSlots = async (groupId, academicYear, semesterType) => {
 };
 
 /**
- * Given a day name and a wall-clock time string ("HH:MM"),
- * find the next upcoming occurrence of that weekday and return an ISO 8601 datetime.
- *
- * Google Calendar requires the first occurrence's datetime as the event start.
+ * Next upcoming occurrence of a weekday as 'YYYY-MM-DD' (at least 1 day ahead).
+ * Used as the first class when the semester has no term dates.
  */
-const nextWeekdayDatetime = (dayName, timeStr) => {
+const nextWeekdayDate = (dayName) => {
   const now = new Date();
   const targetDay = DAY_TO_ISO_WEEKDAY[dayName];
-  const diff = (targetDay - now.getDay() + 7) % 7 || 7; // at least 1 day ahead
+  const diff = (targetDay - now.getDay() + 7) % 7 || 7;
   const date = new Date(now);
   date.setDate(now.getDate() + diff);
 
-  const [hours, minutes] = timeStr.split(':').map(Number);
-  date.setHours(hours, minutes, 0, 0);
-  return date.toISOString();
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
 };
 
+// 'YYYY-MM-DD' + 'HH:MM' → '20260907T090000' (local to the event time zone)
+const toRecurrenceDatetime = (date, timeStr) =>
+  `${date.replace(/-/g, '')}T${timeStr.replace(':', '')}00`;
+
 /**
- * Translate a single timetable slot into a Google Calendar Event object.
+ * Google recurrence lines for a slot: weekly until the term ends (or 20 weeks
+ * without term dates), minus holidays, exam weeks and cancelled days, plus
+ * any make-up dates for rescheduled days.
  */
-const slotToCalendarEvent = (slot) => {
-  const times = PERIOD_TIMES[slot.period_number];
-  if (!times) return null; // unknown period — skip
+const buildRecurrence = (rruleDay, recurrence, startTime) => {
+  const lines = [
+    recurrence.untilDate
+      ? `RRULE:FREQ=WEEKLY;BYDAY=${rruleDay};UNTIL=${recurrence.untilDate.replace(/-/g, '')}T235959Z`
+      : `RRULE:FREQ=WEEKLY;BYDAY=${rruleDay};COUNT=20`,
+  ];
+  const atStart = (date) => toRecurrenceDatetime(date, startTime);
+
+  if (recurrence.excludedDates.length > 0) {
+    lines.push(`EXDATE;TZID=${TIME_ZONE}:${recurrence.excludedDates.map(atStart).join(',')}`);
+  }
+  if (recurrence.extraDates.length > 0) {
+    lines.push(`RDATE;TZID=${TIME_ZONE}:${recurrence.extraDates.map(atStart).join(',')}`);
+  }
+  return lines;
+};
+
+/**
+ * Translate a single timetable slot into a Google Calendar Event object,
+ * timed by the configured bell schedule and bounded by the academic calendar.
+ */
+const slotToCalendarEvent = (slot, bellSchedule, academicCalendar = {}) => {
+  const times = getPeriodTimes(bellSchedule, slot.period_number);
+  if (!times) return null; // period not in the bell schedule — skip
+
+  const recurrence = academicCalendarService.getWeeklyRecurrence(
+    slot.day_of_week,
+    academicCalendar,
+    nextWeekdayDate(slot.day_of_week)
+  );
+  if (recurrence.untilDate && recurrence.firstDate > recurrence.untilDate) return null; // no class this term
 
   const isLab = slot.course_type === 'Lab' || slot.course_type === 'Practical';
   const emoji = isLab ? '🧪' : '📚';
 
-  const startDatetime = nextWeekdayDatetime(slot.day_of_week, times.start);
-  const endDatetime   = nextWeekdayDatetime(slot.day_of_week, times.end);
+  const startDatetime = `${recurrence.firstDate}T${times.start}:00`;
+  const endDatetime   = `${recurrence.firstDate}T${times.end}:00`;
 
   const rruleDay = DAY_TO_RRULE[slot.day_of_week];
 
@@ -213,10 +241,9 @@ const slotToCalendarEvent = (slot) => {
       'Synced via Smart Campus Portal 🎓',
     ].join('\n'),
     location: slot.room_name,
-    start: { dateTime: startDatetime, timeZone: 'Asia/Kolkata' },
-    end:   { dateTime: endDatetime,   timeZone: 'Asia/Kolkata' },
-    // Weekly recurring rule — ends after the academic semester (approx 20 weeks)
-    recurrence: [`RRULE:FREQ=WEEKLY;BYDAY=${rruleDay};COUNT=20`],
+    start: { dateTime: startDatetime, timeZone: TIME_ZONE },
+    end:   { dateTime: endDatetime,   timeZone: TIME_ZONE },
+    recurrence: buildRecurrence(rruleDay, recurrence, times.start),
     reminders: {
       useDefault: false,
       overrides: [
@@ -248,12 +275,14 @@ const syncTimetableToCalendar = async ({ userId, groupId, academicYear, semester
   }
 
   const calendar = google.calendar({ version: 'v3', auth: authClient });
+  const bellSchedule = await settingsService.getBellSchedule();
+  const academicCalendar = await academicCalendarService.getCalendar({ academicYear, semesterType });
 
   let eventsCreated = 0;
   let eventsSkipped = 0;
 
   for (const slot of slots) {
-    const event = slotToCalendarEvent(slot);
+    const event = slotToCalendarEvent(slot, bellSchedule, academicCalendar);
     if (!event) { eventsSkipped++; continue; }
 
     try {
@@ -338,6 +367,7 @@ module.exports = {
   getAuthUrl,
   handleOAuthCallback,
   getAuthorizedClient,
+  slotToCalendarEvent,
   syncTimetableToCalendar,
   getCalendarStatus,
   disconnectCalendar,
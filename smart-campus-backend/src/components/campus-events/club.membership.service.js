@@ -0,0 +1,205 @@
+const { query } = require('../../config/db');
+
+const CLUB_ROLES = ['president', 'coordinator', 'member'];
+
+// Roles that may manage members and the club's events
+const MANAGER_ROLES = ['president', 'coordinator'];
+
+// Active members only; pending requests are not counted
+const MEMBER_COUNT_SQL = `(
+  SELECT COUNT(*)::int FROM club_members cm WHERE cm.club_id = c.id AND cm.status = 'active'
+) AS member_count`;
+
+/**
+ * @returns {Promise<object|null>} club_members row
+ */
+const findMembership = async (clubId, userId) => {
+  const result = await query(
+    'SELECT * FROM club_members WHERE club_id = $1 AND user_id = $2',
+    [clubId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Whether the user may manage the club: platform admins, or the club's
+ * active president or coordinators.
+ */
+const managesClub = async (user, clubId) => {
+  if (user.role === 'admin') return true;
+
+  const membership = await findMembership(clubId, user.id);
+  return Boolean(membership && membership.status === 'active' && MANAGER_ROLES.includes(membership.role));
+};
+
+/**
+ * Whether the user may manage at least one club: platform admins, or an
+ * active president or coordinator of any club.
+ */
+const managesAnyClub = async (user) => {
+  if (user.role === 'admin') return true;
+
+  const result = await query(
+    'SELECT 1 FROM club_members WHERE user_id = $1 AND status = \'active\' AND role = ANY($2) LIMIT 1',
+    [user.id, MANAGER_ROLES]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Create a pending join request.
+ *
+ * @returns {Promise<object|null>} The request, or null if the user already has one or is a member
+ */
+const requestToJoin = async (clubId, userId) => {
+  const result = await query(
+    `
+      INSERT INTO club_members (club_id, user_id)
+      VALUES ($1, $2)
+      ON CONFLICT (club_id, user_id) DO NOTHING
+      RETURNING *
+    `,
+    [clubId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Approve a pending request.
+ *
+ * @returns {Promise<object|null>} null when there was no pending request
+ */
+const approveRequest = async (clubId, userId, decidedBy) => {
+  const result = await query(
+    `
+      UPDATE club_members
+      SET status = 'active', joined_at = NOW(), decided_by = $3
+      WHERE club_id = $1 AND user_id = $2 AND status = 'pending'
+      RETURNING *
+    `,
+    [clubId, userId, decidedBy]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Remove a member, or reject or withdraw a pending request.
+ */
+const removeMembership = async (clubId, userId) => {
+  const result = await query(
+    'DELETE FROM club_members WHERE club_id = $1 AND user_id = $2 RETURNING *',
+    [clubId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @returns {Promise<object|null>} null when the user is not an active member
+ */
+const setRole = async (clubId, userId, role) => {
+  const result = await query(
+    `
+      UPDATE club_members SET role = $3
+      WHERE club_id = $1 AND user_id = $2 AND status = 'active'
+      RETURNING *
+    `,
+    [clubId, userId, role]
+  );
+  return result.rows[0] || null;
+};
+
+const countPresidents = async (clubId) => {
+  const result = await query(
+    "SELECT COUNT(*)::int AS count FROM club_members WHERE club_id = $1 AND role = 'president' AND status = 'active'",
+    [clubId]
+  );
+  return result.rows[0].count;
+};
+
+/**
+ * Members or pending requests of a club. Members are listed by rank then
+ * name, requests oldest first.
+ *
+ * @param {number} clubId
+ * @param {'active'|'pending'} status
+ */
+const findMembers = async (clubId, status) => {
+  const orderBy = status === 'active'
+    ? "CASE m.role WHEN 'president' THEN 0 WHEN 'coordinator' THEN 1 ELSE 2 END, u.full_name ASC"
+    : 'm.requested_at ASC';
+
+  const result = await query(
+    `
+      SELECT m.id, m.user_id, m.role, m.status, m.requested_at, m.joined_at,
+             u.full_name, u.email, u.department
+      FROM club_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.club_id = $1 AND m.status = $2
+      ORDER BY ${orderBy}
+    `,
+    [clubId, status]
+  );
+  return result.rows;
+};
+
+/**
+ * Clubs the user belongs to or has asked to join.
+ */
+const findUserClubs = async (userId) => {
+  const result = await query(
+    `
+      SELECT c.*, ${MEMBER_COUNT_SQL},
+             m.role AS my_role, m.status AS my_status, m.requested_at, m.joined_at
+      FROM club_members m
+      JOIN clubs c ON c.id = m.club_id
+      WHERE m.user_id = $1 AND c.deleted_at IS NULL
+      ORDER BY m.status ASC, c.name ASC
+    `,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * Active presidents and coordinators, for join-request notifications.
+ */
+const findManagers = async (clubId) => {
+  const result = await query(
+    `
+      SELECT u.id, u.email
+      FROM club_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.club_id = $1 AND m.status = 'active' AND m.role = ANY($2)
+    `,
+    [clubId, MANAGER_ROLES]
+  );
+  return result.rows;
+};
+
+/**
+ * Club of an event, for event permission checks.
+ *
+ * @returns {Promise<number|null>}
+ */
+const findEventClubId = async (eventId) => {
+  const result = await query('SELECT club_id FROM events WHERE id = $1 AND deleted_at IS NULL', [eventId]);
+  return result.rows[0]?.club_id ?? null;
+};
+
+module.exports = {
+  CLUB_ROLES,
+  MANAGER_ROLES,
+  MEMBER_COUNT_SQL,
+  findMembership,
+  managesClub,
+  managesAnyClub,
+  requestToJoin,
+  approveRequest,
+  removeMembership,
+  setRole,
+  countPresidents,
+  findMembers,
+  findUserClubs,
+  findManagers,
+  findEventClubId
+};
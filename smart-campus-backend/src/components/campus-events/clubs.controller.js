@@ -2,12 +2,38 @@ const { sendSuccess } = require('../../utils/response');
 const { query } = require('../../config/db');
 const { asyncHandler, ApiError } = require('../../middleware/errorHandler');
 const { logger } = require('../../config/db');
+const notificationService = require('../../services/notification.service');
+const membershipService = require('./club.membership.service');
+const feedbackService = require('./event.feedback.service');
 
 /**
  * Clubs Controller
  * Handles all club-related HTTP requests
  */
 
+const parseClubId = (id) => {
+  const clubId = parseInt(id);
+  if (isNaN(clubId) || clubId < 1) {
+    throw new ApiError(400, 'Invalid club ID');
+  }
+  return clubId;
+};
+
+const findActiveClub = async (clubId) => {
+  const result = await query('SELECT id, name FROM clubs WHERE id = $1 AND deleted_at IS NULL', [clubId]);
+  if (result.rows.length === 0) {
+    throw new ApiError(404, 'Club not found');
+  }
+  return result.rows[0];
+};
+
+// Officer changes are reserved for the club president
+const isPresidentOrAdmin = async (user, clubId) => {
+  if (user.role === 'admin') return true;
+  const membership = await membershipService.findMembership(clubId, user.id);
+  return Boolean(membership && membership.status === 'active' && membership.role === 'president');
+};
+
 /**
  * Create a new club (Admin only)
  * POST /api/clubs
@@ -76,23 +102,31 @@ const getAllClubs = asyncHandler(async (req, res) => {
   };
   const safeSortField = sortFieldMap[sortField] || 'name';
 
-  let sql = 'SELECT *, COUNT(*) OVER() as total_count FROM clubs WHERE deleted_at IS NULL';
-  const values = [];
-  let paramCounter = 1;
+  // The caller's own membership is bound to $1 (null when signed out)
+  let sql = `
+    SELECT c.*, ${membershipService.MEMBER_COUNT_SQL},
+           m.role AS my_role, m.status AS my_status,
+           COUNT(*) OVER() as total_count
+    FROM clubs c
+    LEFT JOIN club_members m ON m.club_id = c.id AND m.user_id = $1
+    WHERE c.deleted_at IS NULL
+  `;
+  const values = [req.user ? req.user.id : null];
+  let paramCounter = 2;
 
   if (category) {
-    sql += ` AND category = $${paramCounter}`;
+    sql += ` AND c.category = $${paramCounter}`;
     values.push(category);
     paramCounter++;
   }
 
   if (search) {
-    sql += ` AND (name ILIKE $${paramCounter} OR description ILIKE $${paramCounter})`;
+    sql += ` AND (c.name ILIKE $${paramCounter} OR c.description ILIKE $${paramCounter})`;
     values.push(`%${search}%`);
     paramCounter++;
   }
 
-  sql += ` ORDER BY ${safeSortField} ${sortOrder}`;
+  sql += ` ORDER BY c.${safeSortField} ${sortOrder}`;
   sql += ` LIMIT $${paramCounter} OFFSET $${paramCounter + 1}`;
   values.push(limitNum, offset);
 
@@ -112,7 +146,7 @@ const getAllClubs = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get single club by ID with its events
+ * Get single club by ID with its events and average event rating
  * GET /api/clubs/:id
  * Public route
  */
@@ -125,7 +159,11 @@ const getClubById = asyncHandler(async (req, res) => {
   }
 
   // Get club details
-  const clubResult = await query('SELECT * FROM clubs WHERE id = $1 AND deleted_at IS NULL', [clubId]);
+  const clubResult = await query(
+    `SELECT c.*, ${membershipService.MEMBER_COUNT_SQL}, ${feedbackService.CLUB_RATING_SQL}
+     FROM clubs c WHERE c.id = $1 AND c.deleted_at IS NULL`,
+    [clubId]
+  );
 
   if (clubResult.rows.length === 0) {
     throw new ApiError(404, 'Club not found');
@@ -133,13 +171,16 @@ const getClubById = asyncHandler(async (req, res) => {
 
   // Get club's events
   const eventsResult = await query(
-    'SELECT * FROM events WHERE club_id = $1 AND deleted_at IS NULL ORDER BY start_time DESC',
+    "SELECT * FROM events WHERE club_id = $1 AND deleted_at IS NULL AND status = 'approved' ORDER BY start_time DESC",
     [clubId],
   );
 
+  const membership = req.user ? await membershipService.findMembership(clubId, req.user.id) : null;
+
   sendSuccess(res, 200, 'Club fetched successfully', {
     club: clubResult.rows[0],
     events: eventsResult.rows,
+    membership,
   });
 });
 
@@ -206,10 +247,178 @@ const deleteClub = asyncHandler(async (req, res) => {
   sendSuccess(res, 200, 'Club deleted successfully');
 });
 
+/**
+ * Clubs the current user belongs to or has asked to join (Protected)
+ * GET /api/clubs/my
+ */
+const getMyClubs = asyncHandler(async (req, res) => {
+  const clubs = await membershipService.findUserClubs(req.user.id);
+
+  sendSuccess(res, 200, 'Your clubs fetched successfully', { clubs });
+});
+
+/**
+ * Ask to join a club; the club's president or coordinators approve (Protected)
+ * POST /api/clubs/:id/join
+ */
+const requestToJoinClub = asyncHandler(async (req, res) => {
+  const clubId = parseClubId(req.params.id);
+  const club = await findActiveClub(clubId);
+
+  const membership = await membershipService.requestToJoin(clubId, req.user.id);
+  if (!membership) {
+    throw new ApiError(409, 'You are already a member or have a pending request for this club');
+  }
+
+  logger.info('Club join requested', { clubId, userId: req.user.id });
+
+  const managers = await membershipService.findManagers(clubId);
+  await notificationService.createNotificationsForUsers({
+    users: managers,
+    eventType: 'CLUB_JOIN_REQUESTED',
+    title: 'New Club Join Request',
+    message: `Someone has asked to join ${club.name}`,
+    metadata: { clubId, userId: req.user.id },
+  });
+
+  sendSuccess(res, 201, 'Join request sent', { membership });
+});
+
+/**
+ * Leave a club or withdraw a pending request (Protected)
+ * DELETE /api/clubs/:id/membership
+ */
+const leaveClub = asyncHandler(async (req, res) => {
+  const clubId = parseClubId(req.params.id);
+
+  const membership = await membershipService.findMembership(clubId, req.user.id);
+  if (!membership) {
+    throw new ApiError(404, 'You are not a member of this club');
+  }
+  if (membership.role === 'president' && await membershipService.countPresidents(clubId) <= 1) {
+    throw new ApiError(400, 'Hand the presidency to another member before leaving');
+  }
+
+  await membershipService.removeMembership(clubId, req.user.id);
+
+  logger.info('Club membership removed', { clubId, userId: req.user.id, status: membership.status });
+
+  sendSuccess(res, 200, membership.status === 'pending' ? 'Join request withdrawn' : 'You have left the club');
+});
+
+/**
+ * Active members, or pending requests with ?status=pending (Protected)
+ * GET /api/clubs/:id/members
+ * Pending requests are visible to the club's president, coordinators and admins.
+ */
+const getClubMembers = asyncHandler(async (req, res) => {
+  const clubId = parseClubId(req.params.id);
+  const status = req.query.status || 'active';
+  await findActiveClub(clubId);
+
+  if (status === 'pending' && !(await membershipService.managesClub(req.user, clubId))) {
+    throw new ApiError(403, 'Only club presidents and coordinators can view join requests');
+  }
+
+  const members = await membershipService.findMembers(clubId, status);
+
+  sendSuccess(res, 200, 'Club members fetched successfully', { members, count: members.length });
+});
+
+/**
+ * Approve a join request (Club president/coordinator or admin)
+ * POST /api/clubs/:id/members/:userId/approve
+ */
+const approveMember = asyncHandler(async (req, res) => {
+  const clubId = parseClubId(req.params.id);
+  const userId = req.params.userId;
+  const club = await findActiveClub(clubId);
+
+  const membership = await membershipService.approveRequest(clubId, userId, req.user.id);
+  if (!membership) {
+    throw new ApiError(404, 'No pending join request from this user');
+  }
+
+  logger.info('Club join request approved', { clubId, userId, approvedBy: req.user.id });
+
+  await notificationService.createNotificationsForUsers({
+    users: [{ id: userId }],
+    eventType: 'CLUB_JOIN_APPROVED',
+    title: 'Club Request Approved',
+    message: `You are now a member of ${club.name}`,
+    metadata: { clubId },
+  });
+
+  sendSuccess(res, 200, 'Member approved', { membership });
+});
+
+/**
+ * Reject a join request or remove a member (Club president/coordinator or admin)
+ * DELETE /api/clubs/:id/members/:userId
+ * Only a president or admin can remove another president or a coordinator.
+ */
+const removeMember = asyncHandler(async (req, res) => {
+  const clubId = parseClubId(req.params.id);
+  const userId = req.params.userId;
+
+  const membership = await membershipService.findMembership(clubId, userId);
+  if (!membership) {
+    throw new ApiError(404, 'This user is not a member of the club');
+  }
+  if (membership.role !== 'member' && !(await isPresidentOrAdmin(req.user, clubId))) {
+    throw new ApiError(403, 'Only the club president can remove officers');
+  }
+  if (membership.role === 'president' && await membershipService.countPresidents(clubId) <= 1) {
+    throw new ApiError(400, 'A club needs a president; appoint another one first');
+  }
+
+  await membershipService.removeMembership(clubId, userId);
+
+  logger.info('Club member removed', { clubId, userId, removedBy: req.user.id, status: membership.status });
+
+  sendSuccess(res, 200, membership.status === 'pending' ? 'Join request rejected' : 'Member removed');
+});
+
+/**
+ * Change a member's club role (Club president or admin)
+ * PUT /api/clubs/:id/members/:userId/role
+ */
+const updateMemberRole = asyncHandler(async (req, res) => {
+  const clubId = parseClubId(req.params.id);
+  const userId = req.params.userId;
+  const { role } = req.body;
+  await findActiveClub(clubId);
+
+  if (!(await isPresidentOrAdmin(req.user, clubId))) {
+    throw new ApiError(403, 'Only the club president can change roles');
+  }
+
+  const current = await membershipService.findMembership(clubId, userId);
+  if (!current || current.status !== 'active') {
+    throw new ApiError(404, 'This user is not an active member of the club');
+  }
+  if (current.role === 'president' && role !== 'president' && await membershipService.countPresidents(clubId) <= 1) {
+    throw new ApiError(400, 'A club needs a president; appoint another one first');
+  }
+
+  const membership = await membershipService.setRole(clubId, userId, role);
+
+  logger.info('Club role changed', { clubId, userId, role, changedBy: req.user.id });
+
+  sendSuccess(res, 200, 'Member role updated', { membership });
+});
+
 module.exports = {
   createClub,
   getAllClubs,
   getClubById,
   updateClub,
   deleteClub,
+  getMyClubs,
+  requestToJoinClub,
+  leaveClub,
+  getClubMembers,
+  approveMember,
+  removeMember,
+  updateMemberRole,
 };
@@ -1,17 +1,34 @@
 const express = require('express');
 const router = express.Router();
 const clubsController = require('./clubs.controller');
-const { verifyToken, verifyAdmin } = require('../../middleware/auth.middleware');
+const { verifyToken, verifyAdmin, optionalAuth } = require('../../middleware/auth.middleware');
+const { verifyClubManager } = require('../../middleware/clubRole.middleware');
 const { validate, validationSchemas } = require('../../middleware/validation');
 
+const paramClub = async (req) => [req.params.id];
+
 /**
  * Clubs Routes
  * Base path: /api/clubs
  */
 
-// Public routes
-router.get('/', validate(validationSchemas.clubQuery, 'query'), clubsController.getAllClubs);
-router.get('/:id', validate(validationSchemas.idParam, 'params'), clubsController.getClubById);
+// Public routes (signed-in callers also get their own membership)
+router.get('/', optionalAuth, validate(validationSchemas.clubQuery, 'query'), clubsController.getAllClubs);
+
+// Protected routes — must be declared BEFORE /:id to avoid route shadowing
+router.get('/my', verifyToken, clubsController.getMyClubs);
+
+router.get('/:id', optionalAuth, validate(validationSchemas.idParam, 'params'), clubsController.getClubById);
+
+// Membership routes
+router.post('/:id/join', verifyToken, validate(validationSchemas.idParam, 'params'), clubsController.requestToJoinClub);
+router.delete('/:id/membership', verifyToken, validate(validationSchemas.idParam, 'params'), clubsController.leaveClub);
+router.get('/:id/members', verifyToken, validate(validationSchemas.idParam, 'params'), validate(validationSchemas.clubMemberQuery, 'query'), clubsController.getClubMembers);
+
+// Club president/coordinator routes (admins too)
+router.post('/:id/members/:userId/approve', verifyToken, validate(validationSchemas.clubMemberParams, 'params'), verifyClubManager(paramClub), clubsController.approveMember);
+router.delete('/:id/members/:userId', verifyToken, validate(validationSchemas.clubMemberParams, 'params'), verifyClubManager(paramClub), clubsController.removeMember);
+router.put('/:id/members/:userId/role', verifyToken, validate(validationSchemas.clubMemberParams, 'params'), verifyClubManager(paramClub), validate(validationSchemas.clubMemberRole), clubsController.updateMemberRole);
 
 // Admin-only routes
 router.post('/', verifyToken, verifyAdmin, validate(validationSchemas.createClub), clubsController.createClub);
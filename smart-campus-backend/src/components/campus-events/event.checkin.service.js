@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const { query } = require('../../config/db');
+const { ApiError } = require('../../middleware/errorHandler');
+const occurrenceService = require('./event.occurrence.service');
+const { MAX_WINDOW_DAYS, isOccurrence } = require('./event.recurrence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getCheckInSecret = () => {
+  const secret = process.env.CHECK_IN_TOKEN_SECRET || process.env.JWT_SECRET;
+  if (secret) {
+    return secret;
+  }
+
+  if (process.env.NODE_ENV === 'test') {
+    return 'test-check-in-secret';
+  }
+
+  throw new Error('CHECK_IN_TOKEN_SECRET is not configured');
+};
+
+// Domain-separated so a check-in signature can never double as anything else
+const sign = (payload) =>
+  crypto
+    .createHmac('sha256', getCheckInSecret())
+    .update(`event-check-in:${payload}`)
+    .digest('base64url');
+
+/**
+ * Build the token encoded in a confirmed RSVP's QR code. A pass for a
+ * recurring series is only good for one occurrence.
+ * Format: <rsvpId>.<eventId>[.<occurrence start, epoch ms>].<signature>
+ */
+const createToken = (rsvp, occurrenceStart = null) => {
+  const payload = occurrenceStart
+    ? `${rsvp.id}.${rsvp.event_id}.${new Date(occurrenceStart).getTime()}`
+    : `${rsvp.id}.${rsvp.event_id}`;
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verify a scanned token's signature.
+ *
+ * @returns {{ rsvpId: number, eventId: number, occurrenceStart: string|null } | null}
+ *   null when tampered or malformed
+ */
+const parseToken = (token) => {
+  const match = /^((\d+)\.(\d+)(?:\.(\d+))?)\.([\w-]+)$/.exec(String(token).trim());
+  if (!match) return null;
+
+  const expected = Buffer.from(sign(match[1]));
+  const actual = Buffer.from(match[5]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return {
+    rsvpId: parseInt(match[2]),
+    eventId: parseInt(match[3]),
+    occurrenceStart: match[4] ? new Date(Number(match[4])).toISOString() : null
+  };
+};
+
+/**
+ * Occurrences of a series within MAX_WINDOW_DAYS either side of `now`, in
+ * start order, without cancelled ones.
+ */
+const expandAroundNow = (event, overrides, now) =>
+  occurrenceService
+    .expandEvents(
+      [event],
+      overrides,
+      new Date(now.getTime() - MAX_WINDOW_DAYS * DAY_MS),
+      new Date(now.getTime() + MAX_WINDOW_DAYS * DAY_MS)
+    )
+    .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+
+/**
+ * The occurrence of a series a pass, check-in or attendance report is for.
+ * Without a requested start it defaults to the occurrence in progress or
+ * next up (`'next'`), or to the latest one that has started (`'latest'`).
+ *
+ * @param {object} event - events row with id, start_time, end_time and recurrence_rule
+ * @param {string|Date|null} requestedStart - original occurrence start
+ * @param {{ prefer?: 'next'|'latest', now?: Date }} [options]
+ * @returns {Promise<object>} The occurrence, as expanded by occurrenceService.expandEvents
+ */
+const resolveOccurrence = async (event, requestedStart, { prefer = 'next', now = new Date() } = {}) => {
+  const overrides = await occurrenceService.findOverrides([event.id]);
+
+  if (requestedStart) {
+    const start = new Date(requestedStart);
+    if (!isOccurrence(event, start)) {
+      throw new ApiError(400, 'occurrence_start does not match an occurrence of this event');
+    }
+
+    // An edited occurrence may have moved up to RESCHEDULE_SLACK_MS away
+    const occurrence = occurrenceService
+      .expandEvents(
+        [event],
+        overrides,
+        new Date(start.getTime() - occurrenceService.RESCHEDULE_SLACK_MS),
+        new Date(start.getTime() + occurrenceService.RESCHEDULE_SLACK_MS + 1)
+      )
+      .find(candidate => candidate.occurrence_start === start.toISOString());
+    if (!occurrence) {
+      throw new ApiError(400, 'This occurrence was cancelled');
+    }
+    return occurrence;
+  }
+
+  const occurrences = expandAroundNow(event, overrides, now);
+  const started = occurrences.filter(occurrence => new Date(occurrence.start_time) <= now);
+  const occurrence = prefer === 'latest' && started.length > 0
+    ? started[started.length - 1]
+    : occurrences.find(candidate => new Date(candidate.end_time) > now);
+  if (!occurrence) {
+    throw new ApiError(400, 'This event has no upcoming occurrences');
+  }
+  return occurrence;
+};
+
+/**
+ * Mark an RSVP as attended. Only the first scan counts: per RSVP for a
+ * one-off event, per RSVP and occurrence for a series. A series also keeps
+ * its first check-in on the RSVP, so "attended" means at least one meeting.
+ *
+ * @param {number} rsvpId
+ * @param {number} checkedInBy
+ * @param {string|null} [occurrenceStart] - original occurrence start, for a series
+ * @returns {Promise<object|null>} Updated RSVP with attendee details, or
+ *   null when it was already checked in
+ */
+const markCheckedIn = async (rsvpId, checkedInBy, occurrenceStart = null) => {
+  if (occurrenceStart) {
+    const result = await query(
+      `
+        WITH checked_in AS (
+          INSERT INTO event_occurrence_check_ins (rsvp_id, occurrence_start, checked_in_by)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (rsvp_id, occurrence_start) DO NOTHING
+          RETURNING rsvp_id, occurrence_start, checked_in_at
+        ), first_check_in AS (
+          UPDATE event_rsvps
+          SET checked_in_at = COALESCE(checked_in_at, CURRENT_TIMESTAMP),
+              checked_in_by = COALESCE(checked_in_by, $3),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id IN (SELECT rsvp_id FROM checked_in)
+        )
+        SELECT r.id, r.user_id, r.event_id, r.status, c.occurrence_start, c.checked_in_at,
+               u.full_name, u.email, u.department
+        FROM checked_in c
+        JOIN event_rsvps r ON r.id = c.rsvp_id
+        JOIN users u ON r.user_id = u.id
+      `,
+      [rsvpId, occurrenceStart, checkedInBy]
+    );
+    return result.rows[0] || null;
+  }
+
+  const result = await query(
+    `
+      WITH checked_in AS (
+        UPDATE event_rsvps
+        SET checked_in_at = CURRENT_TIMESTAMP, checked_in_by = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND checked_in_at IS NULL
+        RETURNING id, user_id, event_id, status, checked_in_at
+      )
+      SELECT c.*, u.full_name, u.email, u.department
+      FROM checked_in c
+      JOIN users u ON c.user_id = u.id
+    `,
+    [rsvpId, checkedInBy]
+  );
+  return result.rows[0] || null;
+};
+
+const findRsvpWithUser = async (rsvpId) => {
+  const result = await query(
+    `
+      SELECT r.id, r.user_id, r.event_id, r.status, r.checked_in_at, u.full_name, u.email,
+             e.start_time, e.end_time, e.recurrence_rule
+      FROM event_rsvps r
+      JOIN users u ON r.user_id = u.id
+      JOIN events e ON r.event_id = e.id
+      WHERE r.id = $1
+    `,
+    [rsvpId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * When the RSVP was checked in to one occurrence of a series.
+ *
+ * @returns {Promise<string|null>}
+ */
+const findOccurrenceCheckIn = async (rsvpId, occurrenceStart) => {
+  const result = await query(
+    'SELECT checked_in_at FROM event_occurrence_check_ins WHERE rsvp_id = $1 AND occurrence_start = $2',
+    [rsvpId, occurrenceStart]
+  );
+  return result.rows[0]?.checked_in_at || null;
+};
+
+// Check-ins per occurrence of a series, keyed by the original start (ISO string)
+const countOccurrenceCheckIns = async (eventId) => {
+  const result = await query(
+    `
+      SELECT oc.occurrence_start, COUNT(*)::int AS checked_in
+      FROM event_occurrence_check_ins oc
+      JOIN event_rsvps r ON r.id = oc.rsvp_id
+      WHERE r.event_id = $1 AND r.status = 'confirmed'
+      GROUP BY oc.occurrence_start
+    `,
+    [eventId]
+  );
+  return new Map(result.rows.map(row => [new Date(row.occurrence_start).toISOString(), row.checked_in]));
+};
+
+/**
+ * Check-in counts for the occurrences of a series that have started, plus
+ * the next one, so organisers can pick which meeting to report on.
+ *
+ * @returns {Promise<{ occurrence_start: string, start_time: string, end_time: string, checked_in: number }[]>}
+ */
+const summariseOccurrences = async (event, now = new Date()) => {
+  const overrides = await occurrenceService.findOverrides([event.id]);
+  const occurrences = expandAroundNow(event, overrides, now);
+  const nextIndex = occurrences.findIndex(occurrence => new Date(occurrence.start_time) > now);
+  const listed = nextIndex === -1 ? occurrences : occurrences.slice(0, nextIndex + 1);
+  const checkIns = listed.length > 0 ? await countOccurrenceCheckIns(event.id) : new Map();
+
+  return listed.map(occurrence => ({
+    occurrence_start: occurrence.occurrence_start,
+    start_time: occurrence.start_time,
+    end_time: occurrence.end_time,
+    checked_in: checkIns.get(occurrence.occurrence_start) || 0
+  }));
+};
+
+/**
+ * Attendance for confirmed RSVPs, for a one-off event or one occurrence of
+ * a series. No-shows only count once the event (or occurrence) has
+ * started; before that they are still expected.
+ *
+ * @param {object} event - events row
+ * @param {object|null} [occurrence] - expanded occurrence of a series
+ * @returns {Promise<{ summary: object, attendees: object[] }>}
+ */
+const getAttendanceReport = async (event, occurrence = null) => {
+  const result = occurrence
+    ? await query(
+      `
+        SELECT r.id, r.user_id, u.full_name, u.email, u.department, oc.checked_in_at
+        FROM event_rsvps r
+        JOIN users u ON r.user_id = u.id
+        LEFT JOIN event_occurrence_check_ins oc ON oc.rsvp_id = r.id AND oc.occurrence_start = $2
+        WHERE r.event_id = $1 AND r.status = 'confirmed'
+        ORDER BY oc.checked_in_at ASC NULLS LAST, u.full_name ASC
+      `,
+      [event.id, occurrence.occurrence_start]
+    )
+    : await query(
+      `
+        SELECT r.id, r.user_id, u.full_name, u.email, u.department, r.checked_in_at
+        FROM event_rsvps r
+        JOIN users u ON r.user_id = u.id
+        WHERE r.event_id = $1 AND r.status = 'confirmed'
+        ORDER BY r.checked_in_at ASC NULLS LAST, u.full_name ASC
+      `,
+      [event.id]
+    );
+
+  const confirmed = result.rows.length;
+  const checkedIn = result.rows.filter(rsvp => rsvp.checked_in_at).length;
+  const hasStarted = new Date((occurrence || event).start_time) <= new Date();
+  const noShows = hasStarted ? confirmed - checkedIn : 0;
+
+  return {
+    summary: {
+      confirmed,
+      checked_in: checkedIn,
+      no_shows: noShows,
+      attendance_rate: confirmed > 0 ? Math.round((checkedIn / confirmed) * 1000) / 10 : null,
+      no_show_rate: hasStarted && confirmed > 0 ? Math.round((noShows / confirmed) * 1000) / 10 : null,
+      has_started: hasStarted
+    },
+    attendees: result.rows
+  };
+};
+
+module.exports = {
+  createToken,
+  parseToken,
+  resolveOccurrence,
+  markCheckedIn,
+  findRsvpWithUser,
+  findOccurrenceCheckIn,
+  summariseOccurrences,
+  getAttendanceReport
+};
@@ -0,0 +1,157 @@
+const { query } = require('../../config/db');
+const occurrenceService = require('./event.occurrence.service');
+
+// Days after an event ends that attendees can rate it; override with EVENT_FEEDBACK_WINDOW_DAYS
+const DEFAULT_WINDOW_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Average rating across a club's events, for queries aliasing clubs as c
+const CLUB_RATING_SQL = `
+  (
+    SELECT ROUND(AVG(f.rating), 2)::float
+    FROM event_feedback f JOIN events e ON e.id = f.event_id
+    WHERE e.club_id = c.id AND e.deleted_at IS NULL
+  ) AS average_rating,
+  (
+    SELECT COUNT(*)::int
+    FROM event_feedback f JOIN events e ON e.id = f.event_id
+    WHERE e.club_id = c.id AND e.deleted_at IS NULL
+  ) AS rating_count
+`;
+
+const windowDays = () => {
+  const days = Number(process.env.EVENT_FEEDBACK_WINDOW_DAYS);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_WINDOW_DAYS;
+};
+
+/**
+ * When feedback on an event opens and closes. A recurring series is rated
+ * as a whole, with the window following its most recently ended occurrence.
+ *
+ * @param {object} event - events row with start_time, end_time and recurrence_rule
+ * @param {Date} [now]
+ * @returns {Promise<{ opens_at: string|null, closes_at: string|null, is_open: boolean }>}
+ *   opens_at is null for a series with no occurrence ended inside the window
+ */
+const getFeedbackWindow = async (event, now = new Date()) => {
+  let endedAt = new Date(event.end_time);
+
+  if (event.recurrence_rule) {
+    const overrides = await occurrenceService.findOverrides([event.id]);
+    const ended = occurrenceService
+      .expandEvents([event], overrides, new Date(now.getTime() - windowDays() * DAY_MS), now)
+      .map(occurrence => new Date(occurrence.end_time))
+      .filter(end => end <= now);
+    endedAt = ended.length > 0 ? new Date(Math.max(...ended)) : null;
+  }
+
+  if (!endedAt || endedAt > now) {
+    return { opens_at: endedAt && endedAt.toISOString(), closes_at: null, is_open: false };
+  }
+
+  const closesAt = new Date(endedAt.getTime() + windowDays() * DAY_MS);
+  return { opens_at: endedAt.toISOString(), closes_at: closesAt.toISOString(), is_open: now < closesAt };
+};
+
+/**
+ * The user's RSVP and whether the event tracked attendance at all. Once
+ * anyone has been checked in, only checked-in attendees count as attending.
+ *
+ * @returns {Promise<object|null>} { status, checked_in_at, attendance_tracked }
+ */
+const findAttendance = async (eventId, userId) => {
+  const result = await query(
+    `
+      SELECT r.status, r.checked_in_at,
+             EXISTS (
+               SELECT 1 FROM event_rsvps c WHERE c.event_id = r.event_id AND c.checked_in_at IS NOT NULL
+             ) AS attendance_tracked
+      FROM event_rsvps r
+      WHERE r.event_id = $1 AND r.user_id = $2
+    `,
+    [eventId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @returns {boolean} Whether the RSVP counts as having attended
+ */
+const hasAttended = (attendance) =>
+  Boolean(attendance) &&
+  attendance.status === 'confirmed' &&
+  (!attendance.attendance_tracked || Boolean(attendance.checked_in_at));
+
+/**
+ * @returns {Promise<object|null>} The user's event_feedback row
+ */
+const findFeedback = async (eventId, userId) => {
+  const result = await query(
+    'SELECT id, event_id, rating, comment, created_at, updated_at FROM event_feedback WHERE event_id = $1 AND user_id = $2',
+    [eventId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Create or replace the user's feedback on an event.
+ */
+const saveFeedback = async ({ eventId, userId, rating, comment }) => {
+  const result = await query(
+    `
+      INSERT INTO event_feedback (event_id, user_id, rating, comment)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (event_id, user_id)
+      DO UPDATE SET rating = EXCLUDED.rating, comment = EXCLUDED.comment, updated_at = CURRENT_TIMESTAMP
+      RETURNING id, event_id, rating, comment, created_at, updated_at
+    `,
+    [eventId, userId, rating, comment || null]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Aggregate rating and comments for organisers, newest first.
+ *
+ * @returns {Promise<{ summary: object, feedback: object[] }>}
+ */
+const getFeedbackReport = async (eventId) => {
+  const result = await query(
+    `
+      SELECT f.id, f.rating, f.comment, f.created_at, f.updated_at, u.full_name
+      FROM event_feedback f
+      JOIN users u ON u.id = f.user_id
+      WHERE f.event_id = $1
+      ORDER BY f.created_at DESC
+    `,
+    [eventId]
+  );
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  for (const { rating } of result.rows) {
+    distribution[rating] += 1;
+    total += rating;
+  }
+  const count = result.rows.length;
+
+  return {
+    summary: {
+      count,
+      average_rating: count > 0 ? Math.round((total / count) * 100) / 100 : null,
+      distribution
+    },
+    feedback: result.rows
+  };
+};
+
+module.exports = {
+  CLUB_RATING_SQL,
+  getFeedbackWindow,
+  findAttendance,
+  hasAttended,
+  findFeedback,
+  saveFeedback,
+  getFeedbackReport
+};
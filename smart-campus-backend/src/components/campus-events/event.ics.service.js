@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const { query } = require('../../config/db');
+const IcsCalendarService = require('../timetable/timetable.ics.service');
+const { findOverrides } = require('./event.occurrence.service');
+
+const PRODID = '-//Smart Campus Utility Hub//Campus Events//EN';
+
+// Finished one-off events stay in the feed for a month so recent history is visible
+const FEED_HISTORY_DAYS = 30;
+
+const escape = (value) => IcsCalendarService.escapeText(value == null ? '' : String(value));
+const formatDateTime = (date) => IcsCalendarService.formatIcsDateTime(date);
+
+const eventUid = (eventId) => `event-${eventId}@smart-campus-utility-hub`;
+
+// Stored rules end on a date; with a UTC DTSTART, RFC 5545 wants UNTIL as a UTC date-time
+const toIcsRule = (rule) => rule.replace(/UNTIL=(\d{8})(?=;|$)/, 'UNTIL=$1T235959Z');
+
+const describe = (event) =>
+  [event.description, event.club_name && `Hosted by ${event.club_name}`].filter(Boolean).join('\n\n');
+
+const eventStatus = (event) => {
+  if (event.status === 'cancelled') return 'CANCELLED';
+  return event.rsvp_status === 'waitlisted' ? 'TENTATIVE' : 'CONFIRMED';
+};
+
+/**
+ * VEVENT lines for one event. A series gets its RRULE with cancelled
+ * occurrences as EXDATEs, plus one RECURRENCE-ID component per edited
+ * occurrence.
+ */
+const eventComponents = (event, overrides, dtStamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(event.id)}`,
+    `DTSTAMP:${dtStamp}`,
+    `DTSTART:${formatDateTime(event.start_time)}`,
+    `DTEND:${formatDateTime(event.end_time)}`,
+    `SUMMARY:${escape(event.title)}`,
+    `DESCRIPTION:${escape(describe(event))}`,
+    `LOCATION:${escape(event.location)}`,
+    `STATUS:${eventStatus(event)}`,
+  ];
+  if (event.tags && event.tags.length > 0) {
+    lines.push(`CATEGORIES:${event.tags.map(escape).join(',')}`);
+  }
+
+  const edited = [];
+  if (event.recurrence_rule) {
+    lines.push(`RRULE:${toIcsRule(event.recurrence_rule)}`);
+
+    const ownOverrides = overrides.filter(override => override.event_id === event.id);
+    const cancelled = ownOverrides.filter(override => override.is_cancelled);
+    if (cancelled.length > 0) {
+      lines.push(`EXDATE:${cancelled.map(override => formatDateTime(override.occurrence_start)).join(',')}`);
+    }
+    edited.push(...ownOverrides.filter(override => !override.is_cancelled));
+  }
+  lines.push('END:VEVENT');
+
+  const duration = new Date(event.end_time) - new Date(event.start_time);
+  for (const override of edited) {
+    const start = override.start_time || override.occurrence_start;
+    const end = override.end_time || new Date(new Date(start).getTime() + duration);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${eventUid(event.id)}`,
+      `RECURRENCE-ID:${formatDateTime(override.occurrence_start)}`,
+      `DTSTAMP:${dtStamp}`,
+      `DTSTART:${formatDateTime(start)}`,
+      `DTEND:${formatDateTime(end)}`,
+      `SUMMARY:${escape(override.title || event.title)}`,
+      `DESCRIPTION:${escape(describe({ ...event, description: override.description || event.description }))}`,
+      `LOCATION:${escape(override.location || event.location)}`,
+      `STATUS:${eventStatus(event)}`,
+      'END:VEVENT'
+    );
+  }
+  return lines;
+};
+
+/**
+ * A complete VCALENDAR document for campus events.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by subscribing apps
+ * @param {object[]} options.events - events rows (club_name and rsvp_status optional)
+ * @param {object[]} [options.overrides] - event_occurrence_overrides rows for recurring events
+ * @returns {string} CRLF-delimited iCalendar text
+ */
+const buildCalendar = ({ name, events, overrides = [] }) => {
+  const dtStamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escape(name)}`,
+    ...events.flatMap(event => eventComponents(event, overrides, dtStamp)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Overrides for the recurring events in a list, for buildCalendar.
+ */
+const findCalendarOverrides = (events) =>
+  findOverrides(events.filter(event => event.recurrence_rule).map(event => event.id));
+
+/**
+ * Replace the user's feed secret, invalidating any existing subscription URL.
+ */
+const resetFeedToken = async (userId) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  await query('UPDATE users SET calendar_feed_token = $1 WHERE id = $2', [token, userId]);
+  return token;
+};
+
+/**
+ * The user's feed secret, created on first use.
+ */
+const getFeedToken = async (userId) => {
+  const result = await query('SELECT calendar_feed_token FROM users WHERE id = $1', [userId]);
+  return result.rows[0]?.calendar_feed_token || resetFeedToken(userId);
+};
+
+/**
+ * Saved and RSVP'd events for the owner of a feed secret.
+ *
+ * @returns {Promise<{user: object, events: object[], overrides: object[]}|null>} null for an unknown secret
+ */
+const findFeed = async (token) => {
+  const userResult = await query(
+    'SELECT id, full_name FROM users WHERE calendar_feed_token = $1 AND deleted_at IS NULL',
+    [token]
+  );
+  const user = userResult.rows[0];
+  if (!user) return null;
+
+  const eventsResult = await query(
+    `
+      SELECT e.*, c.name AS club_name, r.status AS rsvp_status
+      FROM events e
+      LEFT JOIN clubs c ON e.club_id = c.id
+      LEFT JOIN event_rsvps r ON r.event_id = e.id AND r.user_id = $1
+      WHERE e.deleted_at IS NULL
+        -- Cancelled events stay so subscribed calendars mark them cancelled
+        AND e.status IN ('approved', 'cancelled')
+        AND (
+          r.id IS NOT NULL
+          OR EXISTS (SELECT 1 FROM saved_events se WHERE se.event_id = e.id AND se.user_id = $1)
+        )
+        AND (e.recurrence_rule IS NOT NULL OR e.end_time > NOW() - make_interval(days => $2))
+      ORDER BY e.start_time ASC
+    `,
+    [user.id, FEED_HISTORY_DAYS]
+  );
+
+  const overrides = await findCalendarOverrides(eventsResult.rows);
+  return { user, events: eventsResult.rows, overrides };
+};
+
+module.exports = {
+  buildCalendar,
+  findCalendarOverrides,
+  getFeedToken,
+  resetFeedToken,
+  findFeed
+};
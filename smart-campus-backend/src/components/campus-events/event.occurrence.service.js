@@ -0,0 +1,111 @@
+const { query } = require('../../config/db');
+const { expandOccurrences } = require('./event.recurrence');
+
+const OVERRIDE_FIELDS = ['title', 'description', 'location', 'start_time', 'end_time'];
+
+// Edited occurrences may move up to a week, so expansion looks that far past the window
+const RESCHEDULE_SLACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const overrideKey = (eventId, occurrenceStart) => `${eventId}|${new Date(occurrenceStart).toISOString()}`;
+
+/**
+ * Occurrence overrides of the given series.
+ *
+ * @param {number[]} eventIds
+ * @returns {Promise<object[]>}
+ */
+const findOverrides = async (eventIds) => {
+  if (eventIds.length === 0) return [];
+
+  const result = await query(
+    'SELECT * FROM event_occurrence_overrides WHERE event_id = ANY($1)',
+    [eventIds]
+  );
+  return result.rows;
+};
+
+/**
+ * Edit or cancel one occurrence. Fields left undefined keep inheriting from
+ * the series.
+ *
+ * @returns {Promise<object>} The stored override
+ */
+const saveOverride = async ({ eventId, occurrenceStart, fields = {}, isCancelled = false, updatedBy }) => {
+  const values = OVERRIDE_FIELDS.map(field => (fields[field] === undefined ? null : fields[field]));
+
+  const result = await query(
+    `
+      INSERT INTO event_occurrence_overrides
+        (event_id, occurrence_start, is_cancelled, title, description, location, start_time, end_time, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (event_id, occurrence_start) DO UPDATE SET
+        is_cancelled = EXCLUDED.is_cancelled,
+        title = COALESCE(EXCLUDED.title, event_occurrence_overrides.title),
+        description = COALESCE(EXCLUDED.description, event_occurrence_overrides.description),
+        location = COALESCE(EXCLUDED.location, event_occurrence_overrides.location),
+        start_time = COALESCE(EXCLUDED.start_time, event_occurrence_overrides.start_time),
+        end_time = COALESCE(EXCLUDED.end_time, event_occurrence_overrides.end_time),
+        updated_by = EXCLUDED.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `,
+    [eventId, occurrenceStart, isCancelled, ...values, updatedBy]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Expand events into one row per occurrence overlapping [from, to), applying
+ * per-occurrence edits and dropping cancelled occurrences.
+ *
+ * Each row keeps the series fields plus:
+ *   occurrence_start - original start, identifies the occurrence for edits
+ *   is_recurring     - whether the row belongs to a series
+ *   is_modified      - whether the occurrence was edited individually
+ *
+ * @param {object[]} events - events rows
+ * @param {object[]} overrides - event_occurrence_overrides rows for those events
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {object[]}
+ */
+const expandEvents = (events, overrides, from, to) => {
+  const overridesByKey = new Map(
+    overrides.map(override => [overrideKey(override.event_id, override.occurrence_start), override])
+  );
+
+  const slackFrom = new Date(from.getTime() - RESCHEDULE_SLACK_MS);
+  const slackTo = new Date(to.getTime() + RESCHEDULE_SLACK_MS);
+
+  const occurrences = [];
+  for (const event of events) {
+    for (const { start, end } of expandOccurrences(event, slackFrom, slackTo)) {
+      const override = event.recurrence_rule ? overridesByKey.get(overrideKey(event.id, start)) : null;
+      if (override?.is_cancelled) continue;
+
+      const occurrence = {
+        ...event,
+        start_time: new Date(override?.start_time || start).toISOString(),
+        end_time: new Date(override?.end_time || end).toISOString(),
+        occurrence_start: start.toISOString(),
+        is_recurring: Boolean(event.recurrence_rule),
+        is_modified: Boolean(override)
+      };
+      for (const field of ['title', 'description', 'location']) {
+        if (override?.[field]) occurrence[field] = override[field];
+      }
+
+      if (new Date(occurrence.start_time) < to && new Date(occurrence.end_time) > from) {
+        occurrences.push(occurrence);
+      }
+    }
+  }
+  return occurrences;
+};
+
+module.exports = {
+  RESCHEDULE_SLACK_MS,
+  findOverrides,
+  saveOverride,
+  expandEvents
+};
@@ -0,0 +1,217 @@
+const { query } = require('../../config/db');
+const occurrenceService = require('./event.occurrence.service');
+const feedbackService = require('./event.feedback.service');
+
+// How far ahead upcoming events are considered
+const HORIZON_DAYS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Points per signal. Past interest counts once per matching event, up to
+// MAX_INTEREST_EVENTS, so one heavy interest cannot drown out the rest
+const WEIGHTS = {
+  department: 3,
+  tag: 1,
+  clubMember: 3,
+  clubHistory: 1,
+  popularity: 1
+};
+const MAX_INTEREST_EVENTS = 3;
+
+/**
+ * "saved", "attended" or "saved or attended", for the events behind a signal.
+ */
+const describeHistory = ({ saved, attended }) => {
+  if (attended === 0) return 'saved';
+  if (saved === 0) return 'attended';
+  return 'saved or attended';
+};
+
+const countInterest = (map, key, row) => {
+  if (!map.has(key)) map.set(key, { count: 0, saved: 0, attended: 0 });
+  const interest = map.get(key);
+  interest.count += 1;
+  if (row.is_saved) interest.saved += 1;
+  if (row.is_attended) interest.attended += 1;
+};
+
+/**
+ * What the user has shown interest in: their department, the tags and
+ * clubs of events they saved or attended, and the clubs they belong to.
+ * An event only counts as attended once it has ended (for a series, its
+ * first occurrence), under the same check-in rule as feedback.
+ *
+ * @param {number} userId
+ * @param {Date} [now]
+ */
+const buildProfile = async (userId, now = new Date()) => {
+  const [userResult, historyResult, clubsResult] = await Promise.all([
+    query('SELECT department FROM users WHERE id = $1', [userId]),
+    query(
+      `
+        SELECT e.id, e.tags, e.club_id, c.name AS club_name,
+               EXISTS (SELECT 1 FROM saved_events se WHERE se.event_id = e.id AND se.user_id = $1) AS is_saved,
+               r.status, r.checked_in_at,
+               EXISTS (
+                 SELECT 1 FROM event_rsvps t WHERE t.event_id = e.id AND t.checked_in_at IS NOT NULL
+               ) AS attendance_tracked
+        FROM events e
+        LEFT JOIN clubs c ON c.id = e.club_id
+        LEFT JOIN event_rsvps r ON r.event_id = e.id AND r.user_id = $1 AND r.status = 'confirmed' AND e.end_time <= $2
+        WHERE e.deleted_at IS NULL
+          AND (
+            EXISTS (SELECT 1 FROM saved_events se WHERE se.event_id = e.id AND se.user_id = $1)
+            OR r.id IS NOT NULL
+          )
+      `,
+      [userId, now]
+    ),
+    query(
+      "SELECT club_id FROM club_members WHERE user_id = $1 AND status = 'active'",
+      [userId]
+    )
+  ]);
+
+  const tags = new Map();
+  const clubs = new Map();
+  for (const history of historyResult.rows) {
+    const row = { ...history, is_attended: feedbackService.hasAttended(history) };
+    if (!row.is_saved && !row.is_attended) continue;
+
+    for (const tag of new Set((row.tags || []).map(t => t.trim().toLowerCase()).filter(Boolean))) {
+      countInterest(tags, tag, row);
+    }
+    if (row.club_id) countInterest(clubs, row.club_id, row);
+  }
+
+  return {
+    department: userResult.rows[0]?.department || null,
+    tags,
+    clubs,
+    memberOf: new Set(clubsResult.rows.map(row => row.club_id))
+  };
+};
+
+/**
+ * Score an upcoming event against a profile.
+ *
+ * @returns {{ score: number, reason: string }} reason names the strongest signal
+ */
+const scoreEvent = (event, profile) => {
+  const signals = [];
+
+  if (profile.department && event.target_department === profile.department) {
+    signals.push({ points: WEIGHTS.department, reason: `For ${profile.department} students` });
+  }
+
+  let tagPoints = 0;
+  let topTag = null;
+  for (const tag of new Set((event.tags || []).map(t => t.trim()).filter(Boolean))) {
+    const interest = profile.tags.get(tag.toLowerCase());
+    if (!interest) continue;
+    tagPoints += WEIGHTS.tag * Math.min(interest.count, MAX_INTEREST_EVENTS);
+    if (!topTag || interest.count > topTag.interest.count) topTag = { tag, interest };
+  }
+  if (topTag) {
+    const { tag, interest } = topTag;
+    signals.push({
+      points: tagPoints,
+      reason: `Because you ${describeHistory(interest)} ${interest.count} ${tag} event${interest.count === 1 ? '' : 's'}`
+    });
+  }
+
+  if (event.club_id && profile.memberOf.has(event.club_id)) {
+    signals.push({ points: WEIGHTS.clubMember, reason: `Because you're a member of ${event.club_name}` });
+  } else if (event.club_id && profile.clubs.has(event.club_id)) {
+    const interest = profile.clubs.get(event.club_id);
+    signals.push({
+      points: WEIGHTS.clubHistory * Math.min(interest.count, MAX_INTEREST_EVENTS),
+      reason: `Because you ${describeHistory(interest)} ${interest.count} ${event.club_name} event${interest.count === 1 ? '' : 's'}`
+    });
+  }
+
+  const going = (event.confirmed_count || 0) + (event.saved_count || 0);
+  if (going > 0) {
+    signals.push({
+      points: WEIGHTS.popularity * Math.log10(1 + going),
+      reason: `Popular: ${going} student${going === 1 ? ' is' : 's are'} interested`
+    });
+  }
+
+  if (signals.length === 0) {
+    return { score: 0, reason: 'Coming up soon' };
+  }
+
+  const strongest = signals.reduce((best, signal) => (signal.points > best.points ? signal : best));
+  const score = signals.reduce((sum, signal) => sum + signal.points, 0);
+  return { score: Math.round(score * 100) / 100, reason: strongest.reason };
+};
+
+/**
+ * Upcoming published events the user has not saved or RSVP'd to, leaving out
+ * events aimed at other departments. Series appear once, at their next date.
+ */
+const findCandidates = async (userId, department, now) => {
+  const horizon = new Date(now.getTime() + HORIZON_DAYS * DAY_MS);
+  const result = await query(
+    `
+      SELECT e.*, c.name AS club_name,
+             (SELECT COUNT(*)::int FROM event_rsvps r WHERE r.event_id = e.id AND r.status = 'confirmed') AS confirmed_count,
+             (SELECT COUNT(*)::int FROM saved_events se WHERE se.event_id = e.id) AS saved_count
+      FROM events e
+      LEFT JOIN clubs c ON c.id = e.club_id
+      WHERE e.deleted_at IS NULL
+        AND e.status = 'approved'
+        AND e.start_time < $2
+        AND (e.recurrence_rule IS NOT NULL OR e.start_time > $3)
+        AND (e.target_department IS NULL OR e.target_department = $4)
+        AND NOT EXISTS (SELECT 1 FROM saved_events se WHERE se.event_id = e.id AND se.user_id = $1)
+        AND NOT EXISTS (SELECT 1 FROM event_rsvps r WHERE r.event_id = e.id AND r.user_id = $1)
+    `,
+    [userId, new Date(horizon.getTime() + occurrenceService.RESCHEDULE_SLACK_MS), now, department]
+  );
+
+  const overrides = await occurrenceService.findOverrides(
+    result.rows.filter(event => event.recurrence_rule).map(event => event.id)
+  );
+
+  const next = new Map();
+  for (const occurrence of occurrenceService.expandEvents(result.rows, overrides, now, horizon)) {
+    if (new Date(occurrence.start_time) <= now) continue;
+    const current = next.get(occurrence.id);
+    if (!current || new Date(occurrence.start_time) < new Date(current.start_time)) {
+      next.set(occurrence.id, occurrence);
+    }
+  }
+  return [...next.values()];
+};
+
+/**
+ * Upcoming events ranked for a user, best first. Each carries a
+ * `recommendation` with its score and the reason it was picked.
+ *
+ * @param {number} userId
+ * @param {object} [options]
+ * @param {number} [options.limit]
+ * @param {Date} [options.now]
+ * @returns {Promise<object[]>}
+ */
+const recommendEvents = async (userId, { limit = 10, now = new Date() } = {}) => {
+  const profile = await buildProfile(userId, now);
+  const candidates = await findCandidates(userId, profile.department, now);
+
+  return candidates
+    .map(event => ({ ...event, recommendation: scoreEvent(event, profile) }))
+    .sort((a, b) =>
+      b.recommendation.score - a.recommendation.score || new Date(a.start_time) - new Date(b.start_time)
+    )
+    .slice(0, limit);
+};
+
+module.exports = {
+  HORIZON_DAYS,
+  WEIGHTS,
+  buildProfile,
+  scoreEvent,
+  recommendEvents
+};
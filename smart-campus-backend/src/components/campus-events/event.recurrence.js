@@ -0,0 +1,158 @@
+/**
+ * Recurring event helpers. Series store an RFC 5545 RRULE subset:
+ *
+ *   FREQ=DAILY|WEEKLY [;INTERVAL=n] [;BYDAY=MO,WE,...] [;UNTIL=YYYYMMDD | ;COUNT=n]
+ *
+ * The event's own start_time/end_time are the first occurrence. Occurrences
+ * are stepped in whole UTC days, which keeps the wall-clock time because the
+ * campus time zone has no daylight saving.
+ */
+
+const { ApiError } = require('../../middleware/errorHandler');
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expanding a window is capped at a year so a daily series stays cheap
+const MAX_WINDOW_DAYS = 366;
+const MAX_COUNT = 500;
+const MAX_STEPS = 20000;
+
+const invalid = (reason) => new ApiError(400, `Invalid recurrence_rule: ${reason}`);
+
+/**
+ * Parse and validate a stored or submitted rule.
+ *
+ * @param {string} rule - e.g. 'FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20261231'
+ * @returns {{freq: string, interval: number, byDay: number[]|null, until: Date|null, count: number|null}}
+ * @throws {ApiError} 400 when the rule uses anything outside the supported subset
+ */
+const parseRule = (rule) => {
+  const parts = {};
+  for (const part of String(rule).trim().replace(/^RRULE:/i, '').split(';')) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined || value === '') throw invalid(`malformed part "${part}"`);
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const { FREQ, INTERVAL, BYDAY, UNTIL, COUNT, ...rest } = parts;
+  if (Object.keys(rest).length > 0) throw invalid(`unsupported ${Object.keys(rest).join(', ')}`);
+  if (!['DAILY', 'WEEKLY'].includes(FREQ)) throw invalid('FREQ must be DAILY or WEEKLY');
+  if (UNTIL && COUNT) throw invalid('use either UNTIL or COUNT, not both');
+
+  const interval = INTERVAL === undefined ? 1 : Number(INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 52) throw invalid('INTERVAL must be 1-52');
+
+  let byDay = null;
+  if (BYDAY) {
+    if (FREQ !== 'WEEKLY') throw invalid('BYDAY is only supported with FREQ=WEEKLY');
+    byDay = BYDAY.split(',').map(code => DAY_CODES.indexOf(code));
+    if (byDay.includes(-1)) throw invalid('BYDAY takes two-letter day codes such as MO,WE');
+    byDay = [...new Set(byDay)].sort();
+  }
+
+  let until = null;
+  if (UNTIL) {
+    const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(UNTIL);
+    if (!match) throw invalid('UNTIL must be YYYYMMDD');
+    // A date-only UNTIL includes occurrences on that whole day
+    until = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 23, 59, 59));
+    if (isNaN(until.getTime())) throw invalid('UNTIL is not a valid date');
+  }
+
+  let count = null;
+  if (COUNT) {
+    count = Number(COUNT);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) throw invalid(`COUNT must be 1-${MAX_COUNT}`);
+  }
+
+  return { freq: FREQ, interval, byDay, until, count };
+};
+
+/**
+ * Rebuild the canonical rule string so equivalent input is stored the same way.
+ */
+const formatRule = ({ freq, interval, byDay, until, count }) => [
+  `FREQ=${freq}`,
+  interval > 1 && `INTERVAL=${interval}`,
+  byDay && `BYDAY=${byDay.map(day => DAY_CODES[day]).join(',')}`,
+  until && `UNTIL=${until.toISOString().slice(0, 10).replace(/-/g, '')}`,
+  count && `COUNT=${count}`
+].filter(Boolean).join(';');
+
+/**
+ * Occurrence start times of a series, in order, from its first occurrence.
+ * Stops after `before` (exclusive) or when the rule ends.
+ */
+function* occurrenceStarts(firstStart, rule, before) {
+  const first = new Date(firstStart);
+  let emitted = 0;
+
+  if (rule.freq === 'DAILY') {
+    for (let step = 0; step < MAX_STEPS; step += 1) {
+      const start = new Date(first.getTime() + step * rule.interval * DAY_MS);
+      if (start >= before || (rule.until && start > rule.until)) return;
+      yield start;
+      emitted += 1;
+      if (rule.count && emitted >= rule.count) return;
+    }
+    return;
+  }
+
+  // WEEKLY: walk Monday-started weeks, every `interval` weeks from the first
+  const mondayOffsets = (rule.byDay || [first.getUTCDay()]).map(day => (day + 6) % 7).sort((a, b) => a - b);
+  const weekStart = new Date(first.getTime() - ((first.getUTCDay() + 6) % 7) * DAY_MS);
+  for (let week = 0; week * 7 < MAX_STEPS; week += rule.interval) {
+    for (const offset of mondayOffsets) {
+      const start = new Date(weekStart.getTime() + (week * 7 + offset) * DAY_MS);
+      if (start < first) continue;
+      if (start >= before || (rule.until && start > rule.until)) return;
+      yield start;
+      emitted += 1;
+      if (rule.count && emitted >= rule.count) return;
+    }
+  }
+}
+
+/**
+ * Occurrences of an event overlapping [from, to). One-off events yield at
+ * most their single occurrence.
+ *
+ * @param {Object} event - events row (start_time, end_time, recurrence_rule)
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {{start: Date, end: Date}[]}
+ */
+const expandOccurrences = (event, from, to) => {
+  const start = new Date(event.start_time);
+  const duration = new Date(event.end_time).getTime() - start.getTime();
+
+  if (!event.recurrence_rule) {
+    const end = new Date(start.getTime() + duration);
+    return start < to && end > from ? [{ start, end }] : [];
+  }
+
+  const occurrences = [];
+  for (const occurrenceStart of occurrenceStarts(start, parseRule(event.recurrence_rule), to)) {
+    const end = new Date(occurrenceStart.getTime() + duration);
+    if (end > from) occurrences.push({ start: occurrenceStart, end });
+  }
+  return occurrences;
+};
+
+/**
+ * Whether `occurrenceStart` is one of the series' generated starts.
+ */
+const isOccurrence = (event, occurrenceStart) => {
+  const target = new Date(occurrenceStart).getTime();
+  return expandOccurrences(event, new Date(target), new Date(target + 1))
+    .some(occurrence => occurrence.start.getTime() === target);
+};
+
+module.exports = {
+  MAX_WINDOW_DAYS,
+  parseRule,
+  formatRule,
+  expandOccurrences,
+  isOccurrence
+};
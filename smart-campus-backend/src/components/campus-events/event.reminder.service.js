@@ -0,0 +1,207 @@
+const { query } = require('../../config/db');
+const notificationService = require('../../services/notification.service');
+const occurrenceService = require('./event.occurrence.service');
+
+// Minutes before start_time; override with EVENT_REMINDER_OFFSETS_MINUTES=1440,60
+const DEFAULT_OFFSETS_MINUTES = [24 * 60, 60];
+
+// A reminder is still sent if its moment passed this recently, so a late or
+// skipped run does not lose it. Runs overlap safely because sends are claimed.
+const GRACE_MINUTES = 15;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Reminder offsets from a comma-separated list of minutes, largest first.
+ * Blank or invalid entries are ignored; nothing valid means the defaults.
+ *
+ * @param {string} [value]
+ * @returns {number[]}
+ */
+const parseOffsets = (value) => {
+  const offsets = String(value || '')
+    .split(',')
+    .map(part => Number(part.trim()))
+    .filter(minutes => Number.isInteger(minutes) && minutes > 0);
+
+  const unique = [...new Set(offsets.length > 0 ? offsets : DEFAULT_OFFSETS_MINUTES)];
+  return unique.sort((a, b) => b - a);
+};
+
+/**
+ * "24 hours", "1 hour", "90 minutes"
+ */
+const describeOffset = (minutes) => {
+  if (minutes % 60 !== 0) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = minutes / 60;
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+/**
+ * Published events with saved or RSVP'd users that may start within the
+ * horizon. Series are returned whole and expanded by the caller.
+ */
+const findCandidateEvents = async (now, horizon) => {
+  const result = await query(
+    `
+      SELECT e.id, e.title, e.location, e.start_time, e.end_time, e.recurrence_rule
+      FROM events e
+      WHERE e.deleted_at IS NULL
+        AND e.status = 'approved'
+        AND e.start_time <= $2
+        AND (e.recurrence_rule IS NOT NULL OR e.start_time > $1)
+        AND (
+          EXISTS (SELECT 1 FROM saved_events se WHERE se.event_id = e.id)
+          OR EXISTS (SELECT 1 FROM event_rsvps r WHERE r.event_id = e.id)
+        )
+    `,
+    [now, new Date(horizon.getTime() + occurrenceService.RESCHEDULE_SLACK_MS)]
+  );
+  return result.rows;
+};
+
+/**
+ * Users who saved or RSVP'd to each event and have not opted out.
+ *
+ * @returns {Promise<Map<number, object[]>>} event id -> users (id, email)
+ */
+const findRecipients = async (eventIds) => {
+  const result = await query(
+    `
+      SELECT DISTINCT x.event_id, u.id, u.email
+      FROM (
+        SELECT event_id, user_id FROM saved_events WHERE event_id = ANY($1)
+        UNION
+        SELECT event_id, user_id FROM event_rsvps WHERE event_id = ANY($1)
+      ) x
+      JOIN users u ON u.id = x.user_id AND u.deleted_at IS NULL
+      WHERE NOT EXISTS (
+        SELECT 1 FROM event_reminder_opt_outs o
+        WHERE o.event_id = x.event_id AND o.user_id = x.user_id
+      )
+    `,
+    [eventIds]
+  );
+
+  const byEvent = new Map();
+  for (const { event_id: eventId, ...user } of result.rows) {
+    if (!byEvent.has(eventId)) byEvent.set(eventId, []);
+    byEvent.get(eventId).push(user);
+  }
+  return byEvent;
+};
+
+/**
+ * Record reminders as sent before sending them. Rows that already exist are
+ * skipped, so each user gets each reminder at most once.
+ *
+ * @returns {Promise<Set<number>>} Ids of users claimed by this call
+ */
+const claimReminders = async (occurrence, offsetMinutes, userIds) => {
+  const result = await query(
+    `
+      INSERT INTO event_reminders_sent (event_id, user_id, occurrence_start, offset_minutes)
+      SELECT $1, user_id, $3, $4 FROM UNNEST($2::int[]) AS user_id
+      ON CONFLICT (event_id, user_id, occurrence_start, offset_minutes) DO NOTHING
+      RETURNING user_id
+    `,
+    [occurrence.id, userIds, occurrence.occurrence_start, offsetMinutes]
+  );
+  return new Set(result.rows.map(row => row.user_id));
+};
+
+/**
+ * Send every reminder that is due at `now`: for each offset, occurrences
+ * starting between offset - GRACE_MINUTES and offset from now.
+ *
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {number[]} [options.offsets] - minutes before start, see parseOffsets
+ * @returns {Promise<{ sent: number }>}
+ */
+const sendDueReminders = async ({
+  now = new Date(),
+  offsets = parseOffsets(process.env.EVENT_REMINDER_OFFSETS_MINUTES),
+} = {}) => {
+  const horizon = new Date(now.getTime() + Math.max(...offsets) * MINUTE_MS);
+
+  const events = await findCandidateEvents(now, horizon);
+  if (events.length === 0) return { sent: 0 };
+
+  const overrides = await occurrenceService.findOverrides(
+    events.filter(event => event.recurrence_rule).map(event => event.id)
+  );
+  // Past the horizon by a minute so an occurrence due exactly at the largest offset is kept
+  const occurrences = occurrenceService.expandEvents(events, overrides, now, new Date(horizon.getTime() + MINUTE_MS));
+  const recipients = await findRecipients(events.map(event => event.id));
+
+  let sent = 0;
+  for (const offsetMinutes of offsets) {
+    const dueBy = now.getTime() + offsetMinutes * MINUTE_MS;
+    const dueFrom = dueBy - GRACE_MINUTES * MINUTE_MS;
+
+    for (const occurrence of occurrences) {
+      const start = new Date(occurrence.start_time);
+      if (start <= now || start.getTime() <= dueFrom || start.getTime() > dueBy) continue;
+
+      const users = recipients.get(occurrence.id) || [];
+      if (users.length === 0) continue;
+
+      const claimed = await claimReminders(occurrence, offsetMinutes, users.map(user => user.id));
+      if (claimed.size === 0) continue;
+
+      const location = occurrence.location ? ` at ${occurrence.location}` : '';
+      await notificationService.createNotificationsForUsers({
+        users: users.filter(user => claimed.has(user.id)),
+        eventType: 'EVENT_REMINDER',
+        title: 'Upcoming Event Reminder',
+        message: `${occurrence.title} starts in ${describeOffset(offsetMinutes)}${location}`,
+        metadata: {
+          eventId: occurrence.id,
+          occurrenceStart: occurrence.occurrence_start,
+          startTime: occurrence.start_time,
+          offsetMinutes,
+        },
+        sendEmail: true,
+      });
+      sent += claimed.size;
+    }
+  }
+
+  return { sent };
+};
+
+/**
+ * @returns {Promise<boolean>} Whether the user still gets reminders for the event
+ */
+const remindersEnabled = async (eventId, userId) => {
+  const result = await query(
+    'SELECT 1 FROM event_reminder_opt_outs WHERE event_id = $1 AND user_id = $2',
+    [eventId, userId]
+  );
+  return result.rows.length === 0;
+};
+
+/**
+ * Turn reminders for one event on or off for a user.
+ */
+const setRemindersEnabled = async (eventId, userId, enabled) => {
+  if (enabled) {
+    await query('DELETE FROM event_reminder_opt_outs WHERE event_id = $1 AND user_id = $2', [eventId, userId]);
+  } else {
+    await query(
+      'INSERT INTO event_reminder_opt_outs (event_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [eventId, userId]
+    );
+  }
+};
+
+module.exports = {
+  DEFAULT_OFFSETS_MINUTES,
+  GRACE_MINUTES,
+  parseOffsets,
+  describeOffset,
+  sendDueReminders,
+  remindersEnabled,
+  setRemindersEnabled
+};
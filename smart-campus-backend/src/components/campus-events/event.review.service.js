@@ -0,0 +1,144 @@
+const { query } = require('../../config/db');
+const { MANAGER_ROLES } = require('./club.membership.service');
+
+const EVENT_STATUSES = ['draft', 'pending_review', 'approved', 'rejected', 'cancelled'];
+
+// Only approved events are listed, searchable and open for RSVPs
+const PUBLISHED_STATUS = 'approved';
+
+// Status changes allowed through the review endpoints
+const STATUS_ACTIONS = {
+  submit: { from: ['draft', 'rejected'], to: 'pending_review' },
+  approve: { from: ['pending_review'], to: 'approved' },
+  reject: { from: ['pending_review'], to: 'rejected' },
+  cancel: { from: ['draft', 'pending_review', 'approved'], to: 'cancelled' },
+};
+
+// Events (aliased e) the user bound to $1 submitted or organises through a club role
+const ORGANISED_BY_CALLER = `(
+  e.submitted_by = $1
+  OR EXISTS (
+    SELECT 1 FROM club_members cm
+    WHERE cm.club_id = e.club_id AND cm.user_id = $1 AND cm.status = 'active'
+      AND cm.role IN (${MANAGER_ROLES.map(role => `'${role}'`).join(', ')})
+  )
+)`;
+
+/**
+ * SQL condition limiting events (aliased e) to those the caller may open:
+ * approved events, plus unpublished ones they submitted or organise. The
+ * caller's id must be bound to $1 (null for anonymous requests).
+ */
+const visibleToCaller = (user) => {
+  if (user && user.role === 'admin') return 'TRUE';
+  return `(e.status = '${PUBLISHED_STATUS}' OR ${ORGANISED_BY_CALLER})`;
+};
+
+/**
+ * @returns {Promise<object|null>}
+ */
+const findEvent = async (eventId) => {
+  const result = await query(
+    'SELECT id, title, status, club_id, submitted_by FROM events WHERE id = $1 AND deleted_at IS NULL',
+    [eventId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Apply a status action. Approvals and rejections record the reviewer;
+ * a comment is kept for reviews and cancellations.
+ *
+ * @param {number} eventId
+ * @param {keyof STATUS_ACTIONS} action
+ * @param {{userId: number, comment?: string|null}} change
+ * @returns {Promise<object|null>} null when the event left the expected status meanwhile
+ */
+const changeStatus = async (eventId, action, { userId, comment = null }) => {
+  const { from, to } = STATUS_ACTIONS[action];
+  const fields = { status: to };
+
+  if (action === 'approve' || action === 'reject') {
+    fields.reviewed_by = userId;
+    fields.review_comment = comment;
+  } else if (action === 'cancel' && comment) {
+    fields.review_comment = comment;
+  }
+
+  const columns = Object.keys(fields);
+  const reviewedAt = fields.reviewed_by ? ', reviewed_at = NOW()' : '';
+  const result = await query(
+    `UPDATE events
+       SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}${reviewedAt}
+       WHERE id = $${columns.length + 1} AND deleted_at IS NULL AND status = ANY($${columns.length + 2})
+       RETURNING *`,
+    [...Object.values(fields), eventId, from]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * @returns {Promise<object|null>} The submitter's id and email
+ */
+const findSubmitter = async (event) => {
+  if (!event.submitted_by) return null;
+
+  const result = await query('SELECT id, email FROM users WHERE id = $1 AND deleted_at IS NULL', [event.submitted_by]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Users holding a seat or waitlist place, to hear about a cancellation.
+ */
+const findAttendees = async (eventId) => {
+  const result = await query(
+    `
+      SELECT u.id, u.email
+      FROM event_rsvps r
+      JOIN users u ON u.id = r.user_id
+      WHERE r.event_id = $1 AND u.deleted_at IS NULL
+    `,
+    [eventId]
+  );
+  return result.rows;
+};
+
+/**
+ * Events the user submitted or organises through a club role, newest first.
+ *
+ * @param {number} userId
+ * @param {string} [status] - only events in this status
+ */
+const findSubmissions = async (userId, status) => {
+  const values = [userId];
+  let statusFilter = '';
+  if (status) {
+    values.push(status);
+    statusFilter = 'AND e.status = $2';
+  }
+
+  const result = await query(
+    `
+      SELECT e.*, c.name AS club_name
+      FROM events e
+      LEFT JOIN clubs c ON e.club_id = c.id
+      WHERE e.deleted_at IS NULL
+        AND ${ORGANISED_BY_CALLER} ${statusFilter}
+      ORDER BY e.created_at DESC
+    `,
+    values
+  );
+  return result.rows;
+};
+
+module.exports = {
+  EVENT_STATUSES,
+  PUBLISHED_STATUS,
+  STATUS_ACTIONS,
+  visibleToCaller,
+  findEvent,
+  changeStatus,
+  findSubmitter,
+  findAttendees,
+  findSubmissions
+};
@@ -0,0 +1,192 @@
+const { query, transaction } = require('../../config/db');
+
+/**
+ * Lock an event row so seat counts cannot change under a concurrent RSVP.
+ * New registrations pass publishedOnly so unreviewed events take no RSVPs.
+ */
+const lockEvent = async (client, eventId, { publishedOnly = false } = {}) => {
+  const result = await client.query(
+    `SELECT id, title, max_capacity FROM events
+     WHERE id = $1 AND deleted_at IS NULL${publishedOnly ? " AND status = 'approved'" : ''}
+     FOR UPDATE`,
+    [eventId]
+  );
+  return result.rows[0] || null;
+};
+
+const countConfirmed = async (client, eventId) => {
+  const result = await client.query(
+    "SELECT COUNT(*)::int AS total FROM event_rsvps WHERE event_id = $1 AND status = 'confirmed'",
+    [eventId]
+  );
+  return result.rows[0].total;
+};
+
+/**
+ * Move the oldest waitlisted users into any free seats. Events without a
+ * capacity take the whole waitlist.
+ *
+ * @param {object} client - Transaction client holding the event lock
+ * @param {object} event  - events row (id, max_capacity)
+ * @returns {Promise<object[]>} Promoted RSVPs with the user's name and email
+ */
+const fillOpenSeats = async (client, event) => {
+  let openSeats = null;
+  if (event.max_capacity) {
+    openSeats = event.max_capacity - await countConfirmed(client, event.id);
+    if (openSeats <= 0) return [];
+  }
+
+  const result = await client.query(
+    `
+      WITH promoted AS (
+        UPDATE event_rsvps
+        SET status = 'confirmed', promoted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (
+          SELECT id FROM event_rsvps
+          WHERE event_id = $1 AND status = 'waitlisted'
+          ORDER BY created_at ASC, id ASC
+          LIMIT $2
+        )
+        RETURNING id, user_id, event_id, status
+      )
+      SELECT p.id, p.user_id, p.event_id, p.status, u.email, u.full_name
+      FROM promoted p
+      JOIN users u ON p.user_id = u.id
+    `,
+    [event.id, openSeats]
+  );
+  return result.rows;
+};
+
+/**
+ * RSVP a user, confirming a seat while any are free and waitlisting otherwise.
+ *
+ * @returns {Promise<{ event: object|null, rsvp: object|null, existing: object|null }>}
+ *   event is null when the event does not exist or is not published;
+ *   existing is set when the user had already registered
+ */
+const register = async (eventId, userId) =>
+  transaction(async (client) => {
+    const event = await lockEvent(client, eventId, { publishedOnly: true });
+    if (!event) {
+      return { event: null, rsvp: null, existing: null };
+    }
+
+    const existing = await client.query(
+      'SELECT id, status FROM event_rsvps WHERE user_id = $1 AND event_id = $2',
+      [userId, eventId]
+    );
+    if (existing.rows.length > 0) {
+      return { event, rsvp: null, existing: existing.rows[0] };
+    }
+
+    const isFull = event.max_capacity && await countConfirmed(client, eventId) >= event.max_capacity;
+    const inserted = await client.query(
+      `
+        INSERT INTO event_rsvps (user_id, event_id, status)
+        VALUES ($1, $2, $3)
+        RETURNING id, status, created_at
+      `,
+      [userId, eventId, isFull ? 'waitlisted' : 'confirmed']
+    );
+
+    return { event, rsvp: inserted.rows[0], existing: null };
+  });
+
+/**
+ * Cancel a user's RSVP. A freed seat goes to the oldest waitlisted user.
+ *
+ * @returns {Promise<{ event: object|null, rsvp: object|null, promoted: object[] }>}
+ *   rsvp is null when the user was not registered
+ */
+const cancel = async (eventId, userId) =>
+  transaction(async (client) => {
+    const event = await lockEvent(client, eventId);
+    if (!event) {
+      return { event: null, rsvp: null, promoted: [] };
+    }
+
+    const deleted = await client.query(
+      'DELETE FROM event_rsvps WHERE user_id = $1 AND event_id = $2 RETURNING id, status',
+      [userId, eventId]
+    );
+    const rsvp = deleted.rows[0] || null;
+    if (!rsvp || rsvp.status !== 'confirmed') {
+      return { event, rsvp, promoted: [] };
+    }
+
+    return { event, rsvp, promoted: await fillOpenSeats(client, event) };
+  });
+
+/**
+ * Promote waitlisted users after an event's capacity was raised or removed.
+ *
+ * @returns {Promise<object[]>} Promoted RSVPs
+ */
+const promoteWaitlisted = async (eventId) =>
+  transaction(async (client) => {
+    const event = await lockEvent(client, eventId);
+    return event ? fillOpenSeats(client, event) : [];
+  });
+
+/**
+ * A user's RSVP with their place in the waitlist (1 = next to be promoted).
+ *
+ * @returns {Promise<object|null>}
+ */
+const findForUser = async (eventId, userId) => {
+  const result = await query(
+    `
+      SELECT
+        r.id,
+        r.status,
+        r.created_at,
+        r.promoted_at,
+        r.checked_in_at,
+        CASE WHEN r.status = 'waitlisted' THEN (
+          SELECT COUNT(*)::int FROM event_rsvps w
+          WHERE w.event_id = r.event_id
+            AND w.status = 'waitlisted'
+            AND (w.created_at, w.id) <= (r.created_at, r.id)
+        ) END AS waitlist_position
+      FROM event_rsvps r
+      WHERE r.event_id = $1 AND r.user_id = $2
+    `,
+    [eventId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Confirmed attendees and the waitlist of an event, each in sign-up order.
+ *
+ * @returns {Promise<{ confirmed: object[], waitlisted: object[] }>}
+ */
+const findAttendees = async (eventId) => {
+  const result = await query(
+    `
+      SELECT r.id, r.user_id, u.full_name, u.email, u.department,
+             r.status, r.created_at, r.promoted_at, r.checked_in_at
+      FROM event_rsvps r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.event_id = $1
+      ORDER BY r.created_at ASC, r.id ASC
+    `,
+    [eventId]
+  );
+
+  return {
+    confirmed: result.rows.filter(rsvp => rsvp.status === 'confirmed'),
+    waitlisted: result.rows.filter(rsvp => rsvp.status === 'waitlisted')
+  };
+};
+
+module.exports = {
+  fillOpenSeats,
+  register,
+  cancel,
+  promoteWaitlisted,
+  findForUser,
+  findAttendees
+};
@@ -3,7 +3,23 @@ const { query } = require('../../config/db');
 const { asyncHandler, ApiError } = require('../../middleware/errorHandler');
 const { logger } = require('../../config/db');
 const notificationService = require('../../services/notification.service');
+const imageService = require('../../services/image.service');
 const activityService = require('../../services/activity.service');
+const rsvpService = require('./event.rsvp.service');
+const checkInService = require('./event.checkin.service');
+const twofaService = require('../../services/twofa.service');
+const occurrenceService = require('./event.occurrence.service');
+const icsService = require('./event.ics.service');
+const reviewService = require('./event.review.service');
+const reminderService = require('./event.reminder.service');
+const feedbackService = require('./event.feedback.service');
+const recommendationService = require('./event.recommendation.service');
+const { MAX_WINDOW_DAYS, parseRule, formatRule, isOccurrence } = require('./event.recurrence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Window used when only one of from/to is given
+const DEFAULT_WINDOW_DAYS = 90;
 
 /**
  * Events Controller
@@ -11,8 +27,137 @@ const activityService = require('../../services/activity.service');
  */
 
 /**
- * Create a new event (Admin only)
+ * Parse max_capacity from a JSON or multipart body. Blank means no seat limit.
+ */
+const parseCapacity = (value) => {
+  if (value === null || value === '') return null;
+  const capacity = Number(value);
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    throw new ApiError(400, 'max_capacity must be a positive whole number');
+  }
+  return capacity;
+};
+
+/**
+ * Normalise recurrence_rule from a JSON or multipart body. Blank makes the
+ * event a one-off.
+ */
+const parseRecurrence = (value) => {
+  if (value === null || value === '') return null;
+  return formatRule(parseRule(value));
+};
+
+/**
+ * Resolve a from/to query window, defaulting a missing bound to
+ * DEFAULT_WINDOW_DAYS from the other (or from now).
+ */
+const parseWindow = (from, to) => {
+  const windowFrom = from
+    ? new Date(from)
+    : to ? new Date(new Date(to).getTime() - DEFAULT_WINDOW_DAYS * DAY_MS) : new Date();
+  const windowTo = to ? new Date(to) : new Date(windowFrom.getTime() + DEFAULT_WINDOW_DAYS * DAY_MS);
+
+  if (windowTo <= windowFrom) {
+    throw new ApiError(400, "'to' must be after 'from'");
+  }
+  if (windowTo - windowFrom > MAX_WINDOW_DAYS * DAY_MS) {
+    throw new ApiError(400, `Date window cannot exceed ${MAX_WINDOW_DAYS} days`);
+  }
+  return { from: windowFrom, to: windowTo };
+};
+
+/**
+ * Resize an uploaded event image and build its public URL.
+ */
+const saveUploadedImage = async (req) => {
+  const filename = await imageService.processEventImage(req.file.buffer);
+  return `${req.protocol}://${req.get('host')}/uploads/${filename}`;
+};
+
+/**
+ * Seat counts plus the caller's own RSVP status and reminder preference;
+ * the user id is bound to $1 and may be null for anonymous requests.
+ */
+const RSVP_COLUMNS = `
+  (SELECT COUNT(*)::int FROM event_rsvps r WHERE r.event_id = e.id AND r.status = 'confirmed') as confirmed_count,
+  (SELECT COUNT(*)::int FROM event_rsvps r WHERE r.event_id = e.id AND r.status = 'waitlisted') as waitlist_count,
+  (SELECT r.status FROM event_rsvps r WHERE r.event_id = e.id AND r.user_id = $1) as rsvp_status,
+  NOT EXISTS (SELECT 1 FROM event_reminder_opt_outs o WHERE o.event_id = e.id AND o.user_id = $1) as reminders_enabled
+`;
+
+/**
+ * Initial status of a new event: admins publish directly, club organisers
+ * submit for review, and either may keep a draft instead.
+ */
+const initialStatus = (requested, user) => {
+  if (requested === 'draft') return 'draft';
+  if (requested !== undefined && requested !== '') {
+    throw new ApiError(400, "status can only be 'draft' when creating an event");
+  }
+  return user.role === 'admin' ? reviewService.PUBLISHED_STATUS : 'pending_review';
+};
+
+/**
+ * Tell students about a newly published event.
+ */
+const announceEvent = async (event) => {
+  notificationService.broadcast('EVENT_CREATED', {
+    message: `New event: ${event.title}`,
+  });
+
+  await notificationService.notifyRole({
+    role: 'student',
+    eventType: 'EVENT_CREATED',
+    title: 'New Campus Event',
+    message: `New event: ${event.title}`,
+    metadata: { eventId: event.id },
+    socketEvent: 'EVENT_CREATED',
+    socketPayload: {
+      message: `New event: ${event.title}`,
+      event
+    },
+    sendEmail: true,
+  });
+};
+
+/**
+ * Tell admins an event is waiting for review.
+ */
+const notifyReviewers = (event) =>
+  notificationService.notifyRole({
+    role: 'admin',
+    eventType: 'EVENT_SUBMITTED',
+    title: 'Event Awaiting Review',
+    message: `${event.title} was submitted for review`,
+    metadata: { eventId: event.id },
+  });
+
+/**
+ * Tell users promoted off an event's waitlist that their seat is confirmed.
+ */
+const notifyPromotedUsers = async (event, promoted) => {
+  if (promoted.length === 0) return;
+
+  logger.info('Event waitlist promoted', {
+    eventId: event.id,
+    userIds: promoted.map(rsvp => rsvp.user_id)
+  });
+
+  await notificationService.createNotificationsForUsers({
+    users: promoted.map(rsvp => ({ id: rsvp.user_id, email: rsvp.email })),
+    eventType: 'EVENT_WAITLIST_PROMOTED',
+    title: 'You are off the waitlist',
+    message: `A seat opened up and your RSVP for ${event.title} is now confirmed.`,
+    metadata: { eventId: event.id },
+    sendEmail: true,
+  });
+};
+
+/**
+ * Create a new event (Admin or club organisers)
  * POST /api/events
+ * Organisers' events wait in pending_review until an admin approves them,
+ * and only admins can feature an event.
  */
 const createEvent = asyncHandler(async (req, res) => {
   const {
@@ -25,16 +170,20 @@ const createEvent = asyncHandler(async (req, res) => {
     target_department,
     is_featured,
     tags,
+    max_capacity,
+    recurrence_rule,
+    status,
   } = req.body;
 
-  // If multer saved a file, build the public URL; otherwise null
-  const image_url = req.file
-    ? `${req.protocol}://${req.get('host')}/uploads/${req.file.filename}`
-    : null;
+  const eventStatus = initialStatus(status, req.user);
+  const maxCapacity = max_capacity === undefined ? null : parseCapacity(max_capacity);
+  const recurrenceRule = recurrence_rule === undefined ? null : parseRecurrence(recurrence_rule);
+
+  const image_url = req.file ? await saveUploadedImage(req) : null;
 
   const sql = `
-    INSERT INTO events (title, description, location, start_time, end_time, club_id, target_department, is_featured, tags, image_url)
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    INSERT INTO events (title, description, location, start_time, end_time, club_id, target_department, is_featured, tags, image_url, max_capacity, recurrence_rule, status, submitted_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
     RETURNING *
   `;
 
@@ -46,9 +195,13 @@ const createEvent = asyncHandler(async (req, res) => {
     end_time,
     club_id,
     target_department,
-    is_featured || false,
+    req.user.role === 'admin' ? is_featured || false : false,
     tags,
     image_url,
+    maxCapacity,
+    recurrenceRule,
+    eventStatus,
+    req.user.id,
   ];
 
   const result = await query(sql, values);
@@ -57,25 +210,13 @@ const createEvent = asyncHandler(async (req, res) => {
     throw new ApiError(500, 'Failed to create event');
   }
 
-  logger.info('Event created', { eventId: result.rows[0].id, createdBy: req.user.id });
-
-  notificationService.broadcast('EVENT_CREATED', {
-  message: `New event: ${result.rows[0].title}`,
-});
+  logger.info('Event created', { eventId: result.rows[0].id, createdBy: req.user.id, status: eventStatus });
 
-await notificationService.notifyRole({
-    role: 'student',
-    eventType: 'EVENT_CREATED',
-    title: 'New Campus Event',
-    message: `New event: ${result.rows[0].title}`,
-    metadata: { eventId: result.rows[0].id },
-    socketEvent: 'EVENT_CREATED',
-    socketPayload: {
-      message: `New event: ${result.rows[0].title}`,
-      event: result.rows[0]
-    },
-    sendEmail: true,
-  });
+  if (eventStatus === reviewService.PUBLISHED_STATUS) {
+    await announceEvent(result.rows[0]);
+  } else if (eventStatus === 'pending_review') {
+    await notifyReviewers(result.rows[0]);
+  }
 
   await activityService.logActivity({
     userId: req.user.id,
@@ -87,8 +228,8 @@ await notificationService.notifyRole({
   });
 
 
-  sendSuccess(res, 201, 'Event created successfully', {
-    event: result.rows[0],
+  sendSuccess(res, 201, eventStatus === 'pending_review' ? 'Event submitted for review' : 'Event created successfully', {
+    event: imageService.withImageSet(result.rows[0]),
   });
 
 });
@@ -106,12 +247,19 @@ const getAllEvents = asyncHandler(async (req, res) => {
     department,
     is_featured,
     upcoming,
+    from,
+    to,
+    status,
     page = 1,
     limit = 10,
     sort = 'start_time',
     order = 'ASC',
   } = req.query;
 
+  // A from/to window switches to one row per occurrence of recurring events
+  const windowed = Boolean(from || to);
+  const { from: windowFrom, to: windowTo } = windowed ? parseWindow(from, to) : {};
+
   const pageNum = parseInt(page);
   const limitNum = parseInt(limit);
 
@@ -140,9 +288,20 @@ const getAllEvents = asyncHandler(async (req, res) => {
   // Ensure we always use a safe, whitelisted column name for ORDER BY.
   const safeSortField = sortFieldMap[sortField] || 'e.start_time';
   
-  let sql = 'SELECT e.*, c.name as club_name, COUNT(*) OVER() as total_count FROM events e LEFT JOIN clubs c ON e.club_id = c.id WHERE e.deleted_at IS NULL';
-  const values = [];
-  let paramCounter = 1;
+  let sql = `SELECT e.*, c.name as club_name, ${RSVP_COLUMNS}, COUNT(*) OVER() as total_count FROM events e LEFT JOIN clubs c ON e.club_id = c.id WHERE e.deleted_at IS NULL`;
+  const values = [req.user ? req.user.id : null];
+  let paramCounter = 2;
+
+  // Only admins see unpublished events here; organisers use /submissions
+  if (req.user && req.user.role === 'admin') {
+    if (status) {
+      sql += ` AND e.status = $${paramCounter}`;
+      values.push(status);
+      paramCounter++;
+    }
+  } else {
+    sql += ` AND e.status = '${reviewService.PUBLISHED_STATUS}'`;
+  }
 
   // Search by title or description
   if (search) {
@@ -182,10 +341,43 @@ const getAllEvents = asyncHandler(async (req, res) => {
   }
 
   // Filter upcoming events only
-  if (upcoming === 'true') {
+  if (upcoming === 'true' && !windowed) {
     sql += ' AND e.start_time > NOW()';
   }
 
+  if (windowed) {
+    // Series can recur long after their first occurrence, so only one-offs are bounded below
+    sql += ` AND e.start_time < $${paramCounter} AND (e.recurrence_rule IS NOT NULL OR e.end_time > $${paramCounter + 1})`;
+    values.push(new Date(windowTo.getTime() + occurrenceService.RESCHEDULE_SLACK_MS), windowFrom);
+
+    const result = await query(`${sql} ORDER BY ${safeSortField} ${sortOrder}`, values);
+    const overrides = await occurrenceService.findOverrides(
+      result.rows.filter(event => event.recurrence_rule).map(event => event.id)
+    );
+
+    const direction = sortOrder === 'ASC' ? 1 : -1;
+    const occurrences = occurrenceService
+      .expandEvents(result.rows, overrides, windowFrom, windowTo)
+      .map(({ total_count: _total, ...occurrence }) => occurrence)
+      .sort((a, b) => {
+        const byField = sortField === 'title'
+          ? a.title.localeCompare(b.title)
+          : new Date(a[sortField]) - new Date(b[sortField]);
+        return direction * byField || new Date(a.start_time) - new Date(b.start_time);
+      });
+
+    return sendSuccess(res, 200, 'Events fetched successfully', {
+      events: occurrences.slice(offset, offset + limitNum).map(imageService.withImageSet),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: occurrences.length,
+        totalPages: Math.ceil(occurrences.length / limitNum),
+      },
+      window: { from: windowFrom.toISOString(), to: windowTo.toISOString() },
+    });
+  }
+
   sql += ` ORDER BY ${safeSortField} ${sortOrder}`;
   sql += ` LIMIT $${paramCounter} OFFSET $${paramCounter + 1}`;
   values.push(limitNum, offset);
@@ -194,7 +386,7 @@ const getAllEvents = asyncHandler(async (req, res) => {
   const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
   
   sendSuccess(res, 200, 'Events fetched successfully', {
-    events: result.rows,
+    events: result.rows.map(imageService.withImageSet),
     pagination: {
       page: pageNum,
       limit: limitNum,
@@ -204,6 +396,21 @@ const getAllEvents = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get upcoming events picked for the current user, each with the reason it
+ * was recommended (Protected)
+ * GET /api/events/recommended
+ */
+const getRecommendedEvents = asyncHandler(async (req, res) => {
+  const limit = parseInt(req.query.limit || 10);
+
+  const events = await recommendationService.recommendEvents(req.user.id, { limit });
+
+  sendSuccess(res, 200, 'Recommended events fetched successfully', {
+    events: events.map(imageService.withImageSet),
+  });
+});
+
 /**
  * Get single event by ID
  * GET /api/events/:id
@@ -218,26 +425,29 @@ const getEventById = asyncHandler(async (req, res) => {
   }
 
   const sql = `
-    SELECT e.*, c.name as club_name, c.description as club_description
+    SELECT e.*, c.name as club_name, c.description as club_description, ${RSVP_COLUMNS}
     FROM events e
     LEFT JOIN clubs c ON e.club_id = c.id
-    WHERE e.id = $1 AND e.deleted_at IS NULL
+    WHERE e.id = $2 AND e.deleted_at IS NULL AND ${reviewService.visibleToCaller(req.user)}
   `;
 
-  const result = await query(sql, [eventId]);
+  const result = await query(sql, [req.user ? req.user.id : null, eventId]);
 
   if (result.rows.length === 0) {
     throw new ApiError(404, 'Event not found');
   }
 
   sendSuccess(res, 200, 'Event fetched successfully', {
-    event: result.rows[0],
+    event: imageService.withImageSet(result.rows[0]),
   });
 });
 
 /**
- * Update an event (Admin only)
+ * Update an event (Admin or club organisers)
  * PUT /api/events/:id
+ * Status otherwise changes through the review endpoints, but an organiser's
+ * edit to an approved event sends it back to pending_review so it cannot
+ * change after approval. Only admins can feature an event.
  */
 const updateEvent = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -251,6 +461,8 @@ const updateEvent = asyncHandler(async (req, res) => {
     target_department,
     is_featured,
     tags,
+    max_capacity,
+    recurrence_rule,
   } = req.body;
 
   const eventId = parseInt(id);
@@ -258,54 +470,353 @@ const updateEvent = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Invalid event ID');
   }
 
-  // Only update image_url if a new file was uploaded
-  const image_url = req.file
-    ? `${req.protocol}://${req.get('host')}/uploads/${req.file.filename}`
-    : undefined;
+  const fields = { title, description, location, start_time, end_time, club_id, target_department, is_featured, tags };
+
+  let resubmitted = false;
+  if (req.user.role !== 'admin') {
+    delete fields.is_featured;
+
+    const current = await reviewService.findEvent(eventId);
+    if (!current) {
+      throw new ApiError(404, 'Event not found');
+    }
+    if (current.status === reviewService.PUBLISHED_STATUS) {
+      fields.status = 'pending_review';
+      resubmitted = true;
+    }
+  }
+
+  // Only replace the image if a new file was uploaded; the old one is removed once saved
+  let previousImageUrl = null;
+  if (req.file) {
+    const current = await query('SELECT image_url FROM events WHERE id = $1 AND deleted_at IS NULL', [eventId]);
+    previousImageUrl = current.rows[0]?.image_url || null;
+    fields.image_url = await saveUploadedImage(req);
+  }
 
-  // Build SET clause dynamically so image_url is only touched when a new file arrives
-  const sql = image_url
-    ? `UPDATE events
-       SET title=$1, description=$2, location=$3, start_time=$4, end_time=$5,
-           club_id=$6, target_department=$7, is_featured=$8, tags=$9, image_url=$10
-       WHERE id=$11 AND deleted_at IS NULL RETURNING *`
-    : `UPDATE events
-       SET title=$1, description=$2, location=$3, start_time=$4, end_time=$5,
-           club_id=$6, target_department=$7, is_featured=$8, tags=$9
-       WHERE id=$10 AND deleted_at IS NULL RETURNING *`;
+  // Leave the seat limit alone unless the form sent one
+  const capacityChanged = max_capacity !== undefined;
+  if (capacityChanged) {
+    fields.max_capacity = parseCapacity(max_capacity);
+  }
 
-  const values = image_url
-    ? [title, description, location, start_time, end_time, club_id, target_department, is_featured, tags, image_url, eventId]
-    : [title, description, location, start_time, end_time, club_id, target_department, is_featured, tags, eventId];
+  if (recurrence_rule !== undefined) {
+    fields.recurrence_rule = parseRecurrence(recurrence_rule);
+  }
 
-  const result = await query(sql, values);
+  // Build SET clause dynamically so optional columns are only touched when sent
+  const columns = Object.keys(fields);
+  const sql = `UPDATE events
+       SET ${columns.map((column, index) => `${column}=$${index + 1}`).join(', ')}
+       WHERE id=$${columns.length + 1} AND deleted_at IS NULL RETURNING *`;
+
+  const result = await query(sql, [...Object.values(fields), eventId]);
 
   if (result.rows.length === 0) {
+    await imageService.removeEventImage(fields.image_url);
     throw new ApiError(404, 'Event not found');
   }
 
-  logger.info('Event updated', { eventId: id, updatedBy: req.user.id });
+  logger.info('Event updated', { eventId: id, updatedBy: req.user.id, resubmitted });
 
-  notificationService.broadcast('EVENT_UPDATED', {
-  message: `Event updated: ${result.rows[0].title}`,
-});
+  if (previousImageUrl) {
+    await imageService.removeEventImage(previousImageUrl);
+  }
 
-await notificationService.notifyRole({
-    role: 'student',
-    eventType: 'EVENT_UPDATED',
-    title: 'Campus Event Updated',
-    message: `Event updated: ${result.rows[0].title}`,
-    metadata: { eventId: result.rows[0].id },
-    socketEvent: 'EVENT_UPDATED',
-    socketPayload: {
+  // A raised or removed limit opens seats for the waitlist
+  if (capacityChanged) {
+    await notifyPromotedUsers(result.rows[0], await rsvpService.promoteWaitlisted(eventId));
+  }
+
+  if (resubmitted) {
+    await notifyReviewers(result.rows[0]);
+  }
+
+  // Students only hear about events they can see
+  if (result.rows[0].status === reviewService.PUBLISHED_STATUS) {
+    notificationService.broadcast('EVENT_UPDATED', {
+      message: `Event updated: ${result.rows[0].title}`,
+    });
+
+    await notificationService.notifyRole({
+      role: 'student',
+      eventType: 'EVENT_UPDATED',
+      title: 'Campus Event Updated',
       message: `Event updated: ${result.rows[0].title}`,
-      event: result.rows[0]
+      metadata: { eventId: result.rows[0].id },
+      socketEvent: 'EVENT_UPDATED',
+      socketPayload: {
+        message: `Event updated: ${result.rows[0].title}`,
+        event: result.rows[0]
+      },
+      sendEmail: true,
+    });
+  }
+
+  sendSuccess(res, 200, resubmitted ? 'Event updated and sent back for review' : 'Event updated successfully', {
+    event: imageService.withImageSet(result.rows[0]),
+  });
+});
+
+/**
+ * Load a recurring series and check occurrence_start is one of its occurrences.
+ */
+const findSeriesOccurrence = async (eventId, occurrenceStart) => {
+  const result = await query(
+    'SELECT id, title, status, start_time, end_time, recurrence_rule FROM events WHERE id = $1 AND deleted_at IS NULL',
+    [eventId]
+  );
+  const event = result.rows[0];
+
+  if (!event) {
+    throw new ApiError(404, 'Event not found');
+  }
+  if (!event.recurrence_rule) {
+    throw new ApiError(400, 'This event does not repeat; edit the event itself instead');
+  }
+  if (!isOccurrence(event, occurrenceStart)) {
+    throw new ApiError(400, 'occurrence_start does not match an occurrence of this event');
+  }
+  return event;
+};
+
+/**
+ * Occurrences of one event within a window, defaulting to the next 90 days
+ * GET /api/events/:id/occurrences
+ */
+const getEventOccurrences = asyncHandler(async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  if (isNaN(eventId) || eventId < 1) {
+    throw new ApiError(400, 'Invalid event ID');
+  }
+
+  const window = parseWindow(req.query.from, req.query.to);
+  const result = await query(
+    'SELECT id, title, description, location, start_time, end_time, recurrence_rule FROM events WHERE id = $1 AND deleted_at IS NULL',
+    [eventId]
+  );
+  const event = result.rows[0];
+
+  if (!event) {
+    throw new ApiError(404, 'Event not found');
+  }
+
+  const overrides = event.recurrence_rule ? await occurrenceService.findOverrides([eventId]) : [];
+  const occurrences = occurrenceService.expandEvents([event], overrides, window.from, window.to)
+    .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+
+  sendSuccess(res, 200, 'Occurrences fetched successfully', {
+    event,
+    occurrences,
+    window: { from: window.from.toISOString(), to: window.to.toISOString() },
+  });
+});
+
+/**
+ * Edit a single occurrence of a recurring event (Admin only)
+ * PUT /api/events/:id/occurrences
+ * Also restores the occurrence if it was cancelled.
+ */
+const updateOccurrence = asyncHandler(async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  if (isNaN(eventId) || eventId < 1) {
+    throw new ApiError(400, 'Invalid event ID');
+  }
+
+  const { occurrence_start, title, description, location, start_time, end_time } = req.body;
+  const event = await findSeriesOccurrence(eventId, occurrence_start);
+
+  const originalStart = new Date(occurrence_start);
+  const duration = new Date(event.end_time) - new Date(event.start_time);
+  const start = start_time ? new Date(start_time) : originalStart;
+  const end = end_time ? new Date(end_time) : new Date(start.getTime() + duration);
+
+  if (end <= start) {
+    throw new ApiError(400, 'end_time must be after start_time');
+  }
+  if (Math.abs(start - originalStart) > occurrenceService.RESCHEDULE_SLACK_MS) {
+    throw new ApiError(400, 'A single occurrence can move by at most 7 days; edit the series instead');
+  }
+
+  const override = await occurrenceService.saveOverride({
+    eventId,
+    occurrenceStart: originalStart,
+    fields: {
+      title,
+      description,
+      location,
+      start_time: start_time || end_time ? start : undefined,
+      end_time: start_time || end_time ? end : undefined,
     },
-    sendEmail: true,
+    updatedBy: req.user.id,
+  });
+
+  logger.info('Event occurrence updated', { eventId, occurrenceStart: originalStart, updatedBy: req.user.id });
+
+  if (event.status === reviewService.PUBLISHED_STATUS) {
+    const occurrenceTitle = override.title || event.title;
+    await notificationService.notifyRole({
+      role: 'student',
+      eventType: 'EVENT_UPDATED',
+      title: 'Campus Event Updated',
+      message: `${occurrenceTitle} on ${originalStart.toDateString()} has changed`,
+      metadata: { eventId, occurrenceStart: originalStart },
+      sendEmail: true,
+    });
+  }
+
+  sendSuccess(res, 200, 'Occurrence updated successfully', { occurrence: override });
+});
+
+/**
+ * Cancel a single occurrence of a recurring event (Admin only)
+ * DELETE /api/events/:id/occurrences?occurrence_start=...
+ */
+const cancelOccurrence = asyncHandler(async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  if (isNaN(eventId) || eventId < 1) {
+    throw new ApiError(400, 'Invalid event ID');
+  }
+
+  const event = await findSeriesOccurrence(eventId, req.query.occurrence_start);
+  const occurrenceStart = new Date(req.query.occurrence_start);
+
+  const override = await occurrenceService.saveOverride({
+    eventId,
+    occurrenceStart,
+    isCancelled: true,
+    updatedBy: req.user.id,
+  });
+
+  logger.info('Event occurrence cancelled', { eventId, occurrenceStart, cancelledBy: req.user.id });
+
+  if (event.status === reviewService.PUBLISHED_STATUS) {
+    await notificationService.notifyRole({
+      role: 'student',
+      eventType: 'EVENT_OCCURRENCE_CANCELLED',
+      title: 'Campus Event Cancelled',
+      message: `${event.title} on ${occurrenceStart.toDateString()} is cancelled`,
+      metadata: { eventId, occurrenceStart },
+      sendEmail: true,
+    });
+  }
+
+  sendSuccess(res, 200, 'Occurrence cancelled successfully', { occurrence: override });
+});
+
+/**
+ * Move an event through the review workflow and tell the submitter. Each
+ * action is only valid from the statuses listed in STATUS_ACTIONS.
+ */
+const applyStatusAction = async (req, action, comment = null) => {
+  const eventId = parseInt(req.params.id);
+  if (isNaN(eventId) || eventId < 1) {
+    throw new ApiError(400, 'Invalid event ID');
+  }
+
+  const current = await reviewService.findEvent(eventId);
+  if (!current) {
+    throw new ApiError(404, 'Event not found');
+  }
+  if (!reviewService.STATUS_ACTIONS[action].from.includes(current.status)) {
+    throw new ApiError(409, `Cannot ${action} an event that is ${current.status.replace('_', ' ')}`);
+  }
+
+  const event = await reviewService.changeStatus(eventId, action, { userId: req.user.id, comment });
+  if (!event) {
+    throw new ApiError(409, 'Event status changed meanwhile; reload and try again');
+  }
+
+  logger.info('Event status changed', { eventId, from: current.status, to: event.status, changedBy: req.user.id });
+
+  await activityService.logActivity({
+    userId: req.user.id,
+    action: `${action.toUpperCase()}_EVENT`,
+    entityType: 'event',
+    entityId: eventId,
+    description: `Event ${event.title} moved from ${current.status} to ${event.status}`,
+    metadata: { from: current.status, to: event.status, comment }
   });
 
-  sendSuccess(res, 200, 'Event updated successfully', {
-    event: result.rows[0],
+  const submitter = await reviewService.findSubmitter(event);
+  if (submitter && submitter.id !== req.user.id) {
+    await notificationService.createNotificationsForUsers({
+      users: [submitter],
+      eventType: 'EVENT_STATUS_CHANGED',
+      title: 'Event Review Update',
+      message: comment
+        ? `${event.title} is now ${event.status.replace('_', ' ')}: ${comment}`
+        : `${event.title} is now ${event.status.replace('_', ' ')}`,
+      metadata: { eventId, status: event.status, comment },
+      sendEmail: true,
+    });
+  }
+
+  return { event, previousStatus: current.status };
+};
+
+/**
+ * Submit a draft or rejected event for review (Admin or club organisers)
+ * POST /api/events/:id/submit
+ */
+const submitEvent = asyncHandler(async (req, res) => {
+  const { event } = await applyStatusAction(req, 'submit');
+
+  await notifyReviewers(event);
+
+  sendSuccess(res, 200, 'Event submitted for review', { event });
+});
+
+/**
+ * Approve or reject an event awaiting review (Admin only)
+ * POST /api/events/:id/review
+ */
+const reviewEvent = asyncHandler(async (req, res) => {
+  const { status, comment } = req.body;
+  const action = status === 'approved' ? 'approve' : 'reject';
+
+  const { event } = await applyStatusAction(req, action, comment || null);
+
+  if (action === 'approve') {
+    await announceEvent(event);
+  }
+
+  sendSuccess(res, 200, action === 'approve' ? 'Event approved' : 'Event rejected', { event });
+});
+
+/**
+ * Cancel an event; attendees of a published event are told (Admin or club organisers)
+ * POST /api/events/:id/cancel
+ */
+const cancelEvent = asyncHandler(async (req, res) => {
+  const comment = req.body?.comment || null;
+  const { event, previousStatus } = await applyStatusAction(req, 'cancel', comment);
+
+  if (previousStatus === reviewService.PUBLISHED_STATUS) {
+    const attendees = await reviewService.findAttendees(event.id);
+    await notificationService.createNotificationsForUsers({
+      users: attendees,
+      eventType: 'EVENT_CANCELLED',
+      title: 'Campus Event Cancelled',
+      message: comment ? `${event.title} is cancelled: ${comment}` : `${event.title} is cancelled`,
+      metadata: { eventId: event.id },
+      sendEmail: true,
+    });
+  }
+
+  sendSuccess(res, 200, 'Event cancelled', { event });
+});
+
+/**
+ * Events the user submitted or organises, in any status (Protected)
+ * GET /api/events/submissions
+ */
+const getEventSubmissions = asyncHandler(async (req, res) => {
+  const events = await reviewService.findSubmissions(req.user.id, req.query.status);
+
+  sendSuccess(res, 200, 'Event submissions fetched successfully', {
+    events: events.map(imageService.withImageSet),
+    count: events.length,
   });
 });
 
@@ -349,8 +860,9 @@ const saveEvent = asyncHandler(async (req, res) => {
   }
 
   // Check if event exists and is not soft-deleted
-  const eventCheck = await query('SELECT id FROM events WHERE id = $1 AND deleted_at IS NULL', [
+  const eventCheck = await query('SELECT id FROM events WHERE id = $1 AND deleted_at IS NULL AND status = $2', [
     eventId,
+    reviewService.PUBLISHED_STATUS,
   ]);
   if (eventCheck.rows.length === 0) {
     throw new ApiError(404, 'Event not found');
@@ -422,21 +934,100 @@ const getSavedEvents = asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
   const sql = `
-    SELECT e.*, c.name as club_name, se.saved_at
+    SELECT e.*, c.name as club_name, se.saved_at,
+      NOT EXISTS (SELECT 1 FROM event_reminder_opt_outs o WHERE o.event_id = e.id AND o.user_id = $1) as reminders_enabled
     FROM saved_events se
     JOIN events e ON se.event_id = e.id
     LEFT JOIN clubs c ON e.club_id = c.id
-    WHERE se.user_id = $1 AND e.deleted_at IS NULL
+    WHERE se.user_id = $1 AND e.deleted_at IS NULL AND e.status = '${reviewService.PUBLISHED_STATUS}'
     ORDER BY e.start_time ASC
   `;
 
   const result = await query(sql, [userId]);
 
   sendSuccess(res, 200, 'Saved events fetched successfully', {
-    events: result.rows,
+    events: result.rows.map(imageService.withImageSet),
     count: result.rows.length,
   });
 });
+
+/**
+ * Download a single event as an iCalendar file (Public)
+ * GET /api/events/:id/ics
+ */
+const exportEventIcs = asyncHandler(async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  if (isNaN(eventId) || eventId < 1) {
+    throw new ApiError(400, 'Invalid event ID');
+  }
+
+  const result = await query(
+    `SELECT e.*, c.name as club_name
+     FROM events e
+     LEFT JOIN clubs c ON e.club_id = c.id
+     WHERE e.id = $1 AND e.deleted_at IS NULL AND e.status = $2`,
+    [eventId, reviewService.PUBLISHED_STATUS]
+  );
+  const event = result.rows[0];
+
+  if (!event) {
+    throw new ApiError(404, 'Event not found');
+  }
+
+  const overrides = await icsService.findCalendarOverrides([event]);
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="event-${eventId}.ics"`);
+  res.status(200).send(icsService.buildCalendar({ name: event.title, events: [event], overrides }));
+});
+
+const feedUrls = (req, token) => {
+  const feedUrl = `${req.protocol}://${req.get('host')}/api/events/calendar-feed/${token}.ics`;
+  return { feed_url: feedUrl, webcal_url: feedUrl.replace(/^https?:/, 'webcal:') };
+};
+
+/**
+ * Subscription URL for the user's saved and RSVP'd events (Protected)
+ * GET /api/events/calendar-feed
+ */
+const getCalendarFeed = asyncHandler(async (req, res) => {
+  const token = await icsService.getFeedToken(req.user.id);
+
+  sendSuccess(res, 200, 'Calendar feed fetched successfully', feedUrls(req, token));
+});
+
+/**
+ * Issue a new subscription URL; the old one stops working (Protected)
+ * POST /api/events/calendar-feed/reset
+ */
+const resetCalendarFeed = asyncHandler(async (req, res) => {
+  const token = await icsService.resetFeedToken(req.user.id);
+
+  logger.info('Calendar feed token reset', { userId: req.user.id });
+
+  sendSuccess(res, 200, 'Calendar feed URL reset successfully', feedUrls(req, token));
+});
+
+/**
+ * iCalendar feed of a user's saved and RSVP'd events. The secret in the URL
+ * is the credential, since calendar apps cannot send auth headers.
+ * GET /api/events/calendar-feed/:token.ics
+ */
+const getCalendarFeedIcs = asyncHandler(async (req, res) => {
+  const feed = await icsService.findFeed(req.params.token);
+
+  if (!feed) {
+    throw new ApiError(404, 'Calendar feed not found');
+  }
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', 'inline; filename="campus-events.ics"');
+  res.status(200).send(icsService.buildCalendar({
+    name: `Campus Events - ${feed.user.full_name}`,
+    events: feed.events,
+    overrides: feed.overrides,
+  }));
+});
 /**
  * RSVP or Waitlist for an Event (Protected)
  * POST /api/events/:id/rsvp
@@ -450,63 +1041,29 @@ const rsvpToEvent = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Invalid event ID');
   }
 
-  // 1. Fetch Event and its Max Capacity
-  const eventCheck = await query('SELECT id, title, max_capacity FROM events WHERE id = $1 AND deleted_at IS NULL', [eventId]);
-  if (eventCheck.rows.length === 0) {
+  const { event, rsvp, existing } = await rsvpService.register(eventId, userId);
+  if (!event) {
     throw new ApiError(404, 'Event not found');
   }
-  
-  const event = eventCheck.rows[0];
-  // Default max_capacity to 50 if it's null/not specified dynamically
-  const maxCapacity = event.max_capacity || 50; 
-
-  // 2. Check if user has ALREADY requested RSVP/Waitlist to prevent duplicates
-  const duplicateCheck = await query(
-    'SELECT status FROM event_rsvps WHERE user_id = $1 AND event_id = $2',
-    [userId, eventId]
-  );
-  if (duplicateCheck.rows.length > 0) {
-    throw new ApiError(400, `You have already registered for this event. Status: ${duplicateCheck.rows[0].status}`);
-  }
-
-  // 3. Count current 'confirmed' reservations
-  const countCheck = await query(
-    "SELECT COUNT(*)::int as total FROM event_rsvps WHERE event_id = $1 AND status = 'confirmed'",
-    [eventId]
-  );
-  const currentConfirmedCount = countCheck.rows[0].total;
-
-  // 4. Conditional State Engine Assignment
-  let rsvpStatus = 'confirmed';
-  if (currentConfirmedCount >= maxCapacity) {
-    rsvpStatus = 'waitlisted';
+  if (existing) {
+    throw new ApiError(400, `You have already registered for this event. Status: ${existing.status}`);
   }
 
-  // 5. Insert Record inside PostgreSQL Database
-  const insertSql = `
-    INSERT INTO event_rsvps (user_id, event_id, status)
-    VALUES ($1, $2, $3)
-    RETURNING id, status, created_at
-  `;
-  const insertResult = await query(insertSql, [userId, eventId, rsvpStatus]);
-
-  logger.info('Event RSVP processed', { eventId, userId, status: rsvpStatus });
+  logger.info('Event RSVP processed', { eventId, userId, status: rsvp.status });
 
-  // 6. Log Dynamic Tracking Activity Logs
   await activityService.logActivity({
     userId,
-    action: rsvpStatus === 'confirmed' ? 'CONFIRM_RSVP' : 'JOIN_WAITLIST',
+    action: rsvp.status === 'confirmed' ? 'CONFIRM_RSVP' : 'JOIN_WAITLIST',
     entityType: 'event_rsvp',
-    entityId: insertResult.rows[0].id,
-    description: rsvpStatus === 'confirmed' 
+    entityId: rsvp.id,
+    description: rsvp.status === 'confirmed'
       ? `Successfully confirmed seat for event: ${event.title}`
       : `Added to the waitlist queue for full event: ${event.title}`,
-    metadata: { eventId, status: rsvpStatus }
+    metadata: { eventId, status: rsvp.status }
   });
 
-  // 7. Dispatch Network Status Array Response
-  sendSuccess(res, 201, rsvpStatus === 'confirmed' ? 'RSVP confirmed successfully' : 'Event full! You have been added to the waitlist', {
-    rsvp: insertResult.rows[0]
+  sendSuccess(res, 201, rsvp.status === 'confirmed' ? 'RSVP confirmed successfully' : 'Event full! You have been added to the waitlist', {
+    rsvp
   });
 });
 
@@ -523,29 +1080,16 @@ const cancelRsvpToEvent = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Invalid event ID');
   }
 
-  // 1. Fetch Event
-  const eventCheck = await query('SELECT id, title FROM events WHERE id = $1 AND deleted_at IS NULL', [eventId]);
-  if (eventCheck.rows.length === 0) {
+  const { event, rsvp, promoted } = await rsvpService.cancel(eventId, userId);
+  if (!event) {
     throw new ApiError(404, 'Event not found');
   }
-  const event = eventCheck.rows[0];
-
-  // 2. Check if RSVP exists
-  const rsvpCheck = await query(
-    'SELECT id, status FROM event_rsvps WHERE user_id = $1 AND event_id = $2',
-    [userId, eventId]
-  );
-  if (rsvpCheck.rows.length === 0) {
+  if (!rsvp) {
     throw new ApiError(400, 'You are not registered for this event');
   }
-  const rsvp = rsvpCheck.rows[0];
-
-  // 3. Delete the RSVP record
-  await query('DELETE FROM event_rsvps WHERE user_id = $1 AND event_id = $2', [userId, eventId]);
 
   logger.info('Event RSVP cancelled', { eventId, userId });
 
-  // 4. Log Dynamic Tracking Activity Logs
   await activityService.logActivity({
     userId,
     action: 'CANCEL_RSVP',
@@ -555,10 +1099,356 @@ const cancelRsvpToEvent = asyncHandler(async (req, res) => {
     metadata: { eventId, status: rsvp.status }
   });
 
-  // 5. Send Success response
+  await notifyPromotedUsers(event, promoted);
+
   sendSuccess(res, 200, 'Registration cancelled successfully');
 });
 
+/**
+ * Get the current user's RSVP and waitlist position (Protected)
+ * GET /api/events/:id/rsvp
+ */
+const getMyRsvp = asyncHandler(async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  if (isNaN(eventId) || eventId < 1) {
+    throw new ApiError(400, 'Invalid event ID');
+  }
+
+  const rsvp = await rsvpService.findForUser(eventId, req.user.id);
+
+  sendSuccess(res, 200, rsvp ? 'RSVP fetched successfully' : 'Not registered for this event', { rsvp });
+});
+
+/**
+ * Whether the current user gets reminders for an event (Protected)
+ * GET /api/events/:id/reminders
+ */
+const getReminderPreference = asyncHandler(async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  if (isNaN(eventId) || eventId < 1) {
+    throw new ApiError(400, 'Invalid event ID');
+  }
+
+  const enabled = await reminderService.remindersEnabled(eventId, req.user.id);
+
+  sendSuccess(res, 200, 'Reminder preference fetched successfully', {
+    enabled,
+    offsets_minutes: reminderService.parseOffsets(process.env.EVENT_REMINDER_OFFSETS_MINUTES),
+  });
+});
+
+/**
+ * Opt in to or out of reminders for one event (Protected)
+ * PUT /api/events/:id/reminders
+ */
+const updateReminderPreference = asyncHandler(async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  if (isNaN(eventId) || eventId < 1) {
+    throw new ApiError(400, 'Invalid event ID');
+  }
+
+  const eventCheck = await query('SELECT id FROM events WHERE id = $1 AND deleted_at IS NULL', [eventId]);
+  if (eventCheck.rows.length === 0) {
+    throw new ApiError(404, 'Event not found');
+  }
+
+  const { enabled } = req.body;
+  await reminderService.setRemindersEnabled(eventId, req.user.id, enabled);
+
+  logger.info('Event reminder preference updated', { eventId, userId: req.user.id, enabled });
+
+  sendSuccess(res, 200, enabled ? 'Reminders turned on for this event' : 'Reminders turned off for this event', { enabled });
+});
+
+/**
+ * Get an event's attendees and waitlist (Admin only)
+ * GET /api/events/:id/rsvps
+ */
+const getEventRsvps = asyncHandler(async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  if (isNaN(eventId) || eventId < 1) {
+    throw new ApiError(400, 'Invalid event ID');
+  }
+
+  const eventCheck = await query(
+    'SELECT id, title, max_capacity FROM events WHERE id = $1 AND deleted_at IS NULL',
+    [eventId]
+  );
+  if (eventCheck.rows.length === 0) {
+    throw new ApiError(404, 'Event not found');
+  }
+
+  const { confirmed, waitlisted } = await rsvpService.findAttendees(eventId);
+
+  sendSuccess(res, 200, 'Event RSVPs fetched successfully', {
+    event: eventCheck.rows[0],
+    confirmed,
+    waitlisted,
+    counts: { confirmed: confirmed.length, waitlisted: waitlisted.length },
+  });
+});
+
+/**
+ * Get the current user's check-in QR code for a confirmed RSVP (Protected)
+ * GET /api/events/:id/check-in-pass?occurrence_start=
+ * A recurring series gets one pass per occurrence, by default for the
+ * occurrence in progress or next up.
+ */
+const getCheckInPass = asyncHandler(async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  if (isNaN(eventId) || eventId < 1) {
+    throw new ApiError(400, 'Invalid event ID');
+  }
+
+  const rsvp = await rsvpService.findForUser(eventId, req.user.id);
+  if (!rsvp) {
+    throw new ApiError(404, 'You are not registered for this event');
+  }
+  if (rsvp.status !== 'confirmed') {
+    throw new ApiError(400, 'A check-in pass is issued once your seat is confirmed');
+  }
+
+  const eventCheck = await query(
+    'SELECT id, start_time, end_time, recurrence_rule FROM events WHERE id = $1 AND deleted_at IS NULL',
+    [eventId]
+  );
+  const event = eventCheck.rows[0];
+  if (!event) {
+    throw new ApiError(404, 'Event not found');
+  }
+
+  const occurrence = event.recurrence_rule
+    ? await checkInService.resolveOccurrence(event, req.query.occurrence_start)
+    : null;
+  const token = checkInService.createToken({ id: rsvp.id, event_id: eventId }, occurrence?.occurrence_start);
+  const qrCode = await twofaService.generateQRCodeDataURL(token);
+
+  sendSuccess(res, 200, 'Check-in pass generated successfully', {
+    token,
+    qr_code: qrCode,
+    occurrence: occurrence && {
+      occurrence_start: occurrence.occurrence_start,
+      start_time: occurrence.start_time,
+      end_time: occurrence.end_time,
+    },
+    checked_in_at: occurrence
+      ? await checkInService.findOccurrenceCheckIn(rsvp.id, occurrence.occurrence_start)
+      : rsvp.checked_in_at,
+  });
+});
+
+/**
+ * Check an attendee in by their scanned QR token (Admin only)
+ * POST /api/events/:id/check-in
+ */
+const checkInAttendee = asyncHandler(async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  if (isNaN(eventId) || eventId < 1) {
+    throw new ApiError(400, 'Invalid event ID');
+  }
+
+  const parsed = checkInService.parseToken(req.body.token);
+  if (!parsed) {
+    throw new ApiError(400, 'Invalid check-in code');
+  }
+  if (parsed.eventId !== eventId) {
+    throw new ApiError(400, 'This check-in code is for a different event');
+  }
+
+  const rsvp = await checkInService.findRsvpWithUser(parsed.rsvpId);
+  if (!rsvp || rsvp.event_id !== eventId) {
+    throw new ApiError(404, 'RSVP not found. It may have been cancelled');
+  }
+  if (rsvp.status !== 'confirmed') {
+    throw new ApiError(400, `${rsvp.full_name} is still on the waitlist`);
+  }
+  // Passes name an occurrence exactly when the event repeats
+  if (Boolean(rsvp.recurrence_rule) !== Boolean(parsed.occurrenceStart)) {
+    throw new ApiError(400, 'This check-in code is out of date. Ask the attendee to reopen their pass');
+  }
+
+  const occurrence = parsed.occurrenceStart
+    ? await checkInService.resolveOccurrence(
+      { id: eventId, start_time: rsvp.start_time, end_time: rsvp.end_time, recurrence_rule: rsvp.recurrence_rule },
+      parsed.occurrenceStart
+    )
+    : null;
+
+  // markCheckedIn only records the first scan, so a concurrent second scan also lands here
+  const attendee = !occurrence && rsvp.checked_in_at
+    ? null
+    : await checkInService.markCheckedIn(rsvp.id, req.user.id, occurrence?.occurrence_start);
+  if (!attendee) {
+    throw new ApiError(409, `${rsvp.full_name} is already checked in`);
+  }
+
+  logger.info('Event check-in', {
+    eventId,
+    rsvpId: rsvp.id,
+    occurrenceStart: occurrence?.occurrence_start,
+    checkedInBy: req.user.id
+  });
+
+  await activityService.logActivity({
+    userId: req.user.id,
+    action: 'EVENT_CHECK_IN',
+    entityType: 'event_rsvp',
+    entityId: rsvp.id,
+    description: `Checked in ${attendee.full_name}`,
+    metadata: { eventId, userId: attendee.user_id, occurrenceStart: occurrence?.occurrence_start }
+  });
+
+  sendSuccess(res, 200, `${attendee.full_name} checked in`, { attendee });
+});
+
+/**
+ * Get an event's attendance report with no-show rate (Admin only)
+ * GET /api/events/:id/attendance?occurrence_start=
+ * A recurring series is reported one occurrence at a time, by default the
+ * latest one to have started, alongside check-in counts per occurrence.
+ */
+const getEventAttendance = asyncHandler(async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  if (isNaN(eventId) || eventId < 1) {
+    throw new ApiError(400, 'Invalid event ID');
+  }
+
+  const eventCheck = await query(
+    'SELECT id, title, start_time, end_time, max_capacity, recurrence_rule FROM events WHERE id = $1 AND deleted_at IS NULL',
+    [eventId]
+  );
+  if (eventCheck.rows.length === 0) {
+    throw new ApiError(404, 'Event not found');
+  }
+  const event = eventCheck.rows[0];
+
+  const occurrence = event.recurrence_rule
+    ? await checkInService.resolveOccurrence(event, req.query.occurrence_start, { prefer: 'latest' })
+    : null;
+  const { summary, attendees } = await checkInService.getAttendanceReport(event, occurrence);
+
+  sendSuccess(res, 200, 'Event attendance fetched successfully', {
+    event,
+    summary,
+    attendees,
+    ...(occurrence && {
+      occurrence: {
+        occurrence_start: occurrence.occurrence_start,
+        start_time: occurrence.start_time,
+        end_time: occurrence.end_time,
+      },
+      occurrences: await checkInService.summariseOccurrences(event),
+    }),
+  });
+});
+
+/**
+ * Published event row for feedback requests, or a 404.
+ */
+const findFeedbackEvent = async (eventId) => {
+  const eventCheck = await query(
+    `SELECT id, title, start_time, end_time, recurrence_rule
+     FROM events WHERE id = $1 AND deleted_at IS NULL AND status = $2`,
+    [eventId, reviewService.PUBLISHED_STATUS]
+  );
+  if (eventCheck.rows.length === 0) {
+    throw new ApiError(404, 'Event not found');
+  }
+  return eventCheck.rows[0];
+};
+
+/**
+ * Get the current user's feedback on an event and whether they can still
+ * leave it (Protected)
+ * GET /api/events/:id/feedback/me
+ */
+const getMyEventFeedback = asyncHandler(async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  if (isNaN(eventId) || eventId < 1) {
+    throw new ApiError(400, 'Invalid event ID');
+  }
+
+  const event = await findFeedbackEvent(eventId);
+  const [window, attendance, feedback] = await Promise.all([
+    feedbackService.getFeedbackWindow(event),
+    feedbackService.findAttendance(eventId, req.user.id),
+    feedbackService.findFeedback(eventId, req.user.id),
+  ]);
+
+  sendSuccess(res, 200, 'Feedback fetched successfully', {
+    feedback,
+    window,
+    can_submit: window.is_open && feedbackService.hasAttended(attendance),
+  });
+});
+
+/**
+ * Rate an attended event, or update an earlier rating, while the feedback
+ * window is open (Protected)
+ * PUT /api/events/:id/feedback
+ */
+const submitEventFeedback = asyncHandler(async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  if (isNaN(eventId) || eventId < 1) {
+    throw new ApiError(400, 'Invalid event ID');
+  }
+
+  const event = await findFeedbackEvent(eventId);
+
+  const attendance = await feedbackService.findAttendance(eventId, req.user.id);
+  if (!feedbackService.hasAttended(attendance)) {
+    throw new ApiError(403, 'Only attendees can leave feedback on this event');
+  }
+
+  const window = await feedbackService.getFeedbackWindow(event);
+  if (!window.is_open) {
+    throw new ApiError(400, window.closes_at ? 'The feedback window for this event has closed' : 'Feedback opens once the event has ended');
+  }
+
+  const { rating, comment } = req.body;
+  const feedback = await feedbackService.saveFeedback({ eventId, userId: req.user.id, rating, comment });
+
+  logger.info('Event feedback submitted', { eventId, userId: req.user.id, rating });
+
+  await activityService.logActivity({
+    userId: req.user.id,
+    action: 'EVENT_FEEDBACK',
+    entityType: 'event',
+    entityId: eventId,
+    description: `Rated ${event.title} ${rating}/5`,
+    metadata: { eventId, rating }
+  });
+
+  sendSuccess(res, 200, 'Thanks for your feedback', { feedback });
+});
+
+/**
+ * Get an event's average rating and comments (Admin or club organisers)
+ * GET /api/events/:id/feedback
+ */
+const getEventFeedback = asyncHandler(async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  if (isNaN(eventId) || eventId < 1) {
+    throw new ApiError(400, 'Invalid event ID');
+  }
+
+  const eventCheck = await query(
+    'SELECT id, title, start_time, end_time FROM events WHERE id = $1 AND deleted_at IS NULL',
+    [eventId]
+  );
+  if (eventCheck.rows.length === 0) {
+    throw new ApiError(404, 'Event not found');
+  }
+
+  const { summary, feedback } = await feedbackService.getFeedbackReport(eventId);
+
+  sendSuccess(res, 200, 'Event feedback fetched successfully', {
+    event: eventCheck.rows[0],
+    summary,
+    feedback,
+  });
+});
+
 /**
  * Restore a soft-deleted event (Admin only)
  * POST /api/events/:id/restore
@@ -586,6 +1476,7 @@ const restoreEvent = asyncHandler(async (req, res) => {
 module.exports = {
   createEvent,
   getAllEvents,
+  getRecommendedEvents,
   getEventById,
   updateEvent,
   deleteEvent,
@@ -595,4 +1486,25 @@ module.exports = {
   getSavedEvents,
   rsvpToEvent,
   cancelRsvpToEvent,
+  getMyRsvp,
+  getReminderPreference,
+  updateReminderPreference,
+  getEventRsvps,
+  getCheckInPass,
+  checkInAttendee,
+  getEventAttendance,
+  getMyEventFeedback,
+  submitEventFeedback,
+  getEventFeedback,
+  getEventOccurrences,
+  updateOccurrence,
+  cancelOccurrence,
+  submitEvent,
+  reviewEvent,
+  cancelEvent,
+  getEventSubmissions,
+  exportEventIcs,
+  getCalendarFeed,
+  resetCalendarFeed,
+  getCalendarFeedIcs,
 };
\ No newline at end of file
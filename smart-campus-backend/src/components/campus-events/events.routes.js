@@ -3,20 +3,15 @@ const router = express.Router();
 const path = require('path');
 const multer = require('multer');
 const eventsController = require('./events.controller');
-const { verifyToken, verifyAdmin } = require('../../middleware/auth.middleware');
+const { verifyToken, verifyAdmin, optionalAuth } = require('../../middleware/auth.middleware');
+const { verifyClubManager, verifyAnyClubManager } = require('../../middleware/clubRole.middleware');
+const membershipService = require('./club.membership.service');
 const { validate, validationSchemas } = require('../../middleware/validation');
 const { apiLimiter } = require('../../middleware/rateLimiter.middleware'); // 🛡️ Rate Limiter from Issue #190
 
 // ── Multer Storage Config ──────────────────────────────────────────────────
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/'); 
-  },
-  filename: (req, file, cb) => {
-    const unique = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
-    cb(null, `event-${unique}${path.extname(file.originalname)}`);
-  },
-});
+// Uploads stay in memory; the controller writes resized, EXIF-free copies to uploads/
+const storage = multer.memoryStorage();
 
 const fileFilter = (req, file, cb) => {
   const allowed = /jpeg|jpg|png|gif|webp/;
@@ -32,25 +27,58 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 }, // 5 MB
 });
 
+// Club presidents and coordinators organise their own club's events; moving
+// an event to another club needs rights over both
+const bodyClub = async (req) => [req.body.club_id];
+const eventClub = async (req) => [await membershipService.findEventClubId(req.params.id)];
+const eventAndBodyClubs = async (req) => [...await eventClub(req), req.body.club_id];
+
 // ── Routes ─────────────────────────────────────────────────────────────────
 
 // Public routes 🛡️ (With Issue #190 Rate Limiting)
-router.get('/', apiLimiter, validate(validationSchemas.eventQuery, 'query'), eventsController.getAllEvents);
+router.get('/', apiLimiter, optionalAuth, validate(validationSchemas.eventQuery, 'query'), eventsController.getAllEvents);
 
 // Protected routes — must be declared BEFORE /:id to avoid route shadowing
 router.get('/saved/my-events', verifyToken, eventsController.getSavedEvents);
+router.get('/recommended', verifyToken, validate(validationSchemas.eventRecommendationQuery, 'query'), eventsController.getRecommendedEvents);
+router.get('/calendar-feed', verifyToken, eventsController.getCalendarFeed);
+router.get('/submissions', verifyToken, validate(validationSchemas.eventSubmissionQuery, 'query'), eventsController.getEventSubmissions);
+router.post('/calendar-feed/reset', verifyToken, eventsController.resetCalendarFeed);
 
-router.get('/:id', apiLimiter, validate(validationSchemas.idParam, 'params'), eventsController.getEventById);
+// Calendar apps fetch the feed without a session; the secret in the path authenticates it
+router.get('/calendar-feed/:token.ics', apiLimiter, validate(validationSchemas.calendarFeedParam, 'params'), eventsController.getCalendarFeedIcs);
+
+router.get('/:id', apiLimiter, optionalAuth, validate(validationSchemas.idParam, 'params'), eventsController.getEventById);
 router.post('/:id/save', verifyToken, validate(validationSchemas.idParam, 'params'), eventsController.saveEvent);
 router.delete('/:id/save', verifyToken, validate(validationSchemas.idParam, 'params'), eventsController.unsaveEvent);
+router.get('/:id/ics', apiLimiter, validate(validationSchemas.idParam, 'params'), eventsController.exportEventIcs);
 
 // RSVP routes
+router.get('/:id/rsvp', verifyToken, validate(validationSchemas.idParam, 'params'), eventsController.getMyRsvp);
 router.post('/:id/rsvp', verifyToken, validate(validationSchemas.idParam, 'params'), eventsController.rsvpToEvent);
 router.delete('/:id/rsvp', verifyToken, validate(validationSchemas.idParam, 'params'), eventsController.cancelRsvpToEvent);
+router.get('/:id/reminders', verifyToken, validate(validationSchemas.idParam, 'params'), eventsController.getReminderPreference);
+router.put('/:id/reminders', verifyToken, validate(validationSchemas.idParam, 'params'), validate(validationSchemas.eventReminderPreference), eventsController.updateReminderPreference);
+router.get('/:id/feedback/me', verifyToken, validate(validationSchemas.idParam, 'params'), eventsController.getMyEventFeedback);
+router.put('/:id/feedback', verifyToken, validate(validationSchemas.idParam, 'params'), validate(validationSchemas.eventFeedback), eventsController.submitEventFeedback);
+router.get('/:id/check-in-pass', verifyToken, validate(validationSchemas.idParam, 'params'), validate(validationSchemas.eventCheckInOccurrenceQuery, 'query'), eventsController.getCheckInPass);
+
+// Organiser routes (admins, or the club's president and coordinators).
+// Uploads are only parsed for users who manage some club; the club itself is checked after.
+router.post('/', verifyToken, verifyAnyClubManager, upload.single('image'), verifyClubManager(bodyClub), eventsController.createEvent);
+router.put('/:id', verifyToken, verifyAnyClubManager, upload.single('image'), validate(validationSchemas.idParam, 'params'), verifyClubManager(eventAndBodyClubs), eventsController.updateEvent);
+router.get('/:id/rsvps', verifyToken, validate(validationSchemas.idParam, 'params'), verifyClubManager(eventClub), eventsController.getEventRsvps);
+router.get('/:id/attendance', verifyToken, validate(validationSchemas.idParam, 'params'), verifyClubManager(eventClub), validate(validationSchemas.eventCheckInOccurrenceQuery, 'query'), eventsController.getEventAttendance);
+router.get('/:id/feedback', verifyToken, validate(validationSchemas.idParam, 'params'), verifyClubManager(eventClub), eventsController.getEventFeedback);
+router.post('/:id/check-in', verifyToken, validate(validationSchemas.idParam, 'params'), verifyClubManager(eventClub), validate(validationSchemas.eventCheckIn), eventsController.checkInAttendee);
+router.get('/:id/occurrences', verifyToken, validate(validationSchemas.idParam, 'params'), verifyClubManager(eventClub), validate(validationSchemas.eventOccurrenceWindow, 'query'), eventsController.getEventOccurrences);
+router.put('/:id/occurrences', verifyToken, validate(validationSchemas.idParam, 'params'), verifyClubManager(eventClub), validate(validationSchemas.eventOccurrence), eventsController.updateOccurrence);
+router.delete('/:id/occurrences', verifyToken, validate(validationSchemas.idParam, 'params'), verifyClubManager(eventClub), validate(validationSchemas.eventOccurrenceQuery, 'query'), eventsController.cancelOccurrence);
+router.post('/:id/submit', verifyToken, validate(validationSchemas.idParam, 'params'), verifyClubManager(eventClub), eventsController.submitEvent);
+router.post('/:id/cancel', verifyToken, validate(validationSchemas.idParam, 'params'), verifyClubManager(eventClub), validate(validationSchemas.eventCancel), eventsController.cancelEvent);
 
 // Admin-only routes
-router.post('/', verifyToken, verifyAdmin, upload.single('image'), eventsController.createEvent);
-router.put('/:id', verifyToken, verifyAdmin, upload.single('image'), validate(validationSchemas.idParam, 'params'), eventsController.updateEvent);
+router.post('/:id/review', verifyToken, verifyAdmin, validate(validationSchemas.idParam, 'params'), validate(validationSchemas.eventReview), eventsController.reviewEvent);
 router.delete('/:id', verifyToken, verifyAdmin, validate(validationSchemas.idParam, 'params'), eventsController.deleteEvent);
 router.post('/:id/restore', verifyToken, verifyAdmin, validate(validationSchemas.idParam, 'params'), eventsController.restoreEvent);
 
@@ -0,0 +1,75 @@
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { parseInteger } = require('../../utils/request');
+const { getPeriodTimes, findPeriodAt, dayOfWeekFor } = require('../timetable/timetable.periods');
+const settingsService = require('../settings/settings.service');
+const classroomService = require('./classroom.service');
+
+/**
+ * Classroom Controller
+ * Room availability against the published timetable and approved bookings
+ */
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const parseOptionalBoolean = (value) =>
+  value === undefined ? undefined : String(value) === 'true';
+
+/**
+ * Find free and occupied rooms at a date and time (or period)
+ * GET /api/classrooms/availability?date=YYYY-MM-DD&time=HH:MM
+ * GET /api/classrooms/availability?date=YYYY-MM-DD&period=3
+ *
+ * Defaults to the current date and time. Outside the bell schedule's
+ * periods and working days every matching room is reported as available.
+ */
+const getAvailability = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const date = req.query.date
+    ? String(req.query.date).slice(0, 10)
+    : `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  const time = req.query.time || `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+
+  const bellSchedule = await settingsService.getBellSchedule();
+  const weekday = dayOfWeekFor(date);
+  const dayOfWeek = bellSchedule.working_days.includes(weekday) ? weekday : null;
+  const periodNumber = req.query.period !== undefined
+    ? parseInteger(req.query.period)
+    : findPeriodAt(time, bellSchedule);
+  const periodTimes = periodNumber ? getPeriodTimes(bellSchedule, periodNumber) : null;
+  const inSession = Boolean(dayOfWeek && periodTimes);
+
+  const rooms = await classroomService.getRoomAvailability({
+    date,
+    dayOfWeek,
+    periodNumber,
+    roomType: req.query.room_type,
+    minCapacity: parseInteger(req.query.min_capacity),
+    building: req.query.building,
+    hasProjector: parseOptionalBoolean(req.query.has_projector),
+    hasComputer: parseOptionalBoolean(req.query.has_computer),
+    academicYear: req.query.academic_year,
+    semesterType: req.query.semester_type
+  });
+
+  const available = rooms.filter(room => room.is_available).length;
+
+  res.json({
+    success: true,
+    data: {
+      date,
+      day_of_week: dayOfWeek,
+      period_number: inSession ? periodNumber : null,
+      start_time: inSession ? periodTimes.start : null,
+      end_time: inSession ? periodTimes.end : null,
+      rooms,
+      count: rooms.length,
+      available_count: available,
+      occupied_count: rooms.length - available
+    },
+    message: inSession ? undefined : 'No class period is scheduled at this time'
+  });
+});
+
+module.exports = {
+  getAvailability
+};
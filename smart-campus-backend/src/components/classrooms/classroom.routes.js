@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const classroomController = require('./classroom.controller');
+const bookingController = require('./room.booking.controller');
+const { verifyToken, verifyAdmin } = require('../../middleware/auth.middleware');
+const { validate, validationSchemas } = require('../../middleware/validation');
+
+/**
+ * Classroom Routes
+ * Base path: /api/classrooms
+ */
+
+router.get(
+  '/availability',
+  verifyToken,
+  validate(validationSchemas.classroomAvailabilityQuery, 'query'),
+  classroomController.getAvailability
+);
+
+// Room bookings - requesters manage their own, admins review
+
+router.get(
+  '/bookings',
+  verifyToken,
+  validate(validationSchemas.roomBookingsQuery, 'query'),
+  bookingController.getBookings
+);
+
+router.post(
+  '/bookings',
+  verifyToken,
+  validate(validationSchemas.roomBooking),
+  bookingController.createBooking
+);
+
+router.get(
+  '/bookings/:id',
+  verifyToken,
+  validate(validationSchemas.uuidParam, 'params'),
+  bookingController.getBooking
+);
+
+router.post(
+  '/bookings/:id/approve',
+  verifyToken,
+  verifyAdmin,
+  validate(validationSchemas.uuidParam, 'params'),
+  validate(validationSchemas.roomBookingReview),
+  bookingController.approveBooking
+);
+
+router.post(
+  '/bookings/:id/reject',
+  verifyToken,
+  verifyAdmin,
+  validate(validationSchemas.uuidParam, 'params'),
+  validate(validationSchemas.roomBookingReview),
+  bookingController.rejectBooking
+);
+
+router.post(
+  '/bookings/:id/cancel',
+  verifyToken,
+  validate(validationSchemas.uuidParam, 'params'),
+  validate(validationSchemas.roomBookingReview),
+  bookingController.cancelBooking
+);
+
+module.exports = router;
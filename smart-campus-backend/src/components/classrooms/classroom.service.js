@@ -0,0 +1,141 @@
+const { query } = require('../../config/db');
+const { PUBLISHED_VERSION_JOIN } = require('../timetable/timetable.read.service');
+
+/**
+ * Active rooms with their occupancy at one date/period, from the published
+ * timetable and approved room bookings. Occupied rooms carry the class or
+ * booking holding them.
+ *
+ * @param {object} params
+ * @param {string} params.date            - 'YYYY-MM-DD'
+ * @param {string} params.dayOfWeek       - 'Monday' ... 'Saturday'
+ * @param {number} params.periodNumber    - 1-8
+ * @param {string} [params.roomType]      - rooms.room_type
+ * @param {number} [params.minCapacity]
+ * @param {string} [params.building]      - Case-insensitive exact match
+ * @param {boolean} [params.hasProjector]
+ * @param {boolean} [params.hasComputer]
+ * @param {string} [params.academicYear]  - Limit occupancy to one published timetable
+ * @param {string} [params.semesterType]
+ * @returns {Promise<object[]>}
+ */
+const getRoomAvailability = async ({
+  date,
+  dayOfWeek,
+  periodNumber,
+  roomType,
+  minCapacity,
+  building,
+  hasProjector,
+  hasComputer,
+  academicYear,
+  semesterType
+}) => {
+  const values = [dayOfWeek, periodNumber, date];
+  const slotConditions = [];
+  const roomConditions = ['r.is_active = true'];
+
+  if (academicYear) {
+    values.push(academicYear);
+    slotConditions.push(`AND ts.academic_year = $${values.length}`);
+  }
+  if (semesterType) {
+    values.push(semesterType);
+    slotConditions.push(`AND ts.semester_type = $${values.length}`);
+  }
+  if (roomType) {
+    values.push(roomType);
+    roomConditions.push(`r.room_type = $${values.length}`);
+  }
+  if (minCapacity) {
+    values.push(minCapacity);
+    roomConditions.push(`r.capacity >= $${values.length}`);
+  }
+  if (building) {
+    values.push(building);
+    roomConditions.push(`LOWER(r.building) = LOWER($${values.length})`);
+  }
+  if (hasProjector !== undefined) {
+    values.push(hasProjector);
+    roomConditions.push(`r.has_projector = $${values.length}`);
+  }
+  if (hasComputer !== undefined) {
+    values.push(hasComputer);
+    roomConditions.push(`r.has_computer = $${values.length}`);
+  }
+
+  const result = await query(
+    `
+      SELECT
+        r.id,
+        r.room_code,
+        r.room_name,
+        r.room_type,
+        r.capacity,
+        r.building,
+        r.floor_number,
+        r.has_projector,
+        r.has_computer,
+        (occupied.slot_id IS NULL AND booked.booking_id IS NULL) AS is_available,
+        occupied.slot_id,
+        occupied.subject_name,
+        occupied.teacher_name,
+        occupied.group_name,
+        booked.booking_id,
+        booked.booking_title,
+        booked.booking_purpose
+      FROM rooms r
+      LEFT JOIN LATERAL (
+        SELECT
+          ts.id AS slot_id,
+          s.subject_name,
+          t.full_name AS teacher_name,
+          sg.group_name
+        FROM timetable_slots ts
+        ${PUBLISHED_VERSION_JOIN}
+        JOIN subjects s ON ts.subject_id = s.id
+        JOIN teachers t ON ts.teacher_id = t.id
+        JOIN student_groups sg ON ts.group_id = sg.id
+        WHERE ts.room_id = r.id
+          AND ts.day_of_week = $1
+          AND ts.period_number = $2
+          AND ts.is_active = true
+          ${slotConditions.join(' ')}
+        LIMIT 1
+      ) occupied ON true
+      LEFT JOIN LATERAL (
+        SELECT
+          rb.id AS booking_id,
+          rb.title AS booking_title,
+          rb.purpose AS booking_purpose
+        FROM room_bookings rb
+        WHERE rb.room_id = r.id
+          AND rb.booking_date = $3
+          AND rb.status = 'approved'
+          AND $2 BETWEEN rb.start_period AND rb.end_period
+        LIMIT 1
+      ) booked ON true
+      WHERE ${roomConditions.join(' AND ')}
+      ORDER BY is_available DESC, r.building ASC NULLS LAST, r.room_code ASC
+    `,
+    values
+  );
+
+  return result.rows.map(({
+    slot_id, subject_name, teacher_name, group_name,
+    booking_id, booking_title, booking_purpose,
+    ...room
+  }) => ({
+    ...room,
+    occupied_by: slot_id
+      ? { slot_id, subject_name, teacher_name, group_name }
+      : null,
+    booked_by: booking_id
+      ? { booking_id, title: booking_title, purpose: booking_purpose }
+      : null
+  }));
+};
+
+module.exports = {
+  getRoomAvailability
+};
@@ -0,0 +1,258 @@
+const { asyncHandler, ApiError } = require('../../middleware/errorHandler');
+const { logger } = require('../../config/db');
+const { parseInteger } = require('../../utils/request');
+const notificationService = require('../../services/notification.service');
+const settingsService = require('../settings/settings.service');
+const { findScheduleViolation } = require('../timetable/timetable.periods');
+const bookingService = require('./room.booking.service');
+
+/**
+ * Room Booking Controller
+ * Ad-hoc room reservations outside the generated timetable
+ */
+
+const isAdmin = (user) => user.role === 'admin';
+
+const describeBooking = (booking) =>
+  `${booking.room_code} on ${booking.booking_date} (Period ${booking.start_period}` +
+  `${booking.end_period !== booking.start_period ? `-${booking.end_period}` : ''})`;
+
+const sendConflicts = (res, message, { conflicts, warnings }) =>
+  res.status(409).json({
+    success: false,
+    message,
+    data: { conflicts, warnings }
+  });
+
+/**
+ * Let the requester know what happened to their booking
+ */
+const notifyRequester = (booking, { eventType, title, message }) =>
+  notificationService.createNotificationsForUsers({
+    users: [{ id: booking.booked_by, email: booking.booked_by_email }],
+    eventType,
+    title,
+    message,
+    metadata: { bookingId: booking.id, roomId: booking.room_id, status: booking.status },
+    sendEmail: true,
+  });
+
+/**
+ * Load a booking the current user may act on (their own, or any for admins)
+ */
+const findAccessibleBooking = async (req) => {
+  const booking = await bookingService.findById(req.params.id);
+  if (!booking || (!isAdmin(req.user) && booking.booked_by !== req.user.id)) {
+    throw new ApiError(404, 'Room booking not found');
+  }
+  return booking;
+};
+
+/**
+ * List room bookings. Admins see every booking, everyone else their own.
+ * GET /api/classrooms/bookings?status=pending&room_id=&from=&to=
+ */
+const getBookings = asyncHandler(async (req, res) => {
+  const { status, room_id, from, to } = req.query;
+  const bookings = await bookingService.findAll({
+    bookedBy: isAdmin(req.user) ? null : req.user.id,
+    status,
+    roomId: room_id,
+    from,
+    to
+  });
+
+  res.json({
+    success: true,
+    data: { bookings, count: bookings.length }
+  });
+});
+
+/**
+ * Get a single room booking
+ * GET /api/classrooms/bookings/:id
+ */
+const getBooking = asyncHandler(async (req, res) => {
+  const booking = await findAccessibleBooking(req);
+
+  res.json({
+    success: true,
+    data: { booking }
+  });
+});
+
+/**
+ * Request a room. The booking starts as pending and admins are notified.
+ * POST /api/classrooms/bookings
+ */
+const createBooking = asyncHandler(async (req, res) => {
+  const { room_id, title, purpose, description, booking_date, start_period, end_period, expected_attendees } = req.body;
+  const date = String(booking_date).slice(0, 10);
+
+  if (date < new Date().toISOString().slice(0, 10)) {
+    throw new ApiError(400, 'Bookings cannot be made for past dates');
+  }
+
+  const violation = findScheduleViolation(await settingsService.getBellSchedule(), {
+    startPeriod: start_period,
+    endPeriod: end_period
+  });
+  if (violation) {
+    throw new ApiError(400, violation);
+  }
+
+  const room = await bookingService.findRoom(room_id);
+  if (!room) {
+    throw new ApiError(404, 'Room not found');
+  }
+
+  const result = await bookingService.create({
+    room,
+    bookedBy: req.user.id,
+    title,
+    purpose,
+    description,
+    date,
+    startPeriod: start_period,
+    endPeriod: end_period,
+    expectedAttendees: parseInteger(expected_attendees)
+  });
+
+  if (!result.booking) {
+    return sendConflicts(res, `Room ${room.room_code} is not free for the requested periods`, result);
+  }
+
+  const { booking, warnings } = result;
+  logger.info('Room booking requested', { bookingId: booking.id, roomId: room.id, byUser: req.user.id });
+
+  await notificationService.notifyRole({
+    role: 'admin',
+    eventType: 'ROOM_BOOKING_REQUESTED',
+    title: 'Room Booking Request',
+    message: `${booking.booked_by_name} requested ${describeBooking(booking)}: ${booking.title}`,
+    metadata: { bookingId: booking.id, roomId: room.id },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Room booking requested, awaiting approval',
+    data: { booking, warnings }
+  });
+});
+
+/**
+ * Approve a pending booking (Admin only). Conflicts are re-checked first.
+ * POST /api/classrooms/bookings/:id/approve
+ */
+const approveBooking = asyncHandler(async (req, res) => {
+  const existing = await bookingService.findById(req.params.id);
+  if (!existing) {
+    throw new ApiError(404, 'Room booking not found');
+  }
+  if (existing.status !== 'pending') {
+    throw new ApiError(409, `Booking is already ${existing.status}`);
+  }
+
+  const result = await bookingService.approve(existing, req.user.id, (req.body || {}).note);
+  if (!result.booking) {
+    if (result.conflicts.length > 0) {
+      return sendConflicts(res, `Room ${existing.room_code} is no longer free for this booking`, result);
+    }
+    throw new ApiError(409, 'Booking is no longer pending');
+  }
+
+  const { booking, warnings } = result;
+  logger.info('Room booking approved', { bookingId: booking.id, byUser: req.user.id });
+
+  await notifyRequester(booking, {
+    eventType: 'ROOM_BOOKING_APPROVED',
+    title: 'Room Booking Approved',
+    message: `Your booking of ${describeBooking(booking)} has been approved`,
+  });
+
+  res.json({
+    success: true,
+    message: 'Room booking approved',
+    data: { booking, warnings }
+  });
+});
+
+/**
+ * Reject a pending booking (Admin only)
+ * POST /api/classrooms/bookings/:id/reject
+ */
+const rejectBooking = asyncHandler(async (req, res) => {
+  const booking = await bookingService.updateStatus(req.params.id, {
+    status: 'rejected',
+    fromStatuses: ['pending'],
+    reviewerId: req.user.id,
+    note: (req.body || {}).note
+  });
+  if (!booking) {
+    const existing = await bookingService.findById(req.params.id);
+    if (!existing) {
+      throw new ApiError(404, 'Room booking not found');
+    }
+    throw new ApiError(409, `Booking is already ${existing.status}`);
+  }
+
+  logger.info('Room booking rejected', { bookingId: booking.id, byUser: req.user.id });
+
+  await notifyRequester(booking, {
+    eventType: 'ROOM_BOOKING_REJECTED',
+    title: 'Room Booking Rejected',
+    message: `Your booking of ${describeBooking(booking)} was rejected` +
+      (booking.review_note ? `: ${booking.review_note}` : ''),
+  });
+
+  res.json({
+    success: true,
+    message: 'Room booking rejected',
+    data: { booking }
+  });
+});
+
+/**
+ * Cancel a pending or approved booking (requester or admin)
+ * POST /api/classrooms/bookings/:id/cancel
+ */
+const cancelBooking = asyncHandler(async (req, res) => {
+  const existing = await findAccessibleBooking(req);
+  if (!['pending', 'approved'].includes(existing.status)) {
+    throw new ApiError(409, `Booking is already ${existing.status}`);
+  }
+
+  const booking = await bookingService.updateStatus(existing.id, {
+    status: 'cancelled',
+    fromStatuses: ['pending', 'approved'],
+    note: (req.body || {}).note
+  });
+  if (!booking) {
+    throw new ApiError(409, 'Booking status changed, please reload');
+  }
+
+  logger.info('Room booking cancelled', { bookingId: booking.id, byUser: req.user.id });
+
+  if (booking.booked_by !== req.user.id) {
+    await notifyRequester(booking, {
+      eventType: 'ROOM_BOOKING_CANCELLED',
+      title: 'Room Booking Cancelled',
+      message: `Your booking of ${describeBooking(booking)} was cancelled by an administrator`,
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Room booking cancelled',
+    data: { booking }
+  });
+});
+
+module.exports = {
+  getBookings,
+  getBooking,
+  createBooking,
+  approveBooking,
+  rejectBooking,
+  cancelBooking
+};
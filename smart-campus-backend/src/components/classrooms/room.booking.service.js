@@ -0,0 +1,304 @@
+const { query, transaction } = require('../../config/db');
+const { ConflictDetector } = require('../timetable/conflict.detector');
+const { PUBLISHED_VERSION_JOIN } = require('../timetable/timetable.read.service');
+const { dayOfWeekFor } = require('../timetable/timetable.periods');
+
+const BOOKING_SELECT = `
+  SELECT
+    rb.id,
+    rb.room_id,
+    r.room_code,
+    r.room_name,
+    r.capacity AS room_capacity,
+    rb.booked_by,
+    u.full_name AS booked_by_name,
+    u.email AS booked_by_email,
+    rb.title,
+    rb.purpose,
+    rb.description,
+    to_char(rb.booking_date, 'YYYY-MM-DD') AS booking_date,
+    rb.start_period,
+    rb.end_period,
+    rb.expected_attendees,
+    rb.status,
+    rb.reviewed_by,
+    rb.reviewed_at,
+    rb.review_note,
+    rb.created_at,
+    rb.updated_at
+  FROM room_bookings rb
+  JOIN rooms r ON rb.room_id = r.id
+  JOIN users u ON rb.booked_by = u.id
+`;
+
+// Bookings only compete for the room, so the detector's teacher/group clash
+// checks never match and the subject never demands a lab
+const NO_TEACHER = { id: null };
+const NO_SUBJECT = {};
+
+const findById = async (id, client) => {
+  const db = client || { query };
+  const result = await db.query(`${BOOKING_SELECT} WHERE rb.id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * @param {object} filters
+ * @param {number} [filters.bookedBy] - Restrict to one requester
+ * @param {string} [filters.status]
+ * @param {string} [filters.roomId]
+ * @param {string} [filters.from]     - 'YYYY-MM-DD', inclusive
+ * @param {string} [filters.to]       - 'YYYY-MM-DD', inclusive
+ */
+const findAll = async ({ bookedBy, status, roomId, from, to } = {}) => {
+  const values = [];
+  const conditions = [];
+
+  if (bookedBy) {
+    values.push(bookedBy);
+    conditions.push(`rb.booked_by = $${values.length}`);
+  }
+  if (status) {
+    values.push(status);
+    conditions.push(`rb.status = $${values.length}`);
+  }
+  if (roomId) {
+    values.push(roomId);
+    conditions.push(`rb.room_id = $${values.length}`);
+  }
+  if (from) {
+    values.push(from);
+    conditions.push(`rb.booking_date >= $${values.length}`);
+  }
+  if (to) {
+    values.push(to);
+    conditions.push(`rb.booking_date <= $${values.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await query(
+    `${BOOKING_SELECT} ${where} ORDER BY rb.booking_date ASC, rb.start_period ASC, rb.created_at ASC`,
+    values
+  );
+
+  return result.rows;
+};
+
+const findRoom = async (roomId, client) => {
+  const db = client || { query };
+  const result = await db.query(
+    'SELECT id, room_code, room_name, room_type, capacity FROM rooms WHERE id = $1 AND is_active = true',
+    [roomId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * What already holds a room on a date: published timetable slots on that
+ * weekday and approved bookings, keyed by period.
+ */
+const findRoomOccupants = async ({ roomId, date, startPeriod, endPeriod, excludeId }, client) => {
+  const db = client || { query };
+  const occupants = {};
+  const add = (period, occupant) => {
+    if (!occupants[period]) occupants[period] = [];
+    occupants[period].push(occupant);
+  };
+
+  const dayOfWeek = dayOfWeekFor(date);
+  if (dayOfWeek) {
+    const slots = await db.query(
+      `
+        SELECT ts.id, ts.period_number, s.subject_name, sg.group_name
+        FROM timetable_slots ts
+        ${PUBLISHED_VERSION_JOIN}
+        JOIN subjects s ON ts.subject_id = s.id
+        JOIN student_groups sg ON ts.group_id = sg.id
+        WHERE ts.room_id = $1
+          AND ts.day_of_week = $2
+          AND ts.period_number BETWEEN $3 AND $4
+          AND ts.is_active = true
+      `,
+      [roomId, dayOfWeek, startPeriod, endPeriod]
+    );
+    slots.rows.forEach(slot => add(slot.period_number, {
+      source: 'timetable',
+      slot_id: slot.id,
+      subject_name: slot.subject_name,
+      group_name: slot.group_name
+    }));
+  }
+
+  const bookings = await db.query(
+    `
+      SELECT id, title, start_period, end_period
+      FROM room_bookings
+      WHERE room_id = $1
+        AND booking_date = $2
+        AND status = 'approved'
+        AND start_period <= $4
+        AND end_period >= $3
+        AND ($5::uuid IS NULL OR id <> $5)
+    `,
+    [roomId, date, startPeriod, endPeriod, excludeId || null]
+  );
+  bookings.rows.forEach(booking => {
+    const from = Math.max(booking.start_period, startPeriod);
+    const to = Math.min(booking.end_period, endPeriod);
+    for (let period = from; period <= to; period++) {
+      add(period, { source: 'booking', booking_id: booking.id, title: booking.title });
+    }
+  });
+
+  return occupants;
+};
+
+/**
+ * Check a requested booking against the timetable and approved bookings.
+ * HIGH severity conflicts (room taken) block the booking; the rest, such as
+ * too little capacity, are returned as warnings.
+ *
+ * @param {object} params
+ * @param {object} params.room                - rooms row
+ * @param {string} params.date                - 'YYYY-MM-DD'
+ * @param {number} params.startPeriod
+ * @param {number} params.endPeriod
+ * @param {number} [params.expectedAttendees]
+ * @param {string} [params.excludeId]         - Booking being re-checked
+ * @param {object} [client]                   - Transaction client
+ * @returns {Promise<{ conflicts: object[], warnings: object[] }>}
+ */
+const checkConflicts = async ({ room, date, startPeriod, endPeriod, expectedAttendees, excludeId }, client) => {
+  const occupants = await findRoomOccupants(
+    { roomId: room.id, date, startPeriod, endPeriod, excludeId },
+    client
+  );
+
+  const roomSchedule = { [date]: {} };
+  Object.keys(occupants).forEach(period => {
+    roomSchedule[date][period] = new Set([room.id]);
+  });
+
+  const detector = new ConflictDetector(null, null, roomSchedule, null);
+  const audience = { id: null, strength: expectedAttendees };
+  const found = [];
+
+  for (let period = startPeriod; period <= endPeriod; period++) {
+    const periodConflicts = await detector.detectConflicts(NO_TEACHER, NO_SUBJECT, audience, room, date, period);
+    periodConflicts.forEach(conflict => {
+      if (conflict.type === 'ROOM_CONFLICT') {
+        found.push({ ...conflict, period, occupied_by: occupants[period] });
+      } else if (!found.some(existing => existing.type === conflict.type)) {
+        // Period-independent checks (capacity) are reported once
+        found.push(conflict);
+      }
+    });
+  }
+
+  return {
+    conflicts: found.filter(conflict => conflict.severity === 'HIGH'),
+    warnings: found.filter(conflict => conflict.severity !== 'HIGH')
+  };
+};
+
+/**
+ * Create a pending booking unless the room is already taken.
+ *
+ * @returns {Promise<{ booking: object|null, conflicts: object[], warnings: object[] }>}
+ */
+const create = async ({ room, bookedBy, title, purpose, description, date, startPeriod, endPeriod, expectedAttendees }) => {
+  const { conflicts, warnings } = await checkConflicts({ room, date, startPeriod, endPeriod, expectedAttendees });
+  if (conflicts.length > 0) {
+    return { booking: null, conflicts, warnings };
+  }
+
+  const inserted = await query(
+    `
+      INSERT INTO room_bookings
+        (room_id, booked_by, title, purpose, description, booking_date, start_period, end_period, expected_attendees)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING id
+    `,
+    [room.id, bookedBy, title, purpose, description || null, date, startPeriod, endPeriod, expectedAttendees || null]
+  );
+
+  const booking = await findById(inserted.rows[0].id);
+  return { booking, conflicts, warnings };
+};
+
+/**
+ * Approve a pending booking. The room row is locked so two overlapping
+ * requests cannot both be approved.
+ *
+ * @returns {Promise<{ booking: object|null, conflicts: object[], warnings: object[] }>}
+ *   booking is null when the booking is no longer pending or clashes
+ */
+const approve = async (booking, reviewerId, note) =>
+  transaction(async (client) => {
+    const room = await client.query(
+      'SELECT id, room_code, room_name, room_type, capacity FROM rooms WHERE id = $1 FOR UPDATE',
+      [booking.room_id]
+    );
+
+    const { conflicts, warnings } = await checkConflicts({
+      room: room.rows[0],
+      date: booking.booking_date,
+      startPeriod: booking.start_period,
+      endPeriod: booking.end_period,
+      expectedAttendees: booking.expected_attendees,
+      excludeId: booking.id
+    }, client);
+    if (conflicts.length > 0) {
+      return { booking: null, conflicts, warnings };
+    }
+
+    const updated = await client.query(
+      `
+        UPDATE room_bookings
+        SET status = 'approved', reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP,
+            review_note = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'pending'
+        RETURNING id
+      `,
+      [booking.id, reviewerId, note || null]
+    );
+    if (updated.rows.length === 0) {
+      return { booking: null, conflicts, warnings };
+    }
+
+    return { booking: await findById(booking.id, client), conflicts, warnings };
+  });
+
+/**
+ * Move a booking out of one of `fromStatuses`.
+ *
+ * @returns {Promise<object|null>} Updated booking, or null if its status changed meanwhile
+ */
+const updateStatus = async (id, { status, fromStatuses, reviewerId = null, note = null }) => {
+  const reviewed = status === 'rejected';
+  const result = await query(
+    `
+      UPDATE room_bookings
+      SET status = $2,
+          reviewed_by = CASE WHEN $4::boolean THEN $3::integer ELSE reviewed_by END,
+          reviewed_at = CASE WHEN $4::boolean THEN CURRENT_TIMESTAMP ELSE reviewed_at END,
+          review_note = COALESCE($5, review_note),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = ANY($6::text[])
+      RETURNING id
+    `,
+    [id, status, reviewerId, reviewed, note, fromStatuses]
+  );
+
+  return result.rows.length > 0 ? findById(id) : null;
+};
+
+module.exports = {
+  findById,
+  findAll,
+  findRoom,
+  checkConflicts,
+  create,
+  approve,
+  updateStatus
+};
@@ -0,0 +1,622 @@
+const { query, transaction } = require('../../config/db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { parseInteger } = require('../../utils/request');
+const notificationService = require('../../services/notification.service');
+const { DEFAULT_SETTINGS } = require('../settings/settings.service');
+const electiveService = require('./elective.service');
+const eligibilityService = require('./elective.eligibility.service');
+
+/**
+ * Student elective change requests. Once allocated, a student can ask to
+ * drop their elective or to swap it for another one:
+ *
+ * - a swap into an elective with a free seat is a plain move;
+ * - a swap into a full elective waits on the swap market until a student
+ *   holding that elective asks for the reverse swap, and the two trade seats;
+ * - a seat freed by a drop or a move goes to the elective's waitlist first,
+ *   then to open swap requests into the elective, oldest first.
+ *
+ * The change rules decide which of these wait for an admin's approval.
+ */
+
+const DEFAULT_CHANGE_RULES = {
+  changes_open: true,
+  drop_requires_approval: true,
+  move_requires_approval: false,
+  swap_requires_approval: false
+};
+
+const ACTIVE_STATUSES = ['open', 'pending_approval'];
+
+const REQUEST_SELECT = `
+  SELECT cr.*, u.full_name AS student_name, u.email AS student_email,
+         fe.subject_name AS from_elective_name, te.subject_name AS to_elective_name
+  FROM elective_change_requests cr
+  JOIN users u ON u.id = cr.student_id
+  JOIN electives fe ON fe.id = cr.from_elective_id
+  LEFT JOIN electives te ON te.id = cr.to_elective_id
+`;
+
+// Unknown or non-boolean keys fall back to the defaults
+const normalizeChangeRules = (rules) => ({
+  ...DEFAULT_CHANGE_RULES,
+  ...Object.fromEntries(
+    Object.entries(rules || {})
+      .filter(([key, value]) => key in DEFAULT_CHANGE_RULES && typeof value === 'boolean')
+  )
+});
+
+const getChangeRules = async () => {
+  const result = await query('SELECT elective_change_rules FROM system_settings WHERE id = 1');
+  return normalizeChangeRules(result.rows[0]?.elective_change_rules);
+};
+
+// Creates the settings row with defaults if it does not exist yet
+const updateChangeRules = async (rules, updated_by) => {
+  const result = await query(
+    `
+      INSERT INTO system_settings (id, academic_year, current_semester, campus_name, elective_change_rules, updated_by)
+      VALUES (1, $1, $2, $3, $4, $5)
+      ON CONFLICT (id)
+      DO UPDATE SET
+        elective_change_rules = EXCLUDED.elective_change_rules,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING elective_change_rules
+    `,
+    [
+      DEFAULT_SETTINGS.academic_year,
+      DEFAULT_SETTINGS.current_semester,
+      DEFAULT_SETTINGS.campus_name,
+      JSON.stringify(normalizeChangeRules(rules)),
+      updated_by
+    ]
+  );
+
+  return normalizeChangeRules(result.rows[0]?.elective_change_rules);
+};
+
+const loadRequest = async (client, id, { lock = false } = {}) => {
+  const result = await client.query(`${REQUEST_SELECT} WHERE cr.id = $1${lock ? ' FOR UPDATE OF cr' : ''}`, [id]);
+  return result.rows[0] || null;
+};
+
+const describeRequest = (request) => (request.request_type === 'drop'
+  ? `drop ${request.from_elective_name}`
+  : `swap ${request.from_elective_name} for ${request.to_elective_name}`);
+
+// Notifications are collected during the transaction and sent once it commits
+const notify = (notices, request, eventType, title, message) => {
+  notices.push({
+    users: [{ id: request.student_id, email: request.student_email }],
+    eventType,
+    title,
+    message,
+    metadata: {
+      change_request_id: request.id,
+      request_type: request.request_type,
+      from_elective_id: request.from_elective_id,
+      to_elective_id: request.to_elective_id
+    },
+    sendEmail: true
+  });
+};
+
+const sendNotices = async (notices) => {
+  for (const notice of notices) {
+    if (notice.role) {
+      await notificationService.notifyRole(notice);
+    } else {
+      await notificationService.createNotificationsForUsers(notice);
+    }
+  }
+};
+
+const setStatus = async (client, request, status, { reviewedBy = null, note = null } = {}) => {
+  await client.query(
+    `
+      UPDATE elective_change_requests
+      SET status = $1,
+          completed_at = CASE WHEN $1 = 'completed' THEN CURRENT_TIMESTAMP ELSE completed_at END,
+          reviewed_by = COALESCE($2, reviewed_by),
+          reviewed_at = CASE WHEN $2::int IS NULL THEN reviewed_at ELSE CURRENT_TIMESTAMP END,
+          review_note = COALESCE($3, review_note),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+    `,
+    [status, reviewedBy, note, request.id]
+  );
+  request.status = status;
+};
+
+const lockAllocation = async (client, studentId) => {
+  const result = await client.query(
+    `
+      SELECT ae.elective_id, e.subject_name
+      FROM allocated_electives ae
+      JOIN electives e ON e.id = ae.elective_id
+      WHERE ae.student_id = $1
+      FOR UPDATE OF ae
+    `,
+    [studentId]
+  );
+  return result.rows[0] || null;
+};
+
+// Locks the elective so two moves cannot both take its last seat
+const lockSeatsAvailable = async (client, electiveId) => {
+  const result = await client.query(
+    `
+      SELECT e.max_students - (
+        SELECT COUNT(*) FROM allocated_electives ae WHERE ae.elective_id = e.id
+      )::int AS seats_available
+      FROM electives e
+      WHERE e.id = $1 AND e.deleted_at IS NULL
+      FOR UPDATE
+    `,
+    [electiveId]
+  );
+  return result.rows.length > 0 ? Number(result.rows[0].seats_available) : 0;
+};
+
+/**
+ * Move a student's allocation out of the elective the request offers.
+ * Returns false when they no longer hold it, e.g. after a new allocation run.
+ */
+const moveAllocation = async (client, request, toElectiveId) => {
+  const result = await client.query(
+    `
+      UPDATE allocated_electives
+      SET elective_id = $1, allocated_at = CURRENT_TIMESTAMP
+      WHERE student_id = $2 AND elective_id = $3
+    `,
+    [toElectiveId, request.student_id, request.from_elective_id]
+  );
+
+  if (result.rowCount === 0) {
+    return false;
+  }
+
+  await client.query(
+    `
+      UPDATE elective_waitlist
+      SET status = 'removed'
+      WHERE student_id = $1 AND elective_id = $2 AND status = 'waiting'
+    `,
+    [request.student_id, toElectiveId]
+  );
+  return true;
+};
+
+const executeDrop = async (client, request, notices, review) => {
+  const result = await client.query(
+    'DELETE FROM allocated_electives WHERE student_id = $1 AND elective_id = $2',
+    [request.student_id, request.from_elective_id]
+  );
+
+  if (result.rowCount === 0) {
+    return false;
+  }
+
+  await setStatus(client, request, 'completed', review);
+  notify(notices, request, 'ELECTIVE_CHANGE_COMPLETED', 'Elective Dropped', `You have dropped ${request.from_elective_name}.`);
+  return true;
+};
+
+const executeMove = async (client, request, notices, review) => {
+  if (!(await moveAllocation(client, request, request.to_elective_id))) {
+    return false;
+  }
+
+  await setStatus(client, request, 'completed', review);
+  notify(
+    notices,
+    request,
+    'ELECTIVE_CHANGE_COMPLETED',
+    'Elective Swapped',
+    `You now hold ${request.to_elective_name} instead of ${request.from_elective_name}.`
+  );
+  return true;
+};
+
+// Both students leave their elective at once, so neither needs a free seat
+const executeSwap = async (client, request, partner, notices, review) => {
+  const moved = await moveAllocation(client, request, partner.from_elective_id)
+    && await moveAllocation(client, partner, request.from_elective_id);
+
+  if (!moved) {
+    throw new ApiError(409, 'One of the students no longer holds the elective they offered');
+  }
+
+  for (const entry of [request, partner]) {
+    await setStatus(client, entry, 'completed', review);
+    notify(
+      notices,
+      entry,
+      'ELECTIVE_CHANGE_COMPLETED',
+      'Elective Swapped',
+      `You have swapped ${entry.from_elective_name} for ${entry.to_elective_name} with another student.`
+    );
+  }
+};
+
+const holdForApproval = async (client, requests, notices) => {
+  for (const request of requests) {
+    await setStatus(client, request, 'pending_approval');
+    notify(
+      notices,
+      request,
+      'ELECTIVE_CHANGE_PENDING',
+      'Elective Change Awaiting Approval',
+      `Your request to ${describeRequest(request)} is waiting for admin approval.`
+    );
+  }
+
+  notices.push({
+    role: 'admin',
+    eventType: 'ELECTIVE_CHANGE_REVIEW_NEEDED',
+    title: 'Elective Changes Awaiting Review',
+    message: `${requests.length} elective change request(s) need your approval.`,
+    metadata: { change_request_ids: requests.map((request) => request.id) }
+  });
+};
+
+// The oldest open request for the reverse swap whose student still holds the seat it offers
+const findSwapPartner = async (client, request) => {
+  const result = await client.query(
+    `
+      ${REQUEST_SELECT}
+      JOIN allocated_electives ae ON ae.student_id = cr.student_id AND ae.elective_id = cr.from_elective_id
+      WHERE cr.request_type = 'swap' AND cr.status = 'open'
+        AND cr.from_elective_id = $1 AND cr.to_elective_id = $2 AND cr.student_id <> $3
+      ORDER BY cr.created_at ASC, cr.id ASC
+      LIMIT 1
+      FOR UPDATE OF cr, ae
+    `,
+    [request.to_elective_id, request.from_elective_id, request.student_id]
+  );
+  return result.rows[0] || null;
+};
+
+const linkPartners = async (client, request, partner) => {
+  await client.query(
+    `
+      UPDATE elective_change_requests
+      SET matched_request_id = CASE WHEN id = $1 THEN $2 ELSE $1 END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id IN ($1, $2)
+    `,
+    [request.id, partner.id]
+  );
+  request.matched_request_id = partner.id;
+  partner.matched_request_id = request.id;
+};
+
+/**
+ * Fill seats freed in the given electives: the waitlist first, since those
+ * students hold no elective at all, then open swap requests into the
+ * elective, oldest first. Every move frees a seat elsewhere, which is filled
+ * the same way.
+ */
+const refillSeats = async (client, electiveIds, rules, notices) => {
+  const queue = [...electiveIds];
+
+  while (queue.length > 0) {
+    const electiveId = queue.shift();
+    const promotions = await electiveService.processWaitlistWithClient({ client, electiveId });
+    if (promotions.length > 0) {
+      notices.push(electiveService.waitlistPromotionNotice(promotions));
+    }
+
+    let seatsAvailable = await lockSeatsAvailable(client, electiveId);
+    if (seatsAvailable <= 0) {
+      continue;
+    }
+
+    const waiting = await client.query(
+      `
+        ${REQUEST_SELECT}
+        WHERE cr.request_type = 'swap' AND cr.status = 'open' AND cr.to_elective_id = $1
+        ORDER BY cr.created_at ASC, cr.id ASC
+        FOR UPDATE OF cr
+      `,
+      [electiveId]
+    );
+
+    const needsApproval = [];
+    for (const request of waiting.rows) {
+      if (seatsAvailable <= 0) {
+        break;
+      }
+
+      if (rules.move_requires_approval) {
+        needsApproval.push(request);
+        seatsAvailable -= 1;
+      } else if (await executeMove(client, request, notices)) {
+        seatsAvailable -= 1;
+        queue.push(request.from_elective_id);
+      } else {
+        await setStatus(client, request, 'cancelled', { note: 'You no longer hold the elective you offered' });
+        notify(
+          notices,
+          request,
+          'ELECTIVE_CHANGE_CANCELLED',
+          'Elective Change Cancelled',
+          `Your request to ${describeRequest(request)} was cancelled because you no longer hold ${request.from_elective_name}.`
+        );
+      }
+    }
+
+    if (needsApproval.length > 0) {
+      await holdForApproval(client, needsApproval, notices);
+    }
+  }
+};
+
+/**
+ * Take an open request as far as the rules allow: carry it out now, hold it
+ * for approval, or leave it open on the swap market.
+ */
+const settleRequest = async (client, request, rules, notices) => {
+  if (request.request_type === 'drop') {
+    if (rules.drop_requires_approval) {
+      return holdForApproval(client, [request], notices);
+    }
+    await executeDrop(client, request, notices);
+    return refillSeats(client, [request.from_elective_id], rules, notices);
+  }
+
+  const partner = await findSwapPartner(client, request);
+  if (partner) {
+    await linkPartners(client, request, partner);
+    if (rules.swap_requires_approval) {
+      return holdForApproval(client, [request, partner], notices);
+    }
+    return executeSwap(client, request, partner, notices);
+  }
+
+  if (await lockSeatsAvailable(client, request.to_elective_id) > 0) {
+    if (rules.move_requires_approval) {
+      return holdForApproval(client, [request], notices);
+    }
+    await executeMove(client, request, notices);
+    return refillSeats(client, [request.from_elective_id], rules, notices);
+  }
+
+  return null;
+};
+
+// The other half of a matched swap goes back on the market and may match again
+const reopenPartner = async (client, partner, rules, notices) => {
+  await client.query(
+    `
+      UPDATE elective_change_requests
+      SET status = 'open', matched_request_id = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `,
+    [partner.id]
+  );
+  partner.status = 'open';
+  partner.matched_request_id = null;
+
+  notify(
+    notices,
+    partner,
+    'ELECTIVE_SWAP_REOPENED',
+    'Elective Swap Reopened',
+    `The student you were matched with for ${partner.to_elective_name} is no longer swapping; your request is back on the swap market.`
+  );
+  await settleRequest(client, partner, rules, notices);
+};
+
+const requireEligibleTarget = async (userId, electiveId) => {
+  const elective = await electiveService.getElectiveById(electiveId);
+  const { profile, subjectNames } = await eligibilityService.loadStudentProfile(userId);
+
+  // The elective given up in the swap does not count against exclusions
+  const reasons = eligibilityService.checkEligibility(elective, { ...profile, heldElectives: [] }, subjectNames);
+  if (reasons.length > 0) {
+    throw new ApiError(400, `You are not eligible for ${elective.subject_name}: ${reasons.join('; ')}`);
+  }
+};
+
+/**
+ * Request a drop, or a swap into another elective. The request is carried
+ * out straight away when the rules and free seats allow it.
+ */
+const createChangeRequest = async (userId, { request_type, to_elective_id = null, reason = null }) => {
+  const rules = await getChangeRules();
+  if (!rules.changes_open) {
+    throw new ApiError(403, 'Elective changes are closed');
+  }
+
+  if (request_type === 'swap') {
+    await requireEligibleTarget(userId, to_elective_id);
+  }
+
+  const notices = [];
+  const request = await transaction(async (client) => {
+    const held = await lockAllocation(client, userId);
+    if (!held) {
+      throw new ApiError(409, 'You have no allocated elective to change');
+    }
+    if (request_type === 'swap' && held.elective_id === to_elective_id) {
+      throw new ApiError(400, `You already hold ${held.subject_name}`);
+    }
+
+    const active = await client.query(
+      'SELECT id FROM elective_change_requests WHERE student_id = $1 AND status = ANY($2)',
+      [userId, ACTIVE_STATUSES]
+    );
+    if (active.rows.length > 0) {
+      throw new ApiError(409, 'You already have an elective change request in progress');
+    }
+
+    const inserted = await client.query(
+      `
+        INSERT INTO elective_change_requests (student_id, request_type, from_elective_id, to_elective_id, reason)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
+      `,
+      [userId, request_type, held.elective_id, request_type === 'swap' ? to_elective_id : null, reason || null]
+    );
+
+    const created = await loadRequest(client, inserted.rows[0].id);
+    await settleRequest(client, created, rules, notices);
+    return loadRequest(client, created.id);
+  });
+
+  await sendNotices(notices);
+  return request;
+};
+
+/**
+ * Cancel one of the student's own requests before it completes. A matched
+ * swap partner goes back on the market.
+ */
+const cancelChangeRequest = async (userId, id) => {
+  const rules = await getChangeRules();
+  const notices = [];
+
+  const request = await transaction(async (client) => {
+    const request = await loadRequest(client, parseInteger(id), { lock: true });
+    if (!request || request.student_id !== userId) {
+      throw new ApiError(404, 'Change request not found');
+    }
+    if (!ACTIVE_STATUSES.includes(request.status)) {
+      throw new ApiError(409, 'This request can no longer be cancelled');
+    }
+
+    await setStatus(client, request, 'cancelled');
+
+    const partner = request.matched_request_id
+      ? await loadRequest(client, request.matched_request_id, { lock: true })
+      : null;
+    if (partner && partner.status === 'pending_approval') {
+      await reopenPartner(client, partner, rules, notices);
+    }
+
+    return loadRequest(client, request.id);
+  });
+
+  await sendNotices(notices);
+  return request;
+};
+
+/**
+ * Approve or reject a request awaiting approval. Approving a matched swap
+ * carries out both halves; rejecting it sends the partner back on the market.
+ */
+const reviewChangeRequest = async (id, { decision, note = null }, reviewedBy) => {
+  const rules = await getChangeRules();
+  const notices = [];
+
+  const request = await transaction(async (client) => {
+    const request = await loadRequest(client, parseInteger(id), { lock: true });
+    if (!request) {
+      throw new ApiError(404, 'Change request not found');
+    }
+    if (request.status !== 'pending_approval') {
+      throw new ApiError(409, 'Only requests awaiting approval can be reviewed');
+    }
+
+    const partner = request.matched_request_id
+      ? await loadRequest(client, request.matched_request_id, { lock: true })
+      : null;
+    const review = { reviewedBy, note: note || null };
+
+    if (decision === 'reject') {
+      await setStatus(client, request, 'rejected', review);
+      notify(
+        notices,
+        request,
+        'ELECTIVE_CHANGE_REJECTED',
+        'Elective Change Rejected',
+        `Your request to ${describeRequest(request)} was rejected.${note ? ` ${note}` : ''}`
+      );
+      if (partner) {
+        await reopenPartner(client, partner, rules, notices);
+      }
+      return loadRequest(client, request.id);
+    }
+
+    if (request.request_type === 'drop') {
+      if (!(await executeDrop(client, request, notices, review))) {
+        throw new ApiError(409, `${request.student_name} no longer holds ${request.from_elective_name}`);
+      }
+      await refillSeats(client, [request.from_elective_id], rules, notices);
+    } else if (partner) {
+      await executeSwap(client, request, partner, notices, review);
+    } else {
+      if (await lockSeatsAvailable(client, request.to_elective_id) <= 0) {
+        throw new ApiError(409, `${request.to_elective_name} has no free seat any more`);
+      }
+      if (!(await executeMove(client, request, notices, review))) {
+        throw new ApiError(409, `${request.student_name} no longer holds ${request.from_elective_name}`);
+      }
+      await refillSeats(client, [request.from_elective_id], rules, notices);
+    }
+
+    return loadRequest(client, request.id);
+  });
+
+  await sendNotices(notices);
+  return request;
+};
+
+const listMyChangeRequests = async (userId) => {
+  const result = await query(`${REQUEST_SELECT} WHERE cr.student_id = $1 ORDER BY cr.created_at DESC`, [userId]);
+  return result.rows;
+};
+
+const listChangeRequests = async ({ status } = {}) => {
+  const params = [];
+  let filterSql = '';
+
+  if (status) {
+    filterSql = 'WHERE cr.status = $1';
+    params.push(status);
+  }
+
+  const result = await query(`${REQUEST_SELECT} ${filterSql} ORDER BY cr.created_at DESC`, params);
+  return result.rows;
+};
+
+/**
+ * Open swap requests from other students, grouped by the seat offered and the
+ * seat wanted. Students stay anonymous; a request for the reverse of a listed
+ * swap is matched with the oldest one automatically.
+ */
+const getSwapMarket = async (userId) => {
+  const result = await query(
+    `
+      SELECT cr.from_elective_id, fe.subject_name AS from_elective_name,
+             cr.to_elective_id, te.subject_name AS to_elective_name,
+             COUNT(*)::int AS open_requests,
+             MIN(cr.created_at) AS oldest_request_at,
+             COALESCE(cr.to_elective_id = (
+               SELECT elective_id FROM allocated_electives WHERE student_id = $1
+             ), false) AS wants_your_elective
+      FROM elective_change_requests cr
+      JOIN electives fe ON fe.id = cr.from_elective_id AND fe.deleted_at IS NULL
+      JOIN electives te ON te.id = cr.to_elective_id AND te.deleted_at IS NULL
+      WHERE cr.request_type = 'swap' AND cr.status = 'open' AND cr.student_id <> $1
+      GROUP BY cr.from_elective_id, fe.subject_name, cr.to_elective_id, te.subject_name
+      ORDER BY wants_your_elective DESC, open_requests DESC, fe.subject_name ASC
+    `,
+    [userId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  DEFAULT_CHANGE_RULES,
+  getChangeRules,
+  updateChangeRules,
+  createChangeRequest,
+  cancelChangeRequest,
+  reviewChangeRequest,
+  listMyChangeRequests,
+  listChangeRequests,
+  getSwapMarket
+};
@@ -1,158 +1,154 @@
-const { asyncHandler } = require('../../middleware/errorHandler');
-const { logger } = require('../../config/db');
-const electiveService = require('./elective.service');
-
-/**
- * Electives Controller
- * Handles elective subject management and allocation
- */
-
-/**
- * Create a new elective (Admin only)
- * POST /api/electives
- */
-const createElective = asyncHandler(async (req, res) => {
-  const { subject_name, description, max_students, department, semester } = req.body;
-  const elective = await electiveService.createElective({
-    subject_name,
-    description,
-    max_students,
-    department,
-    semester
-  });
-
-  logger.info('Elective created', { electiveId: elective.id, createdBy: req.user.id });
-
-  res.status(201).json({
-    success: true,
-    message: 'Elective created successfully',
-    data: { elective }
-  });
-});
-
-/**
- * Get all electives
- * GET /api/electives
- * Public route
- */
-const getAllElectives = asyncHandler(async (req, res) => {
-  const { department, semester } = req.query;
-  const electives = await electiveService.listElectives({ department, semester });
-
-  res.json({
-    success: true,
-    data: { electives, count: electives.length }
-  });
-});
-
-/**
- * Get elective by ID
- * GET /api/electives/:id
- */
-const getElectiveById = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const elective = await electiveService.getElectiveById(id);
-
-  res.json({
-    success: true,
-    data: { elective }
-  });
-});
-
-/**
- * Update elective (Admin only)
- * PUT /api/electives/:id
- */
-const updateElective = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { subject_name, description, max_students, department, semester } = req.body;
-  const elective = await electiveService.updateElective(id, {
-    subject_name,
-    description,
-    max_students,
-    department,
-    semester
-  });
-
-  logger.info('Elective updated', { electiveId: id, updatedBy: req.user.id });
-
-  res.json({
-    success: true,
-    message: 'Elective updated successfully',
-    data: { elective }
-  });
-});
-
-/**
- * Delete elective (Admin only)
- * DELETE /api/electives/:id
- */
-const deleteElective = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  await electiveService.deleteElective(id);
-
-  logger.info('Elective deleted', { electiveId: id, deletedBy: req.user.id });
-
-  res.json({
-    success: true,
-    message: 'Elective deleted successfully'
-  });
-});
-
-/**
- * Submit elective choices (Protected - Student only)
- * POST /api/electives/choices
- */
-const submitChoices = asyncHandler(async (req, res) => {
-  const { choices } = req.body; // Array of { elective_id|subject_name, preference_rank }
-  const userId = req.user.id;
-  const result = await electiveService.submitChoices({ choices, userId });
-
-  if (!result.success) {
-    return res.status(400).json({
-      success: false,
-      message: result.message
-    });
-  }
-
-  logger.info('Elective choices submitted', { userId, choicesCount: choices.length });
-
-  res.json({
-    success: true,
-    message: 'Elective choices submitted successfully'
-  });
-});
-
-/**
- * Get user's elective choices (Protected)
- * GET /api/electives/my-choices
- */
-const getMyChoices = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-  const choices = await electiveService.getMyChoices(userId);
-
-  res.json({
-    success: true,
-    data: { choices }
-  });
-});
-
-/**
- * Get user's allocated elective (Protected)
- * GET /api/electives/my-allocation
- */
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { logger } = require('../../config/db');
+const electiveService = require('./elective.service');
+const roundService = require('./elective.round.service');
+const eligibilityService = require('./elective.eligibility.service');
+const reportService = require('./elective.report.service');
+const changeService = require('./elective.change.service');
+const { DEFAULT_BAND_WIDTH } = require('./elective.strategies');
+
+/**
+ * Electives Controller
+ * Handles elective subject management and allocation
+ */
+
+/**
+ * Create a new elective (Admin only)
+ * POST /api/electives
+ */
+const createElective = asyncHandler(async (req, res) => {
+  const elective = await electiveService.createElective(req.body);
+
+  logger.info('Elective created', { electiveId: elective.id, createdBy: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Elective created successfully',
+    data: { elective }
+  });
+});
+
+/**
+ * Get all electives
+ * GET /api/electives
+ * Public route; signed-in students also get each elective's eligibility and the reasons it fails
+ */
+const getAllElectives = asyncHandler(async (req, res) => {
+  const { department, semester } = req.query;
+  let electives = await electiveService.listElectives({ department, semester });
+
+  if (req.user && req.user.role === 'student') {
+    electives = await eligibilityService.annotateElectives(electives, req.user.id);
+  }
+
+  res.json({
+    success: true,
+    data: { electives, count: electives.length }
+  });
+});
+
+/**
+ * Get elective by ID
+ * GET /api/electives/:id
+ */
+const getElectiveById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const elective = await electiveService.getElectiveById(id);
+
+  res.json({
+    success: true,
+    data: { elective }
+  });
+});
+
+/**
+ * Update elective (Admin only)
+ * PUT /api/electives/:id
+ */
+const updateElective = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const elective = await electiveService.updateElective(id, req.body);
+
+  logger.info('Elective updated', { electiveId: id, updatedBy: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Elective updated successfully',
+    data: { elective }
+  });
+});
+
+/**
+ * Delete elective (Admin only)
+ * DELETE /api/electives/:id
+ */
+const deleteElective = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  await electiveService.deleteElective(id);
+
+  logger.info('Elective deleted', { electiveId: id, deletedBy: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Elective deleted successfully'
+  });
+});
+
+/**
+ * Submit elective choices (Protected - Student only)
+ * POST /api/electives/choices
+ */
+const submitChoices = asyncHandler(async (req, res) => {
+  const { choices } = req.body; // Array of { elective_id|subject_name, preference_rank }
+  const userId = req.user.id;
+  const result = await electiveService.submitChoices({ choices, userId });
+
+  if (!result.success) {
+    return res.status(400).json({
+      success: false,
+      message: result.message
+    });
+  }
+
+  logger.info('Elective choices submitted', { userId, choicesCount: choices.length, roundId: result.round.id });
+
+  res.json({
+    success: true,
+    message: 'Elective choices submitted successfully',
+    data: { round: result.round }
+  });
+});
+
+/**
+ * Get user's elective choices (Protected)
+ * GET /api/electives/my-choices
+ */
+const getMyChoices = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const choices = await electiveService.getMyChoices(userId);
+
+  res.json({
+    success: true,
+    data: { choices }
+  });
+});
+
+/**
+ * Get user's allocated elective (Protected)
+ * GET /api/electives/my-allocation
+ */
 const getMyAllocation = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-  const allocation = await electiveService.getMyAllocation(userId);
-
-  if (!allocation) {
-    return res.json({
-      success: true,
-      message: 'No elective allocated yet',
-      data: { allocation: null }
-    });
-  }
-
+  const userId = req.user.id;
+  const allocation = await electiveService.getMyAllocation(userId);
+
+  if (!allocation) {
+    return res.json({
+      success: true,
+      message: 'No elective allocated yet',
+      data: { allocation: null }
+    });
+  }
+
   res.json({
     success: true,
     data: { allocation }
@@ -172,26 +168,101 @@ const getMyWaitlist = asyncHandler(async (req, res) => {
     data: { waitlist, count: waitlist.length }
   });
 });
-
-/**
- * Run elective allocation algorithm (Admin only)
- * POST /api/electives/allocate
- */
+
+// Options recorded with a run: only those of the chosen strategy, defaults filled in
+const strategyOptions = ({ strategy, band_width, reserved_seats }) => {
+  if (strategy === 'cgpa_band_lottery') {
+    return { band_width: band_width ?? DEFAULT_BAND_WIDTH };
+  }
+  if (strategy === 'reserved_seats') {
+    return { reserved_seats };
+  }
+  return {};
+};
+
+/**
+ * Run elective allocation algorithm (Admin only)
+ * POST /api/electives/allocate
+ * Body: { round_id } allocates a single round; without it every allocation is rebuilt.
+ * { dry_run: true } previews the outcome without saving anything.
+ * { strategy, seed, band_width, reserved_seats } pick the allocation policy.
+ */
 const allocateElectives = asyncHandler(async (req, res) => {
-  const allocationResults = await electiveService.allocateElectives();
-
-  logger.info('Elective allocation completed', { 
-    allocatedBy: req.user.id, 
-    totalStudents: allocationResults.length 
-  });
-
+  const body = req.body || {};
+  const dryRun = Boolean(body.dry_run);
+  const {
+    results: allocationResults,
+    statistics,
+    round,
+    report,
+    allocation
+  } = await electiveService.allocateElectives({
+    roundId: body.round_id,
+    dryRun,
+    runBy: req.user.id,
+    strategy: body.strategy,
+    seed: body.seed,
+    strategyOptions: strategyOptions(body)
+  });
+
+  if (!dryRun) {
+    logger.info('Elective allocation completed', { 
+      allocatedBy: req.user.id, 
+      roundId: round ? round.id : null,
+      reportId: report ? report.id : null,
+      strategy: allocation.strategy,
+      seed: allocation.seed,
+      totalStudents: allocationResults.length 
+    });
+  }
+
   res.json({
     success: true,
-    message: 'Elective allocation completed successfully',
-    data: { allocationResults }
+    message: dryRun
+      ? 'Elective allocation preview generated; nothing was saved'
+      : 'Elective allocation completed successfully',
+    data: { allocationResults, statistics, round, report, allocation, dry_run: dryRun }
   });
 });
 
+/**
+ * List committed allocation runs (Admin only)
+ * GET /api/electives/allocation-reports
+ */
+const getAllocationReports = asyncHandler(async (req, res) => {
+  const reports = await reportService.listReports();
+
+  res.json({
+    success: true,
+    data: { reports, count: reports.length }
+  });
+});
+
+/**
+ * Get one allocation report with its per-student results (Admin only)
+ * GET /api/electives/allocation-reports/:id
+ */
+const getAllocationReport = asyncHandler(async (req, res) => {
+  const report = await reportService.getReportById(req.params.id);
+
+  res.json({
+    success: true,
+    data: { report }
+  });
+});
+
+/**
+ * Download an allocation report as CSV (Admin only)
+ * GET /api/electives/allocation-reports/:id/csv
+ */
+const downloadAllocationReport = asyncHandler(async (req, res) => {
+  const report = await reportService.getReportById(req.params.id);
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="allocation-report-${report.id}.csv"`);
+  res.status(200).send(reportService.reportToCsv(report));
+});
+
 /**
  * Process waitlist promotions (Admin only)
  * POST /api/electives/waitlist/process
@@ -211,16 +282,217 @@ const processWaitlist = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * List elective selection rounds (Admin only)
+ * GET /api/electives/rounds
+ */
+const getRounds = asyncHandler(async (req, res) => {
+  const rounds = await roundService.listRounds();
+
+  res.json({
+    success: true,
+    data: { rounds, count: rounds.length }
+  });
+});
+
+/**
+ * Get the round the student can submit choices in, or the next one to open (Protected - Student only)
+ * GET /api/electives/rounds/current
+ */
+const getCurrentRound = asyncHandler(async (req, res) => {
+  const round = await roundService.findStudentRound(req.user.id);
+
+  res.json({
+    success: true,
+    data: { round, server_time: new Date().toISOString() }
+  });
+});
+
+/**
+ * Create an elective selection round (Admin only)
+ * POST /api/electives/rounds
+ */
+const createRound = asyncHandler(async (req, res) => {
+  const round = await roundService.createRound(req.body, req.user.id);
+
+  logger.info('Elective round created', { roundId: round.id, createdBy: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Elective round created successfully',
+    data: { round }
+  });
+});
+
+/**
+ * Update an elective selection round, including opening or closing it (Admin only)
+ * PUT /api/electives/rounds/:id
+ */
+const updateRound = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const round = await roundService.updateRound(id, req.body);
+
+  logger.info('Elective round updated', { roundId: round.id, status: round.status, updatedBy: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Elective round updated successfully',
+    data: { round }
+  });
+});
+
+/**
+ * Request to drop the allocated elective or swap it for another (Protected - Student only)
+ * POST /api/electives/change-requests
+ */
+const createChangeRequest = asyncHandler(async (req, res) => {
+  const changeRequest = await changeService.createChangeRequest(req.user.id, req.body);
+
+  logger.info('Elective change requested', {
+    changeRequestId: changeRequest.id,
+    type: changeRequest.request_type,
+    status: changeRequest.status,
+    userId: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: changeRequest.status === 'completed'
+      ? 'Elective change completed'
+      : 'Elective change request submitted',
+    data: { changeRequest }
+  });
+});
+
+/**
+ * Get the student's own change requests (Protected - Student only)
+ * GET /api/electives/my/change-requests
+ */
+const getMyChangeRequests = asyncHandler(async (req, res) => {
+  const changeRequests = await changeService.listMyChangeRequests(req.user.id);
+
+  res.json({
+    success: true,
+    data: { changeRequests, count: changeRequests.length }
+  });
+});
+
+/**
+ * Cancel one of the student's own change requests (Protected - Student only)
+ * PUT /api/electives/my/change-requests/:id/cancel
+ */
+const cancelChangeRequest = asyncHandler(async (req, res) => {
+  const changeRequest = await changeService.cancelChangeRequest(req.user.id, req.params.id);
+
+  logger.info('Elective change request cancelled', { changeRequestId: changeRequest.id, userId: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Change request cancelled',
+    data: { changeRequest }
+  });
+});
+
+/**
+ * Open swap requests from other students (Protected - Student only)
+ * GET /api/electives/swap-market
+ */
+const getSwapMarket = asyncHandler(async (req, res) => {
+  const listings = await changeService.getSwapMarket(req.user.id);
+
+  res.json({
+    success: true,
+    data: { listings, count: listings.length }
+  });
+});
+
+/**
+ * List change requests, optionally by status (Admin only)
+ * GET /api/electives/change-requests
+ */
+const getChangeRequests = asyncHandler(async (req, res) => {
+  const changeRequests = await changeService.listChangeRequests({ status: req.query.status });
+
+  res.json({
+    success: true,
+    data: { changeRequests, count: changeRequests.length }
+  });
+});
+
+/**
+ * Approve or reject a change request awaiting approval (Admin only)
+ * PUT /api/electives/change-requests/:id/review
+ */
+const reviewChangeRequest = asyncHandler(async (req, res) => {
+  const changeRequest = await changeService.reviewChangeRequest(req.params.id, req.body, req.user.id);
+
+  logger.info('Elective change request reviewed', {
+    changeRequestId: changeRequest.id,
+    decision: req.body.decision,
+    reviewedBy: req.user.id
+  });
+
+  res.json({
+    success: true,
+    message: req.body.decision === 'approve' ? 'Change request approved' : 'Change request rejected',
+    data: { changeRequest }
+  });
+});
+
+/**
+ * Get the rules for student elective changes (Protected)
+ * GET /api/electives/change-rules
+ */
+const getChangeRules = asyncHandler(async (req, res) => {
+  const rules = await changeService.getChangeRules();
+
+  res.json({
+    success: true,
+    data: { rules }
+  });
+});
+
+/**
+ * Update the rules for student elective changes (Admin only)
+ * PUT /api/electives/change-rules
+ */
+const updateChangeRules = asyncHandler(async (req, res) => {
+  const rules = await changeService.updateChangeRules(req.body, req.user.id);
+
+  logger.info('Elective change rules updated', { rules, updatedBy: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Change rules updated successfully',
+    data: { rules }
+  });
+});
+
 module.exports = {
-  createElective,
-  getAllElectives,
-  getElectiveById,
-  updateElective,
-  deleteElective,
+  createElective,
+  getAllElectives,
+  getElectiveById,
+  updateElective,
+  deleteElective,
   submitChoices,
   getMyChoices,
   getMyAllocation,
   getMyWaitlist,
   processWaitlist,
-  allocateElectives
+  allocateElectives,
+  getAllocationReports,
+  getAllocationReport,
+  downloadAllocationReport,
+  getRounds,
+  getCurrentRound,
+  createRound,
+  updateRound,
+  createChangeRequest,
+  getMyChangeRequests,
+  cancelChangeRequest,
+  getSwapMarket,
+  getChangeRequests,
+  reviewChangeRequest,
+  getChangeRules,
+  updateChangeRules
 };
@@ -0,0 +1,143 @@
+const { query } = require('../../config/db');
+
+/**
+ * Elective eligibility rules. Every rule is optional: an elective with no
+ * eligible_departments, semester bounds, min_cgpa, prerequisites or
+ * exclusions is open to every student.
+ *
+ * There is no per-student transcript, so a prerequisite subject counts as
+ * completed when it belongs to the student's department curriculum in an
+ * earlier semester than the one they are in now.
+ */
+
+// Subject curriculum, loaded once per check and reused across students
+const loadSubjects = async (db = { query }) => {
+  const result = await db.query('SELECT subject_code, subject_name, department, semester FROM subjects');
+  return result.rows;
+};
+
+/**
+ * Everything the rules need to know about one student.
+ *
+ * @param {object} user - row with department, semester and cgpa
+ * @param {object[]} subjects - from loadSubjects
+ * @param {object[]} [heldElectives] - electives already allocated to the student
+ */
+const buildStudentProfile = (user, subjects, heldElectives = []) => ({
+  department: user.department || null,
+  semester: user.semester == null ? null : Number(user.semester),
+  cgpa: user.cgpa == null ? null : Number(user.cgpa),
+  completedSubjectCodes: new Set(
+    subjects
+      .filter((subject) => user.department && user.semester
+        && subject.department === user.department
+        && subject.semester != null
+        && subject.semester < user.semester)
+      .map((subject) => subject.subject_code)
+  ),
+  heldElectives
+});
+
+/** Exclusions work both ways, whichever elective lists the other. */
+const areExclusive = (a, b) =>
+  (a.exclusive_elective_ids || []).includes(b.id) || (b.exclusive_elective_ids || []).includes(a.id);
+
+const describeSemesters = ({ min_semester: min, max_semester: max }) => {
+  if (min != null && max != null) return min === max ? `Semester ${min} only` : `Semester ${min}–${max} only`;
+  if (min != null) return `From semester ${min}`;
+  return `Up to semester ${max}`;
+};
+
+/**
+ * Reasons a student cannot take an elective; empty when they can.
+ *
+ * @param {object} elective - electives row
+ * @param {object} profile - from buildStudentProfile
+ * @param {Map<string, string>} subjectNames - subject code → name, for prerequisites
+ * @returns {string[]}
+ */
+const checkEligibility = (elective, profile, subjectNames = new Map()) => {
+  const reasons = [];
+
+  const departments = elective.eligible_departments || [];
+  if (departments.length > 0 && !departments.includes(profile.department)) {
+    reasons.push(`Only for ${departments.join(', ')} students`);
+  }
+
+  const { min_semester: minSemester, max_semester: maxSemester } = elective;
+  if (minSemester != null || maxSemester != null) {
+    const semester = profile.semester;
+    if (semester == null || (minSemester != null && semester < minSemester) || (maxSemester != null && semester > maxSemester)) {
+      reasons.push(describeSemesters(elective));
+    }
+  }
+
+  if (elective.min_cgpa != null) {
+    const minCgpa = Number(elective.min_cgpa);
+    if (profile.cgpa == null || profile.cgpa < minCgpa) {
+      reasons.push(`Requires a CGPA of at least ${minCgpa.toFixed(2)}`);
+    }
+  }
+
+  const missing = (elective.prerequisite_subject_codes || [])
+    .filter((code) => !profile.completedSubjectCodes.has(code));
+  if (missing.length > 0) {
+    reasons.push(`Requires ${missing.map((code) => subjectNames.get(code) || code).join(', ')}`);
+  }
+
+  const conflicts = profile.heldElectives.filter((held) => held.id !== elective.id && areExclusive(elective, held));
+  if (conflicts.length > 0) {
+    reasons.push(`Cannot be taken with ${conflicts.map((held) => held.subject_name).join(', ')}`);
+  }
+
+  return reasons;
+};
+
+/**
+ * Load a student's profile, together with subject names for explaining
+ * missing prerequisites.
+ *
+ * @returns {Promise<{ profile: object, subjectNames: Map<string, string> }>}
+ */
+const loadStudentProfile = async (userId) => {
+  const [userResult, subjects, heldResult] = await Promise.all([
+    query('SELECT department, semester, cgpa FROM users WHERE id = $1', [userId]),
+    loadSubjects(),
+    query(
+      `
+        SELECT e.id, e.subject_name, e.exclusive_elective_ids
+        FROM allocated_electives ae
+        JOIN electives e ON e.id = ae.elective_id
+        WHERE ae.student_id = $1
+      `,
+      [userId]
+    )
+  ]);
+
+  const user = userResult.rows[0] || {};
+  return {
+    profile: buildStudentProfile(user, subjects, heldResult.rows),
+    subjectNames: new Map(subjects.map((subject) => [subject.subject_code, subject.subject_name]))
+  };
+};
+
+/**
+ * Add `eligibility: { eligible, reasons }` to each elective for one student.
+ */
+const annotateElectives = async (electives, userId) => {
+  const { profile, subjectNames } = await loadStudentProfile(userId);
+
+  return electives.map((elective) => {
+    const reasons = checkEligibility(elective, profile, subjectNames);
+    return { ...elective, eligibility: { eligible: reasons.length === 0, reasons } };
+  });
+};
+
+module.exports = {
+  loadSubjects,
+  buildStudentProfile,
+  areExclusive,
+  checkEligibility,
+  loadStudentProfile,
+  annotateElectives
+};
@@ -0,0 +1,154 @@
+const { query } = require('../../config/db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { parseInteger } = require('../../utils/request');
+
+/**
+ * Allocation reports. A committed allocation run stores its per-student
+ * results and statistics as a report that is never changed afterwards; a
+ * dry run computes the same statistics without storing anything.
+ */
+
+const CSV_HEADERS = ['Student ID', 'Student Name', 'CGPA', 'Allocated Elective', 'Preference Rank'];
+
+const escapeCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Statistics for one allocation run.
+ *
+ * Fill rates cover every seat taken in an elective, including those filled by
+ * earlier rounds. The CGPA cutoff is the lowest CGPA admitted in this run.
+ *
+ * @param {object} params
+ * @param {object[]} params.results - per-student results with elective_id
+ * @param {object[]} params.electives - electives rows with seats_available before the run
+ * @param {number} [params.waitlisted] - waitlist places created by the run
+ */
+const buildAllocationStatistics = ({ results, electives, waitlisted = 0 }) => {
+  const allocated = results.filter((entry) => entry.preference_rank != null);
+
+  const rankCounts = new Map();
+  allocated.forEach((entry) => {
+    rankCounts.set(entry.preference_rank, (rankCounts.get(entry.preference_rank) || 0) + 1);
+  });
+
+  const electiveStatistics = electives.map((elective) => {
+    const placed = allocated.filter((entry) => entry.elective_id === elective.id);
+    const capacity = Number(elective.max_students);
+    const seatsLeft = Number(elective.seats_available) - placed.length;
+    const cgpas = placed.map((entry) => Number(entry.cgpa));
+
+    return {
+      elective_id: elective.id,
+      subject_name: elective.subject_name,
+      capacity,
+      allocated: placed.length,
+      seats_left: seatsLeft,
+      fill_rate: capacity > 0 ? Math.round(((capacity - seatsLeft) / capacity) * 1000) / 10 : null,
+      cgpa_cutoff: cgpas.length > 0 ? Math.min(...cgpas) : null
+    };
+  });
+
+  return {
+    total_students: results.length,
+    allocated_count: allocated.length,
+    unallocated_count: results.length - allocated.length,
+    waitlisted_count: waitlisted,
+    rank_distribution: [...rankCounts.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([preference_rank, count]) => ({ preference_rank, count })),
+    electives: electiveStatistics,
+    unallocated: results
+      .filter((entry) => entry.preference_rank == null)
+      .map(({ student_id, student_name, cgpa }) => ({ student_id, student_name, cgpa }))
+  };
+};
+
+/**
+ * Store a committed run, with the strategy and seed that produced it.
+ * Called inside the allocation transaction so the report exists exactly
+ * when the allocation does.
+ */
+const saveReport = async (client, { round, allocationRound, statistics, results, runBy, allocation }) => {
+  const result = await client.query(
+    `
+      INSERT INTO elective_allocation_reports (
+        round_id, allocation_round, statistics, results, run_by, strategy, strategy_options, seed
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id, round_id, allocation_round, run_by, strategy, strategy_options, seed, created_at
+    `,
+    [
+      round ? round.id : null,
+      allocationRound,
+      JSON.stringify(statistics),
+      JSON.stringify(results),
+      runBy,
+      allocation.strategy,
+      JSON.stringify(allocation.options),
+      allocation.seed
+    ]
+  );
+  return result.rows[0];
+};
+
+const listReports = async () => {
+  const result = await query(`
+    SELECT ar.id, ar.round_id, r.name AS round_name, ar.allocation_round, ar.statistics,
+           ar.strategy, ar.strategy_options, ar.seed,
+           ar.run_by, u.full_name AS run_by_name, ar.created_at
+    FROM elective_allocation_reports ar
+    LEFT JOIN elective_rounds r ON r.id = ar.round_id
+    LEFT JOIN users u ON u.id = ar.run_by
+    ORDER BY ar.created_at DESC
+  `);
+  return result.rows;
+};
+
+const getReportById = async (id) => {
+  const result = await query(
+    `
+      SELECT ar.*, r.name AS round_name, u.full_name AS run_by_name
+      FROM elective_allocation_reports ar
+      LEFT JOIN elective_rounds r ON r.id = ar.round_id
+      LEFT JOIN users u ON u.id = ar.run_by
+      WHERE ar.id = $1
+    `,
+    [parseInteger(id)]
+  );
+
+  if (result.rows.length === 0) {
+    throw new ApiError(404, 'Allocation report not found');
+  }
+
+  return result.rows[0];
+};
+
+/** One row per student in the run, in CGPA order. */
+const reportToCsv = (report) => {
+  const rows = report.results.map((entry) => [
+    entry.student_id,
+    entry.student_name,
+    entry.cgpa,
+    entry.allocated_elective,
+    entry.preference_rank
+  ]);
+
+  return [CSV_HEADERS, ...rows]
+    .map((row) => row.map(escapeCsvField).join(','))
+    .join('\n');
+};
+
+module.exports = {
+  buildAllocationStatistics,
+  saveReport,
+  listReports,
+  getReportById,
+  reportToCsv
+};
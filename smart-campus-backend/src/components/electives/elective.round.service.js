@@ -0,0 +1,135 @@
+const { query } = require('../../config/db');
+const { ApiError } = require('../../middleware/errorHandler');
+const { parseInteger } = require('../../utils/request');
+
+// A student can use a round when it lists their semester and department, or
+// lists none at all. Expects the student row aliased as `u`.
+const STUDENT_ELIGIBLE_SQL = `
+  (cardinality(r.semesters) = 0 OR u.semester = ANY(r.semesters))
+  AND (cardinality(r.departments) = 0 OR u.department = ANY(r.departments))
+`;
+
+const listRounds = async () => {
+  const result = await query('SELECT * FROM elective_rounds ORDER BY round_number DESC');
+  return result.rows;
+};
+
+const getRoundById = async (id) => {
+  const result = await query('SELECT * FROM elective_rounds WHERE id = $1', [parseInteger(id)]);
+
+  if (result.rows.length === 0) {
+    throw new ApiError(404, 'Elective round not found');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Create a round. Rounds are numbered in creation order, and that number is
+ * what allocated_electives.allocation_round records.
+ */
+const createRound = async ({ name, opens_at, closes_at, semesters = [], departments = [] }, userId) => {
+  const sql = `
+    INSERT INTO elective_rounds (name, round_number, opens_at, closes_at, semesters, departments, created_by)
+    SELECT $1, COALESCE(MAX(round_number), 0) + 1, $2, $3, $4, $5, $6
+    FROM elective_rounds
+    RETURNING *
+  `;
+
+  const result = await query(sql, [name, opens_at, closes_at, semesters, departments, userId]);
+  return result.rows[0];
+};
+
+/**
+ * Update a round's window, eligibility or open/closed status. Allocated
+ * rounds are final.
+ */
+const updateRound = async (id, { name, opens_at, closes_at, semesters, departments, status }) => {
+  const round = await getRoundById(id);
+
+  if (round.status === 'allocated') {
+    throw new ApiError(409, 'An allocated round can no longer be changed');
+  }
+
+  const opensAt = new Date(opens_at || round.opens_at);
+  const closesAt = new Date(closes_at || round.closes_at);
+  if (closesAt <= opensAt) {
+    throw new ApiError(400, 'Round must close after it opens');
+  }
+
+  const sql = `
+    UPDATE elective_rounds
+    SET name = COALESCE($1, name),
+        opens_at = $2,
+        closes_at = $3,
+        semesters = COALESCE($4, semesters),
+        departments = COALESCE($5, departments),
+        status = COALESCE($6, status),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $7 AND status <> 'allocated'
+    RETURNING *
+  `;
+
+  const result = await query(sql, [
+    name ?? null,
+    opensAt,
+    closesAt,
+    semesters ?? null,
+    departments ?? null,
+    status ?? null,
+    round.id
+  ]);
+
+  if (result.rows.length === 0) {
+    throw new ApiError(409, 'An allocated round can no longer be changed');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * The round a student can submit choices in right now, or failing that the
+ * next one that will open for them.
+ *
+ * @returns {Promise<object|null>} Round row with `is_open`, or null
+ */
+const findStudentRound = async (userId) => {
+  const sql = `
+    SELECT r.*, (r.opens_at <= NOW()) AS is_open
+    FROM elective_rounds r
+    JOIN users u ON u.id = $1
+    WHERE r.status = 'open'
+      AND r.closes_at > NOW()
+      AND ${STUDENT_ELIGIBLE_SQL}
+    ORDER BY (r.opens_at <= NOW()) DESC, r.opens_at ASC
+    LIMIT 1
+  `;
+
+  const result = await query(sql, [userId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * The round accepting this student's choices.
+ *
+ * @throws {ApiError} 403 when no round is open for the student
+ */
+const requireOpenRound = async (userId) => {
+  const round = await findStudentRound(userId);
+
+  if (!round || !round.is_open) {
+    throw new ApiError(403, 'Elective selection is not open for you right now');
+  }
+
+  return round;
+};
+
+module.exports = {
+  STUDENT_ELIGIBLE_SQL,
+  listRounds,
+  getRoundById,
+  createRound,
+  updateRound,
+  findStudentRound,
+  requireOpenRound
+};
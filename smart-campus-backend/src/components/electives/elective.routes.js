@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const electiveController = require('./elective.controller');
-const { verifyToken, verifyAdmin, verifyStudent } = require('../../middleware/auth.middleware');
+const { verifyToken, verifyAdmin, verifyStudent, optionalAuth } = require('../../middleware/auth.middleware');
 const { validate, validationSchemas } = require('../../middleware/validation');
 const { apiLimiter } = require('../../middleware/rateLimiter.middleware'); // 🛡️ Added Rate Limiter
 
@@ -11,17 +11,32 @@ const { apiLimiter } = require('../../middleware/rateLimiter.middleware'); // 
  */
 
 // Public routes 🛡️ (Applied apiLimiter)
-router.get('/', apiLimiter, validate(validationSchemas.electiveQuery, 'query'), electiveController.getAllElectives);
+router.get('/', apiLimiter, optionalAuth, validate(validationSchemas.electiveQuery, 'query'), electiveController.getAllElectives);
 
 // Static student routes — must be BEFORE /:id to avoid route shadowing
 router.post('/choices', verifyToken, verifyStudent, validate(validationSchemas.submitChoices), electiveController.submitChoices);
 router.get('/my/choices', verifyToken, verifyStudent, electiveController.getMyChoices);
 router.get('/my/allocation', verifyToken, verifyStudent, electiveController.getMyAllocation);
 router.get('/my/waitlist', verifyToken, verifyStudent, electiveController.getMyWaitlist);
+router.get('/rounds/current', verifyToken, verifyStudent, electiveController.getCurrentRound);
+router.post('/change-requests', verifyToken, verifyStudent, validate(validationSchemas.electiveChangeRequest), electiveController.createChangeRequest);
+router.get('/my/change-requests', verifyToken, verifyStudent, electiveController.getMyChangeRequests);
+router.put('/my/change-requests/:id/cancel', verifyToken, verifyStudent, validate(validationSchemas.idParam, 'params'), electiveController.cancelChangeRequest);
+router.get('/swap-market', verifyToken, verifyStudent, electiveController.getSwapMarket);
+router.get('/change-rules', verifyToken, electiveController.getChangeRules);
 
 // Static admin routes — must be BEFORE /:id to avoid route shadowing
-router.post('/allocate', verifyToken, verifyAdmin, electiveController.allocateElectives);
+router.post('/allocate', verifyToken, verifyAdmin, validate(validationSchemas.allocateElectives), electiveController.allocateElectives);
+router.get('/allocation-reports', verifyToken, verifyAdmin, electiveController.getAllocationReports);
+router.get('/allocation-reports/:id', verifyToken, verifyAdmin, validate(validationSchemas.idParam, 'params'), electiveController.getAllocationReport);
+router.get('/allocation-reports/:id/csv', verifyToken, verifyAdmin, validate(validationSchemas.idParam, 'params'), electiveController.downloadAllocationReport);
 router.post('/waitlist/process', verifyToken, verifyAdmin, validate(validationSchemas.processWaitlist), electiveController.processWaitlist);
+router.get('/rounds', verifyToken, verifyAdmin, electiveController.getRounds);
+router.post('/rounds', verifyToken, verifyAdmin, validate(validationSchemas.electiveRound), electiveController.createRound);
+router.put('/rounds/:id', verifyToken, verifyAdmin, validate(validationSchemas.idParam, 'params'), validate(validationSchemas.electiveRoundUpdate), electiveController.updateRound);
+router.get('/change-requests', verifyToken, verifyAdmin, validate(validationSchemas.electiveChangeRequestQuery, 'query'), electiveController.getChangeRequests);
+router.put('/change-requests/:id/review', verifyToken, verifyAdmin, validate(validationSchemas.idParam, 'params'), validate(validationSchemas.electiveChangeReview), electiveController.reviewChangeRequest);
+router.put('/change-rules', verifyToken, verifyAdmin, validate(validationSchemas.electiveChangeRules), electiveController.updateChangeRules);
 
 // Dynamic ID routes
 router.get('/:id', apiLimiter, validate(validationSchemas.idParam, 'params'), electiveController.getElectiveById);
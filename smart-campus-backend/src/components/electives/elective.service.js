@@ -1,17 +1,38 @@
+const crypto = require('crypto');
 const { query, transaction, logger } = require('../../config/db');
 const { ApiError } = require('../../middleware/errorHandler');
 const { parseInteger } = require('../../utils/request');
 const notificationService = require('../../services/notification.service');
+const roundService = require('./elective.round.service');
+const eligibilityService = require('./elective.eligibility.service');
+const reportService = require('./elective.report.service');
+const strategies = require('./elective.strategies');
+const { createRandom } = require('../../utils/random');
 const NO_ALLOCATION_MESSAGE = 'None (No seat available)';
-
-const createElective = async ({ subject_name, description, max_students, department, semester }) => {
+// Allocation seeds are non-negative 32-bit integers, stored in an INTEGER column
+const MAX_SEED = 2147483647;
+
+// Eligibility rule columns, in the order createElective and updateElective bind them
+const ruleValues = ({
+  eligible_departments = [],
+  min_semester = null,
+  max_semester = null,
+  min_cgpa = null,
+  prerequisite_subject_codes = [],
+  exclusive_elective_ids = []
+}) => [eligible_departments, min_semester, max_semester, min_cgpa, prerequisite_subject_codes, exclusive_elective_ids];
+
+const createElective = async ({ subject_name, description, max_students, department, semester, ...rules }) => {
   const sql = `
-    INSERT INTO electives (subject_name, description, max_students, department, semester)
-    VALUES ($1, $2, $3, $4, $5)
+    INSERT INTO electives (
+      subject_name, description, max_students, department, semester,
+      eligible_departments, min_semester, max_semester, min_cgpa, prerequisite_subject_codes, exclusive_elective_ids
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
     RETURNING *
   `;
 
-  const result = await query(sql, [subject_name, description, max_students || 50, department, semester]);
+  const result = await query(sql, [subject_name, description, max_students || 50, department, semester, ...ruleValues(rules)]);
   return result.rows[0];
 };
 
@@ -51,16 +72,18 @@ const getElectiveById = async (id) => {
   return result.rows[0];
 };
 
-const updateElective = async (id, { subject_name, description, max_students, department, semester }) => {
+const updateElective = async (id, { subject_name, description, max_students, department, semester, ...rules }) => {
   const sql = `
     UPDATE electives
-    SET subject_name = $1, description = $2, max_students = $3, department = $4, semester = $5
-    WHERE id = $6 AND deleted_at IS NULL
+    SET subject_name = $1, description = $2, max_students = $3, department = $4, semester = $5,
+        eligible_departments = $6, min_semester = $7, max_semester = $8, min_cgpa = $9,
+        prerequisite_subject_codes = $10, exclusive_elective_ids = $11
+    WHERE id = $12 AND deleted_at IS NULL
     RETURNING *
   `;
 
   const parsedId = parseInteger(id);
-  const result = await query(sql, [subject_name, description, max_students, department, semester, parsedId]);
+  const result = await query(sql, [subject_name, description, max_students, department, semester, ...ruleValues(rules), parsedId]);
 
   if (result.rows.length === 0) {
     throw new ApiError(404, 'Elective not found');
@@ -84,9 +107,47 @@ const deleteElective = async (id) => {
   return result.rows[0];
 };
 
+/**
+ * Explain the first choice the student may not make: an elective they are
+ * not eligible for, or two electives that exclude each other.
+ *
+ * @returns {Promise<string|null>}
+ */
+const findIneligibleChoice = async ({ userId, normalizedChoices, electiveRows }) => {
+  const electivesById = new Map(electiveRows.map((elective) => [elective.id, elective]));
+  const chosen = normalizedChoices.map((choice) => electivesById.get(choice.elective_id)).filter(Boolean);
+  const { profile, subjectNames } = await eligibilityService.loadStudentProfile(userId);
+
+  for (const elective of chosen) {
+    const reasons = eligibilityService.checkEligibility(elective, profile, subjectNames);
+    if (reasons.length > 0) {
+      return `You are not eligible for ${elective.subject_name}: ${reasons.join('; ')}`;
+    }
+  }
+
+  for (let i = 0; i < chosen.length; i++) {
+    for (let j = i + 1; j < chosen.length; j++) {
+      if (eligibilityService.areExclusive(chosen[i], chosen[j])) {
+        return `${chosen[i].subject_name} and ${chosen[j].subject_name} cannot both be chosen`;
+      }
+    }
+  }
+
+  return null;
+};
+
 const submitChoices = async ({ choices, userId }) => {
+  const round = await roundService.requireOpenRound(userId);
+
+  // Later rounds only serve students an earlier round left without a seat
+  const allocationResult = await query('SELECT id FROM allocated_electives WHERE student_id = $1', [userId]);
+  if (allocationResult.rows.length > 0) {
+    throw new ApiError(409, 'You already have an allocated elective');
+  }
+
   const allChoicesUseIds = choices.every((choice) => choice.elective_id != null);
   let normalizedChoices = [];
+  let electiveRows = [];
 
   if (allChoicesUseIds) {
     const parsedChoices = choices.map((choice) => ({
@@ -97,9 +158,10 @@ const submitChoices = async ({ choices, userId }) => {
 
     const ids = parsedChoices.map((c) => c.elective_id);
     const validResult = await query(
-      'SELECT id FROM electives WHERE id = ANY($1) AND deleted_at IS NULL',
+      'SELECT * FROM electives WHERE id = ANY($1) AND deleted_at IS NULL',
       [ids]
     );
+    electiveRows = validResult.rows;
     const validIds = new Set(validResult.rows.map((r) => r.id));
     const hasInvalid = parsedChoices.some((c) => !validIds.has(c.elective_id));
     if (hasInvalid) {
@@ -108,7 +170,8 @@ const submitChoices = async ({ choices, userId }) => {
 
     normalizedChoices = parsedChoices;
   } else {
-    const electivesResult = await query('SELECT id, subject_name FROM electives WHERE deleted_at IS NULL');
+    const electivesResult = await query('SELECT * FROM electives WHERE deleted_at IS NULL');
+    electiveRows = electivesResult.rows;
     const subjectToId = {};
     const validElectiveIds = new Set();
 
@@ -132,18 +195,23 @@ const submitChoices = async ({ choices, userId }) => {
     }
   }
 
+  const ineligibleMessage = await findIneligibleChoice({ userId, normalizedChoices, electiveRows });
+  if (ineligibleMessage) {
+    return { success: false, message: ineligibleMessage };
+  }
+
   await transaction(async (client) => {
     await client.query('DELETE FROM student_choices WHERE student_id = $1', [userId]);
 
     for (const choice of normalizedChoices) {
       await client.query(
-        'INSERT INTO student_choices (student_id, elective_id, preference_rank) VALUES ($1, $2, $3)',
-        [userId, choice.elective_id, choice.preference_rank]
+        'INSERT INTO student_choices (student_id, elective_id, preference_rank, round_id) VALUES ($1, $2, $3, $4)',
+        [userId, choice.elective_id, choice.preference_rank, round.id]
       );
     }
   });
 
-  return { success: true };
+  return { success: true, round };
 };
 
 const getMyChoices = async (userId) => {
@@ -204,18 +272,18 @@ const processWaitlistWithClient = async ({ client, electiveId = null }) => {
 
   const electiveCapacitySql = `
     SELECT
-      e.id,
-      e.subject_name,
+      e.*,
       e.max_students - COUNT(ae.id)::int AS seats_available
     FROM electives e
     LEFT JOIN allocated_electives ae ON ae.elective_id = e.id
     ${electiveFilterSql}
-    GROUP BY e.id, e.subject_name, e.max_students
+    GROUP BY e.id
     ORDER BY e.id ASC
   `;
 
   const electivesResult = await client.query(electiveCapacitySql, electiveParams);
   const promotions = [];
+  let subjects = null;
 
   for (const elective of electivesResult.rows) {
     let seatsAvailable = Number(elective.seats_available);
@@ -233,7 +301,7 @@ const processWaitlistWithClient = async ({ client, electiveId = null }) => {
 
     const waitlistResult = await client.query(
       `
-        SELECT ew.id, ew.student_id, ew.preference_rank, u.full_name, u.email
+        SELECT ew.id, ew.student_id, ew.preference_rank, u.full_name, u.email, u.department, u.semester, u.cgpa
         FROM elective_waitlist ew
         JOIN users u ON u.id = ew.student_id
         WHERE ew.elective_id = $1 AND ew.status = 'waiting'
@@ -242,11 +310,25 @@ const processWaitlistWithClient = async ({ client, electiveId = null }) => {
       [elective.id]
     );
 
+    if (waitlistResult.rows.length > 0 && !subjects) {
+      subjects = await eligibilityService.loadSubjects(client);
+    }
+
     for (const waitEntry of waitlistResult.rows) {
       if (seatsAvailable <= 0) {
         break;
       }
 
+      // Rules are checked again here: they or the student's CGPA and semester may have changed since joining
+      const profile = eligibilityService.buildStudentProfile(waitEntry, subjects);
+      if (eligibilityService.checkEligibility(elective, profile).length > 0) {
+        await client.query(
+          'UPDATE elective_waitlist SET status = \'skipped\' WHERE id = $1',
+          [waitEntry.id]
+        );
+        continue;
+      }
+
       const allocationInsert = await client.query(
         `
           INSERT INTO allocated_electives (student_id, elective_id, allocation_round)
@@ -298,101 +380,221 @@ const processWaitlistWithClient = async ({ client, electiveId = null }) => {
   return promotions;
 };
 
+// Notification for students promoted by processWaitlistWithClient
+const waitlistPromotionNotice = (promotions) => ({
+  users: promotions.map((entry) => ({
+    id: entry.student_id,
+    email: entry.email,
+  })),
+  eventType: 'WAITLIST_PROMOTED',
+  title: 'Elective Waitlist Promotion',
+  message: 'You have been auto-enrolled from the elective waitlist.',
+  metadata: {
+    promotions: promotions.map((entry) => ({
+      student_id: entry.student_id,
+      elective_id: entry.elective_id,
+      elective_name: entry.elective_name,
+    })),
+  },
+  sendEmail: true,
+});
+
 const processWaitlist = async ({ electiveId = null } = {}) => {
   const promotions = await transaction(async (client) => {
     return processWaitlistWithClient({ client, electiveId });
   });
 
   if (promotions.length > 0) {
-    await notificationService.createNotificationsForUsers({
-      users: promotions.map((entry) => ({
-        id: entry.student_id,
-        email: entry.email,
-      })),
-      eventType: 'WAITLIST_PROMOTED',
-      title: 'Elective Waitlist Promotion',
-      message: 'You have been auto-enrolled from the elective waitlist.',
-      metadata: {
-        promotions: promotions.map((entry) => ({
-          student_id: entry.student_id,
-          elective_id: entry.elective_id,
-          elective_name: entry.elective_name,
-        })),
-      },
-      sendEmail: true,
-    });
+    await notificationService.createNotificationsForUsers(waitlistPromotionNotice(promotions));
   }
 
   return promotions;
 };
 
-const allocateElectives = async () => {
+/**
+ * Lock a round for allocation. A round is ready once it has closed, either
+ * by an admin or by reaching its closing time, and has not been allocated.
+ * A dry run only reads, so it neither locks nor waits for the round to close.
+ */
+const lockRoundForAllocation = async (client, roundId, { dryRun = false } = {}) => {
+  const result = await client.query(
+    `SELECT *, (closes_at <= NOW()) AS has_ended FROM elective_rounds WHERE id = $1${dryRun ? '' : ' FOR UPDATE'}`,
+    [parseInteger(roundId)]
+  );
+  const round = result.rows[0];
+
+  if (!round) {
+    throw new ApiError(404, 'Elective round not found');
+  }
+  if (round.status === 'allocated') {
+    throw new ApiError(409, 'This round has already been allocated');
+  }
+  if (!dryRun && round.status === 'open' && !round.has_ended) {
+    throw new ApiError(409, 'Close the round before running its allocation');
+  }
+
+  return round;
+};
+
+/**
+ * Run the allocation with one of the strategies in elective.strategies,
+ * CGPA priority by default. Without a round every allocation and waitlist
+ * is rebuilt from scratch as round 1. With a round, only eligible students
+ * who submitted choices and hold no seat yet take part, and they compete for
+ * the seats earlier rounds left free.
+ *
+ * Ties are broken by a random order drawn from `seed`; a seed is picked when
+ * none is given, and is returned so the run can be repeated exactly.
+ *
+ * A dry run computes the same results and statistics but writes nothing and
+ * notifies nobody. A committed run is saved as an allocation report.
+ *
+ * @param {object} [options]
+ * @param {number} [options.roundId]
+ * @param {boolean} [options.dryRun]
+ * @param {number} [options.runBy] - admin running the allocation
+ * @param {string} [options.strategy]
+ * @param {number} [options.seed]
+ * @param {object} [options.strategyOptions] - band_width or reserved_seats
+ * @returns {Promise<{ results: object[], statistics: object, round: object|null, report: object|null, allocation: object }>}
+ */
+const allocateElectives = async ({
+  roundId = null,
+  dryRun = false,
+  runBy = null,
+  strategy = 'cgpa',
+  seed = crypto.randomInt(MAX_SEED),
+  strategyOptions = {}
+} = {}) => {
+  const allocation = { strategy, seed, options: strategyOptions };
+
   const payload = await transaction(async (client) => {
-    await client.query('DELETE FROM allocated_electives');
-    await client.query('DELETE FROM elective_waitlist');
+    let round = null;
+    let studentsResult;
 
-    const studentsResult = await client.query(
-      'SELECT id, full_name, email, cgpa FROM users WHERE role = $1 AND cgpa IS NOT NULL ORDER BY cgpa DESC',
-      ['student']
-    );
+    if (roundId == null) {
+      if (!dryRun) {
+        await client.query('DELETE FROM allocated_electives');
+        await client.query('DELETE FROM elective_waitlist');
+      }
+
+      studentsResult = await client.query(
+        'SELECT id, full_name, email, cgpa, department, semester FROM users WHERE role = $1 AND cgpa IS NOT NULL ORDER BY cgpa DESC',
+        ['student']
+      );
+    } else {
+      round = await lockRoundForAllocation(client, roundId, { dryRun });
+
+      studentsResult = await client.query(
+        `
+          SELECT u.id, u.full_name, u.email, u.cgpa, u.department, u.semester
+          FROM users u
+          JOIN elective_rounds r ON r.id = $2
+          WHERE u.role = $1
+            AND u.cgpa IS NOT NULL
+            AND ${roundService.STUDENT_ELIGIBLE_SQL}
+            AND NOT EXISTS (SELECT 1 FROM allocated_electives ae WHERE ae.student_id = u.id)
+            AND EXISTS (SELECT 1 FROM student_choices sc WHERE sc.student_id = u.id)
+          ORDER BY u.cgpa DESC
+        `,
+        ['student', round.id]
+      );
+
+      if (!dryRun) {
+        // Waitlist places from earlier rounds are replaced by this round's outcome
+        await client.query(
+          'DELETE FROM elective_waitlist WHERE status = \'waiting\' AND student_id = ANY($1)',
+          [studentsResult.rows.map((student) => student.id)]
+        );
+      }
+    }
 
     const students = studentsResult.rows;
+    const allocationRound = round ? round.round_number : 1;
+    // A full re-run starts from empty electives, even in a dry run that deleted nothing
     const electivesResult = await client.query(
-      'SELECT id, subject_name, max_students FROM electives WHERE deleted_at IS NULL'
+      `
+        SELECT e.*, e.max_students - COUNT(ae.id)::int AS seats_available
+        FROM electives e
+        LEFT JOIN allocated_electives ae ON ae.elective_id = e.id AND $1::boolean
+        WHERE e.deleted_at IS NULL
+        GROUP BY e.id
+      `,
+      [round !== null]
     );
+    const subjects = await eligibilityService.loadSubjects(client);
 
     const electiveSeats = {};
+    const electivesById = new Map();
     electivesResult.rows.forEach((elective) => {
-      electiveSeats[elective.id] = elective.max_students;
+      electiveSeats[elective.id] = Number(elective.seats_available);
+      electivesById.set(elective.id, elective);
     });
 
-    const results = [];
+    // Rules are checked again here: CGPA and semester may have changed since submission
+    const profiles = new Map();
+    const isEligible = (student, electiveId) => {
+      const elective = electivesById.get(electiveId);
+      if (!profiles.has(student.id)) {
+        profiles.set(student.id, eligibilityService.buildStudentProfile(student, subjects));
+      }
+      return Boolean(elective) && eligibilityService.checkEligibility(elective, profiles.get(student.id)).length === 0;
+    };
 
+    const choices = new Map();
     for (const student of students) {
       const choicesResult = await client.query(
         'SELECT elective_id FROM student_choices WHERE student_id = $1 ORDER BY preference_rank ASC',
         [student.id]
       );
+      choices.set(student.id, choicesResult.rows.map((choice) => choice.elective_id));
+    }
+
+    const assignments = strategies.runStrategy(strategy, {
+      students,
+      choices,
+      seats: electiveSeats,
+      isEligible,
+      random: createRandom(seed),
+      options: strategyOptions
+    });
 
-      let allocated = false;
+    // Results stay in CGPA order whatever order the strategy served students in
+    const results = [];
 
-      for (const choice of choicesResult.rows) {
-        const electiveId = choice.elective_id;
+    for (const student of students) {
+      const electiveId = assignments.get(student.id);
 
-        if (electiveSeats[electiveId] && electiveSeats[electiveId] > 0) {
+      if (electiveId !== undefined) {
+        if (!dryRun) {
           await client.query(
             'INSERT INTO allocated_electives (student_id, elective_id, allocation_round) VALUES ($1, $2, $3)',
-            [student.id, electiveId, 1]
+            [student.id, electiveId, allocationRound]
           );
-
-          electiveSeats[electiveId]--;
-
-          const electiveName = electivesResult.rows.find((elective) => elective.id === electiveId).subject_name;
-
-          results.push({
-            student_id: student.id,
-            student_name: student.full_name,
-            cgpa: student.cgpa,
-            allocated_elective: electiveName,
-            preference_rank: choicesResult.rows.indexOf(choice) + 1
-          });
-
-          allocated = true;
-          break;
         }
-      }
 
-      if (!allocated) {
         results.push({
           student_id: student.id,
           student_name: student.full_name,
           cgpa: student.cgpa,
+          elective_id: electiveId,
+          allocated_elective: electivesById.get(electiveId).subject_name,
+          preference_rank: choices.get(student.id).indexOf(electiveId) + 1
+        });
+      } else {
+        results.push({
+          student_id: student.id,
+          student_name: student.full_name,
+          cgpa: student.cgpa,
+          elective_id: null,
           allocated_elective: NO_ALLOCATION_MESSAGE,
           preference_rank: null
         });
       }
     }
 
+    let waitlisted = 0;
+
     for (const resultEntry of results) {
       if (resultEntry.allocated_elective !== NO_ALLOCATION_MESSAGE) {
         continue;
@@ -409,6 +611,15 @@ const allocateElectives = async () => {
       );
 
       for (const waitChoice of choicesResult.rows) {
+        if (!isEligible(student, waitChoice.elective_id)) {
+          continue;
+        }
+
+        waitlisted++;
+        if (dryRun) {
+          continue;
+        }
+
         await client.query(
           `
             INSERT INTO elective_waitlist (student_id, elective_id, preference_rank, status)
@@ -420,29 +631,69 @@ const allocateElectives = async () => {
       }
     }
 
+    const statistics = reportService.buildAllocationStatistics({
+      results,
+      electives: electivesResult.rows,
+      waitlisted
+    });
+
+    if (dryRun) {
+      return { results, statistics, promotions: [], round, students, report: null };
+    }
+
     const promotions = await processWaitlistWithClient({ client });
 
-    return { results, promotions };
+    if (round) {
+      const roundResult = await client.query(
+        `
+          UPDATE elective_rounds
+          SET status = 'allocated', allocated_at = NOW(), updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+          RETURNING *
+        `,
+        [round.id]
+      );
+      round = roundResult.rows[0];
+    }
+
+    const report = await reportService.saveReport(client, {
+      round,
+      allocationRound,
+      statistics,
+      results,
+      runBy,
+      allocation
+    });
+
+    return { results, statistics, promotions, round, students, report };
   });
 
-  const studentsResult = await query(
-    'SELECT id, email FROM users WHERE role = $1 AND is_active = true',
-    ['student']
-  );
+  const { results, statistics, round, report } = payload;
+
+  if (dryRun) {
+    return { results, statistics, round, report, allocation };
+  }
+
+  // A round's results only concern the students who took part in it
+  const recipients = round
+    ? payload.students
+    : (await query('SELECT id, email FROM users WHERE role = $1 AND is_active = true', ['student'])).rows;
 
   await notificationService.createNotificationsForUsers({
-    users: studentsResult.rows,
+    users: recipients,
     eventType: 'ELECTIVE_ALLOCATION_PUBLISHED',
     title: 'Elective Allocation Updated',
     message: 'Elective allocation results are available. Check your dashboard for allocation and waitlist status.',
     metadata: {
-      allocatedCount: payload.results.filter((entry) => entry.preference_rank != null).length,
+      roundId: round ? round.id : null,
+      strategy,
+      allocatedCount: statistics.allocated_count,
       waitlistPromotions: payload.promotions.length,
     },
     sendEmail: true,
   });
 
-  return payload.results;
+  return { results, statistics, round, report, allocation };
 };
 
 module.exports = {
@@ -455,6 +706,8 @@ module.exports = {
   getMyChoices,
   getMyAllocation,
   getMyWaitlist,
+  processWaitlistWithClient,
+  waitlistPromotionNotice,
   processWaitlist,
   allocateElectives
 };
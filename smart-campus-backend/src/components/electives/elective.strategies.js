@@ -0,0 +1,267 @@
+const { shuffle } = require('../../utils/random');
+
+/**
+ * Elective allocation strategies.
+ *
+ * Every strategy gets the same input and returns a Map of student id →
+ * allocated elective id, leaving out students who get nothing:
+ *
+ * - students: rows with id, cgpa and department
+ * - choices: Map of student id → elective ids in preference order
+ * - seats: free seats per elective id
+ * - isEligible(student, electiveId): eligibility rules
+ * - random: seeded generator from utils/random
+ * - options: strategy options from the admin
+ *
+ * Students with equal CGPA are ordered by the seeded random order, so a run
+ * repeated with the same seed gives the same result.
+ */
+
+const DEFAULT_BAND_WIDTH = 0.5;
+
+const cgpaOf = (student) => Number(student.cgpa) || 0;
+
+/**
+ * Students in a seeded random order. Sorting by id first makes the order
+ * depend only on the seed, not on the order the database returned.
+ */
+const seededOrder = (students, random) =>
+  shuffle([...students].sort((a, b) => a.id - b.id), random);
+
+/** CGPA descending, ties in seeded random order. */
+const priorityOrder = (students, random) =>
+  seededOrder(students, random).sort((a, b) => cgpaOf(b) - cgpaOf(a));
+
+/**
+ * Serial dictatorship: each student in turn takes their most preferred
+ * elective that still has a seat. `takeSeat` decides whether a seat is
+ * available and claims it.
+ */
+const serialDictatorship = (order, { choices, isEligible }, takeSeat, assignments = new Map()) => {
+  for (const student of order) {
+    if (assignments.has(student.id)) {
+      continue;
+    }
+
+    const electiveId = (choices.get(student.id) || [])
+      .find((id) => isEligible(student, id) && takeSeat(student, id));
+
+    if (electiveId !== undefined) {
+      assignments.set(student.id, electiveId);
+    }
+  }
+
+  return assignments;
+};
+
+const openSeatTaker = (seats) => (student, electiveId) => {
+  if (!(seats[electiveId] > 0)) {
+    return false;
+  }
+  seats[electiveId]--;
+  return true;
+};
+
+/** Strict CGPA priority, the original policy. */
+const cgpaPriority = (input) =>
+  serialDictatorship(priorityOrder(input.students, input.random), input, openSeatTaker({ ...input.seats }));
+
+/**
+ * Students are grouped into CGPA bands (9.5–10, 9.0–9.49, … for a width of
+ * 0.5). Higher bands still choose first, but within a band the order is a
+ * lottery.
+ */
+const cgpaBandLottery = (input) => {
+  // Whole hundredths, so 8.7 / 0.1 lands in band 87 and not 86
+  const width = Math.round((input.options.band_width || DEFAULT_BAND_WIDTH) * 100);
+  const bandOf = (student) => Math.floor(Math.round(cgpaOf(student) * 100) / width);
+
+  const order = seededOrder(input.students, input.random).sort((a, b) => bandOf(b) - bandOf(a));
+  return serialDictatorship(order, input, openSeatTaker({ ...input.seats }));
+};
+
+/**
+ * Reserved seats: each reservation keeps some of an elective's seats for
+ * students of one department. Students choose in CGPA order and use an open
+ * seat when one is left, falling back to a reserved seat for their
+ * department. Reserved seats nobody claimed are then released, and students
+ * still without an elective choose again.
+ */
+const reservedSeats = (input) => {
+  const open = { ...input.seats };
+  const reserved = new Map();
+
+  (input.options.reserved_seats || []).forEach(({ elective_id: electiveId, department, seats }) => {
+    const count = Math.min(seats, Math.max(open[electiveId] || 0, 0));
+    if (count <= 0) {
+      return;
+    }
+    const key = `${electiveId}|${department}`;
+    reserved.set(key, (reserved.get(key) || 0) + count);
+    open[electiveId] -= count;
+  });
+
+  const takeOpenOrReserved = (student, electiveId) => {
+    if (open[electiveId] > 0) {
+      open[electiveId]--;
+      return true;
+    }
+    const key = `${electiveId}|${student.department}`;
+    if (reserved.get(key) > 0) {
+      reserved.set(key, reserved.get(key) - 1);
+      return true;
+    }
+    return false;
+  };
+
+  const order = priorityOrder(input.students, input.random);
+  const assignments = serialDictatorship(order, input, takeOpenOrReserved);
+
+  reserved.forEach((count, key) => {
+    open[key.split('|')[0]] += count;
+  });
+
+  return serialDictatorship(order, input, openSeatTaker(open), assignments);
+};
+
+// Cost vectors for rank-maximal assignment, compared lexicographically
+const compareCosts = (a, b) => {
+  for (let index = 0; index < a.length; index++) {
+    if (a[index] !== b[index]) {
+      return a[index] - b[index];
+    }
+  }
+  return 0;
+};
+
+/**
+ * Rank-maximal (minimum-regret) assignment: as many first choices as
+ * possible, then as many second choices as possible, and so on. Among
+ * equally good assignments, higher-priority students are preferred.
+ *
+ * Solved as a min-cost flow whose edge costs are vectors (one count per
+ * preference rank, then a priority term) compared lexicographically, by
+ * successive shortest paths until no augmenting path improves the cost.
+ */
+const rankMaximal = (input) => {
+  const order = priorityOrder(input.students, input.random);
+  const electiveIds = Object.keys(input.seats).map(Number).filter((id) => input.seats[id] > 0);
+  const maxRank = Math.max(0, ...order.map((student) => (input.choices.get(student.id) || []).length));
+  const zero = new Array(maxRank + 1).fill(0);
+
+  // Nodes: source, students, electives, sink
+  const source = 0;
+  const electiveNode = new Map(electiveIds.map((id, index) => [id, order.length + 1 + index]));
+  const sink = order.length + electiveIds.length + 1;
+  const graph = Array.from({ length: sink + 1 }, () => []);
+
+  const addEdge = (from, to, capacity, cost) => {
+    graph[from].push({ to, capacity, cost, reverse: graph[to].length });
+    graph[to].push({ to: from, capacity: 0, cost: cost.map((value) => -value), reverse: graph[from].length - 1 });
+  };
+
+  order.forEach((student, position) => {
+    const node = position + 1;
+    const priority = [...zero];
+    priority[maxRank] = -(order.length - position);
+    addEdge(source, node, 1, priority);
+
+    (input.choices.get(student.id) || []).forEach((electiveId, rank) => {
+      if (electiveNode.has(electiveId) && input.isEligible(student, electiveId)) {
+        const cost = [...zero];
+        cost[rank] = -1;
+        addEdge(node, electiveNode.get(electiveId), 1, cost);
+      }
+    });
+  });
+  electiveIds.forEach((id) => addEdge(electiveNode.get(id), sink, input.seats[id], zero));
+
+  // Shortest augmenting path by SPFA; the residual graph never has negative
+  // cycles. Distances are kept flat, `size` numbers per node, to avoid
+  // allocating a vector for every edge relaxation.
+  const size = zero.length;
+  const shortestPath = () => {
+    const distance = new Float64Array(graph.length * size);
+    const reached = new Uint8Array(graph.length);
+    const queued = new Uint8Array(graph.length);
+    const previous = new Array(graph.length).fill(null);
+    const queue = [source];
+    reached[source] = 1;
+    queued[source] = 1;
+
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head];
+      queued[node] = 0;
+
+      graph[node].forEach((edge, index) => {
+        if (edge.capacity <= 0) {
+          return;
+        }
+
+        const from = node * size;
+        const to = edge.to * size;
+        if (reached[edge.to]) {
+          let difference = 0;
+          for (let k = 0; k < size && difference === 0; k++) {
+            difference = distance[from + k] + edge.cost[k] - distance[to + k];
+          }
+          if (difference >= 0) {
+            return;
+          }
+        }
+
+        for (let k = 0; k < size; k++) {
+          distance[to + k] = distance[from + k] + edge.cost[k];
+        }
+        reached[edge.to] = 1;
+        previous[edge.to] = { node, index };
+        if (!queued[edge.to]) {
+          queued[edge.to] = 1;
+          queue.push(edge.to);
+        }
+      });
+    }
+
+    return reached[sink] ? { cost: Array.from(distance.subarray(sink * size, (sink + 1) * size)), previous } : null;
+  };
+
+  for (let path = shortestPath(); path && compareCosts(path.cost, zero) < 0; path = shortestPath()) {
+    for (let node = sink; node !== source; node = path.previous[node].node) {
+      const { node: from, index } = path.previous[node];
+      const edge = graph[from][index];
+      edge.capacity -= 1;
+      graph[node][edge.reverse].capacity += 1;
+    }
+  }
+
+  const electiveByNode = new Map([...electiveNode].map(([id, node]) => [node, id]));
+  const assignments = new Map();
+  order.forEach((student, position) => {
+    const used = graph[position + 1].find((edge) => electiveByNode.has(edge.to) && edge.capacity === 0);
+    if (used) {
+      assignments.set(student.id, electiveByNode.get(used.to));
+    }
+  });
+
+  return assignments;
+};
+
+const STRATEGIES = {
+  cgpa: cgpaPriority,
+  cgpa_band_lottery: cgpaBandLottery,
+  rank_maximal: rankMaximal,
+  reserved_seats: reservedSeats
+};
+
+/**
+ * @param {string} strategy - one of STRATEGY_NAMES
+ * @param {object} input - see the module comment
+ * @returns {Map<number, number>} student id → elective id
+ */
+const runStrategy = (strategy, input) => STRATEGIES[strategy]({ options: {}, ...input });
+
+module.exports = {
+  STRATEGY_NAMES: Object.keys(STRATEGIES),
+  DEFAULT_BAND_WIDTH,
+  runStrategy
+};
@@ -0,0 +1,81 @@
+const { asyncHandler, ApiError } = require('../../middleware/errorHandler');
+const facultyService = require('./faculty.service');
+
+/**
+ * Faculty Controller
+ * Self-service views for logged-in teachers
+ */
+
+const resolveTeacher = async (user) => {
+  const teacher = await facultyService.findTeacherForUser({ userId: user.id, email: user.email, role: user.role });
+  if (!teacher) {
+    throw new ApiError(404, 'No teacher profile is linked to this account');
+  }
+  return teacher;
+};
+
+/**
+ * Get the logged-in teacher's profile
+ * GET /api/faculty/me
+ */
+const getMyProfile = asyncHandler(async (req, res) => {
+  const teacher = await resolveTeacher(req.user);
+
+  res.json({
+    success: true,
+    data: { teacher }
+  });
+});
+
+/**
+ * Get the logged-in teacher's weekly timetable
+ * GET /api/faculty/me/timetable
+ */
+const getMyTimetable = asyncHandler(async (req, res) => {
+  const teacher = await resolveTeacher(req.user);
+  const timetable = await facultyService.getTimetable({ teacherId: teacher.id });
+
+  res.json({
+    success: true,
+    data: {
+      timetable,
+      teacher_id: teacher.id,
+      count: timetable.length
+    }
+  });
+});
+
+/**
+ * Get the subjects assigned to the logged-in teacher
+ * GET /api/faculty/me/subjects
+ */
+const getMySubjects = asyncHandler(async (req, res) => {
+  const teacher = await resolveTeacher(req.user);
+  const subjects = await facultyService.getSubjects({ teacherId: teacher.id });
+
+  res.json({
+    success: true,
+    data: { subjects, count: subjects.length }
+  });
+});
+
+/**
+ * Get the student groups the logged-in teacher is scheduled with
+ * GET /api/faculty/me/groups
+ */
+const getMyGroups = asyncHandler(async (req, res) => {
+  const teacher = await resolveTeacher(req.user);
+  const groups = await facultyService.getGroups({ teacherId: teacher.id });
+
+  res.json({
+    success: true,
+    data: { groups, count: groups.length }
+  });
+});
+
+module.exports = {
+  getMyProfile,
+  getMyTimetable,
+  getMySubjects,
+  getMyGroups
+};
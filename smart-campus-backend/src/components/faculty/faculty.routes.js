@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const facultyController = require('./faculty.controller');
+const { verifyToken, verifyFaculty } = require('../../middleware/auth.middleware');
+
+/**
+ * Faculty Routes
+ * Base path: /api/faculty
+ */
+
+router.use(verifyToken, verifyFaculty);
+
+router.get('/me', facultyController.getMyProfile);
+router.get('/me/timetable', facultyController.getMyTimetable);
+router.get('/me/subjects', facultyController.getMySubjects);
+router.get('/me/groups', facultyController.getMyGroups);
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const { query } = require('../../config/db');
+const timetableReadService = require('../timetable/timetable.read.service');
+
+/**
+ * Resolve the teachers row linked to a faculty user account.
+ * Falls back to an email match for teachers that have not been linked yet,
+ * and links them on first lookup so later requests hit the user_id index.
+ * Only faculty accounts are linked this way; an admin browsing the portal
+ * must not claim a teacher record that happens to share their email.
+ *
+ * @param {{ userId: number, email: string, role: string }} params
+ * @returns {Promise<object|null>}
+ */
+const findTeacherForUser = async ({ userId, email, role }) => {
+  const linked = await query(
+    'SELECT * FROM teachers WHERE user_id = $1 AND is_active = true',
+    [userId]
+  );
+  if (linked.rows.length > 0) {
+    return linked.rows[0];
+  }
+
+  if (!email || role !== 'faculty') {
+    return null;
+  }
+
+  const byEmail = await query(
+    `
+      UPDATE teachers
+      SET user_id = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id IS NULL AND is_active = true AND LOWER(email) = LOWER($2)
+      RETURNING *
+    `,
+    [userId, email]
+  );
+
+  return byEmail.rows[0] || null;
+};
+
+const getTimetable = async ({ teacherId }) =>
+  timetableReadService.getTeacherTimetable({ teacherId });
+
+/**
+ * Subjects the teacher is assigned to, with the groups each subject is taught to.
+ */
+const getSubjects = async ({ teacherId }) => {
+  const result = await query(
+    `
+      SELECT
+        s.id,
+        s.subject_code,
+        s.subject_name,
+        s.course_type,
+        s.hours_per_week,
+        s.department,
+        s.semester,
+        tsa.priority
+      FROM teacher_subject_assignments tsa
+      JOIN subjects s ON tsa.subject_id = s.id
+      WHERE tsa.teacher_id = $1
+        AND tsa.is_active = true
+        AND s.is_active = true
+      ORDER BY s.subject_name ASC
+    `,
+    [teacherId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Student groups the teacher meets in the published timetable.
+ */
+const getGroups = async ({ teacherId }) => {
+  const result = await query(
+    `
+      SELECT
+        sg.id,
+        sg.group_code,
+        sg.group_name,
+        sg.department,
+        sg.semester,
+        sg.strength,
+        COUNT(ts.id)::int AS periods_per_week
+      FROM timetable_slots ts
+      ${timetableReadService.PUBLISHED_VERSION_JOIN}
+      JOIN student_groups sg ON ts.group_id = sg.id
+      WHERE ts.teacher_id = $1
+        AND ts.is_active = true
+        AND sg.is_active = true
+      GROUP BY sg.id
+      ORDER BY sg.group_name ASC
+    `,
+    [teacherId]
+  );
+
+  return result.rows;
+};
+
+module.exports = {
+  findTeacherForUser,
+  getTimetable,
+  getSubjects,
+  getGroups
+};
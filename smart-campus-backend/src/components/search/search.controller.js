@@ -24,7 +24,7 @@ const globalSearch = asyncHandler(async (req, res) => {
   
   // Search Events
   const eventsPromise = query(
-    "SELECT id, title as name, description, 'event' as type FROM events WHERE deleted_at IS NULL AND (title ILIKE $1 OR description ILIKE $1) LIMIT 5",
+    "SELECT id, title as name, description, 'event' as type FROM events WHERE deleted_at IS NULL AND status = 'approved' AND (title ILIKE $1 OR description ILIKE $1) LIMIT 5",
     [searchTerm]
   );
 
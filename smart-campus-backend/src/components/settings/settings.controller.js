@@ -22,7 +22,30 @@ const updateSettings = asyncHandler(async (req, res) => {
   sendSuccess(res, 200, 'Settings updated successfully', { settings });
 });
 
+const getBellSchedule = asyncHandler(async (_req, res) => {
+  const bellSchedule = await settingsService.getBellSchedule();
+  sendSuccess(res, 200, 'Bell schedule fetched successfully', { bell_schedule: bellSchedule });
+});
+
+const updateBellSchedule = asyncHandler(async (req, res) => {
+  const { working_days, periods, lunch_break_period } = req.body;
+
+  const bellSchedule = await settingsService.upsertBellSchedule(
+    {
+      working_days,
+      periods: [...periods].sort((a, b) => a.number - b.number),
+      lunch_break_period: lunch_break_period || null
+    },
+    req.user.id
+  );
+
+  logger.info('Bell schedule updated', { periods: periods.length, updatedBy: req.user.id });
+  sendSuccess(res, 200, 'Bell schedule updated successfully', { bell_schedule: bellSchedule });
+});
+
 module.exports = {
   getSettings,
-  updateSettings
+  updateSettings,
+  getBellSchedule,
+  updateBellSchedule
 };
@@ -14,4 +14,14 @@ router.put(
   settingsController.updateSettings
 );
 
+// Period timings are read by every timetable view, edited by admins
+router.get('/bell-schedule', verifyToken, settingsController.getBellSchedule);
+router.put(
+  '/bell-schedule',
+  verifyToken,
+  verifyAdmin,
+  validate(validationSchemas.bellSchedule),
+  settingsController.updateBellSchedule
+);
+
 module.exports = router;
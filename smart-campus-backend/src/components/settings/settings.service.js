@@ -1,4 +1,5 @@
 const { query } = require('../../config/db');
+const { DEFAULT_BELL_SCHEDULE, normalizeBellSchedule } = require('../timetable/timetable.periods');
 
 const DEFAULT_SETTINGS = {
   academic_year: '2024-2025',
@@ -42,8 +43,41 @@ const upsertSettings = async ({ academic_year, current_semester, campus_name, up
   return result.rows[0];
 };
 
+const getBellSchedule = async () => {
+  const result = await query('SELECT bell_schedule FROM system_settings WHERE id = 1');
+  return normalizeBellSchedule(result.rows[0]?.bell_schedule);
+};
+
+// Creates the settings row with defaults if it does not exist yet
+const upsertBellSchedule = async (bellSchedule, updated_by) => {
+  const result = await query(
+    `
+      INSERT INTO system_settings (id, academic_year, current_semester, campus_name, bell_schedule, updated_by)
+      VALUES (1, $1, $2, $3, $4, $5)
+      ON CONFLICT (id)
+      DO UPDATE SET
+        bell_schedule = EXCLUDED.bell_schedule,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING bell_schedule
+    `,
+    [
+      DEFAULT_SETTINGS.academic_year,
+      DEFAULT_SETTINGS.current_semester,
+      DEFAULT_SETTINGS.campus_name,
+      JSON.stringify(bellSchedule),
+      updated_by
+    ]
+  );
+
+  return normalizeBellSchedule(result.rows[0]?.bell_schedule);
+};
+
 module.exports = {
   getSettings,
   upsertSettings,
-  DEFAULT_SETTINGS
+  getBellSchedule,
+  upsertBellSchedule,
+  DEFAULT_SETTINGS,
+  DEFAULT_BELL_SCHEDULE
 };
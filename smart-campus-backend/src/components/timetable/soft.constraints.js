@@ -0,0 +1,155 @@
+/**
+ * Soft-constraint scoring for generated timetables.
+ *
+ * Hard constraints (clashes, capacity, room type, max periods per day) are
+ * enforced by the solver; this module only measures quality, so two valid
+ * timetables can be compared. Lower penalties are better, 0 is ideal.
+ */
+
+const DEFAULT_WEIGHTS = {
+  // Free periods a teacher has to wait between two classes on the same day
+  teacher_idle_gaps: 2,
+  // Periods of one subject piled onto a day beyond an even spread over the week
+  subject_spread: 3,
+  // Lab/practical (or requires_consecutive_periods) periods with no adjacent partner
+  consecutive_labs: 5,
+  // Times a group has to move rooms between back-to-back periods
+  room_changes: 1
+};
+
+const needsConsecutivePeriods = (subject) =>
+  Boolean(subject.requires_consecutive_periods) ||
+  subject.course_type === 'Lab' ||
+  subject.course_type === 'Practical';
+
+/**
+ * Group items into Map<key, items[]>
+ */
+const groupBy = (items, keyFn) => {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyFn(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+};
+
+const byPeriod = (a, b) => a.period - b.period;
+
+class SoftConstraintScorer {
+  /**
+   * @param {Object} constraints - { days, periods_per_day, lunch_break_period }
+   * @param {Object} [weights] - Overrides for DEFAULT_WEIGHTS
+   */
+  constructor(constraints, weights = {}) {
+    this.days = constraints.days || [];
+    this.lunchBreakPeriod = constraints.lunch_break_period || null;
+    this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+  }
+
+  /**
+   * Score a set of assignments
+   *
+   * @param {Array} assignments - Solver assignments ({ teacher, subject, group, room, day, period })
+   * @returns {Object} { total, breakdown: { [constraint]: { violations, weight, penalty } } }
+   */
+  score(assignments) {
+    const violations = {
+      teacher_idle_gaps: this.countTeacherIdleGaps(assignments),
+      subject_spread: this.countSubjectSpread(assignments),
+      consecutive_labs: this.countIsolatedLabPeriods(assignments),
+      room_changes: this.countRoomChanges(assignments)
+    };
+
+    const breakdown = {};
+    let total = 0;
+    for (const [name, count] of Object.entries(violations)) {
+      const weight = this.weights[name];
+      const penalty = count * weight;
+      breakdown[name] = { violations: count, weight, penalty };
+      total += penalty;
+    }
+
+    return { total, breakdown };
+  }
+
+  /**
+   * Teaching periods strictly between two periods (the lunch break is not idle time)
+   */
+  periodsBetween(from, to) {
+    let count = to - from - 1;
+    if (this.lunchBreakPeriod && this.lunchBreakPeriod > from && this.lunchBreakPeriod < to) {
+      count--;
+    }
+    return Math.max(0, count);
+  }
+
+  countTeacherIdleGaps(assignments) {
+    let gaps = 0;
+    const perTeacherDay = groupBy(assignments, a => `${a.teacher.id}_${a.day}`);
+
+    for (const entries of perTeacherDay.values()) {
+      const periods = entries.map(a => a.period).sort((a, b) => a - b);
+      for (let i = 1; i < periods.length; i++) {
+        gaps += this.periodsBetween(periods[i - 1], periods[i]);
+      }
+    }
+
+    return gaps;
+  }
+
+  countSubjectSpread(assignments) {
+    let excess = 0;
+    const perGroupSubject = groupBy(assignments, a => `${a.group.id}_${a.subject.id}`);
+    const dayCount = Math.max(this.days.length, 1);
+
+    for (const entries of perGroupSubject.values()) {
+      const subject = entries[0].subject;
+      // Labs are meant to be taught in blocks of two, so allow a pair per day
+      const idealPerDay = Math.max(
+        Math.ceil(entries.length / dayCount),
+        needsConsecutivePeriods(subject) ? 2 : 1
+      );
+
+      for (const dayEntries of groupBy(entries, a => a.day).values()) {
+        excess += Math.max(0, dayEntries.length - idealPerDay);
+      }
+    }
+
+    return excess;
+  }
+
+  countIsolatedLabPeriods(assignments) {
+    let isolated = 0;
+    const labAssignments = assignments.filter(a => needsConsecutivePeriods(a.subject));
+    const perGroupSubjectDay = groupBy(labAssignments, a => `${a.group.id}_${a.subject.id}_${a.day}`);
+
+    for (const entries of perGroupSubjectDay.values()) {
+      const periods = new Set(entries.map(a => a.period));
+      for (const period of periods) {
+        if (!periods.has(period - 1) && !periods.has(period + 1)) isolated++;
+      }
+    }
+
+    return isolated;
+  }
+
+  countRoomChanges(assignments) {
+    let changes = 0;
+    const perGroupDay = groupBy(assignments, a => `${a.group.id}_${a.day}`);
+
+    for (const entries of perGroupDay.values()) {
+      const sorted = [...entries].sort(byPeriod);
+      for (let i = 1; i < sorted.length; i++) {
+        // Only back-to-back periods force a move between rooms
+        if (sorted[i].period - sorted[i - 1].period !== 1) continue;
+        if (sorted[i].room.id !== sorted[i - 1].room.id) changes++;
+      }
+    }
+
+    return changes;
+  }
+}
+
+module.exports = { SoftConstraintScorer, DEFAULT_WEIGHTS };
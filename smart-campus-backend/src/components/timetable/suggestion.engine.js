@@ -1,12 +1,18 @@
-﻿class SuggestionEngine {
+﻿const { DEFAULT_BELL_SCHEDULE, toTimetableConstraints } = require('./timetable.periods');
+
+// Grid searched when the caller passes no constraints
+const DEFAULT_CONSTRAINTS = toTimetableConstraints(DEFAULT_BELL_SCHEDULE);
+
+class SuggestionEngine {
   constructor(timetable, constraints, teacherSchedule, roomSchedule, groupSchedule) {
     this.timetable = timetable;
     this.constraints = constraints || {};
     this.teacherSchedule = teacherSchedule;
     this.roomSchedule = roomSchedule;
     this.groupSchedule = groupSchedule;
-    this.days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
-    this.periodsPerDay = 5;
+    this.days = this.constraints.days || DEFAULT_CONSTRAINTS.days;
+    this.periodsPerDay = this.constraints.periods_per_day || DEFAULT_CONSTRAINTS.periods_per_day;
+    this.lunchBreakPeriod = this.constraints.lunch_break_period || null;
   }
 
   async getSuggestions(teacher, subject, group, room, originalDay, originalTimeSlot) {
@@ -15,6 +21,7 @@
     for (const day of this.days) {
       for (let period = 1; period <= this.periodsPerDay; period++) {
         if (day === originalDay && period === originalTimeSlot) continue;
+        if (period === this.lunchBreakPeriod) continue;
 
         let score = 0;
         score += this.scoreProximity(day, period, originalDay, originalTimeSlot);
@@ -3,31 +3,16 @@ const { asyncHandler, ApiError } = require('../../middleware/errorHandler');
 const { logger } = require('../../config/db');
 const { parsePagination, parseInteger } = require('../../utils/request');
 const timetableReadService = require('./timetable.read.service');
+const { Teacher, TeacherUnavailability, TimetableVersion } = require('./timetable.models');
 const notificationService = require('../../services/notification.service');
+const timetableJobs = require('./timetable.jobs');
+const { checkSlotMove } = require('./timetable.service');
+const { getPeriodTimes, toTimetableConstraints, findScheduleViolation } = require('./timetable.periods');
+const settingsService = require('../settings/settings.service');
+const academicCalendarService = require('../academic-calendar/academic.calendar.service');
 
 const DEFAULT_LIMIT = 20;
 const MAX_LIMIT = 100;
-const PERIOD_START_TIMES = {
-  1: '09:00',
-  2: '10:00',
-  3: '11:00',
-  4: '12:00',
-  5: '14:00',
-  6: '15:00',
-  7: '16:00',
-  8: '17:00',
-};
-
-const PERIOD_END_TIMES = {
-  1: '09:50',
-  2: '10:50',
-  3: '11:50',
-  4: '12:50',
-  5: '14:50',
-  6: '15:50',
-  7: '16:50',
-  8: '17:50',
-};
 
 const DAY_INDEX = {
   Monday: 1,
@@ -48,6 +33,10 @@ const escapeIcsText = (value) =>
 const formatDateTime = (date) =>
   date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
 
+// 'YYYY-MM-DD' + 'HH:MM' -> 'YYYYMMDDTHHMM00Z'
+const formatDateAndTime = (date, time) =>
+  `${date.replace(/-/g, '')}T${time.replace(':', '')}00Z`;
+
 /**
  * Returns the next occurrence of a weekday in UTC.
  * @param {number} weekdayIndex 1=Monday ... 7=Sunday
@@ -171,6 +160,20 @@ const getAllGroups = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Version requested with ?version_id=. Only admins may read unpublished
+ * versions; without it every reader gets the published timetable.
+ */
+const getRequestedVersionId = (req) => {
+  const { version_id } = req.query;
+  if (!version_id) return null;
+
+  if (!req.user || req.user.role !== 'admin') {
+    throw new ApiError(403, 'Only admins can view unpublished timetable versions');
+  }
+  return version_id;
+};
+
 /**
  * Get timetable for a specific group
  * GET /api/timetable/:groupId
@@ -181,7 +184,8 @@ const getTimetableByGroup = asyncHandler(async (req, res) => {
   const timetable = await timetableReadService.getGroupTimetable({
     groupId,
     academic_year,
-    semester_type
+    semester_type,
+    versionId: getRequestedVersionId(req)
   });
   
   res.json({
@@ -204,7 +208,13 @@ const exportGroupTimetableIcal = asyncHandler(async (req, res) => {
   const slots = await timetableReadService.getGroupTimetable({
     groupId,
     academic_year,
-    semester_type
+    semester_type,
+    versionId: getRequestedVersionId(req)
+  });
+  const bellSchedule = await settingsService.getBellSchedule();
+  const academicCalendar = await academicCalendarService.getCalendar({
+    academicYear: academic_year,
+    semesterType: semester_type
   });
 
   const calendarLines = [
@@ -227,16 +237,25 @@ const exportGroupTimetableIcal = asyncHandler(async (req, res) => {
       continue;
     }
 
-    const startTime = PERIOD_START_TIMES[slot.period_number] || '09:00';
-    const endTime = PERIOD_END_TIMES[slot.period_number] || '09:50';
-    const [startHour, startMinute] = startTime.split(':').map(Number);
-    const [endHour, endMinute] = endTime.split(':').map(Number);
-    const firstDate = nextWeekdayDateUtc(dayIndex);
+    const periodTimes = getPeriodTimes(bellSchedule, slot.period_number);
+    if (!periodTimes) {
+      logger.warn('Skipping timetable slot outside the bell schedule for iCal export', {
+        slotId: slot.id,
+        period_number: slot.period_number,
+      });
+      continue;
+    }
 
-    const startDate = new Date(firstDate);
-    startDate.setUTCHours(startHour, startMinute, 0, 0);
-    const endDate = new Date(firstDate);
-    endDate.setUTCHours(endHour, endMinute, 0, 0);
+    // Within a term the class runs from its first week to the term end,
+    // skipping holidays, exam weeks and cancelled or rescheduled days
+    const recurrence = academicCalendarService.getWeeklyRecurrence(
+      slot.day_of_week,
+      academicCalendar,
+      nextWeekdayDateUtc(dayIndex).toISOString().slice(0, 10)
+    );
+    if (recurrence.untilDate && recurrence.firstDate > recurrence.untilDate) {
+      continue;
+    }
 
     const summary = `${slot.subject_code} - ${slot.subject_name}`;
     const description = `${slot.teacher_name} | ${slot.room_name}`;
@@ -244,12 +263,20 @@ const exportGroupTimetableIcal = asyncHandler(async (req, res) => {
     calendarLines.push('BEGIN:VEVENT');
     calendarLines.push(`UID:timetable-${slot.id}@smart-campus-utility-hub`);
     calendarLines.push(`DTSTAMP:${nowStamp}`);
-    calendarLines.push(`DTSTART:${formatDateTime(startDate)}`);
-    calendarLines.push(`DTEND:${formatDateTime(endDate)}`);
+    calendarLines.push(`DTSTART:${formatDateAndTime(recurrence.firstDate, periodTimes.start)}`);
+    calendarLines.push(`DTEND:${formatDateAndTime(recurrence.firstDate, periodTimes.end)}`);
     calendarLines.push(`SUMMARY:${escapeIcsText(summary)}`);
     calendarLines.push(`DESCRIPTION:${escapeIcsText(description)}`);
     calendarLines.push(`LOCATION:${escapeIcsText(slot.room_name)}`);
-    calendarLines.push('RRULE:FREQ=WEEKLY;COUNT=16');
+    calendarLines.push(recurrence.untilDate
+      ? `RRULE:FREQ=WEEKLY;UNTIL=${recurrence.untilDate.replace(/-/g, '')}T235959Z`
+      : 'RRULE:FREQ=WEEKLY;COUNT=16');
+    if (recurrence.excludedDates.length > 0) {
+      calendarLines.push(`EXDATE:${recurrence.excludedDates.map(date => formatDateAndTime(date, periodTimes.start)).join(',')}`);
+    }
+    if (recurrence.extraDates.length > 0) {
+      calendarLines.push(`RDATE:${recurrence.extraDates.map(date => formatDateAndTime(date, periodTimes.start)).join(',')}`);
+    }
     calendarLines.push('END:VEVENT');
   }
 
@@ -266,7 +293,10 @@ const exportGroupTimetableIcal = asyncHandler(async (req, res) => {
  */
 const getTimetableByTeacher = asyncHandler(async (req, res) => {
   const { teacherId } = req.params;
-  const timetable = await timetableReadService.getTeacherTimetable({ teacherId });
+  const timetable = await timetableReadService.getTeacherTimetable({
+    teacherId,
+    versionId: getRequestedVersionId(req)
+  });
   
   res.json({
     success: true,
@@ -279,15 +309,15 @@ const getTimetableByTeacher = asyncHandler(async (req, res) => {
  * POST /api/timetable/teachers
  */
 const createTeacher = asyncHandler(async (req, res) => {
-  const { teacher_code, full_name, department, email, phone } = req.body;
+  const { teacher_code, full_name, department, email, phone, user_id } = req.body;
   
   const sql = `
-    INSERT INTO teachers (teacher_code, full_name, department, email, phone)
-    VALUES ($1, $2, $3, $4, $5)
+    INSERT INTO teachers (teacher_code, full_name, department, email, phone, user_id)
+    VALUES ($1, $2, $3, $4, $5, $6)
     RETURNING *
   `;
   
-  const result = await query(sql, [teacher_code, full_name, department, email, phone]);
+  const result = await query(sql, [teacher_code, full_name, department, email, phone, user_id || null]);
   
   logger.info('Teacher created', { teacherId: result.rows[0].id, createdBy: req.user.id });
   
@@ -376,16 +406,22 @@ const createGroup = asyncHandler(async (req, res) => {
  */
 const updateTeacher = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { teacher_code, full_name, department, email, phone } = req.body;
+  const { teacher_code, full_name, department, email, phone, user_id } = req.body;
 
+  // user_id is only touched when supplied, so existing faculty links survive ordinary edits
   const sql = `
     UPDATE teachers
-    SET teacher_code = $1, full_name = $2, department = $3, email = $4, phone = $5, updated_at = CURRENT_TIMESTAMP
+    SET teacher_code = $1, full_name = $2, department = $3, email = $4, phone = $5,
+        user_id = CASE WHEN $7 THEN $8 ELSE user_id END,
+        updated_at = CURRENT_TIMESTAMP
     WHERE id = $6 AND is_active = true
     RETURNING *
   `;
 
-  const result = await query(sql, [teacher_code, full_name, department, email, phone, id]);
+  const result = await query(sql, [
+    teacher_code, full_name, department, email, phone, id,
+    user_id !== undefined, user_id ?? null
+  ]);
   if (result.rowCount === 0) {
     throw new ApiError(404, 'Teacher not found');
   }
@@ -599,25 +635,41 @@ const assignSubjectToGroup = asyncHandler(async (req, res) => {
 });
 
 /**
- * Generate timetable using backtracking algorithm (Admin only)
+ * Start a background timetable generation job (Admin only)
  * POST /api/timetable/generate
+ * Responds 202 with the job; progress is pushed to the job's socket room.
+ * Without days and periods_per_day the bell schedule's grid is used; explicit
+ * ones must fit inside it.
  */
 const generateTimetable = asyncHandler(async (req, res) => {
   const { 
     groups, 
-    days, 
-    periods_per_day, 
-    lunch_break_period,
     academic_year,
     semester_type,
     preferences 
   } = req.body;
+  let { days, periods_per_day, lunch_break_period } = req.body;
 
   // Validate required fields
-  if (!groups || !days || !periods_per_day || !academic_year || !semester_type) {
+  if (!groups || !academic_year || !semester_type) {
     throw new ApiError(400, 'Missing required fields');
   }
 
+  const bellSchedule = await settingsService.getBellSchedule();
+  if (!days || !periods_per_day) {
+    const defaults = toTimetableConstraints(bellSchedule);
+    days = days || defaults.days;
+    periods_per_day = periods_per_day || defaults.periods_per_day;
+    lunch_break_period = lunch_break_period === undefined ? defaults.lunch_break_period : lunch_break_period;
+  }
+
+  // Exports and room lookups only know the schedule's slots, so nothing may be generated outside them
+  const violation = days.map(day => findScheduleViolation(bellSchedule, { day })).find(Boolean)
+    || findScheduleViolation(bellSchedule, { startPeriod: lunch_break_period || undefined, endPeriod: periods_per_day });
+  if (violation) {
+    throw new ApiError(400, violation);
+  }
+
   logger.info('Starting timetable generation', { 
     groups: groups.length,
     days: days.length,
@@ -627,68 +679,248 @@ const generateTimetable = asyncHandler(async (req, res) => {
     requestedBy: req.user.id 
   });
 
-  // Import service
-  const { generateTimetable: generate, saveTimetableToDatabase } = require('./timetable.service');
+  const job = timetableJobs.createJob({
+    constraints: {
+      groups,
+      days,
+      periods_per_day,
+      lunch_break_period,
+      preferences
+    },
+    academic_year,
+    semester_type,
+    requestedBy: req.user.id
+  });
 
-  // Generate timetable
-  const result = await generate({
-    groups,
-    days,
-    periods_per_day,
-    lunch_break_period,
-    preferences
+  res.status(202).json({
+    success: true,
+    message: 'Timetable generation started',
+    data: {
+      job,
+      room: timetableJobs.jobRoom(job.id)
+    }
   });
+});
 
-  if (!result.success) {
-    return res.status(400).json({
-      success: false,
-      error: result.error,
-      message: result.message,
-      details: result.details
-    });
+/**
+ * Get timetable generation job status
+ * GET /api/timetable/jobs/:id
+ */
+const getTimetableJob = asyncHandler(async (req, res) => {
+  const job = timetableJobs.getJob(req.params.id);
+  if (!job) {
+    throw new ApiError(404, 'Generation job not found');
+  }
+
+  res.json({
+    success: true,
+    data: { job }
+  });
+});
+
+/**
+ * Cancel a running timetable generation job
+ * POST /api/timetable/jobs/:id/cancel
+ */
+const cancelTimetableJob = asyncHandler(async (req, res) => {
+  const job = timetableJobs.cancelJob(req.params.id);
+  if (!job) {
+    throw new ApiError(404, 'Generation job not found');
   }
 
-  // Save to database
-  await saveTimetableToDatabase(result.timetable, academic_year, semester_type);
+  logger.info('Timetable generation job cancel requested', { jobId: job.id, cancelledBy: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Timetable generation cancellation requested',
+    data: { job }
+  });
+});
 
-  await notificationService.notifyRole({
+const notifyTimetablePublished = (version) => {
+  const message = `The ${version.academic_year} (${version.semester_type} semester) timetable has been published`;
+  return notificationService.notifyRole({
     role: 'student',
-    eventType: 'TIMETABLE_GENERATED',
-    title: 'Timetable Generated',
-    message: `A new timetable has been generated for ${academic_year} (${semester_type} semester)`,
-    metadata: { academic_year, semester_type },
-    socketEvent: 'TIMETABLE_GENERATED',
+    eventType: 'TIMETABLE_PUBLISHED',
+    title: 'Timetable Published',
+    message,
+    metadata: { versionId: version.id, academic_year: version.academic_year, semester_type: version.semester_type },
+    socketEvent: 'TIMETABLE_PUBLISHED',
     socketPayload: {
-      message: `A new timetable has been generated for ${academic_year} (${semester_type} semester)`,
-      academic_year,
-      semester_type
+      message,
+      versionId: version.id,
+      academic_year: version.academic_year,
+      semester_type: version.semester_type
     },
     sendEmail: true,
   });
+};
 
-  logger.info('Timetable generation completed', {
-    totalSlots: result.statistics.totalSlots,
-    iterations: result.statistics.iterations
+/**
+ * List timetable versions (Admin only)
+ * GET /api/timetable/versions?academic_year=2025-26&semester_type=odd
+ */
+const getTimetableVersions = asyncHandler(async (req, res) => {
+  const { academic_year, semester_type } = req.query;
+  const versions = await TimetableVersion.findAll({ academic_year, semester_type });
+
+  res.json({
+    success: true,
+    data: { versions, count: versions.length }
   });
+});
 
-  res.status(201).json({
+/**
+ * Preview a timetable version with all its slots (Admin only)
+ * GET /api/timetable/versions/:id
+ */
+const getTimetableVersion = asyncHandler(async (req, res) => {
+  const version = await TimetableVersion.findById(req.params.id);
+  if (!version) {
+    throw new ApiError(404, 'Timetable version not found');
+  }
+
+  const slots = await timetableReadService.getVersionSlots(version.id);
+
+  res.json({
+    success: true,
+    data: { version, slots, count: slots.length }
+  });
+});
+
+/**
+ * Diff a version against another one (Admin only)
+ * GET /api/timetable/versions/:id/diff?against=<versionId>
+ * Defaults to the published version of the same academic year and semester.
+ */
+const diffTimetableVersion = asyncHandler(async (req, res) => {
+  const version = await TimetableVersion.findById(req.params.id);
+  if (!version) {
+    throw new ApiError(404, 'Timetable version not found');
+  }
+
+  const base = req.query.against
+    ? await TimetableVersion.findById(req.query.against)
+    : await TimetableVersion.findPublished(version.academic_year, version.semester_type);
+  if (req.query.against && !base) {
+    throw new ApiError(404, 'Comparison version not found');
+  }
+
+  const [baseSlots, targetSlots] = await Promise.all([
+    base ? timetableReadService.getVersionSlots(base.id) : [],
+    timetableReadService.getVersionSlots(version.id)
+  ]);
+
+  res.json({
     success: true,
-    message: 'Timetable generated successfully',
     data: {
-      timetable: result.timetable,
-      statistics: result.statistics,
-      academic_year,
-      semester_type
+      version,
+      against: base || null,
+      diff: timetableReadService.diffVersionSlots(baseSlots, targetSlots)
     }
   });
 });
 
+/**
+ * Publish a draft (or archived) version, archiving the current one (Admin only)
+ * POST /api/timetable/versions/:id/publish
+ */
+const publishTimetableVersion = asyncHandler(async (req, res) => {
+  const existing = await TimetableVersion.findById(req.params.id);
+  if (!existing) {
+    throw new ApiError(404, 'Timetable version not found');
+  }
+  if (existing.status === 'published') {
+    throw new ApiError(409, 'Timetable version is already published');
+  }
+
+  const { version, previous } = await TimetableVersion.publish(existing.id, req.user.id);
+
+  logger.info('Timetable version published', {
+    versionId: version.id,
+    archivedVersionId: previous ? previous.id : null,
+    publishedBy: req.user.id
+  });
+
+  await notifyTimetablePublished(version);
+
+  res.json({
+    success: true,
+    message: `Version ${version.version_number} published successfully`,
+    data: { version, previous }
+  });
+});
+
+/**
+ * Roll back to the previously published version, or to an older one by version_id (Admin only)
+ * POST /api/timetable/versions/rollback
+ */
+const rollbackTimetableVersion = asyncHandler(async (req, res) => {
+  const { academic_year, semester_type, version_id } = req.body;
+
+  const target = version_id
+    ? await TimetableVersion.findById(version_id)
+    : await TimetableVersion.findPreviouslyPublished(academic_year, semester_type);
+  if (!target) {
+    throw new ApiError(404, 'No previously published version to roll back to');
+  }
+  if (target.academic_year !== academic_year || target.semester_type !== semester_type) {
+    throw new ApiError(400, 'Version belongs to a different academic year or semester');
+  }
+  if (target.status !== 'archived' || !target.published_at) {
+    throw new ApiError(409, 'Only previously published versions can be rolled back to');
+  }
+
+  const { version, previous } = await TimetableVersion.publish(target.id, req.user.id);
+
+  logger.info('Timetable rolled back', {
+    versionId: version.id,
+    archivedVersionId: previous ? previous.id : null,
+    rolledBackBy: req.user.id
+  });
+
+  await notifyTimetablePublished(version);
+
+  res.json({
+    success: true,
+    message: `Rolled back to version ${version.version_number}`,
+    data: { version, previous }
+  });
+});
+
+/**
+ * Discard a draft version and its slots (Admin only)
+ * DELETE /api/timetable/versions/:id
+ */
+const deleteTimetableVersion = asyncHandler(async (req, res) => {
+  const existing = await TimetableVersion.findById(req.params.id);
+  if (!existing) {
+    throw new ApiError(404, 'Timetable version not found');
+  }
+  if (existing.status !== 'draft') {
+    throw new ApiError(409, 'Only draft versions can be deleted');
+  }
+
+  await TimetableVersion.deleteDraft(existing.id);
+
+  logger.info('Timetable draft deleted', { versionId: existing.id, deletedBy: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Draft version deleted successfully'
+  });
+});
+
 /**
  * Get timetable generation constraints/configuration
  * GET /api/timetable/config
  */
 const getTimetableConfig = asyncHandler(async (req, res) => {
-  const configData = await timetableReadService.getConfigData();
+  const [configData, bellSchedule] = await Promise.all([
+    timetableReadService.getConfigData(),
+    settingsService.getBellSchedule()
+  ]);
+  const defaults = toTimetableConstraints(bellSchedule);
 
   res.json({
     success: true,
@@ -697,9 +929,172 @@ const getTimetableConfig = asyncHandler(async (req, res) => {
       teachers: configData.teachers,
       subjects: configData.subjects,
       rooms: configData.rooms,
-      defaultDays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
-      defaultPeriodsPerDay: 7,
-      defaultLunchBreak: 4
+      defaultDays: defaults.days,
+      defaultPeriodsPerDay: defaults.periods_per_day,
+      defaultLunchBreak: defaults.lunch_break_period,
+      bellSchedule
+    }
+  });
+});
+
+const normalizeUnavailability = (body) => ({
+  day_of_week: body.day_of_week,
+  period_number: body.period_number,
+  reason: body.reason || null,
+  is_permanent: body.is_permanent,
+  start_date: body.is_permanent ? null : body.start_date,
+  end_date: body.is_permanent ? null : body.end_date
+});
+
+// Joi only caps periods at MAX_PERIODS; the configured schedule may be shorter
+const ensureInBellSchedule = async (cell) => {
+  const violation = findScheduleViolation(await settingsService.getBellSchedule(), cell);
+  if (violation) {
+    throw new ApiError(400, violation);
+  }
+};
+
+const ensureTeacherExists = async (teacherId) => {
+  const teacher = await Teacher.findById(teacherId);
+  if (!teacher) {
+    throw new ApiError(404, 'Teacher not found');
+  }
+  return teacher;
+};
+
+const ensureNoOverlap = async (teacherId, entry, excludeId = null) => {
+  const overlapping = await TeacherUnavailability.findOverlapping({ teacher_id: teacherId, ...entry, excludeId });
+  if (overlapping.length > 0) {
+    throw new ApiError(409, `Teacher is already unavailable on ${entry.day_of_week} (Period ${entry.period_number}) for an overlapping date range`);
+  }
+};
+
+/**
+ * List a teacher's unavailability entries (Admin only)
+ * GET /api/timetable/teachers/:id/unavailability?active_only=true
+ */
+const getTeacherUnavailability = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const activeOnly = String(req.query.active_only) === 'true';
+
+  await ensureTeacherExists(id);
+  const unavailability = await TeacherUnavailability.findByTeacher(id, { activeOnly });
+
+  res.json({
+    success: true,
+    data: { unavailability, teacher_id: id, count: unavailability.length }
+  });
+});
+
+/**
+ * Mark a period as unavailable for a teacher (Admin only)
+ * POST /api/timetable/teachers/:id/unavailability
+ */
+const createTeacherUnavailability = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const entry = normalizeUnavailability(req.body);
+
+  await ensureInBellSchedule({ day: entry.day_of_week, startPeriod: entry.period_number });
+  await ensureTeacherExists(id);
+  await ensureNoOverlap(id, entry);
+
+  const unavailability = await TeacherUnavailability.create({ teacher_id: id, ...entry });
+
+  logger.info('Teacher unavailability created', { teacherId: id, entryId: unavailability.id, createdBy: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Unavailability added successfully',
+    data: { unavailability }
+  });
+});
+
+/**
+ * Update a teacher unavailability entry (Admin only)
+ * PUT /api/timetable/teachers/:id/unavailability/:entryId
+ */
+const updateTeacherUnavailability = asyncHandler(async (req, res) => {
+  const { id, entryId } = req.params;
+  const entry = normalizeUnavailability(req.body);
+
+  await ensureInBellSchedule({ day: entry.day_of_week, startPeriod: entry.period_number });
+  const existing = await TeacherUnavailability.findById(id, entryId);
+  if (!existing) {
+    throw new ApiError(404, 'Unavailability entry not found');
+  }
+  await ensureNoOverlap(id, entry, entryId);
+
+  const unavailability = await TeacherUnavailability.update(id, entryId, entry);
+
+  logger.info('Teacher unavailability updated', { teacherId: id, entryId, updatedBy: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Unavailability updated successfully',
+    data: { unavailability }
+  });
+});
+
+/**
+ * Remove a teacher unavailability entry (Admin only)
+ * DELETE /api/timetable/teachers/:id/unavailability/:entryId
+ */
+const deleteTeacherUnavailability = asyncHandler(async (req, res) => {
+  const { id, entryId } = req.params;
+
+  const deleted = await TeacherUnavailability.delete(id, entryId);
+  if (!deleted) {
+    throw new ApiError(404, 'Unavailability entry not found');
+  }
+
+  logger.info('Teacher unavailability deleted', { teacherId: id, entryId, deletedBy: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Unavailability removed successfully'
+  });
+});
+
+const isPublishedSlot = async (slot) => {
+  if (!slot.version_id) return false;
+  const version = await TimetableVersion.findById(slot.version_id);
+  return Boolean(version && version.status === 'published');
+};
+
+/**
+ * Check a slot move before saving it (Admin only)
+ * POST /api/timetable/slots/:id/check
+ * Returns ConflictDetector results and, when the target is blocked,
+ * the top SuggestionEngine alternatives.
+ */
+const checkTimetableSlotMove = asyncHandler(async (req, res) => {
+  const { TimetableSlot } = require('./timetable.models');
+
+  const slot = await TimetableSlot.findById(req.params.id);
+  if (!slot) {
+    throw new ApiError(404, 'Timetable slot not found');
+  }
+
+  const result = await checkSlotMove(slot, req.body);
+  if (result.error) {
+    throw new ApiError(400, result.error);
+  }
+
+  res.json({
+    success: true,
+    message: result.conflicts.length === 0
+      ? 'Slot can be moved - no conflicts found'
+      : `${result.conflicts.length} conflict(s) found`,
+    data: {
+      slot_id: slot.id,
+      target: {
+        day_of_week: req.body.day_of_week,
+        period_number: req.body.period_number,
+        room_id: req.body.room_id || slot.room_id
+      },
+      can_save: !result.conflicts.some(conflict => conflict.severity === 'HIGH'),
+      conflicts: result.conflicts,
+      suggestions: result.suggestions
     }
   });
 });
@@ -712,6 +1107,9 @@ const updateTimetableSlot = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { TimetableSlot } = require('./timetable.models');
   
+  if (req.body.day_of_week || req.body.period_number) {
+    await ensureInBellSchedule({ day: req.body.day_of_week, startPeriod: req.body.period_number });
+  }
   const slot = await TimetableSlot.update(id, req.body);
   if (!slot) {
     throw new ApiError(404, 'Timetable slot not found');
@@ -719,19 +1117,22 @@ const updateTimetableSlot = asyncHandler(async (req, res) => {
 
   logger.info('Timetable slot updated', { slotId: id, updatedBy: req.user.id });
 
-  await notificationService.notifyRole({
-    role: 'student',
-    eventType: 'TIMETABLE_SLOT_UPDATED',
-    title: 'Timetable Slot Updated',
-    message: `A class on ${slot.day_of_week} (Period ${slot.period_number}) has been updated`,
-    metadata: { slotId: slot.id || id },
-    socketEvent: 'SLOT_UPDATED',
-    socketPayload: {
+  // Edits to drafts stay private until the draft is published
+  if (await isPublishedSlot(slot)) {
+    await notificationService.notifyRole({
+      role: 'student',
+      eventType: 'TIMETABLE_SLOT_UPDATED',
+      title: 'Timetable Slot Updated',
       message: `A class on ${slot.day_of_week} (Period ${slot.period_number}) has been updated`,
-      slot
-    },
-    sendEmail: true,
-  });
+      metadata: { slotId: slot.id || id },
+      socketEvent: 'SLOT_UPDATED',
+      socketPayload: {
+        message: `A class on ${slot.day_of_week} (Period ${slot.period_number}) has been updated`,
+        slot
+      },
+      sendEmail: true,
+    });
+  }
 
   res.json({
     success: true,
@@ -755,21 +1156,23 @@ const deleteTimetableSlot = asyncHandler(async (req, res) => {
 
   logger.info('Timetable slot cancelled', { slotId: id, deletedBy: req.user.id });
 
-  await notificationService.notifyRole({
-    role: 'student',
-    eventType: 'TIMETABLE_SLOT_CANCELLED',
-    title: 'Class Cancelled',
-    message: `The class on ${slot.day_of_week} (Period ${slot.period_number}) has been cancelled`,
-    metadata: { slotId: id, day: slot.day_of_week, period: slot.period_number },
-    socketEvent: 'SLOT_CANCELLED',
-    socketPayload: {
+  if (await isPublishedSlot(slot)) {
+    await notificationService.notifyRole({
+      role: 'student',
+      eventType: 'TIMETABLE_SLOT_CANCELLED',
+      title: 'Class Cancelled',
       message: `The class on ${slot.day_of_week} (Period ${slot.period_number}) has been cancelled`,
-      slotId: id,
-      day: slot.day_of_week,
-      period: slot.period_number
-    },
-    sendEmail: true,
-  });
+      metadata: { slotId: id, day: slot.day_of_week, period: slot.period_number },
+      socketEvent: 'SLOT_CANCELLED',
+      socketPayload: {
+        message: `The class on ${slot.day_of_week} (Period ${slot.period_number}) has been cancelled`,
+        slotId: id,
+        day: slot.day_of_week,
+        period: slot.period_number
+      },
+      sendEmail: true,
+    });
+  }
 
   res.json({
     success: true,
@@ -799,7 +1202,20 @@ module.exports = {
   assignTeacherToSubject,
   assignSubjectToGroup,
   generateTimetable,
+  getTimetableJob,
+  cancelTimetableJob,
+  getTimetableVersions,
+  getTimetableVersion,
+  diffTimetableVersion,
+  publishTimetableVersion,
+  rollbackTimetableVersion,
+  deleteTimetableVersion,
   getTimetableConfig,
+  getTeacherUnavailability,
+  createTeacherUnavailability,
+  updateTeacherUnavailability,
+  deleteTeacherUnavailability,
+  checkTimetableSlotMove,
   updateTimetableSlot,
   deleteTimetableSlot
 };
@@ -3,6 +3,16 @@
  * Converts timetable slots to iCalendar format (RFC 5545)
  */
 
+const { DEFAULT_BELL_SCHEDULE, getPeriodTimes } = require('./timetable.periods');
+const { getWeeklyRecurrence } = require('../academic-calendar/academic.calendar.service');
+
+const BYDAY = { Monday: 'MO', Tuesday: 'TU', Wednesday: 'WE', Thursday: 'TH', Friday: 'FR', Saturday: 'SA', Sunday: 'SU' };
+
+const toHourMinute = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return { hour, minute };
+};
+
 class IcsCalendarService {
   static escapeText(text) {
     if (!text) return '';
@@ -20,22 +30,22 @@ class IcsCalendarService {
     return `${year}${month}${day}`;
   }
 
+  // UTC date-time, e.g. 20261018T093000Z
+  static formatIcsDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+  }
+
+  static formatIsoDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
   static formatIcsTime(hours, minutes) {
     return `${String(hours).padStart(2, '0')}${String(minutes).padStart(2, '0')}00`;
   }
 
-  static getPeriodTiming(periodNumber) {
-    const periods = {
-      1: { start: { hour: 9, minute: 0 }, end: { hour: 10, minute: 0 } },
-      2: { start: { hour: 10, minute: 0 }, end: { hour: 11, minute: 0 } },
-      3: { start: { hour: 11, minute: 0 }, end: { hour: 12, minute: 0 } },
-      4: { start: { hour: 12, minute: 0 }, end: { hour: 13, minute: 0 } },
-      5: { start: { hour: 14, minute: 0 }, end: { hour: 15, minute: 0 } },
-      6: { start: { hour: 15, minute: 0 }, end: { hour: 16, minute: 0 } },
-      7: { start: { hour: 16, minute: 0 }, end: { hour: 17, minute: 0 } },
-      8: { start: { hour: 17, minute: 0 }, end: { hour: 18, minute: 0 } },
-    };
-    return periods[periodNumber] || periods[1];
+  static getPeriodTiming(periodNumber, bellSchedule = DEFAULT_BELL_SCHEDULE) {
+    const times = getPeriodTimes(bellSchedule, periodNumber) || bellSchedule.periods[0];
+    return { start: toHourMinute(times.start), end: toHourMinute(times.end) };
   }
 
   static dayNameToIso(dayName) {
@@ -65,15 +75,37 @@ class IcsCalendarService {
     return resultDate;
   }
 
-  static createVEvent(slot, ___groupName) {
+  /**
+   * Weekly RRULE plus EXDATE/RDATE lines for a slot. With a term the rule
+   * stops at the term end; otherwise it is open-ended.
+   */
+  static recurrenceLines(slot, recurrence, startTime) {
+    const atStart = (date) => `${date.replace(/-/g, '')}T${startTime}`;
+    const until = recurrence.untilDate ? `;UNTIL=${recurrence.untilDate.replace(/-/g, '')}T235959` : '';
+    const lines = [`RRULE:FREQ=WEEKLY;BYDAY=${BYDAY[slot.day_of_week]}${until}`];
+
+    if (recurrence.excludedDates.length > 0) {
+      lines.push(`EXDATE:${recurrence.excludedDates.map(atStart).join(',')}`);
+    }
+    if (recurrence.extraDates.length > 0) {
+      lines.push(`RDATE:${recurrence.extraDates.map(atStart).join(',')}`);
+    }
+    return lines.join('\n');
+  }
+
+  static createVEvent(slot, ___groupName, bellSchedule = DEFAULT_BELL_SCHEDULE, academicCalendar = null) {
     const crypto = require('crypto');
     const eventId = crypto.randomUUID();
     const timestamp = new Date().toISOString().replace(/[-:.]/g, '');
     
-    const timing = this.getPeriodTiming(slot.period_number);
-    const eventDate = this.getNextOccurrenceDate(slot.day_of_week);
+    const timing = this.getPeriodTiming(slot.period_number, bellSchedule);
+    const recurrence = getWeeklyRecurrence(
+      slot.day_of_week,
+      academicCalendar || {},
+      this.formatIsoDate(this.getNextOccurrenceDate(slot.day_of_week))
+    );
     
-    const startDate = this.formatIcsDate(eventDate);
+    const startDate = recurrence.firstDate.replace(/-/g, '');
     const startTime = this.formatIcsTime(timing.start.hour, timing.start.minute);
     const endTime = this.formatIcsTime(timing.end.hour, timing.end.minute);
     
@@ -88,6 +120,7 @@ UID:${eventId}@smartcampus.local
 DTSTAMP:${timestamp}Z
 DTSTART:${startDate}T${startTime}
 DTEND:${startDate}T${endTime}
+${this.recurrenceLines(slot, recurrence, startTime)}
 SUMMARY:${summary}
 LOCATION:${location}
 DESCRIPTION:${description}
@@ -95,7 +128,7 @@ STATUS:CONFIRMED
 END:VEVENT`;
   }
 
-  static generateIcs(slots, ___groupName, academicYear = '2024-25') {
+  static generateIcs(slots, ___groupName, academicYear = '2024-25', bellSchedule = DEFAULT_BELL_SCHEDULE, academicCalendar = null) {
     if (!slots || slots.length === 0) {
       throw new Error('No timetable slots provided');
     }
@@ -113,7 +146,7 @@ DTSTAMP:${timestamp}Z
 `;
 
     slots.forEach(slot => {
-      icsContent += `\n${this.createVEvent(slot, ___groupName)}`;
+      icsContent += `\n${this.createVEvent(slot, ___groupName, bellSchedule, academicCalendar)}`;
     });
 
     icsContent += '\nEND:VCALENDAR';
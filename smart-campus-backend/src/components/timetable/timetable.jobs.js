@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const { logger } = require('../../config/db');
+const { ApiError } = require('../../middleware/errorHandler');
+const notificationService = require('../../services/notification.service');
+const timetableService = require('./timetable.service');
+
+// Finished jobs are kept this long so the requester can still read the result
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+/**
+ * In-memory registry of timetable generation jobs.
+ * Generation is CPU-bound and runs in this process, so only one job may be
+ * active at a time; finished jobs expire after JOB_TTL_MS.
+ */
+const jobs = new Map();
+
+const jobRoom = (jobId) => `timetable-job:${jobId}`;
+
+/**
+ * Public view of a job (drops the abort controller and expiry timer)
+ */
+const serializeJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  progress: job.progress,
+  academic_year: job.academic_year,
+  semester_type: job.semester_type,
+  requested_by: job.requestedBy,
+  created_at: job.createdAt,
+  started_at: job.startedAt,
+  finished_at: job.finishedAt,
+  result: job.result,
+  error: job.error
+});
+
+const emit = (job, event, extra = {}) => {
+  notificationService.sendToRoom(jobRoom(job.id), event, {
+    jobId: job.id,
+    status: job.status,
+    progress: job.progress,
+    ...extra
+  });
+};
+
+const scheduleExpiry = (job) => {
+  job.expiryTimer = setTimeout(() => jobs.delete(job.id), JOB_TTL_MS);
+  // Never keep the process alive just to expire a job
+  if (job.expiryTimer.unref) job.expiryTimer.unref();
+};
+
+const finishJob = (job, status, fields = {}) => {
+  Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+  scheduleExpiry(job);
+};
+
+const runJob = async (job, constraints) => {
+  const { academic_year, semester_type } = job;
+
+  // Cancelled while still queued
+  if (job.status !== 'queued') return;
+
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  emit(job, 'TIMETABLE_JOB_PROGRESS');
+
+  try {
+    const result = await timetableService.generateTimetable(constraints, {
+      signal: job.controller.signal,
+      onProgress: (progress) => {
+        job.progress = progress;
+        emit(job, 'TIMETABLE_JOB_PROGRESS');
+      }
+    });
+
+    if (result.cancelled) {
+      finishJob(job, 'cancelled', { error: { message: result.message } });
+      emit(job, 'TIMETABLE_JOB_CANCELLED', { message: result.message });
+      logger.info('Timetable generation job cancelled', { jobId: job.id });
+      return;
+    }
+
+    if (!result.success) {
+      finishJob(job, 'failed', {
+        error: { error: result.error, message: result.message, details: result.details }
+      });
+      emit(job, 'TIMETABLE_JOB_FAILED', { error: job.error });
+      logger.warn('Timetable generation job failed', { jobId: job.id, error: result.error });
+      return;
+    }
+
+    const version = await timetableService.saveTimetableToDatabase(
+      result.timetable,
+      academic_year,
+      semester_type,
+      { createdBy: job.requestedBy, quality: result.quality }
+    );
+
+    finishJob(job, 'completed', {
+      result: {
+        version,
+        timetable: result.timetable,
+        statistics: result.statistics,
+        quality: result.quality,
+        academic_year,
+        semester_type
+      }
+    });
+    emit(job, 'TIMETABLE_JOB_COMPLETED', {
+      version_id: version.id,
+      statistics: result.statistics,
+      penalty: result.quality ? result.quality.total : null
+    });
+
+    // Students are notified when the draft is published, not here
+    logger.info('Timetable generation completed', {
+      jobId: job.id,
+      versionId: version.id,
+      totalSlots: result.statistics.totalSlots,
+      iterations: result.statistics.iterations
+    });
+  } catch (error) {
+    logger.error('Timetable generation job crashed', { jobId: job.id, error: error.message });
+    if (ACTIVE_STATUSES.includes(job.status)) {
+      finishJob(job, 'failed', { error: { error: 'Generation failed', message: error.message } });
+      emit(job, 'TIMETABLE_JOB_FAILED', { error: job.error });
+    }
+  }
+};
+
+/**
+ * Queue a generation job and start it on the next tick.
+ *
+ * @param {Object} params
+ * @param {Object} params.constraints - Solver constraints (groups, days, ...)
+ * @param {string} params.academic_year
+ * @param {string} params.semester_type
+ * @param {number} params.requestedBy - Admin user id
+ * @returns {Object} Serialized job
+ */
+const createJob = ({ constraints, academic_year, semester_type, requestedBy }) => {
+  const active = [...jobs.values()].find(job => ACTIVE_STATUSES.includes(job.status));
+  if (active) {
+    throw new ApiError(409, `A timetable generation job is already running (${active.id})`);
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    progress: null,
+    academic_year,
+    semester_type,
+    requestedBy,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    controller: new AbortController(),
+    expiryTimer: null
+  };
+  jobs.set(job.id, job);
+
+  setImmediate(() => runJob(job, constraints));
+
+  return serializeJob(job);
+};
+
+/**
+ * @param {string} jobId
+ * @returns {Object|null} Serialized job, or null when unknown or expired
+ */
+const getJob = (jobId) => {
+  const job = jobs.get(jobId);
+  return job ? serializeJob(job) : null;
+};
+
+/**
+ * Request cancellation of an active job. The solver stops at its next
+ * progress checkpoint; a queued job is cancelled immediately.
+ *
+ * @param {string} jobId
+ * @returns {Object|null} Serialized job, or null when unknown or expired
+ */
+const cancelJob = (jobId) => {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+
+  if (!ACTIVE_STATUSES.includes(job.status)) {
+    throw new ApiError(409, `Job is already ${job.status}`);
+  }
+
+  job.controller.abort();
+
+  if (job.status === 'queued') {
+    finishJob(job, 'cancelled', { error: { message: 'Generation was cancelled before it started' } });
+    emit(job, 'TIMETABLE_JOB_CANCELLED', { message: job.error.message });
+  }
+
+  return serializeJob(job);
+};
+
+/**
+ * Drop all jobs (used by tests)
+ */
+const clearJobs = () => {
+  jobs.forEach(job => {
+    job.controller.abort();
+    if (job.expiryTimer) clearTimeout(job.expiryTimer);
+  });
+  jobs.clear();
+};
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob,
+  clearJobs,
+  jobRoom
+};
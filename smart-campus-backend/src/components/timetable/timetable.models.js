@@ -1,4 +1,4 @@
-const { query } = require('../../config/db');
+const { query, transaction } = require('../../config/db');
 
 /**
  * Teacher Model
@@ -35,6 +35,81 @@ class Teacher {
   }
 }
 
+/**
+ * TeacherUnavailability Model
+ * Permanent rows block a period every week; dated rows only apply
+ * between start_date and end_date (inclusive).
+ */
+class TeacherUnavailability {
+  static async findByTeacher(teacherId, { activeOnly = false } = {}) {
+    const result = await query(
+      `SELECT * FROM teacher_unavailability
+       WHERE teacher_id = $1
+       ${activeOnly ? 'AND (is_permanent = true OR (start_date <= CURRENT_DATE AND end_date >= CURRENT_DATE))' : ''}
+       ORDER BY day_of_week, period_number, start_date NULLS FIRST`,
+      [teacherId]
+    );
+    return result.rows;
+  }
+
+  static async findById(teacherId, id) {
+    const result = await query(
+      'SELECT * FROM teacher_unavailability WHERE id = $1 AND teacher_id = $2',
+      [id, teacherId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find entries for the same weekly slot whose validity overlaps the given one.
+   * A permanent entry overlaps everything in its slot.
+   */
+  static async findOverlapping({ teacher_id, day_of_week, period_number, is_permanent, start_date, end_date, excludeId = null }) {
+    const result = await query(
+      `SELECT id FROM teacher_unavailability
+       WHERE teacher_id = $1 AND day_of_week = $2 AND period_number = $3
+       AND ($4::uuid IS NULL OR id <> $4)
+       AND (
+         $5 = true OR is_permanent = true
+         OR (start_date <= $7 AND end_date >= $6)
+       )`,
+      [teacher_id, day_of_week, period_number, excludeId, is_permanent, start_date, end_date]
+    );
+    return result.rows;
+  }
+
+  static async create(entry) {
+    const { teacher_id, day_of_week, period_number, reason, is_permanent, start_date, end_date } = entry;
+    const result = await query(
+      `INSERT INTO teacher_unavailability
+       (teacher_id, day_of_week, period_number, reason, is_permanent, start_date, end_date)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [teacher_id, day_of_week, period_number, reason, is_permanent, start_date, end_date]
+    );
+    return result.rows[0];
+  }
+
+  static async update(teacherId, id, entry) {
+    const { day_of_week, period_number, reason, is_permanent, start_date, end_date } = entry;
+    const result = await query(
+      `UPDATE teacher_unavailability
+       SET day_of_week = $1, period_number = $2, reason = $3,
+           is_permanent = $4, start_date = $5, end_date = $6
+       WHERE id = $7 AND teacher_id = $8 RETURNING *`,
+      [day_of_week, period_number, reason, is_permanent, start_date, end_date, id, teacherId]
+    );
+    return result.rows[0];
+  }
+
+  static async delete(teacherId, id) {
+    const result = await query(
+      'DELETE FROM teacher_unavailability WHERE id = $1 AND teacher_id = $2 RETURNING id',
+      [id, teacherId]
+    );
+    return result.rows[0];
+  }
+}
+
 /**
  * Subject Model
  */
@@ -162,7 +237,7 @@ class TimetableSlot {
     return result.rows[0];
   }
 
-  static async bulkCreate(slots) {
+  static async bulkCreate(slots, client = null) {
     if (!slots || slots.length === 0) return [];
 
     const values = [];
@@ -170,7 +245,7 @@ class TimetableSlot {
     let counter = 1;
 
     slots.forEach((slot) => {
-      placeholders.push(`($${counter++}, $${counter++}, $${counter++}, $${counter++}, $${counter++}, $${counter++}, $${counter++}, $${counter++})`);
+      placeholders.push(`($${counter++}, $${counter++}, $${counter++}, $${counter++}, $${counter++}, $${counter++}, $${counter++}, $${counter++}, $${counter++})`);
       values.push(
         slot.day_of_week,
         slot.period_number,
@@ -179,17 +254,18 @@ class TimetableSlot {
         slot.group_id,
         slot.room_id,
         slot.academic_year,
-        slot.semester_type
+        slot.semester_type,
+        slot.version_id || null
       );
     });
 
     const sql = `
       INSERT INTO timetable_slots 
-      (day_of_week, period_number, teacher_id, subject_id, group_id, room_id, academic_year, semester_type)
+      (day_of_week, period_number, teacher_id, subject_id, group_id, room_id, academic_year, semester_type, version_id)
       VALUES ${placeholders.join(', ')} RETURNING *
     `;
 
-    const result = await query(sql, values);
+    const result = await (client || { query }).query(sql, values);
     return result.rows;
   }
 
@@ -226,6 +302,35 @@ class TimetableSlot {
     return result.rows;
   }
 
+  static async findById(id) {
+    const result = await query(
+      'SELECT * FROM timetable_slots WHERE id = $1 AND is_active = true',
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * All active slots of the timetable a slot belongs to: its version,
+   * or its term for slots saved before versioning
+   */
+  static async findSameTimetable(slot) {
+    if (slot.version_id) {
+      const result = await query(
+        'SELECT * FROM timetable_slots WHERE version_id = $1 AND is_active = true',
+        [slot.version_id]
+      );
+      return result.rows;
+    }
+
+    const result = await query(
+      `SELECT * FROM timetable_slots
+       WHERE version_id IS NULL AND academic_year = $1 AND semester_type = $2 AND is_active = true`,
+      [slot.academic_year, slot.semester_type]
+    );
+    return result.rows;
+  }
+
   static async update(id, slotData) {
     const { day_of_week, period_number, teacher_id, subject_id, room_id } = slotData;
     const result = await query(
@@ -251,10 +356,135 @@ class TimetableSlot {
   }
 }
 
+/**
+ * TimetableVersion Model
+ * Each generation creates a draft; publishing archives the previous
+ * published version of the same academic year and semester.
+ */
+class TimetableVersion {
+  static async create({ academic_year, semester_type, created_by = null, quality = null }, client = null) {
+    const result = await (client || { query }).query(
+      `INSERT INTO timetable_versions (academic_year, semester_type, version_number, created_by, quality)
+       VALUES (
+         $1, $2,
+         COALESCE((SELECT MAX(version_number) FROM timetable_versions WHERE academic_year = $1 AND semester_type = $2), 0) + 1,
+         $3, $4
+       )
+       RETURNING *`,
+      [academic_year, semester_type, created_by, quality ? JSON.stringify(quality) : null]
+    );
+    return result.rows[0];
+  }
+
+  static async findAll({ academic_year = null, semester_type = null } = {}) {
+    const params = [];
+    const conditions = [];
+
+    if (academic_year) {
+      params.push(academic_year);
+      conditions.push(`tv.academic_year = $${params.length}`);
+    }
+    if (semester_type) {
+      params.push(semester_type);
+      conditions.push(`tv.semester_type = $${params.length}`);
+    }
+
+    const result = await query(
+      `SELECT tv.*, COUNT(ts.id)::int AS slot_count
+       FROM timetable_versions tv
+       LEFT JOIN timetable_slots ts ON ts.version_id = tv.id AND ts.is_active = true
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       GROUP BY tv.id
+       ORDER BY tv.academic_year DESC, tv.semester_type ASC, tv.version_number DESC`,
+      params
+    );
+    return result.rows;
+  }
+
+  static async findById(id) {
+    const result = await query('SELECT * FROM timetable_versions WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  static async findPublished(academic_year, semester_type) {
+    const result = await query(
+      `SELECT * FROM timetable_versions
+       WHERE academic_year = $1 AND semester_type = $2 AND status = 'published'`,
+      [academic_year, semester_type]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Rollback target: the newest once-published version older than the one
+   * published now. Ordered by version number, not published_at, because a
+   * rollback re-publishes (and re-stamps) an older version; going by time
+   * would make a second rollback bounce back to the version just replaced.
+   */
+  static async findPreviouslyPublished(academic_year, semester_type) {
+    const result = await query(
+      `SELECT * FROM timetable_versions
+       WHERE academic_year = $1 AND semester_type = $2
+         AND status = 'archived' AND published_at IS NOT NULL
+         AND version_number < COALESCE((
+           SELECT version_number FROM timetable_versions
+           WHERE academic_year = $1 AND semester_type = $2 AND status = 'published'
+         ), 2147483647)
+       ORDER BY version_number DESC
+       LIMIT 1`,
+      [academic_year, semester_type]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Publish a version and archive the currently published one
+   * @returns {Object} { version, previous } - previous is null when nothing was published
+   */
+  static async publish(id, publishedBy) {
+    return transaction(async (client) => {
+      const target = await client.query('SELECT * FROM timetable_versions WHERE id = $1 FOR UPDATE', [id]);
+      const version = target.rows[0];
+      if (!version) return null;
+
+      const archived = await client.query(
+        `UPDATE timetable_versions
+         SET status = 'archived', updated_at = CURRENT_TIMESTAMP
+         WHERE academic_year = $1 AND semester_type = $2 AND status = 'published' AND id <> $3
+         RETURNING *`,
+        [version.academic_year, version.semester_type, id]
+      );
+
+      const published = await client.query(
+        `UPDATE timetable_versions
+         SET status = 'published', published_by = $2, published_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [id, publishedBy]
+      );
+
+      return { version: published.rows[0], previous: archived.rows[0] || null };
+    });
+  }
+
+  /**
+   * Delete a draft version (its slots cascade)
+   */
+  static async deleteDraft(id) {
+    const result = await query(
+      "DELETE FROM timetable_versions WHERE id = $1 AND status = 'draft' RETURNING *",
+      [id]
+    );
+    return result.rows[0];
+  }
+}
+
 module.exports = {
   Teacher,
+  TeacherUnavailability,
   Subject,
   Room,
   StudentGroup,
-  TimetableSlot
+  TimetableSlot,
+  TimetableVersion
 };
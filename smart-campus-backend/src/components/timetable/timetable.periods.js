@@ -0,0 +1,127 @@
+/**
+ * Bell schedule helpers: wall-clock timings of the timetable periods.
+ * The schedule itself is configured in system settings; these helpers are
+ * shared by iCal/Google Calendar export, room availability lookups, the
+ * generator and the suggestion engine.
+ */
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Timetable tables only allow periods 1-8
+const MAX_PERIODS = 8;
+
+/**
+ * Used until an admin saves a bell schedule. Lunch falls in the gap between
+ * periods 4 and 5, so no teaching period is reserved for it.
+ */
+const DEFAULT_BELL_SCHEDULE = {
+  working_days: DAYS,
+  periods: [
+    { number: 1, start: '09:00', end: '09:50' },
+    { number: 2, start: '10:00', end: '10:50' },
+    { number: 3, start: '11:00', end: '11:50' },
+    { number: 4, start: '12:00', end: '12:50' },
+    { number: 5, start: '14:00', end: '14:50' },
+    { number: 6, start: '15:00', end: '15:50' },
+    { number: 7, start: '16:00', end: '16:50' },
+    { number: 8, start: '17:00', end: '17:50' }
+  ],
+  lunch_break_period: null
+};
+
+// Indexed by Date#getUTCDay(); Sunday has no timetable
+const WEEKDAYS = [null, ...DAYS];
+
+/**
+ * Fill gaps in a stored schedule from the default so callers can rely on
+ * every field being present.
+ *
+ * @param {Object|null} schedule - Stored bell schedule
+ * @returns {Object}
+ */
+const normalizeBellSchedule = (schedule) => ({
+  working_days: schedule?.working_days?.length ? schedule.working_days : DEFAULT_BELL_SCHEDULE.working_days,
+  periods: schedule?.periods?.length ? schedule.periods : DEFAULT_BELL_SCHEDULE.periods,
+  lunch_break_period: schedule?.lunch_break_period || null
+});
+
+/**
+ * Start and end time ('HH:MM') of a period, or null if the schedule has no
+ * such period.
+ *
+ * @param {Object} schedule - Bell schedule
+ * @param {number} periodNumber
+ * @returns {{start: string, end: string}|null}
+ */
+const getPeriodTimes = (schedule, periodNumber) => {
+  const period = schedule.periods.find(p => p.number === Number(periodNumber));
+  return period ? { start: period.start, end: period.end } : null;
+};
+
+/**
+ * Period running at a given time of day ('HH:MM'), or null between periods,
+ * during the lunch break and outside teaching hours.
+ *
+ * @param {string} time - 'HH:MM' (24h)
+ * @param {Object} schedule - Bell schedule
+ * @returns {number|null}
+ */
+const findPeriodAt = (time, schedule = DEFAULT_BELL_SCHEDULE) => {
+  const match = schedule.periods.find(period =>
+    period.number !== schedule.lunch_break_period && time >= period.start && time < period.end
+  );
+  return match ? match.number : null;
+};
+
+/**
+ * Generator and suggestion engine constraints implied by the schedule.
+ *
+ * @param {Object} schedule - Bell schedule
+ * @returns {{days: string[], periods_per_day: number, lunch_break_period: number|null}}
+ */
+const toTimetableConstraints = (schedule) => ({
+  days: schedule.working_days,
+  periods_per_day: schedule.periods.length,
+  lunch_break_period: schedule.lunch_break_period
+});
+
+/**
+ * Why a day and period range cannot be scheduled, or null when the bell
+ * schedule has it. MAX_PERIODS only caps what the tables can store; a
+ * shorter schedule leaves the later periods out.
+ *
+ * @param {Object} schedule - Bell schedule
+ * @param {{day?: string, startPeriod?: number, endPeriod?: number}} cell - Omitted fields are not checked
+ * @returns {string|null}
+ */
+const findScheduleViolation = (schedule, { day, startPeriod, endPeriod = startPeriod }) => {
+  if (day !== undefined && !schedule.working_days.includes(day)) {
+    return `${day} is not a working day in the bell schedule`;
+  }
+  const periodCount = schedule.periods.length;
+  if (endPeriod !== undefined && Math.max(startPeriod || 0, endPeriod) > periodCount) {
+    return `The bell schedule only has ${periodCount} periods`;
+  }
+  return null;
+};
+
+/**
+ * Timetable day for a calendar date, or null on Sundays (and invalid dates).
+ *
+ * @param {string} date - 'YYYY-MM-DD' (any time part is ignored)
+ * @returns {string|null}
+ */
+const dayOfWeekFor = (date) =>
+  WEEKDAYS[new Date(`${String(date).slice(0, 10)}T00:00:00Z`).getUTCDay()] || null;
+
+module.exports = {
+  DAYS,
+  MAX_PERIODS,
+  DEFAULT_BELL_SCHEDULE,
+  normalizeBellSchedule,
+  getPeriodTimes,
+  findPeriodAt,
+  toTimetableConstraints,
+  findScheduleViolation,
+  dayOfWeekFor
+};
@@ -12,6 +12,25 @@ const DAY_ORDER_SQL = `
   END
 `;
 
+/**
+ * Restricts `ts` (timetable_slots) to published versions.
+ * Slots of drafts and archived versions are only visible by version id.
+ */
+const PUBLISHED_VERSION_JOIN = `
+  JOIN timetable_versions tv ON tv.id = ts.version_id AND tv.status = 'published'
+`;
+
+/**
+ * Join clause and params selecting either one version or the published ones.
+ * @param {string|null} versionId
+ * @param {number} paramIndex - Placeholder index to use for versionId
+ */
+const versionFilter = (versionId, paramIndex) => (
+  versionId
+    ? { join: '', where: `AND ts.version_id = $${paramIndex}`, values: [versionId] }
+    : { join: PUBLISHED_VERSION_JOIN, where: '', values: [] }
+);
+
 /**
  * Whitelisted sort columns per table.
  * Used by the controller to validate the `sort` query parameter.
@@ -148,7 +167,20 @@ const listGroups = async ({ department, semester, sort, order, limit, offset })
   return { rows: dataResult.rows, total: parseInt(countResult.rows[0].count, 10) };
 };
 
-const getGroupTimetable = async ({ groupId, academic_year, semester_type }) => {
+const getGroupTimetable = async ({ groupId, academic_year, semester_type, versionId = null }) => {
+  const values = [groupId];
+  const conditions = [];
+  if (academic_year) {
+    values.push(academic_year);
+    conditions.push(`AND ts.academic_year = $${values.length}`);
+  }
+  if (semester_type) {
+    values.push(semester_type);
+    conditions.push(`AND ts.semester_type = $${values.length}`);
+  }
+  const version = versionFilter(versionId, values.length + 1);
+  values.push(...version.values);
+
   const sql = `
     SELECT
       ts.id,
@@ -161,27 +193,25 @@ const getGroupTimetable = async ({ groupId, academic_year, semester_type }) => {
       r.room_name,
       r.room_code
     FROM timetable_slots ts
+    ${version.join}
     JOIN subjects s ON ts.subject_id = s.id
     JOIN teachers t ON ts.teacher_id = t.id
     JOIN rooms r ON ts.room_id = r.id
     WHERE ts.group_id = $1
       AND ts.is_active = true
-      ${academic_year ? 'AND ts.academic_year = $2' : ''}
-      ${semester_type ? `AND ts.semester_type = $${academic_year ? 3 : 2}` : ''}
+      ${conditions.join(' ')}
+      ${version.where}
     ORDER BY
       ${DAY_ORDER_SQL},
       ts.period_number ASC
   `;
 
-  const values = [groupId];
-  if (academic_year) values.push(academic_year);
-  if (semester_type) values.push(semester_type);
-
   const result = await query(sql, values);
   return result.rows;
 };
 
-const getTeacherTimetable = async ({ teacherId }) => {
+const getTeacherTimetable = async ({ teacherId, versionId = null }) => {
+  const version = versionFilter(versionId, 2);
   const sql = `
     SELECT
       ts.day_of_week,
@@ -190,19 +220,94 @@ const getTeacherTimetable = async ({ teacherId }) => {
       sg.group_name,
       r.room_name
     FROM timetable_slots ts
+    ${version.join}
     JOIN subjects s ON ts.subject_id = s.id
     JOIN student_groups sg ON ts.group_id = sg.id
     JOIN rooms r ON ts.room_id = r.id
     WHERE ts.teacher_id = $1 AND ts.is_active = true
+      ${version.where}
     ORDER BY
       ${DAY_ORDER_SQL},
       ts.period_number ASC
   `;
 
-  const result = await query(sql, [teacherId]);
+  const result = await query(sql, [teacherId, ...version.values]);
   return result.rows;
 };
 
+/**
+ * All active slots of one version, with display names (admin preview and diff)
+ */
+const getVersionSlots = async (versionId) => {
+  const sql = `
+    SELECT
+      ts.id,
+      ts.day_of_week,
+      ts.period_number,
+      ts.teacher_id,
+      ts.subject_id,
+      ts.group_id,
+      ts.room_id,
+      t.full_name as teacher_name,
+      s.subject_name,
+      s.subject_code,
+      sg.group_name,
+      r.room_name
+    FROM timetable_slots ts
+    JOIN teachers t ON ts.teacher_id = t.id
+    JOIN subjects s ON ts.subject_id = s.id
+    JOIN student_groups sg ON ts.group_id = sg.id
+    JOIN rooms r ON ts.room_id = r.id
+    WHERE ts.version_id = $1 AND ts.is_active = true
+    ORDER BY
+      sg.group_name ASC,
+      ${DAY_ORDER_SQL},
+      ts.period_number ASC
+  `;
+
+  const result = await query(sql, [versionId]);
+  return result.rows;
+};
+
+/**
+ * Compare two versions' slots, keyed by group, day and period.
+ *
+ * @param {Array} baseSlots - e.g. the published version
+ * @param {Array} targetSlots - e.g. a draft
+ * @returns {Object} { added, removed, changed, unchanged_count }
+ */
+const diffVersionSlots = (baseSlots, targetSlots) => {
+  const keyOf = (slot) => `${slot.group_id}_${slot.day_of_week}_${slot.period_number}`;
+  const sameLesson = (a, b) =>
+    a.teacher_id === b.teacher_id && a.subject_id === b.subject_id && a.room_id === b.room_id;
+
+  const base = new Map(baseSlots.map(slot => [keyOf(slot), slot]));
+  const added = [];
+  const changed = [];
+  let unchangedCount = 0;
+
+  for (const slot of targetSlots) {
+    const key = keyOf(slot);
+    const previous = base.get(key);
+    base.delete(key);
+
+    if (!previous) {
+      added.push(slot);
+    } else if (!sameLesson(previous, slot)) {
+      changed.push({ from: previous, to: slot });
+    } else {
+      unchangedCount++;
+    }
+  }
+
+  return {
+    added,
+    removed: [...base.values()],
+    changed,
+    unchanged_count: unchangedCount
+  };
+};
+
 const getConfigData = async () => {
   const [groupsResult, teachersResult, subjectsResult, roomsResult] = await Promise.all([
     query('SELECT id, group_code, group_name, department, semester FROM student_groups WHERE is_active = true'),
@@ -221,11 +326,14 @@ const getConfigData = async () => {
 
 module.exports = {
   ALLOWED_SORT,
+  PUBLISHED_VERSION_JOIN,
   listTeachers,
   listSubjects,
   listRooms,
   listGroups,
   getGroupTimetable,
   getTeacherTimetable,
+  getVersionSlots,
+  diffVersionSlots,
   getConfigData
 };
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const timetableController = require('./timetable.controller');
-const { verifyToken, verifyAdmin } = require('../../middleware/auth.middleware');
+const { verifyToken, verifyAdmin, optionalAuth } = require('../../middleware/auth.middleware');
 const { validate, validationSchemas } = require('../../middleware/validation');
 
 /**
@@ -14,9 +14,9 @@ router.get('/teachers', validate(validationSchemas.timetableQuery, 'query'), tim
 router.get('/subjects', validate(validationSchemas.timetableQuery, 'query'), timetableController.getAllSubjects);
 router.get('/rooms', validate(validationSchemas.timetableQuery, 'query'), timetableController.getAllRooms);
 router.get('/groups', validate(validationSchemas.timetableQuery, 'query'), timetableController.getAllGroups);
-router.get('/group/:groupId/ical', validate(validationSchemas.groupIdParam, 'params'), validate(validationSchemas.timetableQuery, 'query'), timetableController.exportGroupTimetableIcal);
-router.get('/group/:groupId', validate(validationSchemas.groupIdParam, 'params'), validate(validationSchemas.timetableQuery, 'query'), timetableController.getTimetableByGroup);
-router.get('/teacher/:teacherId', validate(validationSchemas.teacherIdParam, 'params'), validate(validationSchemas.timetableQuery, 'query'), timetableController.getTimetableByTeacher);
+router.get('/group/:groupId/ical', optionalAuth, validate(validationSchemas.groupIdParam, 'params'), validate(validationSchemas.timetableQuery, 'query'), timetableController.exportGroupTimetableIcal);
+router.get('/group/:groupId', optionalAuth, validate(validationSchemas.groupIdParam, 'params'), validate(validationSchemas.timetableQuery, 'query'), timetableController.getTimetableByGroup);
+router.get('/teacher/:teacherId', optionalAuth, validate(validationSchemas.teacherIdParam, 'params'), validate(validationSchemas.timetableQuery, 'query'), timetableController.getTimetableByTeacher);
 router.get('/config', timetableController.getTimetableConfig);
 
 // Admin routes - creating resources
@@ -39,11 +39,28 @@ router.delete('/rooms/:id', verifyToken, verifyAdmin, validate(validationSchemas
 router.post('/assign/teacher-subject', verifyToken, verifyAdmin, validate(validationSchemas.assignTeacherSubject, 'body'), timetableController.assignTeacherToSubject);
 router.post('/assign/subject-group', verifyToken, verifyAdmin, validate(validationSchemas.assignSubjectGroup, 'body'), timetableController.assignSubjectToGroup);
 
+// Admin routes - teacher unavailability
+router.get('/teachers/:id/unavailability', verifyToken, verifyAdmin, validate(validationSchemas.uuidParam, 'params'), validate(validationSchemas.teacherUnavailabilityQuery, 'query'), timetableController.getTeacherUnavailability);
+router.post('/teachers/:id/unavailability', verifyToken, verifyAdmin, validate(validationSchemas.uuidParam, 'params'), validate(validationSchemas.teacherUnavailability, 'body'), timetableController.createTeacherUnavailability);
+router.put('/teachers/:id/unavailability/:entryId', verifyToken, verifyAdmin, validate(validationSchemas.teacherUnavailabilityParams, 'params'), validate(validationSchemas.teacherUnavailability, 'body'), timetableController.updateTeacherUnavailability);
+router.delete('/teachers/:id/unavailability/:entryId', verifyToken, verifyAdmin, validate(validationSchemas.teacherUnavailabilityParams, 'params'), timetableController.deleteTeacherUnavailability);
+
 // Admin routes - timetable generation
 router.post('/generate', verifyToken, verifyAdmin, validate(validationSchemas.generateTimetable, 'body'), timetableController.generateTimetable);
+router.get('/jobs/:id', verifyToken, verifyAdmin, validate(validationSchemas.uuidParam, 'params'), timetableController.getTimetableJob);
+router.post('/jobs/:id/cancel', verifyToken, verifyAdmin, validate(validationSchemas.uuidParam, 'params'), timetableController.cancelTimetableJob);
+
+// Admin routes - timetable versions (draft, publish, rollback)
+router.get('/versions', verifyToken, verifyAdmin, validate(validationSchemas.timetableVersionsQuery, 'query'), timetableController.getTimetableVersions);
+router.post('/versions/rollback', verifyToken, verifyAdmin, validate(validationSchemas.timetableRollback, 'body'), timetableController.rollbackTimetableVersion);
+router.get('/versions/:id', verifyToken, verifyAdmin, validate(validationSchemas.uuidParam, 'params'), timetableController.getTimetableVersion);
+router.get('/versions/:id/diff', verifyToken, verifyAdmin, validate(validationSchemas.uuidParam, 'params'), validate(validationSchemas.timetableVersionDiffQuery, 'query'), timetableController.diffTimetableVersion);
+router.post('/versions/:id/publish', verifyToken, verifyAdmin, validate(validationSchemas.uuidParam, 'params'), timetableController.publishTimetableVersion);
+router.delete('/versions/:id', verifyToken, verifyAdmin, validate(validationSchemas.uuidParam, 'params'), timetableController.deleteTimetableVersion);
 
 // Admin routes - manual slot management
-router.put('/slots/:id', verifyToken, verifyAdmin, validate(validationSchemas.uuidParam, 'params'), timetableController.updateTimetableSlot);
+router.post('/slots/:id/check', verifyToken, verifyAdmin, validate(validationSchemas.uuidParam, 'params'), validate(validationSchemas.timetableSlotCheck, 'body'), timetableController.checkTimetableSlotMove);
+router.put('/slots/:id', verifyToken, verifyAdmin, validate(validationSchemas.uuidParam, 'params'), validate(validationSchemas.timetableSlotUpdate, 'body'), timetableController.updateTimetableSlot);
 router.delete('/slots/:id', verifyToken, verifyAdmin, validate(validationSchemas.uuidParam, 'params'), timetableController.deleteTimetableSlot);
 
 module.exports = router;
@@ -1,5 +1,15 @@
-const { Teacher, Subject, Room, StudentGroup, TimetableSlot } = require('./timetable.models');
-const { logger } = require('../../config/db');
+const { Teacher, Subject, Room, StudentGroup, TimetableSlot, TimetableVersion } = require('./timetable.models');
+const { logger, transaction } = require('../../config/db');
+const { SoftConstraintScorer } = require('./soft.constraints');
+const { toTimetableConstraints, findScheduleViolation } = require('./timetable.periods');
+const settingsService = require('../settings/settings.service');
+const { createRandom } = require('../../utils/random');
+
+// Iterations between progress reports (and event-loop yields) in solve()
+const PROGRESS_INTERVAL = 1000;
+
+// Local-search moves tried after a feasible timetable is found
+const DEFAULT_OPTIMIZATION_ITERATIONS = 2000;
 
 /**
  * Timetable Solver using Backtracking Algorithm
@@ -11,8 +21,16 @@ const { logger } = require('../../config/db');
  * - Optimized performance with early termination
  */
 class TimetableSolver {
-  constructor(constraints) {
+  /**
+   * @param {Object} constraints - Generation constraints
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called every PROGRESS_INTERVAL iterations
+   * @param {AbortSignal} [options.signal] - Aborts the search when signalled
+   */
+  constructor(constraints, { onProgress = null, signal = null } = {}) {
     this.constraints = constraints;
+    this.onProgress = onProgress;
+    this.signal = signal;
     this.timetable = {};
     this.subjectHourCounters = {};
     this.teacherSchedule = {};
@@ -20,6 +38,8 @@ class TimetableSolver {
     this.groupSchedule = {};
     this.maxIterations = 100000;
     this.currentIteration = 0;
+    this.totalRequiredHours = 0;
+    this.phase = 'solving';
     // unscheduledCount tracks remaining work — O(1) completion check
     this.unscheduledCount = 0;
     this.cache = {
@@ -57,14 +77,30 @@ class TimetableSolver {
       const timeSlots = this.generateTimeSlots();
       
       // Start backtracking
-      const result = this.solve(timeSlots, 0);
+      const result = await this.solve(timeSlots, 0);
+
+      // Improve soft-constraint quality of the first feasible solution
+      const quality = result && !this.isCancelled()
+        ? await this.optimize(timeSlots)
+        : null;
+
+      if (this.isCancelled()) {
+        logger.warn('Timetable generation cancelled');
+        return {
+          success: false,
+          cancelled: true,
+          error: 'Generation cancelled',
+          message: `Generation was cancelled after ${this.currentIteration} iterations`
+        };
+      }
       
       if (result) {
         logger.info('✅ Timetable generation successful');
         return {
           success: true,
           timetable: this.formatTimetable(),
-          statistics: this.getStatistics()
+          statistics: this.getStatistics(),
+          quality
         };
       } else {
         logger.warn('❌ No valid timetable found');
@@ -89,24 +125,9 @@ class TimetableSolver {
    * Sets up empty timetable slots and subject hour counters
    */
   async initializeDataStructures() {
-    const { groups, days, periods_per_day } = this.constraints;
+    const { groups, days } = this.constraints;
 
-    // Initialize timetable structure for each day and period
-    days.forEach(day => {
-      this.timetable[day] = {};
-      this.teacherSchedule[day] = {};
-      this.roomSchedule[day] = {};
-      this.groupSchedule[day] = {};
-      this.subjectPeriodsCounter[day] = {};
-      
-      for (let period = 1; period <= periods_per_day; period++) {
-        // Map<groupId, assignment> enables O(1) undo instead of Array.filter
-        this.timetable[day][period] = new Map();
-        this.teacherSchedule[day][period] = new Set();
-        this.roomSchedule[day][period] = new Set();
-        this.groupSchedule[day][period] = new Set();
-      }
-    });
+    this.initializeGrid();
 
     // Initialize subject hour counters and pre-fetch data for caching
     for (const groupId of groups) {
@@ -128,6 +149,7 @@ class TimetableSolver {
           groupId: groupId
         };
         this.unscheduledCount += subject.hours_per_week;
+        this.totalRequiredHours += subject.hours_per_week;
 
         days.forEach(day => {
           this.subjectPeriodsCounter[day][groupId][subject.id] = 0;
@@ -162,6 +184,30 @@ class TimetableSolver {
     logger.info(`Initialized data structures for ${groups.length} groups`);
   }
 
+  /**
+   * Create the empty day/period schedule maps
+   */
+  initializeGrid() {
+    const { days, periods_per_day } = this.constraints;
+
+    // Initialize timetable structure for each day and period
+    days.forEach(day => {
+      this.timetable[day] = {};
+      this.teacherSchedule[day] = {};
+      this.roomSchedule[day] = {};
+      this.groupSchedule[day] = {};
+      this.subjectPeriodsCounter[day] = {};
+      
+      for (let period = 1; period <= periods_per_day; period++) {
+        // Map<groupId, assignment> enables O(1) undo instead of Array.filter
+        this.timetable[day][period] = new Map();
+        this.teacherSchedule[day][period] = new Set();
+        this.roomSchedule[day][period] = new Set();
+        this.groupSchedule[day][period] = new Set();
+      }
+    });
+  }
+
   /**
    * Validate all constraints before starting generation
    * Checks if the problem is solvable with given resources
@@ -226,6 +272,29 @@ class TimetableSolver {
     return slots;
   }
 
+  isCancelled() {
+    return Boolean(this.signal && this.signal.aborted);
+  }
+
+  /**
+   * Snapshot of search progress, reported to onProgress listeners
+   */
+  getProgress(slotIndex, totalSlots) {
+    const placed = this.totalRequiredHours - this.unscheduledCount;
+    return {
+      phase: this.phase,
+      iteration: this.currentIteration,
+      maxIterations: this.maxIterations,
+      slotIndex,
+      totalSlots,
+      placed,
+      total: this.totalRequiredHours,
+      percent: this.totalRequiredHours > 0
+        ? Math.round((placed / this.totalRequiredHours) * 100)
+        : 0
+    };
+  }
+
   /**
    * Main backtracking solver
    *
@@ -233,18 +302,29 @@ class TimetableSolver {
    * subject-teacher-room combination and recurse only on the choice branch.
    * Using unscheduledCount for O(1) completion check and a Map for O(1) undo.
    *
+   * Every PROGRESS_INTERVAL iterations the solver reports progress and yields
+   * to the event loop, so status requests and cancellation are served while
+   * a long search is running.
+   *
    * @param {Array} timeSlots
    * @param {Number} slotIndex
-   * @returns {Boolean}
+   * @returns {Promise<Boolean>}
    */
-  solve(timeSlots, slotIndex) {
+  async solve(timeSlots, slotIndex) {
+    if (this.isCancelled()) return false;
+
     if (++this.currentIteration > this.maxIterations) {
       logger.warn('Maximum iterations reached');
       return false;
     }
 
-    if (this.currentIteration % 1000 === 0) {
+    if (this.currentIteration % PROGRESS_INTERVAL === 0) {
       logger.info(`Iteration ${this.currentIteration}: slot ${slotIndex}/${timeSlots.length}`);
+      if (this.onProgress) {
+        this.onProgress(this.getProgress(slotIndex, timeSlots.length));
+      }
+      await new Promise(resolve => setImmediate(resolve));
+      if (this.isCancelled()) return false;
     }
 
     // O(1) completion check
@@ -272,7 +352,8 @@ class TimetableSolver {
           counter.scheduled++;
           this.unscheduledCount--;
 
-          if (this.solve(timeSlots, slotIndex + 1)) return true;
+          if (await this.solve(timeSlots, slotIndex + 1)) return true;
+          if (this.isCancelled()) return false;
 
           // Backtrack
           this.undoAssignment(teacher, subject, group, room, day, period);
@@ -283,7 +364,7 @@ class TimetableSolver {
     }
 
     // Skip this slot and try the next one
-    return this.solve(timeSlots, slotIndex + 1);
+    return await this.solve(timeSlots, slotIndex + 1);
   }
 
   /**
@@ -407,6 +488,158 @@ class TimetableSolver {
     return this.unscheduledCount === 0;
   }
 
+  /**
+   * Flat list of current assignments
+   */
+  getAssignments() {
+    const assignments = [];
+    for (const periods of Object.values(this.timetable)) {
+      for (const slotAssignments of Object.values(periods)) {
+        assignments.push(...slotAssignments.values());
+      }
+    }
+    return assignments;
+  }
+
+  /**
+   * Local-search improvement of soft-constraint quality.
+   *
+   * Starting from a feasible timetable, repeatedly moves one lesson to another
+   * slot of the same group (swapping with the lesson there, if any) and keeps
+   * the change only when the total penalty drops. Hard constraints are
+   * re-checked for every move, so the result is always still valid.
+   *
+   * Tuned through constraints.preferences:
+   * - optimize (default true)
+   * - optimization_iterations (default DEFAULT_OPTIMIZATION_ITERATIONS)
+   * - soft_constraint_weights (see soft.constraints DEFAULT_WEIGHTS)
+   * - seed (default 1) for reproducible runs
+   *
+   * @param {Array} timeSlots
+   * @returns {Promise<Object>} Penalty breakdown before and after optimisation
+   */
+  async optimize(timeSlots) {
+    const preferences = this.constraints.preferences || {};
+    const scorer = new SoftConstraintScorer(this.constraints, preferences.soft_constraint_weights);
+    const maxIterations = preferences.optimize === false
+      ? 0
+      : (preferences.optimization_iterations ?? DEFAULT_OPTIMIZATION_ITERATIONS);
+    const random = createRandom(preferences.seed ?? 1);
+
+    this.phase = 'optimizing';
+    const initial = scorer.score(this.getAssignments());
+    let current = initial.total;
+    let iterations = 0;
+    let improvements = 0;
+
+    while (iterations < maxIterations && current > 0) {
+      iterations++;
+
+      if (iterations % PROGRESS_INTERVAL === 0) {
+        if (this.onProgress) {
+          this.onProgress(this.getProgress(timeSlots.length, timeSlots.length));
+        }
+        await new Promise(resolve => setImmediate(resolve));
+        if (this.isCancelled()) break;
+      }
+
+      const move = this.tryRandomMove(timeSlots, random);
+      if (!move) continue;
+
+      const candidate = scorer.score(this.getAssignments()).total;
+      if (candidate < current) {
+        current = candidate;
+        improvements++;
+      } else {
+        move.revert();
+      }
+    }
+
+    const final = scorer.score(this.getAssignments());
+    logger.info(`Optimisation: penalty ${initial.total} → ${final.total} (${improvements} improvements in ${iterations} moves)`);
+
+    return {
+      total: final.total,
+      breakdown: final.breakdown,
+      initial_total: initial.total,
+      initial_breakdown: initial.breakdown,
+      iterations,
+      improvements
+    };
+  }
+
+  /**
+   * Move a random lesson to a random slot of its group, swapping with the
+   * group's lesson in that slot when there is one.
+   *
+   * @returns {Object|null} { revert } when the move was applied, null otherwise
+   */
+  tryRandomMove(timeSlots, random) {
+    const assignments = this.getAssignments();
+    if (assignments.length === 0 || timeSlots.length < 2) return null;
+
+    const first = assignments[Math.floor(random() * assignments.length)];
+    const target = timeSlots[Math.floor(random() * timeSlots.length)];
+    if (target.day === first.day && target.period === first.period) return null;
+
+    const second = this.timetable[target.day][target.period].get(first.group.id) || null;
+    if (second && second.subject.id === first.subject.id) return null;
+
+    const removeAssignment = (a) => this.undoAssignment(a.teacher, a.subject, a.group, a.room, a.day, a.period);
+    const restoreAssignment = (a) => this.makeAssignment(a.teacher, a.subject, a.group, a.room, a.day, a.period);
+
+    removeAssignment(first);
+    if (second) removeAssignment(second);
+
+    const movedFirst = this.placeAssignment(first, target.day, target.period);
+    const movedSecond = movedFirst && second
+      ? this.placeAssignment(second, first.day, first.period)
+      : null;
+
+    if (!movedFirst || (second && !movedSecond)) {
+      if (movedFirst) removeAssignment(movedFirst);
+      restoreAssignment(first);
+      if (second) restoreAssignment(second);
+      return null;
+    }
+
+    return {
+      revert: () => {
+        removeAssignment(movedFirst);
+        if (movedSecond) removeAssignment(movedSecond);
+        restoreAssignment(first);
+        if (second) restoreAssignment(second);
+      }
+    };
+  }
+
+  /**
+   * Re-place an existing lesson at a new slot, keeping its teacher and
+   * preferring its current room.
+   *
+   * @returns {Object|null} The new assignment, or null if no valid room/teacher
+   */
+  placeAssignment(assignment, day, period) {
+    const { teacher, subject, group } = assignment;
+
+    if (teacher.unavailableSlots && teacher.unavailableSlots.has(`${day}_${period}`)) {
+      return null;
+    }
+
+    const rooms = this.getAvailableRooms(subject, group, day, period);
+    const ordered = rooms.some(room => room.id === assignment.room.id)
+      ? [assignment.room, ...rooms.filter(room => room.id !== assignment.room.id)]
+      : rooms;
+
+    for (const room of ordered) {
+      if (!this.isValidAssignment(teacher, subject, group, room, day, period)) continue;
+      this.makeAssignment(teacher, subject, group, room, day, period);
+      return this.timetable[day][period].get(group.id);
+    }
+
+    return null;
+  }
+
   /**
    * Format timetable for output
    * Converts internal structure to API response format
@@ -493,42 +726,54 @@ class TimetableSolver {
  * Main service function to generate timetable
  * 
  * @param {Object} constraints - Timetable generation constraints
+ * @param {Object} [options] - { onProgress, signal } forwarded to the solver
  * @returns {Object} Generation result
  */
-const generateTimetable = async (constraints) => {
-  const solver = new TimetableSolver(constraints);
+const generateTimetable = async (constraints, options = {}) => {
+  const solver = new TimetableSolver(constraints, options);
   return await solver.generateTimetable();
 };
 
 /**
- * Save generated timetable to database
- * Clears existing timetable and saves new one
+ * Save generated timetable to database as a new draft version.
+ * The published version (what students see) is left untouched until the
+ * draft is published.
  * 
  * @param {Array} timetable - Generated timetable slots
  * @param {String} academic_year - Academic year (e.g., "2024-25")
  * @param {String} semester_type - Semester type ("odd" or "even")
- * @returns {Boolean} True if successful
+ * @param {Object} [options] - { createdBy, quality } stored on the version
+ * @returns {Object} The created draft version
  */
-const saveTimetableToDatabase = async (timetable, academic_year, semester_type) => {
+const saveTimetableToDatabase = async (timetable, academic_year, semester_type, { createdBy = null, quality = null } = {}) => {
   try {
-    await TimetableSlot.clearTimetable(academic_year, semester_type);
-
-    // Batch all inserts in one call instead of one query per slot
-    await TimetableSlot.bulkCreate(
-      timetable.map(slot => ({
-        day_of_week: slot.day,
-        period_number: slot.period,
-        teacher_id: slot.teacher.id,
-        subject_id: slot.subject.id,
-        group_id: slot.group.id,
-        room_id: slot.room.id,
-        academic_year,
-        semester_type
-      }))
-    );
+    const version = await transaction(async (client) => {
+      const draft = await TimetableVersion.create(
+        { academic_year, semester_type, created_by: createdBy, quality },
+        client
+      );
+
+      // Batch all inserts in one call instead of one query per slot
+      await TimetableSlot.bulkCreate(
+        timetable.map(slot => ({
+          day_of_week: slot.day,
+          period_number: slot.period,
+          teacher_id: slot.teacher.id,
+          subject_id: slot.subject.id,
+          group_id: slot.group.id,
+          room_id: slot.room.id,
+          academic_year,
+          semester_type,
+          version_id: draft.id
+        })),
+        client
+      );
+
+      return draft;
+    });
 
-    logger.info(`✅ Timetable saved to database: ${timetable.length} slots`);
-    return true;
+    logger.info(`✅ Timetable saved as draft version ${version.version_number}: ${timetable.length} slots`);
+    return version;
   } catch (error) {
     logger.error('Error saving timetable to database:', error);
     throw error;
@@ -630,9 +875,79 @@ const detectConflictsAndSuggest = async (assignment, currentState) => {
   }
 };
 
+/**
+ * Rebuild the solver's schedule maps from saved slots
+ *
+ * @param {Array} slots - Slots of one timetable
+ * @param {string} excludeId - Slot left out of the maps (the one being moved)
+ * @param {Object} constraints - { days, periods_per_day, lunch_break_period }
+ * @returns {Object} State accepted by detectConflictsAndSuggest
+ */
+const buildScheduleState = (slots, excludeId = null, constraints = {}) => {
+  const teacherSchedule = {};
+  const roomSchedule = {};
+  const groupSchedule = {};
+
+  const mark = (schedule, day, period, id) => {
+    schedule[day] = schedule[day] || {};
+    schedule[day][period] = schedule[day][period] || new Set();
+    schedule[day][period].add(id);
+  };
+
+  const others = slots.filter(slot => slot.id !== excludeId);
+  others.forEach(slot => {
+    mark(teacherSchedule, slot.day_of_week, slot.period_number, slot.teacher_id);
+    mark(roomSchedule, slot.day_of_week, slot.period_number, slot.room_id);
+    mark(groupSchedule, slot.day_of_week, slot.period_number, slot.group_id);
+  });
+
+  return {
+    timetable: others,
+    teacherSchedule,
+    roomSchedule,
+    groupSchedule,
+    constraints
+  };
+};
+
+/**
+ * Check a manual move of a saved slot before it is written
+ * The slot's own timetable, minus the slot itself, is the current state;
+ * suggestions are searched over the bell schedule's grid.
+ *
+ * @param {Object} slot - Saved timetable slot
+ * @param {Object} target - { day_of_week, period_number, room_id? }
+ * @returns {Object} Result of detectConflictsAndSuggest, or { error } for a cell outside the bell schedule
+ */
+const checkSlotMove = async (slot, target) => {
+  const [slots, bellSchedule] = await Promise.all([
+    TimetableSlot.findSameTimetable(slot),
+    settingsService.getBellSchedule()
+  ]);
+
+  const violation = findScheduleViolation(bellSchedule, { day: target.day_of_week, startPeriod: target.period_number });
+  if (violation) {
+    return { error: violation };
+  }
+
+  return detectConflictsAndSuggest(
+    {
+      teacher_id: slot.teacher_id,
+      subject_id: slot.subject_id,
+      group_id: slot.group_id,
+      room_id: target.room_id || slot.room_id,
+      day: target.day_of_week,
+      period: target.period_number
+    },
+    buildScheduleState(slots, slot.id, toTimetableConstraints(bellSchedule))
+  );
+};
+
 module.exports = {
   generateTimetable,
   saveTimetableToDatabase,
   TimetableSolver,
-  detectConflictsAndSuggest
+  detectConflictsAndSuggest,
+  buildScheduleState,
+  checkSlotMove
 };
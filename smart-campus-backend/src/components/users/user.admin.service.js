@@ -50,7 +50,7 @@ const updateUserByAdmin = async ({ id, updates }) => {
   }
 
   const normalizedUpdates = { ...updates };
-  if (normalizedUpdates.role === 'admin') {
+  if (normalizedUpdates.role === 'admin' || normalizedUpdates.role === 'faculty') {
     normalizedUpdates.cgpa = null;
     normalizedUpdates.semester = null;
   }
@@ -0,0 +1,44 @@
+'use strict';
+
+const cron = require('node-cron');
+const { logger } = require('../config/db');
+const reminderService = require('../components/campus-events/event.reminder.service');
+
+// =====================================================================
+// CORE REMINDER LOGIC
+// =====================================================================
+
+/**
+ * Sends the reminders that are due now. Errors are logged rather than thrown
+ * so one failed run never stops the schedule.
+ */
+async function runEventReminders() {
+  try {
+    const { sent } = await reminderService.sendDueReminders();
+    if (sent > 0) {
+      logger.info(`[Reminders] ✅ Sent ${sent} event reminder(s).`);
+    }
+  } catch (error) {
+    logger.error(`[Reminders] ❌ Reminder run failed: ${error.message}`);
+  }
+}
+
+// =====================================================================
+// CRON SCHEDULE
+// =====================================================================
+
+/**
+ * Registers the event reminder cron job.
+ * Schedule: every 5 minutes, well inside the reminder grace period so a
+ * single slow or missed run never skips a reminder.
+ */
+function initEventReminderJob() {
+  const offsets = reminderService.parseOffsets(process.env.EVENT_REMINDER_OFFSETS_MINUTES);
+  logger.info(
+    `[Reminders] 🔔 Event reminder job registered — ${offsets.map(reminderService.describeOffset).join(' and ')} before start.`
+  );
+
+  cron.schedule('*/5 * * * *', runEventReminders);
+}
+
+module.exports = { initEventReminderJob, runEventReminders };
@@ -0,0 +1,53 @@
+'use strict';
+
+const cron = require('node-cron');
+const { query, logger } = require('../config/db');
+const imageService = require('../services/image.service');
+
+/** Days a soft-deleted event keeps its image, so a restore brings it back */
+const DELETED_EVENT_IMAGE_DAYS = 30;
+
+// =====================================================================
+// CORE CLEANUP LOGIC
+// =====================================================================
+
+/**
+ * Removes event images nothing refers to: leftovers from failed saves and
+ * images of events deleted more than DELETED_EVENT_IMAGE_DAYS ago. Errors
+ * are logged rather than thrown so one failed run never stops the schedule.
+ */
+async function runImageCleanup() {
+  try {
+    // Restoring an event deleted this long ago brings it back without its image
+    await query(
+      `UPDATE events SET image_url = NULL
+       WHERE image_url IS NOT NULL AND deleted_at < NOW() - make_interval(days => $1)`,
+      [DELETED_EVENT_IMAGE_DAYS]
+    );
+
+    const result = await query('SELECT image_url FROM events WHERE image_url IS NOT NULL');
+    const removed = await imageService.removeOrphanedImages(result.rows.map(row => row.image_url));
+
+    if (removed.length > 0) {
+      logger.info(`[Images] 🗑️  Removed ${removed.length} orphaned upload(s).`);
+    }
+  } catch (error) {
+    logger.error(`[Images] ❌ Upload cleanup failed: ${error.message}`);
+  }
+}
+
+// =====================================================================
+// CRON SCHEDULE
+// =====================================================================
+
+/**
+ * Registers the upload cleanup cron job.
+ * Schedule: daily at 03:30, clear of the midnight backup.
+ */
+function initImageCleanupJob() {
+  logger.info('[Images] 🧹 Upload cleanup job registered — runs daily at 03:30.');
+
+  cron.schedule('30 3 * * *', runImageCleanup);
+}
+
+module.exports = { initImageCleanupJob, runImageCleanup };
@@ -0,0 +1,86 @@
+const { logger } = require('../config/db');
+const membershipService = require('../components/campus-events/club.membership.service');
+
+/**
+ * Middleware factory allowing platform admins, or users who are president or
+ * coordinator of every club the request touches.
+ * Must be used AFTER verifyToken
+ *
+ * @param {(req: import('express').Request) => Promise<Array<number|string|null|undefined>>} resolveClubIds
+ *   Clubs affected by the request; blanks are ignored
+ */
+const verifyClubManager = (resolveClubIds) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized: Authentication required.',
+    });
+  }
+
+  if (req.user.role === 'admin') {
+    return next();
+  }
+
+  try {
+    const clubIds = [...new Set((await resolveClubIds(req)).filter(Boolean).map(Number))];
+
+    let allowed = clubIds.length > 0;
+    for (const clubId of clubIds) {
+      if (!allowed) break;
+      allowed = await membershipService.managesClub(req.user, clubId);
+    }
+
+    if (allowed) {
+      return next();
+    }
+
+    logger.warn('Non-manager club access attempt', {
+      userId: req.user.id,
+      clubIds,
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: 'Forbidden: Requires club president or coordinator privileges.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cheap pre-check for routes that parse an upload before they know which club
+ * the request touches: admins, or users who manage at least one club. The
+ * exact club check still runs after the body is parsed.
+ * Must be used AFTER verifyToken
+ */
+const verifyAnyClubManager = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized: Authentication required.',
+    });
+  }
+
+  try {
+    if (await membershipService.managesAnyClub(req.user)) {
+      return next();
+    }
+
+    logger.warn('Non-manager club access attempt', {
+      userId: req.user.id,
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: 'Forbidden: Requires club president or coordinator privileges.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  verifyClubManager,
+  verifyAnyClubManager,
+};
@@ -1,5 +1,7 @@
 const Joi = require('joi');
 const { ApiError } = require('./errorHandler');
+const { MAX_PERIODS } = require('../components/timetable/timetable.periods');
+const { STRATEGY_NAMES } = require('../components/electives/elective.strategies');
 
 /**
  * Validation middleware factory
@@ -42,6 +44,26 @@ const allowedSubjects = [
   'Computer Vision & Applications',
 ];
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Bell schedule periods must be numbered 1..n and run in order without overlapping
+const validatePeriodSequence = (periods, helpers) => {
+  const sorted = [...periods].sort((a, b) => a.number - b.number);
+  for (let index = 0; index < sorted.length; index++) {
+    const period = sorted[index];
+    if (period.number !== index + 1) {
+      return helpers.message('"periods" must be numbered 1 to {#count} without gaps', { count: sorted.length });
+    }
+    if (period.start >= period.end) {
+      return helpers.message(`Period ${period.number} must end after it starts`);
+    }
+    if (index > 0 && period.start < sorted[index - 1].end) {
+      return helpers.message(`Period ${period.number} starts before period ${period.number - 1} ends`);
+    }
+  }
+  return periods;
+};
+
 // Common validation schemas
 const validationSchemas = {
 
@@ -85,10 +107,21 @@ const validationSchemas = {
     campus_name:      Joi.string().min(2).max(150).required()
   }),
 
+  bellSchedule: Joi.object({
+    working_days:       Joi.array().items(Joi.string().valid('Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday')).min(1).unique().required(),
+    periods:            Joi.array().items(Joi.object({
+      number: Joi.number().integer().min(1).max(MAX_PERIODS).required(),
+      start:  Joi.string().pattern(TIME_PATTERN).required(),
+      end:    Joi.string().pattern(TIME_PATTERN).required()
+    })).min(1).max(MAX_PERIODS).unique('number').required().custom(validatePeriodSequence),
+    lunch_break_period: Joi.number().integer().min(1).max(Joi.ref('periods.length')).allow(null).optional()
+      .messages({ 'number.max': '"lunch_break_period" must be one of the configured periods' })
+  }),
+
   adminUpdateUser: Joi.object({
     full_name:  Joi.string().min(2).max(100).optional(),
     email:      Joi.string().email().optional(),
-    role:       Joi.string().valid('student', 'admin').optional(),
+    role:       Joi.string().valid('student', 'admin', 'faculty').optional(),
     department: Joi.string().max(100).allow('', null).optional(),
     cgpa:       Joi.number().min(0).max(10).precision(2).allow(null).optional(),
     semester:   Joi.number().integer().min(1).max(8).allow(null).optional(),
@@ -107,7 +140,8 @@ const validationSchemas = {
     target_department: Joi.string().max(100).optional(),
     is_featured:       Joi.boolean().default(false),
     tags:              Joi.array().items(Joi.string()).optional(),
-    capacity:          Joi.number().integer().min(1).optional()
+    max_capacity:      Joi.number().integer().min(1).allow(null).optional(),
+    recurrence_rule:   Joi.string().max(200).allow('', null).optional()
   }),
 
   eventQuery: Joi.object({
@@ -117,12 +151,77 @@ const validationSchemas = {
     department:  Joi.string().max(100).optional(),
     is_featured: Joi.string().valid('true', 'false').optional(),
     upcoming:    Joi.string().valid('true', 'false').optional(),
+    from:        Joi.date().iso().optional(),
+    to:          Joi.date().iso().optional(),
+    status:      Joi.string().valid('draft', 'pending_review', 'approved', 'rejected', 'cancelled').optional(),
     page:        Joi.number().integer().min(1).default(1),
     limit:       Joi.number().integer().min(1).max(100).default(10),
     sort:        Joi.string().valid('start_time', 'title', 'created_at').default('start_time'),
     order:       Joi.string().valid('asc', 'desc', 'ASC', 'DESC').default('ASC')
   }),
 
+  eventCheckIn: Joi.object({
+    token: Joi.string().trim().max(200).required()
+  }),
+
+  eventOccurrence: Joi.object({
+    occurrence_start: Joi.date().iso().required(),
+    title:            Joi.string().min(3).max(150).optional(),
+    description:      Joi.string().optional(),
+    location:         Joi.string().max(255).optional(),
+    start_time:       Joi.date().iso().optional(),
+    end_time:         Joi.date().iso().optional()
+  }),
+
+  eventOccurrenceQuery: Joi.object({
+    occurrence_start: Joi.date().iso().required()
+  }),
+
+  // Picks one occurrence of a series for check-in passes and attendance
+  eventCheckInOccurrenceQuery: Joi.object({
+    occurrence_start: Joi.date().iso().optional()
+  }),
+
+  calendarFeedParam: Joi.object({
+    token: Joi.string().hex().length(48).required()
+  }),
+
+  eventOccurrenceWindow: Joi.object({
+    from: Joi.date().iso().optional(),
+    to:   Joi.date().iso().optional()
+  }),
+
+  eventRecommendationQuery: Joi.object({
+    limit: Joi.number().integer().min(1).max(50).optional()
+  }),
+
+  eventSubmissionQuery: Joi.object({
+    status: Joi.string().valid('draft', 'pending_review', 'approved', 'rejected', 'cancelled').optional()
+  }),
+
+  // Rejections must tell the organiser what to fix
+  eventReview: Joi.object({
+    status:  Joi.string().valid('approved', 'rejected').required(),
+    comment: Joi.string().trim().max(1000).when('status', {
+      is: 'rejected',
+      then: Joi.required(),
+      otherwise: Joi.optional().allow('')
+    })
+  }),
+
+  eventReminderPreference: Joi.object({
+    enabled: Joi.boolean().required()
+  }),
+
+  eventFeedback: Joi.object({
+    rating:  Joi.number().integer().min(1).max(5).required(),
+    comment: Joi.string().trim().max(2000).optional().allow('', null)
+  }),
+
+  eventCancel: Joi.object({
+    comment: Joi.string().trim().max(1000).optional().allow('')
+  }),
+
   // ─── Clubs ─────────────────────────────────────────────────────────────────
 
   createClub: Joi.object({
@@ -141,14 +240,35 @@ const validationSchemas = {
     order:    Joi.string().valid('asc', 'desc', 'ASC', 'DESC').default('ASC')
   }),
 
+  clubMemberQuery: Joi.object({
+    status: Joi.string().valid('active', 'pending').default('active')
+  }),
+
+  clubMemberParams: Joi.object({
+    id:     Joi.number().integer().positive().required(),
+    userId: Joi.number().integer().positive().required()
+  }),
+
+  clubMemberRole: Joi.object({
+    role: Joi.string().valid('president', 'coordinator', 'member').required()
+  }),
+
   // ─── Electives ─────────────────────────────────────────────────────────────
 
+  // Eligibility rules are optional; empty lists and missing bounds mean no restriction
   createElective: Joi.object({
-    subject_name: Joi.string().min(2).max(100).required(),
-    description:  Joi.string().optional(),
-    max_students: Joi.number().integer().min(1).default(50),
-    department:   Joi.string().max(100).optional(),
-    semester:     Joi.number().integer().min(1).max(8).optional()
+    subject_name:               Joi.string().min(2).max(100).required(),
+    description:                Joi.string().optional(),
+    max_students:               Joi.number().integer().min(1).default(50),
+    department:                 Joi.string().max(100).optional(),
+    semester:                   Joi.number().integer().min(1).max(8).optional(),
+    eligible_departments:       Joi.array().items(Joi.string().max(100)).unique().default([]),
+    min_semester:               Joi.number().integer().min(1).max(8).allow(null).optional(),
+    max_semester:               Joi.number().integer().min(1).max(8).allow(null).optional()
+      .when('min_semester', { is: Joi.number().required(), then: Joi.number().min(Joi.ref('min_semester')) }),
+    min_cgpa:                   Joi.number().min(0).max(10).precision(2).allow(null).optional(),
+    prerequisite_subject_codes: Joi.array().items(Joi.string().max(10)).unique().default([]),
+    exclusive_elective_ids:     Joi.array().items(Joi.number().integer().positive()).unique().default([])
   }),
 
   // elective_id is numeric in the current PostgreSQL schema.
@@ -171,6 +291,76 @@ const validationSchemas = {
     elective_id: Joi.number().integer().positive().optional()
   }),
 
+  allocateElectives: Joi.object({
+    round_id: Joi.number().integer().positive().optional(),
+    dry_run: Joi.boolean().default(false),
+    strategy: Joi.string().valid(...STRATEGY_NAMES).default('cgpa'),
+    seed: Joi.number().integer().min(0).max(2147483647).optional(),
+    band_width: Joi.number().min(0.1).max(5).precision(2).when('strategy', {
+      is: 'cgpa_band_lottery',
+      then: Joi.optional(),
+      otherwise: Joi.forbidden()
+    }),
+    reserved_seats: Joi.array().items(
+      Joi.object({
+        elective_id: Joi.number().integer().positive().required(),
+        department:  Joi.string().trim().max(100).required(),
+        seats:       Joi.number().integer().min(1).required()
+      })
+    ).max(100).when('strategy', {
+      is: 'reserved_seats',
+      then: Joi.array().min(1).required(),
+      otherwise: Joi.forbidden()
+    })
+  }),
+
+  // Empty semesters/departments lists open the round to every student
+  electiveRound: Joi.object({
+    name:        Joi.string().min(2).max(100).required(),
+    opens_at:    Joi.date().iso().required(),
+    closes_at:   Joi.date().iso().greater(Joi.ref('opens_at')).required(),
+    semesters:   Joi.array().items(Joi.number().integer().min(1).max(8)).unique().default([]),
+    departments: Joi.array().items(Joi.string().max(100)).unique().default([])
+  }),
+
+  // allocated is set by running the allocation, never by hand
+  electiveRoundUpdate: Joi.object({
+    name:        Joi.string().min(2).max(100).optional(),
+    opens_at:    Joi.date().iso().optional(),
+    closes_at:   Joi.date().iso().optional(),
+    semesters:   Joi.array().items(Joi.number().integer().min(1).max(8)).unique().optional(),
+    departments: Joi.array().items(Joi.string().max(100)).unique().optional(),
+    status:      Joi.string().valid('open', 'closed').optional()
+  }).min(1),
+
+  // A drop gives the seat up; a swap names the elective wanted instead
+  electiveChangeRequest: Joi.object({
+    request_type:   Joi.string().valid('drop', 'swap').required(),
+    to_elective_id: Joi.number().integer().positive().when('request_type', {
+      is: 'swap',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    reason:         Joi.string().trim().max(500).allow('').optional()
+  }),
+
+  electiveChangeRequestQuery: Joi.object({
+    status: Joi.string().valid('open', 'pending_approval', 'completed', 'rejected', 'cancelled').optional()
+  }),
+
+  electiveChangeReview: Joi.object({
+    decision: Joi.string().valid('approve', 'reject').required(),
+    note:     Joi.string().trim().max(500).allow('').optional()
+  }),
+
+  // A move is a swap into an elective with a free seat; no other student is involved
+  electiveChangeRules: Joi.object({
+    changes_open:           Joi.boolean().required(),
+    drop_requires_approval: Joi.boolean().required(),
+    move_requires_approval: Joi.boolean().required(),
+    swap_requires_approval: Joi.boolean().required()
+  }),
+
   // ─── Route Parameter Schemas ───────────────────────────────────────────────
 
   // UUID primary key parameter (events, clubs, electives, users in Supabase schema)
@@ -202,10 +392,42 @@ const validationSchemas = {
     department:    Joi.string().max(100).optional(),
     semester:      Joi.number().integer().min(1).max(8).optional(),
     room_type:     Joi.string().max(50).optional(),
+    academic_year: Joi.string().max(20).optional(),
+    semester_type: Joi.string().max(20).optional(),
+    version_id:    Joi.string().uuid().optional()
+  }),
+
+  timetableVersionsQuery: Joi.object({
     academic_year: Joi.string().max(20).optional(),
     semester_type: Joi.string().max(20).optional()
   }),
 
+  timetableVersionDiffQuery: Joi.object({
+    against: Joi.string().uuid().optional()
+  }),
+
+  // Without version_id the rollback goes to the next older published version
+  timetableRollback: Joi.object({
+    academic_year: Joi.string().min(4).max(20).required(),
+    semester_type: Joi.string().min(1).max(20).required(),
+    version_id:    Joi.string().uuid().optional()
+  }),
+
+  timetableSlotUpdate: Joi.object({
+    day_of_week:   Joi.string().valid('Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday').optional(),
+    period_number: Joi.number().integer().min(1).max(MAX_PERIODS).optional(),
+    teacher_id:    Joi.string().uuid().optional(),
+    subject_id:    Joi.string().uuid().optional(),
+    room_id:       Joi.string().uuid().optional()
+  }).min(1),
+
+  // Target cell of a drag-and-drop move; the room defaults to the slot's own
+  timetableSlotCheck: Joi.object({
+    day_of_week:   Joi.string().valid('Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday').required(),
+    period_number: Joi.number().integer().min(1).max(MAX_PERIODS).required(),
+    room_id:       Joi.string().uuid().optional()
+  }),
+
   groupIdParam: Joi.object({
     groupId: Joi.string().uuid().required()
   }),
@@ -214,12 +436,68 @@ const validationSchemas = {
     teacherId: Joi.string().uuid().required()
   }),
 
+  teacherUnavailabilityParams: Joi.object({
+    id:      Joi.string().uuid().required(),
+    entryId: Joi.string().uuid().required()
+  }),
+
+  teacherUnavailabilityQuery: Joi.object({
+    active_only: Joi.boolean().default(false)
+  }),
+
+  // Dated entries need both bounds; permanent entries ignore them
+  teacherUnavailability: Joi.object({
+    day_of_week:   Joi.string().valid('Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday').required(),
+    period_number: Joi.number().integer().min(1).max(MAX_PERIODS).required(),
+    reason:        Joi.string().max(200).allow('', null).optional(),
+    is_permanent:  Joi.boolean().default(true),
+    start_date:    Joi.date().iso().raw().when('is_permanent', { is: false, then: Joi.required(), otherwise: Joi.any().strip() }),
+    end_date:      Joi.date().iso().raw().min(Joi.ref('start_date')).when('is_permanent', { is: false, then: Joi.required(), otherwise: Joi.any().strip() })
+  }),
+
+  // Either a clock time or a period number; the date defaults to today
+  classroomAvailabilityQuery: Joi.object({
+    date:          Joi.date().iso().raw().optional(),
+    time:          Joi.string().pattern(TIME_PATTERN).optional(),
+    period:        Joi.number().integer().min(1).max(MAX_PERIODS).optional(),
+    room_type:     Joi.string().valid('Classroom', 'Lab', 'Auditorium', 'Seminar_Hall').optional(),
+    min_capacity:  Joi.number().integer().min(1).optional(),
+    building:      Joi.string().max(50).optional(),
+    has_projector: Joi.boolean().optional(),
+    has_computer:  Joi.boolean().optional(),
+    academic_year: Joi.string().max(20).optional(),
+    semester_type: Joi.string().max(20).optional()
+  }).oxor('time', 'period'),
+
+  roomBooking: Joi.object({
+    room_id:            Joi.string().uuid().required(),
+    title:              Joi.string().min(3).max(150).required(),
+    purpose:            Joi.string().valid('make_up_class', 'club_meeting', 'exam', 'event', 'other').default('other'),
+    description:        Joi.string().max(2000).allow('', null).optional(),
+    booking_date:       Joi.date().iso().raw().required(),
+    start_period:       Joi.number().integer().min(1).max(MAX_PERIODS).required(),
+    end_period:         Joi.number().integer().min(Joi.ref('start_period')).max(MAX_PERIODS).required(),
+    expected_attendees: Joi.number().integer().min(1).optional()
+  }),
+
+  roomBookingReview: Joi.object({
+    note: Joi.string().max(500).allow('').optional()
+  }),
+
+  roomBookingsQuery: Joi.object({
+    status:  Joi.string().valid('pending', 'approved', 'rejected', 'cancelled').optional(),
+    room_id: Joi.string().uuid().optional(),
+    from:    Joi.date().iso().raw().optional(),
+    to:      Joi.date().iso().raw().optional()
+  }),
+
   timetableTeacher: Joi.object({
     teacher_code: Joi.string().min(1).max(20).required(),
     full_name:    Joi.string().min(2).max(100).required(),
     department:   Joi.string().max(100).required(),
     email:        Joi.string().email().required(),
-    phone:        Joi.string().max(20).allow('', null).optional()
+    phone:        Joi.string().max(20).allow('', null).optional(),
+    user_id:      Joi.number().integer().positive().allow(null).optional()
   }),
 
   timetableSubject: Joi.object({
@@ -262,12 +540,52 @@ const validationSchemas = {
 
   generateTimetable: Joi.object({
     groups:              Joi.array().items(Joi.object()).min(1).required(),
-    days:                Joi.array().items(Joi.string()).min(1).required(),
-    periods_per_day:     Joi.number().integer().min(1).required(),
-    lunch_break_period:  Joi.number().integer().min(1).optional(),
+    days:                Joi.array().items(Joi.string()).min(1).optional(),
+    periods_per_day:     Joi.number().integer().min(1).max(MAX_PERIODS).optional(),
+    lunch_break_period:  Joi.number().integer().min(1).allow(null).optional(),
     academic_year:       Joi.string().min(4).max(20).required(),
     semester_type:       Joi.string().min(1).max(20).required(),
-    preferences:         Joi.object().optional()
+    preferences:         Joi.object({
+      optimize:                Joi.boolean().optional(),
+      optimization_iterations: Joi.number().integer().min(0).max(20000).optional(),
+      seed:                    Joi.number().integer().optional(),
+      soft_constraint_weights: Joi.object({
+        teacher_idle_gaps: Joi.number().min(0).optional(),
+        subject_spread:    Joi.number().min(0).optional(),
+        consecutive_labs:  Joi.number().min(0).optional(),
+        room_changes:      Joi.number().min(0).optional()
+      }).optional()
+    }).unknown(true).optional()
+  }),
+
+  // ─── Academic Calendar ─────────────────────────────────────────────────────
+
+  academicTerm: Joi.object({
+    academic_year: Joi.string().min(4).max(20).required(),
+    semester_type: Joi.string().min(1).max(20).required(),
+    start_date:    Joi.date().iso().raw().required(),
+    end_date:      Joi.date().iso().raw().min(Joi.ref('start_date')).required()
+  }),
+
+  // A rescheduled day is a single date whose classes move to rescheduled_to
+  academicCalendarException: Joi.object({
+    exception_type: Joi.string().valid('holiday', 'exam', 'cancelled', 'rescheduled').required(),
+    title:          Joi.string().min(2).max(150).required(),
+    start_date:     Joi.date().iso().raw().required(),
+    end_date:       Joi.date().iso().raw().min(Joi.ref('start_date')).when('exception_type', {
+      is: 'rescheduled', then: Joi.valid(Joi.ref('start_date')).messages({ 'any.only': '"end_date" must equal "start_date" for a rescheduled day' })
+    }).optional(),
+    rescheduled_to: Joi.date().iso().raw().when('exception_type', {
+      is: 'rescheduled', then: Joi.required(), otherwise: Joi.valid(null).optional()
+    })
+  }),
+
+  academicCalendarQuery: Joi.object({
+    academic_year:  Joi.string().max(20).optional(),
+    semester_type:  Joi.string().max(20).optional(),
+    exception_type: Joi.string().valid('holiday', 'exam', 'cancelled', 'rescheduled').optional(),
+    from:           Joi.date().iso().raw().optional(),
+    to:             Joi.date().iso().raw().optional()
   }),
 
   // ─── Notifications ─────────────────────────────────────────────────────────
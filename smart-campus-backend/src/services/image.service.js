@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { ApiError } = require('../middleware/errorHandler');
+
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '..', '..', 'uploads');
+
+// Widths generated for every event image; none is upscaled past the original
+const IMAGE_SIZES = {
+  thumbnail: 320,
+  medium: 800,
+  large: 1600
+};
+
+// image_url keeps pointing at this size so older clients still get a usable image
+const DEFAULT_SIZE = 'large';
+
+const WEBP_QUALITY = 80;
+
+const PROCESSED_NAME = new RegExp(`^(event-[\\w-]+?)-(${Object.keys(IMAGE_SIZES).join('|')})\\.webp$`);
+
+/**
+ * Resize an uploaded image into every IMAGE_SIZES width as WebP. Images are
+ * rotated upright from their EXIF orientation, then all metadata (EXIF,
+ * GPS, camera details) is dropped.
+ *
+ * @param {Buffer} buffer - raw upload
+ * @returns {Promise<string>} Filename of the DEFAULT_SIZE variant
+ */
+const processEventImage = async (buffer) => {
+  const base = `event-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+  await fs.mkdir(UPLOADS_DIR, { recursive: true });
+
+  const written = [];
+  try {
+    for (const [size, width] of Object.entries(IMAGE_SIZES)) {
+      const filename = `${base}-${size}.webp`;
+      await sharp(buffer)
+        .rotate()
+        .resize({ width, withoutEnlargement: true })
+        .webp({ quality: WEBP_QUALITY })
+        .toFile(path.join(UPLOADS_DIR, filename));
+      written.push(filename);
+    }
+  } catch (error) {
+    await Promise.all(written.map(filename => fs.rm(path.join(UPLOADS_DIR, filename), { force: true })));
+    throw new ApiError(400, 'Could not process the uploaded image');
+  }
+
+  return `${base}-${DEFAULT_SIZE}.webp`;
+};
+
+/**
+ * Split an image_url into its URL prefix and processed base name.
+ *
+ * @returns {{ prefix: string, base: string } | null} null for external or
+ *   legacy (unprocessed) images
+ */
+const parseImageUrl = (imageUrl) => {
+  if (!imageUrl) return null;
+  const slash = imageUrl.lastIndexOf('/');
+  const match = PROCESSED_NAME.exec(imageUrl.slice(slash + 1));
+  return match ? { prefix: imageUrl.slice(0, slash + 1), base: match[1] } : null;
+};
+
+/**
+ * Responsive URLs for an event image. Images uploaded before processing
+ * existed only have their original, which is returned for every size.
+ *
+ * @returns {object|null} { thumbnail, medium, large, srcset }
+ */
+const buildImageSet = (imageUrl) => {
+  if (!imageUrl) return null;
+
+  const parsed = parseImageUrl(imageUrl);
+  if (!parsed) {
+    return { thumbnail: imageUrl, medium: imageUrl, large: imageUrl, srcset: null };
+  }
+
+  const set = {};
+  for (const size of Object.keys(IMAGE_SIZES)) {
+    set[size] = `${parsed.prefix}${parsed.base}-${size}.webp`;
+  }
+  set.srcset = Object.entries(IMAGE_SIZES).map(([size, width]) => `${set[size]} ${width}w`).join(', ');
+  return set;
+};
+
+/**
+ * Add `image_set` to an event row for API responses.
+ */
+const withImageSet = (event) => ({ ...event, image_set: buildImageSet(event.image_url) });
+
+/**
+ * Filenames in UPLOADS_DIR that belong to an image_url: every processed
+ * size, or the single legacy file. Other hosts' URLs own nothing here.
+ */
+const filesForImageUrl = (imageUrl) => {
+  if (!imageUrl || !imageUrl.includes('/uploads/')) return [];
+
+  const parsed = parseImageUrl(imageUrl);
+  if (parsed) {
+    return Object.keys(IMAGE_SIZES).map(size => `${parsed.base}-${size}.webp`);
+  }
+
+  const filename = path.basename(imageUrl);
+  return filename.startsWith('event-') ? [filename] : [];
+};
+
+/**
+ * Delete every stored size of an event image. Missing files are ignored.
+ */
+const removeEventImage = async (imageUrl) => {
+  await Promise.all(
+    filesForImageUrl(imageUrl).map(filename => fs.rm(path.join(UPLOADS_DIR, filename), { force: true }))
+  );
+};
+
+/**
+ * Delete event images in UPLOADS_DIR that no image_url refers to. Files
+ * younger than `graceMs` are kept, as their event may still be saving.
+ *
+ * @param {string[]} referencedUrls - image_url values still in use
+ * @param {object} [options]
+ * @param {number} [options.graceMs]
+ * @returns {Promise<string[]>} Deleted filenames
+ */
+const removeOrphanedImages = async (referencedUrls, { graceMs = 60 * 60 * 1000 } = {}) => {
+  let files;
+  try {
+    files = await fs.readdir(UPLOADS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const referenced = new Set(referencedUrls.flatMap(filesForImageUrl));
+  const cutoff = Date.now() - graceMs;
+  const removed = [];
+
+  for (const filename of files) {
+    if (!filename.startsWith('event-') || referenced.has(filename)) continue;
+
+    const filePath = path.join(UPLOADS_DIR, filename);
+    const { mtimeMs } = await fs.stat(filePath);
+    if (mtimeMs > cutoff) continue;
+
+    await fs.rm(filePath, { force: true });
+    removed.push(filename);
+  }
+  return removed;
+};
+
+module.exports = {
+  UPLOADS_DIR,
+  IMAGE_SIZES,
+  processEventImage,
+  buildImageSet,
+  withImageSet,
+  removeEventImage,
+  removeOrphanedImages
+};
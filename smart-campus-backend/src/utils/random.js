@@ -0,0 +1,36 @@
+/**
+ * Small seeded PRNG (mulberry32), for runs that must be reproducible from
+ * their seed
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function(): number} Generator of numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Fisher–Yates shuffle into a new array
+ * @param {Array} items - Items to shuffle (not modified)
+ * @param {function(): number} random - Generator from createRandom
+ * @returns {Array} Shuffled copy
+ */
+const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+module.exports = {
+  createRandom,
+  shuffle
+};
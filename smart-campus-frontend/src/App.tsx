@@ -28,6 +28,9 @@ const Electives = lazy(() => import("./pages/student/Electives"));
 const StudentProfile = lazy(() => import("./pages/student/Profile"));
 const SavedEvents = lazy(() => import("./pages/student/SavedEvents"));
 const StudentClubs = lazy(() => import("./pages/student/Clubs"));
+const FacultyTimetable = lazy(() => import("./pages/faculty/Timetable"));
+const FacultySubjects = lazy(() => import("./pages/faculty/Subjects"));
+const FacultyGroups = lazy(() => import("./pages/faculty/Groups"));
 const AdminDashboard = lazy(() => import("./pages/admin/AdminDashboard"));
 const AdminProfile = lazy(() => import("./pages/admin/Profile"));
 const Users = lazy(() => import("./pages/admin/Users"));
@@ -238,6 +241,32 @@ const App = () => (
                         }
                       />
 
+                      {/* Faculty Routes */}
+                      <Route
+                        path="/faculty/timetable"
+                        element={
+                          <ProtectedRoute>
+                            <FacultyTimetable />
+                          </ProtectedRoute>
+                        }
+                      />
+                      <Route
+                        path="/faculty/subjects"
+                        element={
+                          <ProtectedRoute>
+                            <FacultySubjects />
+                          </ProtectedRoute>
+                        }
+                      />
+                      <Route
+                        path="/faculty/groups"
+                        element={
+                          <ProtectedRoute>
+                            <FacultyGroups />
+                          </ProtectedRoute>
+                        }
+                      />
+
                       {/* Admin Routes */}
                       <Route
                         path="/admin/dashboard"
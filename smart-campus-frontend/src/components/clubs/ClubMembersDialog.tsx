@@ -0,0 +1,182 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Check, Loader, UserMinus, X } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { clubService, ClubMember, ClubRole } from '@/services/clubService';
+
+interface ClubMembersDialogProps {
+  clubId: number;
+  clubName: string;
+  myRole: ClubRole;
+  open: boolean;
+  onClose: () => void;
+  onChange?: () => void | Promise<void>;
+}
+
+const ROLE_OPTIONS: ClubRole[] = ['president', 'coordinator', 'member'];
+
+/**
+ * Join requests and member list for club presidents and coordinators. Only
+ * presidents can change roles or remove other officers.
+ */
+export const ClubMembersDialog = ({ clubId, clubName, myRole, open, onClose, onChange }: ClubMembersDialogProps) => {
+  const [members, setMembers] = useState<ClubMember[]>([]);
+  const [requests, setRequests] = useState<ClubMember[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [busyUserId, setBusyUserId] = useState<number | null>(null);
+
+  const isPresident = myRole === 'president';
+
+  const loadMembers = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const [active, pending] = await Promise.all([
+        clubService.getMembers(clubId, 'active'),
+        clubService.getMembers(clubId, 'pending'),
+      ]);
+      setMembers(active);
+      setRequests(pending);
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to load members');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [clubId]);
+
+  useEffect(() => {
+    if (open) loadMembers();
+  }, [open, loadMembers]);
+
+  const runAction = async (userId: number, action: () => Promise<unknown>, successMessage: string) => {
+    try {
+      setBusyUserId(userId);
+      await action();
+      toast.success(successMessage);
+      await loadMembers();
+      await onChange?.();
+    } catch (error: any) {
+      toast.error(error?.message || 'Action failed');
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const handleRemove = (member: ClubMember) => {
+    if (!confirm(`Remove ${member.full_name} from ${clubName}?`)) return;
+    runAction(member.user_id, () => clubService.removeMember(clubId, member.user_id), 'Member removed');
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="sm:max-w-lg max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{clubName} Members</DialogTitle>
+          <DialogDescription>
+            Review join requests and manage who helps run the club.
+          </DialogDescription>
+        </DialogHeader>
+
+        {isLoading && members.length === 0 ? (
+          <div className="flex items-center gap-2 text-sm text-muted-foreground">
+            <Loader className="h-4 w-4 animate-spin" />
+            Loading members...
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <section className="space-y-2">
+              <h3 className="font-semibold text-sm">Join Requests ({requests.length})</h3>
+              {requests.length === 0 ? (
+                <p className="text-sm text-muted-foreground">No pending requests</p>
+              ) : (
+                requests.map((request) => (
+                  <div key={request.id} className="flex items-center justify-between gap-3 rounded-lg border border-border p-3">
+                    <div className="min-w-0">
+                      <p className="font-medium truncate">{request.full_name}</p>
+                      <p className="text-xs text-muted-foreground truncate">{request.email}</p>
+                    </div>
+                    <div className="flex gap-2">
+                      <Button
+                        size="sm"
+                        disabled={busyUserId === request.user_id}
+                        onClick={() => runAction(request.user_id, () => clubService.approveMember(clubId, request.user_id), 'Request approved')}
+                        aria-label={`Approve ${request.full_name}`}
+                      >
+                        <Check className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        disabled={busyUserId === request.user_id}
+                        onClick={() => runAction(request.user_id, () => clubService.removeMember(clubId, request.user_id), 'Request rejected')}
+                        aria-label={`Reject ${request.full_name}`}
+                      >
+                        <X className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </div>
+                ))
+              )}
+            </section>
+
+            <section className="space-y-2">
+              <h3 className="font-semibold text-sm">Members ({members.length})</h3>
+              {members.map((member) => {
+                const isOfficer = member.role !== 'member';
+                const canRemove = isPresident || !isOfficer;
+
+                return (
+                  <div key={member.id} className="flex items-center justify-between gap-3 rounded-lg border border-border p-3">
+                    <div className="min-w-0">
+                      <p className="font-medium truncate">{member.full_name}</p>
+                      <p className="text-xs text-muted-foreground truncate">{member.email}</p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      {isPresident ? (
+                        <select
+                          value={member.role}
+                          disabled={busyUserId === member.user_id}
+                          onChange={(e) => {
+                            const role = e.target.value as ClubRole;
+                            runAction(member.user_id, () => clubService.setMemberRole(clubId, member.user_id, role), 'Role updated');
+                          }}
+                          className="px-2 py-1 rounded-lg border border-border bg-background text-foreground text-sm capitalize focus:outline-none focus:ring-2 focus:ring-primary"
+                          aria-label={`Role for ${member.full_name}`}
+                        >
+                          {ROLE_OPTIONS.map((role) => (
+                            <option key={role} value={role}>{role}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className="px-2 py-1 rounded text-xs font-semibold bg-primary/20 text-primary capitalize">
+                          {member.role}
+                        </span>
+                      )}
+                      {canRemove && (
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          disabled={busyUserId === member.user_id}
+                          onClick={() => handleRemove(member)}
+                          aria-label={`Remove ${member.full_name}`}
+                        >
+                          <UserMinus className="h-4 w-4" />
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </section>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
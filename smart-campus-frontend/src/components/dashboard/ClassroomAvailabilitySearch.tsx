@@ -1,42 +1,106 @@
 // src/components/dashboard/ClassroomAvailabilitySearch.tsx
 import * as React from "react";
 import { api } from "@/lib/axios";
-import { Calendar, Clock } from "lucide-react";
+import { Calendar } from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { ScrollArea } from "@/components/ui/scroll-area";
 import { DashboardClassroomAvailabilitySkeleton } from "@/components/dashboard/ClassroomAvailabilitySkeleton";
+import { settingsService, type BellPeriod } from "@/services/settingsService";
 
 interface Classroom {
-  id: number;
-  name: string;
+  id: string;
+  room_code: string;
+  room_name: string;
+  room_type: string;
   capacity: number;
-  isAvailable: boolean;
+  building: string | null;
+  has_projector: boolean;
+  has_computer: boolean;
+  is_available: boolean;
+  occupied_by: {
+    slot_id: string;
+    subject_name: string;
+    teacher_name: string;
+    group_name: string;
+  } | null;
+  booked_by: {
+    booking_id: string;
+    title: string;
+    purpose: string;
+  } | null;
 }
 
+interface ClassroomAvailability {
+  date: string;
+  day_of_week: string | null;
+  period_number: number | null;
+  rooms: Classroom[];
+  available_count: number;
+  occupied_count: number;
+}
+
+const toPeriodOption = (period: BellPeriod) => ({
+  value: String(period.number),
+  label: `P${period.number} · ${period.start}`,
+});
+
+const ROOM_TYPES = ["Classroom", "Lab", "Auditorium", "Seminar_Hall"];
+const ALL_ROOM_TYPES = "all";
+
 export function ClassroomAvailabilitySearch() {
   const [date, setDate] = React.useState<string>(new Date().toISOString().split("T")[0]);
-  const [timeSlot, setTimeSlot] = React.useState<string>("10:00");
-  const [classrooms, setClassrooms] = React.useState<Classroom[]>([]);
+  const [period, setPeriod] = React.useState<string>("2");
+  const [roomType, setRoomType] = React.useState<string>(ALL_ROOM_TYPES);
+  const [minCapacity, setMinCapacity] = React.useState<string>("");
+  const [building, setBuilding] = React.useState<string>("");
+  const [needsProjector, setNeedsProjector] = React.useState(false);
+  const [needsComputer, setNeedsComputer] = React.useState(false);
+  const [availability, setAvailability] = React.useState<ClassroomAvailability | null>(null);
   const [loading, setLoading] = React.useState(true);
+  const [failed, setFailed] = React.useState(false);
+  const [periods, setPeriods] = React.useState<{ value: string; label: string }[]>([]);
+
+  React.useEffect(() => {
+    settingsService
+      .getBellSchedule()
+      .then((response) => setPeriods((response.data?.bell_schedule.periods ?? []).map(toPeriodOption)))
+      .catch((error) => console.error("Failed to fetch bell schedule:", error));
+  }, []);
 
   React.useEffect(() => {
     const fetchAvailability = async () => {
+      setLoading(true);
+      setFailed(false);
       try {
-        const response = await api.get<{ classrooms: Classroom[] }>(
-          `/classrooms/availability?date=${date}&time=${timeSlot}`
-        );
-        setClassrooms(response.data.classrooms);
+        const response = await api.get<{ data: ClassroomAvailability }>("/classrooms/availability", {
+          params: {
+            date,
+            period,
+            room_type: roomType === ALL_ROOM_TYPES ? undefined : roomType,
+            min_capacity: Number(minCapacity) > 0 ? Number(minCapacity) : undefined,
+            building: building.trim() || undefined,
+            has_projector: needsProjector || undefined,
+            has_computer: needsComputer || undefined,
+          },
+        });
+        setAvailability(response.data.data);
       } catch (error) {
         console.error("Failed to fetch classroom availability:", error);
+        setAvailability(null);
+        setFailed(true);
       } finally {
         setLoading(false);
       }
     };
 
     fetchAvailability();
-  }, [date, timeSlot]);
+  }, [date, period, roomType, minCapacity, building, needsProjector, needsComputer]);
+
+  const classrooms = availability?.rooms ?? [];
 
   return (
     <Card className="h-full glass border-border/50">
@@ -47,32 +111,87 @@ export function ClassroomAvailabilitySearch() {
         </CardTitle>
       </CardHeader>
       <CardContent>
-        <div className="flex gap-4 mb-4">
+        <div className="flex flex-wrap gap-4 mb-4">
           <Input
             type="date"
             value={date}
             onChange={(e) => setDate(e.target.value)}
             className="w-40"
           />
-          <Select value={timeSlot} onValueChange={setTimeSlot}>
+          <Select value={period} onValueChange={setPeriod}>
             <SelectTrigger className="w-32">
-              <SelectValue placeholder="Time" />
+              <SelectValue placeholder="Period" />
             </SelectTrigger>
             <SelectContent>
-              <SelectItem value="08:00">08:00</SelectItem>
-              <SelectItem value="10:00">10:00</SelectItem>
-              <SelectItem value="12:00">12:00</SelectItem>
-              <SelectItem value="14:00">14:00</SelectItem>
-              <SelectItem value="16:00">16:00</SelectItem>
+              {periods.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
             </SelectContent>
           </Select>
+          <Select value={roomType} onValueChange={setRoomType}>
+            <SelectTrigger className="w-36">
+              <SelectValue placeholder="Room type" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL_ROOM_TYPES}>All types</SelectItem>
+              {ROOM_TYPES.map((type) => (
+                <SelectItem key={type} value={type}>
+                  {type.replace("_", " ")}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Input
+            type="number"
+            min={1}
+            placeholder="Min seats"
+            value={minCapacity}
+            onChange={(e) => setMinCapacity(e.target.value)}
+            className="w-28"
+          />
+          <Input
+            placeholder="Building"
+            value={building}
+            onChange={(e) => setBuilding(e.target.value)}
+            className="w-28"
+          />
+          <div className="flex items-center gap-2">
+            <Checkbox
+              id="availability-projector"
+              checked={needsProjector}
+              onCheckedChange={(checked) => setNeedsProjector(checked === true)}
+            />
+            <Label htmlFor="availability-projector">Projector</Label>
+          </div>
+          <div className="flex items-center gap-2">
+            <Checkbox
+              id="availability-computer"
+              checked={needsComputer}
+              onCheckedChange={(checked) => setNeedsComputer(checked === true)}
+            />
+            <Label htmlFor="availability-computer">Computers</Label>
+          </div>
         </div>
+        {availability && !loading && (
+          <p className="text-sm text-muted-foreground mb-2">
+            {availability.period_number
+              ? `${availability.day_of_week}, period ${availability.period_number}: `
+              : "No classes scheduled: "}
+            {availability.available_count} free, {availability.occupied_count} occupied
+          </p>
+        )}
         <ScrollArea className="h-[300px] pr-4">
           {loading ? (
             <DashboardClassroomAvailabilitySkeleton />
+          ) : failed ? (
+            <p className="text-center text-sm text-destructive py-8">
+              Could not load classroom availability.
+            </p>
           ) : classrooms.length === 0 ? (
             <p className="text-center text-sm text-muted-foreground py-8">
-              No classrooms found for this time.
+              No classrooms match these filters.
             </p>
           ) : (
             <div className="space-y-4">
@@ -82,17 +201,30 @@ export function ClassroomAvailabilitySearch() {
                   className="flex items-center justify-between p-3 rounded-md border border-border/50"
                 >
                   <div>
-                    <p className="font-medium">{classroom.name}</p>
-                    <p className="text-sm text-muted-foreground">Capacity: {classroom.capacity}</p>
+                    <p className="font-medium">
+                      {classroom.room_name} <span className="text-muted-foreground">({classroom.room_code})</span>
+                    </p>
+                    <p className="text-sm text-muted-foreground">
+                      Capacity: {classroom.capacity}
+                      {classroom.building ? ` · Building ${classroom.building}` : ""}
+                    </p>
+                    {classroom.occupied_by && (
+                      <p className="text-xs text-muted-foreground">
+                        {classroom.occupied_by.subject_name} · {classroom.occupied_by.group_name}
+                      </p>
+                    )}
+                    {classroom.booked_by && (
+                      <p className="text-xs text-muted-foreground">Booked: {classroom.booked_by.title}</p>
+                    )}
                   </div>
                   <div className="flex items-center gap-2">
                     <span
                       className={`h-3 w-3 rounded-full ${
-                        classroom.isAvailable ? "bg-green-500" : "bg-red-500"
+                        classroom.is_available ? "bg-green-500" : "bg-red-500"
                       }`}
                     />
                     <span className="text-sm">
-                      {classroom.isAvailable ? "Available" : "Occupied"}
+                      {classroom.is_available ? "Available" : "Occupied"}
                     </span>
                   </div>
                 </div>
@@ -103,4 +235,4 @@ export function ClassroomAvailabilitySearch() {
       </CardContent>
     </Card>
   );
-}
\ No newline at end of file
+}
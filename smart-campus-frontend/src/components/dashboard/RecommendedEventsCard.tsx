@@ -0,0 +1,80 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowRight, Sparkles } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { DashboardEventsSkeleton } from '@/components/dashboard/DashboardSkeletons';
+import { eventsService, RecommendedEvent } from '@/services/eventService';
+
+/**
+ * Dashboard card listing upcoming events picked for the student, each with
+ * the reason it was recommended. Hidden when there is nothing to suggest.
+ */
+export const RecommendedEventsCard = () => {
+  const navigate = useNavigate();
+  const [events, setEvents] = useState<RecommendedEvent[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const loadRecommendations = async () => {
+      try {
+        const response = await eventsService.getRecommended(5);
+        setEvents(response.data?.events || []);
+      } catch (error) {
+        console.error('Error loading recommended events:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadRecommendations();
+  }, []);
+
+  if (isLoading) return <DashboardEventsSkeleton />;
+  if (events.length === 0) return null;
+
+  return (
+    <Card className="glass">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="flex items-center gap-2">
+          <Sparkles className="h-5 w-5 text-accent" />
+          Recommended for You
+        </CardTitle>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => navigate('/events')}
+          className="hover:bg-accent/20"
+        >
+          Browse All <ArrowRight className="ml-2 h-4 w-4" />
+        </Button>
+      </CardHeader>
+      <CardContent>
+        <div className="space-y-4">
+          {events.map((event) => (
+            <div
+              key={event.id}
+              className="flex items-center justify-between gap-4 p-4 rounded-lg bg-accent/10 hover:bg-accent/20 transition-colors cursor-pointer"
+              onClick={() => navigate('/events')}
+            >
+              <div className="flex-1 min-w-0">
+                <h3 className="font-semibold truncate">{event.title}</h3>
+                <p className="text-sm text-muted-foreground truncate">{event.location}</p>
+                <p className="text-xs text-accent mt-1">{event.recommendation.reason}</p>
+              </div>
+              <div className="text-right">
+                <Badge variant="outline" className="mb-1">
+                  {new Date(event.start_time).toLocaleDateString()}
+                </Badge>
+                <p className="text-xs text-muted-foreground">
+                  {new Date(event.start_time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                </p>
+              </div>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
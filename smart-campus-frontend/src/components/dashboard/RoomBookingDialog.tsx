@@ -0,0 +1,234 @@
+import { useEffect, useState } from 'react';
+import { Loader } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { roomService } from '@/services/roomService';
+import type { Room } from '@/services/timetableService';
+import {
+  roomBookingService,
+  ROOM_BOOKING_PURPOSE_LABELS,
+  RoomBooking,
+  RoomBookingConflict,
+  RoomBookingConflictError,
+  RoomBookingPurpose,
+} from '@/services/roomBookingService';
+
+const PERIODS = [1, 2, 3, 4, 5, 6, 7, 8];
+
+const describeConflict = (conflict: RoomBookingConflict) => {
+  const holder = conflict.occupied_by?.[0];
+  if (!holder) return conflict.message;
+  const what = holder.source === 'timetable'
+    ? `${holder.subject_name} (${holder.group_name})`
+    : holder.title;
+  return `Period ${conflict.period}: ${what}`;
+};
+
+interface RoomBookingDialogProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onCreated?: (booking: RoomBooking) => void;
+}
+
+/**
+ * Form for requesting a room. Clashes reported by the backend are listed
+ * inline so the requester can pick another room or period.
+ */
+export const RoomBookingDialog = ({ isOpen, onClose, onCreated }: RoomBookingDialogProps) => {
+  const [rooms, setRooms] = useState<Room[]>([]);
+  const [roomId, setRoomId] = useState('');
+  const [title, setTitle] = useState('');
+  const [purpose, setPurpose] = useState<RoomBookingPurpose>('club_meeting');
+  const [description, setDescription] = useState('');
+  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
+  const [startPeriod, setStartPeriod] = useState('1');
+  const [endPeriod, setEndPeriod] = useState('1');
+  const [attendees, setAttendees] = useState('');
+  const [conflicts, setConflicts] = useState<RoomBookingConflict[]>([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || rooms.length > 0) return;
+    roomService
+      .getAll()
+      .then((items) => setRooms(items as Room[]))
+      .catch(() => toast.error('Failed to load rooms'));
+  }, [isOpen, rooms.length]);
+
+  const handleStartChange = (value: string) => {
+    setStartPeriod(value);
+    if (Number(endPeriod) < Number(value)) setEndPeriod(value);
+  };
+
+  const handleSubmit = async () => {
+    if (!roomId || title.trim().length < 3) {
+      toast.error('Pick a room and enter a title');
+      return;
+    }
+
+    setSubmitting(true);
+    setConflicts([]);
+    try {
+      const { booking, warnings } = await roomBookingService.create({
+        room_id: roomId,
+        title: title.trim(),
+        purpose,
+        description: description.trim() || undefined,
+        booking_date: date,
+        start_period: Number(startPeriod),
+        end_period: Number(endPeriod),
+        expected_attendees: Number(attendees) > 0 ? Number(attendees) : undefined,
+      });
+      toast.success('Booking requested, awaiting approval');
+      warnings.forEach((warning) => toast.warning(warning.message));
+      if (booking) onCreated?.(booking);
+      setTitle('');
+      setDescription('');
+      onClose();
+    } catch (error: unknown) {
+      const { message, data } = error as RoomBookingConflictError;
+      if (data?.conflicts?.length) {
+        setConflicts(data.conflicts);
+      } else {
+        toast.error(message || 'Failed to request booking');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Book a Room</DialogTitle>
+          <DialogDescription>
+            Requests are checked against the timetable and other bookings, then sent to an admin for approval.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid gap-4">
+          <div className="space-y-1">
+            <Label htmlFor="booking-room">Room</Label>
+            <Select value={roomId} onValueChange={setRoomId}>
+              <SelectTrigger id="booking-room">
+                <SelectValue placeholder="Select a room" />
+              </SelectTrigger>
+              <SelectContent>
+                {rooms.map((room) => (
+                  <SelectItem key={room.id} value={room.id}>
+                    {room.room_code} · {room.room_name} ({room.capacity} seats)
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-1">
+              <Label htmlFor="booking-title">Title</Label>
+              <Input id="booking-title" value={title} maxLength={150} onChange={(e) => setTitle(e.target.value)} />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="booking-purpose">Purpose</Label>
+              <Select value={purpose} onValueChange={(value) => setPurpose(value as RoomBookingPurpose)}>
+                <SelectTrigger id="booking-purpose">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(ROOM_BOOKING_PURPOSE_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+          <div className="grid grid-cols-4 gap-4">
+            <div className="space-y-1 col-span-2">
+              <Label htmlFor="booking-date">Date</Label>
+              <Input id="booking-date" type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="booking-start">From</Label>
+              <Select value={startPeriod} onValueChange={handleStartChange}>
+                <SelectTrigger id="booking-start">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {PERIODS.map((period) => (
+                    <SelectItem key={period} value={String(period)}>P{period}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="booking-end">To</Label>
+              <Select value={endPeriod} onValueChange={setEndPeriod}>
+                <SelectTrigger id="booking-end">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {PERIODS.filter((period) => period >= Number(startPeriod)).map((period) => (
+                    <SelectItem key={period} value={String(period)}>P{period}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="booking-attendees">Expected attendees (optional)</Label>
+            <Input
+              id="booking-attendees"
+              type="number"
+              min={1}
+              value={attendees}
+              onChange={(e) => setAttendees(e.target.value)}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="booking-description">Notes (optional)</Label>
+            <Textarea
+              id="booking-description"
+              rows={2}
+              maxLength={2000}
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+            />
+          </div>
+
+          {conflicts.length > 0 && (
+            <div className="rounded-md border border-destructive/50 bg-destructive/10 p-3 text-sm">
+              <p className="font-medium text-destructive">This room is not free:</p>
+              <ul className="mt-1 list-disc pl-5 text-muted-foreground">
+                {conflicts.map((conflict, index) => (
+                  <li key={index}>{describeConflict(conflict)}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} disabled={submitting}>
+            {submitting && <Loader className="mr-2 h-4 w-4 animate-spin" />}
+            Request Booking
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,173 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Check, DoorOpen, Loader, Plus, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { RoomBookingDialog } from '@/components/dashboard/RoomBookingDialog';
+import {
+  roomBookingService,
+  ROOM_BOOKING_PURPOSE_LABELS,
+  RoomBooking,
+  RoomBookingConflictError,
+  RoomBookingStatus,
+} from '@/services/roomBookingService';
+
+const STATUS_VARIANTS: Record<RoomBookingStatus, 'default' | 'secondary' | 'destructive' | 'outline'> = {
+  pending: 'secondary',
+  approved: 'default',
+  rejected: 'destructive',
+  cancelled: 'outline',
+};
+
+const formatPeriods = (booking: RoomBooking) =>
+  booking.start_period === booking.end_period
+    ? `P${booking.start_period}`
+    : `P${booking.start_period}-P${booking.end_period}`;
+
+interface RoomBookingsCardProps {
+  /** 'mine' lists the user's own bookings; 'review' lists pending requests for admins */
+  mode: 'mine' | 'review';
+}
+
+/**
+ * Dashboard card for ad-hoc room bookings.
+ * Requesters see their upcoming bookings and can book or cancel;
+ * admins see pending requests and approve or reject them.
+ */
+export const RoomBookingsCard = ({ mode }: RoomBookingsCardProps) => {
+  const [bookings, setBookings] = useState<RoomBooking[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [actingOn, setActingOn] = useState<string | null>(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+
+  const loadBookings = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const today = new Date().toISOString().split('T')[0];
+      setBookings(
+        await roomBookingService.list(mode === 'review' ? { status: 'pending' } : { from: today })
+      );
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to load room bookings');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [mode]);
+
+  useEffect(() => {
+    loadBookings();
+  }, [loadBookings]);
+
+  const runAction = async (booking: RoomBooking, action: 'approve' | 'reject' | 'cancel') => {
+    try {
+      setActingOn(booking.id);
+      await roomBookingService[action](booking.id);
+      toast.success(
+        action === 'approve' ? 'Booking approved' : action === 'reject' ? 'Booking rejected' : 'Booking cancelled'
+      );
+      await loadBookings();
+    } catch (error: unknown) {
+      const { message, data } = error as RoomBookingConflictError;
+      toast.error(
+        data?.conflicts?.length
+          ? `${message}: ${data.conflicts.map((conflict) => `P${conflict.period}`).join(', ')}`
+          : message || 'Failed to update booking'
+      );
+    } finally {
+      setActingOn(null);
+    }
+  };
+
+  return (
+    <Card className="glass">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="flex items-center gap-2">
+          <DoorOpen className="h-5 w-5 text-primary" />
+          {mode === 'review' ? 'Room Booking Requests' : 'My Room Bookings'}
+        </CardTitle>
+        {mode === 'mine' && (
+          <Button variant="ghost" size="sm" onClick={() => setDialogOpen(true)} className="hover:bg-accent/20">
+            <Plus className="mr-2 h-4 w-4" /> Book a Room
+          </Button>
+        )}
+      </CardHeader>
+      <CardContent>
+        {isLoading && bookings.length === 0 ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader className="h-5 w-5 animate-spin text-primary" />
+          </div>
+        ) : bookings.length === 0 ? (
+          <p className="py-6 text-center text-sm text-muted-foreground">
+            {mode === 'review' ? 'No booking requests waiting for review.' : 'No upcoming room bookings.'}
+          </p>
+        ) : (
+          <div className="space-y-3">
+            {bookings.map((booking) => (
+              <div
+                key={booking.id}
+                className="flex items-center justify-between gap-3 rounded-lg bg-accent/10 p-3"
+              >
+                <div className="min-w-0">
+                  <p className="truncate font-semibold">{booking.title}</p>
+                  <p className="text-sm text-muted-foreground">
+                    {booking.room_code} • {booking.booking_date} • {formatPeriods(booking)} •{' '}
+                    {ROOM_BOOKING_PURPOSE_LABELS[booking.purpose]}
+                  </p>
+                  {mode === 'review' && (
+                    <p className="text-xs text-muted-foreground">
+                      Requested by {booking.booked_by_name}
+                      {booking.expected_attendees ? ` • ${booking.expected_attendees} attendees` : ''}
+                    </p>
+                  )}
+                </div>
+                <div className="flex shrink-0 items-center gap-2">
+                  {mode === 'review' ? (
+                    <>
+                      <Button
+                        size="sm"
+                        disabled={actingOn !== null}
+                        onClick={() => runAction(booking, 'approve')}
+                        aria-label={`Approve ${booking.title}`}
+                      >
+                        {actingOn === booking.id ? <Loader className="h-4 w-4 animate-spin" /> : <Check className="h-4 w-4" />}
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        disabled={actingOn !== null}
+                        onClick={() => runAction(booking, 'reject')}
+                        aria-label={`Reject ${booking.title}`}
+                      >
+                        <X className="h-4 w-4" />
+                      </Button>
+                    </>
+                  ) : (
+                    <>
+                      <Badge variant={STATUS_VARIANTS[booking.status]}>{booking.status}</Badge>
+                      {(booking.status === 'pending' || booking.status === 'approved') && (
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          disabled={actingOn !== null}
+                          onClick={() => runAction(booking, 'cancel')}
+                          aria-label={`Cancel ${booking.title}`}
+                        >
+                          <X className="h-4 w-4" />
+                        </Button>
+                      )}
+                    </>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+
+      {mode === 'mine' && (
+        <RoomBookingDialog isOpen={dialogOpen} onClose={() => setDialogOpen(false)} onCreated={loadBookings} />
+      )}
+    </Card>
+  );
+};
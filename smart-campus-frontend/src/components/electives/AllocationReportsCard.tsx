@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { Download, FileText, Loader } from 'lucide-react';
+import { toast } from 'sonner';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { electiveService, AllocationReport } from '@/services/electiveService';
+import { STRATEGY_LABELS } from '@/components/electives/AllocationStrategyFields';
+
+interface AllocationReportsCardProps {
+  reports: AllocationReport[];
+}
+
+/**
+ * History of committed allocation runs. Each report is saved once, when the
+ * run commits, and can be downloaded as CSV at any time afterwards.
+ */
+export const AllocationReportsCard = ({ reports }: AllocationReportsCardProps) => {
+  const [downloadingId, setDownloadingId] = useState<number | null>(null);
+
+  const handleDownload = async (report: AllocationReport) => {
+    try {
+      setDownloadingId(report.id);
+      const blob = await electiveService.downloadAllocationReport(report.id);
+      if (!blob) {
+        throw new Error('Report download returned no data');
+      }
+      const url = URL.createObjectURL(blob);
+      const anchor = document.createElement('a');
+      anchor.href = url;
+      anchor.download = `allocation-report-${report.id}.csv`;
+      document.body.appendChild(anchor);
+      anchor.click();
+      document.body.removeChild(anchor);
+      URL.revokeObjectURL(url);
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to download allocation report');
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  return (
+    <Card className="glass">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FileText className="h-5 w-5 text-primary" />
+          Allocation Reports
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {reports.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            No allocation has been run yet. Every committed run is saved here.
+          </p>
+        ) : (
+          <div className="divide-y divide-border/50">
+            {reports.map((report) => (
+              <div key={report.id} className="flex items-center justify-between gap-4 py-3">
+                <div className="min-w-0">
+                  <p className="font-medium">
+                    {report.round_name ? `Round ${report.allocation_round}: ${report.round_name}` : 'All students'}
+                  </p>
+                  <p className="text-xs text-muted-foreground">
+                    {new Date(report.created_at).toLocaleString()}
+                    {report.run_by_name && ` · ${report.run_by_name}`}
+                    {` · ${STRATEGY_LABELS[report.strategy] ?? report.strategy}`}
+                    {report.seed !== null && ` · seed ${report.seed}`}
+                    {report.statistics && (
+                      ` · ${report.statistics.allocated_count}/${report.statistics.total_students} allocated`
+                    )}
+                  </p>
+                </div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleDownload(report)}
+                  disabled={downloadingId === report.id}
+                >
+                  {downloadingId === report.id ? (
+                    <Loader className="h-4 w-4 mr-2 animate-spin" />
+                  ) : (
+                    <Download className="h-4 w-4 mr-2" />
+                  )}
+                  CSV
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
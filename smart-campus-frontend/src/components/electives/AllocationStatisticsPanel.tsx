@@ -0,0 +1,87 @@
+import { AllocationStatistics } from '@/services/electiveService';
+
+interface AllocationStatisticsPanelProps {
+  statistics: AllocationStatistics;
+}
+
+const fillColor = (fillRate: number | null) => {
+  if (fillRate === null) return 'bg-muted';
+  if (fillRate >= 100) return 'bg-green-500';
+  if (fillRate >= 50) return 'bg-primary';
+  return 'bg-amber-500';
+};
+
+/**
+ * Preference ranks achieved and per-elective fill rates and CGPA cutoffs for
+ * one allocation run, committed or previewed.
+ */
+export const AllocationStatisticsPanel = ({ statistics }: AllocationStatisticsPanelProps) => {
+  const largestRankCount = Math.max(1, ...statistics.rank_distribution.map((entry) => entry.count));
+
+  return (
+    <div className="grid lg:grid-cols-3 gap-6">
+      <div className="space-y-3">
+        <h4 className="text-sm font-semibold">Preference Rank Achieved</h4>
+        {statistics.rank_distribution.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No student was allocated.</p>
+        ) : (
+          statistics.rank_distribution.map((entry) => (
+            <div key={entry.preference_rank} className="flex items-center gap-3 text-sm">
+              <span className="w-16 text-muted-foreground">Choice {entry.preference_rank}</span>
+              <div className="flex-1 h-2 rounded-full bg-accent/20">
+                <div
+                  className="h-2 rounded-full bg-primary"
+                  style={{ width: `${(entry.count / largestRankCount) * 100}%` }}
+                />
+              </div>
+              <span className="w-8 text-right tabular-nums">{entry.count}</span>
+            </div>
+          ))
+        )}
+        {statistics.waitlisted_count > 0 && (
+          <p className="text-xs text-muted-foreground">
+            {statistics.waitlisted_count} waitlist place{statistics.waitlisted_count === 1 ? '' : 's'} for unallocated students
+          </p>
+        )}
+      </div>
+
+      <div className="lg:col-span-2 overflow-x-auto border border-border/50 rounded-lg">
+        <table className="w-full text-sm">
+          <thead className="bg-accent/10">
+            <tr>
+              <th className="px-4 py-2 text-left">Elective</th>
+              <th className="px-4 py-2 text-center">Allocated</th>
+              <th className="px-4 py-2 text-left">Fill Rate</th>
+              <th className="px-4 py-2 text-center">CGPA Cutoff</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-border/30">
+            {statistics.electives.map((elective) => (
+              <tr key={elective.elective_id}>
+                <td className="px-4 py-2 font-medium">{elective.subject_name}</td>
+                <td className="px-4 py-2 text-center tabular-nums">{elective.allocated}</td>
+                <td className="px-4 py-2">
+                  <div className="flex items-center gap-2">
+                    <div className="w-24 h-2 rounded-full bg-accent/20">
+                      <div
+                        className={`h-2 rounded-full ${fillColor(elective.fill_rate)}`}
+                        style={{ width: `${Math.min(elective.fill_rate ?? 0, 100)}%` }}
+                      />
+                    </div>
+                    <span className="tabular-nums text-muted-foreground">
+                      {elective.fill_rate === null ? '–' : `${elective.fill_rate}%`}
+                      {' '}({elective.capacity - elective.seats_left}/{elective.capacity})
+                    </span>
+                  </div>
+                </td>
+                <td className="px-4 py-2 text-center tabular-nums">
+                  {elective.cgpa_cutoff === null ? '–' : elective.cgpa_cutoff.toFixed(2)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
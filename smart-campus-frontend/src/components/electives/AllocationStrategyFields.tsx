@@ -0,0 +1,202 @@
+import { Plus, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { AllocationSettings, AllocationStrategy } from '@/services/electiveService';
+
+export const STRATEGY_LABELS: Record<AllocationStrategy, string> = {
+  cgpa: 'CGPA priority',
+  cgpa_band_lottery: 'Lottery within CGPA bands',
+  rank_maximal: 'Rank-maximal (most first choices)',
+  reserved_seats: 'Reserved seats per department',
+};
+
+const STRATEGY_DESCRIPTIONS: Record<AllocationStrategy, string> = {
+  cgpa: 'Students choose in CGPA order.',
+  cgpa_band_lottery: 'Higher CGPA bands choose first; within a band the order is drawn by lot.',
+  rank_maximal: 'Gives as many students as possible their first choice, then their second, and so on.',
+  reserved_seats: 'Keeps seats for a department\'s students; seats nobody from it claims are released.',
+};
+
+interface ReservationDraft {
+  electiveId: string;
+  department: string;
+  seats: string;
+}
+
+/** Form state; inputs stay strings until the run is submitted */
+export interface AllocationStrategyDraft {
+  strategy: AllocationStrategy;
+  seed: string;
+  bandWidth: string;
+  reservations: ReservationDraft[];
+}
+
+export const DEFAULT_STRATEGY_DRAFT: AllocationStrategyDraft = {
+  strategy: 'cgpa',
+  seed: '',
+  bandWidth: '0.5',
+  reservations: [],
+};
+
+/** Settings for the API; a blank seed lets the server pick one */
+export const toAllocationSettings = (draft: AllocationStrategyDraft): AllocationSettings => ({
+  strategy: draft.strategy,
+  ...(draft.seed.trim() ? { seed: Number(draft.seed) } : {}),
+  ...(draft.strategy === 'cgpa_band_lottery' ? { band_width: Number(draft.bandWidth) } : {}),
+  ...(draft.strategy === 'reserved_seats'
+    ? {
+        reserved_seats: draft.reservations
+          .filter((reservation) => reservation.electiveId && reservation.department.trim())
+          .map((reservation) => ({
+            elective_id: Number(reservation.electiveId),
+            department: reservation.department.trim(),
+            seats: Number(reservation.seats),
+          })),
+      }
+    : {}),
+});
+
+interface AllocationStrategyFieldsProps {
+  value: AllocationStrategyDraft;
+  onChange: (value: AllocationStrategyDraft) => void;
+  electives: { id: string | number; subject_name: string }[];
+  disabled?: boolean;
+}
+
+/**
+ * Strategy picker for an allocation run, with the options of the chosen
+ * strategy and the tie-break seed.
+ */
+export const AllocationStrategyFields = ({ value, onChange, electives, disabled }: AllocationStrategyFieldsProps) => {
+  const updateReservation = (index: number, changes: Partial<ReservationDraft>) =>
+    onChange({
+      ...value,
+      reservations: value.reservations.map((reservation, i) => (i === index ? { ...reservation, ...changes } : reservation)),
+    });
+
+  return (
+    <div className="space-y-4">
+      <div className="grid md:grid-cols-2 gap-4 max-w-2xl">
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Strategy</label>
+          <Select
+            value={value.strategy}
+            onValueChange={(strategy) => onChange({ ...value, strategy: strategy as AllocationStrategy })}
+            disabled={disabled}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {(Object.keys(STRATEGY_LABELS) as AllocationStrategy[]).map((strategy) => (
+                <SelectItem key={strategy} value={strategy}>
+                  {STRATEGY_LABELS[strategy]}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Tie-break seed</label>
+          <Input
+            type="number"
+            min={0}
+            value={value.seed}
+            onChange={(e) => onChange({ ...value, seed: e.target.value })}
+            placeholder="Random"
+            disabled={disabled}
+          />
+        </div>
+      </div>
+      <p className="text-sm text-muted-foreground">{STRATEGY_DESCRIPTIONS[value.strategy]}</p>
+
+      {value.strategy === 'cgpa_band_lottery' && (
+        <div className="space-y-2 max-w-xs">
+          <label className="text-sm font-medium">Band width (CGPA points)</label>
+          <Input
+            type="number"
+            min={0.1}
+            max={5}
+            step={0.1}
+            value={value.bandWidth}
+            onChange={(e) => onChange({ ...value, bandWidth: e.target.value })}
+            disabled={disabled}
+          />
+        </div>
+      )}
+
+      {value.strategy === 'reserved_seats' && (
+        <div className="space-y-2 max-w-2xl">
+          <label className="text-sm font-medium">Reservations</label>
+          {value.reservations.map((reservation, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <Select
+                value={reservation.electiveId}
+                onValueChange={(electiveId) => updateReservation(index, { electiveId })}
+                disabled={disabled}
+              >
+                <SelectTrigger className="flex-1">
+                  <SelectValue placeholder="Elective" />
+                </SelectTrigger>
+                <SelectContent>
+                  {electives.map((elective) => (
+                    <SelectItem key={elective.id} value={String(elective.id)}>
+                      {elective.subject_name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Input
+                className="flex-1"
+                value={reservation.department}
+                onChange={(e) => updateReservation(index, { department: e.target.value })}
+                placeholder="Department"
+                aria-label="Department"
+                disabled={disabled}
+              />
+              <Input
+                className="w-24"
+                type="number"
+                min={1}
+                value={reservation.seats}
+                onChange={(e) => updateReservation(index, { seats: e.target.value })}
+                aria-label="Reserved seats"
+                disabled={disabled}
+              />
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={() => onChange({ ...value, reservations: value.reservations.filter((_, i) => i !== index) })}
+                disabled={disabled}
+                aria-label="Remove reservation"
+              >
+                <Trash2 className="h-4 w-4 text-destructive" />
+              </Button>
+            </div>
+          ))}
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={() => onChange({
+              ...value,
+              reservations: [...value.reservations, { electiveId: '', department: '', seats: '1' }],
+            })}
+            disabled={disabled}
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Reservation
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
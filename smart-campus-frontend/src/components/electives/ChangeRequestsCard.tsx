@@ -0,0 +1,199 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ArrowLeftRight, Check, Loader, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Switch } from '@/components/ui/switch';
+import { electiveService, ElectiveChangeRequest, ElectiveChangeRules } from '@/services/electiveService';
+import {
+  CHANGE_STATUS_LABELS,
+  CHANGE_STATUS_STYLES,
+  describeChange,
+} from '@/components/electives/ElectiveChangeCard';
+
+const RULE_LABELS: Record<keyof ElectiveChangeRules, string> = {
+  changes_open: 'Students can request changes',
+  drop_requires_approval: 'Drops need approval',
+  move_requires_approval: 'Moves into a free seat need approval',
+  swap_requires_approval: 'Swaps between students need approval',
+};
+
+const RECENT_LIMIT = 10;
+
+interface ChangeRequestsCardProps {
+  /** Called after an approval, since seats and the waitlist may have changed */
+  onChanged: () => void;
+}
+
+/**
+ * Admin view of student drop and swap requests: the rules deciding which
+ * changes need approval, the requests waiting for it, and recent history.
+ * Approving one half of a matched swap approves both.
+ */
+export const ChangeRequestsCard = ({ onChanged }: ChangeRequestsCardProps) => {
+  const [rules, setRules] = useState<ElectiveChangeRules | null>(null);
+  const [requests, setRequests] = useState<ElectiveChangeRequest[]>([]);
+  const [notes, setNotes] = useState<Record<number, string>>({});
+  const [reviewingId, setReviewingId] = useState<number | null>(null);
+  const [isSavingRules, setIsSavingRules] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const [rulesData, requestData] = await Promise.all([
+        electiveService.getChangeRules(),
+        electiveService.getChangeRequests(),
+      ]);
+      setRules(rulesData);
+      setRequests(requestData);
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to load change requests');
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleRuleChange = async (key: keyof ElectiveChangeRules, value: boolean) => {
+    if (!rules) return;
+
+    try {
+      setIsSavingRules(true);
+      setRules(await electiveService.updateChangeRules({ ...rules, [key]: value }));
+      toast.success('Change rules updated');
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to update change rules');
+    } finally {
+      setIsSavingRules(false);
+    }
+  };
+
+  const handleReview = async (request: ElectiveChangeRequest, decision: 'approve' | 'reject') => {
+    try {
+      setReviewingId(request.id);
+      await electiveService.reviewChangeRequest(request.id, decision, notes[request.id]?.trim());
+      toast.success(decision === 'approve' ? 'Change request approved' : 'Change request rejected');
+      await load();
+      if (decision === 'approve') onChanged();
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to review change request');
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  const pending = requests.filter((request) => request.status === 'pending_approval');
+  // Both halves of a matched swap are pending; list the pair once
+  const toReview = pending.filter(
+    (request) => !pending.some((entry) => entry.id === request.matched_request_id)
+      || request.id < (request.matched_request_id as number)
+  );
+  const recent = requests.filter((request) => request.status !== 'pending_approval').slice(0, RECENT_LIMIT);
+
+  return (
+    <Card className="glass">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ArrowLeftRight className="h-5 w-5 text-primary" />
+          Drop &amp; Swap Requests
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {rules && (
+          <div className="grid md:grid-cols-2 gap-3">
+            {(Object.keys(RULE_LABELS) as (keyof ElectiveChangeRules)[]).map((key) => (
+              <label key={key} className="flex items-center justify-between gap-3 text-sm p-3 rounded-lg border border-border/50">
+                <span>{RULE_LABELS[key]}</span>
+                <Switch
+                  checked={rules[key]}
+                  onCheckedChange={(value) => handleRuleChange(key, value)}
+                  disabled={isSavingRules}
+                />
+              </label>
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <h4 className="text-sm font-semibold">Awaiting Approval ({toReview.length})</h4>
+          {toReview.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No requests are waiting for approval.</p>
+          ) : (
+            <div className="divide-y divide-border/50">
+              {toReview.map((request) => {
+                const partner = pending.find((entry) => entry.id === request.matched_request_id);
+                return (
+                  <div key={request.id} className="space-y-2 py-3">
+                    <div className="flex items-center justify-between gap-4">
+                      <div className="min-w-0">
+                        <p className="font-medium">
+                          {request.student_name}: {describeChange(request)}
+                        </p>
+                        {partner && (
+                          <p className="text-xs text-muted-foreground">
+                            Swapping with {partner.student_name}: {describeChange(partner)}
+                          </p>
+                        )}
+                        {request.reason && (
+                          <p className="text-xs text-muted-foreground">Reason: {request.reason}</p>
+                        )}
+                      </div>
+                      <div className="flex gap-2 shrink-0">
+                        <Button
+                          size="sm"
+                          onClick={() => handleReview(request, 'approve')}
+                          disabled={reviewingId === request.id}
+                        >
+                          {reviewingId === request.id ? (
+                            <Loader className="h-4 w-4 mr-2 animate-spin" />
+                          ) : (
+                            <Check className="h-4 w-4 mr-2" />
+                          )}
+                          Approve
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => handleReview(request, 'reject')}
+                          disabled={reviewingId === request.id}
+                        >
+                          <X className="h-4 w-4 mr-2" />
+                          Reject
+                        </Button>
+                      </div>
+                    </div>
+                    <Input
+                      value={notes[request.id] ?? ''}
+                      onChange={(e) => setNotes({ ...notes, [request.id]: e.target.value })}
+                      placeholder="Note to the student (optional)"
+                      aria-label="Review note"
+                      maxLength={500}
+                    />
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        {recent.length > 0 && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-semibold">Recent Requests</h4>
+            {recent.map((request) => (
+              <div key={request.id} className="flex items-center justify-between gap-4 text-sm">
+                <span className="min-w-0 truncate">
+                  {request.student_name}: {describeChange(request)}
+                </span>
+                <Badge variant="outline" className={CHANGE_STATUS_STYLES[request.status]}>
+                  {CHANGE_STATUS_LABELS[request.status]}
+                </Badge>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
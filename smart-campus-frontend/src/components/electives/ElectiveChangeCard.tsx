@@ -0,0 +1,247 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ArrowLeftRight, Loader, LogOut, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  electiveService,
+  ChangeRequestStatus,
+  ChangeRequestType,
+  ElectiveChangeRequest,
+  ElectiveChangeRules,
+  SwapListing,
+} from '@/services/electiveService';
+
+export const CHANGE_STATUS_LABELS: Record<ChangeRequestStatus, string> = {
+  open: 'On the swap market',
+  pending_approval: 'Awaiting approval',
+  completed: 'Completed',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled',
+};
+
+export const CHANGE_STATUS_STYLES: Record<ChangeRequestStatus, string> = {
+  open: 'bg-primary/15 text-primary border-primary/30',
+  pending_approval: 'bg-amber-500/15 text-amber-600 border-amber-500/30',
+  completed: 'bg-green-500/15 text-green-600 border-green-500/30',
+  rejected: 'bg-destructive/15 text-destructive border-destructive/30',
+  cancelled: 'bg-muted text-muted-foreground border-border',
+};
+
+export const describeChange = (request: ElectiveChangeRequest) =>
+  request.request_type === 'drop'
+    ? `Drop ${request.from_elective_name}`
+    : `${request.from_elective_name} → ${request.to_elective_name}`;
+
+interface ElectiveChangeCardProps {
+  /** Elective the student holds now */
+  allocatedElectiveId: string | number;
+  electives: { id: string | number; subject_name: string; eligibility?: { eligible: boolean } }[];
+  /** Called when a change completes, to reload the allocation */
+  onChanged: () => void;
+}
+
+/**
+ * Lets an allocated student drop their elective or ask to swap it. A swap
+ * into a full elective waits on the swap market until a student holding it
+ * asks for the reverse swap.
+ */
+export const ElectiveChangeCard = ({ allocatedElectiveId, electives, onChanged }: ElectiveChangeCardProps) => {
+  const [rules, setRules] = useState<ElectiveChangeRules | null>(null);
+  const [requests, setRequests] = useState<ElectiveChangeRequest[]>([]);
+  const [listings, setListings] = useState<SwapListing[]>([]);
+  const [targetId, setTargetId] = useState('');
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const [rulesData, requestData, listingData] = await Promise.all([
+        electiveService.getChangeRules(),
+        electiveService.getMyChangeRequests(),
+        electiveService.getSwapMarket(),
+      ]);
+      setRules(rulesData);
+      setRequests(requestData);
+      setListings(listingData);
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to load elective changes');
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const active = requests.find((request) => request.status === 'open' || request.status === 'pending_approval');
+  const swapTargets = electives.filter(
+    (elective) => String(elective.id) !== String(allocatedElectiveId) && elective.eligibility?.eligible !== false
+  );
+
+  const submit = async (request_type: ChangeRequestType, toElectiveId?: number) => {
+    try {
+      setIsSubmitting(true);
+      const request = await electiveService.requestChange({
+        request_type,
+        ...(toElectiveId ? { to_elective_id: toElectiveId } : {}),
+        ...(reason.trim() ? { reason: reason.trim() } : {}),
+      });
+
+      if (request.status === 'completed') {
+        toast.success(request_type === 'drop' ? 'Elective dropped' : `You now hold ${request.to_elective_name}`);
+        onChanged();
+      } else if (request.status === 'pending_approval') {
+        toast.success('Request sent for admin approval');
+      } else {
+        toast.success('Swap request listed on the swap market');
+      }
+      setTargetId('');
+      setReason('');
+      await load();
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to submit change request');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const cancel = async (request: ElectiveChangeRequest) => {
+    try {
+      setIsSubmitting(true);
+      await electiveService.cancelChangeRequest(request.id);
+      toast.success('Change request cancelled');
+      await load();
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to cancel change request');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!rules) return null;
+
+  return (
+    <Card className="glass">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ArrowLeftRight className="h-5 w-5 text-primary" />
+          Change Your Elective
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-5">
+        {active ? (
+          <div className="flex items-center justify-between gap-4 p-3 rounded-lg border border-border/50">
+            <div className="min-w-0">
+              <p className="font-medium">{describeChange(active)}</p>
+              <Badge variant="outline" className={`mt-1 ${CHANGE_STATUS_STYLES[active.status]}`}>
+                {CHANGE_STATUS_LABELS[active.status]}
+              </Badge>
+            </div>
+            <Button variant="ghost" size="sm" onClick={() => cancel(active)} disabled={isSubmitting}>
+              <X className="h-4 w-4 mr-2" />
+              Cancel
+            </Button>
+          </div>
+        ) : !rules.changes_open ? (
+          <p className="text-sm text-muted-foreground">Elective changes are closed.</p>
+        ) : (
+          <div className="space-y-3">
+            <div className="flex flex-col md:flex-row gap-2">
+              <Select value={targetId} onValueChange={setTargetId} disabled={isSubmitting}>
+                <SelectTrigger className="md:flex-1">
+                  <SelectValue placeholder="Swap for…" />
+                </SelectTrigger>
+                <SelectContent>
+                  {swapTargets.map((elective) => (
+                    <SelectItem key={elective.id} value={String(elective.id)}>
+                      {elective.subject_name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button onClick={() => submit('swap', Number(targetId))} disabled={!targetId || isSubmitting}>
+                {isSubmitting ? <Loader className="h-4 w-4 mr-2 animate-spin" /> : <ArrowLeftRight className="h-4 w-4 mr-2" />}
+                Request Swap
+              </Button>
+              <Button variant="outline" onClick={() => submit('drop')} disabled={isSubmitting}>
+                <LogOut className="h-4 w-4 mr-2" />
+                Drop
+              </Button>
+            </div>
+            <Input
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Reason (optional)"
+              aria-label="Reason for the change"
+              maxLength={500}
+              disabled={isSubmitting}
+            />
+            <p className="text-xs text-muted-foreground">
+              {rules.drop_requires_approval ? 'Drops need admin approval. ' : ''}
+              {rules.swap_requires_approval ? 'Swaps between students need admin approval. ' : ''}
+              {rules.move_requires_approval ? 'Moving into a free seat needs admin approval.' : ''}
+            </p>
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <h4 className="text-sm font-semibold">Swap Market</h4>
+          {listings.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No other student is looking to swap right now.</p>
+          ) : (
+            <div className="divide-y divide-border/50">
+              {listings.map((listing) => (
+                <div
+                  key={`${listing.from_elective_id}-${listing.to_elective_id}`}
+                  className="flex items-center justify-between gap-4 py-2 text-sm"
+                >
+                  <span>
+                    {listing.open_requests} {listing.open_requests === 1 ? 'student offers' : 'students offer'}{' '}
+                    <span className="font-medium">{listing.from_elective_name}</span> for{' '}
+                    <span className="font-medium">{listing.to_elective_name}</span>
+                  </span>
+                  {listing.wants_your_elective && !active && rules.changes_open && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => submit('swap', listing.from_elective_id)}
+                      disabled={isSubmitting}
+                    >
+                      Swap with them
+                    </Button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {requests.some((request) => request !== active) && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-semibold">Past Requests</h4>
+            {requests.filter((request) => request !== active).map((request) => (
+              <div key={request.id} className="flex items-center justify-between gap-4 text-sm">
+                <span>
+                  {describeChange(request)}
+                  {request.review_note && <span className="text-muted-foreground"> · {request.review_note}</span>}
+                </span>
+                <Badge variant="outline" className={CHANGE_STATUS_STYLES[request.status]}>
+                  {CHANGE_STATUS_LABELS[request.status]}
+                </Badge>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
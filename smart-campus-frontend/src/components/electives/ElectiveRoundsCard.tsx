@@ -0,0 +1,197 @@
+import { useState } from 'react';
+import { CalendarClock, Loader, Lock, Plus, Unlock } from 'lucide-react';
+import { toast } from 'sonner';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { electiveService, ElectiveRound, ElectiveRoundStatus } from '@/services/electiveService';
+
+interface ElectiveRoundsCardProps {
+  rounds: ElectiveRound[];
+  onChanged: () => void;
+}
+
+interface RoundDraft {
+  name: string;
+  opens_at: string;
+  closes_at: string;
+  semesters: string;
+  departments: string;
+}
+
+const EMPTY_DRAFT: RoundDraft = { name: '', opens_at: '', closes_at: '', semesters: '', departments: '' };
+
+const STATUS_STYLES: Record<ElectiveRoundStatus, string> = {
+  open: 'bg-green-500/15 text-green-600 border-green-500/30',
+  closed: 'bg-amber-500/15 text-amber-600 border-amber-500/30',
+  allocated: 'bg-primary/15 text-primary border-primary/30',
+};
+
+/** Comma-separated input as a trimmed list, dropping blanks. */
+const splitList = (value: string) => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+const formatWindow = (round: ElectiveRound) =>
+  `${new Date(round.opens_at).toLocaleString()} – ${new Date(round.closes_at).toLocaleString()}`;
+
+/**
+ * Admin list of elective selection rounds. New rounds open at their start
+ * time; an open round can be closed early and a closed one reopened until it
+ * has been allocated.
+ */
+export const ElectiveRoundsCard = ({ rounds, onChanged }: ElectiveRoundsCardProps) => {
+  const [draft, setDraft] = useState<RoundDraft | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [updatingId, setUpdatingId] = useState<number | null>(null);
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!draft) return;
+
+    try {
+      setIsSaving(true);
+      await electiveService.createRound({
+        name: draft.name,
+        opens_at: new Date(draft.opens_at).toISOString(),
+        closes_at: new Date(draft.closes_at).toISOString(),
+        semesters: splitList(draft.semesters).map(Number),
+        departments: splitList(draft.departments),
+      });
+      toast.success('Selection round created');
+      setDraft(null);
+      onChanged();
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to create selection round');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleStatus = async (round: ElectiveRound) => {
+    try {
+      setUpdatingId(round.id);
+      const status = round.status === 'open' ? 'closed' : 'open';
+      await electiveService.updateRound(round.id, { status });
+      toast.success(status === 'open' ? 'Round reopened' : 'Round closed');
+      onChanged();
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to update selection round');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  return (
+    <Card className="glass">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="flex items-center gap-2">
+          <CalendarClock className="h-5 w-5 text-primary" />
+          Selection Rounds
+        </CardTitle>
+        {!draft && (
+          <Button variant="outline" size="sm" onClick={() => setDraft(EMPTY_DRAFT)}>
+            <Plus className="h-4 w-4 mr-2" />
+            New Round
+          </Button>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {draft && (
+          <form onSubmit={handleCreate} className="space-y-3 p-4 rounded-lg border border-border/50">
+            <Input
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              placeholder="Round name, e.g. Semester 5 – Round 1"
+              aria-label="Round name"
+              required
+            />
+            <div className="grid md:grid-cols-2 gap-3">
+              <label className="space-y-1 text-sm">
+                <span className="text-muted-foreground">Opens</span>
+                <Input
+                  type="datetime-local"
+                  value={draft.opens_at}
+                  onChange={(e) => setDraft({ ...draft, opens_at: e.target.value })}
+                  required
+                />
+              </label>
+              <label className="space-y-1 text-sm">
+                <span className="text-muted-foreground">Closes</span>
+                <Input
+                  type="datetime-local"
+                  value={draft.closes_at}
+                  onChange={(e) => setDraft({ ...draft, closes_at: e.target.value })}
+                  required
+                />
+              </label>
+            </div>
+            <div className="grid md:grid-cols-2 gap-3">
+              <Input
+                value={draft.semesters}
+                onChange={(e) => setDraft({ ...draft, semesters: e.target.value })}
+                placeholder="Semesters, e.g. 5, 6 (blank = all)"
+                aria-label="Eligible semesters"
+              />
+              <Input
+                value={draft.departments}
+                onChange={(e) => setDraft({ ...draft, departments: e.target.value })}
+                placeholder="Departments (blank = all)"
+                aria-label="Eligible departments"
+              />
+            </div>
+            <div className="flex justify-end gap-2">
+              <Button type="button" variant="outline" size="sm" onClick={() => setDraft(null)} disabled={isSaving}>
+                Cancel
+              </Button>
+              <Button type="submit" size="sm" disabled={isSaving}>
+                {isSaving && <Loader className="h-4 w-4 mr-2 animate-spin" />}
+                Create Round
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {rounds.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            No selection rounds yet. Students can only submit choices while a round is open.
+          </p>
+        ) : (
+          <div className="divide-y divide-border/50">
+            {rounds.map((round) => (
+              <div key={round.id} className="flex items-center justify-between gap-4 py-3">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium">#{round.round_number} {round.name}</span>
+                    <Badge variant="outline" className={`capitalize ${STATUS_STYLES[round.status]}`}>
+                      {round.status}
+                    </Badge>
+                  </div>
+                  <p className="text-xs text-muted-foreground mt-1">{formatWindow(round)}</p>
+                  <p className="text-xs text-muted-foreground">
+                    Semesters: {round.semesters.length > 0 ? round.semesters.join(', ') : 'All'}
+                    {' · '}
+                    Departments: {round.departments.length > 0 ? round.departments.join(', ') : 'All'}
+                  </p>
+                </div>
+                {round.status !== 'allocated' && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleToggleStatus(round)}
+                    disabled={updatingId === round.id}
+                  >
+                    {round.status === 'open' ? (
+                      <><Lock className="h-4 w-4 mr-2" />Close</>
+                    ) : (
+                      <><Unlock className="h-4 w-4 mr-2" />Reopen</>
+                    )}
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
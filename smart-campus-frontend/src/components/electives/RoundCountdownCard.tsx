@@ -0,0 +1,87 @@
+import { useEffect, useState } from 'react';
+import { CalendarClock, Lock } from 'lucide-react';
+import { Card, CardContent } from '@/components/ui/card';
+import { ElectiveRound } from '@/services/electiveService';
+
+interface RoundCountdownCardProps {
+  round: ElectiveRound | null;
+  /** Server time minus device time, so a wrong device clock does not matter */
+  clockOffsetMs: number;
+  /** Called once the round opens or closes, to fetch its new state */
+  onElapsed: () => void;
+}
+
+const formatRemaining = (ms: number) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m ${seconds}s`;
+  return `${minutes}m ${seconds}s`;
+};
+
+/**
+ * Counts down to the close of the student's open selection round, or to the
+ * opening of their next one. Shows a closed notice when neither exists.
+ */
+export const RoundCountdownCard = ({ round, clockOffsetMs, onElapsed }: RoundCountdownCardProps) => {
+  const [now, setNow] = useState(() => Date.now() + clockOffsetMs);
+
+  const target = round ? new Date(round.is_open ? round.closes_at : round.opens_at).getTime() : null;
+  const remaining = target === null ? 0 : target - now;
+  const elapsed = target !== null && remaining <= 0;
+
+  useEffect(() => {
+    if (target === null) return;
+
+    const tick = window.setInterval(() => setNow(Date.now() + clockOffsetMs), 1000);
+    return () => window.clearInterval(tick);
+  }, [target, clockOffsetMs]);
+
+  useEffect(() => {
+    if (elapsed) onElapsed();
+  }, [elapsed, onElapsed]);
+
+  if (!round) {
+    return (
+      <Card className="glass border-border/50">
+        <CardContent className="pt-6">
+          <div className="flex items-center gap-3 text-muted-foreground">
+            <Lock className="h-6 w-6" />
+            <div>
+              <h3 className="font-semibold">Elective selection is closed</h3>
+              <p className="text-sm">There is no selection round open for your semester right now.</p>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className={`glass ${round.is_open ? 'border-primary/30 bg-primary/5' : 'border-amber-500/30 bg-amber-500/5'}`}>
+      <CardContent className="pt-6">
+        <div className="flex items-center justify-between gap-4 flex-wrap">
+          <div className="flex items-center gap-3">
+            <CalendarClock className={`h-6 w-6 ${round.is_open ? 'text-primary' : 'text-amber-500'}`} />
+            <div>
+              <h3 className="font-semibold">{round.name}</h3>
+              <p className="text-sm text-muted-foreground">
+                {round.is_open ? 'Closes' : 'Opens'} {new Date(target as number).toLocaleString()}
+              </p>
+            </div>
+          </div>
+          <div className="text-right">
+            <p className="text-xs uppercase tracking-wider text-muted-foreground">
+              {round.is_open ? 'Time left to submit' : 'Opens in'}
+            </p>
+            <p className="text-2xl font-bold tabular-nums">{formatRemaining(remaining)}</p>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
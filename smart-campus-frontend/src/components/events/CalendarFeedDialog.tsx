@@ -0,0 +1,113 @@
+import { useEffect, useState } from 'react';
+import { CalendarPlus, Copy, Loader, RefreshCw } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { eventsService, CalendarFeed } from '@/services/eventService';
+
+interface CalendarFeedDialogProps {
+  open: boolean;
+  onClose: () => void;
+}
+
+/**
+ * Personal subscription URL for saved and RSVP'd events. Anyone with the URL
+ * can read the feed, so it can be replaced if it leaks.
+ */
+export const CalendarFeedDialog = ({ open, onClose }: CalendarFeedDialogProps) => {
+  const [feed, setFeed] = useState<CalendarFeed | null>(null);
+  const [isResetting, setIsResetting] = useState(false);
+
+  useEffect(() => {
+    if (!open || feed) return;
+
+    const loadFeed = async () => {
+      try {
+        const response = await eventsService.getCalendarFeed();
+        setFeed(response.data ?? null);
+      } catch (error: any) {
+        toast.error(error?.message || 'Failed to load calendar feed');
+      }
+    };
+
+    loadFeed();
+  }, [open, feed]);
+
+  const handleCopy = async () => {
+    if (!feed) return;
+    try {
+      await navigator.clipboard.writeText(feed.feed_url);
+      toast.success('Feed URL copied');
+    } catch {
+      toast.error('Unable to copy feed URL');
+    }
+  };
+
+  const handleReset = async () => {
+    if (!confirm('Calendars subscribed with the current URL will stop updating. Continue?')) {
+      return;
+    }
+
+    try {
+      setIsResetting(true);
+      const response = await eventsService.resetCalendarFeed();
+      setFeed(response.data ?? null);
+      toast.success('Feed URL replaced');
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to reset calendar feed');
+    } finally {
+      setIsResetting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Subscribe to Your Events</DialogTitle>
+          <DialogDescription>
+            Add this URL to Google Calendar, Outlook or Apple Calendar to keep your saved and RSVP'd events in sync.
+          </DialogDescription>
+        </DialogHeader>
+
+        {!feed ? (
+          <div className="flex items-center gap-2 text-sm text-muted-foreground">
+            <Loader className="h-4 w-4 animate-spin" />
+            Loading feed URL...
+          </div>
+        ) : (
+          <div className="space-y-3">
+            <div className="flex gap-2">
+              <Input readOnly value={feed.feed_url} aria-label="Calendar feed URL" onFocus={(e) => e.target.select()} />
+              <Button variant="outline" onClick={handleCopy} aria-label="Copy feed URL">
+                <Copy className="h-4 w-4" />
+              </Button>
+            </div>
+            <p className="text-xs text-muted-foreground">
+              Keep this URL private: anyone who has it can see these events.
+            </p>
+            <div className="flex justify-between gap-2">
+              <Button variant="ghost" size="sm" onClick={handleReset} disabled={isResetting}>
+                {isResetting ? <Loader className="h-4 w-4 mr-2 animate-spin" /> : <RefreshCw className="h-4 w-4 mr-2" />}
+                Reset URL
+              </Button>
+              <Button size="sm" asChild>
+                <a href={feed.webcal_url}>
+                  <CalendarPlus className="h-4 w-4 mr-2" />
+                  Open in Calendar App
+                </a>
+              </Button>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,82 @@
+import { useEffect, useState } from 'react';
+import { CheckCircle, Loader } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { eventsService, CheckInPass } from '@/services/eventService';
+import { formatOccurrenceStart } from '@/lib/recurrence';
+
+interface CheckInPassDialogProps {
+  event: { id: string | number; title: string } | null;
+  onClose: () => void;
+}
+
+/**
+ * Shows the signed QR code an organiser scans at the door. The raw code is
+ * printed underneath for manual entry when scanning fails. Recurring events
+ * get a pass for the next occurrence only.
+ */
+export const CheckInPassDialog = ({ event, onClose }: CheckInPassDialogProps) => {
+  const [pass, setPass] = useState<CheckInPass | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!event) return;
+
+    const loadPass = async () => {
+      try {
+        const response = await eventsService.getCheckInPass(event.id);
+        setPass(response.data ?? null);
+      } catch (error: any) {
+        const errorMsg = error?.message || 'Failed to load check-in pass';
+        setError(errorMsg);
+        toast.error(errorMsg);
+      }
+    };
+
+    setPass(null);
+    setError(null);
+    loadPass();
+  }, [event]);
+
+  return (
+    <Dialog open={event !== null} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-sm">
+        <DialogHeader>
+          <DialogTitle>Check-in Pass</DialogTitle>
+          <DialogDescription>
+            {event?.title}
+            {pass?.occurrence && ` · ${formatOccurrenceStart(pass.occurrence.start_time)}`}
+          </DialogDescription>
+        </DialogHeader>
+
+        {error ? (
+          <p className="text-sm text-destructive">{error}</p>
+        ) : !pass ? (
+          <div className="flex items-center gap-2 text-sm text-muted-foreground">
+            <Loader className="h-4 w-4 animate-spin" />
+            Loading pass...
+          </div>
+        ) : (
+          <div className="flex flex-col items-center gap-3">
+            <img src={pass.qr_code} alt={`Check-in QR code for ${event?.title}`} className="w-60 h-60 rounded-lg bg-white p-2" />
+            <code className="text-xs text-muted-foreground break-all text-center">{pass.token}</code>
+            {pass.checked_in_at ? (
+              <p className="flex items-center gap-1 text-sm font-medium text-green-500">
+                <CheckCircle className="h-4 w-4" />
+                Checked in at {new Date(pass.checked_in_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </p>
+            ) : (
+              <p className="text-sm text-muted-foreground text-center">Show this code to the organiser at the entrance.</p>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
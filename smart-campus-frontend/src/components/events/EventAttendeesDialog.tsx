@@ -0,0 +1,196 @@
+import { useCallback, useEffect, useState } from 'react';
+import { CheckCircle, Loader, ScanLine } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { eventsService, EventAttendance, EventAttendee, EventRsvpList } from '@/services/eventService';
+import { formatOccurrenceStart } from '@/lib/recurrence';
+
+interface EventAttendeesDialogProps {
+  eventId: string | number | null;
+  onClose: () => void;
+}
+
+const AttendeeList = ({ attendees, emptyText }: { attendees: EventAttendee[]; emptyText: string }) =>
+  attendees.length === 0 ? (
+    <p className="text-sm text-muted-foreground">{emptyText}</p>
+  ) : (
+    <ol className="divide-y divide-border text-sm">
+      {attendees.map((attendee, index) => (
+        <li key={attendee.id} className="flex items-center justify-between gap-3 py-2">
+          <span>
+            <span className="text-muted-foreground mr-2">{index + 1}.</span>
+            <span className="font-medium">{attendee.full_name}</span>
+            <span className="text-muted-foreground"> · {attendee.email}</span>
+          </span>
+          <span className="text-xs text-muted-foreground whitespace-nowrap">
+            {attendee.checked_in_at ? (
+              <span className="flex items-center gap-1 text-green-500">
+                <CheckCircle className="h-3 w-3" /> Checked in
+              </span>
+            ) : attendee.promoted_at
+              ? `Promoted ${new Date(attendee.promoted_at).toLocaleDateString()}`
+              : new Date(attendee.created_at).toLocaleDateString()}
+          </span>
+        </li>
+      ))}
+    </ol>
+  );
+
+const formatRate = (rate: number | null) => (rate === null ? '–' : `${rate}%`);
+
+const selectClassName =
+  'w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary';
+
+/**
+ * Organiser view of who holds a seat and who is queued, in sign-up order,
+ * with door check-in from attendees' QR codes and the attendance tally.
+ * Recurring events are tallied one occurrence at a time.
+ */
+export const EventAttendeesDialog = ({ eventId, onClose }: EventAttendeesDialogProps) => {
+  const [rsvps, setRsvps] = useState<EventRsvpList | null>(null);
+  const [attendance, setAttendance] = useState<EventAttendance | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [checkInCode, setCheckInCode] = useState('');
+  const [isCheckingIn, setIsCheckingIn] = useState(false);
+  // Occurrence of a series being reported; undefined lets the server pick the latest
+  const [occurrenceStart, setOccurrenceStart] = useState<string | undefined>(undefined);
+
+  const loadAttendees = useCallback(async () => {
+    if (eventId === null) return;
+
+    try {
+      setIsLoading(true);
+      const [rsvpsResponse, attendanceResponse] = await Promise.all([
+        eventsService.getAttendees(eventId),
+        eventsService.getAttendance(eventId, occurrenceStart),
+      ]);
+      setRsvps(rsvpsResponse.data ?? null);
+      setAttendance(attendanceResponse.data ?? null);
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to load attendees');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [eventId, occurrenceStart]);
+
+  useEffect(() => {
+    setOccurrenceStart(undefined);
+  }, [eventId]);
+
+  useEffect(() => {
+    setRsvps(null);
+    setAttendance(null);
+    setCheckInCode('');
+    loadAttendees();
+  }, [loadAttendees]);
+
+  const handleCheckIn = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (eventId === null || !checkInCode.trim()) return;
+
+    try {
+      setIsCheckingIn(true);
+      const response = await eventsService.checkIn(eventId, checkInCode.trim());
+      toast.success(response.message || 'Checked in');
+      setCheckInCode('');
+      await loadAttendees();
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to check in attendee');
+    } finally {
+      setIsCheckingIn(false);
+    }
+  };
+
+  const capacity = rsvps?.event.max_capacity;
+  const summary = attendance?.summary;
+
+  return (
+    <Dialog open={eventId !== null} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-lg max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{rsvps?.event.title ?? 'Attendees'}</DialogTitle>
+          <DialogDescription>
+            {rsvps
+              ? `${rsvps.counts.confirmed} / ${capacity ?? '∞'} seats confirmed · ${rsvps.counts.waitlisted} waitlisted`
+              : 'Loading RSVPs...'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleCheckIn} className="flex gap-2">
+          <Input
+            autoFocus
+            value={checkInCode}
+            onChange={(e) => setCheckInCode(e.target.value)}
+            placeholder="Scan or paste a check-in code"
+            aria-label="Check-in code"
+          />
+          <Button type="submit" disabled={isCheckingIn || !checkInCode.trim()}>
+            {isCheckingIn ? <Loader className="h-4 w-4 animate-spin" /> : <ScanLine className="h-4 w-4 mr-2" />}
+            Check In
+          </Button>
+        </form>
+
+        {isLoading && !rsvps ? (
+          <div className="flex items-center gap-2 text-sm text-muted-foreground">
+            <Loader className="h-4 w-4 animate-spin" />
+            Loading attendees...
+          </div>
+        ) : rsvps && (
+          <div className="space-y-6">
+            {attendance?.occurrence && attendance.occurrences && (
+              <div className="space-y-2">
+                <label className="text-sm font-medium" htmlFor="attendance-occurrence">Occurrence</label>
+                <select
+                  id="attendance-occurrence"
+                  value={attendance.occurrence.occurrence_start}
+                  onChange={(e) => setOccurrenceStart(e.target.value)}
+                  className={selectClassName}
+                >
+                  {attendance.occurrences.map((occurrence) => (
+                    <option key={occurrence.occurrence_start} value={occurrence.occurrence_start}>
+                      {formatOccurrenceStart(occurrence.start_time)} · {occurrence.checked_in} checked in
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {summary && (
+              <div className="grid grid-cols-3 gap-3 text-center text-sm">
+                <div className="rounded-lg bg-accent/10 p-2">
+                  <div className="text-lg font-semibold">{summary.checked_in} / {summary.confirmed}</div>
+                  <div className="text-muted-foreground">Checked in</div>
+                </div>
+                <div className="rounded-lg bg-accent/10 p-2">
+                  <div className="text-lg font-semibold">{formatRate(summary.attendance_rate)}</div>
+                  <div className="text-muted-foreground">Attendance</div>
+                </div>
+                <div className="rounded-lg bg-accent/10 p-2">
+                  <div className="text-lg font-semibold">{formatRate(summary.no_show_rate)}</div>
+                  <div className="text-muted-foreground">
+                    {summary.has_started ? `No-shows (${summary.no_shows})` : 'No-shows (after start)'}
+                  </div>
+                </div>
+              </div>
+            )}
+            <section className="space-y-2">
+              <h3 className="font-semibold">Confirmed</h3>
+              <AttendeeList attendees={rsvps.confirmed} emptyText="No confirmed attendees yet." />
+            </section>
+            <section className="space-y-2">
+              <h3 className="font-semibold">Waitlist</h3>
+              <AttendeeList attendees={rsvps.waitlisted} emptyText="Nobody is on the waitlist." />
+            </section>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
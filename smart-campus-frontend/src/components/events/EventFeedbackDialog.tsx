@@ -0,0 +1,147 @@
+import { useEffect, useState } from 'react';
+import { Loader, Star } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { eventsService, MyEventFeedback } from '@/services/eventService';
+
+interface EventFeedbackDialogProps {
+  event: { id: string | number; title: string } | null;
+  onClose: () => void;
+}
+
+export const StarRating = ({
+  value,
+  onChange,
+  size = 'h-6 w-6',
+}: {
+  value: number;
+  onChange?: (rating: number) => void;
+  size?: string;
+}) => (
+  <div className="flex gap-1">
+    {[1, 2, 3, 4, 5].map((rating) => (
+      <button
+        key={rating}
+        type="button"
+        disabled={!onChange}
+        onClick={() => onChange?.(rating)}
+        aria-label={`${rating} star${rating === 1 ? '' : 's'}`}
+        className="disabled:cursor-default"
+      >
+        <Star className={`${size} ${rating <= value ? 'text-yellow-500 fill-yellow-500' : 'text-muted-foreground'}`} />
+      </button>
+    ))}
+  </div>
+);
+
+/**
+ * Lets an attendee rate an event after it ends. Feedback can be changed
+ * until the window closes.
+ */
+export const EventFeedbackDialog = ({ event, onClose }: EventFeedbackDialogProps) => {
+  const [state, setState] = useState<MyEventFeedback | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [rating, setRating] = useState(0);
+  const [comment, setComment] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!event) return;
+
+    const loadFeedback = async () => {
+      try {
+        const response = await eventsService.getMyFeedback(event.id);
+        const data = response.data ?? null;
+        setState(data);
+        setRating(data?.feedback?.rating ?? 0);
+        setComment(data?.feedback?.comment ?? '');
+      } catch (error: any) {
+        const errorMsg = error?.message || 'Failed to load feedback';
+        setError(errorMsg);
+        toast.error(errorMsg);
+      }
+    };
+
+    setState(null);
+    setError(null);
+    loadFeedback();
+  }, [event]);
+
+  const handleSubmit = async () => {
+    if (!event || rating === 0) return;
+
+    try {
+      setIsSubmitting(true);
+      await eventsService.submitFeedback(event.id, rating, comment.trim());
+      toast.success('Thanks for your feedback');
+      onClose();
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to submit feedback');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const closedReason = state && !state.can_submit
+    ? !state.window.closes_at
+      ? 'Feedback opens once the event has ended.'
+      : !state.window.is_open
+        ? `Feedback closed on ${new Date(state.window.closes_at).toLocaleDateString()}.`
+        : 'Only attendees can leave feedback on this event.'
+    : null;
+
+  return (
+    <Dialog open={event !== null} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Rate this Event</DialogTitle>
+          <DialogDescription>{event?.title}</DialogDescription>
+        </DialogHeader>
+
+        {error ? (
+          <p className="text-sm text-destructive">{error}</p>
+        ) : !state ? (
+          <div className="flex items-center gap-2 text-sm text-muted-foreground">
+            <Loader className="h-4 w-4 animate-spin" />
+            Loading...
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <StarRating value={rating} onChange={state.can_submit ? setRating : undefined} />
+            <Textarea
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              placeholder="What went well, and what could be better? (optional)"
+              maxLength={2000}
+              rows={4}
+              disabled={!state.can_submit}
+            />
+            {closedReason ? (
+              <p className="text-sm text-muted-foreground">{closedReason}</p>
+            ) : (
+              <>
+                {state.window.closes_at && (
+                  <p className="text-xs text-muted-foreground">
+                    You can change your feedback until {new Date(state.window.closes_at).toLocaleDateString()}.
+                  </p>
+                )}
+                <Button onClick={handleSubmit} disabled={rating === 0 || isSubmitting} className="w-full">
+                  {isSubmitting ? <Loader className="h-4 w-4 mr-2 animate-spin" /> : null}
+                  {state.feedback ? 'Update Feedback' : 'Submit Feedback'}
+                </Button>
+              </>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
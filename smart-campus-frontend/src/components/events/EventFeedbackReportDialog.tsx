@@ -0,0 +1,107 @@
+import { useEffect, useState } from 'react';
+import { Loader } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { eventsService, EventFeedbackReport } from '@/services/eventService';
+import { StarRating } from './EventFeedbackDialog';
+
+interface EventFeedbackReportDialogProps {
+  eventId: string | number | null;
+  onClose: () => void;
+}
+
+/**
+ * Organiser view of an event's ratings: the average, how ratings are
+ * spread, and attendees' comments newest first.
+ */
+export const EventFeedbackReportDialog = ({ eventId, onClose }: EventFeedbackReportDialogProps) => {
+  const [report, setReport] = useState<EventFeedbackReport | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (eventId === null) return;
+
+    const loadReport = async () => {
+      try {
+        const response = await eventsService.getFeedback(eventId);
+        setReport(response.data ?? null);
+      } catch (error: any) {
+        const errorMsg = error?.message || 'Failed to load event feedback';
+        setError(errorMsg);
+        toast.error(errorMsg);
+      }
+    };
+
+    setReport(null);
+    setError(null);
+    loadReport();
+  }, [eventId]);
+
+  return (
+    <Dialog open={eventId !== null} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-lg max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Event Feedback</DialogTitle>
+          <DialogDescription>{report?.event.title}</DialogDescription>
+        </DialogHeader>
+
+        {error ? (
+          <p className="text-sm text-destructive">{error}</p>
+        ) : !report ? (
+          <div className="flex items-center gap-2 text-sm text-muted-foreground">
+            <Loader className="h-4 w-4 animate-spin" />
+            Loading feedback...
+          </div>
+        ) : report.summary.count === 0 ? (
+          <p className="text-sm text-muted-foreground">No feedback yet.</p>
+        ) : (
+          <div className="space-y-6">
+            <div className="flex items-center gap-4">
+              <span className="text-3xl font-bold">{report.summary.average_rating?.toFixed(1)}</span>
+              <div>
+                <StarRating value={Math.round(report.summary.average_rating ?? 0)} size="h-4 w-4" />
+                <p className="text-xs text-muted-foreground">{report.summary.count} ratings</p>
+              </div>
+            </div>
+
+            <div className="space-y-1">
+              {([5, 4, 3, 2, 1] as const).map((rating) => {
+                const count = report.summary.distribution[rating];
+                return (
+                  <div key={rating} className="flex items-center gap-2 text-xs">
+                    <span className="w-3">{rating}</span>
+                    <div className="flex-1 h-2 rounded bg-muted overflow-hidden">
+                      <div
+                        className="h-full bg-yellow-500"
+                        style={{ width: `${(count / report.summary.count) * 100}%` }}
+                      />
+                    </div>
+                    <span className="w-6 text-right text-muted-foreground">{count}</span>
+                  </div>
+                );
+              })}
+            </div>
+
+            <ul className="divide-y divide-border text-sm">
+              {report.feedback.filter((entry) => entry.comment).map((entry) => (
+                <li key={entry.id} className="py-3 space-y-1">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="font-medium">{entry.full_name}</span>
+                    <StarRating value={entry.rating} size="h-3 w-3" />
+                  </div>
+                  <p className="text-muted-foreground">{entry.comment}</p>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
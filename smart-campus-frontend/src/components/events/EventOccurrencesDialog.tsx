@@ -0,0 +1,204 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Ban, Edit, Loader } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { eventsService, Event, EventOccurrenceList } from '@/services/eventService';
+import { describeRecurrence, formatOccurrenceStart } from '@/lib/recurrence';
+
+interface EventOccurrencesDialogProps {
+  event: { id: string | number; title: string } | null;
+  onClose: () => void;
+}
+
+interface OccurrenceEdit {
+  occurrence_start: string;
+  title: string;
+  location: string;
+  start_time: string;
+  end_time: string;
+}
+
+/** ISO timestamp as a local datetime-local input value. */
+const toInputValue = (iso: string) => {
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const formatWhen = (occurrence: Event) => formatOccurrenceStart(occurrence.start_time);
+
+/**
+ * Upcoming occurrences of a recurring event. Each one can be moved, renamed
+ * or relocated on its own, or cancelled without touching the rest of the
+ * series; whole-series changes go through the normal event form.
+ */
+export const EventOccurrencesDialog = ({ event, onClose }: EventOccurrencesDialogProps) => {
+  const [list, setList] = useState<EventOccurrenceList | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [editing, setEditing] = useState<OccurrenceEdit | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadOccurrences = useCallback(async () => {
+    if (!event) return;
+
+    try {
+      setIsLoading(true);
+      const response = await eventsService.getOccurrences(event.id);
+      setList(response.data ?? null);
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to load occurrences');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [event]);
+
+  useEffect(() => {
+    setList(null);
+    setEditing(null);
+    loadOccurrences();
+  }, [loadOccurrences]);
+
+  const handleEdit = (occurrence: Event) =>
+    setEditing({
+      occurrence_start: occurrence.occurrence_start ?? occurrence.start_time,
+      title: occurrence.title,
+      location: occurrence.location,
+      start_time: toInputValue(occurrence.start_time),
+      end_time: toInputValue(occurrence.end_time),
+    });
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!event || !editing) return;
+
+    try {
+      setIsSaving(true);
+      await eventsService.updateOccurrence(event.id, editing);
+      toast.success('Occurrence updated');
+      setEditing(null);
+      await loadOccurrences();
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to update occurrence');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCancel = async (occurrence: Event) => {
+    if (!event || !occurrence.occurrence_start) return;
+    if (!confirm(`Cancel ${occurrence.title} on ${formatWhen(occurrence)}? Other dates are not affected.`)) {
+      return;
+    }
+
+    try {
+      await eventsService.cancelOccurrence(event.id, occurrence.occurrence_start);
+      toast.success('Occurrence cancelled');
+      await loadOccurrences();
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to cancel occurrence');
+    }
+  };
+
+  return (
+    <Dialog open={event !== null} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-lg max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{event?.title ?? 'Occurrences'}</DialogTitle>
+          <DialogDescription>
+            {describeRecurrence(list?.event.recurrence_rule) ?? 'Next 90 days'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {editing && (
+          <form onSubmit={handleSave} className="space-y-3 rounded-lg border border-border p-3">
+            <Input
+              value={editing.title}
+              onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+              aria-label="Title"
+              required
+            />
+            <Input
+              value={editing.location}
+              onChange={(e) => setEditing({ ...editing, location: e.target.value })}
+              aria-label="Location"
+              required
+            />
+            <div className="grid grid-cols-2 gap-2">
+              <Input
+                type="datetime-local"
+                value={editing.start_time}
+                onChange={(e) => setEditing({ ...editing, start_time: e.target.value })}
+                aria-label="Start time"
+                required
+              />
+              <Input
+                type="datetime-local"
+                value={editing.end_time}
+                onChange={(e) => setEditing({ ...editing, end_time: e.target.value })}
+                aria-label="End time"
+                required
+              />
+            </div>
+            <div className="flex justify-end gap-2">
+              <Button type="button" variant="outline" size="sm" onClick={() => setEditing(null)} disabled={isSaving}>
+                Cancel
+              </Button>
+              <Button type="submit" size="sm" disabled={isSaving}>
+                {isSaving && <Loader className="h-4 w-4 mr-2 animate-spin" />}
+                Save Occurrence
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {isLoading && !list ? (
+          <div className="flex items-center gap-2 text-sm text-muted-foreground">
+            <Loader className="h-4 w-4 animate-spin" />
+            Loading occurrences...
+          </div>
+        ) : list && list.occurrences.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No occurrences in the next 90 days.</p>
+        ) : list && (
+          <ol className="divide-y divide-border text-sm">
+            {list.occurrences.map((occurrence) => (
+              <li key={occurrence.occurrence_start} className="flex items-center justify-between gap-3 py-2">
+                <span>
+                  <span className="font-medium">{formatWhen(occurrence)}</span>
+                  <span className="text-muted-foreground"> · {occurrence.location}</span>
+                  {occurrence.is_modified && (
+                    <span className="ml-2 text-xs px-2 py-0.5 rounded bg-primary/20 text-primary">Edited</span>
+                  )}
+                </span>
+                <span className="whitespace-nowrap">
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleEdit(occurrence)}
+                    aria-label={`Edit occurrence on ${formatWhen(occurrence)}`}
+                  >
+                    <Edit className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleCancel(occurrence)}
+                    aria-label={`Cancel occurrence on ${formatWhen(occurrence)}`}
+                  >
+                    <Ban className="h-4 w-4 text-destructive" />
+                  </Button>
+                </span>
+              </li>
+            ))}
+          </ol>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,27 @@
+import { EventStatus } from '@/types';
+
+export const EVENT_STATUS_LABELS: Record<EventStatus, string> = {
+  draft: 'Draft',
+  pending_review: 'Pending Review',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled',
+};
+
+const STATUS_STYLES: Record<EventStatus, string> = {
+  draft: 'bg-secondary text-secondary-foreground',
+  pending_review: 'bg-yellow-500/20 text-yellow-600 dark:text-yellow-400',
+  approved: 'bg-green-500/20 text-green-600 dark:text-green-400',
+  rejected: 'bg-destructive/20 text-destructive',
+  cancelled: 'bg-muted text-muted-foreground line-through',
+};
+
+export const EventStatusBadge = ({ status }: { status?: EventStatus }) => {
+  if (!status) return null;
+
+  return (
+    <span className={`text-xs px-2 py-1 rounded whitespace-nowrap ${STATUS_STYLES[status]}`}>
+      {EVENT_STATUS_LABELS[status]}
+    </span>
+  );
+};
@@ -0,0 +1,123 @@
+import { useState } from 'react';
+import { Input } from '@/components/ui/input';
+import {
+  RecurrenceForm,
+  RecurrenceFrequency,
+  WEEKDAYS,
+  buildRecurrenceRule,
+  parseRecurrenceRule,
+} from '@/lib/recurrence';
+
+interface RecurrenceFieldsProps {
+  value?: string | null;
+  onChange: (rule: string | null) => void;
+}
+
+const selectClassName =
+  'w-full px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary';
+
+/**
+ * Repeat settings for the event form. The event's own start and end are the
+ * first occurrence; the form state is kept locally so half-filled choices
+ * (e.g. "until" before a date is picked) survive between renders.
+ */
+export const RecurrenceFields = ({ value, onChange }: RecurrenceFieldsProps) => {
+  const [form, setForm] = useState<RecurrenceForm>(() => parseRecurrenceRule(value));
+
+  const update = (changes: Partial<RecurrenceForm>) => {
+    const next = { ...form, ...changes };
+    setForm(next);
+    onChange(buildRecurrenceRule(next));
+  };
+
+  const toggleDay = (code: string) =>
+    update({ days: form.days.includes(code) ? form.days.filter((day) => day !== code) : [...form.days, code] });
+
+  return (
+    <div className="space-y-3">
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Repeats</label>
+          <select
+            value={form.frequency}
+            onChange={(e) => update({ frequency: e.target.value as RecurrenceFrequency })}
+            className={selectClassName}
+          >
+            <option value="NONE">Does not repeat</option>
+            <option value="DAILY">Daily</option>
+            <option value="WEEKLY">Weekly</option>
+          </select>
+        </div>
+        {form.frequency !== 'NONE' && (
+          <div className="space-y-2">
+            <label className="text-sm font-medium">
+              Every ({form.frequency === 'DAILY' ? 'days' : 'weeks'})
+            </label>
+            <Input
+              type="number"
+              min={1}
+              max={52}
+              value={form.interval}
+              onChange={(e) => update({ interval: Math.max(1, parseInt(e.target.value) || 1) })}
+            />
+          </div>
+        )}
+      </div>
+
+      {form.frequency === 'WEEKLY' && (
+        <div className="flex flex-wrap gap-2" role="group" aria-label="Repeat on">
+          {WEEKDAYS.map((day) => (
+            <button
+              key={day.code}
+              type="button"
+              onClick={() => toggleDay(day.code)}
+              aria-pressed={form.days.includes(day.code)}
+              className={`px-3 py-1 rounded-full text-xs border ${
+                form.days.includes(day.code)
+                  ? 'bg-primary text-primary-foreground border-primary'
+                  : 'border-border text-muted-foreground'
+              }`}
+            >
+              {day.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {form.frequency !== 'NONE' && (
+        <div className="grid md:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Ends</label>
+            <select
+              value={form.end}
+              onChange={(e) => update({ end: e.target.value as RecurrenceForm['end'] })}
+              className={selectClassName}
+            >
+              <option value="never">Never</option>
+              <option value="until">On date</option>
+              <option value="count">After a number of times</option>
+            </select>
+          </div>
+          {form.end === 'until' && (
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Last date</label>
+              <Input type="date" value={form.until} onChange={(e) => update({ until: e.target.value })} />
+            </div>
+          )}
+          {form.end === 'count' && (
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Occurrences</label>
+              <Input
+                type="number"
+                min={1}
+                max={500}
+                value={form.count}
+                onChange={(e) => update({ count: Math.max(1, parseInt(e.target.value) || 1) })}
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -8,9 +8,16 @@ interface ElectiveFormProps {
   onSuccess: () => void;
   onCancel: () => void;
   initialData?: Elective | null;
+  /** Every elective, to name the mutually exclusive ones */
+  electives?: Elective[];
 }
 
-export const ElectiveForm = ({ onSuccess, onCancel, initialData }: ElectiveFormProps) => {
+/** Comma-separated input as a trimmed list, dropping blanks. */
+const splitList = (value?: string) => (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+
+const SEMESTER_OPTIONS = [1, 2, 3, 4, 5, 6, 7, 8].map(sem => ({ value: sem.toString(), label: `Semester ${sem}` }));
+
+export const ElectiveForm = ({ onSuccess, onCancel, initialData, electives = [] }: ElectiveFormProps) => {
   // List of 10 allowed subjects
   const allowedSubjects = [
     "Artificial Intelligence",
@@ -64,20 +71,100 @@ export const ElectiveForm = ({ onSuccess, onCancel, initialData }: ElectiveFormP
       label: 'Semester',
       type: 'select',
       required: true,
-      options: [1, 2, 3, 4, 5, 6, 7, 8].map(sem => ({ value: sem.toString(), label: `Semester ${sem}` })),
+      options: SEMESTER_OPTIONS,
+      gridCol: 1,
+    },
+    {
+      id: 'eligible_departments',
+      label: 'Eligible Departments',
+      type: 'text',
+      placeholder: 'e.g., Computer Science, Electronics',
+      hint: 'Comma-separated. Leave blank to allow every department.',
+      gridCol: 1,
+    },
+    {
+      id: 'min_semester',
+      label: 'Minimum Semester',
+      type: 'select',
+      options: SEMESTER_OPTIONS,
+      hint: 'Leave unselected for no lower bound.',
+      gridCol: 1,
+    },
+    {
+      id: 'max_semester',
+      label: 'Maximum Semester',
+      type: 'select',
+      options: SEMESTER_OPTIONS,
+      hint: 'Leave unselected for no upper bound.',
+      gridCol: 1,
+    },
+    {
+      id: 'min_cgpa',
+      label: 'Minimum CGPA',
+      type: 'number',
+      min: 0,
+      max: 10,
+      step: 0.01,
+      placeholder: 'e.g., 7.5',
+      gridCol: 1,
+    },
+    {
+      id: 'prerequisite_subject_codes',
+      label: 'Prerequisite Subject Codes',
+      type: 'text',
+      placeholder: 'e.g., CS201, CS202',
+      hint: 'Counted as completed once the student is past the semester the subject is taught in.',
+      gridCol: 1,
+    },
+    {
+      id: 'exclusive_electives',
+      label: 'Mutually Exclusive Electives',
+      type: 'text',
+      placeholder: 'e.g., Machine Learning',
+      hint: 'Comma-separated elective names that cannot be taken together with this one.',
       gridCol: 1,
     },
   ];
 
+  // Rule lists are edited as comma-separated text
+  const formInitialData = initialData
+    ? {
+        ...initialData,
+        eligible_departments: (initialData.eligible_departments || []).join(', '),
+        min_semester: initialData.min_semester?.toString() ?? '',
+        max_semester: initialData.max_semester?.toString() ?? '',
+        min_cgpa: initialData.min_cgpa ?? '',
+        prerequisite_subject_codes: (initialData.prerequisite_subject_codes || []).join(', '),
+        exclusive_electives: electives
+          .filter(elective => (initialData.exclusive_elective_ids || []).includes(Number(elective.id)))
+          .map(elective => elective.subject_name)
+          .join(', '),
+      }
+    : initialData;
+
 
 
   const customSubmitHandler = async (data: any, isUpdate: boolean) => {
+    const exclusiveNames = splitList(data.exclusive_electives);
+    const exclusiveElectives = electives.filter(elective => exclusiveNames.includes(elective.subject_name));
+    const known = exclusiveElectives.map(elective => elective.subject_name);
+    const unknownName = exclusiveNames.find(name => !known.includes(name));
+    if (unknownName) {
+      throw new Error(`Unknown elective: ${unknownName}`);
+    }
+
     const payload = {
       subject_name: data.subject_name,
       description: data.description,
       max_students: parseInt(data.max_students.toString()),
       department: data.department,
       semester: parseInt(data.semester.toString()),
+      eligible_departments: splitList(data.eligible_departments),
+      min_semester: data.min_semester ? parseInt(data.min_semester.toString()) : null,
+      max_semester: data.max_semester ? parseInt(data.max_semester.toString()) : null,
+      min_cgpa: data.min_cgpa === '' || data.min_cgpa == null ? null : Number(data.min_cgpa),
+      prerequisite_subject_codes: splitList(data.prerequisite_subject_codes).map(code => code.toUpperCase()),
+      exclusive_elective_ids: exclusiveElectives.map(elective => Number(elective.id)),
     };
 
     if (isUpdate) {
@@ -93,7 +180,7 @@ export const ElectiveForm = ({ onSuccess, onCancel, initialData }: ElectiveFormP
     <GenericFormModal
       fields={fields}
       service={electiveService}
-      initialData={initialData}
+      initialData={formInitialData}
       onSuccess={onSuccess}
       onCancel={onCancel}
       validationSchema={electiveSchema}
@@ -18,6 +18,7 @@ import { cn } from '@/lib/utils';
 export const Sidebar = () => {
   const { user } = useAuth();
   const isAdmin = user?.role === 'admin';
+  const isFaculty = user?.role === 'faculty';
 
   const studentLinks = [
     { icon: LayoutDashboard, label: 'Dashboard', path: '/dashboard' },
@@ -28,6 +29,13 @@ export const Sidebar = () => {
     { icon: UserCircle, label: 'My Profile', path: '/profile' },
   ];
 
+  const facultyLinks = [
+    { icon: Calendar, label: 'My Schedule', path: '/faculty/timetable' },
+    { icon: BookOpen, label: 'My Subjects', path: '/faculty/subjects' },
+    { icon: Users, label: 'My Groups', path: '/faculty/groups' },
+    { icon: CalendarRange, label: 'Events', path: '/events' },
+  ];
+
   const adminLinks = [
     { icon: LayoutDashboard, label: 'Dashboard', path: '/admin/dashboard' },
     { icon: Users, label: 'Users', path: '/admin/users' },
@@ -39,7 +47,7 @@ export const Sidebar = () => {
     { icon: Settings, label: 'Settings', path: '/admin/settings' },
   ];
 
-  const links = isAdmin ? adminLinks : studentLinks;
+  const links = isAdmin ? adminLinks : isFaculty ? facultyLinks : studentLinks;
 
   return (
     <motion.aside
@@ -0,0 +1,282 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Loader, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  academicCalendarService,
+  type AcademicTerm,
+  type AcademicTermInput,
+  type CalendarException,
+  type CalendarExceptionType,
+} from '@/services/academicCalendarService';
+import { EXCEPTION_LABELS, formatDateRange } from '@/lib/academicCalendar';
+
+const EMPTY_TERM: AcademicTermInput = { academic_year: '', semester_type: 'odd', start_date: '', end_date: '' };
+
+const EMPTY_EXCEPTION = {
+  exception_type: 'holiday' as CalendarExceptionType,
+  title: '',
+  start_date: '',
+  end_date: '',
+  rescheduled_to: '',
+};
+
+/**
+ * Admin editor for term dates and the holidays, exam weeks and cancelled or
+ * rescheduled days that calendar exports and the student timetable skip.
+ */
+export const AcademicCalendarManager = () => {
+  const [terms, setTerms] = useState<AcademicTerm[]>([]);
+  const [exceptions, setExceptions] = useState<CalendarException[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [termForm, setTermForm] = useState<AcademicTermInput>(EMPTY_TERM);
+  const [exceptionForm, setExceptionForm] = useState(EMPTY_EXCEPTION);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadCalendar = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const [termsResponse, exceptionsResponse] = await Promise.all([
+        academicCalendarService.getTerms(),
+        academicCalendarService.getExceptions(),
+      ]);
+      setTerms(termsResponse.data?.terms ?? []);
+      setExceptions(exceptionsResponse.data?.exceptions ?? []);
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to load academic calendar');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCalendar();
+  }, [loadCalendar]);
+
+  const handleSaveTerm = async () => {
+    if (!termForm.academic_year || !termForm.start_date || !termForm.end_date) {
+      toast.error('Enter the academic year and both term dates');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await academicCalendarService.saveTerm(termForm);
+      toast.success('Term dates saved');
+      setTermForm(EMPTY_TERM);
+      await loadCalendar();
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to save term dates');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddException = async () => {
+    if (!exceptionForm.title.trim() || !exceptionForm.start_date) {
+      toast.error('Enter a title and a date');
+      return;
+    }
+
+    const isRescheduled = exceptionForm.exception_type === 'rescheduled';
+    try {
+      setIsSaving(true);
+      await academicCalendarService.createException({
+        exception_type: exceptionForm.exception_type,
+        title: exceptionForm.title.trim(),
+        start_date: exceptionForm.start_date,
+        end_date: !isRescheduled && exceptionForm.end_date ? exceptionForm.end_date : undefined,
+        rescheduled_to: isRescheduled ? exceptionForm.rescheduled_to : undefined,
+      });
+      toast.success(`${EXCEPTION_LABELS[exceptionForm.exception_type]} added`);
+      setExceptionForm(EMPTY_EXCEPTION);
+      await loadCalendar();
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to add calendar exception');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (remove: () => Promise<unknown>, label: string) => {
+    try {
+      await remove();
+      toast.success(`${label} deleted`);
+      await loadCalendar();
+    } catch (error: any) {
+      toast.error(error?.message || `Failed to delete ${label.toLowerCase()}`);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-muted-foreground">
+        <Loader className="h-4 w-4 animate-spin" />
+        Loading academic calendar...
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      <section className="space-y-3">
+        <h3 className="font-semibold">Term Dates</h3>
+        <div className="grid sm:grid-cols-4 gap-3">
+          <div className="space-y-1">
+            <Label>Academic Year</Label>
+            <Input
+              placeholder="2025-26"
+              value={termForm.academic_year}
+              onChange={(e) => setTermForm({ ...termForm, academic_year: e.target.value })}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label>Semester</Label>
+            <select
+              className="w-full p-2 rounded-lg bg-card border border-border"
+              value={termForm.semester_type}
+              onChange={(e) => setTermForm({ ...termForm, semester_type: e.target.value })}
+            >
+              <option value="odd">Odd</option>
+              <option value="even">Even</option>
+            </select>
+          </div>
+          <div className="space-y-1">
+            <Label>Starts</Label>
+            <Input
+              type="date"
+              value={termForm.start_date}
+              onChange={(e) => setTermForm({ ...termForm, start_date: e.target.value })}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label>Ends</Label>
+            <Input
+              type="date"
+              value={termForm.end_date}
+              min={termForm.start_date || undefined}
+              onChange={(e) => setTermForm({ ...termForm, end_date: e.target.value })}
+            />
+          </div>
+        </div>
+        <Button onClick={handleSaveTerm} disabled={isSaving} size="sm">
+          Save Term
+        </Button>
+
+        {terms.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            No terms yet. Calendar exports repeat weekly for a fixed number of weeks until one is set.
+          </p>
+        ) : (
+          <ul className="divide-y divide-border text-sm">
+            {terms.map((term) => (
+              <li key={term.id} className="flex items-center justify-between py-2">
+                <span>
+                  <span className="font-medium">{term.academic_year} ({term.semester_type})</span>
+                  <span className="text-muted-foreground"> · {term.start_date} – {term.end_date}</span>
+                </span>
+                <Button
+                  size="icon"
+                  variant="ghost"
+                  aria-label={`Delete term ${term.academic_year} ${term.semester_type}`}
+                  onClick={() => handleDelete(() => academicCalendarService.deleteTerm(term.id), 'Term')}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="space-y-3">
+        <h3 className="font-semibold">Holidays &amp; Exceptions</h3>
+        <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-3">
+          <div className="space-y-1">
+            <Label>Type</Label>
+            <select
+              className="w-full p-2 rounded-lg bg-card border border-border"
+              value={exceptionForm.exception_type}
+              onChange={(e) =>
+                setExceptionForm({ ...exceptionForm, exception_type: e.target.value as CalendarExceptionType })
+              }
+            >
+              {Object.entries(EXCEPTION_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <Label>Title</Label>
+            <Input
+              placeholder="Diwali"
+              value={exceptionForm.title}
+              onChange={(e) => setExceptionForm({ ...exceptionForm, title: e.target.value })}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label>{exceptionForm.exception_type === 'rescheduled' ? 'Original Day' : 'From'}</Label>
+            <Input
+              type="date"
+              value={exceptionForm.start_date}
+              onChange={(e) => setExceptionForm({ ...exceptionForm, start_date: e.target.value })}
+            />
+          </div>
+          {exceptionForm.exception_type === 'rescheduled' ? (
+            <div className="space-y-1">
+              <Label>Classes Move To</Label>
+              <Input
+                type="date"
+                value={exceptionForm.rescheduled_to}
+                onChange={(e) => setExceptionForm({ ...exceptionForm, rescheduled_to: e.target.value })}
+              />
+            </div>
+          ) : (
+            <div className="space-y-1">
+              <Label>To (optional)</Label>
+              <Input
+                type="date"
+                value={exceptionForm.end_date}
+                min={exceptionForm.start_date || undefined}
+                onChange={(e) => setExceptionForm({ ...exceptionForm, end_date: e.target.value })}
+              />
+            </div>
+          )}
+        </div>
+        <Button onClick={handleAddException} disabled={isSaving} size="sm">
+          Add
+        </Button>
+
+        {exceptions.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No holidays or exceptions added.</p>
+        ) : (
+          <ul className="divide-y divide-border text-sm">
+            {exceptions.map((exception) => (
+              <li key={exception.id} className="flex items-center justify-between py-2">
+                <span>
+                  <span className="font-medium">{exception.title}</span>
+                  <span className="text-muted-foreground">
+                    {' · '}{EXCEPTION_LABELS[exception.exception_type]} · {formatDateRange(exception)}
+                    {exception.rescheduled_to && ` → ${exception.rescheduled_to}`}
+                  </span>
+                </span>
+                <Button
+                  size="icon"
+                  variant="ghost"
+                  aria-label={`Delete ${exception.title}`}
+                  onClick={() =>
+                    handleDelete(() => academicCalendarService.deleteException(exception.id), 'Calendar exception')
+                  }
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+};
@@ -0,0 +1,199 @@
+import { useEffect, useState } from 'react';
+import { Loader, Plus, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { settingsService, type BellPeriod, type BellSchedule } from '@/services/settingsService';
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Timetable slots only allow periods 1-8
+const MAX_PERIODS = 8;
+
+const addMinutes = (time: string, minutes: number) => {
+  const [hours, mins] = time.split(':').map(Number);
+  const total = Math.min(hours * 60 + mins + minutes, 23 * 60 + 59);
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+const renumber = (periods: BellPeriod[]) => periods.map((period, index) => ({ ...period, number: index + 1 }));
+
+/**
+ * Editor for the bell schedule: working days, period start/end times and the
+ * period kept free for lunch. Exports, room availability and timetable
+ * generation all read these timings.
+ */
+export const BellScheduleEditor = () => {
+  const [schedule, setSchedule] = useState<BellSchedule | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadSchedule = async () => {
+      try {
+        const response = await settingsService.getBellSchedule();
+        setSchedule(response.data?.bell_schedule ?? null);
+      } catch (error: any) {
+        toast.error(error?.message || 'Failed to load bell schedule');
+      }
+    };
+
+    loadSchedule();
+  }, []);
+
+  if (!schedule) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-muted-foreground">
+        <Loader className="h-4 w-4 animate-spin" />
+        Loading bell schedule...
+      </div>
+    );
+  }
+
+  const toggleDay = (day: string) => {
+    const working_days = schedule.working_days.includes(day)
+      ? schedule.working_days.filter((d) => d !== day)
+      : DAYS.filter((d) => d === day || schedule.working_days.includes(d));
+    setSchedule({ ...schedule, working_days });
+  };
+
+  const updatePeriod = (number: number, field: 'start' | 'end', value: string) => {
+    setSchedule({
+      ...schedule,
+      periods: schedule.periods.map((p) => (p.number === number ? { ...p, [field]: value } : p)),
+    });
+  };
+
+  const addPeriod = () => {
+    const last = schedule.periods[schedule.periods.length - 1];
+    const start = last ? addMinutes(last.end, 10) : '09:00';
+    setSchedule({
+      ...schedule,
+      periods: [...schedule.periods, { number: schedule.periods.length + 1, start, end: addMinutes(start, 50) }],
+    });
+  };
+
+  const removePeriod = (number: number) => {
+    const periods = renumber(schedule.periods.filter((p) => p.number !== number));
+    const lunch = schedule.lunch_break_period;
+    setSchedule({
+      ...schedule,
+      periods,
+      lunch_break_period: lunch && lunch <= periods.length && lunch !== number ? lunch : null,
+    });
+  };
+
+  const handleSave = async () => {
+    if (schedule.working_days.length === 0) {
+      toast.error('Select at least one working day');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const response = await settingsService.updateBellSchedule(schedule);
+      if (response.data?.bell_schedule) {
+        setSchedule(response.data.bell_schedule);
+      }
+      toast.success('Bell schedule saved');
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to save bell schedule');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="space-y-2">
+        <Label>Working Days</Label>
+        <div className="flex flex-wrap gap-2">
+          {DAYS.map((day) => (
+            <Button
+              key={day}
+              type="button"
+              size="sm"
+              variant={schedule.working_days.includes(day) ? 'default' : 'outline'}
+              onClick={() => toggleDay(day)}
+            >
+              {day.slice(0, 3)}
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <Label>Periods</Label>
+        {schedule.periods.map((period) => (
+          <div key={period.number} className="flex items-center gap-3">
+            <span className="w-8 text-sm font-medium">P{period.number}</span>
+            <Input
+              type="time"
+              value={period.start}
+              onChange={(e) => updatePeriod(period.number, 'start', e.target.value)}
+              className="w-32"
+              aria-label={`Period ${period.number} start`}
+            />
+            <span className="text-muted-foreground">–</span>
+            <Input
+              type="time"
+              value={period.end}
+              onChange={(e) => updatePeriod(period.number, 'end', e.target.value)}
+              className="w-32"
+              aria-label={`Period ${period.number} end`}
+            />
+            {schedule.lunch_break_period === period.number && (
+              <span className="text-xs text-muted-foreground">Lunch</span>
+            )}
+            <Button
+              type="button"
+              size="icon"
+              variant="ghost"
+              onClick={() => removePeriod(period.number)}
+              disabled={schedule.periods.length === 1}
+              aria-label={`Remove period ${period.number}`}
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        ))}
+        <Button
+          type="button"
+          size="sm"
+          variant="outline"
+          onClick={addPeriod}
+          disabled={schedule.periods.length >= MAX_PERIODS}
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Add Period
+        </Button>
+      </div>
+
+      <div className="space-y-2">
+        <Label>Lunch Break</Label>
+        <select
+          className="w-full p-2 rounded-lg bg-card border border-border"
+          value={schedule.lunch_break_period ?? ''}
+          onChange={(e) =>
+            setSchedule({ ...schedule, lunch_break_period: e.target.value ? Number(e.target.value) : null })
+          }
+        >
+          <option value="">Between periods (no period reserved)</option>
+          {schedule.periods.map((period) => (
+            <option key={period.number} value={period.number}>
+              Period {period.number} ({period.start}–{period.end})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <Button
+        onClick={handleSave}
+        className="bg-primary text-primary-foreground font-semibold glow-primary-hover"
+        disabled={isSaving}
+      >
+        {isSaving ? 'Saving...' : 'Save Bell Schedule'}
+      </Button>
+    </div>
+  );
+};
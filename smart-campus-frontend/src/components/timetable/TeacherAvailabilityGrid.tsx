@@ -0,0 +1,208 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Loader, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { teacherService } from '@/services/teacherService';
+import { TeacherUnavailability } from '@/types';
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const PERIODS = [1, 2, 3, 4, 5, 6, 7, 8];
+
+type Mode = 'permanent' | 'dated';
+
+interface TeacherAvailabilityGridProps {
+  teacherId: string;
+}
+
+/**
+ * Weekly grid for blocking a teacher's periods.
+ * Clicking a free cell blocks it (every week, or for the chosen date range);
+ * clicking a weekly block removes it. Dated blocks are listed below the grid.
+ */
+export const TeacherAvailabilityGrid = ({ teacherId }: TeacherAvailabilityGridProps) => {
+  const [entries, setEntries] = useState<TeacherUnavailability[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [pendingCell, setPendingCell] = useState<string | null>(null);
+  const [mode, setMode] = useState<Mode>('permanent');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [reason, setReason] = useState('');
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setEntries(await teacherService.getUnavailability(teacherId));
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to load availability');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [teacherId]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const entriesFor = (day: string, period: number) =>
+    entries.filter((e) => e.day_of_week === day && e.period_number === period);
+
+  const handleCellClick = async (day: string, period: number) => {
+    const cellKey = `${day}_${period}`;
+    const permanent = entriesFor(day, period).find((e) => e.is_permanent);
+
+    if (mode === 'dated' && !permanent && (!startDate || !endDate)) {
+      toast.error('Pick a start and end date first');
+      return;
+    }
+
+    try {
+      setPendingCell(cellKey);
+      if (permanent) {
+        await teacherService.removeUnavailability(teacherId, permanent.id);
+      } else {
+        await teacherService.addUnavailability(teacherId, {
+          day_of_week: day,
+          period_number: period,
+          reason: reason.trim() || undefined,
+          is_permanent: mode === 'permanent',
+          ...(mode === 'dated' ? { start_date: startDate, end_date: endDate } : {}),
+        });
+      }
+      await loadEntries();
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to update availability');
+    } finally {
+      setPendingCell(null);
+    }
+  };
+
+  const handleRemove = async (entryId: string) => {
+    try {
+      await teacherService.removeUnavailability(teacherId, entryId);
+      setEntries((prev) => prev.filter((e) => e.id !== entryId));
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to remove entry');
+    }
+  };
+
+  const datedEntries = entries.filter((e) => !e.is_permanent);
+
+  if (isLoading && entries.length === 0) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader className="h-6 w-6 animate-spin text-primary" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="flex gap-2">
+          <Button
+            type="button"
+            size="sm"
+            variant={mode === 'permanent' ? 'default' : 'outline'}
+            onClick={() => setMode('permanent')}
+          >
+            Every week
+          </Button>
+          <Button
+            type="button"
+            size="sm"
+            variant={mode === 'dated' ? 'default' : 'outline'}
+            onClick={() => setMode('dated')}
+          >
+            Date range
+          </Button>
+        </div>
+        {mode === 'dated' && (
+          <>
+            <div className="space-y-1">
+              <Label htmlFor="unavailability-start">From</Label>
+              <Input id="unavailability-start" type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="unavailability-end">To</Label>
+              <Input id="unavailability-end" type="date" value={endDate} min={startDate} onChange={(e) => setEndDate(e.target.value)} />
+            </div>
+          </>
+        )}
+        <div className="space-y-1 flex-1 min-w-[160px]">
+          <Label htmlFor="unavailability-reason">Reason (optional)</Label>
+          <Input id="unavailability-reason" value={reason} maxLength={200} onChange={(e) => setReason(e.target.value)} />
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <div className="grid grid-cols-9 gap-1 min-w-max text-xs">
+          <div />
+          {PERIODS.map((period) => (
+            <div key={period} className="text-center font-semibold p-2">P{period}</div>
+          ))}
+          {DAYS.map((day) => (
+            <div key={day} className="contents">
+              <div className="font-semibold p-2 flex items-center">{day.slice(0, 3)}</div>
+              {PERIODS.map((period) => {
+                const cellEntries = entriesFor(day, period);
+                const isPermanent = cellEntries.some((e) => e.is_permanent);
+                const isDated = !isPermanent && cellEntries.length > 0;
+                const cellKey = `${day}_${period}`;
+
+                return (
+                  <button
+                    key={cellKey}
+                    type="button"
+                    disabled={pendingCell !== null}
+                    onClick={() => handleCellClick(day, period)}
+                    title={cellEntries.map((e) => e.reason).filter(Boolean).join(', ') || undefined}
+                    aria-label={`${day} period ${period}${isPermanent ? ' blocked every week' : isDated ? ' blocked for a date range' : ' available'}`}
+                    className={`h-10 w-14 rounded-md border transition-colors ${
+                      isPermanent
+                        ? 'bg-destructive/70 border-destructive text-destructive-foreground'
+                        : isDated
+                          ? 'bg-orange-500/30 border-orange-500/60'
+                          : 'border-border/50 hover:bg-accent/20'
+                    }`}
+                  >
+                    {pendingCell === cellKey ? <Loader className="h-3 w-3 animate-spin mx-auto" /> : null}
+                  </button>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-xs text-muted-foreground">
+        <div className="flex items-center gap-2">
+          <div className="h-3 w-3 rounded bg-destructive/70" />
+          <span>Blocked every week (click to clear)</span>
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="h-3 w-3 rounded bg-orange-500/30" />
+          <span>Blocked for a date range</span>
+        </div>
+      </div>
+
+      {datedEntries.length > 0 && (
+        <div className="space-y-2">
+          <h3 className="text-sm font-semibold">Date-range blocks</h3>
+          {datedEntries.map((entry) => (
+            <div key={entry.id} className="flex items-center justify-between rounded-md border border-border/50 px-3 py-2 text-sm">
+              <span>
+                {entry.day_of_week} P{entry.period_number} • {entry.start_date?.slice(0, 10)} → {entry.end_date?.slice(0, 10)}
+                {entry.reason ? ` • ${entry.reason}` : ''}
+              </span>
+              <Button variant="ghost" size="sm" onClick={() => handleRemove(entry.id)} aria-label="Remove date-range block">
+                <Trash2 className="h-4 w-4 text-destructive" />
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
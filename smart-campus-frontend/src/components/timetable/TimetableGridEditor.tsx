@@ -0,0 +1,339 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { Loader, Undo2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  timetableService,
+  SlotMoveCheck,
+  SlotMoveTarget,
+  TimetableVersionSlot,
+} from '@/services/timetableService';
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+interface Move {
+  slotId: string;
+  from: SlotMoveTarget;
+  to: SlotMoveTarget;
+}
+
+interface PendingMove {
+  slot: TimetableVersionSlot;
+  target: SlotMoveTarget;
+  check: SlotMoveCheck;
+}
+
+const cellKey = (day: string, period: number) => `${day}_${period}`;
+
+const describeCell = (day: string, period: number) => `${day.slice(0, 3)} P${period}`;
+
+// Clashes visible from the loaded slots, shown while dragging; the server check on drop is authoritative
+const localClashes = (slots: TimetableVersionSlot[], moving: TimetableVersionSlot, day: string, period: number) => {
+  const others = slots.filter(
+    (s) => s.id !== moving.id && s.day_of_week === day && s.period_number === period
+  );
+  const clashes: string[] = [];
+  if (others.some((s) => s.group_id === moving.group_id)) clashes.push('group');
+  if (others.some((s) => s.teacher_id === moving.teacher_id)) clashes.push('teacher');
+  if (others.some((s) => s.room_id === moving.room_id)) clashes.push('room');
+  return clashes;
+};
+
+interface TimetableGridEditorProps {
+  versionId: string;
+  /** Called with the version's slots after every saved move or undo */
+  onSlotsChange?: (slots: TimetableVersionSlot[]) => void;
+}
+
+/**
+ * Drag-and-drop editor for one group's week in a timetable version.
+ * Dropping a class on another cell checks it for conflicts first; blocked
+ * cells list the top suggested alternatives. Saved moves can be undone in
+ * reverse order for as long as the editor stays open.
+ */
+export const TimetableGridEditor = ({ versionId, onSlotsChange }: TimetableGridEditorProps) => {
+  const [slots, setSlots] = useState<TimetableVersionSlot[]>([]);
+  const [groupId, setGroupId] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [dragged, setDragged] = useState<TimetableVersionSlot | null>(null);
+  const [hoverCell, setHoverCell] = useState<string | null>(null);
+  const [pendingMove, setPendingMove] = useState<PendingMove | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [history, setHistory] = useState<Move[]>([]);
+
+  const loadSlots = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const result = await timetableService.getVersion(versionId);
+      const versionSlots = result?.slots ?? [];
+      setSlots(versionSlots);
+      setGroupId((current) =>
+        versionSlots.some((s) => s.group_id === current) ? current : versionSlots[0]?.group_id ?? ''
+      );
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to load timetable slots');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [versionId]);
+
+  // A new version starts a new editing session
+  useEffect(() => {
+    setHistory([]);
+    setPendingMove(null);
+    loadSlots();
+  }, [loadSlots]);
+
+  const groups = useMemo(() => {
+    const byId = new Map<string, string>();
+    slots.forEach((s) => byId.set(s.group_id, s.group_name));
+    return Array.from(byId, ([id, name]) => ({ id, name }));
+  }, [slots]);
+
+  const days = useMemo(() => {
+    const used = DAYS.filter((day) => slots.some((s) => s.day_of_week === day));
+    return used.length > 0 ? used : DAYS.slice(0, 5);
+  }, [slots]);
+
+  const periods = useMemo(() => {
+    const max = Math.max(0, ...slots.map((s) => s.period_number));
+    return Array.from({ length: max }, (_, index) => index + 1);
+  }, [slots]);
+
+  const groupSlotAt = (day: string, period: number) =>
+    slots.find((s) => s.group_id === groupId && s.day_of_week === day && s.period_number === period);
+
+  const applyMove = async (slot: TimetableVersionSlot, target: SlotMoveTarget, recordHistory = true) => {
+    const from = { day_of_week: slot.day_of_week, period_number: slot.period_number, room_id: slot.room_id };
+    await timetableService.updateSlot(slot.id, target);
+    const nextSlots = slots.map((s) =>
+      s.id === slot.id ? { ...s, day_of_week: target.day_of_week, period_number: target.period_number } : s
+    );
+    setSlots(nextSlots);
+    onSlotsChange?.(nextSlots);
+    if (recordHistory) {
+      setHistory((prev) => [...prev, { slotId: slot.id, from, to: target }]);
+    }
+  };
+
+  const handleDrop = async (day: string, period: number) => {
+    const slot = dragged;
+    setDragged(null);
+    setHoverCell(null);
+    if (!slot || (slot.day_of_week === day && slot.period_number === period)) return;
+
+    const target = { day_of_week: day, period_number: period };
+    try {
+      setBusy(true);
+      const check = await timetableService.checkSlotMove(slot.id, target);
+      if (check.can_save && check.conflicts.length === 0) {
+        await applyMove(slot, target);
+        setPendingMove(null);
+        toast.success(`${slot.subject_code} moved to ${describeCell(day, period)}`);
+      } else {
+        setPendingMove({ slot, target, check });
+      }
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to move slot');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConfirm = async (target: SlotMoveTarget) => {
+    if (!pendingMove) return;
+    try {
+      setBusy(true);
+      await applyMove(pendingMove.slot, target);
+      toast.success(`${pendingMove.slot.subject_code} moved to ${describeCell(target.day_of_week, target.period_number)}`);
+      setPendingMove(null);
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to move slot');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUndo = async () => {
+    const last = history[history.length - 1];
+    const slot = last && slots.find((s) => s.id === last.slotId);
+    if (!last || !slot) return;
+
+    try {
+      setBusy(true);
+      setPendingMove(null);
+      // The old cell may have been taken by a later move
+      const check = await timetableService.checkSlotMove(slot.id, last.from);
+      if (!check.can_save) {
+        toast.error(`Cannot undo: ${check.conflicts.map((c) => c.message).join('; ')}`);
+        return;
+      }
+      await applyMove(slot, last.from, false);
+      setHistory((prev) => prev.slice(0, -1));
+      toast.success(`Moved ${slot.subject_code} back to ${describeCell(last.from.day_of_week, last.from.period_number)}`);
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to undo move');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (isLoading && slots.length === 0) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader className="h-6 w-6 animate-spin text-primary" />
+      </div>
+    );
+  }
+
+  if (slots.length === 0) {
+    return <p className="py-6 text-center text-sm text-muted-foreground">This version has no slots to edit.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <Select value={groupId} onValueChange={setGroupId}>
+          <SelectTrigger className="w-56">
+            <SelectValue placeholder="Select a group" />
+          </SelectTrigger>
+          <SelectContent>
+            {groups.map((group) => (
+              <SelectItem key={group.id} value={group.id}>{group.name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <div className="flex items-center gap-2">
+          {busy && <Loader className="h-4 w-4 animate-spin text-primary" />}
+          <Button size="sm" variant="outline" onClick={handleUndo} disabled={busy || history.length === 0}>
+            <Undo2 className="mr-2 h-4 w-4" />
+            Undo{history.length > 0 ? ` (${history.length})` : ''}
+          </Button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <div
+          className="grid gap-1 min-w-max text-xs"
+          style={{ gridTemplateColumns: `auto repeat(${periods.length}, minmax(7rem, 1fr))` }}
+        >
+          <div />
+          {periods.map((period) => (
+            <div key={period} className="text-center font-semibold p-2">P{period}</div>
+          ))}
+          {days.map((day) => (
+            <div key={day} className="contents">
+              <div className="font-semibold p-2 flex items-center">{day.slice(0, 3)}</div>
+              {periods.map((period) => {
+                const slot = groupSlotAt(day, period);
+                const key = cellKey(day, period);
+                const clashes = dragged && hoverCell === key ? localClashes(slots, dragged, day, period) : [];
+                const isTarget = pendingMove
+                  && pendingMove.target.day_of_week === day
+                  && pendingMove.target.period_number === period;
+
+                return (
+                  <div
+                    key={key}
+                    onDragOver={(e) => {
+                      e.preventDefault();
+                      if (hoverCell !== key) setHoverCell(key);
+                    }}
+                    onDragLeave={() => setHoverCell((current) => (current === key ? null : current))}
+                    onDrop={(e) => {
+                      e.preventDefault();
+                      handleDrop(day, period);
+                    }}
+                    title={clashes.length > 0 ? `Clashes with another class (${clashes.join(', ')})` : undefined}
+                    className={`min-h-[64px] rounded-md border p-1 transition-colors ${
+                      clashes.length > 0
+                        ? 'border-destructive bg-destructive/10'
+                        : dragged && hoverCell === key
+                          ? 'border-primary bg-primary/10'
+                          : isTarget
+                            ? 'border-accent bg-accent/10'
+                            : 'border-border/50'
+                    }`}
+                  >
+                    {slot && (
+                      <div
+                        draggable={!busy}
+                        onDragStart={() => setDragged(slot)}
+                        onDragEnd={() => {
+                          setDragged(null);
+                          setHoverCell(null);
+                        }}
+                        className={`h-full rounded bg-accent/20 p-2 ${busy ? 'cursor-wait' : 'cursor-move'} ${
+                          dragged?.id === slot.id ? 'opacity-50' : ''
+                        }`}
+                      >
+                        <p className="font-semibold truncate">{slot.subject_code}</p>
+                        <p className="text-muted-foreground truncate">{slot.teacher_name}</p>
+                        <p className="text-muted-foreground truncate">{slot.room_name}</p>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {pendingMove && (
+        <div
+          className={`rounded-md border p-3 text-sm ${
+            pendingMove.check.can_save ? 'border-accent/50 bg-accent/10' : 'border-destructive/50 bg-destructive/10'
+          }`}
+        >
+          <p className="font-medium">
+            Moving {pendingMove.slot.subject_code} ({pendingMove.slot.group_name}) to{' '}
+            {describeCell(pendingMove.target.day_of_week, pendingMove.target.period_number)}
+          </p>
+          <ul className="mt-1 list-disc pl-5 text-muted-foreground">
+            {pendingMove.check.conflicts.map((conflict, index) => (
+              <li key={index} className={conflict.severity === 'HIGH' ? 'text-destructive' : undefined}>
+                {conflict.message}
+              </li>
+            ))}
+          </ul>
+
+          {!pendingMove.check.can_save && (
+            pendingMove.check.suggestions.length > 0 ? (
+              <div className="mt-3 space-y-2">
+                <p className="font-medium">Free alternatives:</p>
+                <div className="flex flex-wrap gap-2">
+                  {pendingMove.check.suggestions.map((suggestion) => (
+                    <Button
+                      key={`${suggestion.day}-${suggestion.period}`}
+                      size="sm"
+                      variant="outline"
+                      disabled={busy}
+                      onClick={() => handleConfirm({ day_of_week: suggestion.day, period_number: suggestion.period })}
+                    >
+                      {describeCell(suggestion.day, suggestion.period)}
+                    </Button>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <p className="mt-2 text-muted-foreground">No free alternative was found for this class.</p>
+            )
+          )}
+
+          <div className="mt-3 flex gap-2">
+            {pendingMove.check.can_save && (
+              <Button size="sm" disabled={busy} onClick={() => handleConfirm(pendingMove.target)}>
+                Move anyway
+              </Button>
+            )}
+            <Button size="sm" variant="ghost" disabled={busy} onClick={() => setPendingMove(null)}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -88,6 +88,39 @@ export const STUDENT_ROUTES: RouteMetadata[] = [
   },
 ];
 
+/**
+ * Faculty routes with permission metadata
+ */
+export const FACULTY_ROUTES: RouteMetadata[] = [
+  {
+    path: '/faculty/timetable',
+    label: 'My Schedule',
+    icon: 'Calendar',
+    requiredPermissions: [PERMISSIONS.VIEW_FACULTY_PORTAL],
+    allowedRoles: ['faculty', 'admin'],
+    showInNavigation: true,
+    component: 'FacultyTimetable',
+  },
+  {
+    path: '/faculty/subjects',
+    label: 'My Subjects',
+    icon: 'BookOpen',
+    requiredPermissions: [PERMISSIONS.VIEW_FACULTY_PORTAL],
+    allowedRoles: ['faculty', 'admin'],
+    showInNavigation: true,
+    component: 'FacultySubjects',
+  },
+  {
+    path: '/faculty/groups',
+    label: 'My Groups',
+    icon: 'Users',
+    requiredPermissions: [PERMISSIONS.VIEW_FACULTY_PORTAL],
+    allowedRoles: ['faculty', 'admin'],
+    showInNavigation: true,
+    component: 'FacultyGroups',
+  },
+];
+
 /**
  * Admin routes with permission metadata
  */
@@ -234,7 +267,7 @@ export const PUBLIC_ROUTES: RouteMetadata[] = [
 /**
  * All protected routes
  */
-export const PROTECTED_ROUTES: RouteMetadata[] = [...STUDENT_ROUTES, ...ADMIN_ROUTES];
+export const PROTECTED_ROUTES: RouteMetadata[] = [...STUDENT_ROUTES, ...FACULTY_ROUTES, ...ADMIN_ROUTES];
 
 /**
  * All routes
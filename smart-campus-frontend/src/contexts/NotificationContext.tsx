@@ -48,6 +48,14 @@ export const NotificationProvider = ({ children }: { children: ReactNode }) => {
       });
     });
 
+    socketInstance.on('TIMETABLE_PUBLISHED', (data: any) => {
+      setLastEventAt(Date.now());
+      toast.success('Timetable Published', {
+        description: data?.message || 'A new timetable is now live.',
+        duration: 5000,
+      });
+    });
+
     socketInstance.on('EVENT_CREATED', (data: any) => {
       setLastEventAt(Date.now());
       toast.info('New Campus Event', {
@@ -0,0 +1,43 @@
+import type { CalendarException, CalendarExceptionType } from '@/services/academicCalendarService';
+
+export const EXCEPTION_LABELS: Record<CalendarExceptionType, string> = {
+  holiday: 'Holiday',
+  exam: 'Exam week',
+  cancelled: 'Cancelled day',
+  rescheduled: 'Rescheduled day',
+};
+
+const DAY_OFFSET: Record<string, number> = {
+  Monday: 0,
+  Tuesday: 1,
+  Wednesday: 2,
+  Thursday: 3,
+  Friday: 4,
+  Saturday: 5,
+  Sunday: 6,
+};
+
+/** Local calendar date as 'YYYY-MM-DD'. */
+export const toDateString = (date: Date): string =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+
+/** Date of the given weekday in the week (Monday-first) containing `base`. */
+export const dateInWeek = (dayOfWeek: string, base: Date = new Date()): string => {
+  const monday = new Date(base);
+  monday.setDate(base.getDate() - ((base.getDay() + 6) % 7));
+  monday.setDate(monday.getDate() + (DAY_OFFSET[dayOfWeek] ?? 0));
+  return toDateString(monday);
+};
+
+/** The exception that cancels regular classes on a date, if any. */
+export const findExceptionOn = (date: string, exceptions: CalendarException[]): CalendarException | undefined =>
+  exceptions.find((exception) => exception.start_date <= date && date <= exception.end_date);
+
+export const formatDateRange = (exception: CalendarException): string =>
+  exception.end_date && exception.end_date !== exception.start_date
+    ? `${exception.start_date} – ${exception.end_date}`
+    : exception.start_date;
@@ -0,0 +1,99 @@
+/**
+ * Form model for the recurrence rules the events API accepts:
+ * FREQ=DAILY|WEEKLY with optional INTERVAL, BYDAY (weekly) and UNTIL or COUNT.
+ */
+
+export type RecurrenceFrequency = 'NONE' | 'DAILY' | 'WEEKLY';
+export type RecurrenceEnd = 'never' | 'until' | 'count';
+
+export interface RecurrenceForm {
+  frequency: RecurrenceFrequency;
+  interval: number;
+  days: string[];   // two-letter codes, e.g. ['MO', 'WE']
+  end: RecurrenceEnd;
+  until: string;    // 'YYYY-MM-DD'
+  count: number;
+}
+
+export const WEEKDAYS = [
+  { code: 'MO', label: 'Mon' },
+  { code: 'TU', label: 'Tue' },
+  { code: 'WE', label: 'Wed' },
+  { code: 'TH', label: 'Thu' },
+  { code: 'FR', label: 'Fri' },
+  { code: 'SA', label: 'Sat' },
+  { code: 'SU', label: 'Sun' },
+];
+
+export const EMPTY_RECURRENCE: RecurrenceForm = {
+  frequency: 'NONE',
+  interval: 1,
+  days: [],
+  end: 'never',
+  until: '',
+  count: 10,
+};
+
+/** Rule string for the API, or null for a one-off event. */
+export const buildRecurrenceRule = (form: RecurrenceForm): string | null => {
+  if (form.frequency === 'NONE') return null;
+
+  const parts = [`FREQ=${form.frequency}`];
+  if (form.interval > 1) parts.push(`INTERVAL=${form.interval}`);
+  if (form.frequency === 'WEEKLY' && form.days.length > 0) {
+    const days = WEEKDAYS.map((day) => day.code).filter((code) => form.days.includes(code));
+    parts.push(`BYDAY=${days.join(',')}`);
+  }
+  if (form.end === 'until' && form.until) parts.push(`UNTIL=${form.until.replace(/-/g, '')}`);
+  if (form.end === 'count' && form.count > 0) parts.push(`COUNT=${form.count}`);
+  return parts.join(';');
+};
+
+/** Form state for a stored rule; anything unrecognised falls back to one-off. */
+export const parseRecurrenceRule = (rule?: string | null): RecurrenceForm => {
+  if (!rule) return EMPTY_RECURRENCE;
+
+  const parts = Object.fromEntries(rule.split(';').map((part) => part.split('=')));
+  if (parts.FREQ !== 'DAILY' && parts.FREQ !== 'WEEKLY') return EMPTY_RECURRENCE;
+
+  const until = parts.UNTIL ? `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}` : '';
+  return {
+    frequency: parts.FREQ,
+    interval: Number(parts.INTERVAL) || 1,
+    days: parts.BYDAY ? parts.BYDAY.split(',') : [],
+    end: until ? 'until' : parts.COUNT ? 'count' : 'never',
+    until,
+    count: Number(parts.COUNT) || EMPTY_RECURRENCE.count,
+  };
+};
+
+/** Short label such as "Every 2 weeks on Mon, Wed until 31 Mar 2026". */
+export const describeRecurrence = (rule?: string | null): string | null => {
+  const form = parseRecurrenceRule(rule);
+  if (form.frequency === 'NONE') return null;
+
+  const unit = form.frequency === 'DAILY' ? 'day' : 'week';
+  let label = form.interval > 1 ? `Every ${form.interval} ${unit}s` : form.frequency === 'DAILY' ? 'Daily' : 'Weekly';
+  if (form.days.length > 0) {
+    label += ` on ${WEEKDAYS.filter((day) => form.days.includes(day.code)).map((day) => day.label).join(', ')}`;
+  }
+  if (form.end === 'until') {
+    label += ` until ${new Date(`${form.until}T00:00:00`).toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' })}`;
+  } else if (form.end === 'count') {
+    label += `, ${form.count} times`;
+  }
+  return label;
+};
+
+/** Weekday, date and time an occurrence starts, in the user's locale. */
+export const formatOccurrenceStart = (startTime: string): string => {
+  const start = new Date(startTime);
+  return `${start.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })} ${start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+/** From/to query window starting now, for listing upcoming occurrences. */
+export const upcomingWindow = (days = 90): { from: string; to: string } => {
+  const from = new Date();
+  const to = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+  return { from: from.toISOString(), to: to.toISOString() };
+};
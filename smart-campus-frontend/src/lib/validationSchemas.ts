@@ -91,7 +91,16 @@ export const electiveSchema = z.object({
   max_students: z.coerce.number().min(1, 'Max students must be at least 1').max(200, 'Max students cannot exceed 200'),
   department: z.string().min(1, 'Department is required').max(50, 'Department is too long'),
   semester: z.coerce.number().min(1, 'Semester must be at least 1').max(8, 'Semester cannot exceed 8'),
-});
+  eligible_departments: z.string().max(500, 'Too many departments').optional(),
+  min_semester: z.coerce.string().optional().nullable(),
+  max_semester: z.coerce.string().optional().nullable(),
+  min_cgpa: z.union([z.literal(''), z.coerce.number().min(0, 'CGPA cannot be negative').max(10, 'CGPA cannot exceed 10')]).optional().nullable(),
+  prerequisite_subject_codes: z.string().max(500, 'Too many prerequisites').optional(),
+  exclusive_electives: z.string().max(1000, 'Too many electives').optional(),
+}).refine(
+  (data) => !data.min_semester || !data.max_semester || Number(data.max_semester) >= Number(data.min_semester),
+  { message: 'Maximum semester must not be below the minimum', path: ['max_semester'] }
+);
 
 // Club Validation Schema
 export const clubSchema = z.object({
@@ -43,6 +43,8 @@ export default function Auth() {
           
           if (user?.role === 'admin') {
             navigate('/admin/dashboard');
+          } else if (user?.role === 'faculty') {
+            navigate('/faculty/timetable');
           } else if (user?.role === 'student') {
             navigate('/student/dashboard');
           } else {
@@ -95,6 +97,8 @@ export default function Auth() {
       // Redirect based on user role
       if (result?.role === "admin") {
         navigate("/admin/dashboard");
+      } else if (result?.role === "faculty") {
+        navigate("/faculty/timetable");
       } else if (result?.role === "student") {
         navigate("/student/dashboard");
       } else {
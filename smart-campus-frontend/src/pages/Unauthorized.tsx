@@ -16,6 +16,8 @@ const Unauthorized = () => {
     if (isAuthenticated && user) {
       if (user.role === 'admin') {
         navigate('/admin/dashboard');
+      } else if (user.role === 'faculty') {
+        navigate('/faculty/timetable');
       } else {
         navigate('/student/dashboard');
       }
@@ -1,6 +1,7 @@
 "use client";
 import { motion } from "framer-motion";
 import { PieChart, Pie, BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Cell } from 'recharts';
+import { RoomBookingsCard } from '@/components/dashboard/RoomBookingsCard';
 
 export default function AdminDashboard() {
   // These variables represent the data your TanStack Query hooks will provide
@@ -36,6 +37,8 @@ export default function AdminDashboard() {
           </ResponsiveContainer>
         </div>
       </div>
+
+      <RoomBookingsCard mode="review" />
     </div>
   );
 }
\ No newline at end of file
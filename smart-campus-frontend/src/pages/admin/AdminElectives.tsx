@@ -4,11 +4,39 @@ import { DashboardLayout } from '@/components/layout/DashboardLayout';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
-import { AlertCircle, Plus, Edit, Trash2, Download, RotateCcw, Loader } from 'lucide-react';
+import { AlertCircle, Plus, Edit, Trash2, Download, RotateCcw, Loader, Eye } from 'lucide-react';
 import { toast } from 'sonner';
-import { electiveService, Elective, AllocationResult } from '@/services/electiveService';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  electiveService,
+  Elective,
+  AllocationResult,
+  AllocationReport,
+  AllocationRun,
+  ElectiveRound,
+} from '@/services/electiveService';
 import { FormModal } from '@/components/modals/FormModal';
 import { ElectiveForm } from '@/components/forms/ElectiveForm';
+import { ElectiveRoundsCard } from '@/components/electives/ElectiveRoundsCard';
+import { AllocationStatisticsPanel } from '@/components/electives/AllocationStatisticsPanel';
+import { AllocationReportsCard } from '@/components/electives/AllocationReportsCard';
+import { ChangeRequestsCard } from '@/components/electives/ChangeRequestsCard';
+import {
+  AllocationStrategyDraft,
+  AllocationStrategyFields,
+  DEFAULT_STRATEGY_DRAFT,
+  STRATEGY_LABELS,
+  toAllocationSettings,
+} from '@/components/electives/AllocationStrategyFields';
+
+// Select value for a full re-run that rebuilds every allocation
+const ALL_STUDENTS = 'all';
 
 export default function AdminElectives() {
   const [confirmText, setConfirmText] = useState('');
@@ -16,14 +44,44 @@ export default function AdminElectives() {
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingElective, setEditingElective] = useState<Elective | null>(null);
   const [allocating, setAllocating] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
   const [allocationResults, setAllocationResults] = useState<AllocationResult[]>([]);
+  const [lastRun, setLastRun] = useState<AllocationRun | null>(null);
+  const [reports, setReports] = useState<AllocationReport[]>([]);
   const [showResults, setShowResults] = useState(false);
   const [loadingElectives, setLoadingElectives] = useState(true);
+  const [rounds, setRounds] = useState<ElectiveRound[]>([]);
+  const [allocationTarget, setAllocationTarget] = useState(ALL_STUDENTS);
+  const [strategyDraft, setStrategyDraft] = useState<AllocationStrategyDraft>(DEFAULT_STRATEGY_DRAFT);
 
   useEffect(() => {
     loadElectives();
+    loadRounds();
+    loadReports();
   }, []);
 
+  const loadReports = async () => {
+    try {
+      setReports(await electiveService.getAllocationReports());
+    } catch (error: any) {
+      toast.error('Failed to load allocation reports');
+      console.error(error);
+    }
+  };
+
+  const loadRounds = async () => {
+    try {
+      const data = await electiveService.getRounds();
+      setRounds(data);
+      // Default to the newest round still waiting for allocation
+      const pending = data.find((round) => round.status !== 'allocated');
+      setAllocationTarget(pending ? String(pending.id) : ALL_STUDENTS);
+    } catch (error: any) {
+      toast.error('Failed to load selection rounds');
+      console.error(error);
+    }
+  };
+
   const loadElectives = async () => {
     try {
       setLoadingElectives(true);
@@ -51,6 +109,35 @@ export default function AdminElectives() {
     }
   };
 
+  const selectedRoundId = () => (allocationTarget === ALL_STUDENTS ? undefined : Number(allocationTarget));
+
+  const showRun = (run: AllocationRun) => {
+    setLastRun(run);
+    setAllocationResults(run.results);
+    setShowResults(true);
+  };
+
+  // A preview saves nothing, so it needs no confirmation
+  const handlePreviewAllocation = async () => {
+    try {
+      setPreviewing(true);
+      const run = await electiveService.runAllocation(selectedRoundId(), {
+        dryRun: true,
+        settings: toAllocationSettings(strategyDraft),
+      });
+      showRun(run);
+      // Keep the seed so running the allocation reproduces this preview
+      if (!strategyDraft.seed.trim()) {
+        setStrategyDraft({ ...strategyDraft, seed: String(run.allocation.seed) });
+      }
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to preview allocation');
+      console.error(error);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
   const handleRunAllocation = async () => {
     if (confirmText !== 'ALLOCATE') {
       toast.error('Please type "ALLOCATE" to confirm');
@@ -59,11 +146,13 @@ export default function AdminElectives() {
 
     try {
       setAllocating(true);
-      const results = await electiveService.runAllocation();
-      setAllocationResults(results);
-      setShowResults(true);
+      showRun(await electiveService.runAllocation(selectedRoundId(), {
+        settings: toAllocationSettings(strategyDraft),
+      }));
       setConfirmText('');
       toast.success('Allocation completed successfully!');
+      loadRounds();
+      loadReports();
     } catch (error: any) {
       toast.error(error?.message || 'Failed to run allocation');
       console.error(error);
@@ -212,6 +301,8 @@ export default function AdminElectives() {
           </div>
         </div>
 
+        <ElectiveRoundsCard rounds={rounds} onChanged={loadRounds} />
+
         {/* Run Allocation Section */}
         <motion.div
           initial={{ opacity: 0, y: 10 }}
@@ -228,9 +319,38 @@ export default function AdminElectives() {
               <p className="text-muted-foreground">
                 Running the allocation algorithm will permanently assign students to electives based on their preferences 
                 and CGPA ranking. Higher CGPA students get priority on their preferred electives.
+                Allocating a closed round only places students without a seat from earlier rounds;
+                re-running for all students replaces every existing allocation.
+                Preview first to see fill rates and CGPA cutoffs without saving anything.
               </p>
 
               <div className="space-y-4">
+                <div className="space-y-2">
+                  <label className="text-sm font-medium">Allocate</label>
+                  <Select value={allocationTarget} onValueChange={setAllocationTarget} disabled={allocating || previewing}>
+                    <SelectTrigger className="max-w-md">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {rounds
+                        .filter((round) => round.status !== 'allocated')
+                        .map((round) => (
+                          <SelectItem key={round.id} value={String(round.id)}>
+                            Round {round.round_number}: {round.name}
+                          </SelectItem>
+                        ))}
+                      <SelectItem value={ALL_STUDENTS}>All students (rebuild every allocation)</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+
+                <AllocationStrategyFields
+                  value={strategyDraft}
+                  onChange={setStrategyDraft}
+                  electives={electives}
+                  disabled={allocating || previewing}
+                />
+
                 <div className="space-y-2">
                   <label className="text-sm font-medium">
                     Type <span className="text-destructive font-bold">ALLOCATE</span> to confirm
@@ -244,26 +364,42 @@ export default function AdminElectives() {
                   />
                 </div>
 
-                <Button
-                  onClick={handleRunAllocation}
-                  disabled={confirmText !== 'ALLOCATE' || allocating}
-                  className="bg-destructive text-destructive-foreground font-bold text-lg px-8 py-6"
-                  asChild
-                >
-                  <motion.button
-                    whileHover={confirmText === 'ALLOCATE' && !allocating ? { scale: 1.05 } : {}}
-                    whileTap={confirmText === 'ALLOCATE' && !allocating ? { scale: 0.98 } : {}}
+                <div className="flex flex-wrap items-center gap-4">
+                  <Button
+                    onClick={handlePreviewAllocation}
+                    disabled={allocating || previewing}
+                    variant="outline"
+                    className="font-semibold text-lg px-8 py-6"
                   >
-                    {allocating ? (
-                      <>
-                        <Loader className="h-4 w-4 mr-2 animate-spin inline" />
-                        ALLOCATING...
-                      </>
+                    {previewing ? (
+                      <Loader className="h-4 w-4 mr-2 animate-spin" />
                     ) : (
-                      'RUN ALLOCATION'
+                      <Eye className="h-4 w-4 mr-2" />
                     )}
-                  </motion.button>
-                </Button>
+                    PREVIEW
+                  </Button>
+
+                  <Button
+                    onClick={handleRunAllocation}
+                    disabled={confirmText !== 'ALLOCATE' || allocating || previewing}
+                    className="bg-destructive text-destructive-foreground font-bold text-lg px-8 py-6"
+                    asChild
+                  >
+                    <motion.button
+                      whileHover={confirmText === 'ALLOCATE' && !allocating ? { scale: 1.05 } : {}}
+                      whileTap={confirmText === 'ALLOCATE' && !allocating ? { scale: 0.98 } : {}}
+                    >
+                      {allocating ? (
+                        <>
+                          <Loader className="h-4 w-4 mr-2 animate-spin inline" />
+                          ALLOCATING...
+                        </>
+                      ) : (
+                        'RUN ALLOCATION'
+                      )}
+                    </motion.button>
+                  </Button>
+                </div>
               </div>
             </CardContent>
           </Card>
@@ -278,10 +414,19 @@ export default function AdminElectives() {
               exit={{ opacity: 0, y: -20 }}
               className="space-y-6"
             >
-              <Card className="glass bg-green-500/5 border-green-500/30">
+              <Card className={`glass ${lastRun?.dryRun ? 'bg-amber-500/5 border-amber-500/30' : 'bg-green-500/5 border-green-500/30'}`}>
                 <CardHeader>
                   <div className="flex items-center justify-between">
-                    <CardTitle className="text-green-600">Allocation Results</CardTitle>
+                    <div>
+                      <CardTitle className={lastRun?.dryRun ? 'text-amber-600' : 'text-green-600'}>
+                        {lastRun?.dryRun ? 'Allocation Preview (not saved)' : 'Allocation Results'}
+                      </CardTitle>
+                      {lastRun?.allocation && (
+                        <p className="text-sm text-muted-foreground mt-1">
+                          {STRATEGY_LABELS[lastRun.allocation.strategy]} · Seed {lastRun.allocation.seed}
+                        </p>
+                      )}
+                    </div>
                     <div className="space-x-2">
                       <Button
                         onClick={handleDownloadResults}
@@ -327,6 +472,8 @@ export default function AdminElectives() {
                     </div>
                   </div>
 
+                  {lastRun?.statistics && <AllocationStatisticsPanel statistics={lastRun.statistics} />}
+
                   {/* Results Table */}
                   <div className="overflow-x-auto max-h-[500px] overflow-y-auto border border-border/50 rounded-lg">
                     <table className="w-full text-sm">
@@ -380,6 +527,10 @@ export default function AdminElectives() {
             </motion.div>
           )}
         </AnimatePresence>
+
+        <AllocationReportsCard reports={reports} />
+
+        <ChangeRequestsCard onChanged={loadElectives} />
       </motion.div>
 
       {/* Elective Form Modal */}
@@ -393,6 +544,7 @@ export default function AdminElectives() {
       >
         <ElectiveForm
           initialData={editingElective}
+          electives={electives}
           onSuccess={() => {
             setIsModalOpen(false);
             setEditingElective(null);
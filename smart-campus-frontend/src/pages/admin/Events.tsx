@@ -4,10 +4,17 @@ import { DashboardLayout } from '@/components/layout/DashboardLayout';
 import { Card, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
-import { Plus, Edit, Trash2, AlertCircle, Loader, Search, X, Calendar } from 'lucide-react';
+import { Plus, Edit, Trash2, AlertCircle, Loader, Search, X, Calendar, Users, Repeat, Check, Ban, Star } from 'lucide-react';
 import { toast } from 'sonner';
 import { eventsService, Event, CreateEventData } from '@/services/eventService';
 import { clubService, Club } from '@/services/clubService';
+import { EventAttendeesDialog } from '@/components/events/EventAttendeesDialog';
+import { EventFeedbackReportDialog } from '@/components/events/EventFeedbackReportDialog';
+import { EventOccurrencesDialog } from '@/components/events/EventOccurrencesDialog';
+import { EventStatusBadge, EVENT_STATUS_LABELS } from '@/components/events/EventStatusBadge';
+import { RecurrenceFields } from '@/components/events/RecurrenceFields';
+import { describeRecurrence } from '@/lib/recurrence';
+import { EventStatus } from '@/types';
 
 /**
  * Convert ISO datetime string (2025-11-15T12:30:00.000Z) to datetime-local format (2025-11-15T12:30)
@@ -33,6 +40,10 @@ export default function AdminEvents() {
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingEvent, setEditingEvent] = useState<Event | null>(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [attendeesEventId, setAttendeesEventId] = useState<string | number | null>(null);
+  const [feedbackEventId, setFeedbackEventId] = useState<string | number | null>(null);
+  const [occurrencesEvent, setOccurrencesEvent] = useState<Event | null>(null);
+  const [statusFilter, setStatusFilter] = useState<EventStatus | ''>('');
   const [formData, setFormData] = useState<EventFormData>({
     title: '',
     description: '',
@@ -42,14 +53,19 @@ export default function AdminEvents() {
     club_id: null,
     target_department: '',
     is_featured: false,
-    tags: []
+    tags: [],
+    max_capacity: null,
+    recurrence_rule: null
   });
 
   useEffect(() => {
     loadClubs();
-    loadEvents();
   }, []);
 
+  useEffect(() => {
+    loadEvents();
+  }, [statusFilter]);
+
   const loadClubs = async () => {
     try {
       setIsLoadingClubs(true);
@@ -68,7 +84,7 @@ export default function AdminEvents() {
     try {
       setIsLoading(true);
       setError(null);
-      const response = await eventsService.getAll({ upcoming: 'false' });
+      const response = await eventsService.getAll({ upcoming: 'false', status: statusFilter || undefined });
       setEvents(response.data?.events || []);
     } catch (err: any) {
       const errorMsg = err?.message || 'Failed to load events';
@@ -91,7 +107,9 @@ export default function AdminEvents() {
         club_id: event.club_id,
         target_department: event.target_department,
         is_featured: event.is_featured,
-        tags: event.tags || []
+        tags: event.tags || [],
+        max_capacity: event.max_capacity ?? null,
+        recurrence_rule: event.recurrence_rule ?? null
       });
     } else {
       setEditingEvent(null);
@@ -104,7 +122,9 @@ export default function AdminEvents() {
         club_id: null,
         target_department: '',
         is_featured: false,
-        tags: []
+        tags: [],
+        max_capacity: null,
+        recurrence_rule: null
       });
     }
     setIsModalOpen(true);
@@ -177,6 +197,46 @@ export default function AdminEvents() {
     }
   };
 
+  const handleApprove = async (event: Event) => {
+    try {
+      await eventsService.review(event.id, { status: 'approved' });
+      toast.success('Event approved and announced to students');
+      loadEvents();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to approve event');
+    }
+  };
+
+  const handleReject = async (event: Event) => {
+    const comment = prompt(`What should the organiser change in "${event.title}"?`);
+    if (!comment?.trim()) {
+      return;
+    }
+
+    try {
+      await eventsService.review(event.id, { status: 'rejected', comment: comment.trim() });
+      toast.success('Event rejected; the organiser has been notified');
+      loadEvents();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to reject event');
+    }
+  };
+
+  const handleCancel = async (event: Event) => {
+    const comment = prompt(`Cancel "${event.title}"? Attendees will be notified. Optional reason:`);
+    if (comment === null) {
+      return;
+    }
+
+    try {
+      await eventsService.cancel(event.id, comment.trim() || undefined);
+      toast.success('Event cancelled');
+      loadEvents();
+    } catch (err: any) {
+      toast.error(err?.message || 'Failed to cancel event');
+    }
+  };
+
   const filteredEvents = events.filter(event =>
     event.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
     event.location.toLowerCase().includes(searchTerm.toLowerCase())
@@ -337,6 +397,11 @@ export default function AdminEvents() {
                     </div>
                   </div>
 
+                  <RecurrenceFields
+                    value={formData.recurrence_rule}
+                    onChange={(rule) => setFormData((current) => ({ ...current, recurrence_rule: rule }))}
+                  />
+
                   <div className="grid md:grid-cols-2 gap-4">
                     <div className="space-y-2">
                       <label className="text-sm font-medium">Associated Club *</label>
@@ -379,6 +444,22 @@ export default function AdminEvents() {
                         placeholder="workshop, seminar, career"
                       />
                     </div>
+                    <div className="space-y-2">
+                      <label className="text-sm font-medium">Max Capacity</label>
+                      <Input
+                        type="number"
+                        min={1}
+                        value={formData.max_capacity ?? ''}
+                        onChange={(e) => setFormData({
+                          ...formData,
+                          max_capacity: e.target.value ? parseInt(e.target.value) : null
+                        })}
+                        placeholder="Leave blank for no limit"
+                      />
+                      <p className="text-xs text-muted-foreground">
+                        Extra RSVPs join a waitlist and are promoted in order as seats free up.
+                      </p>
+                    </div>
                   </div>
 
                   <div className="flex items-center gap-2">
@@ -428,7 +509,7 @@ export default function AdminEvents() {
         </AnimatePresence>
 
         {/* Events Table */}
-        {events.length === 0 ? (
+        {events.length === 0 && !statusFilter ? (
           <Card className="glass">
             <CardContent className="py-12 text-center">
               <Calendar className="h-12 w-12 mx-auto mb-4 text-muted-foreground" />
@@ -441,14 +522,27 @@ export default function AdminEvents() {
           </Card>
         ) : (
           <>
-            <div className="relative">
-              <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
-              <Input
-                placeholder="Search by title or location..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="pl-9"
-              />
+            <div className="flex flex-col sm:flex-row gap-3">
+              <div className="relative flex-1">
+                <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+                <Input
+                  placeholder="Search by title or location..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  className="pl-9"
+                />
+              </div>
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value as EventStatus | '')}
+                className="sm:w-48 px-3 py-2 rounded-lg border border-border bg-background text-foreground focus:outline-none focus:ring-2 focus:ring-primary"
+                aria-label="Filter by status"
+              >
+                <option value="">All statuses</option>
+                {(Object.keys(EVENT_STATUS_LABELS) as EventStatus[]).map((status) => (
+                  <option key={status} value={status}>{EVENT_STATUS_LABELS[status]}</option>
+                ))}
+              </select>
             </div>
 
             <div className="glass rounded-lg overflow-hidden">
@@ -465,6 +559,9 @@ export default function AdminEvents() {
                       <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
                         Start Time
                       </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                        RSVPs
+                      </th>
                       <th className="px-6 py-3 text-right text-xs font-medium uppercase tracking-wider">
                         Actions
                       </th>
@@ -488,13 +585,90 @@ export default function AdminEvents() {
                                 </span>
                               )}
                               {event.title}
+                              <EventStatusBadge status={event.status} />
                             </div>
+                            {event.review_comment && event.status !== 'approved' && (
+                              <div className="text-xs font-normal text-muted-foreground mt-1">
+                                Note: {event.review_comment}
+                              </div>
+                            )}
+                            {event.recurrence_rule && (
+                              <div className="text-xs font-normal text-muted-foreground mt-1">
+                                {describeRecurrence(event.recurrence_rule)}
+                              </div>
+                            )}
                           </td>
                           <td className="px-6 py-4 text-sm text-muted-foreground">{event.location}</td>
                           <td className="px-6 py-4 text-sm text-muted-foreground">
                             {new Date(event.start_time).toLocaleDateString()} {new Date(event.start_time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
                           </td>
+                          <td className="px-6 py-4 text-sm text-muted-foreground">
+                            {event.confirmed_count ?? 0} / {event.max_capacity ?? '∞'}
+                            {(event.waitlist_count ?? 0) > 0 && ` · ${event.waitlist_count} waitlisted`}
+                          </td>
                           <td className="px-6 py-4 text-right space-x-2">
+                            {event.status === 'pending_review' && (
+                              <>
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  onClick={() => handleApprove(event)}
+                                  title="Approve and publish"
+                                  aria-label={`Approve ${event.title}`}
+                                >
+                                  <Check className="h-4 w-4 text-green-500" />
+                                </Button>
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  onClick={() => handleReject(event)}
+                                  title="Reject with a comment"
+                                  aria-label={`Reject ${event.title}`}
+                                >
+                                  <X className="h-4 w-4 text-destructive" />
+                                </Button>
+                              </>
+                            )}
+                            {event.status && ['draft', 'pending_review', 'approved'].includes(event.status) && (
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => handleCancel(event)}
+                                title="Cancel event"
+                                aria-label={`Cancel ${event.title}`}
+                              >
+                                <Ban className="h-4 w-4" />
+                              </Button>
+                            )}
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => setAttendeesEventId(event.id)}
+                              title="Attendees and check-in"
+                              aria-label={`Attendees for ${event.title}`}
+                            >
+                              <Users className="h-4 w-4" />
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => setFeedbackEventId(event.id)}
+                              title="Ratings and feedback"
+                              aria-label={`Feedback for ${event.title}`}
+                            >
+                              <Star className="h-4 w-4" />
+                            </Button>
+                            {event.recurrence_rule && (
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => setOccurrencesEvent(event)}
+                                title="Edit or cancel single occurrences"
+                                aria-label={`Occurrences of ${event.title}`}
+                              >
+                                <Repeat className="h-4 w-4" />
+                              </Button>
+                            )}
                             <Button
                               variant="ghost"
                               size="sm"
@@ -520,12 +694,16 @@ export default function AdminEvents() {
 
             {filteredEvents.length === 0 && (
               <div className="text-center py-8 text-muted-foreground">
-                No events found matching "{searchTerm}"
+                {searchTerm ? `No events found matching "${searchTerm}"` : 'No events with this status'}
               </div>
             )}
           </>
         )}
       </motion.div>
+
+      <EventAttendeesDialog eventId={attendeesEventId} onClose={() => setAttendeesEventId(null)} />
+      <EventFeedbackReportDialog eventId={feedbackEventId} onClose={() => setFeedbackEventId(null)} />
+      <EventOccurrencesDialog event={occurrencesEvent} onClose={() => setOccurrencesEvent(null)} />
     </DashboardLayout>
   );
 }
@@ -9,6 +9,8 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Link } from 'react-router-dom';
 import { toast } from 'sonner';
 import { settingsService, type AdminSettings } from '@/services/settingsService';
+import { BellScheduleEditor } from '@/components/timetable/BellScheduleEditor';
+import { AcademicCalendarManager } from '@/components/timetable/AcademicCalendarManager';
 
 export default function Settings() {
   const [settings, setSettings] = useState<AdminSettings>({
@@ -68,6 +70,8 @@ export default function Settings() {
         <Tabs defaultValue="general" className="space-y-6">
           <TabsList className="glass">
             <TabsTrigger value="general">General</TabsTrigger>
+            <TabsTrigger value="bell-schedule">Bell Schedule</TabsTrigger>
+            <TabsTrigger value="academic-calendar">Academic Calendar</TabsTrigger>
             <TabsTrigger value="users">User Management</TabsTrigger>
           </TabsList>
 
@@ -132,6 +136,28 @@ export default function Settings() {
             </Button>
           </TabsContent>
 
+          <TabsContent value="bell-schedule">
+            <Card className="glass">
+              <CardHeader>
+                <CardTitle>Bell Schedule</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <BellScheduleEditor />
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          <TabsContent value="academic-calendar">
+            <Card className="glass">
+              <CardHeader>
+                <CardTitle>Academic Calendar</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <AcademicCalendarManager />
+              </CardContent>
+            </Card>
+          </TabsContent>
+
           <TabsContent value="users">
             <Card className="glass">
               <CardHeader>
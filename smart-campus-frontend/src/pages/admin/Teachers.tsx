@@ -2,10 +2,11 @@ import { useCallback, useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
 import { DashboardLayout } from '@/components/layout/DashboardLayout';
 import { Button } from '@/components/ui/button';
-import { Plus, Edit, Trash2 } from 'lucide-react';
+import { Plus, Edit, Trash2, CalendarX } from 'lucide-react';
 import { teacherService } from '@/services/teacherService';
 import { FormModal } from '@/components/modals/FormModal';
 import { TeacherForm } from '@/components/forms/TeacherForm';
+import { TeacherAvailabilityGrid } from '@/components/timetable/TeacherAvailabilityGrid';
 import { useAdminCrud } from '@/hooks/useAdminCrud';
 import { toast } from 'sonner';
 
@@ -17,6 +18,7 @@ export default function Teachers() {
   const [currentPage, setCurrentPage] = useState(1);
   const [sortField, setSortField] = useState('full_name');
   const [sortDirection, setSortDirection] = useState<'asc' | 'desc'>('asc');
+  const [availabilityTeacher, setAvailabilityTeacher] = useState<any | null>(null);
 
   const loadTeachers = useCallback(async () => {
     try {
@@ -144,6 +146,14 @@ export default function Teachers() {
                       <div className="text-xs">{teacher.phone}</div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right space-x-2">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => setAvailabilityTeacher(teacher)}
+                        aria-label="Manage availability"
+                      >
+                        <CalendarX className="h-4 w-4" />
+                      </Button>
                       <Button
                         variant="ghost"
                         size="sm"
@@ -215,6 +225,14 @@ export default function Teachers() {
           onCancel={closeModal}
         />
       </FormModal>
+
+      <FormModal
+        isOpen={!!availabilityTeacher}
+        onClose={() => setAvailabilityTeacher(null)}
+        title={`Availability: ${availabilityTeacher?.full_name ?? ''}`}
+      >
+        {availabilityTeacher && <TeacherAvailabilityGrid teacherId={availabilityTeacher.id} />}
+      </FormModal>
     </DashboardLayout>
   );
 }
@@ -1,9 +1,10 @@
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
 import { DashboardLayout } from '@/components/layout/DashboardLayout';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent } from '@/components/ui/card';
-import { AlertCircle, Plus, Trash2, Eye, Download, RefreshCw, Link2 } from 'lucide-react';
+import { Progress } from '@/components/ui/progress';
+import { AlertCircle, Plus, Trash2, Eye, Download, RefreshCw, Link2, XCircle } from 'lucide-react';
 import { toast } from 'sonner';
 import { FormModal } from '@/components/modals/FormModal';
 import { TeacherForm } from '@/components/forms/TeacherForm';
@@ -12,7 +13,23 @@ import { RoomForm } from '@/components/forms/RoomForm';
 import { GroupForm } from '@/components/forms/GroupForm';
 import { AssignTeacherSubjectForm } from '@/components/forms/AssignTeacherSubjectForm';
 import { AssignSubjectGroupForm } from '@/components/forms/AssignSubjectGroupForm';
-import { timetableService, Teacher, Subject, Room, Group } from '@/services/timetableService';
+import { TimetableGridEditor } from '@/components/timetable/TimetableGridEditor';
+import { useNotification } from '@/contexts/NotificationContext';
+import {
+  timetableService,
+  Teacher,
+  Subject,
+  Room,
+  Group,
+  GenerationJob,
+  GenerationJobStatus,
+  GenerationProgress,
+  GeneratedTimetableEntry,
+  SoftConstraintName,
+  TimetableVersion,
+  TimetableVersionDiff,
+  TimetableVersionSlot,
+} from '@/services/timetableService';
 
 interface TimetableSlot {
   id: string;
@@ -26,7 +43,50 @@ interface TimetableSlot {
   semester_type: string;
 }
 
+const JOB_EVENTS = [
+  'TIMETABLE_JOB_PROGRESS',
+  'TIMETABLE_JOB_COMPLETED',
+  'TIMETABLE_JOB_FAILED',
+  'TIMETABLE_JOB_CANCELLED',
+] as const;
+
+// Fallback when socket events are missed (e.g. the socket reconnected mid-job)
+const JOB_POLL_INTERVAL_MS = 3000;
+
+const SOFT_CONSTRAINT_LABELS: Record<SoftConstraintName, string> = {
+  teacher_idle_gaps: 'Teacher idle gaps',
+  subject_spread: 'Subject spread',
+  consecutive_labs: 'Split lab periods',
+  room_changes: 'Room changes',
+};
+
+const isJobActive = (status: GenerationJobStatus) => status === 'queued' || status === 'running';
+
+interface JobEventPayload {
+  jobId: string;
+  status: GenerationJobStatus;
+  progress: GenerationProgress | null;
+}
+
+const toTimetableSlots = (
+  entries: GeneratedTimetableEntry[],
+  academicYear: string,
+  semesterType: string
+): TimetableSlot[] =>
+  entries.map(entry => ({
+    id: `${entry.day}-${entry.period}-${entry.group.id}`,
+    day_of_week: entry.day,
+    period_number: entry.period,
+    teacher_id: entry.teacher.id,
+    subject_id: entry.subject.id,
+    group_id: entry.group.id,
+    room_id: entry.room.id,
+    academic_year: academicYear,
+    semester_type: semesterType,
+  }));
+
 export default function TimetableManagement() {
+  const { socket } = useNotification();
   const [isDraft, setIsDraft] = useState(false);
   const [activeModal, setActiveModal] = useState<string | null>(null);
   
@@ -36,6 +96,10 @@ export default function TimetableManagement() {
   const [rooms, setRooms] = useState<Room[]>([]);
   const [groups, setGroups] = useState<Group[]>([]);
   const [timetableSlots, setTimetableSlots] = useState<TimetableSlot[]>([]);
+  const [generationJob, setGenerationJob] = useState<GenerationJob | null>(null);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [draftVersion, setDraftVersion] = useState<TimetableVersion | null>(null);
+  const [draftDiff, setDraftDiff] = useState<TimetableVersionDiff | null>(null);
   
   // Loading and filtering states
   const [isLoading, setIsLoading] = useState(false);
@@ -44,7 +108,7 @@ export default function TimetableManagement() {
   const [selectedSemesterType, setSelectedSemesterType] = useState('odd');
   const [selectedDays, setSelectedDays] = useState(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']);
   const [periodsPerDay, setPeriodsPerDay] = useState(7);
-  const [lunchBreakPeriod, setLunchBreakPeriod] = useState(4);
+  const [lunchBreakPeriod, setLunchBreakPeriod] = useState<number | null>(4);
   
   // Tab states for viewing data
   const [activeTab, setActiveTab] = useState<'overview' | 'teachers' | 'subjects' | 'rooms' | 'groups' | 'assignments' | 'timetable'>('overview');
@@ -71,6 +135,13 @@ export default function TimetableManagement() {
       setSubjects(subjectsData.data?.subjects || []);
       setRooms(roomsData.data?.rooms || []);
       setGroups(groupsData.data?.groups || []);
+
+      // Generation defaults follow the configured bell schedule
+      if (configData?.data?.defaultDays) {
+        setSelectedDays(configData.data.defaultDays);
+        setPeriodsPerDay(configData.data.defaultPeriodsPerDay);
+        setLunchBreakPeriod(configData.data.defaultLunchBreak ?? null);
+      }
     } catch (error) {
       console.error('Failed to load data:', error);
       toast.error('Failed to load timetable data');
@@ -100,9 +171,12 @@ export default function TimetableManagement() {
     try {
       setIsLoading(true);
       const result = await timetableService.generateTimetable(generationData);
-      setTimetableSlots(result.data?.slots || []);
-      setIsDraft(true);
-      toast.success('Draft timetable generated!');
+      const job: GenerationJob | undefined = result.data?.job;
+      if (!job) {
+        throw new Error('Generation did not start');
+      }
+      socket?.emit('join', result.data.room);
+      setGenerationJob(job);
     } catch (error: any) {
       toast.error(error?.message || 'Failed to generate timetable');
     } finally {
@@ -110,13 +184,138 @@ export default function TimetableManagement() {
     }
   };
 
+  const handleJobFinished = useCallback((job: GenerationJob) => {
+    setGenerationJob(job);
+    if (job.status === 'completed' && job.result) {
+      const version = job.result.version;
+      setTimetableSlots(toTimetableSlots(job.result.timetable, job.academic_year, job.semester_type));
+      setDraftVersion(version);
+      setDraftDiff(null);
+      setIsDraft(true);
+      toast.success(`Draft version ${version.version_number} generated!`);
+      timetableService
+        .diffVersion(version.id)
+        .then(result => setDraftDiff(result?.diff ?? null))
+        .catch(() => setDraftDiff(null));
+    } else if (job.status === 'cancelled') {
+      toast.info('Timetable generation cancelled');
+    } else if (job.status === 'failed') {
+      toast.error(job.error?.message || job.error?.error || 'Failed to generate timetable');
+    }
+  }, []);
+
+  const activeJobId = generationJob && isJobActive(generationJob.status) ? generationJob.id : null;
+
+  // Follow the running job: live progress over the socket, polling as a fallback
+  useEffect(() => {
+    if (!activeJobId) return;
+    let finished = false;
+
+    const refreshJob = async () => {
+      if (finished) return;
+      try {
+        const job = await timetableService.getGenerationJob(activeJobId);
+        if (finished || !job) return;
+        if (isJobActive(job.status)) {
+          setGenerationJob(job);
+        } else {
+          finished = true;
+          handleJobFinished(job);
+        }
+      } catch (error: any) {
+        finished = true;
+        setGenerationJob(null);
+        toast.error(error?.message || 'Lost track of timetable generation');
+      }
+    };
+
+    const handleJobEvent = (payload: JobEventPayload) => {
+      if (payload?.jobId !== activeJobId || finished) return;
+      if (isJobActive(payload.status)) {
+        setGenerationJob(prev => (prev ? { ...prev, status: payload.status, progress: payload.progress } : prev));
+      } else {
+        // Terminal events carry no result; fetch the full job
+        refreshJob();
+      }
+    };
+
+    JOB_EVENTS.forEach(event => socket?.on(event, handleJobEvent));
+    const poll = window.setInterval(refreshJob, JOB_POLL_INTERVAL_MS);
+
+    return () => {
+      finished = true;
+      JOB_EVENTS.forEach(event => socket?.off(event, handleJobEvent));
+      window.clearInterval(poll);
+    };
+  }, [activeJobId, socket, handleJobFinished]);
+
+  const handleCancelGeneration = async () => {
+    if (!activeJobId) return;
+    try {
+      setIsCancelling(true);
+      await timetableService.cancelGenerationJob(activeJobId);
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to cancel generation');
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
+  // Keep the slot table and the diff in step with moves made in the grid editor
+  const handleDraftSlotsChange = (slots: TimetableVersionSlot[]) => {
+    if (!draftVersion) return;
+    setTimetableSlots(slots.map(slot => ({
+      ...slot,
+      academic_year: draftVersion.academic_year,
+      semester_type: draftVersion.semester_type,
+    })));
+    timetableService
+      .diffVersion(draftVersion.id)
+      .then(result => setDraftDiff(result?.diff ?? null))
+      .catch(() => setDraftDiff(null));
+  };
+
   const handleConfirmPublish = async () => {
+    if (!draftVersion) return;
     try {
       setIsLoading(true);
+      await timetableService.publishVersion(draftVersion.id);
       setIsDraft(false);
+      setDraftVersion(null);
+      setDraftDiff(null);
       toast.success('Timetable published successfully!');
-    } catch (error) {
-      toast.error('Failed to publish timetable');
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to publish timetable');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDiscardDraft = async () => {
+    if (!draftVersion || !window.confirm('Discard this draft timetable?')) return;
+    try {
+      setIsLoading(true);
+      await timetableService.deleteVersion(draftVersion.id);
+      setIsDraft(false);
+      setDraftVersion(null);
+      setDraftDiff(null);
+      setTimetableSlots([]);
+      toast.success('Draft discarded');
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to discard draft');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRollback = async () => {
+    if (!window.confirm(`Restore the previously published ${selectedAcademicYear} (${selectedSemesterType}) timetable?`)) return;
+    try {
+      setIsLoading(true);
+      const version = await timetableService.rollbackVersion(selectedAcademicYear, selectedSemesterType);
+      toast.success(`Rolled back to version ${version.version_number}`);
+    } catch (error: any) {
+      toast.error(error?.message || 'Failed to roll back timetable');
     } finally {
       setIsLoading(false);
     }
@@ -208,14 +407,26 @@ export default function TimetableManagement() {
               <h3 className="font-bold text-lg text-accent">DRAFT MODE</h3>
             </div>
             <p className="text-muted-foreground mb-4">
-              Review the generated timetable below. Click "Confirm & Publish" to make it live.
+              Review the generated timetable below. Students keep seeing the published timetable until you click "Confirm & Publish".
             </p>
-            <Button
-              onClick={handleConfirmPublish}
-              className="bg-primary text-primary-foreground font-semibold glow-primary-hover"
-            >
-              Confirm & Publish
-            </Button>
+            {draftDiff && (
+              <p className="text-sm mb-4">
+                Compared with the published version: {draftDiff.added.length} added, {draftDiff.changed.length} changed,{' '}
+                {draftDiff.removed.length} removed, {draftDiff.unchanged_count} unchanged.
+              </p>
+            )}
+            <div className="flex flex-wrap gap-2">
+              <Button
+                onClick={handleConfirmPublish}
+                disabled={isLoading || !draftVersion}
+                className="bg-primary text-primary-foreground font-semibold glow-primary-hover"
+              >
+                Confirm & Publish
+              </Button>
+              <Button onClick={handleDiscardDraft} disabled={isLoading || !draftVersion} variant="outline">
+                Discard Draft
+              </Button>
+            </div>
           </motion.div>
         )}
 
@@ -304,15 +515,15 @@ export default function TimetableManagement() {
                         onChange={(e) => setPeriodsPerDay(parseInt(e.target.value))}
                         className="w-full p-2 rounded-lg bg-card border border-border"
                         min="1"
-                        max="10"
+                        max="8"
                       />
                     </div>
                     <div className="space-y-2">
                       <label className="text-sm font-medium">Lunch Break Period</label>
                       <input 
                         type="number" 
-                        value={lunchBreakPeriod}
-                        onChange={(e) => setLunchBreakPeriod(parseInt(e.target.value))}
+                        value={lunchBreakPeriod ?? ''}
+                        onChange={(e) => setLunchBreakPeriod(e.target.value ? parseInt(e.target.value) : null)}
                         className="w-full p-2 rounded-lg bg-card border border-border"
                         min="1"
                         max={periodsPerDay}
@@ -355,15 +566,47 @@ export default function TimetableManagement() {
                         <option value="even">Even Semester</option>
                       </select>
                     </div>
-                    {!isDraft && (
+                    {activeJobId && generationJob ? (
+                      <div className="space-y-2" aria-live="polite">
+                        <div className="flex justify-between text-sm">
+                          <span className="font-medium">
+                            {generationJob.status === 'queued'
+                              ? 'Starting generation...'
+                              : generationJob.progress?.phase === 'optimizing'
+                                ? 'Optimising timetable quality...'
+                                : 'Generating timetable...'}
+                          </span>
+                          <span className="text-muted-foreground">{generationJob.progress?.percent ?? 0}%</span>
+                        </div>
+                        <Progress value={generationJob.progress?.percent ?? 0} aria-label="Timetable generation progress" />
+                        {generationJob.progress && (
+                          <p className="text-xs text-muted-foreground">
+                            {generationJob.progress.placed}/{generationJob.progress.total} periods placed •{' '}
+                            {generationJob.progress.iteration.toLocaleString()} iterations
+                          </p>
+                        )}
+                        <Button
+                          onClick={handleCancelGeneration}
+                          disabled={isCancelling}
+                          variant="outline"
+                          className="w-full gap-2"
+                        >
+                          <XCircle className="h-4 w-4" />
+                          {isCancelling ? 'Cancelling...' : 'Cancel Generation'}
+                        </Button>
+                      </div>
+                    ) : !isDraft && (
                       <Button
                         onClick={handleGenerateDraft}
                         disabled={isLoading}
                         className="bg-primary text-primary-foreground font-semibold glow-primary-hover w-full"
                       >
-                        {isLoading ? 'Generating...' : 'Generate Draft Timetable'}
+                        {isLoading ? 'Starting...' : 'Generate Draft Timetable'}
                       </Button>
                     )}
+                    <Button onClick={handleRollback} disabled={isLoading || !!activeJobId} variant="outline" className="w-full">
+                      Roll Back to Previous Version
+                    </Button>
                   </div>
                 </CardContent>
               </Card>
@@ -823,6 +1066,44 @@ export default function TimetableManagement() {
                 )}
               </div>
               
+              {generationJob?.status === 'completed' && generationJob.result?.quality && (
+                <div className="rounded-lg border border-border/50 p-4 space-y-3">
+                  <div className="flex flex-wrap justify-between gap-2 text-sm">
+                    <span className="font-semibold">Quality penalty: {generationJob.result.quality.total}</span>
+                    <span className="text-muted-foreground">
+                      {generationJob.result.quality.initial_total} before optimisation •{' '}
+                      {generationJob.result.quality.improvements} improvements
+                    </span>
+                  </div>
+                  <div className="grid sm:grid-cols-2 md:grid-cols-4 gap-2">
+                    {(Object.keys(SOFT_CONSTRAINT_LABELS) as SoftConstraintName[]).map(name => {
+                      const entry = generationJob.result?.quality?.breakdown[name];
+                      return (
+                        <div key={name} className="rounded-md bg-accent/10 p-3 text-xs">
+                          <p className="text-muted-foreground">{SOFT_CONSTRAINT_LABELS[name]}</p>
+                          <p className="text-lg font-semibold">{entry?.penalty ?? 0}</p>
+                          <p className="text-muted-foreground">
+                            {entry?.violations ?? 0} × {entry?.weight ?? 0}
+                          </p>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
+              {draftVersion && (
+                <div className="rounded-lg border border-border/50 p-4 space-y-3">
+                  <div>
+                    <h4 className="font-semibold">Edit Draft</h4>
+                    <p className="text-sm text-muted-foreground">
+                      Drag a class to another cell. Moves are checked for clashes before they are saved.
+                    </p>
+                  </div>
+                  <TimetableGridEditor versionId={draftVersion.id} onSlotsChange={handleDraftSlotsChange} />
+                </div>
+              )}
+
               {timetableSlots.length > 0 ? (
                 <div className="overflow-x-auto">
                   <table className="w-full text-xs">
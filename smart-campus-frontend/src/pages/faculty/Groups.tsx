@@ -0,0 +1,72 @@
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { DashboardLayout } from '@/components/layout/DashboardLayout';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Loader, Users } from 'lucide-react';
+import { toast } from 'sonner';
+import { facultyService, FacultyGroup } from '@/services/facultyService';
+
+export default function FacultyGroups() {
+  const [groups, setGroups] = useState<FacultyGroup[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const loadGroups = async () => {
+      try {
+        const result = await facultyService.getMyGroups();
+        setGroups(result || []);
+      } catch (err: unknown) {
+        const e = err as { message?: string };
+        toast.error(e?.message || 'Failed to load your groups');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadGroups();
+  }, []);
+
+  return (
+    <DashboardLayout>
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="space-y-6"
+      >
+        <div>
+          <h1 className="text-3xl font-bold mb-2">My Groups</h1>
+          <p className="text-muted-foreground">Student groups you teach this semester</p>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center min-h-[300px]">
+            <Loader className="h-8 w-8 animate-spin text-primary" />
+          </div>
+        ) : groups.length === 0 ? (
+          <Card className="glass">
+            <CardContent className="py-12 text-center">
+              <Users className="h-12 w-12 mx-auto mb-4 text-muted-foreground" />
+              <h3 className="text-lg font-semibold mb-2">No Groups Yet</h3>
+              <p className="text-muted-foreground">Groups appear here once a timetable is generated</p>
+            </CardContent>
+          </Card>
+        ) : (
+          <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {groups.map((group) => (
+              <Card key={group.id} className="glass glow-accent-hover">
+                <CardHeader>
+                  <CardTitle className="text-lg">{group.group_name}</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-1 text-sm text-muted-foreground">
+                  <p>{group.group_code} • {group.department}</p>
+                  <p>Semester {group.semester} • {group.strength} students</p>
+                  <p>{group.periods_per_week} period{group.periods_per_week !== 1 ? 's' : ''} / week with you</p>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        )}
+      </motion.div>
+    </DashboardLayout>
+  );
+}
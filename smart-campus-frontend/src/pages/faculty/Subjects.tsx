@@ -0,0 +1,72 @@
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { DashboardLayout } from '@/components/layout/DashboardLayout';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { BookOpen, Loader } from 'lucide-react';
+import { toast } from 'sonner';
+import { facultyService, FacultySubject } from '@/services/facultyService';
+
+export default function FacultySubjects() {
+  const [subjects, setSubjects] = useState<FacultySubject[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const loadSubjects = async () => {
+      try {
+        const result = await facultyService.getMySubjects();
+        setSubjects(result || []);
+      } catch (err: unknown) {
+        const e = err as { message?: string };
+        toast.error(e?.message || 'Failed to load your subjects');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadSubjects();
+  }, []);
+
+  return (
+    <DashboardLayout>
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="space-y-6"
+      >
+        <div>
+          <h1 className="text-3xl font-bold mb-2">My Subjects</h1>
+          <p className="text-muted-foreground">Subjects you are assigned to teach</p>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center min-h-[300px]">
+            <Loader className="h-8 w-8 animate-spin text-primary" />
+          </div>
+        ) : subjects.length === 0 ? (
+          <Card className="glass">
+            <CardContent className="py-12 text-center">
+              <BookOpen className="h-12 w-12 mx-auto mb-4 text-muted-foreground" />
+              <h3 className="text-lg font-semibold mb-2">No Subjects Assigned</h3>
+              <p className="text-muted-foreground">Ask an administrator to assign you to a subject</p>
+            </CardContent>
+          </Card>
+        ) : (
+          <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {subjects.map((subject) => (
+              <Card key={subject.id} className="glass glow-accent-hover">
+                <CardHeader>
+                  <CardTitle className="text-lg">{subject.subject_name}</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-1 text-sm text-muted-foreground">
+                  <p>{subject.subject_code} • {subject.course_type}</p>
+                  <p>{subject.department} • Semester {subject.semester}</p>
+                  <p>{subject.hours_per_week} hours / week</p>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        )}
+      </motion.div>
+    </DashboardLayout>
+  );
+}
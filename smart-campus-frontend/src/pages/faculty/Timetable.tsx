@@ -0,0 +1,162 @@
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { DashboardLayout } from '@/components/layout/DashboardLayout';
+import { Card } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Skeleton } from '@/components/ui/skeleton';
+import { AlertCircle, Calendar, RefreshCw } from 'lucide-react';
+import { toast } from 'sonner';
+import { facultyService, FacultyTimetableSlot } from '@/services/facultyService';
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const PERIODS = [1, 2, 3, 4, 5, 6, 7, 8];
+
+type ScheduleGrid = Record<string, Record<number, FacultyTimetableSlot | undefined>>;
+
+const buildGrid = (slots: FacultyTimetableSlot[]): ScheduleGrid => {
+  const grid: ScheduleGrid = {};
+  DAYS.forEach((day) => {
+    grid[day] = {};
+  });
+  slots.forEach((slot) => {
+    if (grid[slot.day_of_week]) {
+      grid[slot.day_of_week][slot.period_number] = slot;
+    }
+  });
+  return grid;
+};
+
+export default function FacultyTimetable() {
+  const [slots, setSlots] = useState<FacultyTimetableSlot[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadTimetable = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const timetable = await facultyService.getMyTimetable();
+      setSlots(timetable || []);
+    } catch (err: unknown) {
+      const e = err as { message?: string };
+      const errorMsg = e?.message || 'Failed to load your timetable';
+      setError(errorMsg);
+      toast.error(errorMsg);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTimetable();
+  }, []);
+
+  const grid = buildGrid(slots);
+
+  return (
+    <DashboardLayout>
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="space-y-6"
+      >
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold mb-2">My Schedule</h1>
+            <p className="text-muted-foreground">
+              {slots.length} teaching period{slots.length !== 1 ? 's' : ''} per week
+            </p>
+          </div>
+          <Button onClick={loadTimetable} disabled={loading} variant="outline" size="sm" className="gap-2">
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+        </div>
+
+        {loading && (
+          <Card className="glass p-6" aria-busy="true" aria-label="Loading schedule">
+            {Array.from({ length: 6 }).map((_, i) => (
+              <Skeleton key={i} className="h-[70px] rounded-lg mb-2" />
+            ))}
+          </Card>
+        )}
+
+        {error && !loading && (
+          <Card className="glass border-red-500/50 p-6">
+            <div className="flex items-center gap-3 text-red-500">
+              <AlertCircle className="h-6 w-6" />
+              <div>
+                <p className="font-semibold">Failed to load schedule</p>
+                <p className="text-sm text-muted-foreground">{error}</p>
+              </div>
+            </div>
+          </Card>
+        )}
+
+        {!loading && !error && slots.length === 0 && (
+          <Card className="glass p-12">
+            <div className="flex flex-col items-center justify-center gap-4 text-center">
+              <Calendar className="h-16 w-16 text-muted-foreground/50" />
+              <div>
+                <p className="font-semibold text-lg">No Classes Scheduled</p>
+                <p className="text-sm text-muted-foreground mt-2">
+                  You have not been assigned any periods in the current timetable.
+                </p>
+              </div>
+            </div>
+          </Card>
+        )}
+
+        {!loading && !error && slots.length > 0 && (
+          <Card className="glass overflow-hidden">
+            <div className="p-6 overflow-x-auto">
+              <div className="min-w-max">
+                <div className="grid grid-cols-9 gap-2 mb-3 pb-3 border-b border-border">
+                  <div className="font-bold text-sm text-center p-3 bg-accent/10 rounded-lg">
+                    Day / Period
+                  </div>
+                  {PERIODS.map((period) => (
+                    <div key={period} className="font-bold text-sm text-center p-3 bg-accent/10 rounded-lg">
+                      Period {period}
+                    </div>
+                  ))}
+                </div>
+
+                {DAYS.map((day) => (
+                  <div key={day} className="grid grid-cols-9 gap-2 mb-2">
+                    <div className="font-semibold text-sm flex items-center justify-center p-3 bg-primary/10 rounded-lg">
+                      {day}
+                    </div>
+                    {PERIODS.map((period) => {
+                      const slot = grid[day][period];
+                      return (
+                        <div
+                          key={`${day}-${period}`}
+                          className={`glass p-3 min-h-[70px] rounded-lg border ${
+                            slot ? 'border-accent/30' : 'border-border/30'
+                          }`}
+                        >
+                          {slot ? (
+                            <div className="space-y-1">
+                              <div className="font-semibold text-xs line-clamp-1" title={slot.subject_name}>
+                                {slot.subject_name}
+                              </div>
+                              <div className="text-xs text-muted-foreground line-clamp-1">{slot.group_name}</div>
+                              <div className="text-xs text-muted-foreground line-clamp-1">{slot.room_name}</div>
+                            </div>
+                          ) : (
+                            <div className="text-xs text-muted-foreground/50 text-center">-</div>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </Card>
+        )}
+      </motion.div>
+    </DashboardLayout>
+  );
+}
@@ -1,13 +1,21 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Users, Search, AlertCircle, Loader, Mail, Calendar } from 'lucide-react';
+import { Users, Search, AlertCircle, Loader, Mail, Calendar, UserPlus, UserCheck, Star } from 'lucide-react';
 import { DashboardLayout } from '@/components/layout/DashboardLayout';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
-import { clubService, Club, ClubWithEvents } from '@/services/clubService';
+import { clubService, Club, ClubWithEvents, ClubRole, MembershipStatus, isClubManager } from '@/services/clubService';
+import { ClubMembersDialog } from '@/components/clubs/ClubMembersDialog';
 import { toast } from 'sonner';
 
+type ClubView = 'all' | 'mine';
+
+interface MembershipState {
+  my_role?: ClubRole | null;
+  my_status?: MembershipStatus | null;
+}
+
 export default function Clubs() {
   const [clubs, setClubs] = useState<Club[]>([]);
   const [filteredClubs, setFilteredClubs] = useState<Club[]>([]);
@@ -17,6 +25,10 @@ export default function Clubs() {
   const [isLoading, setIsLoading] = useState(true);
   const [isLoadingDetails, setIsLoadingDetails] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [view, setView] = useState<ClubView>('all');
+  const [myClubs, setMyClubs] = useState<Club[]>([]);
+  const [updatingClubId, setUpdatingClubId] = useState<number | null>(null);
+  const [managedClub, setManagedClub] = useState<{ id: number; name: string; role: ClubRole } | null>(null);
 
   const categories = ['All', 'Academic', 'Sports', 'Cultural', 'Technical', 'Arts', 'Social'];
 
@@ -27,7 +39,7 @@ export default function Clubs() {
 
   // Filter clubs when search or category changes
   useEffect(() => {
-    let filtered = clubs;
+    let filtered = view === 'mine' ? myClubs : clubs;
 
     // Filter by category
     if (selectedCategory !== 'All') {
@@ -45,14 +57,15 @@ export default function Clubs() {
     }
 
     setFilteredClubs(filtered);
-  }, [clubs, searchQuery, selectedCategory]);
+  }, [clubs, myClubs, view, searchQuery, selectedCategory]);
 
   const loadClubs = async () => {
     try {
       setIsLoading(true);
       setError(null);
-      const data = await clubService.getAll();
+      const [data, mine] = await Promise.all([clubService.getAll(), clubService.getMy()]);
       setClubs(data);
+      setMyClubs(mine);
     } catch (err: unknown) {
       const e = err as { message?: string };
       const errorMsg = e?.message || 'Failed to load clubs';
@@ -76,6 +89,90 @@ export default function Clubs() {
     }
   };
 
+  const refreshMemberships = async () => {
+    const [data, mine] = await Promise.all([clubService.getAll(), clubService.getMy()]);
+    setClubs(data);
+    setMyClubs(mine);
+    if (selectedClub) {
+      setSelectedClub(await clubService.getById(selectedClub.id));
+    }
+  };
+
+  const handleJoin = async (clubId: number) => {
+    try {
+      setUpdatingClubId(clubId);
+      await clubService.join(clubId);
+      toast.success('Join request sent');
+      await refreshMemberships();
+    } catch (err: unknown) {
+      const e = err as { message?: string };
+      toast.error(e?.message || 'Failed to send join request');
+    } finally {
+      setUpdatingClubId(null);
+    }
+  };
+
+  const handleLeave = async (clubId: number, status: MembershipStatus) => {
+    if (status === 'active' && !confirm('Leave this club?')) return;
+
+    try {
+      setUpdatingClubId(clubId);
+      await clubService.leave(clubId);
+      toast.success(status === 'pending' ? 'Join request withdrawn' : 'You have left the club');
+      await refreshMemberships();
+    } catch (err: unknown) {
+      const e = err as { message?: string };
+      toast.error(e?.message || 'Failed to leave club');
+    } finally {
+      setUpdatingClubId(null);
+    }
+  };
+
+  const renderMembershipAction = (clubId: number, membership: MembershipState) => {
+    const isUpdating = updatingClubId === clubId;
+
+    if (!membership.my_status) {
+      return (
+        <Button size="sm" className="w-full" disabled={isUpdating} onClick={() => handleJoin(clubId)}>
+          {isUpdating ? <Loader className="h-4 w-4 mr-2 animate-spin" /> : <UserPlus className="h-4 w-4 mr-2" />}
+          Request to Join
+        </Button>
+      );
+    }
+
+    return (
+      <Button
+        size="sm"
+        variant="outline"
+        className="w-full"
+        disabled={isUpdating}
+        onClick={() => handleLeave(clubId, membership.my_status as MembershipStatus)}
+      >
+        {isUpdating && <Loader className="h-4 w-4 mr-2 animate-spin" />}
+        {membership.my_status === 'pending' ? 'Withdraw Request' : 'Leave Club'}
+      </Button>
+    );
+  };
+
+  const renderMembershipBadge = (membership: MembershipState) => {
+    if (membership.my_status === 'pending') {
+      return (
+        <span className="inline-block px-2 py-1 rounded text-xs font-semibold bg-secondary text-secondary-foreground">
+          Request pending
+        </span>
+      );
+    }
+    if (membership.my_status === 'active') {
+      return (
+        <span className="inline-flex items-center gap-1 px-2 py-1 rounded text-xs font-semibold bg-primary/20 text-primary capitalize">
+          <UserCheck className="h-3 w-3" />
+          {membership.my_role}
+        </span>
+      );
+    }
+    return null;
+  };
+
   if (isLoading) {
     return (
       <DashboardLayout>
@@ -153,9 +250,36 @@ export default function Clubs() {
                   <div className="flex items-start justify-between">
                     <div className="flex-1">
                       <CardTitle className="text-3xl">{selectedClub.name}</CardTitle>
-                      <span className="inline-block mt-2 px-3 py-1 rounded-full text-xs font-semibold bg-primary/20 text-primary">
-                        {selectedClub.category}
-                      </span>
+                      <div className="flex flex-wrap items-center gap-2 mt-2">
+                        <span className="inline-block px-3 py-1 rounded-full text-xs font-semibold bg-primary/20 text-primary">
+                          {selectedClub.category}
+                        </span>
+                        {renderMembershipBadge({
+                          my_role: selectedClub.membership?.role,
+                          my_status: selectedClub.membership?.status,
+                        })}
+                      </div>
+                    </div>
+                    <div className="flex flex-col gap-2 min-w-[160px]">
+                      {renderMembershipAction(selectedClub.id, {
+                        my_role: selectedClub.membership?.role,
+                        my_status: selectedClub.membership?.status,
+                      })}
+                      {selectedClub.membership?.status === 'active' && isClubManager(selectedClub.membership.role) && (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          className="w-full"
+                          onClick={() => setManagedClub({
+                            id: selectedClub.id,
+                            name: selectedClub.name,
+                            role: selectedClub.membership!.role,
+                          })}
+                        >
+                          <Users className="h-4 w-4 mr-2" />
+                          Manage Members
+                        </Button>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -168,6 +292,18 @@ export default function Clubs() {
                     <p className="text-muted-foreground">{selectedClub.description}</p>
                   </div>
 
+                  <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                    <Users className="h-4 w-4 text-primary" />
+                    {selectedClub.member_count ?? 0} members
+                  </div>
+
+                  {selectedClub.average_rating != null && (
+                    <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                      <Star className="h-4 w-4 text-yellow-500 fill-yellow-500" />
+                      {selectedClub.average_rating.toFixed(1)} average event rating ({selectedClub.rating_count} ratings)
+                    </div>
+                  )}
+
                   {/* Contact Info */}
                   <div className="flex items-center gap-2 text-sm">
                     <Mail className="h-4 w-4 text-primary" />
@@ -231,6 +367,24 @@ export default function Clubs() {
           <>
             {/* Search and Filter */}
             <div className="space-y-4">
+              {/* All / My Clubs */}
+              <div className="flex gap-2">
+                <Button
+                  size="sm"
+                  variant={view === 'all' ? 'default' : 'outline'}
+                  onClick={() => setView('all')}
+                >
+                  All Clubs
+                </Button>
+                <Button
+                  size="sm"
+                  variant={view === 'mine' ? 'default' : 'outline'}
+                  onClick={() => setView('mine')}
+                >
+                  My Clubs ({myClubs.length})
+                </Button>
+              </div>
+
               {/* Search Input */}
               <div className="relative">
                 <Search className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
@@ -268,9 +422,11 @@ export default function Clubs() {
                 <CardContent className="py-12 text-center">
                   <Users className="h-12 w-12 text-muted-foreground mx-auto mb-4 opacity-50" />
                   <p className="text-muted-foreground">
-                    {clubs.length === 0
-                      ? 'No clubs available yet'
-                      : 'No clubs match your search'}
+                    {view === 'mine' && myClubs.length === 0
+                      ? "You haven't joined any clubs yet"
+                      : clubs.length === 0
+                        ? 'No clubs available yet'
+                        : 'No clubs match your search'}
                   </p>
                 </CardContent>
               </Card>
@@ -293,9 +449,12 @@ export default function Clubs() {
                         <CardHeader>
                           <div className="space-y-2">
                             <CardTitle className="line-clamp-2">{club.name}</CardTitle>
-                            <span className="inline-block px-2 py-1 rounded text-xs font-semibold bg-primary/20 text-primary">
-                              {club.category}
-                            </span>
+                            <div className="flex flex-wrap items-center gap-2">
+                              <span className="inline-block px-2 py-1 rounded text-xs font-semibold bg-primary/20 text-primary">
+                                {club.category}
+                              </span>
+                              {renderMembershipBadge(club)}
+                            </div>
                           </div>
                         </CardHeader>
                         <CardContent className="space-y-4">
@@ -308,6 +467,15 @@ export default function Clubs() {
                             <span className="truncate">{club.contact_email}</span>
                           </div>
 
+                          <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                            <Users className="h-3 w-3" />
+                            <span>{club.member_count ?? 0} members</span>
+                          </div>
+
+                          <div onClick={(e) => e.stopPropagation()}>
+                            {renderMembershipAction(club.id, club)}
+                          </div>
+
                           <Button
                             variant="outline"
                             size="sm"
@@ -337,12 +505,23 @@ export default function Clubs() {
             {/* Results Count */}
             {filteredClubs.length > 0 && (
               <div className="text-center text-sm text-muted-foreground">
-                Showing {filteredClubs.length} of {clubs.length} clubs
+                Showing {filteredClubs.length} of {view === 'mine' ? myClubs.length : clubs.length} clubs
               </div>
             )}
           </>
         )}
       </motion.div>
+
+      {managedClub && (
+        <ClubMembersDialog
+          clubId={managedClub.id}
+          clubName={managedClub.name}
+          myRole={managedClub.role}
+          open={Boolean(managedClub)}
+          onClose={() => setManagedClub(null)}
+          onChange={refreshMemberships}
+        />
+      )}
     </DashboardLayout>
   );
 }
@@ -11,6 +11,8 @@ import { Badge } from '@/components/ui/badge';
 import { timetableService, Group } from '@/services/timetableService';
 import { TimetableSlot } from '@/types';
 import { ActivityFeed } from '@/components/dashboard/ActivityFeed';
+import { RoomBookingsCard } from '@/components/dashboard/RoomBookingsCard';
+import { RecommendedEventsCard } from '@/components/dashboard/RecommendedEventsCard';
 import { DashboardEventsSkeleton, DashboardStatsGridSkeleton } from '@/components/dashboard/DashboardSkeletons';
 
 const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
@@ -359,6 +361,14 @@ export default function StudentDashboard() {
               </motion.div>
             )}
 
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.7 }}
+            >
+              <RecommendedEventsCard />
+            </motion.div>
+
             <motion.div
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
@@ -402,6 +412,14 @@ export default function StudentDashboard() {
                 </CardContent>
               </Card>
             </motion.div>
+
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.9 }}
+            >
+              <RoomBookingsCard mode="mine" />
+            </motion.div>
           </div>
 
           <div className="lg:col-span-1">
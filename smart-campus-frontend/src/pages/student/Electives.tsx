@@ -1,11 +1,13 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { BookOpen, CheckCircle2, X, AlertCircle, Loader } from 'lucide-react';
 import { DashboardLayout } from '@/components/layout/DashboardLayout';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { useAuth } from '@/contexts/AuthContext';
-import { electiveService, Elective, StudentAllocation, WaitlistEntry } from '@/services/electiveService';
+import { electiveService, Elective, ElectiveRound, StudentAllocation, WaitlistEntry } from '@/services/electiveService';
+import { RoundCountdownCard } from '@/components/electives/RoundCountdownCard';
+import { ElectiveChangeCard } from '@/components/electives/ElectiveChangeCard';
 import { useConnectivity } from '@/contexts/ConnectivityContext';
 import { toast } from 'sonner';
 import { playSuccessSound } from '@/lib/successSound';
@@ -37,8 +39,37 @@ export default function Electives() {
   const [isLoading, setIsLoading] = useState(true);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [round, setRound] = useState<ElectiveRound | null>(null);
+  const [clockOffsetMs, setClockOffsetMs] = useState(0);
 
   const MAX_SUBJECTS = 5;
+  const selectionOpen = Boolean(round?.is_open);
+
+  const loadRound = useCallback(async () => {
+    try {
+      const { round: currentRound, serverTime } = await electiveService.getCurrentRound();
+      setRound(currentRound);
+      setClockOffsetMs(new Date(serverTime).getTime() - Date.now());
+    } catch {
+      // Without a round the page stays read-only
+      setRound(null);
+    }
+  }, []);
+
+  // Reloaded after a drop or swap; the waitlist may have moved too
+  const loadAllocation = useCallback(async () => {
+    try {
+      setAllocation(await electiveService.getMyAllocation());
+    } catch {
+      // No allocation yet, that's okay
+    }
+
+    try {
+      setWaitlist(await electiveService.getMyWaitlist());
+    } catch {
+      // No waitlist status yet
+    }
+  }, []);
 
   // Load electives and user's choices on mount
   useEffect(() => {
@@ -69,22 +100,8 @@ export default function Electives() {
           // No choices submitted yet, that's okay
         }
 
-        // Load allocation if available
-        try {
-          const allocationData = await electiveService.getMyAllocation();
-          if (allocationData) {
-            setAllocation(allocationData);
-          }
-        } catch {
-          // No allocation yet, that's okay
-        }
-
-        try {
-          const waitlistData = await electiveService.getMyWaitlist();
-          setWaitlist(waitlistData);
-        } catch {
-          // No waitlist status yet
-        }
+        await loadAllocation();
+        await loadRound();
       } catch (err: unknown) {
         const e = err as { message?: string };
         const errorMsg = e?.message || 'Failed to load electives';
@@ -96,7 +113,7 @@ export default function Electives() {
     };
 
     loadData();
-  }, [user?.semester]);
+  }, [user?.semester, loadRound, loadAllocation]);
 
   const handleDragStart = (subject: Elective) => {
     setDraggedItem(subject);
@@ -107,7 +124,8 @@ export default function Electives() {
   };
 
   const handleDropInChoice = (index: number) => {
-    if (!draggedItem || hasSubmitted || !isOnline) return;
+    if (!draggedItem || hasSubmitted || !isOnline || !selectionOpen) return;
+    if (draggedItem.eligibility?.eligible === false) return;
 
     // Check if already selected
     if (selectedChoices.some(choice => choice?.id === draggedItem.id)) {
@@ -133,6 +151,10 @@ export default function Electives() {
       toast.error('You are offline. Please wait for a connection to submit.');
       return;
     }
+    if (!selectionOpen) {
+      toast.error('Elective selection is not open right now');
+      return;
+    }
     const filledChoices = selectedChoices.filter(choice => choice !== null);
     
     if (filledChoices.length !== MAX_SUBJECTS) {
@@ -225,6 +247,11 @@ export default function Electives() {
           </div>
         </motion.div>
 
+        {/* Selection Round */}
+        {!allocation && (
+          <RoundCountdownCard round={round} clockOffsetMs={clockOffsetMs} onElapsed={loadRound} />
+        )}
+
         {/* Success Message */}
         {hasSubmitted && (
           <motion.div
@@ -272,6 +299,14 @@ export default function Electives() {
           </motion.div>
         )}
 
+        {allocation && (
+          <ElectiveChangeCard
+            allocatedElectiveId={allocation.elective_id}
+            electives={displaySubjects}
+            onChanged={loadAllocation}
+          />
+        )}
+
         {waitlist.length > 0 && (
           <Card className="glass border-amber-500/30 bg-amber-500/5">
             <CardHeader>
@@ -315,6 +350,8 @@ export default function Electives() {
                     <AnimatePresence>
                       {displaySubjects.map((subject) => {
                         const isSelected = selectedChoices.some(choice => choice?.id === subject.id);
+                        const isIneligible = subject.eligibility?.eligible === false;
+                        const canPick = !isSelected && !isIneligible && !hasSubmitted && isOnline && selectionOpen;
                         return (
                           <motion.div
                             key={subject.id}
@@ -322,13 +359,13 @@ export default function Electives() {
                             initial={{ opacity: 0, y: 10 }}
                             animate={{ opacity: 1, y: 0 }}
                             exit={{ opacity: 0, y: -10 }}
-                            draggable={!isSelected && !hasSubmitted && isOnline}
-                            onDragStart={() => !isSelected && !hasSubmitted && isOnline && handleDragStart(subject)}
+                            draggable={canPick}
+                            onDragStart={() => canPick && handleDragStart(subject)}
                             onDragEnd={handleDragEnd}
-                            className={`${!isSelected && !hasSubmitted && isOnline ? 'cursor-move' : 'cursor-not-allowed'} transition-all duration-200`}
+                            className={`${canPick ? 'cursor-move' : 'cursor-not-allowed'} transition-all duration-200`}
                           >
                             <div className={`glass rounded-lg p-4 transition-all duration-200 ${
-                              isSelected 
+                              isSelected || isIneligible
                                 ? 'border border-border opacity-50' 
                                 : 'border border-border hover:border-primary/50 glow-accent-hover'
                             }`}>
@@ -337,6 +374,16 @@ export default function Electives() {
                                   <h3 className="font-semibold text-sm mb-1">{subject.subject_name}</h3>
                                   <p className="text-xs text-muted-foreground">{subject.description}</p>
                                   <p className="text-xs text-muted-foreground mt-2">Seats: {subject.max_students}</p>
+                                  {isIneligible && (
+                                    <ul className="mt-2 space-y-0.5 text-xs text-amber-600">
+                                      {subject.eligibility?.reasons.map((reason) => (
+                                        <li key={reason} className="flex items-center gap-1">
+                                          <AlertCircle className="h-3 w-3 flex-shrink-0" />
+                                          {reason}
+                                        </li>
+                                      ))}
+                                    </ul>
+                                  )}
                                 </div>
                                 {isSelected && (
                                   <motion.span
@@ -447,7 +494,7 @@ export default function Electives() {
                 >
                   <Button
                     onClick={handleSubmitChoices}
-                    disabled={filledCount !== MAX_SUBJECTS || hasSubmitted || isSubmitting || !isOnline}
+                    disabled={filledCount !== MAX_SUBJECTS || hasSubmitted || isSubmitting || !isOnline || !selectionOpen}
                     className="w-full"
                     size="lg"
                   >
@@ -5,18 +5,27 @@ import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
-import { Calendar, MapPin, Clock, Bookmark, Search, Filter, AlertCircle, Loader, Share2, Copy, CheckCircle, Users, CalendarPlus } from 'lucide-react';
+import { Calendar, MapPin, Clock, Bookmark, Search, Filter, AlertCircle, Loader, Share2, Copy, CheckCircle, Users, CalendarPlus, QrCode, Repeat, Download, Rss, Star } from 'lucide-react';
 import { eventsService, Event } from '@/services/eventService';
 import { useConnectivity } from '@/contexts/ConnectivityContext';
 import { useToast } from '@/components/ui/use-toast';
 import { playSuccessSound } from '@/lib/successSound';
-
-// Extend Event type internally if properties are missing from standard declaration
-interface ExtendedEvent extends Event {
-  max_capacity?: number;
-  current_confirmed?: number;
-  rsvp_status?: 'confirmed' | 'waitlisted' | null;
-}
+import { buildCampusEventGoogleCalendarUrl } from '@/lib/googleCalendar';
+import { describeRecurrence, upcomingWindow } from '@/lib/recurrence';
+import { CheckInPassDialog } from '@/components/events/CheckInPassDialog';
+import { EventFeedbackDialog } from '@/components/events/EventFeedbackDialog';
+import { CalendarFeedDialog } from '@/components/events/CalendarFeedDialog';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import type { CampusEvent } from '@/types';
 
 export default function EventsPage() {
   const { isOnline } = useConnectivity();
@@ -27,6 +36,9 @@ export default function EventsPage() {
   const [isSavingMap, setIsSavingMap] = useState<Map<number, boolean>>(new Map());
   const [isRsvpingMap, setIsRsvpingMap] = useState<Map<number, boolean>>(new Map()); // 🎫 Track RSVP loaders per card
   const [cancelEventId, setCancelEventId] = useState<number | null>(null);
+  const [passEvent, setPassEvent] = useState<CampusEvent | null>(null);
+  const [feedbackEvent, setFeedbackEvent] = useState<CampusEvent | null>(null);
+  const [isFeedOpen, setIsFeedOpen] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [filters, setFilters] = useState({
     search: '',
@@ -44,7 +56,11 @@ export default function EventsPage() {
     try {
       setIsLoading(true);
       setError(null);
-      const response = await eventsService.getAll(filters);
+      // Upcoming events are listed per occurrence so repeating events show each date
+      const { upcoming, ...rest } = filters;
+      const response = await eventsService.getAll(
+        upcoming === 'true' ? { ...rest, ...upcomingWindow(), limit: 100 } : filters
+      );
       setEvents(response.data?.events || []);
     } catch (error: unknown) {
       const e = error as { message?: string };
@@ -112,16 +128,20 @@ export default function EventsPage() {
       const rsvpData = response.data?.rsvp;
       
       playSuccessSound();
-      toast.success(rsvpData?.status === 'confirmed' 
-        ? 'Seat confirmed successfully! 🎉' 
-        : 'Event is full! You have joined the Waitlist queue. ⏳'
-      );
+      toast({
+        title: rsvpData?.status === 'confirmed'
+          ? 'Seat confirmed successfully! 🎉'
+          : 'Event is full! You have joined the Waitlist queue. ⏳',
+      });
 
       // Refresh states locally to re-render badges
       loadEvents();
     } catch (error: unknown) {
       const e = error as { message?: string };
-      toast.error(e?.message || 'Failed to process RSVP request');
+      toast({
+        variant: 'destructive',
+        title: e?.message || 'Failed to process RSVP request',
+      });
     } finally {
       setIsRsvpingMap(new Map(isRsvpingMap).set(eventId, false));
     }
@@ -134,19 +154,22 @@ export default function EventsPage() {
       
       await eventsService.cancelRsvp(eventId);
       
-      toast.success('Registration cancelled successfully! ❌');
+      toast({ title: 'Registration cancelled successfully! ❌' });
 
       // Refresh states locally to re-render badges
       loadEvents();
     } catch (error: unknown) {
       const e = error as { message?: string };
-      toast.error(e?.message || 'Failed to cancel registration');
+      toast({
+        variant: 'destructive',
+        title: e?.message || 'Failed to cancel registration',
+      });
     } finally {
       setIsRsvpingMap(new Map(isRsvpingMap).set(eventId, false));
     }
   };
 
-  const handleShareEvent = async (event: ExtendedEvent) => {
+  const handleShareEvent = async (event: CampusEvent) => {
     const shareData = {
       title: event.title,
       text: `Event: ${event.title}\nTime: ${new Date(event.start_time).toLocaleString()}\nLocation: ${event.location}\n${event.description}`,
@@ -226,9 +249,15 @@ export default function EventsPage() {
         animate={{ opacity: 1, y: 0 }}
         className="space-y-6"
       >
-        <div>
-          <h1 className="text-3xl font-bold mb-2">Campus Events</h1>
-          <p className="text-muted-foreground">Discover and save upcoming events</p>
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold mb-2">Campus Events</h1>
+            <p className="text-muted-foreground">Discover and save upcoming events</p>
+          </div>
+          <Button variant="outline" onClick={() => setIsFeedOpen(true)}>
+            <Rss className="h-4 w-4 mr-2" />
+            Subscribe in Calendar
+          </Button>
         </div>
 
         <Card className="glass">
@@ -309,11 +338,12 @@ export default function EventsPage() {
         ) : (
           <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
             {events.map((event: Event, index: number) => {
-              const extendedEvent = event as ExtendedEvent;
+              const extendedEvent = event as CampusEvent;
               const userStatus = extendedEvent.rsvp_status;
-              const maxCapacity = extendedEvent.max_capacity ?? 0;
-              const currentConfirmed = extendedEvent.current_confirmed ?? 0;
-              const isFull = maxCapacity > 0 && currentConfirmed >= maxCapacity;
+              const maxCapacity = extendedEvent.max_capacity ?? null;
+              const currentConfirmed = extendedEvent.confirmed_count ?? 0;
+              const waitlistCount = extendedEvent.waitlist_count ?? 0;
+              const isFull = maxCapacity !== null && currentConfirmed >= maxCapacity;
               const googleCalendarUrl = buildCampusEventGoogleCalendarUrl({
                 title: event.title,
                 description: event.description,
@@ -326,13 +356,23 @@ export default function EventsPage() {
 
               return (
                 <motion.div
-                  key={event.id}
+                  key={`${event.id}-${event.occurrence_start ?? ''}`}
                   initial={{ opacity: 0, y: 20 }}
                   animate={{ opacity: 1, y: 0 }}
                   transition={{ delay: index * 0.1 }}
                 >
-                  <Card className="glass glow-accent-hover h-full flex flex-col justify-between">
+                  <Card className="glass glow-accent-hover h-full flex flex-col justify-between overflow-hidden">
                     <div>
+                      {extendedEvent.image_set && (
+                        <img
+                          src={extendedEvent.image_set.medium}
+                          srcSet={extendedEvent.image_set.srcset ?? undefined}
+                          sizes="(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw"
+                          alt=""
+                          loading="lazy"
+                          className="w-full aspect-video object-cover"
+                        />
+                      )}
                       <CardHeader>
                         <CardTitle className="flex items-start justify-between gap-2">
                           <div className="flex flex-col gap-1 flex-1">
@@ -374,6 +414,17 @@ export default function EventsPage() {
                               </motion.a>
                             )}
 
+                            <motion.a
+                              href={eventsService.getIcsUrl(event.id)}
+                              download
+                              whileHover={{ scale: 1.1 }}
+                              whileTap={{ scale: 0.9 }}
+                              title="Download .ics"
+                              aria-label={`Download ${event.title} as a calendar file`}
+                            >
+                              <Download className="h-5 w-5 text-muted-foreground hover:text-primary transition-colors" />
+                            </motion.a>
+
                             <motion.button
                               whileHover={{ scale: 1.1 }}
                               whileTap={{ scale: 0.9 }}
@@ -431,12 +482,21 @@ export default function EventsPage() {
                         <MapPin className="h-4 w-4" />
                         <span>{event.location}</span>
                       </div>
+                      {event.recurrence_rule && (
+                        <div className="flex items-center gap-2 text-muted-foreground">
+                          <Repeat className="h-4 w-4" />
+                          <span>{describeRecurrence(event.recurrence_rule)}</span>
+                        </div>
+                      )}
                       {/* 🎫 Seats Capacity Gauge Mapping */}
                       <div className="flex items-center gap-2 text-muted-foreground pt-1">
                         <Users className="h-4 w-4" />
                         <span className={`font-medium ${isFull ? 'text-amber-500' : 'text-emerald-500'}`}>
-                          {currentConfirmed} / {maxCapacity} Seats Filled {isFull && '(Full)'}
+                          {maxCapacity === null
+                            ? `${currentConfirmed} Going`
+                            : `${currentConfirmed} / ${maxCapacity} Seats Filled`} {isFull && '(Full)'}
                         </span>
+                        {waitlistCount > 0 && <span>· {waitlistCount} on waitlist</span>}
                       </div>
                     </div>
                     {event.club_name && (
@@ -458,7 +518,27 @@ export default function EventsPage() {
                 </div>
 
                 {/* 🎫 Dynamic Fullstack Action Button */}
-                <div className="px-6 pb-6">
+                <div className="px-6 pb-6 space-y-2">
+                  {userStatus === 'confirmed' && new Date(event.end_time) <= new Date() && (
+                    <Button
+                      variant="outline"
+                      onClick={() => setFeedbackEvent(extendedEvent)}
+                      className="w-full"
+                    >
+                      <Star className="h-4 w-4 mr-2" />
+                      Rate Event
+                    </Button>
+                  )}
+                  {userStatus === 'confirmed' && (
+                    <Button
+                      variant="outline"
+                      onClick={() => setPassEvent(extendedEvent)}
+                      className="w-full"
+                    >
+                      <QrCode className="h-4 w-4 mr-2" />
+                      Show Check-in Pass
+                    </Button>
+                  )}
                   {userStatus ? (
                     <Button
                       onClick={() => setCancelEventId(event.id)}
@@ -529,6 +609,10 @@ export default function EventsPage() {
           </AlertDialogFooter>
         </AlertDialogContent>
       </AlertDialog>
+
+      <CheckInPassDialog event={passEvent} onClose={() => setPassEvent(null)} />
+      <EventFeedbackDialog event={feedbackEvent} onClose={() => setFeedbackEvent(null)} />
+      <CalendarFeedDialog open={isFeedOpen} onClose={() => setIsFeedOpen(false)} />
     </DashboardLayout>
   );
 }
@@ -3,7 +3,7 @@ import { motion } from 'framer-motion';
 import { DashboardLayout } from '@/components/layout/DashboardLayout';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-import { Calendar, MapPin, Clock, Bookmark, AlertCircle, Loader, RefreshCw } from 'lucide-react';
+import { Calendar, MapPin, Clock, Bookmark, AlertCircle, Loader, RefreshCw, Bell, BellOff } from 'lucide-react';
 import { toast } from 'sonner';
 import { eventsService, SavedEvent } from '@/services/eventService';
 
@@ -12,6 +12,7 @@ export default function SavedEvents() {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [isRemoving, setIsRemoving] = useState<Set<number>>(new Set());
+  const [updatingReminders, setUpdatingReminders] = useState<number | null>(null);
 
   useEffect(() => {
     loadSavedEvents();
@@ -51,6 +52,21 @@ export default function SavedEvents() {
     }
   };
 
+  const handleToggleReminders = async (event: SavedEvent) => {
+    const enabled = event.reminders_enabled === false;
+    try {
+      setUpdatingReminders(event.id);
+      await eventsService.setReminders(event.id, enabled);
+      setSavedEvents(prev => prev.map(e => (e.id === event.id ? { ...e, reminders_enabled: enabled } : e)));
+      toast.success(enabled ? 'Reminders turned on' : 'Reminders turned off');
+    } catch (error: unknown) {
+      const e = error as { message?: string };
+      toast.error(e?.message || 'Failed to update reminders');
+    } finally {
+      setUpdatingReminders(null);
+    }
+  };
+
   if (error && !isLoading) {
     return (
       <DashboardLayout>
@@ -163,8 +179,27 @@ export default function SavedEvents() {
                       </div>
                     )}
                     <Button
-                      variant="outline"
+                      variant="ghost"
+                      size="sm"
                       className="w-full mt-4"
+                      onClick={() => handleToggleReminders(event)}
+                      disabled={updatingReminders === event.id}
+                    >
+                      {event.reminders_enabled === false ? (
+                        <>
+                          <BellOff className="h-4 w-4 mr-2" />
+                          Reminders Off
+                        </>
+                      ) : (
+                        <>
+                          <Bell className="h-4 w-4 mr-2" />
+                          Reminders On
+                        </>
+                      )}
+                    </Button>
+                    <Button
+                      variant="outline"
+                      className="w-full"
                       onClick={() => handleUnsaveEvent(event.id)}
                       disabled={isRemoving.has(event.id)}
                     >
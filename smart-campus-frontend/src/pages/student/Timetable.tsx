@@ -13,6 +13,8 @@ import { useConnectivity } from '@/contexts/ConnectivityContext';
 import { WifiOff } from 'lucide-react';
 import { GoogleCalendarSyncModal } from '@/components/timetable/GoogleCalendarSyncModal';
 import { buildTimetableGoogleCalendarUrl } from '@/lib/googleCalendar';
+import { academicCalendarService, type AcademicCalendar } from '@/services/academicCalendarService';
+import { EXCEPTION_LABELS, dateInWeek, findExceptionOn, formatDateRange, toDateString } from '@/lib/academicCalendar';
 
 const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 const PERIODS = [1, 2, 3, 4, 5, 6, 7, 8];
@@ -64,6 +66,7 @@ export default function StudentTimetable() {
   const [selectedSemesterType, setSelectedSemesterType] = useState<string>('odd');
   const [showSyncModal, setShowSyncModal] = useState<boolean>(false);
   const [isSyncing, setIsSyncing] = useState<boolean>(false);
+  const [academicCalendar, setAcademicCalendar] = useState<AcademicCalendar | null>(null);
   const { isOnline } = useConnectivity();
   const [searchParams, setSearchParams] = useSearchParams();
 
@@ -159,6 +162,27 @@ export default function StudentTimetable() {
     fetchConfig();
   }, []);
 
+  // Term dates and holidays for the selected semester
+  useEffect(() => {
+    const fetchAcademicCalendar = async () => {
+      try {
+        const response = await academicCalendarService.get(selectedAcademicYear, selectedSemesterType);
+        setAcademicCalendar(response.data ?? null);
+      } catch (e) {
+        console.error('Error fetching academic calendar:', e);
+        setAcademicCalendar(null);
+      }
+    };
+
+    fetchAcademicCalendar();
+  }, [selectedAcademicYear, selectedSemesterType]);
+
+  const calendarExceptions = academicCalendar?.exceptions ?? [];
+  const today = toDateString(new Date());
+  const upcomingExceptions = calendarExceptions
+    .filter((exception) => exception.end_date >= today)
+    .slice(0, 6);
+
   const isSelectedGroupValid =
     !!selectedGroup && availableGroups.some((g) => g.id === selectedGroup);
 
@@ -549,48 +573,61 @@ export default function StudentTimetable() {
                   </div>
 
                   {/* Day Rows */}
-                  {DAYS.map((day, dayIndex) => (
-                    <motion.div
-                      key={day}
-                      initial={{ opacity: 0, x: -20 }}
-                      animate={{ opacity: 1, x: 0 }}
-                      transition={{ delay: dayIndex * 0.05 }}
-                      className="grid grid-cols-9 gap-2 mb-2"
-                    >
-                      <div className="font-semibold text-sm flex items-center justify-center p-3 bg-primary/10 rounded-lg">
-                        {day}
-                      </div>
-
-                      {PERIODS.map((period) => {
-                        const slot = timetableData[day]?.[period];
-                        const isLunchBreak = breakPeriods.has(period);
-
-                        return (
-
-                          <motion.div
-                            key={`${day}-${period}`}
-                            whileHover={{ scale: slot ? 1.03 : 1 }}
-                            className={`
-                              glass p-3 min-h-[90px] rounded-lg border
-                              ${slot ? 'border-accent/30 hover:border-accent/60 cursor-pointer' : 'border-border/30'}
-                              ${isLunchBreak && !slot ? 'bg-orange-500/5' : ''}
-                              transition-all duration-200
-                            `}
-                          >
-                            {isLunchBreak && !slot ? (
-                              <div className="flex items-center justify-center h-full">
-                                <span className="text-xs font-semibold text-orange-500">
-                                  🍽️ Lunch Break
-                                </span>
-                              </div>
-                            ) : (
-                              getCellContent(slot)
-                            )}
-                          </motion.div>
-                        );
-                      })}
-                    </motion.div>
-                  ))}
+                  {DAYS.map((day, dayIndex) => {
+                    // No regular classes this week on holidays, exam days and cancelled days
+                    const closure = findExceptionOn(dateInWeek(day), calendarExceptions);
+
+                    return (
+                      <motion.div
+                        key={day}
+                        initial={{ opacity: 0, x: -20 }}
+                        animate={{ opacity: 1, x: 0 }}
+                        transition={{ delay: dayIndex * 0.05 }}
+                        className={`grid grid-cols-9 gap-2 mb-2 ${closure ? 'opacity-60' : ''}`}
+                      >
+                        <div className="font-semibold text-sm flex flex-col items-center justify-center p-3 bg-primary/10 rounded-lg">
+                          {day}
+                          {closure && (
+                            <span
+                              className="mt-1 text-[10px] font-medium text-orange-500 line-clamp-1"
+                              title={`${EXCEPTION_LABELS[closure.exception_type]}: ${closure.title}`}
+                            >
+                              {closure.title}
+                            </span>
+                          )}
+                        </div>
+
+                        {PERIODS.map((period) => {
+                          const slot = timetableData[day]?.[period];
+                          const isLunchBreak = breakPeriods.has(period);
+
+                          return (
+
+                            <motion.div
+                              key={`${day}-${period}`}
+                              whileHover={{ scale: slot ? 1.03 : 1 }}
+                              className={`
+                                glass p-3 min-h-[90px] rounded-lg border
+                                ${slot ? 'border-accent/30 hover:border-accent/60 cursor-pointer' : 'border-border/30'}
+                                ${isLunchBreak && !slot ? 'bg-orange-500/5' : ''}
+                                transition-all duration-200
+                              `}
+                            >
+                              {isLunchBreak && !slot ? (
+                                <div className="flex items-center justify-center h-full">
+                                  <span className="text-xs font-semibold text-orange-500">
+                                    🍽️ Lunch Break
+                                  </span>
+                                </div>
+                              ) : (
+                                getCellContent(slot)
+                              )}
+                            </motion.div>
+                          );
+                        })}
+                      </motion.div>
+                    );
+                  })}
                 </div>
               </div>
             </div>
@@ -610,11 +647,45 @@ export default function StudentTimetable() {
                   <div className="h-3 w-3 rounded border border-border/30" />
                   <span>Free Period</span>
                 </div>
+                <div className="flex items-center gap-2">
+                  <span className="text-orange-500 font-medium">Holiday</span>
+                  <span>No classes this week</span>
+                </div>
               </div>
             </div>
           </Card>
         )}
 
+        {/* Holidays & term dates */}
+        {(academicCalendar?.term || upcomingExceptions.length > 0) && (
+          <Card className="glass">
+            <div className="p-4 space-y-3 text-sm">
+              <p className="font-semibold flex items-center gap-2">
+                <Calendar className="h-4 w-4 text-accent" />
+                Holidays &amp; Term Dates
+              </p>
+              {academicCalendar?.term && (
+                <p className="text-muted-foreground">
+                  Classes run {academicCalendar.term.start_date} – {academicCalendar.term.end_date}
+                </p>
+              )}
+              {upcomingExceptions.length > 0 && (
+                <ul className="space-y-1">
+                  {upcomingExceptions.map((exception) => (
+                    <li key={exception.id} className="flex flex-wrap gap-x-2">
+                      <span className="font-medium">{exception.title}</span>
+                      <span className="text-muted-foreground">
+                        {EXCEPTION_LABELS[exception.exception_type]} · {formatDateRange(exception)}
+                        {exception.rescheduled_to && ` (classes move to ${exception.rescheduled_to})`}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </Card>
+        )}
+
         {/* Info Card */}
         {selectedGroup && availableGroups.length > 0 && (
           <Card className="glass border-accent/30">
@@ -0,0 +1,95 @@
+import { api } from '@/lib/axios';
+import { asApiData, withServiceError } from './serviceUtils';
+import { ApiResponse } from '@/types';
+
+export type CalendarExceptionType = 'holiday' | 'exam' | 'cancelled' | 'rescheduled';
+
+export interface AcademicTerm {
+  id: string;
+  academic_year: string;
+  semester_type: string;
+  start_date: string;
+  end_date: string;
+}
+
+export interface CalendarException {
+  id: string;
+  exception_type: CalendarExceptionType;
+  title: string;
+  start_date: string;
+  end_date: string;
+  rescheduled_to: string | null;
+}
+
+export interface AcademicCalendar {
+  term: AcademicTerm | null;
+  exceptions: CalendarException[];
+}
+
+export type AcademicTermInput = Omit<AcademicTerm, 'id'>;
+export type CalendarExceptionInput = Omit<CalendarException, 'id' | 'end_date' | 'rescheduled_to'> & {
+  end_date?: string;
+  rescheduled_to?: string | null;
+};
+
+export const academicCalendarService = {
+  get: async (academicYear?: string, semesterType?: string): Promise<ApiResponse<AcademicCalendar>> => {
+    try {
+      return asApiData(await api.get('/academic-calendar', {
+        params: { academic_year: academicYear, semester_type: semesterType }
+      }));
+    } catch (error) {
+      return withServiceError(error, 'Failed to load academic calendar');
+    }
+  },
+
+  getTerms: async (): Promise<ApiResponse<{ terms: AcademicTerm[]; count: number }>> => {
+    try {
+      return asApiData(await api.get('/academic-calendar/terms'));
+    } catch (error) {
+      return withServiceError(error, 'Failed to load terms');
+    }
+  },
+
+  saveTerm: async (term: AcademicTermInput): Promise<ApiResponse<{ term: AcademicTerm }>> => {
+    try {
+      return asApiData(await api.put('/academic-calendar/terms', term));
+    } catch (error) {
+      return withServiceError(error, 'Failed to save term dates');
+    }
+  },
+
+  deleteTerm: async (id: string): Promise<ApiResponse<null>> => {
+    try {
+      return asApiData(await api.delete(`/academic-calendar/terms/${id}`));
+    } catch (error) {
+      return withServiceError(error, 'Failed to delete term');
+    }
+  },
+
+  getExceptions: async (
+    filters: { exception_type?: CalendarExceptionType; from?: string; to?: string } = {}
+  ): Promise<ApiResponse<{ exceptions: CalendarException[]; count: number }>> => {
+    try {
+      return asApiData(await api.get('/academic-calendar/exceptions', { params: filters }));
+    } catch (error) {
+      return withServiceError(error, 'Failed to load calendar exceptions');
+    }
+  },
+
+  createException: async (exception: CalendarExceptionInput): Promise<ApiResponse<{ exception: CalendarException }>> => {
+    try {
+      return asApiData(await api.post('/academic-calendar/exceptions', exception));
+    } catch (error) {
+      return withServiceError(error, 'Failed to add calendar exception');
+    }
+  },
+
+  deleteException: async (id: string): Promise<ApiResponse<null>> => {
+    try {
+      return asApiData(await api.delete(`/academic-calendar/exceptions/${id}`));
+    } catch (error) {
+      return withServiceError(error, 'Failed to delete calendar exception');
+    }
+  }
+};
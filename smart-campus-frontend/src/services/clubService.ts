@@ -9,12 +9,47 @@ export interface Club {
   category: string;
   created_at: string;
   updated_at: string;
+  member_count?: number;
+  average_rating?: number | null;  // across the club's rated events, on getById
+  rating_count?: number;
+  my_role?: ClubRole | null;
+  my_status?: MembershipStatus | null;
+}
+
+export type ClubRole = 'president' | 'coordinator' | 'member';
+export type MembershipStatus = 'pending' | 'active';
+
+export interface ClubMembership {
+  id: number;
+  club_id: number;
+  user_id: number;
+  role: ClubRole;
+  status: MembershipStatus;
+  requested_at: string;
+  joined_at: string | null;
+}
+
+export interface ClubMember {
+  id: number;
+  user_id: number;
+  role: ClubRole;
+  status: MembershipStatus;
+  requested_at: string;
+  joined_at: string | null;
+  full_name: string;
+  email: string;
+  department: string | null;
 }
 
 export interface ClubWithEvents extends Club {
   events: unknown[];
+  membership: ClubMembership | null;
 }
 
+/** Presidents and coordinators run the club's members and events */
+export const isClubManager = (role?: ClubRole | null): boolean =>
+  role === 'president' || role === 'coordinator';
+
 export const clubService = {
   /**
    * Get all clubs
@@ -45,13 +80,103 @@ export const clubService = {
       const data = asApiData(await api.get(`/clubs/${clubId}`));
       return {
         ...(getPayload<Club>(data, 'club') as Club),
-        events: getPayloadArray<any>(data, 'events')
+        events: getPayloadArray<any>(data, 'events'),
+        membership: getPayload<ClubMembership>(data, 'membership') ?? null
       };
     } catch (error: unknown) {
       withServiceError(error, 'Failed to fetch club details');
     }
   },
 
+  /**
+   * Clubs the current user belongs to or has asked to join
+   * GET /api/clubs/my
+   */
+  getMy: async (): Promise<Club[]> => {
+    try {
+      const data = asApiData(await api.get('/clubs/my'));
+      return getPayloadArray<Club>(data, 'clubs');
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to fetch your clubs');
+    }
+  },
+
+  /**
+   * Request to join a club
+   * POST /api/clubs/:id/join
+   */
+  join: async (clubId: number): Promise<ClubMembership> => {
+    try {
+      const data = asApiData(await api.post(`/clubs/${clubId}/join`));
+      return getPayload<ClubMembership>(data, 'membership') as ClubMembership;
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to send join request');
+    }
+  },
+
+  /**
+   * Leave a club, or withdraw a pending join request
+   * DELETE /api/clubs/:id/membership
+   */
+  leave: async (clubId: number): Promise<void> => {
+    try {
+      await api.delete(`/clubs/${clubId}/membership`);
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to leave club');
+    }
+  },
+
+  /**
+   * Active members, or pending requests (club presidents/coordinators only)
+   * GET /api/clubs/:id/members
+   */
+  getMembers: async (clubId: number, status: MembershipStatus = 'active'): Promise<ClubMember[]> => {
+    try {
+      const data = asApiData(await api.get(`/clubs/${clubId}/members?status=${status}`));
+      return getPayloadArray<ClubMember>(data, 'members');
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to fetch club members');
+    }
+  },
+
+  /**
+   * Approve a join request (club presidents/coordinators)
+   * POST /api/clubs/:id/members/:userId/approve
+   */
+  approveMember: async (clubId: number, userId: number): Promise<ClubMembership> => {
+    try {
+      const data = asApiData(await api.post(`/clubs/${clubId}/members/${userId}/approve`));
+      return getPayload<ClubMembership>(data, 'membership') as ClubMembership;
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to approve member');
+    }
+  },
+
+  /**
+   * Remove a member or reject a join request (club presidents/coordinators)
+   * DELETE /api/clubs/:id/members/:userId
+   */
+  removeMember: async (clubId: number, userId: number): Promise<void> => {
+    try {
+      await api.delete(`/clubs/${clubId}/members/${userId}`);
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to remove member');
+    }
+  },
+
+  /**
+   * Change a member's role (club president or admin)
+   * PUT /api/clubs/:id/members/:userId/role
+   */
+  setMemberRole: async (clubId: number, userId: number, role: ClubRole): Promise<ClubMembership> => {
+    try {
+      const data = asApiData(await api.put(`/clubs/${clubId}/members/${userId}/role`, { role }));
+      return getPayload<ClubMembership>(data, 'membership') as ClubMembership;
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to update member role');
+    }
+  },
+
   /**
    * Create a new club (Admin only)
    * POST /api/clubs
@@ -42,6 +42,134 @@ export interface WaitlistEntry {
   semester: number;
 }
 
+export interface ElectiveFillStatistic {
+  elective_id: number;
+  subject_name: string;
+  capacity: number;
+  allocated: number;           // seats taken in this run
+  seats_left: number;
+  fill_rate: number | null;    // % of capacity taken, earlier rounds included
+  cgpa_cutoff: number | null;  // lowest CGPA admitted in this run
+}
+
+export interface AllocationStatistics {
+  total_students: number;
+  allocated_count: number;
+  unallocated_count: number;
+  waitlisted_count: number;
+  rank_distribution: { preference_rank: number; count: number }[];
+  electives: ElectiveFillStatistic[];
+  unallocated: Pick<AllocationResult, 'student_id' | 'student_name' | 'cgpa'>[];
+}
+
+export type AllocationStrategy = 'cgpa' | 'cgpa_band_lottery' | 'rank_maximal' | 'reserved_seats';
+
+export interface SeatReservation {
+  elective_id: number;
+  department: string;
+  seats: number;
+}
+
+/** Policy for one allocation run; the seed orders students with equal CGPA */
+export interface AllocationSettings {
+  strategy: AllocationStrategy;
+  seed?: number;
+  band_width?: number;                 // cgpa_band_lottery only
+  reserved_seats?: SeatReservation[];  // reserved_seats only
+}
+
+/** Strategy, options and seed a run actually used */
+export interface AllocationPolicy {
+  strategy: AllocationStrategy;
+  seed: number;
+  options: { band_width?: number; reserved_seats?: SeatReservation[] };
+}
+
+/** A committed allocation run; reports are never changed once saved */
+export interface AllocationReport {
+  id: number;
+  round_id: number | null;
+  round_name?: string | null;
+  allocation_round: number;
+  statistics?: AllocationStatistics;
+  strategy: AllocationStrategy;
+  strategy_options?: AllocationPolicy['options'];
+  seed: number | null;
+  run_by_name?: string | null;
+  created_at: string;
+}
+
+export interface AllocationRun {
+  results: AllocationResult[];
+  statistics: AllocationStatistics;
+  round: ElectiveRound | null;
+  report: AllocationReport | null;   // null for a dry run
+  allocation: AllocationPolicy;
+  dryRun: boolean;
+}
+
+export type ElectiveRoundStatus = 'open' | 'closed' | 'allocated';
+
+export interface ElectiveRound {
+  id: number;
+  name: string;
+  round_number: number;
+  opens_at: string;
+  closes_at: string;
+  semesters: number[];     // empty = every semester
+  departments: string[];   // empty = every department
+  status: ElectiveRoundStatus;
+  allocated_at?: string | null;
+  is_open?: boolean;       // only on the student's current round
+}
+
+export interface ElectiveRoundInput {
+  name: string;
+  opens_at: string;
+  closes_at: string;
+  semesters?: number[];
+  departments?: string[];
+}
+
+export type ChangeRequestType = 'drop' | 'swap';
+
+export type ChangeRequestStatus = 'open' | 'pending_approval' | 'completed' | 'rejected' | 'cancelled';
+
+export interface ElectiveChangeRequest {
+  id: number;
+  student_id: number;
+  student_name: string;
+  request_type: ChangeRequestType;
+  from_elective_id: number;
+  from_elective_name: string;
+  to_elective_id: number | null;      // null for a drop
+  to_elective_name: string | null;
+  status: ChangeRequestStatus;
+  matched_request_id: number | null;  // the other half of a pairwise swap
+  reason: string | null;
+  review_note: string | null;
+  created_at: string;
+  completed_at: string | null;
+}
+
+/** Open swap requests from other students offering one elective for another */
+export interface SwapListing {
+  from_elective_id: number;
+  from_elective_name: string;
+  to_elective_id: number;
+  to_elective_name: string;
+  open_requests: number;
+  oldest_request_at: string;
+  wants_your_elective: boolean;
+}
+
+export interface ElectiveChangeRules {
+  changes_open: boolean;
+  drop_requires_approval: boolean;
+  move_requires_approval: boolean;   // swap into an elective with a free seat
+  swap_requires_approval: boolean;   // pairwise swap between two students
+}
+
 export const electiveService = {
   /**
    * Get all electives (public endpoint)
@@ -80,7 +208,10 @@ export const electiveService = {
     max_students?: number;
     department: string;
     semester: number;
-  }): Promise<Elective> => {
+  } & Pick<
+    Elective,
+    'eligible_departments' | 'min_semester' | 'max_semester' | 'min_cgpa' | 'prerequisite_subject_codes' | 'exclusive_elective_ids'
+  >): Promise<Elective> => {
     try {
       const data = asApiData(await api.post('/electives', electiveData));
       return getPayload<Elective>(data, 'elective') as Elective;
@@ -158,14 +289,61 @@ export const electiveService = {
   },
 
   /**
-   * Run elective allocation algorithm (admin only)
+   * Run elective allocation algorithm (admin only), for one round or, without
+   * a round, for every student. A dry run returns the same results and
+   * statistics without saving anything; running again with the returned
+   * seed reproduces it exactly.
    */
-  runAllocation: async (): Promise<AllocationResult[]> => {
+  runAllocation: async (
+    roundId?: number,
+    { dryRun = false, settings }: { dryRun?: boolean; settings?: AllocationSettings } = {}
+  ): Promise<AllocationRun> => {
     try {
-      const data = asApiData(await api.post('/electives/allocate', {}));
-      return getPayloadArray<AllocationResult>(data, 'allocationResults');
+      const data = asApiData(await api.post('/electives/allocate', {
+        ...(roundId ? { round_id: roundId } : {}),
+        ...settings,
+        dry_run: dryRun,
+      }));
+      const payload = (data as {
+        data: {
+          allocationResults: AllocationResult[];
+          statistics: AllocationStatistics;
+          round: ElectiveRound | null;
+          report: AllocationReport | null;
+          allocation: AllocationPolicy;
+          dry_run: boolean;
+        };
+      }).data;
+      return {
+        results: payload.allocationResults,
+        statistics: payload.statistics,
+        round: payload.round,
+        report: payload.report,
+        allocation: payload.allocation,
+        dryRun: payload.dry_run,
+      };
     } catch (error: any) {
-      withServiceError(error, 'Failed to run allocation');
+      withServiceError(error, dryRun ? 'Failed to preview allocation' : 'Failed to run allocation');
+    }
+  },
+
+  getAllocationReports: async (): Promise<AllocationReport[]> => {
+    try {
+      const data = asApiData(await api.get('/electives/allocation-reports'));
+      return getPayloadArray<AllocationReport>(data, 'reports');
+    } catch (error) {
+      withServiceError(error, 'Failed to fetch allocation reports');
+    }
+  },
+
+  downloadAllocationReport: async (id: number): Promise<Blob> => {
+    try {
+      const response = await api.get(`/electives/allocation-reports/${id}/csv`, {
+        responseType: 'blob',
+      });
+      return response.data as Blob;
+    } catch (error) {
+      withServiceError(error, 'Failed to download allocation report');
     }
   },
 
@@ -177,4 +355,136 @@ export const electiveService = {
       withServiceError(error, 'Failed to process waitlist');
     }
   },
+
+  /**
+   * Round the student can submit choices in, or the next one to open (student only).
+   * serverTime lets the countdown ignore a skewed device clock.
+   */
+  getCurrentRound: async (): Promise<{ round: ElectiveRound | null; serverTime: string }> => {
+    try {
+      const data = asApiData(await api.get('/electives/rounds/current'));
+      const payload = (data as { data: { round: ElectiveRound | null; server_time: string } }).data;
+      return { round: payload.round, serverTime: payload.server_time };
+    } catch (error) {
+      withServiceError(error, 'Failed to fetch the selection round');
+    }
+  },
+
+  getRounds: async (): Promise<ElectiveRound[]> => {
+    try {
+      const data = asApiData(await api.get('/electives/rounds'));
+      return getPayloadArray<ElectiveRound>(data, 'rounds');
+    } catch (error) {
+      withServiceError(error, 'Failed to fetch selection rounds');
+    }
+  },
+
+  createRound: async (roundData: ElectiveRoundInput): Promise<ElectiveRound> => {
+    try {
+      const data = asApiData(await api.post('/electives/rounds', roundData));
+      return getPayload<ElectiveRound>(data, 'round') as ElectiveRound;
+    } catch (error) {
+      withServiceError(error, 'Failed to create selection round');
+    }
+  },
+
+  updateRound: async (
+    id: number,
+    roundData: Partial<ElectiveRoundInput> & { status?: Exclude<ElectiveRoundStatus, 'allocated'> }
+  ): Promise<ElectiveRound> => {
+    try {
+      const data = asApiData(await api.put(`/electives/rounds/${id}`, roundData));
+      return getPayload<ElectiveRound>(data, 'round') as ElectiveRound;
+    } catch (error) {
+      withServiceError(error, 'Failed to update selection round');
+    }
+  },
+
+  /**
+   * Ask to drop the allocated elective or swap it for another (student only).
+   * The request may complete straight away, wait for approval, or stay open
+   * on the swap market.
+   */
+  requestChange: async (changeData: {
+    request_type: ChangeRequestType;
+    to_elective_id?: number;
+    reason?: string;
+  }): Promise<ElectiveChangeRequest> => {
+    try {
+      const data = asApiData(await api.post('/electives/change-requests', changeData));
+      return getPayload<ElectiveChangeRequest>(data, 'changeRequest') as ElectiveChangeRequest;
+    } catch (error) {
+      withServiceError(error, 'Failed to submit change request');
+    }
+  },
+
+  getMyChangeRequests: async (): Promise<ElectiveChangeRequest[]> => {
+    try {
+      const data = asApiData(await api.get('/electives/my/change-requests'));
+      return getPayloadArray<ElectiveChangeRequest>(data, 'changeRequests');
+    } catch (error) {
+      withServiceError(error, 'Failed to fetch your change requests');
+    }
+  },
+
+  cancelChangeRequest: async (id: number): Promise<ElectiveChangeRequest> => {
+    try {
+      const data = asApiData(await api.put(`/electives/my/change-requests/${id}/cancel`));
+      return getPayload<ElectiveChangeRequest>(data, 'changeRequest') as ElectiveChangeRequest;
+    } catch (error) {
+      withServiceError(error, 'Failed to cancel change request');
+    }
+  },
+
+  getSwapMarket: async (): Promise<SwapListing[]> => {
+    try {
+      const data = asApiData(await api.get('/electives/swap-market'));
+      return getPayloadArray<SwapListing>(data, 'listings');
+    } catch (error) {
+      withServiceError(error, 'Failed to fetch the swap market');
+    }
+  },
+
+  getChangeRequests: async (status?: ChangeRequestStatus): Promise<ElectiveChangeRequest[]> => {
+    try {
+      const data = asApiData(await api.get('/electives/change-requests', { params: status ? { status } : {} }));
+      return getPayloadArray<ElectiveChangeRequest>(data, 'changeRequests');
+    } catch (error) {
+      withServiceError(error, 'Failed to fetch change requests');
+    }
+  },
+
+  reviewChangeRequest: async (
+    id: number,
+    decision: 'approve' | 'reject',
+    note?: string
+  ): Promise<ElectiveChangeRequest> => {
+    try {
+      const data = asApiData(await api.put(`/electives/change-requests/${id}/review`, {
+        decision,
+        ...(note ? { note } : {}),
+      }));
+      return getPayload<ElectiveChangeRequest>(data, 'changeRequest') as ElectiveChangeRequest;
+    } catch (error) {
+      withServiceError(error, decision === 'approve' ? 'Failed to approve change request' : 'Failed to reject change request');
+    }
+  },
+
+  getChangeRules: async (): Promise<ElectiveChangeRules> => {
+    try {
+      const data = asApiData(await api.get('/electives/change-rules'));
+      return getPayload<ElectiveChangeRules>(data, 'rules') as ElectiveChangeRules;
+    } catch (error) {
+      withServiceError(error, 'Failed to fetch change rules');
+    }
+  },
+
+  updateChangeRules: async (rules: ElectiveChangeRules): Promise<ElectiveChangeRules> => {
+    try {
+      const data = asApiData(await api.put('/electives/change-rules', rules));
+      return getPayload<ElectiveChangeRules>(data, 'rules') as ElectiveChangeRules;
+    } catch (error) {
+      withServiceError(error, 'Failed to update change rules');
+    }
+  },
 };
@@ -1,6 +1,7 @@
 import { api } from '@/lib/axios';
+import { getApiBaseUrl } from '@/lib/apiConfig';
 import { asApiData, withServiceError } from './serviceUtils';
-import { CampusEvent as Event, ApiResponse } from '@/types';
+import { CampusEvent as Event, ApiResponse, EventRsvpStatus, EventStatus } from '@/types';
 
 export interface SavedEvent extends Event {
   saved_at: string;
@@ -16,6 +17,118 @@ export interface CreateEventData {
   target_department?: string;
   is_featured?: boolean;
   tags?: string[];
+  max_capacity?: number | null;
+  recurrence_rule?: string | null;  // e.g. FREQ=WEEKLY;BYDAY=MO,WE; null = one-off
+  status?: 'draft';                 // save without submitting; omit to publish or submit for review
+}
+
+export interface OccurrenceUpdate {
+  occurrence_start: string;  // original start, identifies the occurrence
+  title?: string;
+  description?: string;
+  location?: string;
+  start_time?: string;
+  end_time?: string;
+}
+
+export interface CalendarFeed {
+  feed_url: string;
+  webcal_url: string;  // opens the subscribe prompt in calendar apps
+}
+
+export interface EventOccurrenceList {
+  event: Pick<Event, 'id' | 'title' | 'recurrence_rule'>;
+  occurrences: Event[];
+  window: { from: string; to: string };
+}
+
+export interface EventRsvp {
+  id: number;
+  status: EventRsvpStatus;
+  created_at: string;
+  promoted_at?: string | null;
+  checked_in_at?: string | null;
+  waitlist_position?: number | null;  // 1 = next to be promoted
+}
+
+export interface EventAttendee extends EventRsvp {
+  user_id: number;
+  full_name: string;
+  email: string;
+  department?: string | null;
+}
+
+export interface EventRsvpList {
+  event: { id: number; title: string; max_capacity: number | null };
+  confirmed: EventAttendee[];
+  waitlisted: EventAttendee[];
+  counts: { confirmed: number; waitlisted: number };
+}
+
+export interface CheckInPass {
+  token: string;
+  qr_code: string;  // PNG data URL
+  occurrence: CheckInOccurrence | null;  // set for recurring events; the pass is only good for it
+  checked_in_at: string | null;
+}
+
+export interface CheckInOccurrence {
+  occurrence_start: string;  // original start, identifies the occurrence
+  start_time: string;
+  end_time: string;
+}
+
+export interface EventAttendance {
+  event: { id: number; title: string; start_time: string; end_time: string; max_capacity: number | null };
+  summary: {
+    confirmed: number;
+    checked_in: number;
+    no_shows: number;
+    attendance_rate: number | null;  // percent
+    no_show_rate: number | null;     // percent, null until the event starts
+    has_started: boolean;
+  };
+  attendees: Array<Pick<EventAttendee, 'id' | 'user_id' | 'full_name' | 'email' | 'department' | 'checked_in_at'>>;
+  // Recurring events only: the reported occurrence and check-ins for each started one (plus the next)
+  occurrence?: CheckInOccurrence;
+  occurrences?: Array<CheckInOccurrence & { checked_in: number }>;
+}
+
+export interface RecommendedEvent extends Event {
+  club_name?: string | null;
+  recommendation: {
+    score: number;
+    reason: string;  // e.g. "Because you saved 3 AI events"
+  };
+}
+
+export interface EventFeedback {
+  id: number;
+  rating: number;  // 1–5
+  comment: string | null;
+  created_at: string;
+  updated_at: string;
+  full_name?: string;  // organiser report only
+}
+
+export interface MyEventFeedback {
+  feedback: EventFeedback | null;
+  window: {
+    opens_at: string | null;   // when the event (or latest occurrence) ended
+    closes_at: string | null;
+    is_open: boolean;
+  };
+  can_submit: boolean;  // window open and the user attended
+}
+
+export interface EventFeedbackReport {
+  event: { id: number; title: string; start_time: string; end_time: string };
+  summary: {
+    count: number;
+    average_rating: number | null;
+    distribution: Record<1 | 2 | 3 | 4 | 5, number>;
+  };
+  feedback: EventFeedback[];
 }
 
 /**
@@ -55,7 +168,8 @@ function formatDatetimeForAPI(dateString: string): string {
 export const eventsService = {
   /**
    * Get all events with optional filters
-   * @param filters - Search, tag, club_id, department, is_featured, upcoming
+   * @param filters - Search, tag, club_id, department, is_featured, upcoming;
+   * from/to return one row per occurrence of recurring events in that window
    */
   getAll: async (filters: {
     search?: string;
@@ -64,6 +178,10 @@ export const eventsService = {
     department?: string;
     is_featured?: string;
     upcoming?: string;
+    from?: string;
+    to?: string;
+    status?: EventStatus;  // admins only
+    limit?: number;
   } = {}) => {
     try {
       const params = new URLSearchParams();
@@ -171,7 +289,7 @@ export const eventsService = {
   },
 
   // 🎫 RSVP / Join Waitlist Engine (Added for Issue #194)
-  rsvp: async (eventId: string | number): Promise<any> => {
+  rsvp: async (eventId: string | number): Promise<ApiResponse<{ rsvp: EventRsvp }>> => {
     try {
       const data = asApiData(await api.post(`/events/${eventId}/rsvp`));
       return data;
@@ -180,7 +298,7 @@ export const eventsService = {
     }
   },
 
-  cancelRsvp: async (eventId: string | number): Promise<any> => {
+  cancelRsvp: async (eventId: string | number): Promise<{ success: boolean }> => {
     try {
       const data = asApiData(await api.delete(`/events/${eventId}/rsvp`));
       return data;
@@ -189,6 +307,270 @@ export const eventsService = {
     }
   },
 
+  /**
+   * Current user's RSVP for an event, with their waitlist position
+   */
+  getMyRsvp: async (eventId: string | number): Promise<ApiResponse<{ rsvp: EventRsvp | null }>> => {
+    try {
+      const data = asApiData(await api.get(`/events/${eventId}/rsvp`));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to load RSVP');
+    }
+  },
+
+  /**
+   * Whether the current user gets reminders for an event, and when they are sent
+   */
+  getReminders: async (eventId: string | number): Promise<ApiResponse<{ enabled: boolean; offsets_minutes: number[] }>> => {
+    try {
+      const data = asApiData(await api.get(`/events/${eventId}/reminders`));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to load reminder settings');
+    }
+  },
+
+  /**
+   * Turn reminders for one event on or off
+   */
+  setReminders: async (eventId: string | number, enabled: boolean): Promise<ApiResponse<{ enabled: boolean }>> => {
+    try {
+      const data = asApiData(await api.put(`/events/${eventId}/reminders`, { enabled }));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to update reminder settings');
+    }
+  },
+
+  /**
+   * Confirmed attendees and waitlist of an event (Admin only)
+   */
+  getAttendees: async (eventId: string | number): Promise<ApiResponse<EventRsvpList>> => {
+    try {
+      const data = asApiData(await api.get(`/events/${eventId}/rsvps`));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to load attendees');
+    }
+  },
+
+  /**
+   * QR check-in pass for the current user's confirmed RSVP; for a recurring
+   * event, for the given occurrence or else the next one
+   */
+  getCheckInPass: async (eventId: string | number, occurrenceStart?: string): Promise<ApiResponse<CheckInPass>> => {
+    try {
+      const data = asApiData(await api.get(`/events/${eventId}/check-in-pass`, {
+        params: occurrenceStart ? { occurrence_start: occurrenceStart } : {},
+      }));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to load check-in pass');
+    }
+  },
+
+  /**
+   * Check in an attendee from their scanned QR code (Admin only)
+   */
+  checkIn: async (eventId: string | number, token: string): Promise<ApiResponse<{ attendee: EventAttendee }>> => {
+    try {
+      const data = asApiData(await api.post(`/events/${eventId}/check-in`, { token }));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to check in attendee');
+    }
+  },
+
+  /**
+   * Attendance report with no-show rate (Admin only); for a recurring event,
+   * of the given occurrence or else the latest one to start
+   */
+  getAttendance: async (eventId: string | number, occurrenceStart?: string): Promise<ApiResponse<EventAttendance>> => {
+    try {
+      const data = asApiData(await api.get(`/events/${eventId}/attendance`, {
+        params: occurrenceStart ? { occurrence_start: occurrenceStart } : {},
+      }));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to load attendance');
+    }
+  },
+
+  /**
+   * Current user's rating of an event and whether they can still leave one
+   */
+  getMyFeedback: async (eventId: string | number): Promise<ApiResponse<MyEventFeedback>> => {
+    try {
+      const data = asApiData(await api.get(`/events/${eventId}/feedback/me`));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to load feedback');
+    }
+  },
+
+  /**
+   * Rate an attended event, replacing any earlier rating
+   */
+  submitFeedback: async (eventId: string | number, rating: number, comment?: string): Promise<ApiResponse<{ feedback: EventFeedback }>> => {
+    try {
+      const data = asApiData(await api.put(`/events/${eventId}/feedback`, { rating, comment }));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to submit feedback');
+    }
+  },
+
+  /**
+   * Average rating and comments for an event (Admin or club organisers)
+   */
+  getFeedback: async (eventId: string | number): Promise<ApiResponse<EventFeedbackReport>> => {
+    try {
+      const data = asApiData(await api.get(`/events/${eventId}/feedback`));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to load event feedback');
+    }
+  },
+
+  /**
+   * Occurrences of a recurring event, by default over the next 90 days (Admin only)
+   */
+  getOccurrences: async (
+    eventId: string | number,
+    window: { from?: string; to?: string } = {}
+  ): Promise<ApiResponse<EventOccurrenceList>> => {
+    try {
+      const data = asApiData(await api.get(`/events/${eventId}/occurrences`, { params: window }));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to load occurrences');
+    }
+  },
+
+  /**
+   * Edit one occurrence of a recurring event; also restores a cancelled one (Admin only)
+   */
+  updateOccurrence: async (eventId: string | number, update: OccurrenceUpdate): Promise<ApiResponse<unknown>> => {
+    try {
+      const payload = {
+        ...update,
+        ...(update.start_time && { start_time: formatDatetimeForAPI(update.start_time) }),
+        ...(update.end_time && { end_time: formatDatetimeForAPI(update.end_time) }),
+      };
+      const data = asApiData(await api.put(`/events/${eventId}/occurrences`, payload));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to update occurrence');
+    }
+  },
+
+  /**
+   * Cancel one occurrence of a recurring event (Admin only)
+   */
+  cancelOccurrence: async (eventId: string | number, occurrenceStart: string): Promise<ApiResponse<unknown>> => {
+    try {
+      const data = asApiData(await api.delete(`/events/${eventId}/occurrences`, {
+        params: { occurrence_start: occurrenceStart },
+      }));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to cancel occurrence');
+    }
+  },
+
+  /**
+   * Events the current user submitted or organises, in any status
+   */
+  getSubmissions: async (status?: EventStatus): Promise<ApiResponse<{ events: Event[]; count: number }>> => {
+    try {
+      const data = asApiData(await api.get('/events/submissions', { params: status ? { status } : {} }));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to load submissions');
+    }
+  },
+
+  /**
+   * Submit a draft or rejected event for admin review
+   */
+  submitForReview: async (eventId: string | number): Promise<ApiResponse<{ event: Event }>> => {
+    try {
+      const data = asApiData(await api.post(`/events/${eventId}/submit`));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to submit event');
+    }
+  },
+
+  /**
+   * Approve or reject an event awaiting review; rejections need a comment (Admin only)
+   */
+  review: async (
+    eventId: string | number,
+    decision: { status: 'approved' | 'rejected'; comment?: string }
+  ): Promise<ApiResponse<{ event: Event }>> => {
+    try {
+      const data = asApiData(await api.post(`/events/${eventId}/review`, decision));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to review event');
+    }
+  },
+
+  /**
+   * Cancel an event; attendees of a published event are notified
+   */
+  cancel: async (eventId: string | number, comment?: string): Promise<ApiResponse<{ event: Event }>> => {
+    try {
+      const data = asApiData(await api.post(`/events/${eventId}/cancel`, { comment }));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to cancel event');
+    }
+  },
+
+  /**
+   * Public download link for a single event's .ics file
+   */
+  getIcsUrl: (eventId: string | number) => `${getApiBaseUrl()}/events/${eventId}/ics`,
+
+  /**
+   * Subscription URL for the user's saved and RSVP'd events
+   */
+  getCalendarFeed: async (): Promise<ApiResponse<CalendarFeed>> => {
+    try {
+      const data = asApiData(await api.get('/events/calendar-feed'));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to load calendar feed');
+    }
+  },
+
+  /**
+   * Replace the subscription URL; calendars using the old one stop updating
+   */
+  resetCalendarFeed: async (): Promise<ApiResponse<CalendarFeed>> => {
+    try {
+      const data = asApiData(await api.post('/events/calendar-feed/reset'));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to reset calendar feed');
+    }
+  },
+
+  /**
+   * Upcoming events picked for the current user, best match first
+   */
+  getRecommended: async (limit?: number): Promise<ApiResponse<{ events: RecommendedEvent[] }>> => {
+    try {
+      const data = asApiData(await api.get('/events/recommended', { params: { limit } }));
+      return data;
+    } catch (error) {
+      withServiceError(error, 'Failed to load recommended events');
+    }
+  },
+
   /**
    * Get all saved events for current user
    */
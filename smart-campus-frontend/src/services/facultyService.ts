@@ -0,0 +1,89 @@
+import { api } from '@/lib/axios';
+import { withServiceError } from './serviceUtils';
+import type { Teacher } from './timetableService';
+
+/** A slot in the logged-in teacher's weekly schedule. */
+export interface FacultyTimetableSlot {
+  day_of_week: string;
+  period_number: number;
+  subject_name: string;
+  group_name: string;
+  room_name: string;
+}
+
+/** A subject assigned to the logged-in teacher. */
+export interface FacultySubject {
+  id: string; // UUID
+  subject_code: string;
+  subject_name: string;
+  course_type: 'Theory' | 'Practical' | 'Lab';
+  hours_per_week: number;
+  department: string;
+  semester: number;
+  priority: number;
+}
+
+/** A student group the logged-in teacher is scheduled with. */
+export interface FacultyGroup {
+  id: string; // UUID
+  group_code: string;
+  group_name: string;
+  department: string;
+  semester: number;
+  strength: number;
+  periods_per_week: number;
+}
+
+export const facultyService = {
+  /**
+   * Get the teacher record linked to the current account
+   * GET /api/faculty/me
+   */
+  getMyProfile: async () => {
+    try {
+      const { data } = await api.get('/faculty/me');
+      return data.data.teacher as Teacher;
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to fetch faculty profile');
+    }
+  },
+
+  /**
+   * Get the current teacher's weekly timetable
+   * GET /api/faculty/me/timetable
+   */
+  getMyTimetable: async () => {
+    try {
+      const { data } = await api.get('/faculty/me/timetable');
+      return (data.data.timetable || []) as FacultyTimetableSlot[];
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to fetch your timetable');
+    }
+  },
+
+  /**
+   * Get the subjects assigned to the current teacher
+   * GET /api/faculty/me/subjects
+   */
+  getMySubjects: async () => {
+    try {
+      const { data } = await api.get('/faculty/me/subjects');
+      return (data.data.subjects || []) as FacultySubject[];
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to fetch your subjects');
+    }
+  },
+
+  /**
+   * Get the student groups the current teacher is scheduled with
+   * GET /api/faculty/me/groups
+   */
+  getMyGroups: async () => {
+    try {
+      const { data } = await api.get('/faculty/me/groups');
+      return (data.data.groups || []) as FacultyGroup[];
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to fetch your groups');
+    }
+  },
+};
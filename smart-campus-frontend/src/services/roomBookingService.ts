@@ -0,0 +1,110 @@
+import { api } from '@/lib/axios';
+import { getPayload, getPayloadArray } from './serviceUtils';
+
+export type RoomBookingStatus = 'pending' | 'approved' | 'rejected' | 'cancelled';
+export type RoomBookingPurpose = 'make_up_class' | 'club_meeting' | 'exam' | 'event' | 'other';
+
+export const ROOM_BOOKING_PURPOSE_LABELS: Record<RoomBookingPurpose, string> = {
+  make_up_class: 'Make-up class',
+  club_meeting: 'Club meeting',
+  exam: 'Exam',
+  event: 'Event',
+  other: 'Other',
+};
+
+/** An ad-hoc room reservation outside the generated timetable. */
+export interface RoomBooking {
+  id: string; // UUID
+  room_id: string;
+  room_code: string;
+  room_name: string;
+  room_capacity: number;
+  booked_by: number;
+  booked_by_name: string;
+  title: string;
+  purpose: RoomBookingPurpose;
+  description: string | null;
+  booking_date: string; // YYYY-MM-DD
+  start_period: number;
+  end_period: number;
+  expected_attendees: number | null;
+  status: RoomBookingStatus;
+  reviewed_by: number | null;
+  reviewed_at: string | null;
+  review_note: string | null;
+  created_at: string;
+}
+
+export interface RoomBookingInput {
+  room_id: string;
+  title: string;
+  purpose: RoomBookingPurpose;
+  description?: string;
+  booking_date: string;
+  start_period: number;
+  end_period: number;
+  expected_attendees?: number;
+}
+
+/** A clash or warning reported by the backend conflict check. */
+export interface RoomBookingConflict {
+  type: string;
+  severity: 'HIGH' | 'MEDIUM';
+  message: string;
+  period?: number;
+  occupied_by?: Array<
+    | { source: 'timetable'; slot_id: string; subject_name: string; group_name: string }
+    | { source: 'booking'; booking_id: string; title: string }
+  >;
+}
+
+/** Rejection body of a 409 from create/approve. */
+export interface RoomBookingConflictError {
+  message: string;
+  data?: { conflicts: RoomBookingConflict[]; warnings: RoomBookingConflict[] };
+}
+
+export interface RoomBookingFilters {
+  status?: RoomBookingStatus;
+  room_id?: string;
+  from?: string;
+  to?: string;
+}
+
+export const roomBookingService = {
+  /**
+   * Own bookings, or every booking for admins
+   * GET /api/classrooms/bookings
+   */
+  list: async (filters: RoomBookingFilters = {}) => {
+    const { data } = await api.get('/classrooms/bookings', { params: filters });
+    return getPayloadArray<RoomBooking>(data, 'bookings');
+  },
+
+  /**
+   * Request a room; rejects with a RoomBookingConflictError when it is taken
+   * POST /api/classrooms/bookings
+   */
+  create: async (booking: RoomBookingInput) => {
+    const { data } = await api.post('/classrooms/bookings', booking);
+    return {
+      booking: getPayload<RoomBooking>(data, 'booking'),
+      warnings: getPayloadArray<RoomBookingConflict>(data, 'warnings'),
+    };
+  },
+
+  approve: async (id: string, note?: string) => {
+    const { data } = await api.post(`/classrooms/bookings/${id}/approve`, { note });
+    return getPayload<RoomBooking>(data, 'booking');
+  },
+
+  reject: async (id: string, note?: string) => {
+    const { data } = await api.post(`/classrooms/bookings/${id}/reject`, { note });
+    return getPayload<RoomBooking>(data, 'booking');
+  },
+
+  cancel: async (id: string) => {
+    const { data } = await api.post(`/classrooms/bookings/${id}/cancel`);
+    return getPayload<RoomBooking>(data, 'booking');
+  },
+};
@@ -8,6 +8,18 @@ export interface AdminSettings {
   campus_name: string;
 }
 
+export interface BellPeriod {
+  number: number;
+  start: string;
+  end: string;
+}
+
+export interface BellSchedule {
+  working_days: string[];
+  periods: BellPeriod[];
+  lunch_break_period: number | null;
+}
+
 export const settingsService = {
   get: async (): Promise<ApiResponse<{ settings: AdminSettings }>> => {
     try {
@@ -23,5 +35,21 @@ export const settingsService = {
     } catch (error) {
       return withServiceError(error, 'Failed to save settings');
     }
+  },
+
+  getBellSchedule: async (): Promise<ApiResponse<{ bell_schedule: BellSchedule }>> => {
+    try {
+      return asApiData(await api.get('/settings/bell-schedule'));
+    } catch (error) {
+      return withServiceError(error, 'Failed to load bell schedule');
+    }
+  },
+
+  updateBellSchedule: async (bellSchedule: BellSchedule): Promise<ApiResponse<{ bell_schedule: BellSchedule }>> => {
+    try {
+      return asApiData(await api.put('/settings/bell-schedule', bellSchedule));
+    } catch (error) {
+      return withServiceError(error, 'Failed to save bell schedule');
+    }
   }
 };
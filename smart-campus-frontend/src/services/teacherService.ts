@@ -1,7 +1,7 @@
 import { timetableService, PaginationSortParams } from './timetableService';
 import { api } from '@/lib/axios';
 import { getPayload, getPayloadArray } from './serviceUtils';
-import { TeacherFormData } from '@/types';
+import { TeacherFormData, TeacherUnavailability, TeacherUnavailabilityInput } from '@/types';
 
 export const teacherService = {
   getAll: async () => {
@@ -32,4 +32,18 @@ export const teacherService = {
   delete: async (id: string) => {
     await api.delete(`/timetable/teachers/${id}`);
   },
+
+  getUnavailability: async (id: string) => {
+    const { data } = await api.get(`/timetable/teachers/${id}/unavailability`);
+    return getPayloadArray<TeacherUnavailability>(data, 'unavailability');
+  },
+
+  addUnavailability: async (id: string, entry: TeacherUnavailabilityInput) => {
+    const { data } = await api.post(`/timetable/teachers/${id}/unavailability`, entry);
+    return getPayload<TeacherUnavailability>(data, 'unavailability');
+  },
+
+  removeUnavailability: async (id: string, entryId: string) => {
+    await api.delete(`/timetable/teachers/${id}/unavailability/${entryId}`);
+  },
 };
@@ -57,6 +57,135 @@ export interface Group {
   updated_at?: string;
 }
 
+/** Solver progress snapshot, reported every 1000 iterations. */
+export interface GenerationProgress {
+  phase: 'solving' | 'optimizing';
+  iteration: number;
+  maxIterations: number;
+  placed: number;
+  total: number;
+  percent: number;
+}
+
+/** Per-constraint soft penalty (violations × weight). */
+export interface SoftConstraintPenalty {
+  violations: number;
+  weight: number;
+  penalty: number;
+}
+
+export type SoftConstraintName = 'teacher_idle_gaps' | 'subject_spread' | 'consecutive_labs' | 'room_changes';
+
+/** Soft-constraint quality of a generated timetable; lower is better. */
+export interface GenerationQuality {
+  total: number;
+  breakdown: Record<SoftConstraintName, SoftConstraintPenalty>;
+  initial_total: number;
+  initial_breakdown: Record<SoftConstraintName, SoftConstraintPenalty>;
+  iterations: number;
+  improvements: number;
+}
+
+export type GenerationJobStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+/** One placed lesson in a solver result. */
+export interface GeneratedTimetableEntry {
+  day: string;
+  period: number;
+  teacher: { id: string; code: string; name: string };
+  subject: { id: string; code: string; name: string; type: string };
+  group: { id: string; code: string; name: string; strength: number };
+  room: { id: string; code: string; name: string; type: string };
+}
+
+export type TimetableVersionStatus = 'draft' | 'published' | 'archived';
+
+/** A saved timetable; students only ever see the published one. */
+export interface TimetableVersion {
+  id: string;
+  academic_year: string;
+  semester_type: string;
+  version_number: number;
+  status: TimetableVersionStatus;
+  quality: GenerationQuality | null;
+  created_by: number | null;
+  published_by: number | null;
+  published_at: string | null;
+  created_at: string;
+  slot_count?: number;
+}
+
+/** A slot as returned by version preview and diff endpoints. */
+export interface TimetableVersionSlot {
+  id: string;
+  day_of_week: string;
+  period_number: number;
+  teacher_id: string;
+  subject_id: string;
+  group_id: string;
+  room_id: string;
+  teacher_name: string;
+  subject_name: string;
+  subject_code: string;
+  group_name: string;
+  room_name: string;
+}
+
+export interface TimetableVersionDiff {
+  added: TimetableVersionSlot[];
+  removed: TimetableVersionSlot[];
+  changed: { from: TimetableVersionSlot; to: TimetableVersionSlot }[];
+  unchanged_count: number;
+}
+
+/** Target cell (and optionally room) of a manual slot move. */
+export interface SlotMoveTarget {
+  day_of_week: string;
+  period_number: number;
+  room_id?: string;
+}
+
+export interface SlotConflict {
+  type: 'TEACHER_CONFLICT' | 'ROOM_CONFLICT' | 'GROUP_CONFLICT' | 'CAPACITY_CONFLICT' | 'ROOM_TYPE_CONFLICT';
+  severity: 'HIGH' | 'MEDIUM';
+  message: string;
+}
+
+/** A free alternative cell ranked by the suggestion engine. */
+export interface SlotSuggestion {
+  day: string;
+  period: number;
+  score: number;
+  rank: number;
+}
+
+export interface SlotMoveCheck {
+  slot_id: string;
+  target: Required<SlotMoveTarget>;
+  can_save: boolean;
+  conflicts: SlotConflict[];
+  suggestions: SlotSuggestion[];
+}
+
+/** A background timetable generation job. */
+export interface GenerationJob {
+  id: string;
+  status: GenerationJobStatus;
+  progress: GenerationProgress | null;
+  academic_year: string;
+  semester_type: string;
+  created_at: string;
+  started_at: string | null;
+  finished_at: string | null;
+  result: {
+    version: TimetableVersion;
+    timetable: GeneratedTimetableEntry[];
+    statistics: Record<string, unknown>;
+    quality: GenerationQuality | null;
+  } | null;
+  error: { error?: string; message?: string; details?: unknown } | null;
+}
+
 /** Shared query params for server-side pagination and sorting. */
 export interface PaginationSortParams {
   page?: number;
@@ -495,8 +624,9 @@ export const timetableService = {
   },
 
   /**
-   * Generate complete timetable using backtracking algorithm
+   * Start a background timetable generation job (backtracking algorithm)
    * POST /api/timetable/generate
+   * Responds 202 with { job, room }; join `room` on the socket for progress events.
    */
   generateTimetable: async (generationData: {
     groups: string[]; // Array of group UUIDs
@@ -517,6 +647,141 @@ export const timetableService = {
     }
   },
 
+  /**
+   * Get the status (and result, once completed) of a generation job
+   * GET /api/timetable/jobs/:jobId
+   */
+  getGenerationJob: async (jobId: string): Promise<GenerationJob> => {
+    try {
+      const { data } = await api.get(`/timetable/jobs/${jobId}`);
+      return data?.data?.job;
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to fetch generation status');
+    }
+  },
+
+  /**
+   * Cancel a running generation job
+   * POST /api/timetable/jobs/:jobId/cancel
+   */
+  cancelGenerationJob: async (jobId: string): Promise<GenerationJob> => {
+    try {
+      const { data } = await api.post(`/timetable/jobs/${jobId}/cancel`);
+      return data?.data?.job;
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to cancel generation');
+    }
+  },
+
+  /**
+   * List timetable versions
+   * GET /api/timetable/versions?academic_year=2025-26&semester_type=odd
+   */
+  getVersions: async (academicYear?: string, semesterType?: string): Promise<TimetableVersion[]> => {
+    try {
+      const query = buildQueryString({ academic_year: academicYear, semester_type: semesterType });
+      const { data } = await api.get(`/timetable/versions${query}`);
+      return data?.data?.versions || [];
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to fetch timetable versions');
+    }
+  },
+
+  /**
+   * Diff a version against the published one (or `againstId`)
+   * GET /api/timetable/versions/:versionId/diff
+   */
+  diffVersion: async (versionId: string, againstId?: string) => {
+    try {
+      const query = buildQueryString({ against: againstId });
+      const { data } = await api.get(`/timetable/versions/${versionId}/diff${query}`);
+      return data?.data as { version: TimetableVersion; against: TimetableVersion | null; diff: TimetableVersionDiff };
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to compare timetable versions');
+    }
+  },
+
+  /**
+   * Publish a draft version; the current published version is archived
+   * POST /api/timetable/versions/:versionId/publish
+   */
+  publishVersion: async (versionId: string): Promise<TimetableVersion> => {
+    try {
+      const { data } = await api.post(`/timetable/versions/${versionId}/publish`);
+      return data?.data?.version;
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to publish timetable');
+    }
+  },
+
+  /**
+   * Re-publish the previously published version
+   * POST /api/timetable/versions/rollback
+   */
+  rollbackVersion: async (academicYear: string, semesterType: string): Promise<TimetableVersion> => {
+    try {
+      const { data } = await api.post('/timetable/versions/rollback', {
+        academic_year: academicYear,
+        semester_type: semesterType,
+      });
+      return data?.data?.version;
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to roll back timetable');
+    }
+  },
+
+  /**
+   * Discard a draft version
+   * DELETE /api/timetable/versions/:versionId
+   */
+  deleteVersion: async (versionId: string) => {
+    try {
+      const { data } = await api.delete(`/timetable/versions/${versionId}`);
+      return data;
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to discard draft');
+    }
+  },
+
+  /**
+   * Preview a version with all its slots
+   * GET /api/timetable/versions/:versionId
+   */
+  getVersion: async (versionId: string) => {
+    try {
+      const { data } = await api.get(`/timetable/versions/${versionId}`);
+      return data?.data as { version: TimetableVersion; slots: TimetableVersionSlot[] };
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to fetch timetable version');
+    }
+  },
+
+  /**
+   * Check a slot move for conflicts before saving it
+   * POST /api/timetable/slots/:slotId/check
+   */
+  checkSlotMove: async (slotId: string, target: SlotMoveTarget): Promise<SlotMoveCheck> => {
+    try {
+      const { data } = await api.post(`/timetable/slots/${slotId}/check`, target);
+      return data?.data;
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to check slot move');
+    }
+  },
+
+  /**
+   * Move or reassign a slot
+   * PUT /api/timetable/slots/:slotId
+   */
+  updateSlot: async (slotId: string, changes: Partial<SlotMoveTarget> & { teacher_id?: string; subject_id?: string }) => {
+    try {
+      const { data } = await api.put(`/timetable/slots/${slotId}`, changes);
+      return data?.data?.slot;
+    } catch (error: unknown) {
+      withServiceError(error, 'Failed to update slot');
+    }
+  },
+
   /**
    * Get timetable as iCalendar subscription file (.ics)
    * GET /api/timetable/calendar/:groupId
@@ -6,6 +6,7 @@ import {
   getAccessibleRoutes,
   isPublicRoute,
   STUDENT_ROUTES,
+  FACULTY_ROUTES,
   ADMIN_ROUTES,
   PUBLIC_ROUTES,
 } from '@/config/routes';
@@ -222,6 +223,31 @@ describe('Route Guard Integration Tests', () => {
     });
   });
 
+  describe('Faculty Route Access', () => {
+    it('should allow faculty to access every faculty route', () => {
+      FACULTY_ROUTES.forEach(route => {
+        expect(route.allowedRoles).toContain('faculty');
+        route.requiredPermissions.forEach(permission => {
+          expect(hasPermission('faculty', permission)).toBe(true);
+        });
+      });
+    });
+
+    it('should prevent student from accessing faculty routes', () => {
+      FACULTY_ROUTES.forEach(route => {
+        expect(route.allowedRoles).not.toContain('student');
+      });
+    });
+
+    it('should not allow faculty to access admin routes', () => {
+      const facultyPaths = new Set(getAccessibleRoutes('faculty').map(r => r.path));
+
+      ADMIN_ROUTES.forEach(route => {
+        expect(facultyPaths.has(route.path)).toBe(false);
+      });
+    });
+  });
+
   describe('Role Switching Behavior', () => {
     it('accessible routes should change when role changes', () => {
       const studentRoutes = getAccessibleRoutes('student');
@@ -171,8 +171,56 @@ export interface CampusEvent {
   is_featured: boolean;
   tags?: string[];
   image_url?: string;
-  capacity?: number;
-  rsvp_count?: number;
+  image_set?: EventImageSet | null;  // resized copies of image_url
+  max_capacity?: number | null;  // null = no seat limit
+  confirmed_count?: number;
+  waitlist_count?: number;
+  rsvp_status?: EventRsvpStatus | null;  // current user's RSVP, when signed in
+  reminders_enabled?: boolean;           // false once the user opts out of this event's reminders
+  recurrence_rule?: string | null;       // set on recurring series
+  // Present when listed with a from/to window
+  occurrence_start?: string;             // original start of this occurrence
+  is_recurring?: boolean;
+  is_modified?: boolean;                 // occurrence edited individually
+  status?: EventStatus;                  // only approved events are shown to students
+  submitted_by?: number | null;
+  review_comment?: string | null;        // reviewer's note, or the cancellation reason
+  reviewed_at?: string | null;
+}
+
+export type EventRsvpStatus = 'confirmed' | 'waitlisted';
+
+export interface EventImageSet {
+  thumbnail: string;  // 320px wide
+  medium: string;     // 800px wide
+  large: string;      // 1600px wide
+  srcset: string | null;  // null for images uploaded before resizing, which have one size
+}
+
+export type EventStatus = 'draft' | 'pending_review' | 'approved' | 'rejected' | 'cancelled';
+
+/**
+ * Teacher unavailability entry — permanent entries block the period every
+ * week, dated entries only between start_date and end_date (inclusive)
+ */
+export interface TeacherUnavailability {
+  id: string;           // UUID
+  teacher_id: string;   // UUID
+  day_of_week: string;
+  period_number: number;
+  reason?: string | null;
+  is_permanent: boolean;
+  start_date?: string | null;
+  end_date?: string | null;
+}
+
+export interface TeacherUnavailabilityInput {
+  day_of_week: string;
+  period_number: number;
+  reason?: string;
+  is_permanent: boolean;
+  start_date?: string;
+  end_date?: string;
 }
 
 /**
@@ -187,6 +235,20 @@ export interface Elective {
   semester: number;
   current_students?: number;
   teacher_name?: string;
+  // Eligibility rules; empty lists and null bounds mean no restriction
+  eligible_departments?: string[];
+  min_semester?: number | null;
+  max_semester?: number | null;
+  min_cgpa?: string | number | null;
+  prerequisite_subject_codes?: string[];
+  exclusive_elective_ids?: number[];
+  /** Only present for the signed-in student */
+  eligibility?: ElectiveEligibility;
+}
+
+export interface ElectiveEligibility {
+  eligible: boolean;
+  reasons: string[];
 }
 
 /**
@@ -37,6 +37,9 @@ export const PERMISSIONS = {
   UPDATE_CLUB: 'update:student:club',
   DELETE_CLUB: 'delete:student:club',
   
+  // Faculty Portal
+  VIEW_FACULTY_PORTAL: 'view:faculty:portal',
+  
   // Admin Dashboard
   VIEW_ADMIN_DASHBOARD: 'view:admin:dashboard',
   VIEW_ANALYTICS: 'view:admin:analytics',
@@ -136,7 +139,9 @@ export const PERMISSION_MATRIX: Record<UserRole, typeof PERMISSIONS[keyof typeof
     ...Object.values(PERMISSIONS),
   ],
   faculty: [
-    // Faculty-specific permissions can be added here
+    // Faculty Portal
+    PERMISSIONS.VIEW_FACULTY_PORTAL,
+    
     PERMISSIONS.VIEW_STUDENT_DASHBOARD,
     PERMISSIONS.VIEW_TIMETABLE,
     PERMISSIONS.VIEW_EVENTS,